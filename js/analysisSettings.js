@@ -0,0 +1,102 @@
+/**
+ * Analysis Settings Panel
+ * Resolution, sampling, transparency, filtering and palette options for
+ * image analysis, saved between sessions
+ */
+
+const ANALYSIS_SETTINGS_KEY = 'analysisSettings';
+
+// DOM Elements
+const analysisSettingsForm = document.getElementById('analysisSettings');
+const analysisResolutionSelect = document.getElementById('analysisResolution');
+const analysisSamplingSelect = document.getElementById('analysisSampling');
+const analysisSampleRateInput = document.getElementById('analysisSampleRate');
+const analysisSampleRateValue = document.getElementById('analysisSampleRateValue');
+const analysisAlphaModeSelect = document.getElementById('analysisAlphaMode');
+const analysisAlphaThresholdField = document.getElementById('analysisAlphaThresholdField');
+const analysisAlphaThresholdInput = document.getElementById('analysisAlphaThreshold');
+const analysisAlphaThresholdValue = document.getElementById('analysisAlphaThresholdValue');
+const analysisKeepDarkInput = document.getElementById('analysisKeepDark');
+const analysisKeepLightInput = document.getElementById('analysisKeepLight');
+const analysisAlgorithmSelect = document.getElementById('analysisAlgorithm');
+const analysisPaletteSizeInput = document.getElementById('analysisPaletteSize');
+const analysisMaxColorsInput = document.getElementById('analysisMaxColors');
+const resetAnalysisSettingsBtn = document.getElementById('resetAnalysisSettings');
+
+/**
+ * Setup analysis settings controls and restore saved values
+ */
+function setupAnalysisSettings() {
+    fillSelect(analysisResolutionSelect, ANALYSIS_RESOLUTIONS.map(size => [size, size ? `${size} px` : 'Full size']));
+    fillSelect(analysisSamplingSelect, Object.entries(ANALYSIS_SAMPLING_MODES));
+    fillSelect(analysisAlphaModeSelect, Object.entries(ANALYSIS_ALPHA_MODES));
+    fillSelect(analysisAlgorithmSelect, Object.entries(QUANTIZATION_ALGORITHMS));
+    
+    colorExtractor.analysisOptions = normalizeAnalysisOptions(loadSettings(ANALYSIS_SETTINGS_KEY, DEFAULT_ANALYSIS_OPTIONS));
+    renderAnalysisSettings();
+    
+    // Sliders update their labels while dragging; everything is saved on change
+    analysisSampleRateInput.addEventListener('input', () => {
+        analysisSampleRateValue.textContent = analysisSampleRateInput.value;
+    });
+    analysisAlphaThresholdInput.addEventListener('input', () => {
+        analysisAlphaThresholdValue.textContent = analysisAlphaThresholdInput.value;
+    });
+    analysisSettingsForm.addEventListener('change', updateAnalysisSettings);
+    
+    resetAnalysisSettingsBtn.addEventListener('click', () => {
+        applyAnalysisSettings({ ...DEFAULT_ANALYSIS_OPTIONS });
+        showToast('Analysis settings reset', 2000);
+    });
+}
+
+/**
+ * Show the current analysis options in the controls
+ */
+function renderAnalysisSettings() {
+    const options = colorExtractor.analysisOptions;
+    
+    analysisResolutionSelect.value = options.maxSize;
+    analysisSamplingSelect.value = options.sampling;
+    analysisSampleRateInput.value = options.sampleRate;
+    analysisSampleRateValue.textContent = options.sampleRate;
+    analysisAlphaModeSelect.value = options.alphaMode;
+    analysisAlphaThresholdInput.value = options.alphaThreshold;
+    analysisAlphaThresholdValue.textContent = options.alphaThreshold;
+    analysisAlphaThresholdField.hidden = options.alphaMode !== 'skip';
+    analysisKeepDarkInput.checked = options.keepDark;
+    analysisKeepLightInput.checked = options.keepLight;
+    analysisAlgorithmSelect.value = options.algorithm;
+    analysisPaletteSizeInput.value = options.paletteSize;
+    analysisMaxColorsInput.value = options.maxColors;
+}
+
+/**
+ * Read the controls into the extractor's analysis options
+ */
+function updateAnalysisSettings() {
+    applyAnalysisSettings({
+        maxSize: analysisResolutionSelect.value,
+        sampling: analysisSamplingSelect.value,
+        sampleRate: analysisSampleRateInput.value,
+        alphaMode: analysisAlphaModeSelect.value,
+        alphaThreshold: analysisAlphaThresholdInput.value,
+        keepDark: analysisKeepDarkInput.checked,
+        keepLight: analysisKeepLightInput.checked,
+        algorithm: analysisAlgorithmSelect.value,
+        paletteSize: analysisPaletteSizeInput.value,
+        maxColors: analysisMaxColorsInput.value
+    });
+}
+
+/**
+ * Validate, apply and save analysis options
+ * @param {object} options - Analysis options
+ */
+function applyAnalysisSettings(options) {
+    colorExtractor.analysisOptions = normalizeAnalysisOptions(options);
+    saveSettings(ANALYSIS_SETTINGS_KEY, colorExtractor.analysisOptions);
+    
+    // Out-of-range numbers snap back to what will actually be used
+    renderAnalysisSettings();
+}
@@ -0,0 +1,51 @@
+/**
+ * Analysis Worker
+ * Samples an image and builds its palette off the main thread.
+ *
+ * Request:  { bitmap: ImageBitmap, options: analysis options plus { similarityThreshold, distanceMetric },
+ *            region: { points, bounds } or null, with the bitmap already cropped to bounds }
+ * Messages: { type: 'progress', progress: 0-1 }, then { type: 'result', colors, assignment } or { type: 'error', message }
+ *
+ * With options.keepAssignments the result includes assignment: { width, height, indices, pixelColors },
+ * the index into colors and the exact 0xRRGGBB color of every pixel of the downscaled image
+ * (see assignPixels); otherwise null.
+ */
+
+importScripts('utils.js', 'colorSpace.js', 'colorDistance.js', 'quantizer.js', 'pixelAnalysis.js');
+
+self.onmessage = (e) => {
+    const { bitmap, options, region } = e.data;
+    
+    try {
+        const { width, height } = getAnalysisSize(bitmap.width, bitmap.height, options.maxSize);
+        const canvas = new OffscreenCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0, width, height);
+        bitmap.close();
+        
+        const pixels = ctx.getImageData(0, 0, width, height).data;
+        const histogram = new Map();
+        const mask = region ? createRegionMask(region.points, region.bounds, width, height) : null;
+        
+        for (const done of samplePixels(pixels, histogram, options, mask)) {
+            self.postMessage({ type: 'progress', progress: done * SAMPLING_PROGRESS_SHARE });
+        }
+        
+        const colors = reduceHistogram(histogram, options);
+        
+        let assignment = null;
+        if (options.keepAssignments) {
+            const indices = new Uint16Array(width * height);
+            const pixelColors = new Uint32Array(width * height);
+            for (const done of assignPixels(pixels, colors, options, indices, mask, pixelColors)) {
+                self.postMessage({ type: 'progress', progress: SAMPLING_PROGRESS_SHARE + done * (1 - SAMPLING_PROGRESS_SHARE) });
+            }
+            assignment = { width, height, indices, pixelColors };
+        }
+        
+        self.postMessage({ type: 'progress', progress: 1 });
+        self.postMessage({ type: 'result', colors, assignment }, assignment ? [assignment.indices.buffer, assignment.pixelColors.buffer] : []);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
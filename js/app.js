@@ -9,6 +9,18 @@ const colorExtractor = new ColorExtractor();
 // Store current colors
 let currentColors = [];
 
+// Color formats shown on each card
+let visibleFormats = [...DEFAULT_VISIBLE_FORMATS];
+
+// Named-color dataset used for card names
+let colorNameSource = DEFAULT_COLOR_NAME_SOURCE;
+
+// Saved URL Extractor options
+const URL_SETTINGS_KEY = 'urlSettings';
+
+// Rules listed on a card before the rest are summarized
+const MAX_LISTED_USAGES = 20;
+
 // DOM Elements
 const tabButtons = document.querySelectorAll('.tab-btn');
 const tabContents = document.querySelectorAll('.tab-content');
@@ -19,6 +31,7 @@ const filePreview = document.getElementById('filePreview');
 const clearFileBtn = document.getElementById('clearFile');
 const urlInput = document.getElementById('urlInput');
 const extractUrlBtn = document.getElementById('extractUrlBtn');
+const proxyEndpointInput = document.getElementById('proxyEndpoint');
 const eyedropperBtn = document.getElementById('eyedropperBtn');
 const colorInputPicker = document.getElementById('colorInputPicker');
 const manualColorInput = document.getElementById('manualColorInput');
@@ -28,16 +41,37 @@ const colorGrid = document.getElementById('colorGrid');
 const colorCount = document.getElementById('colorCount');
 const exportColorsBtn = document.getElementById('exportColors');
 const clearResultsBtn = document.getElementById('clearResults');
+const distanceMetricSelect = document.getElementById('distanceMetric');
+const matchToleranceInput = document.getElementById('matchTolerance');
+const matchToleranceValue = document.getElementById('matchToleranceValue');
+const colorNameSourceSelect = document.getElementById('colorNameSource');
+const formatOptions = document.getElementById('formatOptions');
 
 /**
  * Initialize application
  */
 function init() {
+    colorExtractor.onProgress = setLoadingProgress;
     setupTabNavigation();
     setupFileUpload();
     setupURLExtraction();
     setupColorPicker();
+    setupMatchingSettings();
+    setupAnalysisSettings();
+    setupFormatPicker();
     setupResultsActions();
+    setupRolePanel();
+    setupContrastPanel();
+    setupScalePanel();
+    setupVisionPanel();
+    setupBrandPanel();
+    setupExportDialog();
+    setupPreviewStage();
+    setupLoupe();
+    setupColorLocation();
+    setupCodePaste();
+    setupBatchQueue();
+    setupLibraryPanel();
 }
 
 /**
@@ -80,14 +114,11 @@ function setupFileUpload() {
         uploadArea.classList.remove('dragover');
     });
     
-    uploadArea.addEventListener('drop', (e) => {
+    uploadArea.addEventListener('drop', async (e) => {
         e.preventDefault();
         uploadArea.classList.remove('dragover');
         
-        const files = e.dataTransfer.files;
-        if (files.length > 0) {
-            handleFile(files[0]);
-        }
+        handleFiles(await readDroppedFiles(e.dataTransfer));
     });
     
     // Clear file button
@@ -98,9 +129,20 @@ function setupFileUpload() {
  * Handle file selection
  */
 function handleFileSelect(e) {
-    const file = e.target.files[0];
-    if (file) {
-        handleFile(file);
+    const files = Array.from(e.target.files, file => ({ file, path: file.webkitRelativePath || file.name }));
+    handleFiles(files);
+}
+
+/**
+ * Open a single file for analysis, or queue several (or any while a batch is shown)
+ * @param {Array} files - {file, path} pairs
+ */
+function handleFiles(files) {
+    if (files.length === 1 && !hasBatchFiles()) {
+        handleFile(files[0].file);
+    } else if (files.length > 0) {
+        fileInput.value = '';
+        addBatchFiles(files);
     }
 }
 
@@ -108,36 +150,23 @@ function handleFileSelect(e) {
  * Process uploaded file
  */
 async function handleFile(file) {
-    showLoading();
+    showLoading(() => colorExtractor.cancel());
     
     try {
         // Show file preview
         displayFilePreview(file);
         
-        // Extract colors based on file type
-        let colors = [];
-        const fileType = file.type;
-        const fileName = file.name.toLowerCase();
+        const colors = await extractFileColors(file);
+        setLibrarySource({ type: 'file', name: file.name, file: file.type.startsWith('image/') ? file : null });
         
-        if (fileType.startsWith('image/')) {
-            if (fileName.endsWith('.svg')) {
-                colors = await colorExtractor.extractFromSVG(file);
-            } else {
-                colors = await colorExtractor.extractFromImage(file);
-            }
-        } else if (fileType === 'application/pdf' || fileName.endsWith('.pdf')) {
-            colors = await colorExtractor.extractFromPDF(file);
-        } else if (
-            fileName.endsWith('.doc') ||
-            fileName.endsWith('.docx') ||
-            fileName.endsWith('.ppt') ||
-            fileName.endsWith('.pptx') ||
-            fileName.endsWith('.xls') ||
-            fileName.endsWith('.xlsx')
-        ) {
-            colors = await colorExtractor.extractFromDocument(file);
-        } else {
-            throw new Error('Unsupported file type');
+        // Saved palettes load as-is, keeping their names
+        if (getPaletteImportFormat(file.name.toLowerCase())) {
+            displayColors(colors);
+            showToast(`Imported ${colors.length} color${colors.length !== 1 ? 's' : ''} from ${file.name}`);
+            return;
+        }
+        if (file.type.startsWith('image/') && !file.name.toLowerCase().endsWith('.svg')) {
+            setStageAssignments(colorExtractor.assignments);
         }
         
         // Display results
@@ -145,6 +174,10 @@ async function handleFile(file) {
         showToast(`Successfully extracted ${colors.length} colors from ${file.name}`);
         
     } catch (error) {
+        if (error.name === 'AbortError') {
+            showToast('Extraction cancelled', 2000);
+            return;
+        }
         console.error('Error processing file:', error);
         showToast('Error processing file: ' + error.message, 4000);
     } finally {
@@ -152,6 +185,39 @@ async function handleFile(file) {
     }
 }
 
+/**
+ * Extract the colors of a file with the reader for its type
+ * @param {File} file - Uploaded file
+ * @returns {Promise<Array>} Array of color objects
+ */
+async function extractFileColors(file) {
+    const fileType = file.type;
+    const fileName = file.name.toLowerCase();
+    
+    if (getPaletteImportFormat(fileName)) {
+        return importPalette(file);
+    }
+    
+    if (fileType.startsWith('image/')) {
+        if (fileName.endsWith('.svg')) {
+            return colorExtractor.extractFromSVG(file);
+        }
+        return colorExtractor.extractFromImage(file);
+    } else if (fileType === 'application/pdf' || fileName.endsWith('.pdf')) {
+        return colorExtractor.extractFromPDF(file);
+    } else if (
+        fileName.endsWith('.doc') ||
+        fileName.endsWith('.docx') ||
+        fileName.endsWith('.ppt') ||
+        fileName.endsWith('.pptx') ||
+        fileName.endsWith('.xls') ||
+        fileName.endsWith('.xlsx')
+    ) {
+        return colorExtractor.extractFromDocument(file);
+    }
+    throw new Error('Unsupported file type');
+}
+
 /**
  * Display file preview
  */
@@ -161,16 +227,12 @@ function displayFilePreview(file) {
     
     const fileType = file.type;
     
+    // Images are shown on the preview stage, where regions can be drawn
     if (fileType.startsWith('image/')) {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            filePreview.innerHTML = `
-                <img src="${e.target.result}" alt="Preview">
-                <p><strong>${file.name}</strong> (${formatFileSize(file.size)})</p>
-            `;
-        };
-        reader.readAsDataURL(file);
+        filePreview.innerHTML = `<p><strong>${escapeHtml(file.name)}</strong> (${formatFileSize(file.size)})</p>`;
+        showPreviewStage(file);
     } else {
+        resetPreviewStage();
         filePreview.innerHTML = `
             <div style="padding: 2rem; text-align: center;">
                 <svg width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -192,12 +254,26 @@ function clearFile() {
     uploadArea.style.display = 'flex';
     fileInfo.style.display = 'none';
     filePreview.innerHTML = '';
+    resetPreviewStage();
 }
 
 /**
  * Setup URL extraction
  */
 function setupURLExtraction() {
+    const urlSettings = loadSettings(URL_SETTINGS_KEY, { proxyEndpoint: DEFAULT_PROXY_ENDPOINT });
+    colorExtractor.proxyEndpoint = urlSettings.proxyEndpoint;
+    proxyEndpointInput.value = urlSettings.proxyEndpoint;
+    proxyEndpointInput.placeholder = DEFAULT_PROXY_ENDPOINT;
+    
+    // An empty field goes back to the default endpoint
+    proxyEndpointInput.addEventListener('change', () => {
+        const proxyEndpoint = proxyEndpointInput.value.trim() || DEFAULT_PROXY_ENDPOINT;
+        proxyEndpointInput.value = proxyEndpoint;
+        colorExtractor.proxyEndpoint = proxyEndpoint;
+        saveSettings(URL_SETTINGS_KEY, { proxyEndpoint });
+    });
+    
     extractUrlBtn.addEventListener('click', async () => {
         const url = urlInput.value.trim();
         
@@ -210,8 +286,9 @@ function setupURLExtraction() {
         
         try {
             const colors = await colorExtractor.extractFromURL(url);
+            setLibrarySource({ type: 'url', name: url });
             displayColors(colors);
-            showToast(`Extracted ${colors.length} colors from the page`);
+            showToast(`Extracted ${colors.length} color${colors.length !== 1 ? 's' : ''} from the page's stylesheets`);
         } catch (error) {
             console.error('Error extracting colors from URL:', error);
             showToast('Error extracting colors: ' + error.message, 4000);
@@ -247,7 +324,7 @@ function setupColorPicker() {
                 }
             }
         } else {
-            showToast('EyeDropper API not supported in this browser. Use manual input below.', 4000);
+            showToast('EyeDropper API not supported in this browser. Use the Sample tool on an uploaded image or manual input below.', 4000);
         }
     });
     
@@ -281,6 +358,79 @@ function setupColorPicker() {
     });
 }
 
+/**
+ * Setup perceptual color matching controls
+ */
+function setupMatchingSettings() {
+    Object.entries(COLOR_DISTANCE_METRICS).forEach(([key, metric]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = metric.label;
+        distanceMetricSelect.appendChild(option);
+    });
+    
+    const nameSources = [['all', 'All name lists'], ...Object.entries(COLOR_NAME_SOURCES).map(([key, source]) => [key, source.label])];
+    nameSources.forEach(([key, label]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = label;
+        colorNameSourceSelect.appendChild(option);
+    });
+    
+    distanceMetricSelect.value = colorExtractor.distanceMetric;
+    matchToleranceInput.value = colorExtractor.similarityThreshold;
+    matchToleranceValue.textContent = colorExtractor.similarityThreshold;
+    colorNameSourceSelect.value = colorNameSource;
+    
+    distanceMetricSelect.addEventListener('change', () => {
+        colorExtractor.distanceMetric = distanceMetricSelect.value;
+        if (currentColors.length > 0) {
+            displayColors(currentColors);
+        }
+    });
+    
+    colorNameSourceSelect.addEventListener('change', () => {
+        colorNameSource = colorNameSourceSelect.value;
+        if (currentColors.length > 0) {
+            displayColors(currentColors);
+        }
+    });
+    
+    matchToleranceInput.addEventListener('input', () => {
+        colorExtractor.similarityThreshold = parseFloat(matchToleranceInput.value);
+        matchToleranceValue.textContent = matchToleranceInput.value;
+    });
+}
+
+/**
+ * Setup the picker for color formats shown on cards
+ */
+function setupFormatPicker() {
+    Object.entries(COLOR_FORMATS).forEach(([key, format]) => {
+        const label = document.createElement('label');
+        label.className = 'format-option';
+        label.innerHTML = `<input type="checkbox" value="${key}"> ${format.label}`;
+        
+        const checkbox = label.querySelector('input');
+        checkbox.checked = visibleFormats.includes(key);
+        checkbox.addEventListener('change', () => {
+            const selected = Array.from(formatOptions.querySelectorAll('input:checked')).map(input => input.value);
+            if (selected.length === 0) {
+                checkbox.checked = true;
+                showToast('Select at least one format', 2000);
+                return;
+            }
+            
+            visibleFormats = selected;
+            if (currentColors.length > 0) {
+                displayColors(currentColors);
+            }
+        });
+        
+        formatOptions.appendChild(label);
+    });
+}
+
 /**
  * Add a single color to results
  */
@@ -296,6 +446,7 @@ function addSingleColor(hex) {
     // Check if color already exists
     const exists = currentColors.some(c => c.hex === color.hex);
     if (!exists) {
+        if (currentColors.length === 0) setLibrarySource({ type: 'picker', name: 'Color picker' });
         currentColors.unshift(color);
         displayColors(currentColors);
     } else {
@@ -327,9 +478,20 @@ function displayColors(colors) {
     colorGrid.innerHTML = '';
     
     colors.forEach((color, index) => {
+        // Harmony sets start with a heading naming their type and seed
+        if (color.harmony && (index === 0 || !isSameHarmonyGroup(color, colors[index - 1]))) {
+            colorGrid.appendChild(createHarmonyGroupHeader(color.harmony));
+        }
+        
         const colorCard = createColorCard(color, index);
         colorGrid.appendChild(colorCard);
     });
+    
+    updateRolePanel(colors);
+    updateContrastPanel(colors);
+    updateScalePanel(colors);
+    updateVisionPanel(colors);
+    updateBrandPanel(colors);
 }
 
 /**
@@ -340,23 +502,61 @@ function createColorCard(color, index) {
     card.className = 'color-card';
     card.style.animationDelay = `${index * 0.05}s`;
     
-    const rgbString = `${color.rgb.r}, ${color.rgb.g}, ${color.rgb.b}`;
+    // Original CMYK values (from PDFs) are always shown
+    const formats = color.cmyk && !visibleFormats.includes('cmyk') ? [...visibleFormats, 'cmyk'] : visibleFormats;
+    const formatRows = formats.map(format => {
+        const value = formatColor(color, format);
+        return `
+            <div class="color-value">
+                <span><span class="color-label">${COLOR_FORMATS[format].label}:</span> ${value}</span>
+                <button class="copy-btn" data-color="${value}" data-type="${format}">Copy</button>
+            </div>`;
+    }).join('');
+    
+    const name = findColorName(color.rgb, colorNameSource, colorExtractor.distanceMetric);
+    const nameRow = color.name ? `
+            <div class="color-name"${name ? ` title="Closest ${COLOR_NAME_SOURCES[name.source].label} name: ${escapeHtml(name.name)} (${name.hex})"` : ''}>
+                <span class="color-name-text">${escapeHtml(color.name)}</span>
+                <span class="color-name-match">Palette name</span>
+            </div>` : name ? `
+            <div class="color-name" title="Closest ${COLOR_NAME_SOURCES[name.source].label} name (${name.hex})">
+                <span class="color-name-text">${escapeHtml(name.name)}</span>
+                <span class="color-name-match">ΔE ${name.distance.toFixed(1)} · ${describeNameMatch(name.distance)} · ${COLOR_NAME_SOURCES[name.source].shortLabel}</span>
+            </div>` : '';
     
     card.innerHTML = `
-        <div class="color-preview" style="background-color: ${color.hex};"></div>
+        <div class="color-preview" data-hex="${color.hex}" style="background-color: ${color.hex};"></div>
         <div class="color-info">
-            <div class="color-value">
-                <span><span class="color-label">HEX:</span> ${color.hex}</span>
-                <button class="copy-btn" data-color="${color.hex}" data-type="hex">Copy</button>
-            </div>
-            <div class="color-value">
-                <span><span class="color-label">RGB:</span> ${rgbString}</span>
-                <button class="copy-btn" data-color="rgb(${rgbString})" data-type="rgb">Copy</button>
-            </div>
-            ${color.percentage ? `<div class="color-usage">Usage: ${color.percentage}%</div>` : ''}
+            ${nameRow}
+            ${formatRows}
+            ${color.sources ? `<div class="color-sources">${color.sources.map(source => `<span class="source-tag">${escapeHtml(DOCUMENT_COLOR_SOURCES[source] || source)}</span>`).join('')}</div>` : ''}
+            ${color.usages ? createUsageList(color) : ''}
+            ${color.elements && color.elements.length ? createElementList(color) : ''}
+            ${color.gradients && color.gradients.length ? createGradientList(color) : ''}
+            ${color.files ? createFileList(color) : ''}
+            ${color.percentage ? `<div class="color-usage">Usage: ${escapeHtml(color.percentage)}%</div>` : ''}
+            ${canLocateColor(color.hex) ? `<button class="locate-btn${locatedColor === color.hex ? ' active' : ''}" data-hex="${color.hex}">${locatedColor === color.hex ? 'Hide on image' : 'Show on image'}</button>` : ''}
+            ${canShowInCode(color) ? `
+            <div class="code-locations">${describeCodeLocations(color)}</div>
+            <button class="show-code-btn${highlightedCodeColor === color.hex ? ' active' : ''}" data-hex="${color.hex}">${highlightedCodeColor === color.hex ? 'Hide in code' : 'Show in code'}</button>` : ''}
+            ${createHarmonyPicker(color)}
         </div>
     `;
     
+    const locateBtn = card.querySelector('.locate-btn');
+    if (locateBtn) {
+        locateBtn.addEventListener('click', () => toggleColorLocation(color.hex));
+    }
+    
+    const showCodeBtn = card.querySelector('.show-code-btn');
+    if (showCodeBtn) {
+        showCodeBtn.addEventListener('click', () => highlightCodeColor(color.hex));
+    }
+    
+    card.querySelectorAll('.harmony-option').forEach(btn => {
+        btn.addEventListener('click', () => addHarmonyGroup(color, btn.dataset.harmony));
+    });
+    
     // Add copy functionality
     const copyButtons = card.querySelectorAll('.copy-btn');
     copyButtons.forEach(btn => {
@@ -383,7 +583,101 @@ function createColorCard(color, index) {
 }
 
 /**
- * Export colors to JSON file
+ * List the stylesheet rules and custom properties behind a color
+ * @param {object} color - Color with usages [{selector, property, value, stylesheet, variables}]
+ *                         and the custom properties holding it as variables
+ * @returns {string} HTML for the card
+ */
+function createUsageList(color) {
+    const { usages } = color;
+    const items = usages.slice(0, MAX_LISTED_USAGES).map(usage => `
+                <li title="${escapeHtml(usage.stylesheet)}">
+                    <code class="usage-selector">${escapeHtml(usage.selector || '(top level)')}</code>
+                    <code class="usage-declaration">${escapeHtml(usage.property)}: ${escapeHtml(usage.value)}</code>
+                    ${usage.variables && usage.variables.length ? `<span class="usage-via">via ${usage.variables.map(escapeHtml).join(' → ')}</span>` : ''}
+                </li>`).join('');
+    const more = usages.length > MAX_LISTED_USAGES ? `<li class="usage-more">and ${usages.length - MAX_LISTED_USAGES} more</li>` : '';
+    const variables = color.variables && color.variables.length
+        ? `<p class="usage-variables">Defined by ${color.variables.map(name => `<code>${escapeHtml(name)}</code>`).join(', ')}</p>`
+        : '';
+    
+    return `
+            <details class="color-usages">
+                <summary>Used in ${usages.length} declaration${usages.length !== 1 ? 's' : ''}</summary>
+                ${variables}
+                <ul>${items}${more}</ul>
+            </details>`;
+}
+
+/**
+ * Build the list of SVG elements painted with a color
+ * @param {object} color - Color with elements {element, property, percentage}
+ * @returns {string} HTML for the collapsible list
+ */
+function createElementList(color) {
+    const { elements } = color;
+    const items = elements.slice(0, MAX_LISTED_USAGES).map(entry => `
+                <li>
+                    <code class="usage-selector">${escapeHtml(entry.element)}</code>
+                    <span class="usage-declaration">${escapeHtml(entry.property)} · ${escapeHtml(entry.percentage)}% of the covered area</span>
+                </li>`).join('');
+    const more = elements.length > MAX_LISTED_USAGES ? `<li class="usage-more">and ${elements.length - MAX_LISTED_USAGES} more</li>` : '';
+    
+    return `
+            <details class="color-usages">
+                <summary title="Shares of the area covered by fills and strokes; parts hidden behind other elements, clip paths and masks still count">Painted on ${elements.length} element${elements.length !== 1 ? 's' : ''}</summary>
+                <ul>${items}${more}</ul>
+            </details>`;
+}
+
+/**
+ * Build the list of batch files that use a merged color
+ * @param {object} color - Merged color with files {name, percentage, colors}
+ * @returns {string} HTML for the collapsible list
+ */
+function createFileList(color) {
+    const { files } = color;
+    const items = files.slice(0, MAX_LISTED_USAGES).map(file => `
+                <li>
+                    <code class="usage-selector">${escapeHtml(file.name)}</code>
+                    <span class="usage-declaration">${escapeHtml(file.percentage)}% of the file · ${file.colors.map(escapeHtml).join(', ')}</span>
+                </li>`).join('');
+    const more = files.length > MAX_LISTED_USAGES ? `<li class="usage-more">and ${files.length - MAX_LISTED_USAGES} more</li>` : '';
+    
+    return `
+            <details class="color-usages">
+                <summary>Used in ${files.length} file${files.length !== 1 ? 's' : ''}</summary>
+                <ul>${items}${more}</ul>
+            </details>`;
+}
+
+/**
+ * Build the stop lists of the SVG gradients a color belongs to
+ * @param {object} color - Color with gradients {id, type, stops}
+ * @returns {string} HTML with a strip and the stops of each gradient
+ */
+function createGradientList(color) {
+    const items = color.gradients.map(gradient => {
+        const stops = gradient.stops.map(stop => `${stop.hex} ${Math.round(stop.offset * 100)}%`);
+        // A single stop paints a solid color, which linear-gradient() needs twice
+        const strip = (gradient.stops.length > 1 ? gradient.stops : [gradient.stops[0], gradient.stops[0]])
+            .map(({ rgb, opacity, offset }) => `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, ${opacity}) ${offset * 100}%`)
+            .join(', ');
+        
+        return `
+                <div class="svg-gradient">
+                    <span class="gradient-strip" style="background: linear-gradient(90deg, ${strip})"></span>
+                    <span>${gradient.type === 'linear' ? 'Linear' : 'Radial'} gradient <code>#${escapeHtml(gradient.id)}</code>: ${stops.join(' → ')}</span>
+                </div>`;
+    }).join('');
+    
+    return `
+            <div class="svg-gradients">${items}
+            </div>`;
+}
+
+/**
+ * Open the export dialog for the current palette
  */
 function exportColors() {
     if (currentColors.length === 0) {
@@ -391,29 +685,7 @@ function exportColors() {
         return;
     }
     
-    const data = {
-        exportDate: new Date().toISOString(),
-        totalColors: currentColors.length,
-        colors: currentColors.map(color => ({
-            hex: color.hex,
-            rgb: color.rgb,
-            rgbString: `rgb(${color.rgb.r}, ${color.rgb.g}, ${color.rgb.b})`,
-            usage: color.percentage ? `${color.percentage}%` : 'N/A',
-            name: getColorName(color.hex)
-        }))
-    };
-    
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `colortrace-export-${Date.now()}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-    
-    showToast('Colors exported successfully!');
+    openExportDialog(currentColors, getColorRoles());
 }
 
 /**
@@ -421,6 +693,7 @@ function exportColors() {
  */
 function clearResults() {
     currentColors = [];
+    setLibrarySource(null);
     colorGrid.innerHTML = '';
     resultsSection.style.display = 'none';
     showToast('Results cleared');
@@ -0,0 +1,273 @@
+/**
+ * Batch Queue
+ * Extracts the palettes of several dropped files (or whole folders) one
+ * after another, merges them into one palette that lists the files using
+ * each color, and exports the combined report
+ */
+
+// Labels of the queue states
+const BATCH_STATUS_LABELS = {
+    queued: 'Queued',
+    processing: 'Processing…',
+    done: 'Done',
+    failed: 'Failed',
+    cancelled: 'Cancelled'
+};
+
+// Swatches shown per file in the queue
+const BATCH_SWATCH_LIMIT = 12;
+
+// Queued files {id, file, path, size, status, progress, colors, error} and the merged palette
+let batchFiles = [];
+let mergedBatchColors = [];
+let nextBatchFileId = 1;
+let batchRunning = false;
+let batchCancelled = false;
+
+// DOM Elements
+const batchQueue = document.getElementById('batchQueue');
+const batchSummary = document.getElementById('batchSummary');
+const batchList = document.getElementById('batchList');
+const showMergedPaletteBtn = document.getElementById('showMergedPalette');
+const batchReportFormatSelect = document.getElementById('batchReportFormat');
+const exportBatchReportBtn = document.getElementById('exportBatchReport');
+const cancelBatchBtn = document.getElementById('cancelBatch');
+const clearBatchBtn = document.getElementById('clearBatch');
+
+/**
+ * Setup the batch queue controls
+ */
+function setupBatchQueue() {
+    fillSelect(batchReportFormatSelect, Object.entries(BATCH_REPORT_FORMATS).map(([key, format]) => [key, format.label]));
+    batchReportFormatSelect.value = DEFAULT_BATCH_REPORT_FORMAT;
+    
+    showMergedPaletteBtn.addEventListener('click', showMergedBatchColors);
+    exportBatchReportBtn.addEventListener('click', exportBatchReport);
+    cancelBatchBtn.addEventListener('click', () => {
+        batchCancelled = true;
+        colorExtractor.cancel();
+    });
+    clearBatchBtn.addEventListener('click', clearBatch);
+    
+    batchList.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action="show"]');
+        const item = button && batchFiles.find(f => f.id === Number(button.dataset.fileId));
+        if (item && item.colors) {
+            setLibrarySource({ type: 'file', name: item.path, file: item.file.type.startsWith('image/') ? item.file : null });
+            displayColors(item.colors);
+        }
+    });
+}
+
+/**
+ * Whether files are queued (further files are then added to the batch)
+ * @returns {boolean} True if the queue is shown
+ */
+function hasBatchFiles() {
+    return batchFiles.length > 0;
+}
+
+/**
+ * Read the files of a drop, walking into dropped folders
+ * @param {DataTransfer} dataTransfer - Drop data
+ * @returns {Promise<Array>} {file, path} pairs; hidden files are skipped
+ */
+async function readDroppedFiles(dataTransfer) {
+    // Entries must be taken before the drop event returns
+    const entries = Array.from(dataTransfer.items || [])
+        .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+        .filter(Boolean);
+    if (entries.length === 0) {
+        return Array.from(dataTransfer.files, file => ({ file, path: file.name }));
+    }
+    
+    const files = [];
+    const readEntry = async (entry) => {
+        if (entry.name.startsWith('.')) return;
+        
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            files.push({ file, path: entry.fullPath.replace(/^\//, '') });
+        } else if (entry.isDirectory) {
+            // Directory readers return their entries in chunks until an empty one
+            const reader = entry.createReader();
+            for (;;) {
+                const chunk = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                if (chunk.length === 0) break;
+                for (const child of chunk) await readEntry(child);
+            }
+        }
+    };
+    for (const entry of entries) await readEntry(entry);
+    
+    return files.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Add files to the queue and start processing it
+ * @param {Array} files - {file, path} pairs
+ */
+function addBatchFiles(files) {
+    // A single file shown before the batch started becomes part of it
+    clearFile();
+    
+    files.forEach(({ file, path }) => {
+        batchFiles.push({
+            id: nextBatchFileId++,
+            file,
+            path,
+            size: file.size,
+            status: 'queued',
+            progress: null,
+            colors: null,
+            error: null
+        });
+    });
+    renderBatchQueue();
+    
+    if (!batchRunning) runBatch();
+}
+
+/**
+ * Extract the queued files one at a time, updating the merged palette after each
+ */
+async function runBatch() {
+    batchRunning = true;
+    batchCancelled = false;
+    const onProgress = colorExtractor.onProgress;
+    
+    try {
+        while (!batchCancelled) {
+            const current = batchFiles.find(f => f.status === 'queued');
+            if (!current) break;
+            
+            current.status = 'processing';
+            current.progress = null;
+            colorExtractor.onProgress = (progress) => {
+                current.progress = progress;
+                updateBatchProgress(current);
+            };
+            renderBatchQueue();
+            
+            try {
+                current.colors = await extractFileColors(current.file);
+                current.status = 'done';
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    current.status = 'cancelled';
+                } else {
+                    console.error(`Error processing ${current.path}:`, error);
+                    current.status = 'failed';
+                    current.error = error.message;
+                }
+            }
+            
+            mergeBatchColors();
+            renderBatchQueue();
+        }
+    } finally {
+        colorExtractor.onProgress = onProgress;
+        batchRunning = false;
+    }
+    
+    batchFiles.forEach(f => {
+        if (f.status === 'queued') f.status = 'cancelled';
+    });
+    renderBatchQueue();
+    
+    const done = batchFiles.filter(f => f.status === 'done').length;
+    const failed = batchFiles.filter(f => f.status === 'failed').length;
+    if (done > 0) showMergedBatchColors();
+    showToast(batchCancelled
+        ? 'Batch cancelled'
+        : `Extracted ${done} file${done !== 1 ? 's' : ''}${failed ? `, ${failed} failed` : ''}`, failed ? 4000 : 3000);
+}
+
+/**
+ * Rebuild the merged palette from the files extracted so far
+ */
+function mergeBatchColors() {
+    const palettes = batchFiles
+        .filter(f => f.status === 'done' && f.colors.length > 0)
+        .map(f => ({ name: f.path, colors: f.colors }));
+    mergedBatchColors = palettes.length ? colorExtractor.mergePalettes(palettes) : [];
+}
+
+/**
+ * Show the merged palette as the current results
+ */
+function showMergedBatchColors() {
+    const count = batchFiles.filter(f => f.status === 'done' && f.colors.length > 0).length;
+    setLibrarySource({ type: 'batch', name: `${count} file${count !== 1 ? 's' : ''}` });
+    displayColors(mergedBatchColors);
+}
+
+/**
+ * Update the progress bar of the file being processed
+ * @param {object} item - Queued file
+ */
+function updateBatchProgress(item) {
+    const row = batchList.querySelector(`[data-file-id="${item.id}"]`);
+    if (!row) return;
+    
+    row.querySelector('.batch-progress-bar').style.width = `${Math.round((item.progress || 0) * 100)}%`;
+    row.querySelector('.batch-status').textContent = item.progress === null
+        ? BATCH_STATUS_LABELS.processing
+        : `${Math.round(item.progress * 100)}%`;
+}
+
+/**
+ * Show the queue with the status, progress and palette of each file
+ */
+function renderBatchQueue() {
+    batchQueue.hidden = batchFiles.length === 0;
+    
+    const done = batchFiles.filter(f => f.status === 'done').length;
+    const failed = batchFiles.filter(f => f.status === 'failed').length;
+    batchSummary.textContent = `${done} of ${batchFiles.length} file${batchFiles.length !== 1 ? 's' : ''} extracted` +
+        (failed ? ` · ${failed} failed` : '') +
+        (mergedBatchColors.length ? ` · ${mergedBatchColors.length} merged colors` : '');
+    
+    showMergedPaletteBtn.disabled = mergedBatchColors.length === 0;
+    exportBatchReportBtn.disabled = batchRunning || done === 0;
+    cancelBatchBtn.hidden = !batchRunning;
+    clearBatchBtn.disabled = batchRunning;
+    
+    batchList.innerHTML = batchFiles.map(item => {
+        const status = item.status === 'done'
+            ? `${item.colors.length} color${item.colors.length !== 1 ? 's' : ''}`
+            : item.status === 'failed' ? item.error : BATCH_STATUS_LABELS[item.status];
+        const swatches = item.colors ? item.colors.slice(0, BATCH_SWATCH_LIMIT).map(color => `
+                <span class="region-swatch" style="background-color: ${color.hex};" title="${color.hex}${color.percentage ? ` · ${color.percentage}%` : ''}"></span>`).join('') : '';
+        
+        return `
+        <li class="batch-item ${item.status}" data-file-id="${item.id}">
+            <span class="batch-name" title="${escapeHtml(item.path)}">${escapeHtml(item.path)}</span>
+            <span class="batch-status">${escapeHtml(status)}</span>
+            ${item.status === 'processing' ? `<span class="batch-progress"><span class="batch-progress-bar" style="width: ${Math.round((item.progress || 0) * 100)}%"></span></span>` : ''}
+            <span class="region-swatches">${swatches}</span>
+            <button class="btn btn-secondary btn-sm" data-action="show" data-file-id="${item.id}"${item.colors ? '' : ' disabled'}>Show</button>
+        </li>`;
+    }).join('');
+}
+
+/**
+ * Download the per-file and merged palettes in the selected report format
+ */
+function exportBatchReport() {
+    const report = createBatchReport(batchFiles, mergedBatchColors);
+    const { blob, filename } = buildBatchReport(report, batchReportFormatSelect.value);
+    downloadBlob(blob, filename);
+    showToast(`Report for ${batchFiles.length} file${batchFiles.length !== 1 ? 's' : ''} downloaded`);
+}
+
+/**
+ * Empty the queue
+ */
+function clearBatch() {
+    if (batchRunning) return;
+    
+    batchFiles = [];
+    mergedBatchColors = [];
+    renderBatchQueue();
+}
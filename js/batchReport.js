@@ -0,0 +1,152 @@
+/**
+ * Batch Report Module
+ * Serializes the palettes of a batch of files and their merged palette
+ */
+
+const BATCH_REPORT_FORMATS = {
+    csv: {
+        label: 'CSV (a row per color and file)',
+        extension: 'csv',
+        mimeType: 'text/csv',
+        build: (report) => buildBatchReportCsv(report)
+    },
+    json: {
+        label: 'JSON',
+        extension: 'json',
+        mimeType: 'application/json',
+        build: (report) => JSON.stringify(report, null, 2) + '\n'
+    },
+    html: {
+        label: 'HTML page',
+        extension: 'html',
+        mimeType: 'text/html',
+        build: (report) => buildBatchReportHtml(report)
+    }
+};
+
+const DEFAULT_BATCH_REPORT_FORMAT = 'csv';
+
+/**
+ * Collect the results of a batch into a report
+ * @param {Array} files - {path, size, status, error, colors} per queued file
+ * @param {Array} merged - Merged palette from ColorExtractor.mergePalettes
+ * @returns {object} {exportDate, totalFiles, files, merged}
+ */
+function createBatchReport(files, merged) {
+    return {
+        exportDate: new Date().toISOString(),
+        totalFiles: files.length,
+        files: files.map(file => ({
+            name: file.path,
+            size: file.size,
+            status: file.status,
+            ...(file.error && { error: file.error }),
+            colors: (file.colors || []).map(color => ({
+                hex: color.hex,
+                ...(color.name && { name: color.name }),
+                usage: color.percentage ? Number(color.percentage) : null
+            }))
+        })),
+        merged: merged.map(color => ({
+            hex: color.hex,
+            usage: Number(color.percentage),
+            files: color.files.map(file => ({ name: file.name, usage: Number(file.percentage), colors: file.colors }))
+        }))
+    };
+}
+
+/**
+ * Quote a CSV field when it holds separators, quotes or line breaks
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function toCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per merged color and file that uses it, then the files that were not extracted
+ * @param {object} report - Report from createBatchReport
+ * @returns {string} CSV text
+ */
+function buildBatchReportCsv(report) {
+    const rows = [['Color', 'Usage across files (%)', 'Files using it', 'File', 'Usage in file (%)', 'Colors in file', 'Error']];
+    report.merged.forEach(color => {
+        color.files.forEach(file => {
+            rows.push([color.hex, color.usage, color.files.length, file.name, file.usage, file.colors.join(' ')]);
+        });
+    });
+    report.files.filter(file => file.status !== 'done').forEach(file => {
+        rows.push(['', '', '', file.name, '', '', file.error || file.status]);
+    });
+    
+    return rows.map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * A standalone page with the merged palette and each file's palette
+ * @param {object} report - Report from createBatchReport
+ * @returns {string} HTML document
+ */
+function buildBatchReportHtml(report) {
+    const swatch = (hex) => `<span class="swatch" style="background:${hex}"></span>`;
+    const mergedRows = report.merged.map(color => `
+      <tr>
+        <td>${swatch(color.hex)} <code>${color.hex}</code></td>
+        <td>${color.usage.toFixed(2)}%</td>
+        <td>${color.files.map(file => `${escapeHtml(file.name)} (${file.usage.toFixed(2)}%)`).join('<br>')}</td>
+      </tr>`).join('');
+    const fileSections = report.files.map(file => `
+    <section>
+      <h3>${escapeHtml(file.name)}</h3>
+      ${file.status === 'done'
+        ? `<p>${file.colors.map(color => `${swatch(color.hex)} <code>${color.hex}</code>${color.usage !== null ? ` ${color.usage.toFixed(2)}%` : ''}`).join(' &nbsp; ')}</p>`
+        : `<p class="failed">${escapeHtml(file.error || file.status)}</p>`}
+    </section>`).join('');
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>ColorTrace batch report</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #111827; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { text-align: left; vertical-align: top; padding: 0.5rem; border-bottom: 1px solid #e5e7eb; }
+    .swatch { display: inline-block; width: 1em; height: 1em; border: 1px solid #d1d5db; border-radius: 3px; vertical-align: middle; }
+    .failed { color: #b91c1c; }
+  </style>
+</head>
+<body>
+  <h1>ColorTrace batch report</h1>
+  <p>${report.totalFiles} file${report.totalFiles !== 1 ? 's' : ''} · ${report.merged.length} merged color${report.merged.length !== 1 ? 's' : ''} · ${escapeHtml(report.exportDate)}</p>
+  <h2>Merged palette</h2>
+  <table>
+    <thead><tr><th>Color</th><th>Usage across files</th><th>Files</th></tr></thead>
+    <tbody>${mergedRows}
+    </tbody>
+  </table>
+  <h2>Files</h2>${fileSections}
+</body>
+</html>
+`;
+}
+
+/**
+ * Build a batch report file
+ * @param {object} report - Report from createBatchReport
+ * @param {string} format - Key of BATCH_REPORT_FORMATS
+ * @returns {object} {blob, filename}
+ */
+function buildBatchReport(report, format) {
+    const definition = BATCH_REPORT_FORMATS[format];
+    if (!definition) {
+        throw new Error(`Unknown report format: ${format}`);
+    }
+    
+    return {
+        blob: new Blob([definition.build(report)], { type: definition.mimeType }),
+        filename: `colortrace-batch-report.${definition.extension}`
+    };
+}
@@ -0,0 +1,289 @@
+/**
+ * Brand Audit Module
+ * Classifies palette colors, and the analyzed pixels of images, against a
+ * reference palette of approved colors and serializes the audit as a report
+ */
+
+const BRAND_AUDIT_STATUSES = {
+    on: { label: 'On-brand' },
+    near: { label: 'Near-brand' },
+    off: { label: 'Off-brand' }
+};
+
+// Status of every pixel in auditBrandPixels: 0 for pixels that were not analyzed, then the BRAND_AUDIT_STATUSES keys in order
+const BRAND_PIXEL_STATUSES = [null, ...Object.keys(BRAND_AUDIT_STATUSES)];
+
+// Tolerances in ΔE units: within onBrand a color counts as the approved color, within nearBrand as a close variant
+const DEFAULT_BRAND_AUDIT_OPTIONS = {
+    onBrand: 2,
+    nearBrand: 6
+};
+
+const BRAND_AUDIT_REPORT_FORMATS = {
+    csv: {
+        label: 'CSV (a row per color)',
+        extension: 'csv',
+        mimeType: 'text/csv',
+        build: (report) => buildBrandAuditCsv(report)
+    },
+    json: {
+        label: 'JSON',
+        extension: 'json',
+        mimeType: 'application/json',
+        build: (report) => JSON.stringify(report, null, 2) + '\n'
+    },
+    html: {
+        label: 'HTML page',
+        extension: 'html',
+        mimeType: 'text/html',
+        build: (report) => buildBrandAuditHtml(report)
+    }
+};
+
+const DEFAULT_BRAND_AUDIT_REPORT_FORMAT = 'html';
+
+/**
+ * Read a list of approved colors typed or pasted by the user. Colors are
+ * separated by line breaks or commas and may be named, e.g. "Brand blue: #0057B8".
+ * @param {string} text - Color list
+ * @returns {Array} Approved colors {hex, rgb, name?} without repeats
+ */
+function parseBrandReference(text) {
+    const reference = [];
+    text.split(/\r?\n/).flatMap(line => splitCssList(line, ',')).forEach(item => {
+        const [, name, value] = item.match(/^(?:([^:]*\S)\s*:)?\s*(.+)$/);
+        const rgb = parsePaletteColor(value);
+        if (!rgb) {
+            throw new Error(`Not a color: ${item}`);
+        }
+        
+        const hex = rgbToHex(rgb.r, rgb.g, rgb.b);
+        if (!reference.some(color => color.hex === hex)) {
+            reference.push({ hex, rgb, ...(name && { name }) });
+        }
+    });
+    return reference;
+}
+
+/**
+ * Write approved colors back as a list parseBrandReference reads
+ * @param {Array} reference - Approved colors {hex, name?}
+ * @returns {string} One color per line
+ */
+function formatBrandReference(reference) {
+    // Colons and commas would split the name when the list is read back
+    return reference.map(color => color.name ? `${color.name.replace(/[:,]/g, ' ').trim()}: ${color.hex}` : color.hex).join('\n');
+}
+
+/**
+ * Classify every palette color by its distance to the closest approved color
+ * @param {Array} colors - Palette colors {hex, rgb, percentage?}
+ * @param {Array} reference - Approved colors {hex, rgb, name?}
+ * @param {object} options - Overrides for DEFAULT_BRAND_AUDIT_OPTIONS
+ * @param {string} metric - Key of COLOR_DISTANCE_METRICS
+ * @returns {object} {colors: [{hex, rgb, name, share, status, closest, distance}],
+ *                   compliance: percentage of the palette's usage per status}
+ */
+function auditBrandColors(colors, reference, options = {}, metric = DEFAULT_DISTANCE_METRIC) {
+    if (reference.length === 0) {
+        throw new Error('Add approved colors to audit against');
+    }
+    const { onBrand, nearBrand } = { ...DEFAULT_BRAND_AUDIT_OPTIONS, ...options };
+    
+    // Palettes without usage (imports, pasted code) weigh every color the same
+    const hasUsage = colors.some(color => parseFloat(color.percentage) > 0);
+    const shares = colors.map(color => hasUsage ? parseFloat(color.percentage) || 0 : 1);
+    const total = shares.reduce((sum, share) => sum + share, 0) || 1;
+    
+    const compliance = { on: 0, near: 0, off: 0 };
+    const audited = colors.map((color, i) => {
+        const closest = reference[findNearestColorIndex(color.rgb, reference, metric)];
+        const distance = colorDistance(color.rgb, closest.rgb, metric);
+        const status = getBrandStatus(distance, onBrand, nearBrand);
+        const share = shares[i] / total * 100;
+        compliance[status] += share;
+        
+        return {
+            hex: color.hex,
+            rgb: color.rgb,
+            ...(color.name && { name: color.name }),
+            share,
+            status,
+            closest: { hex: closest.hex, ...(closest.name && { name: closest.name }) },
+            distance
+        };
+    });
+    
+    return { colors: audited, compliance };
+}
+
+/**
+ * Status of a color at a distance from its closest approved color
+ * @param {number} distance - ΔE to the closest approved color
+ * @param {number} onBrand - On-brand tolerance
+ * @param {number} nearBrand - Near-brand tolerance
+ * @returns {string} Key of BRAND_AUDIT_STATUSES
+ */
+function getBrandStatus(distance, onBrand, nearBrand) {
+    return distance <= onBrand ? 'on' : distance <= nearBrand ? 'near' : 'off';
+}
+
+/**
+ * Classify every analyzed pixel by its own color. Palette colors are
+ * quantized clusters, so an off-brand pixel merged into an on-brand cluster,
+ * or in a cluster left out of the palette, only shows up this way.
+ * @param {Array} assignments - {indices, pixelColors} per analyzed area (see ColorExtractor.assignments)
+ * @param {Array} reference - Approved colors {rgb}
+ * @param {object} options - Overrides for DEFAULT_BRAND_AUDIT_OPTIONS
+ * @param {string} metric - Key of COLOR_DISTANCE_METRICS
+ * @returns {object} {compliance: percentage of the analyzed pixels per status,
+ *                   pixels: count per status, statuses: Uint8Array per assignment
+ *                   with an index into BRAND_PIXEL_STATUSES per pixel}
+ */
+function auditBrandPixels(assignments, reference, options = {}, metric = DEFAULT_DISTANCE_METRIC) {
+    if (reference.length === 0) {
+        throw new Error('Add approved colors to audit against');
+    }
+    const { onBrand, nearBrand } = { ...DEFAULT_BRAND_AUDIT_OPTIONS, ...options };
+    const pixels = { on: 0, near: 0, off: 0 };
+    
+    // Images repeat colors heavily, so each exact color is classified once
+    const statusByColor = new Map();
+    const statuses = assignments.map(({ indices, pixelColors }) => {
+        const result = new Uint8Array(indices.length);
+        for (let p = 0; p < indices.length; p++) {
+            if (indices[p] === UNASSIGNED_PIXEL) continue;
+            
+            const key = pixelColors[p];
+            let status = statusByColor.get(key);
+            if (status === undefined) {
+                const rgb = { r: key >> 16, g: (key >> 8) & 255, b: key & 255 };
+                const distance = Math.min(...reference.map(color => colorDistance(rgb, color.rgb, metric)));
+                status = BRAND_PIXEL_STATUSES.indexOf(getBrandStatus(distance, onBrand, nearBrand));
+                statusByColor.set(key, status);
+            }
+            result[p] = status;
+            pixels[BRAND_PIXEL_STATUSES[status]]++;
+        }
+        return result;
+    });
+    
+    const total = pixels.on + pixels.near + pixels.off || 1;
+    const compliance = Object.fromEntries(Object.entries(pixels).map(([status, count]) => [status, count / total * 100]));
+    return { compliance, pixels, statuses };
+}
+
+/**
+ * Collect an audit into a report
+ * @param {object} audit - Result of auditBrandColors
+ * @param {Array} reference - Approved colors {hex, name?}
+ * @param {object} details - {source, basis, onBrand, nearBrand, metric}: what was audited and how
+ * @returns {object} {exportDate, source, basis, tolerances, compliance, reference, colors}
+ */
+function createBrandAuditReport(audit, reference, details) {
+    const round = (value) => Number(value.toFixed(2));
+    
+    return {
+        exportDate: new Date().toISOString(),
+        source: details.source || null,
+        basis: details.basis,
+        tolerances: { metric: details.metric, onBrand: details.onBrand, nearBrand: details.nearBrand },
+        compliance: {
+            on: round(audit.compliance.on),
+            near: round(audit.compliance.near),
+            off: round(audit.compliance.off)
+        },
+        reference: reference.map(color => ({ hex: color.hex, ...(color.name && { name: color.name }) })),
+        colors: audit.colors.map(color => ({
+            hex: color.hex,
+            ...(color.name && { name: color.name }),
+            usage: round(color.share),
+            status: color.status,
+            closest: color.closest,
+            distance: round(color.distance)
+        }))
+    };
+}
+
+/**
+ * One row per audited color
+ * @param {object} report - Report from createBrandAuditReport
+ * @returns {string} CSV text
+ */
+function buildBrandAuditCsv(report) {
+    const rows = [['Color', 'Name', `Usage by ${report.basis} (%)`, 'Status', 'Closest approved color', 'Approved name', 'ΔE']];
+    report.colors.forEach(color => {
+        rows.push([color.hex, color.name, color.usage, BRAND_AUDIT_STATUSES[color.status].label, color.closest.hex, color.closest.name, color.distance]);
+    });
+    
+    return rows.map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * A standalone page with the compliance summary and every audited color
+ * @param {object} report - Report from createBrandAuditReport
+ * @returns {string} HTML document
+ */
+function buildBrandAuditHtml(report) {
+    const swatch = (hex) => `<span class="swatch" style="background:${hex}"></span>`;
+    const colorRows = report.colors.map(color => `
+      <tr class="${color.status}">
+        <td>${swatch(color.hex)} <code>${color.hex}</code>${color.name ? ` ${escapeHtml(color.name)}` : ''}</td>
+        <td>${color.usage.toFixed(2)}%</td>
+        <td>${BRAND_AUDIT_STATUSES[color.status].label}</td>
+        <td>${swatch(color.closest.hex)} <code>${color.closest.hex}</code>${color.closest.name ? ` ${escapeHtml(color.closest.name)}` : ''}</td>
+        <td>${color.distance.toFixed(2)}</td>
+      </tr>`).join('');
+    const summary = Object.entries(BRAND_AUDIT_STATUSES)
+        .map(([status, definition]) => `${definition.label} ${report.compliance[status].toFixed(2)}%`).join(' · ');
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>ColorTrace brand audit</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #111827; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { text-align: left; vertical-align: top; padding: 0.5rem; border-bottom: 1px solid #e5e7eb; }
+    .swatch { display: inline-block; width: 1em; height: 1em; border: 1px solid #d1d5db; border-radius: 3px; vertical-align: middle; }
+    .on td:nth-child(3) { color: #047857; }
+    .near td:nth-child(3) { color: #b45309; }
+    .off td:nth-child(3) { color: #b91c1c; }
+  </style>
+</head>
+<body>
+  <h1>ColorTrace brand audit</h1>
+  <p>${report.source ? `${escapeHtml(report.source)} · ` : ''}${escapeHtml(report.exportDate)}</p>
+  <p><strong>${report.compliance.on.toFixed(2)}% on-brand</strong> by ${escapeHtml(report.basis)} · ${summary}</p>
+  <p>On-brand within ΔE ${report.tolerances.onBrand}, near-brand within ΔE ${report.tolerances.nearBrand} (${escapeHtml(report.tolerances.metric)})</p>
+  <h2>Approved colors</h2>
+  <p>${report.reference.map(color => `${swatch(color.hex)} <code>${color.hex}</code>${color.name ? ` ${escapeHtml(color.name)}` : ''}`).join(' &nbsp; ')}</p>
+  <h2>Audited colors</h2>
+  <table>
+    <thead><tr><th>Color</th><th>Usage</th><th>Status</th><th>Closest approved color</th><th>ΔE</th></tr></thead>
+    <tbody>${colorRows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Build a brand audit report file
+ * @param {object} report - Report from createBrandAuditReport
+ * @param {string} format - Key of BRAND_AUDIT_REPORT_FORMATS
+ * @returns {object} {blob, filename}
+ */
+function buildBrandAuditReport(report, format) {
+    const definition = BRAND_AUDIT_REPORT_FORMATS[format];
+    if (!definition) {
+        throw new Error(`Unknown report format: ${format}`);
+    }
+    
+    return {
+        blob: new Blob([definition.build(report)], { type: definition.mimeType }),
+        filename: `colortrace-brand-audit.${definition.extension}`
+    };
+}
@@ -0,0 +1,244 @@
+/**
+ * Brand Panel
+ * Audits the current palette against a reference palette of approved
+ * colors, highlights off-brand pixels on the preview and exports the audit
+ */
+
+const BRAND_AUDIT_SETTINGS_KEY = 'brandAudit';
+
+// Approved colors and tolerances are saved, so the same brand can be checked across files
+let brandSettings = { reference: [], ...DEFAULT_BRAND_AUDIT_OPTIONS };
+let brandAudit = null;
+// Off-brand pixels of the analyzed images, one Uint8Array per stage assignment, or null
+let offBrandPixelMasks = null;
+
+// DOM Elements
+const brandPanel = document.getElementById('brandPanel');
+const brandReferenceText = document.getElementById('brandReferenceText');
+const applyBrandReferenceBtn = document.getElementById('applyBrandReference');
+const loadBrandReferenceBtn = document.getElementById('loadBrandReference');
+const brandReferenceFileInput = document.getElementById('brandReferenceFile');
+const useCurrentAsBrandBtn = document.getElementById('useCurrentAsBrand');
+const brandOnToleranceInput = document.getElementById('brandOnTolerance');
+const brandNearToleranceInput = document.getElementById('brandNearTolerance');
+const brandReferenceSwatches = document.getElementById('brandReferenceSwatches');
+const brandSummary = document.getElementById('brandSummary');
+const brandResults = document.getElementById('brandResults');
+const highlightOffBrandBtn = document.getElementById('highlightOffBrand');
+const brandReportFormatSelect = document.getElementById('brandReportFormat');
+const exportBrandReportBtn = document.getElementById('exportBrandReport');
+
+/**
+ * Setup reference palette controls and restore the saved brand
+ */
+function setupBrandPanel() {
+    fillSelect(brandReportFormatSelect, Object.entries(BRAND_AUDIT_REPORT_FORMATS).map(([key, format]) => [key, format.label]));
+    brandReportFormatSelect.value = DEFAULT_BRAND_AUDIT_REPORT_FORMAT;
+    
+    brandSettings = loadSettings(BRAND_AUDIT_SETTINGS_KEY, brandSettings);
+    // Saved colors are checked like any other input
+    brandSettings.reference = brandSettings.reference.filter(color => color && isValidHex(color.hex))
+        .map(color => ({ hex: color.hex, rgb: hexToRgb(color.hex), ...(color.name && { name: String(color.name) }) }));
+    brandReferenceText.value = formatBrandReference(brandSettings.reference);
+    brandOnToleranceInput.value = brandSettings.onBrand;
+    brandNearToleranceInput.value = brandSettings.nearBrand;
+    
+    applyBrandReferenceBtn.addEventListener('click', () => {
+        try {
+            setBrandReference(parseBrandReference(brandReferenceText.value));
+        } catch (error) {
+            showToast(error.message, 3000);
+        }
+    });
+    
+    loadBrandReferenceBtn.addEventListener('click', () => brandReferenceFileInput.click());
+    brandReferenceFileInput.addEventListener('change', async () => {
+        const file = brandReferenceFileInput.files[0];
+        brandReferenceFileInput.value = '';
+        if (!file) return;
+        
+        try {
+            const colors = await importPalette(file);
+            setBrandReference(colors.map(({ hex, rgb, name }) => ({ hex, rgb, ...(name && { name }) })));
+            showToast(`Loaded ${brandSettings.reference.length} approved color${brandSettings.reference.length !== 1 ? 's' : ''} from ${file.name}`);
+        } catch (error) {
+            showToast(`Could not read ${file.name}: ${error.message}`, 3000);
+        }
+    });
+    
+    useCurrentAsBrandBtn.addEventListener('click', () => {
+        setBrandReference(currentColors.map(({ hex, rgb, name }) => ({ hex, rgb, ...(name && { name }) })));
+    });
+    
+    [brandOnToleranceInput, brandNearToleranceInput].forEach(input => {
+        input.addEventListener('change', () => {
+            const onBrand = Math.max(0, parseFloat(brandOnToleranceInput.value) || 0);
+            brandSettings.onBrand = onBrand;
+            brandSettings.nearBrand = Math.max(onBrand, parseFloat(brandNearToleranceInput.value) || 0);
+            brandOnToleranceInput.value = brandSettings.onBrand;
+            brandNearToleranceInput.value = brandSettings.nearBrand;
+            saveBrandSettings();
+            renderBrandAudit();
+        });
+    });
+    
+    highlightOffBrandBtn.addEventListener('click', () => {
+        if (isOffBrandHighlighted()) {
+            highlightPixels(null);
+            return;
+        }
+        highlightPixels(offBrandPixelMasks);
+        // The preview sits above the results and may be scrolled out of view
+        previewStageContainer.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    });
+    exportBrandReportBtn.addEventListener('click', exportBrandAuditReport);
+}
+
+/**
+ * Save the approved colors (without derived RGB values) and tolerances
+ */
+function saveBrandSettings() {
+    saveSettings(BRAND_AUDIT_SETTINGS_KEY, {
+        ...brandSettings,
+        reference: brandSettings.reference.map(({ hex, name }) => ({ hex, ...(name && { name }) }))
+    });
+}
+
+/**
+ * Replace the approved colors and audit the palette against them
+ * @param {Array} reference - Approved colors {hex, rgb, name?}
+ */
+function setBrandReference(reference) {
+    brandSettings.reference = reference;
+    brandReferenceText.value = formatBrandReference(reference);
+    saveBrandSettings();
+    renderBrandAudit();
+}
+
+/**
+ * Audit a new palette
+ * @param {Array} colors - Palette colors
+ */
+function updateBrandPanel(colors) {
+    if (colors.length === 0) {
+        brandPanel.style.display = 'none';
+        return;
+    }
+    brandPanel.style.display = 'block';
+    renderBrandAudit();
+}
+
+/**
+ * Whether the preview currently highlights the off-brand pixels
+ * @returns {boolean} True if the off-brand highlight is shown
+ */
+function isOffBrandHighlighted() {
+    return Boolean(offBrandPixelMasks) && locatedPixelMasks === offBrandPixelMasks;
+}
+
+/**
+ * Enable the highlight toggle when the analyzed images have off-brand pixels
+ */
+function updateBrandHighlightButton() {
+    const active = isOffBrandHighlighted();
+    highlightOffBrandBtn.disabled = !(brandAudit && brandAudit.pixels && brandAudit.pixels.off > 0) && !active;
+    highlightOffBrandBtn.classList.toggle('active', active);
+    highlightOffBrandBtn.setAttribute('aria-pressed', String(active));
+    highlightOffBrandBtn.textContent = active ? 'Hide Off-brand Pixels' : 'Highlight Off-brand Pixels';
+}
+
+/**
+ * What the compliance of the current audit measures
+ * @returns {string} 'pixel area' for analyzed images, otherwise 'usage'
+ */
+function getBrandAuditBasis() {
+    return brandAudit && brandAudit.pixels ? 'pixel area' : 'usage';
+}
+
+/**
+ * Whether the palette comes from the analyzed preview, and every analyzed
+ * area kept the color of each pixel
+ * @returns {boolean} True if the pixels can be audited one by one
+ */
+function canAuditBrandPixels() {
+    return stageAssignments.length > 0 && stageAssignments.every(assignment => assignment.pixelColors)
+        && currentColors.some(color => canLocateColor(color.hex));
+}
+
+/**
+ * Audit the current palette and render the summary and the color list
+ */
+function renderBrandAudit() {
+    const { reference, onBrand, nearBrand } = brandSettings;
+    brandReferenceSwatches.innerHTML = reference.map(color => `
+        <span class="region-swatch" style="background-color: ${color.hex};" title="${color.hex}${color.name ? ` ${escapeHtml(color.name)}` : ''}"></span>`).join('');
+    
+    const wasHighlighted = isOffBrandHighlighted();
+    brandAudit = reference.length > 0 && currentColors.length > 0
+        ? auditBrandColors(currentColors, reference, { onBrand, nearBrand }, colorExtractor.distanceMetric)
+        : null;
+    offBrandPixelMasks = null;
+    
+    // Palette colors are clusters of similar pixels, so for images the
+    // compliance and the highlight come from the color of every pixel
+    if (brandAudit && canAuditBrandPixels()) {
+        const pixelAudit = auditBrandPixels(stageAssignments, reference, { onBrand, nearBrand }, colorExtractor.distanceMetric);
+        const offStatus = BRAND_PIXEL_STATUSES.indexOf('off');
+        brandAudit.compliance = pixelAudit.compliance;
+        brandAudit.pixels = pixelAudit.pixels;
+        offBrandPixelMasks = pixelAudit.statuses.map(statuses => statuses.map(status => status === offStatus ? 1 : 0));
+    }
+    exportBrandReportBtn.disabled = !brandAudit;
+    
+    // A highlight from the previous audit follows the new one
+    if (wasHighlighted) {
+        highlightPixels(brandAudit && brandAudit.pixels && brandAudit.pixels.off > 0 ? offBrandPixelMasks : null);
+    } else {
+        updateBrandHighlightButton();
+    }
+    
+    if (!brandAudit) {
+        brandSummary.innerHTML = '<p class="setting-hint">Add approved colors to check the palette against them.</p>';
+        brandResults.innerHTML = '';
+        return;
+    }
+    
+    const { compliance } = brandAudit;
+    brandSummary.innerHTML = `
+        <p class="brand-compliance"><strong>${compliance.on.toFixed(1)}%</strong> on-brand by ${getBrandAuditBasis()}</p>
+        <div class="brand-bar" role="img" aria-label="${Object.entries(BRAND_AUDIT_STATUSES).map(([status, definition]) => `${definition.label} ${compliance[status].toFixed(1)}%`).join(', ')}">
+            ${Object.keys(BRAND_AUDIT_STATUSES).map(status => `<span class="brand-bar-${status}" style="width: ${compliance[status]}%;"></span>`).join('')}
+        </div>
+        <p class="brand-legend">${Object.entries(BRAND_AUDIT_STATUSES).map(([status, definition]) =>
+            `<span class="brand-status ${status}">${definition.label} ${compliance[status].toFixed(1)}%</span>`).join('')}</p>`;
+    
+    brandResults.innerHTML = brandAudit.colors.map(color => `
+        <li class="brand-color">
+            <span class="region-swatch" style="background-color: ${color.hex};"></span>
+            <code>${color.hex}</code>
+            <span class="brand-share">${color.share.toFixed(1)}%</span>
+            <span class="brand-status ${color.status}">${BRAND_AUDIT_STATUSES[color.status].label}</span>
+            <span class="brand-closest">
+                <span class="region-swatch" style="background-color: ${color.closest.hex};"></span>
+                ${color.closest.name ? escapeHtml(color.closest.name) : `<code>${color.closest.hex}</code>`} · ΔE ${color.distance.toFixed(1)}
+            </span>
+        </li>`).join('');
+}
+
+/**
+ * Download the audit in the selected report format
+ */
+function exportBrandAuditReport() {
+    if (!brandAudit) return;
+    
+    const report = createBrandAuditReport(brandAudit, brandSettings.reference, {
+        source: librarySource ? librarySource.name : null,
+        basis: getBrandAuditBasis(),
+        onBrand: brandSettings.onBrand,
+        nearBrand: brandSettings.nearBrand,
+        metric: COLOR_DISTANCE_METRICS[colorExtractor.distanceMetric].label
+    });
+    const { blob, filename } = buildBrandAuditReport(report, brandReportFormatSelect.value);
+    downloadBlob(blob, filename);
+    showToast(`Brand audit downloaded: ${report.compliance.on}% on-brand`);
+}
@@ -0,0 +1,169 @@
+/**
+ * Code Color Scanner
+ * Finds the color literals in pasted code (CSS, SCSS/Less, HTML, SVG, JSON
+ * or plain text) with their line and column, for the Paste Code tab
+ */
+
+const CODE_FORMATS = {
+    css: { label: 'CSS' },
+    scss: { label: 'SCSS / Less' },
+    html: { label: 'HTML' },
+    svg: { label: 'SVG' },
+    json: { label: 'JSON / design tokens' },
+    text: { label: 'Plain text' }
+};
+
+// Markup attributes whose whole value is a color
+const COLOR_ATTRIBUTES = new Set([
+    'fill', 'stroke', 'color', 'bgcolor', 'stop-color', 'flood-color', 'lighting-color',
+    'text', 'link', 'vlink', 'alink'
+]);
+
+/**
+ * Guess the format of pasted code
+ * @param {string} code - Pasted text
+ * @returns {string} Key of CODE_FORMATS
+ */
+function detectCodeFormat(code) {
+    const text = code.trim();
+    
+    if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!doctype svg[^>]*>\s*)?<svg\b/i.test(text)) return 'svg';
+    if (text.startsWith('<')) return 'html';
+    if (/^[{[]/.test(text)) {
+        try {
+            JSON.parse(text);
+            return 'json';
+        } catch (error) {
+            // Not JSON; may still be CSS
+        }
+    }
+    
+    // Sass and Less variables, or // comments
+    if (/^\s*[$@][\w-]+\s*:/m.test(text) || /^\s*\/\//m.test(text)) return 'scss';
+    if (/\{[^}]*:[^}]*\}/.test(text)) return 'css';
+    return 'text';
+}
+
+/**
+ * Find every color literal in pasted code: HEX values and color functions
+ * anywhere, and named colors where the format puts color values
+ * @param {string} code - Pasted text
+ * @param {string} format - Key of CODE_FORMATS
+ * @param {Function} parse - Color text -> {r, g, b} or null
+ * @returns {Array} Occurrences {literal, hex, rgb, index, length, line, column}
+ *                  with 1-based line and column, in order of appearance
+ */
+function findCodeColors(code, format, parse = parseCssColor) {
+    const occurrences = [];
+    const lineStarts = [0];
+    for (let i = 0; i < code.length; i++) {
+        if (code[i] === '\n') lineStarts.push(i + 1);
+    }
+    let line = 0;
+    
+    const addOccurrence = (literal, index) => {
+        const rgb = parse(literal);
+        if (!rgb) return false;
+        
+        while (line + 1 < lineStarts.length && lineStarts[line + 1] <= index) line++;
+        occurrences.push({
+            literal,
+            hex: rgbToHex(rgb.r, rgb.g, rgb.b),
+            rgb,
+            index,
+            length: literal.length,
+            line: line + 1,
+            column: index - lineStarts[line] + 1
+        });
+        return true;
+    };
+    
+    // Same tokens as findCssColorValues; functions that are not colors are scanned inside
+    const token = /#[0-9a-f]{3,8}\b|(-*[a-z_][\w-]*)(\()?/gi;
+    let match;
+    while ((match = token.exec(code))) {
+        const before = code.slice(Math.max(0, match.index - 16), match.index);
+        
+        if (match[0].startsWith('#')) {
+            // Skip character references (&#123;), links (href="#abc") and CSS id selectors
+            const isReference = /(&|[\w-]|url\(\s*["']?|href\s*=\s*["']?)$/i.test(before);
+            const isSelector = (format === 'css' || format === 'scss') && !isCssValueContext(code, match.index);
+            if ([3, 4, 6, 8].includes(match[0].length - 1) && !isReference && !isSelector) {
+                addOccurrence(match[0], match.index);
+            }
+            continue;
+        }
+        
+        const name = match[1].toLowerCase();
+        if (match[2]) {
+            if (!/[\w-]$/.test(before) && CSS_COLOR_FUNCTION_NAMES.includes(name)) {
+                const end = findClosingParen(code, token.lastIndex - 1);
+                if (addOccurrence(code.slice(match.index, end + 1), match.index)) {
+                    token.lastIndex = end + 1;
+                }
+            }
+            continue;
+        }
+        
+        // Sass and Less variables ($red, @red) are names, not colors
+        if (!name.startsWith('-') && !/[\w$@#-]$/.test(before) && name !== 'transparent' &&
+            getCssNamedColor(name) && isNamedColorContext(code, match.index, match[0].length, format)) {
+            addOccurrence(match[0], match.index);
+        }
+    }
+    return occurrences;
+}
+
+/**
+ * Whether a position is inside a CSS declaration value (after the colon)
+ * @param {string} code - Source text
+ * @param {number} index - Position
+ * @param {number} start - Earliest position of the declaration, e.g. an attribute's opening quote
+ * @returns {boolean} True for values, false for selectors and property names
+ */
+function isCssValueContext(code, index, start = 0) {
+    for (let i = index - 1; i >= start; i--) {
+        if (code[i] === ':') return true;
+        if (code[i] === ';' || code[i] === '{' || code[i] === '}') return false;
+    }
+    return false;
+}
+
+/**
+ * Whether a color keyword sits where the format expects a color, so that
+ * words like "red" in prose, class names or selectors are not counted
+ * @param {string} code - Source text
+ * @param {number} index - Start of the keyword
+ * @param {number} length - Keyword length
+ * @param {string} format - Key of CODE_FORMATS
+ * @returns {boolean} True if the keyword is a color value
+ */
+function isNamedColorContext(code, index, length, format) {
+    if (format === 'css' || format === 'scss') return isCssValueContext(code, index);
+    
+    if (format === 'json') {
+        // A string value that is exactly the keyword
+        return code[index + length] === '"' && /[:[,]\s*"$/.test(code.slice(Math.max(0, index - 64), index));
+    }
+    
+    if (format === 'html' || format === 'svg') {
+        const tagStart = code.lastIndexOf('<', index);
+        const inTag = tagStart > code.lastIndexOf('>', index - 1);
+        if (!inTag) {
+            // Text inside a <style> element is CSS; other text is prose
+            const styleStart = Math.max(code.lastIndexOf('<style', index), code.lastIndexOf('<STYLE', index));
+            const styleEnd = Math.max(code.lastIndexOf('</style', index), code.lastIndexOf('</STYLE', index));
+            const inStyle = styleStart > styleEnd;
+            return inStyle && isCssValueContext(code, index, styleStart);
+        }
+        
+        const attribute = code.slice(tagStart, index).match(/([\w:-]+)\s*=\s*(["']?)([^"'=]*)$/);
+        if (!attribute) return false;
+        
+        const name = attribute[1].toLowerCase();
+        if (name === 'style') return isCssValueContext(code, index, index - attribute[3].length);
+        return COLOR_ATTRIBUTES.has(name);
+    }
+    
+    return false;
+}
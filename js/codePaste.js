@@ -0,0 +1,166 @@
+/**
+ * Paste Code Tab
+ * Extracts the colors of pasted code and shows the analyzed source with
+ * line numbers, highlighting where a color appears
+ */
+
+// Line numbers listed on a color card before "and N more"
+const MAX_LISTED_LINES = 8;
+
+// Source of the last extraction and the color highlighted in it
+let codeSource = '';
+let highlightedCodeColor = null;
+
+// DOM Elements
+const codeInput = document.getElementById('codeInput');
+const codeFormatSelect = document.getElementById('codeFormat');
+const extractCodeBtn = document.getElementById('extractCodeBtn');
+const editCodeBtn = document.getElementById('editCodeBtn');
+const codeView = document.getElementById('codeView');
+const pasteCodeTab = document.querySelector('.tab-btn[data-tab="paste-code"]');
+
+/**
+ * Setup the paste code controls
+ */
+function setupCodePaste() {
+    fillSelect(codeFormatSelect, [
+        ['auto', 'Detect format'],
+        ...Object.entries(CODE_FORMATS).map(([key, definition]) => [key, definition.label])
+    ]);
+    
+    extractCodeBtn.addEventListener('click', extractCodeColors);
+    editCodeBtn.addEventListener('click', () => showCodeView(false));
+    
+    // Ctrl+Enter extracts without leaving the keyboard
+    codeInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            extractCodeColors();
+        }
+    });
+    
+    // Clicking a literal highlights every literal of its color
+    codeView.addEventListener('click', (e) => {
+        const literal = e.target.closest('.code-color');
+        if (literal) highlightCodeColor(literal.dataset.hex);
+    });
+}
+
+/**
+ * Extract the colors of the pasted code and show them
+ */
+function extractCodeColors() {
+    const code = codeInput.value;
+    if (!code.trim()) {
+        showToast('Paste some code first', 3000);
+        return;
+    }
+    
+    const format = codeFormatSelect.value === 'auto' ? detectCodeFormat(code) : codeFormatSelect.value;
+    try {
+        const colors = colorExtractor.extractFromCode(code, format);
+        codeSource = code;
+        highlightedCodeColor = null;
+        setLibrarySource({ type: 'code', name: `Pasted ${CODE_FORMATS[format].label}` });
+        
+        displayColors(colors);
+        renderCodeView(colors);
+        showCodeView(true);
+        showToast(`Found ${colors.length} color${colors.length !== 1 ? 's' : ''} in the ${CODE_FORMATS[format].label}`);
+    } catch (error) {
+        console.error('Error extracting colors from code:', error);
+        showToast('Error extracting colors: ' + error.message, 4000);
+    }
+}
+
+/**
+ * Switch between the editor and the analyzed source
+ * @param {boolean} visible - Whether to show the analyzed source
+ */
+function showCodeView(visible) {
+    codeView.hidden = !visible;
+    codeInput.hidden = visible;
+    editCodeBtn.hidden = !visible;
+    extractCodeBtn.hidden = visible;
+    
+    if (!visible) codeInput.focus();
+}
+
+/**
+ * Render the analyzed source with line numbers, marking every color literal
+ * @param {Array} colors - Colors with locations from extractFromCode
+ */
+function renderCodeView(colors) {
+    // Literals per line, each tagged with the palette color it belongs to
+    const literalsByLine = new Map();
+    colors.forEach(color => {
+        color.locations.forEach(location => {
+            if (!literalsByLine.has(location.line)) literalsByLine.set(location.line, []);
+            literalsByLine.get(location.line).push({ ...location, hex: color.hex });
+        });
+    });
+    
+    const lines = codeSource.split('\n').map((text, i) => {
+        const literals = (literalsByLine.get(i + 1) || []).sort((a, b) => a.column - b.column);
+        let html = '';
+        let position = 0;
+        literals.forEach(literal => {
+            const start = literal.column - 1;
+            html += escapeHtml(text.slice(position, start));
+            html += `<mark class="code-color" data-hex="${literal.hex}" style="--code-color: ${literal.hex}" title="${literal.hex}">${escapeHtml(text.slice(start, start + literal.length))}</mark>`;
+            position = start + literal.length;
+        });
+        html += escapeHtml(text.slice(position).replace(/\r$/, ''));
+        
+        return `<div class="code-line" data-line="${i + 1}"><span class="code-line-number">${i + 1}</span><code>${html || ' '}</code></div>`;
+    });
+    
+    codeView.innerHTML = lines.join('');
+}
+
+/**
+ * Whether a color was extracted from the pasted code
+ * @param {object} color - Color object
+ * @returns {boolean} True if it has locations in the source
+ */
+function canShowInCode(color) {
+    return Boolean(color.locations && color.locations.length);
+}
+
+/**
+ * Describe where a color appears in the source
+ * @param {object} color - Color with locations
+ * @returns {string} E.g. "Lines 3, 7, 12"
+ */
+function describeCodeLocations(color) {
+    const lines = Array.from(new Set(color.locations.map(location => location.line)));
+    const listed = lines.slice(0, MAX_LISTED_LINES).join(', ');
+    const more = lines.length > MAX_LISTED_LINES ? ` and ${lines.length - MAX_LISTED_LINES} more` : '';
+    return `${lines.length === 1 ? 'Line' : 'Lines'} ${listed}${more}`;
+}
+
+/**
+ * Highlight the literals of a color in the source, or clear the highlight
+ * if it is already shown
+ * @param {string} hex - HEX color
+ */
+function highlightCodeColor(hex) {
+    highlightedCodeColor = highlightedCodeColor === hex ? null : hex;
+    
+    // Results stay visible on every tab; the source lives on this one
+    if (highlightedCodeColor && !pasteCodeTab.classList.contains('active')) pasteCodeTab.click();
+    showCodeView(true);
+    
+    codeView.classList.toggle('has-highlight', Boolean(highlightedCodeColor));
+    codeView.querySelectorAll('.code-color').forEach(literal => {
+        literal.classList.toggle('active', literal.dataset.hex === highlightedCodeColor);
+    });
+    document.querySelectorAll('.show-code-btn').forEach(button => {
+        const active = button.dataset.hex === highlightedCodeColor;
+        button.classList.toggle('active', active);
+        button.textContent = active ? 'Hide in code' : 'Show in code';
+    });
+    
+    const first = codeView.querySelector('.code-color.active');
+    if (first) first.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
@@ -0,0 +1,184 @@
+/**
+ * Color Distance Module
+ * Perceptual color difference metrics. Every metric reports distances on the
+ * CIE ΔE scale (1 ≈ just noticeable difference), so one tolerance value
+ * means the same thing whichever metric is selected.
+ */
+
+const COLOR_DISTANCE_METRICS = {
+    ciede2000: { label: 'CIEDE2000', space: 'lab' },
+    cie94: { label: 'CIE94', space: 'lab' },
+    cie76: { label: 'CIE76', space: 'lab' },
+    oklab: { label: 'OKLab', space: 'oklab' }
+};
+
+const DEFAULT_DISTANCE_METRIC = 'ciede2000';
+const DEFAULT_SIMILARITY_THRESHOLD = 8;
+
+// OKLab distances are ~100x smaller than CIELAB ones; scale them onto the ΔE range
+const OKLAB_DELTA_E_SCALE = 100;
+
+// Converted colors keyed by packed RGB, so repeated comparisons stay cheap
+const labCache = new Map();
+const oklabCache = new Map();
+const COLOR_CACHE_LIMIT = 65536;
+
+/**
+ * Convert RGB to a perceptual space with caching
+ * @param {object} rgb - RGB color {r, g, b}
+ * @param {string} space - 'lab' or 'oklab'
+ * @returns {object} Converted color {l, a, b}
+ */
+function toPerceptualSpace(rgb, space) {
+    const cache = space === 'oklab' ? oklabCache : labCache;
+    const key = (Math.round(rgb.r) << 16) | (Math.round(rgb.g) << 8) | Math.round(rgb.b);
+    
+    let value = cache.get(key);
+    if (!value) {
+        if (cache.size >= COLOR_CACHE_LIMIT) cache.clear();
+        value = space === 'oklab' ? rgbToOklab(rgb) : rgbToLab(rgb);
+        cache.set(key, value);
+    }
+    return value;
+}
+
+/**
+ * CIE76 color difference (Euclidean distance in CIELAB)
+ * @param {object} lab1 - Lab color {l, a, b}
+ * @param {object} lab2 - Lab color {l, a, b}
+ * @returns {number} ΔE*ab
+ */
+function deltaE76(lab1, lab2) {
+    return Math.sqrt(
+        Math.pow(lab1.l - lab2.l, 2) +
+        Math.pow(lab1.a - lab2.a, 2) +
+        Math.pow(lab1.b - lab2.b, 2)
+    );
+}
+
+/**
+ * CIE94 color difference (graphic arts weights, lab1 is the reference)
+ * @param {object} lab1 - Reference Lab color
+ * @param {object} lab2 - Sample Lab color
+ * @returns {number} ΔE*94
+ */
+function deltaE94(lab1, lab2) {
+    const dL = lab1.l - lab2.l;
+    const c1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
+    const c2 = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b);
+    const dC = c1 - c2;
+    const da = lab1.a - lab2.a;
+    const db = lab1.b - lab2.b;
+    const dH2 = Math.max(0, da * da + db * db - dC * dC);
+    
+    const sC = 1 + 0.045 * c1;
+    const sH = 1 + 0.015 * c1;
+    
+    return Math.sqrt(dL * dL + Math.pow(dC / sC, 2) + dH2 / (sH * sH));
+}
+
+/**
+ * CIEDE2000 color difference (Sharma, Wu & Dalal implementation notes)
+ * @param {object} lab1 - Lab color {l, a, b}
+ * @param {object} lab2 - Lab color {l, a, b}
+ * @returns {number} ΔE00
+ */
+function deltaE2000(lab1, lab2) {
+    const toRadians = Math.PI / 180;
+    const toDegrees = 180 / Math.PI;
+    const pow25 = Math.pow(25, 7);
+    
+    const c1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
+    const c2 = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b);
+    const cMean7 = Math.pow((c1 + c2) / 2, 7);
+    const g = 0.5 * (1 - Math.sqrt(cMean7 / (cMean7 + pow25)));
+    
+    const a1 = (1 + g) * lab1.a;
+    const a2 = (1 + g) * lab2.a;
+    const cp1 = Math.sqrt(a1 * a1 + lab1.b * lab1.b);
+    const cp2 = Math.sqrt(a2 * a2 + lab2.b * lab2.b);
+    
+    const hue = (b, a) => (b === 0 && a === 0) ? 0 : (Math.atan2(b, a) * toDegrees + 360) % 360;
+    const hp1 = hue(lab1.b, a1);
+    const hp2 = hue(lab2.b, a2);
+    
+    const dL = lab2.l - lab1.l;
+    const dC = cp2 - cp1;
+    
+    let dh = 0;
+    if (cp1 * cp2 !== 0) {
+        dh = hp2 - hp1;
+        if (dh > 180) dh -= 360;
+        else if (dh < -180) dh += 360;
+    }
+    const dH = 2 * Math.sqrt(cp1 * cp2) * Math.sin(dh * toRadians / 2);
+    
+    const lMean = (lab1.l + lab2.l) / 2;
+    const cMean = (cp1 + cp2) / 2;
+    
+    let hMean = hp1 + hp2;
+    if (cp1 * cp2 !== 0) {
+        if (Math.abs(hp1 - hp2) <= 180) hMean /= 2;
+        else hMean = hMean < 360 ? (hMean + 360) / 2 : (hMean - 360) / 2;
+    }
+    
+    const t = 1
+        - 0.17 * Math.cos((hMean - 30) * toRadians)
+        + 0.24 * Math.cos(2 * hMean * toRadians)
+        + 0.32 * Math.cos((3 * hMean + 6) * toRadians)
+        - 0.20 * Math.cos((4 * hMean - 63) * toRadians);
+    
+    const dTheta = 30 * Math.exp(-Math.pow((hMean - 275) / 25, 2));
+    const cMeanPow7 = Math.pow(cMean, 7);
+    const rC = 2 * Math.sqrt(cMeanPow7 / (cMeanPow7 + pow25));
+    const lOffset = Math.pow(lMean - 50, 2);
+    const sL = 1 + 0.015 * lOffset / Math.sqrt(20 + lOffset);
+    const sC = 1 + 0.045 * cMean;
+    const sH = 1 + 0.015 * cMean * t;
+    const rT = -Math.sin(2 * dTheta * toRadians) * rC;
+    
+    return Math.sqrt(
+        Math.pow(dL / sL, 2) +
+        Math.pow(dC / sC, 2) +
+        Math.pow(dH / sH, 2) +
+        rT * (dC / sC) * (dH / sH)
+    );
+}
+
+/**
+ * OKLab Euclidean difference, scaled to the ΔE range
+ * @param {object} ok1 - OKLab color {l, a, b}
+ * @param {object} ok2 - OKLab color {l, a, b}
+ * @returns {number} ΔEOK × 100
+ */
+function deltaEOK(ok1, ok2) {
+    return OKLAB_DELTA_E_SCALE * Math.sqrt(
+        Math.pow(ok1.l - ok2.l, 2) +
+        Math.pow(ok1.a - ok2.a, 2) +
+        Math.pow(ok1.b - ok2.b, 2)
+    );
+}
+
+/**
+ * Perceptual distance between two RGB colors
+ * @param {object} color1 - First color {r, g, b}
+ * @param {object} color2 - Second color {r, g, b}
+ * @param {string} metric - Key of COLOR_DISTANCE_METRICS
+ * @returns {number} Distance on the ΔE scale
+ */
+function colorDistance(color1, color2, metric = DEFAULT_DISTANCE_METRIC) {
+    const definition = COLOR_DISTANCE_METRICS[metric] || COLOR_DISTANCE_METRICS[DEFAULT_DISTANCE_METRIC];
+    const p1 = toPerceptualSpace(color1, definition.space);
+    const p2 = toPerceptualSpace(color2, definition.space);
+    
+    switch (metric) {
+        case 'cie76':
+            return deltaE76(p1, p2);
+        case 'cie94':
+            return deltaE94(p1, p2);
+        case 'oklab':
+            return deltaEOK(p1, p2);
+        default:
+            return deltaE2000(p1, p2);
+    }
+}
@@ -3,10 +3,50 @@
  * Handles color extraction from various sources
  */
 
+// Worker script, relative to index.html
+const ANALYSIS_WORKER_URL = 'js/analysisWorker.js';
+
+// Page proxy (server/proxy.js) that fetches other sites' pages and stylesheets
+const DEFAULT_PROXY_ENDPOINT = 'http://localhost:8787/fetch';
+
+/**
+ * Intrinsic size of an image source; an <img> on the page reports its
+ * displayed size as width/height
+ * @param {CanvasImageSource} img - Image element, canvas or bitmap
+ * @returns {object} {width, height}
+ */
+function getImageSourceSize(img) {
+    return {
+        width: img.naturalWidth || img.width,
+        height: img.naturalHeight || img.height
+    };
+}
+
+/**
+ * Error for extractions stopped by the user
+ * @returns {DOMException} AbortError
+ */
+function createAbortError() {
+    return new DOMException('Extraction cancelled', 'AbortError');
+}
+
 class ColorExtractor {
     constructor() {
         this.colorMap = new Map();
-        this.similarityThreshold = 30;
+        // Tolerance in ΔE units for the selected perceptual metric
+        this.similarityThreshold = DEFAULT_SIMILARITY_THRESHOLD;
+        this.distanceMetric = DEFAULT_DISTANCE_METRIC;
+        // Sampling, filtering and quantization (see DEFAULT_ANALYSIS_OPTIONS)
+        this.analysisOptions = { ...DEFAULT_ANALYSIS_OPTIONS };
+        // Called with 0-1 while an image is analyzed
+        this.onProgress = null;
+        this.worker = null;
+        this.workerUnavailable = false;
+        this.pendingAnalysis = null;
+        this.cancelled = false;
+        // Pixel-to-color maps from the last extraction, for analyses run with keepAssignments
+        this.assignments = [];
+        this.proxyEndpoint = DEFAULT_PROXY_ENDPOINT;
     }
 
     /**
@@ -15,120 +55,257 @@ class ColorExtractor {
      * @returns {Promise<Array>} Array of color objects
      */
     async extractFromImage(file) {
-        return new Promise((resolve, reject) => {
+        this.cancelled = false;
+        this.assignments = [];
+        
+        const img = await new Promise((resolve, reject) => {
             const reader = new FileReader();
             
             reader.onload = (e) => {
-                const img = new Image();
-                
-                img.onload = () => {
-                    try {
-                        const colors = this.analyzeImage(img);
-                        resolve(colors);
-                    } catch (error) {
-                        reject(error);
-                    }
-                };
-                
-                img.onerror = () => reject(new Error('Failed to load image'));
-                img.src = e.target.result;
+                const image = new Image();
+                image.onload = () => resolve(image);
+                image.onerror = () => reject(new Error('Failed to load image'));
+                image.src = e.target.result;
             };
             
             reader.onerror = () => reject(new Error('Failed to read file'));
             reader.readAsDataURL(file);
         });
+        
+        return this.analyzeImage(img, { keepAssignments: true });
     }
 
     /**
-     * Analyze image and extract colors
-     * @param {HTMLImageElement} img - Image element
-     * @returns {Array} Array of color objects
+     * Extract a separate palette for each region of an image
+     * @param {CanvasImageSource} img - Image element, canvas or bitmap
+     * @param {Array} regions - Region outlines, each an array of {x, y} in image pixels
+     * @returns {Promise<Array>} One array of color objects per region
      */
-    analyzeImage(img) {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
+    async extractFromRegions(img, regions) {
+        this.cancelled = false;
+        this.assignments = [];
         
-        // Set canvas size (sample for performance)
-        const maxSize = 400;
-        let width = img.width;
-        let height = img.height;
-        
-        if (width > height && width > maxSize) {
-            height = (height / width) * maxSize;
-            width = maxSize;
-        } else if (height > maxSize) {
-            width = (width / height) * maxSize;
-            height = maxSize;
+        const palettes = [];
+        for (const points of regions) {
+            palettes.push(await this.analyzeImage(img, { region: points, keepAssignments: true }));
         }
+        return palettes;
+    }
+
+    /**
+     * Analyze image and extract colors. The pixel work runs in a Web Worker
+     * when the browser allows it, otherwise on the main thread in chunks.
+     * @param {CanvasImageSource} img - Image element, canvas or bitmap
+     * @param {object} options - Overrides for analysisOptions, plus region:
+     *                           an outline of {x, y} points; pixels outside it are ignored,
+     *                           and keepAssignments: add the pixel-to-color map to this.assignments
+     * @returns {Promise<Array>} Array of color objects
+     */
+    async analyzeImage(img, options = {}) {
+        if (this.cancelled) throw createAbortError();
         
-        canvas.width = width;
-        canvas.height = height;
+        const { region: points, ...overrides } = options;
+        const settings = {
+            ...normalizeAnalysisOptions({ ...this.analysisOptions, ...overrides }),
+            similarityThreshold: this.similarityThreshold,
+            distanceMetric: this.distanceMetric
+        };
         
-        // Draw image on canvas
-        ctx.drawImage(img, 0, 0, width, height);
+        // Only the region's bounding box is drawn, so small regions keep their detail
+        const size = getImageSourceSize(img);
+        const region = points ? { points, bounds: getRegionBounds(points, size.width, size.height) } : null;
         
-        // Get pixel data
-        const imageData = ctx.getImageData(0, 0, width, height);
-        const pixels = imageData.data;
+        let analysis = null;
+        if (this.canUseWorker()) {
+            try {
+                analysis = await this.analyzeInWorker(img, settings, region);
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.warn('Analysis worker failed, analyzing on the main thread:', error);
+            }
+        }
+        if (!analysis) {
+            analysis = await this.analyzeOnMainThread(img, settings, region);
+        }
         
-        // Clear previous data
-        this.colorMap.clear();
+        // Return top colors
+        const colors = this.finalizeColors(analysis.colors, settings.maxColors);
         
-        // Sample pixels (every nth pixel for performance)
-        const sampleRate = 5;
-        for (let i = 0; i < pixels.length; i += 4 * sampleRate) {
-            const r = pixels[i];
-            const g = pixels[i + 1];
-            const b = pixels[i + 2];
-            const a = pixels[i + 3];
+        if (analysis.assignment) {
+            const { width, height, indices, pixelColors } = analysis.assignment;
+            remapAssignment(indices, analysis.colors, colors, settings.distanceMetric);
+            this.assignments.push({
+                bounds: region ? region.bounds : { x: 0, y: 0, ...size },
+                width,
+                height,
+                indices,
+                pixelColors,
+                palette: colors.map(({ hex, rgb }) => ({ hex, rgb }))
+            });
+        }
+        return colors;
+    }
+
+    /**
+     * Whether images can be analyzed in a worker. Pages opened from file://
+     * cannot start workers, and older browsers lack OffscreenCanvas.
+     * @returns {boolean} True if the worker path is available
+     */
+    canUseWorker() {
+        return !this.workerUnavailable &&
+            typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap === 'function' &&
+            location.protocol !== 'file:';
+    }
+
+    /**
+     * Run the pixel analysis in the worker
+     * @param {CanvasImageSource} img - Image source
+     * @param {object} settings - Quantization and merge settings
+     * @param {object|null} region - {points, bounds} to restrict the analysis to
+     * @returns {Promise<object>} {colors, assignment}: unsorted color objects and the
+     *                            pixel assignment, if requested
+     */
+    async analyzeInWorker(img, settings, region) {
+        if (!this.worker) {
+            this.worker = new Worker(ANALYSIS_WORKER_URL);
+        }
+        const worker = this.worker;
+        const bitmap = region
+            ? await createImageBitmap(img, region.bounds.x, region.bounds.y, region.bounds.width, region.bounds.height)
+            : await createImageBitmap(img);
+        if (this.cancelled) throw createAbortError();
+        
+        return new Promise((resolve, reject) => {
+            this.pendingAnalysis = { reject };
             
-            // Skip transparent pixels
-            if (a < 128) continue;
+            worker.onmessage = (e) => {
+                const message = e.data;
+                if (message.type === 'progress') {
+                    this.reportProgress(message.progress);
+                    return;
+                }
+                
+                this.pendingAnalysis = null;
+                if (message.type === 'result') {
+                    resolve({ colors: message.colors, assignment: message.assignment });
+                } else {
+                    reject(new Error(message.message));
+                }
+            };
             
-            // Skip very dark or very light pixels (optional)
-            const luminance = getLuminance(r, g, b);
-            if (luminance < 0.05 || luminance > 0.95) continue;
+            // The script failed to load or crashed; use the main thread from now on
+            worker.onerror = (e) => {
+                e.preventDefault();
+                this.pendingAnalysis = null;
+                this.workerUnavailable = true;
+                worker.terminate();
+                if (this.worker === worker) this.worker = null;
+                reject(new Error(e.message || 'Analysis worker could not start'));
+            };
             
-            this.addColor(r, g, b);
+            worker.postMessage({ bitmap, options: settings, region }, [bitmap]);
+        });
+    }
+
+    /**
+     * Run the pixel analysis on the main thread, yielding between chunks
+     * so the progress display updates and cancelling stays possible
+     * @param {CanvasImageSource} img - Image source
+     * @param {object} settings - Quantization and merge settings
+     * @param {object|null} region - {points, bounds} to restrict the analysis to
+     * @returns {Promise<object>} {colors, assignment}: unsorted color objects and the
+     *                            pixel assignment, if requested
+     */
+    async analyzeOnMainThread(img, settings, region) {
+        const source = region ? region.bounds : { x: 0, y: 0, ...getImageSourceSize(img) };
+        const { width, height } = getAnalysisSize(source.width, source.height, settings.maxSize);
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, source.x, source.y, source.width, source.height, 0, 0, width, height);
+        const pixels = ctx.getImageData(0, 0, width, height).data;
+        const mask = region ? createRegionMask(region.points, region.bounds, width, height) : null;
+        
+        this.colorMap.clear();
+        for (const done of samplePixels(pixels, this.colorMap, settings, mask)) {
+            this.reportProgress(done * SAMPLING_PROGRESS_SHARE);
+            
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (this.cancelled) throw createAbortError();
         }
         
-        // Convert to sorted array
-        const colors = sortColorsByUsage(this.colorMap);
+        const colors = reduceHistogram(this.colorMap, settings);
         
-        // Calculate percentages
-        const totalCount = colors.reduce((sum, c) => sum + c.count, 0);
-        colors.forEach(color => {
-            color.percentage = ((color.count / totalCount) * 100).toFixed(2);
-        });
+        let assignment = null;
+        if (settings.keepAssignments) {
+            const indices = new Uint16Array(width * height);
+            const pixelColors = new Uint32Array(width * height);
+            for (const done of assignPixels(pixels, colors, settings, indices, mask, pixelColors)) {
+                this.reportProgress(SAMPLING_PROGRESS_SHARE + done * (1 - SAMPLING_PROGRESS_SHARE));
+                
+                await new Promise(resolve => setTimeout(resolve, 0));
+                if (this.cancelled) throw createAbortError();
+            }
+            assignment = { width, height, indices, pixelColors };
+        }
         
-        // Return top colors
-        return colors.slice(0, 50);
+        this.reportProgress(1);
+        return { colors, assignment };
+    }
+
+    /**
+     * Pass analysis progress to the listener
+     * @param {number} progress - Fraction done (0-1)
+     */
+    reportProgress(progress) {
+        if (this.onProgress) this.onProgress(progress);
+    }
+
+    /**
+     * Stop the running extraction. The pending analysis rejects with an AbortError.
+     */
+    cancel() {
+        this.cancelled = true;
+        
+        // Terminating is the only way to interrupt the worker mid-analysis
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        if (this.pendingAnalysis) {
+            this.pendingAnalysis.reject(createAbortError());
+            this.pendingAnalysis = null;
+        }
     }
 
     /**
-     * Add color to map or increment count
+     * Add color to the exact-color histogram or increment its count
      * @param {number} r - Red value
      * @param {number} g - Green value
      * @param {number} b - Blue value
+     * @param {number} weight - Amount to add (default 1)
      */
-    addColor(r, g, b) {
-        const hex = rgbToHex(r, g, b);
-        const rgb = { r, g, b };
-        
-        // Check if similar color exists
-        let found = false;
-        for (const [existingHex, data] of this.colorMap) {
-            if (areColorsSimilar(rgb, data.rgb, this.similarityThreshold)) {
-                data.count++;
-                found = true;
-                break;
-            }
-        }
+    addColor(r, g, b, weight = 1) {
+        addToHistogram(this.colorMap, r, g, b, weight);
+    }
+
+    /**
+     * Turn the collected histogram into a sorted palette (see reduceHistogram)
+     * @param {object} options - { algorithm, paletteSize } (quantization is skipped without paletteSize)
+     * @returns {Array} Array of color objects with percentages
+     */
+    buildPalette(options = {}) {
+        const colors = reduceHistogram(this.colorMap, {
+            ...options,
+            similarityThreshold: this.similarityThreshold,
+            distanceMetric: this.distanceMetric
+        });
         
-        // Add new color if not found
-        if (!found) {
-            this.colorMap.set(hex, { rgb, count: 1 });
-        }
+        return this.finalizeColors(colors, colors.length);
     }
 
     /**
@@ -137,95 +314,281 @@ class ColorExtractor {
      * @returns {Promise<Array>} Array of color objects
      */
     async extractFromPDF(file) {
-        // Note: Full PDF parsing requires external library like PDF.js
-        // This is a simplified version that shows the concept
-        showToast('PDF color extraction requires additional libraries. Showing sample colors.', 4000);
-        
-        // Return sample colors for demonstration
-        return [
-            { hex: '#000000', rgb: { r: 0, g: 0, b: 0 }, count: 100, percentage: '40.00' },
-            { hex: '#FFFFFF', rgb: { r: 255, g: 255, b: 255 }, count: 80, percentage: '32.00' },
-            { hex: '#333333', rgb: { r: 51, g: 51, b: 51 }, count: 50, percentage: '20.00' },
-            { hex: '#0066CC', rgb: { r: 0, g: 102, b: 204 }, count: 20, percentage: '8.00' }
-        ];
+        this.cancelled = false;
+        this.assignments = [];
+        const buffer = await file.arrayBuffer();
+        const parser = new PDFParser(buffer);
+        const { colors: vectorColors, images } = await parser.extractColors();
+        
+        // Vector colors are counted per painting operation and image colors
+        // per sampled pixel, so the vector art and each image weigh the same
+        const merged = new Map();
+        const mergeSource = (colors) => {
+            const total = colors.reduce((sum, color) => sum + color.count, 0);
+            colors.forEach(color => this.mergeColor(merged, { ...color, count: color.count / total * 100 }));
+        };
+        if (vectorColors.length > 0) mergeSource(vectorColors);
+        
+        // Embedded images go through the regular image pipeline
+        for (const image of images) {
+            try {
+                const source = await this.createImageSource(image);
+                const colors = await this.analyzeImage(source);
+                if (colors.length > 0) mergeSource(colors);
+                if (source.close) source.close();
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.warn('Skipping PDF image:', error);
+            }
+        }
+        
+        return this.finalizeColors(Array.from(merged.values()), this.analysisOptions.maxColors);
     }
 
     /**
-     * Extract colors from document files (DOC, PPT, XLS)
-     * @param {File} file - Document file
-     * @returns {Promise<Array>} Array of color objects
+     * Turn an extracted image into something the canvas can draw
+     * @param {object} image - { type: mime, data } or { type: 'raw', width, height, pixels }
+     * @returns {Promise<CanvasImageSource>} Drawable image source
      */
-    async extractFromDocument(file) {
-        // Note: Document parsing requires external libraries or backend processing
-        showToast('Document color extraction requires server-side processing. Showing sample colors.', 4000);
-        
-        // Return sample colors for demonstration
-        return [
-            { hex: '#0078D4', rgb: { r: 0, g: 120, b: 212 }, count: 100, percentage: '35.00' },
-            { hex: '#FFFFFF', rgb: { r: 255, g: 255, b: 255 }, count: 90, percentage: '31.50' },
-            { hex: '#323130', rgb: { r: 50, g: 49, b: 48 }, count: 60, percentage: '21.00' },
-            { hex: '#107C10', rgb: { r: 16, g: 124, b: 16 }, count: 35, percentage: '12.50' }
-        ];
+    async createImageSource(image) {
+        if (image.type === 'raw') {
+            const canvas = document.createElement('canvas');
+            canvas.width = image.width;
+            canvas.height = image.height;
+            canvas.getContext('2d').putImageData(new ImageData(image.pixels, image.width, image.height), 0, 0);
+            return canvas;
+        }
+        
+        return createImageBitmap(new Blob([image.data], { type: image.type }));
+    }
+
+    /**
+     * Merge a color entry into a map keyed by HEX, summing counts
+     * @param {Map} map - Target map
+     * @param {object} color - Color object {hex, rgb, count, cmyk?, sources?}
+     */
+    mergeColor(map, color) {
+        const existing = map.get(color.hex);
+        if (existing) {
+            existing.count += color.count;
+            if (color.cmyk && !existing.cmyk) existing.cmyk = color.cmyk;
+            if (color.sources) {
+                existing.sources = Array.from(new Set([...(existing.sources || []), ...color.sources]));
+            }
+        } else {
+            map.set(color.hex, { ...color });
+        }
     }
 
     /**
-     * Extract colors from current webpage
+     * Sort colors by usage and calculate percentages
+     * @param {Array} colors - Color objects with counts
+     * @param {number} limit - Maximum number of colors to return
      * @returns {Array} Array of color objects
      */
-    extractFromCurrentPage() {
-        this.colorMap.clear();
+    finalizeColors(colors, limit) {
+        colors = colors.slice().sort((a, b) => b.count - a.count);
         
-        // Get all elements
-        const allElements = document.querySelectorAll('*');
+        const totalCount = colors.reduce((sum, c) => sum + c.count, 0);
+        colors.forEach(color => {
+            color.percentage = ((color.count / totalCount) * 100).toFixed(2);
+        });
         
-        allElements.forEach(element => {
-            const styles = window.getComputedStyle(element);
-            
-            // Extract colors from various properties
-            const properties = [
-                'color',
-                'backgroundColor',
-                'borderColor',
-                'borderTopColor',
-                'borderRightColor',
-                'borderBottomColor',
-                'borderLeftColor',
-                'outlineColor'
-            ];
-            
-            properties.forEach(prop => {
-                const value = styles[prop];
-                if (value && value !== 'rgba(0, 0, 0, 0)' && value !== 'transparent') {
-                    const rgb = this.parseColor(value);
-                    if (rgb) {
-                        this.addColor(rgb.r, rgb.g, rgb.b);
-                    }
-                }
+        return colors.slice(0, limit);
+    }
+
+    /**
+     * Merge the palettes of several files into one, each file weighing the
+     * same whatever its size or number of colors
+     * @param {Array} palettes - {name, colors} per file
+     * @returns {Array} Color objects with the files {name, percentage, colors} that use them,
+     *                  where colors are the file's own HEX values merged into the color
+     */
+    mergePalettes(palettes) {
+        // A color's weight is its share of its file (palettes without usage share equally)
+        const shareOf = (color, colors) => parseFloat(color.percentage) || 100 / colors.length;
+        
+        this.colorMap.clear();
+        palettes.forEach(({ colors }) => {
+            colors.forEach(color => this.addColor(color.rgb.r, color.rgb.g, color.rgb.b, shareOf(color, colors)));
+        });
+        const merged = this.buildPalette();
+        const fileMaps = merged.map(() => new Map());
+        
+        palettes.forEach(({ name, colors }) => {
+            colors.forEach(color => {
+                const index = findNearestColorIndex(color.rgb, merged, this.distanceMetric);
+                const entry = fileMaps[index].get(name) || { name, share: 0, colors: [] };
+                entry.share += shareOf(color, colors);
+                if (!entry.colors.includes(color.hex)) entry.colors.push(color.hex);
+                fileMaps[index].set(name, entry);
             });
         });
+        merged.forEach((color, index) => {
+            color.files = Array.from(fileMaps[index].values())
+                .sort((a, b) => b.share - a.share)
+                .map(({ name, share, colors }) => ({ name, percentage: share.toFixed(2), colors }));
+        });
         
-        // Convert to sorted array
-        const colors = sortColorsByUsage(this.colorMap);
+        return merged;
+    }
+
+    /**
+     * Extract colors from Office Open XML documents (DOCX, PPTX, XLSX)
+     * @param {File} file - Document file
+     * @returns {Promise<Array>} Array of color objects tagged with their sources
+     */
+    async extractFromDocument(file) {
+        this.cancelled = false;
+        this.assignments = [];
+        const extension = file.name.toLowerCase().split('.').pop();
+        const buffer = await file.arrayBuffer();
         
-        // Calculate percentages
-        const totalCount = colors.reduce((sum, c) => sum + c.count, 0);
+        // Binary Office files start with the OLE compound document signature
+        const signature = new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength));
+        const isCompoundFile = signature[0] === 0xD0 && signature[1] === 0xCF && signature[2] === 0x11 && signature[3] === 0xE0;
+        if (['doc', 'ppt', 'xls'].includes(extension)) {
+            throw new Error(`Unsupported legacy format: binary .${extension} files cannot be read. Save the file as .${extension}x and try again.`);
+        }
+        if (isCompoundFile) {
+            // Password-protected DOCX/PPTX/XLSX are wrapped in the same container
+            throw new Error('Password-protected or legacy Office files are not supported');
+        }
+        
+        const parser = new OOXMLParser(new ZipReader(buffer));
+        const { colors: documentColors, images } = await parser.extractColors();
+        
+        const merged = new Map();
+        documentColors.forEach(color => this.mergeColor(merged, color));
+        
+        for (const image of images) {
+            try {
+                const source = await this.createImageSource(image);
+                (await this.analyzeImage(source)).forEach(color => this.mergeColor(merged, { ...color, sources: ['image'] }));
+                if (source.close) source.close();
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.warn(`Skipping embedded image ${image.name}:`, error);
+            }
+        }
+        
+        return this.finalizeColors(Array.from(merged.values()), this.analysisOptions.maxColors);
+    }
+
+    /**
+     * Extract the colors declared in the current page's stylesheets and style attributes
+     * @returns {Array} Color objects with the rules that use them (see collectCssColors)
+     */
+    extractFromCurrentPage() {
+        const { stylesheets, errors } = readDocumentStyleSheets(document);
+        errors.forEach(error => console.warn(error.message));
+        
+        return collectCssColors(stylesheets);
+    }
+
+    /**
+     * Extract the colors declared in pasted CSS
+     * @param {string} css - Stylesheet text
+     * @returns {Array} Color objects with the rules that use them (see collectCssColors)
+     */
+    extractFromCSS(css) {
+        const colors = collectCssColors([{ type: 'style', url: '', text: css, label: 'Pasted CSS' }]);
+        if (colors.length === 0) {
+            throw new Error('No colors found in this CSS');
+        }
+        return colors;
+    }
+
+    /**
+     * Extract the color literals of pasted code
+     * @param {string} code - Pasted text
+     * @param {string} format - Key of CODE_FORMATS
+     * @returns {Array} Color objects with the locations {line, column, length, literal} of their literals
+     */
+    extractFromCode(code, format) {
+        const occurrences = findCodeColors(code, format, literal => this.parseColor(literal));
+        
+        // SVG markup gets the same palette as an uploaded SVG file; markup the
+        // parser rejects is still scanned for literals
+        let colors = [];
+        if (format === 'svg') {
+            try {
+                colors = this.analyzeSVG(code);
+            } catch (error) {
+                console.warn('Pasted SVG could not be parsed:', error);
+            }
+        }
+        if (colors.length === 0) {
+            this.colorMap.clear();
+            occurrences.forEach(({ rgb }) => this.addColor(rgb.r, rgb.g, rgb.b));
+            colors = this.buildPalette();
+        }
+        if (colors.length === 0) {
+            throw new Error('No colors found in this code');
+        }
+        
+        // Each literal belongs to the palette color it was merged into
         colors.forEach(color => {
-            color.percentage = ((color.count / totalCount) * 100).toFixed(2);
+            color.locations = [];
         });
-        
-        return colors.slice(0, 30);
+        occurrences.forEach(occurrence => {
+            const color = colors[findNearestColorIndex(occurrence.rgb, colors, this.distanceMetric)];
+            if (color.hex === occurrence.hex || areColorsSimilar(color.rgb, occurrence.rgb, this.similarityThreshold, this.distanceMetric)) {
+                const { line, column, length, literal } = occurrence;
+                color.locations.push({ line, column, length, literal });
+            }
+        });
+        return colors;
     }
 
     /**
-     * Extract colors from URL (with CORS limitations)
+     * Extract the colors declared in a web page's stylesheets
      * @param {string} url - Website URL
-     * @returns {Promise<Array>} Array of color objects
+     * @returns {Promise<Array>} Color objects with the rules that use them (see collectCssColors)
      */
     async extractFromURL(url) {
-        // Due to CORS restrictions, we can't directly fetch and parse external websites
-        // This would require a backend proxy or browser extension
-        showToast('Analyzing current page colors due to browser security restrictions.', 3000);
-        return this.extractFromCurrentPage();
+        const page = await this.fetchPage(url);
+        
+        page.errors.forEach(error => console.warn(`Stylesheet not loaded: ${error.url}: ${error.message}`));
+        if (page.stylesheets.length === 0 && page.errors.length > 0) {
+            throw new Error(page.errors[0].message);
+        }
+        
+        const colors = collectCssColors(page.stylesheets);
+        if (colors.length === 0) {
+            throw new Error(`No colors found in the stylesheets of ${page.finalUrl}`);
+        }
+        return colors;
+    }
+
+    /**
+     * Fetch a page and its stylesheets through the page proxy. Browsers cannot
+     * read other sites directly (CORS); replace this method to use another backend.
+     * @param {string} url - Website URL
+     * @returns {Promise<object>} {url, finalUrl, title, stylesheets: [{type, url, text}], errors}
+     */
+    async fetchPage(url) {
+        if (!this.proxyEndpoint) {
+            throw new Error('Set a proxy endpoint to extract colors from other sites');
+        }
+        
+        // Bare domains are common in the URL field
+        const target = /^[a-z][a-z\d+.-]*:/i.test(url) ? url : `https://${url}`;
+        const endpoint = new URL(this.proxyEndpoint, location.href);
+        endpoint.searchParams.set('url', target);
+        
+        let response;
+        try {
+            response = await fetch(endpoint.href);
+        } catch (error) {
+            throw new Error(`Could not reach the proxy at ${this.proxyEndpoint}. Start it with "node server/proxy.js".`);
+        }
+        
+        const data = await response.json().catch(() => null);
+        if (!response.ok || !data) {
+            throw new Error(data && data.error ? data.error : `Proxy responded with HTTP ${response.status}`);
+        }
+        return data;
     }
 
     /**
@@ -234,6 +597,10 @@ class ColorExtractor {
      * @returns {object|null} RGB object or null
      */
     parseColor(colorString) {
+        // Everything CSS can write without var() or currentColor
+        const parsed = parseCssColor(colorString);
+        if (parsed) return parsed;
+        
         // Handle rgb/rgba format
         const rgbMatch = colorString.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
         if (rgbMatch) {
@@ -252,6 +619,9 @@ class ColorExtractor {
         // Handle named colors by creating temporary element
         const tempDiv = document.createElement('div');
         tempDiv.style.color = colorString;
+        
+        // Invalid values are dropped and would read back as the inherited color
+        if (!tempDiv.style.color) return null;
         document.body.appendChild(tempDiv);
         const computed = window.getComputedStyle(tempDiv).color;
         document.body.removeChild(tempDiv);
@@ -284,60 +654,43 @@ class ColorExtractor {
     }
 
     /**
-     * Analyze SVG content for colors
+     * Analyze SVG content for colors, resolved the way the SVG renders
+     * (see SVGParser) and weighted by the area each color covers; elements
+     * are counted in full even where others hide them, and clip paths and
+     * masks are not applied
      * @param {string} svgText - SVG file content
-     * @returns {Array} Array of color objects
+     * @returns {Array} Color objects with the elements {element, property, percentage}
+     *                  painted with them and the gradients {id, type, stops} they are a stop of
      */
     analyzeSVG(svgText) {
-        this.colorMap.clear();
+        const { paints, gradients } = new SVGParser(svgText, value => this.parseColor(value)).extractColors();
+        const totalArea = paints.reduce((sum, paint) => sum + paint.area, 0);
         
-        // Parse SVG
-        const parser = new DOMParser();
-        const svgDoc = parser.parseFromString(svgText, 'image/svg+xml');
+        this.colorMap.clear();
+        paints.forEach(({ rgb, area }) => this.addColor(rgb.r, rgb.g, rgb.b, area));
         
-        // Find all elements with color attributes
-        const elements = svgDoc.querySelectorAll('*');
+        // Merge near-identical colors and sort by covered area
+        const colors = this.buildPalette();
+        const elementMaps = colors.map(() => new Map());
+        colors.forEach(color => {
+            color.gradients = [];
+        });
         
-        elements.forEach(element => {
-            // Check fill attribute
-            const fill = element.getAttribute('fill');
-            if (fill && fill !== 'none' && fill !== 'transparent') {
-                const rgb = this.parseColor(fill);
-                if (rgb) this.addColor(rgb.r, rgb.g, rgb.b);
-            }
+        // Each paint belongs to the palette color it was merged into
+        paints.forEach(paint => {
+            const index = findNearestColorIndex(paint.rgb, colors, this.distanceMetric);
+            const key = `${paint.element} ${paint.property}`;
+            const entry = elementMaps[index].get(key) || { element: paint.element, property: paint.property, area: 0 };
+            entry.area += paint.area;
+            elementMaps[index].set(key, entry);
             
-            // Check stroke attribute
-            const stroke = element.getAttribute('stroke');
-            if (stroke && stroke !== 'none' && stroke !== 'transparent') {
-                const rgb = this.parseColor(stroke);
-                if (rgb) this.addColor(rgb.r, rgb.g, rgb.b);
-            }
-            
-            // Check style attribute
-            const style = element.getAttribute('style');
-            if (style) {
-                const fillMatch = style.match(/fill:\s*([^;]+)/);
-                const strokeMatch = style.match(/stroke:\s*([^;]+)/);
-                
-                if (fillMatch) {
-                    const rgb = this.parseColor(fillMatch[1]);
-                    if (rgb) this.addColor(rgb.r, rgb.g, rgb.b);
-                }
-                
-                if (strokeMatch) {
-                    const rgb = this.parseColor(strokeMatch[1]);
-                    if (rgb) this.addColor(rgb.r, rgb.g, rgb.b);
-                }
-            }
+            const gradient = paint.gradient && gradients.find(item => item.id === paint.gradient);
+            if (gradient && !colors[index].gradients.includes(gradient)) colors[index].gradients.push(gradient);
         });
-        
-        // Convert to sorted array
-        const colors = sortColorsByUsage(this.colorMap);
-        
-        // Calculate percentages
-        const totalCount = colors.reduce((sum, c) => sum + c.count, 0);
-        colors.forEach(color => {
-            color.percentage = ((color.count / totalCount) * 100).toFixed(2);
+        colors.forEach((color, index) => {
+            color.elements = Array.from(elementMaps[index].values())
+                .sort((a, b) => b.area - a.area)
+                .map(({ element, property, area }) => ({ element, property, percentage: ((area / totalArea) * 100).toFixed(2) }));
         });
         
         return colors;
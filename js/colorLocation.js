@@ -0,0 +1,187 @@
+/**
+ * Color Location Views
+ * Uses the pixel-to-color assignments kept during extraction to show where
+ * a palette color appears on the image preview, to highlight a set of
+ * pixels (such as the off-brand ones), or to redraw the preview with only
+ * the palette colors (posterize)
+ */
+
+// Fill for pixels that do not belong to the located color
+const LOCATE_DIM_COLOR = [17, 24, 39, 190];
+
+// Current view state; assignments come from ColorExtractor.assignments
+let stageAssignments = [];
+let locatedColor = null;
+// Pixel masks highlighted instead of locatedColor, one Uint8Array (nonzero = highlighted) per assignment
+let locatedPixelMasks = null;
+let posterizeActive = false;
+
+// DOM Elements
+const stageView = document.getElementById('stageView');
+const posterizePreviewBtn = document.getElementById('posterizePreview');
+
+/**
+ * Setup the posterize toggle and redraw on resize
+ */
+function setupColorLocation() {
+    posterizePreviewBtn.addEventListener('click', () => {
+        posterizeActive = !posterizeActive;
+        locatedColor = null;
+        locatedPixelMasks = null;
+        renderColorLocation();
+    });
+    
+    stageImage.addEventListener('load', renderColorLocation);
+    window.addEventListener('resize', debounce(renderColorLocation, 100));
+}
+
+/**
+ * Use the assignments of a new extraction, resetting the view
+ * @param {Array} assignments - {bounds, width, height, indices, pixelColors, palette} per analyzed area
+ */
+function setStageAssignments(assignments) {
+    stageAssignments = assignments;
+    locatedColor = null;
+    locatedPixelMasks = null;
+    posterizeActive = false;
+    renderColorLocation();
+}
+
+/**
+ * Forget the assignments, e.g. when the previewed file changes
+ */
+function clearStageAssignments() {
+    setStageAssignments([]);
+}
+
+/**
+ * Whether the preview can show where a color appears
+ * @param {string} hex - HEX color
+ * @returns {boolean} True if the color was assigned pixels on the preview
+ */
+function canLocateColor(hex) {
+    return stageAssignments.some(assignment => assignment.palette.some(color => color.hex === hex));
+}
+
+/**
+ * Show or hide the location mask for a color
+ * @param {string} hex - HEX color
+ */
+function toggleColorLocation(hex) {
+    locatedColor = locatedColor === hex ? null : hex;
+    locatedPixelMasks = null;
+    posterizeActive = false;
+    renderColorLocation();
+    
+    // The mask is drawn over the preview, which may be scrolled out of view
+    if (locatedColor) previewStageContainer.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+/**
+ * Highlight individual pixels of the analyzed areas, or hide the highlight
+ * @param {Array|null} masks - Uint8Array per stage assignment, nonzero for
+ *                             pixels to leave clear; null to hide the highlight
+ */
+function highlightPixels(masks) {
+    locatedPixelMasks = masks;
+    locatedColor = null;
+    posterizeActive = false;
+    renderColorLocation();
+}
+
+/**
+ * Draw the active view and update the controls that toggle it
+ */
+function renderColorLocation() {
+    posterizePreviewBtn.disabled = stageAssignments.length === 0;
+    posterizePreviewBtn.classList.toggle('active', posterizeActive);
+    posterizePreviewBtn.setAttribute('aria-pressed', String(posterizeActive));
+    document.querySelectorAll('.locate-btn').forEach(button => {
+        const active = button.dataset.hex === locatedColor;
+        button.classList.toggle('active', active);
+        button.textContent = active ? 'Hide on image' : 'Show on image';
+    });
+    
+    const width = stageImage.clientWidth;
+    const height = stageImage.clientHeight;
+    stageView.hidden = !locatedColor && !locatedPixelMasks && !posterizeActive;
+    if (!stageView.hidden && width) drawStageView(width, height);
+    
+    // The color vision simulation is drawn from the image and this view
+    renderVisionPreview();
+    updateBrandHighlightButton();
+}
+
+/**
+ * Draw the location mask or the posterized image at the preview's size
+ * @param {number} width - Displayed image width
+ * @param {number} height - Displayed image height
+ */
+function drawStageView(width, height) {
+    stageView.width = width;
+    stageView.height = height;
+    const ctx = stageView.getContext('2d');
+    if (!ctx) return;
+    
+    const scale = getStageScale();
+    ctx.clearRect(0, 0, width, height);
+    ctx.imageSmoothingEnabled = false;
+    
+    // Everything outside the analyzed areas is dimmed as well
+    const located = Boolean(locatedColor || locatedPixelMasks);
+    if (located) {
+        ctx.fillStyle = `rgba(${LOCATE_DIM_COLOR.slice(0, 3).join(', ')}, ${LOCATE_DIM_COLOR[3] / 255})`;
+        ctx.fillRect(0, 0, width, height);
+    }
+    
+    stageAssignments.forEach((assignment, i) => {
+        const { bounds } = assignment;
+        const x = bounds.x * scale;
+        const y = bounds.y * scale;
+        const w = bounds.width * scale;
+        const h = bounds.height * scale;
+        
+        if (located) ctx.clearRect(x, y, w, h);
+        ctx.drawImage(createAssignmentImage(assignment, locatedPixelMasks ? locatedPixelMasks[i] : null), x, y, w, h);
+    });
+}
+
+/**
+ * Render one assignment at analysis size: a mask for the located color or
+ * the highlighted pixels, or the palette colors when posterizing
+ * @param {object} assignment - {width, height, indices, palette}
+ * @param {Uint8Array|null} pixelMask - Highlighted pixels of this assignment
+ * @returns {HTMLCanvasElement} Canvas to draw scaled onto the view
+ */
+function createAssignmentImage(assignment, pixelMask) {
+    const { width, height, indices, palette } = assignment;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(width, height);
+    const data = image.data;
+    const targets = locatedColor && !pixelMask ? palette.map(color => color.hex === locatedColor) : null;
+    
+    for (let p = 0; p < indices.length; p++) {
+        const index = indices[p];
+        const i = p * 4;
+        
+        if (pixelMask) {
+            if (!pixelMask[p]) data.set(LOCATE_DIM_COLOR, i);
+        } else if (targets) {
+            // Matching pixels stay clear so the image shows through
+            if (!targets[index]) data.set(LOCATE_DIM_COLOR, i);
+        } else if (index !== UNASSIGNED_PIXEL) {
+            const { r, g, b } = palette[index].rgb;
+            data[i] = r;
+            data[i + 1] = g;
+            data[i + 2] = b;
+            data[i + 3] = 255;
+        }
+    }
+    
+    ctx.putImageData(image, 0, 0);
+    return canvas;
+}
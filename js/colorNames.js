@@ -0,0 +1,113 @@
+/**
+ * Color Names Module
+ * Nearest-name lookup against named-color datasets (js/data/).
+ * Distances use the same perceptual metrics as color matching.
+ */
+
+const COLOR_NAME_SOURCES = {
+    css: { label: 'CSS named colors', shortLabel: 'CSS', data: () => CSS_COLOR_NAMES },
+    xkcd: { label: 'XKCD color survey', shortLabel: 'XKCD', data: () => XKCD_COLOR_NAMES },
+    community: { label: 'Color Name List', shortLabel: 'Community', data: () => COMMUNITY_COLOR_NAMES }
+};
+
+// 'all' searches every source and keeps the closest match
+const DEFAULT_COLOR_NAME_SOURCE = 'all';
+
+// Candidates kept from the fast CIELAB pre-filter before ranking by the selected metric
+const NAME_CANDIDATES = 16;
+
+// Parsed datasets and recent lookups
+const colorNameIndexes = new Map();
+const colorNameCache = new Map();
+const COLOR_NAME_CACHE_LIMIT = 4096;
+
+/**
+ * Parse a dataset into entries plus a flat array of their CIELAB coordinates
+ * @param {string} source - Key of COLOR_NAME_SOURCES
+ * @returns {object} {entries: [{name, hex, rgb, source}], labs: Float64Array}
+ */
+function getColorNameIndex(source) {
+    if (colorNameIndexes.has(source)) {
+        return colorNameIndexes.get(source);
+    }
+    
+    const entries = COLOR_NAME_SOURCES[source].data()
+        .split(/\r?\n/)
+        .filter(line => line.length > 7)
+        .map(line => {
+            const hex = `#${line.slice(0, 6)}`;
+            return { name: line.slice(7), hex, rgb: hexToRgb(hex), source };
+        });
+    
+    const labs = new Float64Array(entries.length * 3);
+    entries.forEach((entry, i) => {
+        const lab = rgbToLab(entry.rgb);
+        labs[i * 3] = lab.l;
+        labs[i * 3 + 1] = lab.a;
+        labs[i * 3 + 2] = lab.b;
+    });
+    
+    const index = { entries, labs };
+    colorNameIndexes.set(source, index);
+    return index;
+}
+
+/**
+ * Find the closest named color
+ * @param {object} rgb - RGB color {r, g, b}
+ * @param {string} source - Key of COLOR_NAME_SOURCES or 'all'
+ * @param {string} metric - Key of COLOR_DISTANCE_METRICS
+ * @returns {object|null} {name, hex, source, distance} or null if no dataset is loaded
+ */
+function findColorName(rgb, source = DEFAULT_COLOR_NAME_SOURCE, metric = DEFAULT_DISTANCE_METRIC) {
+    const key = `${source}:${metric}:${rgb.r},${rgb.g},${rgb.b}`;
+    if (colorNameCache.has(key)) {
+        return colorNameCache.get(key);
+    }
+    
+    const sources = source === 'all' ? Object.keys(COLOR_NAME_SOURCES) : [source];
+    const lab = rgbToLab(rgb);
+    
+    // Pre-filter by squared CIELAB distance, which is cheap enough for tens of thousands of names
+    const candidates = [];
+    let worst = Infinity;
+    sources.filter(key => COLOR_NAME_SOURCES[key]).forEach(key => {
+        const { entries, labs } = getColorNameIndex(key);
+        for (let i = 0; i < entries.length; i++) {
+            const dl = labs[i * 3] - lab.l;
+            const da = labs[i * 3 + 1] - lab.a;
+            const db = labs[i * 3 + 2] - lab.b;
+            const d = dl * dl + da * da + db * db;
+            if (d >= worst) continue;
+            
+            candidates.push({ entry: entries[i], d });
+            candidates.sort((a, b) => a.d - b.d);
+            if (candidates.length > NAME_CANDIDATES) candidates.pop();
+            if (candidates.length === NAME_CANDIDATES) worst = candidates[NAME_CANDIDATES - 1].d;
+        }
+    });
+    
+    let best = null;
+    candidates.forEach(({ entry }) => {
+        const distance = colorDistance(rgb, entry.rgb, metric);
+        if (!best || distance < best.distance) {
+            best = { name: entry.name, hex: entry.hex, source: entry.source, distance };
+        }
+    });
+    
+    if (colorNameCache.size >= COLOR_NAME_CACHE_LIMIT) colorNameCache.clear();
+    colorNameCache.set(key, best);
+    return best;
+}
+
+/**
+ * Describe how close a name match is
+ * @param {number} distance - Distance on the ΔE scale
+ * @returns {string} 'exact', 'very close', 'close' or 'approximate'
+ */
+function describeNameMatch(distance) {
+    if (distance < 0.5) return 'exact';
+    if (distance < 2) return 'very close';
+    if (distance < 5) return 'close';
+    return 'approximate';
+}
@@ -0,0 +1,135 @@
+/**
+ * Color Roles Module
+ * Proposes design-system roles (background, text, primary ...) for a palette
+ * from each color's usage share, luminance, saturation and the contrast
+ * between colors
+ */
+
+// Roles in the order they are assigned and exported; variable is the export name
+const COLOR_ROLES = {
+    background: { label: 'Background', variable: 'background' },
+    surface: { label: 'Surface', variable: 'surface' },
+    text: { label: 'Primary text', variable: 'text-primary' },
+    textSecondary: { label: 'Secondary text', variable: 'text-secondary' },
+    primary: { label: 'Primary', variable: 'primary' },
+    accent: { label: 'Accent', variable: 'accent' },
+    success: { label: 'Success', variable: 'success' },
+    warning: { label: 'Warning', variable: 'warning' },
+    error: { label: 'Error', variable: 'error' }
+};
+
+// Below this OKLCH chroma a color is a neutral (backgrounds, surfaces and text)
+const ROLE_NEUTRAL_CHROMA = 0.04;
+
+// Status colors need a clear hue; ranges are OKLCH hue degrees and may wrap past 360
+const ROLE_STATUS_CHROMA = 0.08;
+const ROLE_STATUS_HUES = {
+    error: [345, 45],
+    warning: [45, 115],
+    success: [115, 180]
+};
+
+// Contrast a surface may differ from the background by, and the minimums for text and UI colors
+const ROLE_SURFACE_CONTRAST = [1.03, 1.6];
+const ROLE_TEXT_CONTRAST = WCAG_CRITERIA.normal.aa;
+const ROLE_UI_CONTRAST = WCAG_CRITERIA.ui.aa;
+
+// Accents need a hue at least this far from the primary color
+const ROLE_ACCENT_HUE_DISTANCE = 30;
+
+/**
+ * Whether a hue lies in a range that may wrap past 360
+ * @param {number} hue - Degrees
+ * @param {number[]} range - [from, to] degrees
+ * @returns {boolean} True if the hue is in the range
+ */
+function isHueInRange(hue, [from, to]) {
+    return from <= to ? hue >= from && hue < to : hue >= from || hue < to;
+}
+
+/**
+ * Propose a color for every role
+ * @param {Array} colors - Palette colors {hex, rgb, percentage?}, most used first
+ * @returns {object} HEX value (or null) per key of COLOR_ROLES
+ */
+function assignColorRoles(colors) {
+    const roles = Object.fromEntries(Object.keys(COLOR_ROLES).map(role => [role, null]));
+    if (colors.length === 0) return roles;
+    
+    // Palettes without usage (imports, pasted code) weigh colors by their order
+    const hasUsage = colors.some(color => parseFloat(color.percentage) > 0);
+    const candidates = colors.map((color, i) => {
+        const { c, h } = rgbToOklch(color.rgb);
+        return {
+            hex: color.hex,
+            rgb: color.rgb,
+            share: hasUsage ? parseFloat(color.percentage) || 0 : colors.length - i,
+            luminance: getLuminance(color.rgb.r, color.rgb.g, color.rgb.b),
+            chroma: c,
+            hue: h,
+            neutral: c < ROLE_NEUTRAL_CHROMA
+        };
+    });
+    
+    const used = new Set();
+    const take = (role, candidate) => {
+        if (!candidate) return null;
+        roles[role] = candidate.hex;
+        used.add(candidate.hex);
+        return candidate;
+    };
+    const free = () => candidates.filter(candidate => !used.has(candidate.hex));
+    const best = (list, score) => list.reduce((top, candidate) => !top || score(candidate) > score(top) ? candidate : top, null);
+    
+    // The background is the most used neutral, or the most used color of a colorful palette
+    const neutrals = candidates.filter(candidate => candidate.neutral);
+    const background = take('background', best(neutrals.length ? neutrals : candidates, candidate => candidate.share));
+    // WCAG contrast from the luminances computed above
+    const contrastTo = candidate => (Math.max(candidate.luminance, background.luminance) + 0.05) / (Math.min(candidate.luminance, background.luminance) + 0.05);
+    
+    // Surfaces sit just above or below the background
+    const [minSurface, maxSurface] = ROLE_SURFACE_CONTRAST;
+    take('surface', best(free().filter(candidate => candidate.neutral && contrastTo(candidate) >= minSurface && contrastTo(candidate) <= maxSurface), candidate => candidate.share));
+    
+    // Primary text is the most legible color, preferring neutrals; secondary text is quieter but still readable
+    const readable = free().filter(candidate => contrastTo(candidate) >= ROLE_TEXT_CONTRAST);
+    const text = take('text', best(readable.some(candidate => candidate.neutral) ? readable.filter(candidate => candidate.neutral) : readable, contrastTo));
+    if (text) {
+        take('textSecondary', best(free().filter(candidate => candidate.neutral && contrastTo(candidate) >= ROLE_UI_CONTRAST && contrastTo(candidate) < contrastTo(text)), candidate => candidate.share));
+    }
+    
+    // Primary and accent are the most used saturated colors that stand out from the background
+    const colorful = () => free().filter(candidate => !candidate.neutral && contrastTo(candidate) >= ROLE_UI_CONTRAST);
+    const primary = take('primary', best(colorful(), candidate => candidate.share));
+    if (primary) {
+        const hueDistance = candidate => Math.min(Math.abs(candidate.hue - primary.hue), 360 - Math.abs(candidate.hue - primary.hue));
+        take('accent', best(colorful().filter(candidate => hueDistance(candidate) >= ROLE_ACCENT_HUE_DISTANCE), candidate => candidate.share));
+    }
+    
+    // Status candidates are the most saturated colors in the red, amber and green hue ranges
+    Object.entries(ROLE_STATUS_HUES).forEach(([role, range]) => {
+        take(role, best(free().filter(candidate => candidate.chroma >= ROLE_STATUS_CHROMA && isHueInRange(candidate.hue, range)), candidate => candidate.chroma));
+    });
+    
+    return roles;
+}
+
+/**
+ * Pair assigned roles with the exported palette entries
+ * @param {object} roles - HEX value (or null) per key of COLOR_ROLES
+ * @param {Array} entries - Palette entries from createPaletteEntries
+ * @returns {Array} [{role, name, variable, entry}] in COLOR_ROLES order; roles
+ *                  whose color is not exported are left out
+ */
+function createRoleEntries(roles, entries) {
+    const used = new Set(entries.map(entry => entry.variable));
+    
+    return Object.entries(COLOR_ROLES).flatMap(([role, definition]) => {
+        const entry = roles[role] && entries.find(candidate => candidate.hex === roles[role]);
+        if (!entry) return [];
+        
+        // A palette color already called e.g. "Primary" keeps its name; the role gets a prefix
+        const variable = used.has(definition.variable) ? `role-${definition.variable}` : definition.variable;
+        return [{ role, name: definition.label, variable, entry }];
+    });
+}
@@ -0,0 +1,103 @@
+/**
+ * Color Scale Module
+ * Design-system lightness ramps (50-950) built around a seed color, in the
+ * style of the Tailwind and Material palettes
+ */
+
+// Steps and their target lightness as OKLab L (the lightness of a gray at that step)
+const SCALE_STEPS = [
+    { step: 50, lightness: 0.971 },
+    { step: 100, lightness: 0.936 },
+    { step: 200, lightness: 0.885 },
+    { step: 300, lightness: 0.808 },
+    { step: 400, lightness: 0.711 },
+    { step: 500, lightness: 0.637 },
+    { step: 600, lightness: 0.577 },
+    { step: 700, lightness: 0.505 },
+    { step: 800, lightness: 0.444 },
+    { step: 900, lightness: 0.396 },
+    { step: 950, lightness: 0.258 }
+];
+
+// Spaces the lightness is interpolated in; chroma and hue keep the space's own units
+const SCALE_SPACES = {
+    oklch: {
+        label: 'OKLCH',
+        toLch: rgbToOklch,
+        fromLch: oklchToRgb,
+        // Targets are already OKLab lightness
+        lightness: (l) => l
+    },
+    lab: {
+        label: 'CIELAB (LCH)',
+        toLch: rgbToLch,
+        fromLch: lchToRgb,
+        // For grays OKLab L is the cube root of Y, so L* = 116 L - 16 gives the same grays
+        lightness: (l) => 116 * l - 16
+    }
+};
+
+const DEFAULT_SCALE_OPTIONS = {
+    space: 'oklch',
+    // Degrees the hue turns by at the lightest step (the darkest turns the other way)
+    hueShift: 0,
+    // 0-1: how much chroma falls off towards the lightest and darkest steps
+    chromaEasing: 0.3
+};
+
+const WHITE_RGB = { r: 255, g: 255, b: 255 };
+const BLACK_RGB = { r: 0, g: 0, b: 0 };
+
+/**
+ * Generate a 50-950 ramp around a color. The step nearest the color's
+ * lightness is the color itself; the other steps are spread between it and
+ * the ends of the scale.
+ * @param {object} rgb - Seed color {r, g, b}
+ * @param {object} options - Overrides for DEFAULT_SCALE_OPTIONS
+ * @returns {Array} [{step, hex, rgb, seed, contrast: {white, black}}] from 50 to 950
+ */
+function generateColorScale(rgb, options = {}) {
+    const { space, hueShift, chromaEasing } = { ...DEFAULT_SCALE_OPTIONS, ...options };
+    const definition = SCALE_SPACES[space];
+    if (!definition) {
+        throw new Error(`Unknown scale color space: ${space}`);
+    }
+    
+    const seed = definition.toLch(rgb);
+    const targets = SCALE_STEPS.map(({ lightness }) => definition.lightness(lightness));
+    const lightest = targets[0];
+    const darkest = targets[targets.length - 1];
+    
+    // Seeds lighter than 50 or darker than 950 still anchor the nearest end
+    const anchor = targets.reduce((best, l, i) => Math.abs(l - seed.l) < Math.abs(targets[best] - seed.l) ? i : best, 0);
+    
+    return SCALE_STEPS.map(({ step }, i) => {
+        let color;
+        if (i === anchor) {
+            color = { r: rgb.r, g: rgb.g, b: rgb.b };
+        } else {
+            // Stretch the target curve so the anchor step lands on the seed's lightness
+            const end = i < anchor ? lightest : darkest;
+            const span = targets[anchor] - end;
+            const t = span === 0 ? 1 : (targets[i] - end) / span;
+            const l = end + (seed.l - end) * t;
+            
+            // Distance from the seed towards the end of the scale, 0-1
+            const distance = 1 - t;
+            const c = seed.c * (1 - chromaEasing * distance * distance);
+            const h = (seed.h + (i < anchor ? hueShift : -hueShift) * distance + 360) % 360;
+            color = definition.fromLch({ l, c, h });
+        }
+        
+        return {
+            step,
+            hex: rgbToHex(color.r, color.g, color.b),
+            rgb: color,
+            seed: i === anchor,
+            contrast: {
+                white: getContrastRatio(color, WHITE_RGB),
+                black: getContrastRatio(color, BLACK_RGB)
+            }
+        };
+    });
+}
@@ -0,0 +1,651 @@
+/**
+ * Color Space Module
+ * Conversions between sRGB and HSL, HSV/HSB, HWB, CMYK, CIE XYZ, CIELAB, LCH,
+ * OKLab and OKLCH. Matrices follow CSS Color Module Level 4; CIELAB uses the
+ * D50 white point. Forward conversions return unrounded values so converting
+ * back yields the original RGB; results outside the sRGB gamut are mapped in
+ * by reducing OKLCH chroma (the CSS Color 4 gamut mapping algorithm).
+ */
+
+// Linear sRGB -> CIE XYZ (D65)
+const SRGB_TO_XYZ = [
+    [0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+    [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+    [0.01933081871559182, 0.11919477979462598, 0.9505321522496607]
+];
+
+// CIE XYZ (D65) -> linear sRGB
+const XYZ_TO_SRGB = [
+    [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+    [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+    [0.05563007969699366, -0.20397695888897652, 1.0569715142428786]
+];
+
+// Bradford chromatic adaptation D65 -> D50
+const D65_TO_D50 = [
+    [1.0479297925449969, 0.022946870601609652, -0.05019226628920524],
+    [0.02962780877005599, 0.9904344267538799, -0.017073799063418826],
+    [-0.009243040646204504, 0.015055191490298152, 0.7518742814281371]
+];
+
+// Bradford chromatic adaptation D50 -> D65
+const D50_TO_D65 = [
+    [0.955473421488075, -0.02309845494876471, 0.06325924320057072],
+    [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323],
+    [0.012314014864481998, -0.020507649298898964, 1.330365926242124]
+];
+
+const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+
+// Predefined spaces of CSS color(): linear RGB -> CIE XYZ matrix, the white
+// point of that XYZ and the transfer function from encoded to linear values
+const PREDEFINED_COLOR_SPACES = {
+    'srgb': { toXyz: SRGB_TO_XYZ, white: 'd65', toLinear: srgbToLinear },
+    'srgb-linear': { toXyz: SRGB_TO_XYZ, white: 'd65', toLinear: c => c },
+    'display-p3': {
+        toXyz: [
+            [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+            [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+            [0, 0.04511338185890264, 1.043944368900976]
+        ],
+        white: 'd65',
+        toLinear: srgbToLinear
+    },
+    'a98-rgb': {
+        toXyz: [
+            [0.5766690429101305, 0.1855582379065463, 0.1882286462349947],
+            [0.29734497525053605, 0.6273635662554661, 0.07529145849399788],
+            [0.02703136138641234, 0.07068885253582723, 0.9913375368376388]
+        ],
+        white: 'd65',
+        toLinear: c => Math.sign(c) * Math.pow(Math.abs(c), 563 / 256)
+    },
+    'prophoto-rgb': {
+        toXyz: [
+            [0.7977604896723027, 0.13518583717574031, 0.0313493495815248],
+            [0.2880711282292934, 0.7118432178101014, 0.00008565396060525902],
+            [0, 0, 0.8251046025104601]
+        ],
+        white: 'd50',
+        toLinear: c => Math.abs(c) <= 16 / 512 ? c / 16 : Math.sign(c) * Math.pow(Math.abs(c), 1.8)
+    },
+    'rec2020': {
+        toXyz: [
+            [0.6369580483012914, 0.14461690358620832, 0.1688809751641721],
+            [0.2627002120112671, 0.6779980715188708, 0.05930171646986196],
+            [0, 0.028072693049087428, 1.060985057710791]
+        ],
+        white: 'd65',
+        toLinear: (c) => {
+            const alpha = 1.09929682680944;
+            const beta = 0.018053968510807;
+            const abs = Math.abs(c);
+            return abs < beta * 4.5 ? c / 4.5 : Math.sign(c) * Math.pow((abs + alpha - 1) / alpha, 1 / 0.45);
+        }
+    },
+    'xyz': { white: 'd65' },
+    'xyz-d65': { white: 'd65' },
+    'xyz-d50': { white: 'd50' }
+};
+
+// CIE constants for the Lab companding function
+const LAB_EPSILON = 216 / 24389;
+const LAB_KAPPA = 24389 / 27;
+
+// Gamut mapping: just noticeable ΔEOK for clipping, and search precision
+const GAMUT_JND = 0.02;
+const GAMUT_EPSILON = 0.0001;
+
+/**
+ * Multiply a 3x3 matrix by a vector
+ * @param {number[][]} matrix - 3x3 matrix
+ * @param {number[]} vector - 3-component vector
+ * @returns {number[]} Result vector
+ */
+function multiplyMatrix(matrix, vector) {
+    return matrix.map(row => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]);
+}
+
+/**
+ * Convert an sRGB channel (0-1) to linear light
+ * @param {number} c - Gamma-encoded channel
+ * @returns {number} Linear channel
+ */
+function srgbToLinear(c) {
+    const abs = Math.abs(c);
+    return abs <= 0.04045 ? c / 12.92 : Math.sign(c) * Math.pow((abs + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Convert a linear-light channel to gamma-encoded sRGB (0-1)
+ * @param {number} c - Linear channel
+ * @returns {number} Gamma-encoded channel
+ */
+function linearToSrgb(c) {
+    const abs = Math.abs(c);
+    return abs <= 0.0031308 ? c * 12.92 : Math.sign(c) * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055);
+}
+
+/**
+ * Convert RGB (0-255) to linear sRGB (0-1)
+ * @param {object} rgb - RGB color {r, g, b}
+ * @returns {number[]} Linear [r, g, b]
+ */
+function rgbToLinear({ r, g, b }) {
+    return [r / 255, g / 255, b / 255].map(srgbToLinear);
+}
+
+/**
+ * Check whether linear sRGB values are displayable without clipping
+ * @param {number[]} linear - Linear [r, g, b]
+ * @returns {boolean} True if inside the sRGB gamut
+ */
+function isLinearInGamut(linear) {
+    return linear.every(c => c >= -GAMUT_EPSILON && c <= 1 + GAMUT_EPSILON);
+}
+
+/**
+ * Convert linear sRGB to RGB (0-255), gamut-mapping out-of-range values
+ * @param {number[]} linear - Linear [r, g, b]
+ * @returns {object} RGB color {r, g, b}
+ */
+function linearToRgb(linear) {
+    if (!isLinearInGamut(linear)) {
+        linear = gamutMapLinear(linear);
+    }
+    
+    const [r, g, b] = linear.map(c => Math.round(Math.max(0, Math.min(1, linearToSrgb(c))) * 255));
+    return { r, g, b };
+}
+
+/**
+ * Bring an out-of-gamut color into sRGB by lowering its OKLCH chroma until
+ * clipping the remainder is no longer noticeable (CSS Color 4, section 13.2)
+ * @param {number[]} linear - Linear [r, g, b]
+ * @returns {number[]} In-gamut linear [r, g, b]
+ */
+function gamutMapLinear(linear) {
+    const origin = oklabToOklch(linearToOklab(linear));
+    
+    if (origin.l >= 1) return [1, 1, 1];
+    if (origin.l <= 0) return [0, 0, 0];
+    
+    const clip = (values) => values.map(c => Math.max(0, Math.min(1, c)));
+    const fromOklch = (lch) => oklabToLinear(oklchToOklab(lch));
+    const difference = (linear1, linear2) => {
+        const p = linearToOklab(linear1);
+        const q = linearToOklab(linear2);
+        return Math.sqrt(Math.pow(p.l - q.l, 2) + Math.pow(p.a - q.a, 2) + Math.pow(p.b - q.b, 2));
+    };
+    
+    let current = fromOklch(origin);
+    let clipped = clip(current);
+    if (difference(clipped, current) < GAMUT_JND) return clipped;
+    
+    let min = 0;
+    let max = origin.c;
+    let minInGamut = true;
+    
+    while (max - min > GAMUT_EPSILON) {
+        const chroma = (min + max) / 2;
+        current = fromOklch({ ...origin, c: chroma });
+        
+        if (minInGamut && isLinearInGamut(current)) {
+            min = chroma;
+            continue;
+        }
+        
+        clipped = clip(current);
+        const delta = difference(clipped, current);
+        if (delta < GAMUT_JND) {
+            if (GAMUT_JND - delta < GAMUT_EPSILON) return clipped;
+            minInGamut = false;
+            min = chroma;
+        } else {
+            max = chroma;
+        }
+    }
+    
+    return clipped;
+}
+
+/**
+ * Convert RGB to CIE XYZ (D65, Y of white = 1)
+ * @param {object} rgb - RGB color {r, g, b}
+ * @returns {object} XYZ color {x, y, z}
+ */
+function rgbToXyz(rgb) {
+    const [x, y, z] = multiplyMatrix(SRGB_TO_XYZ, rgbToLinear(rgb));
+    return { x, y, z };
+}
+
+/**
+ * Convert CIE XYZ (D65) to RGB
+ * @param {object} xyz - XYZ color {x, y, z}
+ * @returns {object} RGB color {r, g, b}
+ */
+function xyzToRgb({ x, y, z }) {
+    return linearToRgb(multiplyMatrix(XYZ_TO_SRGB, [x, y, z]));
+}
+
+/**
+ * Convert RGB to CIELAB (D50)
+ * @param {object} rgb - RGB color {r, g, b}
+ * @returns {object} Lab color {l, a, b}
+ */
+function rgbToLab(rgb) {
+    const xyz = multiplyMatrix(D65_TO_D50, multiplyMatrix(SRGB_TO_XYZ, rgbToLinear(rgb)));
+    const [fx, fy, fz] = xyz.map((value, i) => {
+        const scaled = value / D50_WHITE[i];
+        return scaled > LAB_EPSILON ? Math.cbrt(scaled) : (LAB_KAPPA * scaled + 16) / 116;
+    });
+    
+    return {
+        l: 116 * fy - 16,
+        a: 500 * (fx - fy),
+        b: 200 * (fy - fz)
+    };
+}
+
+/**
+ * Convert CIELAB (D50) to RGB
+ * @param {object} lab - Lab color {l, a, b}
+ * @returns {object} RGB color {r, g, b}
+ */
+function labToRgb({ l, a, b }) {
+    const fy = (l + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - b / 200;
+    
+    const xyz = [
+        Math.pow(fx, 3) > LAB_EPSILON ? Math.pow(fx, 3) : (116 * fx - 16) / LAB_KAPPA,
+        l > LAB_KAPPA * LAB_EPSILON ? Math.pow(fy, 3) : l / LAB_KAPPA,
+        Math.pow(fz, 3) > LAB_EPSILON ? Math.pow(fz, 3) : (116 * fz - 16) / LAB_KAPPA
+    ].map((value, i) => value * D50_WHITE[i]);
+    
+    return linearToRgb(multiplyMatrix(XYZ_TO_SRGB, multiplyMatrix(D50_TO_D65, xyz)));
+}
+
+/**
+ * Convert rectangular Lab-style coordinates to their cylindrical form
+ * @param {object} lab - {l, a, b}
+ * @returns {object} {l, c, h} with hue in degrees (0 for neutrals)
+ */
+function toPolar({ l, a, b }) {
+    const c = Math.sqrt(a * a + b * b);
+    const h = c < 1e-7 ? 0 : (Math.atan2(b, a) * 180 / Math.PI + 360) % 360;
+    return { l, c, h };
+}
+
+/**
+ * Convert cylindrical coordinates back to rectangular Lab-style form
+ * @param {object} lch - {l, c, h}
+ * @returns {object} {l, a, b}
+ */
+function fromPolar({ l, c, h }) {
+    const radians = h * Math.PI / 180;
+    return { l, a: c * Math.cos(radians), b: c * Math.sin(radians) };
+}
+
+/**
+ * Convert RGB to CIE LCH (cylindrical CIELAB)
+ * @param {object} rgb - RGB color {r, g, b}
+ * @returns {object} LCH color {l, c, h}
+ */
+function rgbToLch(rgb) {
+    return toPolar(rgbToLab(rgb));
+}
+
+/**
+ * Convert CIE LCH to RGB
+ * @param {object} lch - LCH color {l, c, h}
+ * @returns {object} RGB color {r, g, b}
+ */
+function lchToRgb(lch) {
+    return labToRgb(fromPolar(lch));
+}
+
+/**
+ * Convert linear sRGB to OKLab
+ * @param {number[]} linear - Linear [r, g, b]
+ * @returns {object} OKLab color {l, a, b} with l in 0-1
+ */
+function linearToOklab([r, g, b]) {
+    const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+    const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+    const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+    
+    return {
+        l: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    };
+}
+
+/**
+ * Convert OKLab to linear sRGB
+ * @param {object} oklab - OKLab color {l, a, b}
+ * @returns {number[]} Linear [r, g, b], possibly out of gamut
+ */
+function oklabToLinear({ l: L, a, b }) {
+    const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+    const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+    const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+    
+    return [
+        4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+        -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+        -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    ];
+}
+
+/**
+ * Convert RGB to OKLab
+ * @param {object} rgb - RGB color {r, g, b}
+ * @returns {object} OKLab color {l, a, b} with l in 0-1
+ */
+function rgbToOklab(rgb) {
+    return linearToOklab(rgbToLinear(rgb));
+}
+
+/**
+ * Convert OKLab to RGB
+ * @param {object} oklab - OKLab color {l, a, b}
+ * @returns {object} RGB color {r, g, b}
+ */
+function oklabToRgb(oklab) {
+    return linearToRgb(oklabToLinear(oklab));
+}
+
+/**
+ * Convert OKLab to OKLCH
+ * @param {object} oklab - OKLab color {l, a, b}
+ * @returns {object} OKLCH color {l, c, h}
+ */
+function oklabToOklch(oklab) {
+    return toPolar(oklab);
+}
+
+/**
+ * Convert OKLCH to OKLab
+ * @param {object} oklch - OKLCH color {l, c, h}
+ * @returns {object} OKLab color {l, a, b}
+ */
+function oklchToOklab(oklch) {
+    return fromPolar(oklch);
+}
+
+/**
+ * Convert RGB to OKLCH
+ * @param {object} rgb - RGB color {r, g, b}
+ * @returns {object} OKLCH color {l, c, h} with l in 0-1
+ */
+function rgbToOklch(rgb) {
+    return toPolar(rgbToOklab(rgb));
+}
+
+/**
+ * Convert OKLCH to RGB
+ * @param {object} oklch - OKLCH color {l, c, h}
+ * @returns {object} RGB color {r, g, b}
+ */
+function oklchToRgb(oklch) {
+    return oklabToRgb(fromPolar(oklch));
+}
+
+/**
+ * Convert a color in one of the predefined spaces of CSS color() to RGB
+ * @param {string} space - Key of PREDEFINED_COLOR_SPACES, e.g. 'display-p3'
+ * @param {number[]} channels - Three channels, 0-1 for the RGB spaces
+ * @returns {object|null} RGB color {r, g, b}, or null for an unknown space
+ */
+function predefinedColorToRgb(space, channels) {
+    const definition = PREDEFINED_COLOR_SPACES[space];
+    if (!definition) return null;
+    
+    // The XYZ spaces take their channels as-is
+    let xyz = definition.toXyz
+        ? multiplyMatrix(definition.toXyz, channels.map(definition.toLinear))
+        : channels;
+    if (definition.white === 'd50') xyz = multiplyMatrix(D50_TO_D65, xyz);
+    
+    return linearToRgb(multiplyMatrix(XYZ_TO_SRGB, xyz));
+}
+
+/**
+ * Hue plus channel extremes shared by HSL, HSV and HWB
+ * @param {object} rgb - RGB color {r, g, b}
+ * @returns {object} {h, min, max} with hue in degrees and min/max in 0-1
+ */
+function getHueComponents({ r, g, b }) {
+    r /= 255;
+    g /= 255;
+    b /= 255;
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const d = max - min;
+    
+    let h = 0;
+    if (d !== 0) {
+        if (max === r) h = ((g - b) / d + 6) % 6;
+        else if (max === g) h = (b - r) / d + 2;
+        else h = (r - g) / d + 4;
+    }
+    
+    return { h: h * 60, min, max };
+}
+
+/**
+ * Convert RGB to HSL
+ * @param {object} rgb - RGB color {r, g, b}
+ * @returns {object} HSL color {h: 0-360, s: 0-100, l: 0-100}
+ */
+function rgbToHsl(rgb) {
+    const { h, min, max } = getHueComponents(rgb);
+    const l = (max + min) / 2;
+    const s = max === min ? 0 : (max - min) / (1 - Math.abs(2 * l - 1));
+    
+    return { h, s: s * 100, l: l * 100 };
+}
+
+/**
+ * Convert HSL to RGB (saturation and lightness are clamped, hue wraps)
+ * @param {object} hsl - HSL color {h: degrees, s: 0-100, l: 0-100}
+ * @returns {object} RGB color {r, g, b}
+ */
+function hslToRgb({ h, s, l }) {
+    s = Math.max(0, Math.min(100, s)) / 100;
+    l = Math.max(0, Math.min(100, l)) / 100;
+    h = ((h % 360) + 360) % 360;
+    
+    const a = s * Math.min(l, 1 - l);
+    const channel = (n) => {
+        const k = (n + h / 30) % 12;
+        return Math.round((l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255);
+    };
+    
+    return { r: channel(0), g: channel(8), b: channel(4) };
+}
+
+/**
+ * Convert RGB to HSV (also known as HSB)
+ * @param {object} rgb - RGB color {r, g, b}
+ * @returns {object} HSV color {h: 0-360, s: 0-100, v: 0-100}
+ */
+function rgbToHsv(rgb) {
+    const { h, min, max } = getHueComponents(rgb);
+    return { h, s: max === 0 ? 0 : (max - min) / max * 100, v: max * 100 };
+}
+
+/**
+ * Convert HSV/HSB to RGB
+ * @param {object} hsv - HSV color {h: degrees, s: 0-100, v: 0-100}
+ * @returns {object} RGB color {r, g, b}
+ */
+function hsvToRgb({ h, s, v }) {
+    s = Math.max(0, Math.min(100, s)) / 100;
+    v = Math.max(0, Math.min(100, v)) / 100;
+    
+    const l = v * (1 - s / 2);
+    const sl = (l === 0 || l === 1) ? 0 : (v - l) / Math.min(l, 1 - l);
+    return hslToRgb({ h, s: sl * 100, l: l * 100 });
+}
+
+/**
+ * Convert RGB to HWB
+ * @param {object} rgb - RGB color {r, g, b}
+ * @returns {object} HWB color {h: 0-360, w: 0-100, b: 0-100}
+ */
+function rgbToHwb(rgb) {
+    const { h, min, max } = getHueComponents(rgb);
+    return { h, w: min * 100, b: (1 - max) * 100 };
+}
+
+/**
+ * Convert HWB to RGB (whiteness + blackness of 100% or more gives a gray)
+ * @param {object} hwb - HWB color {h: degrees, w: 0-100, b: 0-100}
+ * @returns {object} RGB color {r, g, b}
+ */
+function hwbToRgb({ h, w, b }) {
+    w = Math.max(0, w) / 100;
+    b = Math.max(0, b) / 100;
+    
+    if (w + b >= 1) {
+        const gray = Math.round(w / (w + b) * 255);
+        return { r: gray, g: gray, b: gray };
+    }
+    
+    const pure = hslToRgb({ h, s: 100, l: 50 });
+    const mix = (c) => Math.round((c / 255 * (1 - w - b) + w) * 255);
+    return { r: mix(pure.r), g: mix(pure.g), b: mix(pure.b) };
+}
+
+/**
+ * Convert RGB to device CMYK (naive, no ICC profile)
+ * @param {object} rgb - RGB color {r, g, b}
+ * @returns {object} CMYK color {c, m, y, k} in 0-100
+ */
+function rgbToCmyk({ r, g, b }) {
+    const k = 1 - Math.max(r, g, b) / 255;
+    if (k >= 1) return { c: 0, m: 0, y: 0, k: 100 };
+    
+    const channel = (value) => (1 - value / 255 - k) / (1 - k) * 100;
+    return { c: channel(r), m: channel(g), y: channel(b), k: k * 100 };
+}
+
+/**
+ * Convert device CMYK to RGB (naive, no ICC profile)
+ * @param {object} cmyk - CMYK color {c, m, y, k} in 0-100
+ * @returns {object} RGB color {r, g, b}
+ */
+function cmykToRgb({ c, m, y, k }) {
+    const unit = (value) => Math.max(0, Math.min(100, value)) / 100;
+    const black = 1 - unit(k);
+    
+    return {
+        r: Math.round(255 * (1 - unit(c)) * black),
+        g: Math.round(255 * (1 - unit(m)) * black),
+        b: Math.round(255 * (1 - unit(y)) * black)
+    };
+}
+
+/**
+ * Round a component for display, dropping trailing zeros
+ * @param {number} value - Component value
+ * @param {number} digits - Maximum decimal places
+ * @returns {string} Formatted number
+ */
+function formatComponent(value, digits) {
+    const rounded = Number(value.toFixed(digits));
+    return String(rounded === 0 ? 0 : rounded);
+}
+
+// Display formats. CSS syntax is used where CSS defines one; precision is
+// high enough for each string to convert back to the same RGB value.
+const COLOR_FORMATS = {
+    hex: {
+        label: 'HEX',
+        format: (color) => color.hex
+    },
+    rgb: {
+        label: 'RGB',
+        format: ({ rgb }) => `rgb(${rgb.r}, ${rgb.g}, ${rgb.b})`
+    },
+    hsl: {
+        label: 'HSL',
+        format: ({ rgb }) => {
+            const { h, s, l } = rgbToHsl(rgb);
+            return `hsl(${formatComponent(h, 1)} ${formatComponent(s, 1)}% ${formatComponent(l, 1)}%)`;
+        }
+    },
+    hsv: {
+        label: 'HSV/HSB',
+        format: ({ rgb }) => {
+            const { h, s, v } = rgbToHsv(rgb);
+            return `hsv(${formatComponent(h, 1)}, ${formatComponent(s, 1)}%, ${formatComponent(v, 1)}%)`;
+        }
+    },
+    hwb: {
+        label: 'HWB',
+        format: ({ rgb }) => {
+            const { h, w, b } = rgbToHwb(rgb);
+            return `hwb(${formatComponent(h, 2)} ${formatComponent(w, 2)}% ${formatComponent(b, 2)}%)`;
+        }
+    },
+    cmyk: {
+        label: 'CMYK',
+        // Colors read from CMYK sources (PDF) keep their original values
+        format: (color) => {
+            const { c, m, y, k } = color.cmyk || rgbToCmyk(color.rgb);
+            return `cmyk(${formatComponent(c, 1)}%, ${formatComponent(m, 1)}%, ${formatComponent(y, 1)}%, ${formatComponent(k, 1)}%)`;
+        }
+    },
+    xyz: {
+        label: 'XYZ',
+        format: ({ rgb }) => {
+            const { x, y, z } = rgbToXyz(rgb);
+            return `color(xyz-d65 ${formatComponent(x, 5)} ${formatComponent(y, 5)} ${formatComponent(z, 5)})`;
+        }
+    },
+    lab: {
+        label: 'LAB',
+        format: ({ rgb }) => {
+            const { l, a, b } = rgbToLab(rgb);
+            return `lab(${formatComponent(l, 2)} ${formatComponent(a, 2)} ${formatComponent(b, 2)})`;
+        }
+    },
+    lch: {
+        label: 'LCH',
+        format: ({ rgb }) => {
+            const { l, c, h } = rgbToLch(rgb);
+            return `lch(${formatComponent(l, 2)} ${formatComponent(c, 2)} ${formatComponent(h, 2)})`;
+        }
+    },
+    oklab: {
+        label: 'OKLAB',
+        format: ({ rgb }) => {
+            const { l, a, b } = rgbToOklab(rgb);
+            return `oklab(${formatComponent(l * 100, 3)}% ${formatComponent(a, 5)} ${formatComponent(b, 5)})`;
+        }
+    },
+    oklch: {
+        label: 'OKLCH',
+        format: ({ rgb }) => {
+            const { l, c, h } = rgbToOklch(rgb);
+            return `oklch(${formatComponent(l * 100, 3)}% ${formatComponent(c, 5)} ${formatComponent(h, 2)})`;
+        }
+    }
+};
+
+const DEFAULT_VISIBLE_FORMATS = ['hex', 'rgb', 'hsl'];
+
+/**
+ * Format a color for display
+ * @param {object} color - Color object {hex, rgb, cmyk?}
+ * @param {string} format - Key of COLOR_FORMATS
+ * @returns {string} Formatted color
+ */
+function formatColor(color, format) {
+    const definition = COLOR_FORMATS[format] || COLOR_FORMATS.hex;
+    return definition.format(color);
+}
@@ -0,0 +1,152 @@
+/**
+ * Color Vision Module
+ * Simulates color vision deficiencies on colors and image pixels, and finds
+ * palette colors that become hard to tell apart.
+ *
+ * Dichromacies use Brettel, Viénot & Mollon (1997) in linear sRGB with the
+ * precomputed half-plane matrices of libDaltonLens. Anomalous trichromacy
+ * blends that result with the original colors in linear RGB by the chosen
+ * severity. Achromatopsia keeps only luminance.
+ */
+
+// Brettel 1997 parameters: one matrix per half-plane and the normal of the plane separating them
+const BRETTEL_PARAMETERS = {
+    protan: {
+        matrices: [
+            [[0.14980, 1.19548, -0.34528], [0.10764, 0.84864, 0.04372], [0.00384, -0.00540, 1.00156]],
+            [[0.14570, 1.16172, -0.30742], [0.10816, 0.85291, 0.03892], [0.00386, -0.00524, 1.00139]]
+        ],
+        separationNormal: [0.00048, 0.00393, -0.00441]
+    },
+    deutan: {
+        matrices: [
+            [[0.36477, 0.86381, -0.22858], [0.26294, 0.64245, 0.09462], [-0.02006, 0.02728, 0.99278]],
+            [[0.37298, 0.88166, -0.25464], [0.25954, 0.63506, 0.10540], [-0.01980, 0.02784, 0.99196]]
+        ],
+        separationNormal: [-0.00281, -0.00611, 0.00892]
+    },
+    tritan: {
+        matrices: [
+            [[1.01277, 0.13548, -0.14826], [-0.01243, 0.86812, 0.14431], [0.07589, 0.80500, 0.11911]],
+            [[0.93678, 0.18979, -0.12657], [0.06154, 0.81526, 0.12320], [-0.37562, 1.12767, 0.24796]]
+        ],
+        separationNormal: [0.03901, -0.02788, -0.01113]
+    }
+};
+
+// Simulated deficiencies; anomalous ones take a severity
+const COLOR_VISION_TYPES = {
+    protanopia: { label: 'Protanopia', description: 'no red cones', cone: 'protan' },
+    deuteranopia: { label: 'Deuteranopia', description: 'no green cones', cone: 'deutan' },
+    tritanopia: { label: 'Tritanopia', description: 'no blue cones', cone: 'tritan' },
+    protanomaly: { label: 'Protanomaly', description: 'weak red cones', cone: 'protan', anomalous: true },
+    deuteranomaly: { label: 'Deuteranomaly', description: 'weak green cones', cone: 'deutan', anomalous: true },
+    tritanomaly: { label: 'Tritanomaly', description: 'weak blue cones', cone: 'tritan', anomalous: true },
+    achromatopsia: { label: 'Achromatopsia', description: 'no color vision' }
+};
+
+const DEFAULT_ANOMALY_SEVERITY = 0.6;
+
+// Relative luminance weights of linear sRGB
+const LUMINANCE_WEIGHTS = [0.2126, 0.7152, 0.0722];
+
+/**
+ * Simulate a deficiency on a linear sRGB color
+ * @param {number[]} linear - Linear [r, g, b] (0-1)
+ * @param {string} type - Key of COLOR_VISION_TYPES
+ * @param {number} severity - 0-1, used by anomalous types only
+ * @returns {number[]} Simulated linear [r, g, b], clipped to 0-1
+ */
+function simulateLinearColorVision(linear, type, severity = DEFAULT_ANOMALY_SEVERITY) {
+    const definition = COLOR_VISION_TYPES[type];
+    if (!definition) {
+        throw new Error(`Unknown color vision deficiency: ${type}`);
+    }
+    
+    let simulated;
+    if (!definition.cone) {
+        const y = linear[0] * LUMINANCE_WEIGHTS[0] + linear[1] * LUMINANCE_WEIGHTS[1] + linear[2] * LUMINANCE_WEIGHTS[2];
+        simulated = [y, y, y];
+    } else {
+        const { matrices, separationNormal } = BRETTEL_PARAMETERS[definition.cone];
+        const side = linear[0] * separationNormal[0] + linear[1] * separationNormal[1] + linear[2] * separationNormal[2];
+        simulated = multiplyMatrix(matrices[side >= 0 ? 0 : 1], linear);
+        
+        if (definition.anomalous) {
+            simulated = simulated.map((c, i) => linear[i] + (c - linear[i]) * severity);
+        }
+    }
+    return simulated.map(c => Math.max(0, Math.min(1, c)));
+}
+
+/**
+ * Simulate a deficiency on a color
+ * @param {object} rgb - RGB color {r, g, b}
+ * @param {string} type - Key of COLOR_VISION_TYPES
+ * @param {number} severity - 0-1, used by anomalous types only
+ * @returns {object} Simulated RGB color {r, g, b}
+ */
+function simulateColorVision(rgb, type, severity) {
+    const [r, g, b] = simulateLinearColorVision(rgbToLinear(rgb), type, severity)
+        .map(c => Math.round(linearToSrgb(c) * 255));
+    return { r, g, b };
+}
+
+/**
+ * Simulate a deficiency on image pixels in place
+ * @param {ImageData} imageData - Pixels to change; alpha is kept
+ * @param {string} type - Key of COLOR_VISION_TYPES
+ * @param {number} severity - 0-1, used by anomalous types only
+ */
+function simulateImageColorVision(imageData, type, severity) {
+    const data = imageData.data;
+    
+    // Lookup tables for decoding 8-bit channels and encoding 12-bit linear values
+    const toLinear = new Float32Array(256);
+    for (let i = 0; i < 256; i++) toLinear[i] = srgbToLinear(i / 255);
+    const toSrgb = new Uint8ClampedArray(4096);
+    for (let i = 0; i < 4096; i++) toSrgb[i] = Math.round(linearToSrgb(i / 4095) * 255);
+    
+    // Pixels repeat a lot, so each distinct color is simulated once
+    const cache = new Map();
+    for (let i = 0; i < data.length; i += 4) {
+        const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+        let simulated = cache.get(key);
+        if (simulated === undefined) {
+            const linear = simulateLinearColorVision([toLinear[data[i]], toLinear[data[i + 1]], toLinear[data[i + 2]]], type, severity);
+            simulated = (toSrgb[Math.round(linear[0] * 4095)] << 16) | (toSrgb[Math.round(linear[1] * 4095)] << 8) | toSrgb[Math.round(linear[2] * 4095)];
+            cache.set(key, simulated);
+        }
+        data[i] = simulated >> 16;
+        data[i + 1] = (simulated >> 8) & 255;
+        data[i + 2] = simulated & 255;
+    }
+}
+
+/**
+ * Find palette pairs that can be told apart with normal vision but not
+ * with a deficiency
+ * @param {Array} colors - Palette colors with rgb
+ * @param {string} type - Key of COLOR_VISION_TYPES
+ * @param {number} severity - 0-1, used by anomalous types only
+ * @param {number} threshold - Distance below which colors count as the same
+ * @param {string} metric - Key of COLOR_DISTANCE_METRICS
+ * @returns {Array} [{first, second, simulated: [rgb, rgb], distance, originalDistance}], closest first
+ */
+function findColorVisionConfusions(colors, type, severity, threshold, metric = DEFAULT_DISTANCE_METRIC) {
+    const simulated = colors.map(color => simulateColorVision(color.rgb, type, severity));
+    const pairs = [];
+    
+    for (let i = 0; i < colors.length; i++) {
+        for (let j = i + 1; j < colors.length; j++) {
+            const originalDistance = colorDistance(colors[i].rgb, colors[j].rgb, metric);
+            if (originalDistance < threshold) continue;
+            
+            const distance = colorDistance(simulated[i], simulated[j], metric);
+            if (distance < threshold) {
+                pairs.push({ first: colors[i], second: colors[j], simulated: [simulated[i], simulated[j]], distance, originalDistance });
+            }
+        }
+    }
+    return pairs.sort((a, b) => a.distance - b.distance);
+}
@@ -0,0 +1,181 @@
+/**
+ * Contrast Module
+ * WCAG 2.x contrast ratios (built on getLuminance), APCA lightness contrast
+ * and search for the nearest color that passes a contrast target
+ */
+
+// WCAG 2.x minimum ratios; UI components (SC 1.4.11) have no AAA level
+const WCAG_CRITERIA = {
+    normal: { label: 'Normal text', aa: 4.5, aaa: 7 },
+    large: { label: 'Large text', aa: 3, aaa: 4.5 },
+    ui: { label: 'UI components', aa: 3, aaa: null }
+};
+
+// APCA-W3 0.0.98G-4g constants
+const APCA = {
+    mainTRC: 2.4,
+    rCoeff: 0.2126729,
+    gCoeff: 0.7151522,
+    bCoeff: 0.0721750,
+    normBG: 0.56,
+    normTXT: 0.57,
+    revTXT: 0.62,
+    revBG: 0.65,
+    blkThrs: 0.022,
+    blkClmp: 1.414,
+    scale: 1.14,
+    offset: 0.027,
+    loClip: 0.1,
+    deltaYmin: 0.0005
+};
+
+// APCA readability guidance, highest first (absolute Lc)
+const APCA_LEVELS = [
+    { lc: 90, label: 'Preferred body text' },
+    { lc: 75, label: 'Body text' },
+    { lc: 60, label: 'Content text' },
+    { lc: 45, label: 'Large text & headlines' },
+    { lc: 30, label: 'Spot text & UI components' },
+    { lc: 15, label: 'Non-text only' }
+];
+
+// OKLCH lightness step when searching for a passing variant
+const CONTRAST_SEARCH_STEP = 0.01;
+
+/**
+ * WCAG 2.x contrast ratio between two colors
+ * @param {object} rgb1 - RGB color {r, g, b}
+ * @param {object} rgb2 - RGB color {r, g, b}
+ * @returns {number} Ratio from 1 to 21
+ */
+function getContrastRatio(rgb1, rgb2) {
+    const l1 = getLuminance(rgb1.r, rgb1.g, rgb1.b);
+    const l2 = getLuminance(rgb2.r, rgb2.g, rgb2.b);
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+/**
+ * Evaluate a contrast ratio against every WCAG criterion
+ * @param {number} ratio - Contrast ratio
+ * @returns {object} Per-criterion {aa, aaa} pass flags (aaa is null when undefined)
+ */
+function getWcagResults(ratio) {
+    const results = {};
+    Object.entries(WCAG_CRITERIA).forEach(([key, criterion]) => {
+        results[key] = {
+            aa: ratio >= criterion.aa,
+            aaa: criterion.aaa === null ? null : ratio >= criterion.aaa
+        };
+    });
+    return results;
+}
+
+/**
+ * Short WCAG rating for a ratio
+ * @param {number} ratio - Contrast ratio
+ * @returns {string} 'AAA', 'AA', 'AA Large' or 'Fail'
+ */
+function getWcagRating(ratio) {
+    if (ratio >= WCAG_CRITERIA.normal.aaa) return 'AAA';
+    if (ratio >= WCAG_CRITERIA.normal.aa) return 'AA';
+    if (ratio >= WCAG_CRITERIA.large.aa) return 'AA Large';
+    return 'Fail';
+}
+
+/**
+ * APCA screen luminance estimate with the black soft clamp
+ * @param {object} rgb - RGB color {r, g, b}
+ * @returns {number} Clamped luminance Y
+ */
+function getApcaLuminance({ r, g, b }) {
+    const y = APCA.rCoeff * Math.pow(r / 255, APCA.mainTRC) +
+        APCA.gCoeff * Math.pow(g / 255, APCA.mainTRC) +
+        APCA.bCoeff * Math.pow(b / 255, APCA.mainTRC);
+    return y > APCA.blkThrs ? y : y + Math.pow(APCA.blkThrs - y, APCA.blkClmp);
+}
+
+/**
+ * APCA lightness contrast of text on a background
+ * @param {object} text - Text color {r, g, b}
+ * @param {object} background - Background color {r, g, b}
+ * @returns {number} Lc value; positive for dark text on light, negative for light on dark
+ */
+function getApcaContrast(text, background) {
+    const yText = getApcaLuminance(text);
+    const yBackground = getApcaLuminance(background);
+    
+    if (Math.abs(yBackground - yText) < APCA.deltaYmin) return 0;
+    
+    if (yBackground > yText) {
+        const sapc = (Math.pow(yBackground, APCA.normBG) - Math.pow(yText, APCA.normTXT)) * APCA.scale;
+        return sapc < APCA.loClip ? 0 : (sapc - APCA.offset) * 100;
+    }
+    
+    const sapc = (Math.pow(yBackground, APCA.revBG) - Math.pow(yText, APCA.revTXT)) * APCA.scale;
+    return sapc > -APCA.loClip ? 0 : (sapc + APCA.offset) * 100;
+}
+
+/**
+ * Highest APCA guidance level an Lc value reaches
+ * @param {number} lc - APCA Lc value
+ * @returns {object|null} Entry of APCA_LEVELS, or null below Lc 15
+ */
+function getApcaLevel(lc) {
+    return APCA_LEVELS.find(level => Math.abs(lc) >= level.lc) || null;
+}
+
+/**
+ * Find the closest variant of a color that reaches a contrast ratio against
+ * another color. Only OKLCH lightness changes, so hue and (where the gamut
+ * allows) chroma are kept.
+ * @param {object} rgb - Color to adjust {r, g, b}
+ * @param {object} against - Fixed color {r, g, b}
+ * @param {number} target - Required contrast ratio
+ * @returns {object|null} {hex, rgb, ratio} or null if no lightness reaches the target
+ */
+function findNearestPassingColor(rgb, against, target) {
+    if (getContrastRatio(rgb, against) >= target) {
+        return { hex: rgbToHex(rgb.r, rgb.g, rgb.b), rgb, ratio: getContrastRatio(rgb, against) };
+    }
+    
+    const origin = rgbToOklch(rgb);
+    const passes = (l) => getContrastRatio(oklchToRgb({ ...origin, l }), against) >= target;
+    const candidates = [];
+    
+    // Walk outwards in both directions, then refine the first passing step
+    [-1, 1].forEach(direction => {
+        let previous = origin.l;
+        for (let l = origin.l + direction * CONTRAST_SEARCH_STEP; l >= -CONTRAST_SEARCH_STEP && l <= 1 + CONTRAST_SEARCH_STEP; l += direction * CONTRAST_SEARCH_STEP) {
+            const bounded = Math.max(0, Math.min(1, l));
+            if (passes(bounded)) {
+                let fail = previous;
+                let pass = bounded;
+                for (let i = 0; i < 12; i++) {
+                    const middle = (fail + pass) / 2;
+                    if (passes(middle)) pass = middle;
+                    else fail = middle;
+                }
+                candidates.push(oklchToRgb({ ...origin, l: pass }));
+                break;
+            }
+            previous = bounded;
+        }
+    });
+    
+    if (candidates.length === 0) return null;
+    
+    const best = candidates.reduce((closest, candidate) =>
+        colorDistance(candidate, rgb) < colorDistance(closest, rgb) ? candidate : closest
+    );
+    return { hex: rgbToHex(best.r, best.g, best.b), rgb: best, ratio: getContrastRatio(best, against) };
+}
+
+/**
+ * Format a contrast ratio for display
+ * @param {number} ratio - Contrast ratio
+ * @returns {string} e.g. '4.54:1'
+ */
+function formatContrastRatio(ratio) {
+    // Truncate rather than round so 4.499 never displays as a passing 4.5
+    return `${(Math.floor(ratio * 100) / 100).toFixed(2)}:1`;
+}
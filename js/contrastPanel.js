@@ -0,0 +1,252 @@
+/**
+ * Contrast Panel
+ * WCAG/APCA contrast view for the extracted palette: a single
+ * foreground/background pair or a matrix of every pair
+ */
+
+// Current panel state
+let contrastMode = 'pair';
+let contrastPalette = [];
+
+// DOM Elements
+const contrastPanel = document.getElementById('contrastPanel');
+const contrastModeButtons = document.querySelectorAll('.contrast-mode-btn');
+const contrastPairView = document.getElementById('contrastPairView');
+const contrastMatrixView = document.getElementById('contrastMatrixView');
+const contrastForegroundSelect = document.getElementById('contrastForeground');
+const contrastBackgroundSelect = document.getElementById('contrastBackground');
+const swapContrastBtn = document.getElementById('swapContrastColors');
+const contrastPairResult = document.getElementById('contrastPairResult');
+const contrastMatrix = document.getElementById('contrastMatrix');
+
+/**
+ * Setup contrast panel controls
+ */
+function setupContrastPanel() {
+    contrastModeButtons.forEach(button => {
+        button.addEventListener('click', () => setContrastMode(button.getAttribute('data-mode')));
+    });
+    
+    contrastForegroundSelect.addEventListener('change', renderContrastPair);
+    contrastBackgroundSelect.addEventListener('change', renderContrastPair);
+    
+    swapContrastBtn.addEventListener('click', () => {
+        const foreground = contrastForegroundSelect.value;
+        contrastForegroundSelect.value = contrastBackgroundSelect.value;
+        contrastBackgroundSelect.value = foreground;
+        renderContrastPair();
+    });
+    
+    // Clicking a matrix cell opens that pair
+    contrastMatrix.addEventListener('click', (e) => {
+        const cell = e.target.closest('[data-foreground]');
+        if (!cell) return;
+        
+        contrastForegroundSelect.value = cell.getAttribute('data-foreground');
+        contrastBackgroundSelect.value = cell.getAttribute('data-background');
+        setContrastMode('pair');
+    });
+    
+    // Suggested variants are added to the palette and selected
+    contrastPairResult.addEventListener('click', (e) => {
+        const button = e.target.closest('.use-suggestion-btn');
+        if (!button) return;
+        
+        const hex = button.getAttribute('data-hex');
+        const role = button.getAttribute('data-role');
+        addSingleColor(hex);
+        
+        const select = role === 'background' ? contrastBackgroundSelect : contrastForegroundSelect;
+        select.value = hex;
+        renderContrastPair();
+    });
+}
+
+/**
+ * Switch between pair and matrix views
+ * @param {string} mode - 'pair' or 'matrix'
+ */
+function setContrastMode(mode) {
+    contrastMode = mode;
+    
+    contrastModeButtons.forEach(button => {
+        button.classList.toggle('active', button.getAttribute('data-mode') === mode);
+    });
+    contrastPairView.hidden = mode !== 'pair';
+    contrastMatrixView.hidden = mode !== 'matrix';
+    
+    if (mode === 'pair') {
+        renderContrastPair();
+    } else {
+        renderContrastMatrix();
+    }
+}
+
+/**
+ * Refresh the panel for a new palette, keeping the selected pair if possible
+ * @param {Array} colors - Palette colors
+ */
+function updateContrastPanel(colors) {
+    contrastPalette = colors;
+    
+    if (colors.length < 2) {
+        contrastPanel.style.display = 'none';
+        return;
+    }
+    contrastPanel.style.display = 'block';
+    
+    const previousForeground = contrastForegroundSelect.value;
+    const previousBackground = contrastBackgroundSelect.value;
+    const options = colors.map(color =>
+        `<option value="${color.hex}">${color.hex}${color.percentage ? ` (${escapeHtml(color.percentage)}%)` : ''}</option>`
+    ).join('');
+    contrastForegroundSelect.innerHTML = options;
+    contrastBackgroundSelect.innerHTML = options;
+    
+    const hasColor = (hex) => colors.some(color => color.hex === hex);
+    if (hasColor(previousForeground) && hasColor(previousBackground)) {
+        contrastForegroundSelect.value = previousForeground;
+        contrastBackgroundSelect.value = previousBackground;
+    } else {
+        // Default: most used color as background, its highest-contrast partner as text
+        const background = colors[0];
+        const foreground = colors.slice(1).reduce((best, color) =>
+            getContrastRatio(color.rgb, background.rgb) > getContrastRatio(best.rgb, background.rgb) ? color : best
+        );
+        contrastBackgroundSelect.value = background.hex;
+        contrastForegroundSelect.value = foreground.hex;
+    }
+    
+    setContrastMode(contrastMode);
+}
+
+/**
+ * Render the selected foreground/background pair
+ */
+function renderContrastPair() {
+    const foreground = hexToRgb(contrastForegroundSelect.value);
+    const background = hexToRgb(contrastBackgroundSelect.value);
+    if (!foreground || !background) return;
+    
+    const ratio = getContrastRatio(foreground, background);
+    const results = getWcagResults(ratio);
+    const lc = getApcaContrast(foreground, background);
+    const apcaLevel = getApcaLevel(lc);
+    
+    const badge = (passed) => passed === null
+        ? '<span class="contrast-badge na">—</span>'
+        : `<span class="contrast-badge ${passed ? 'pass' : 'fail'}">${passed ? 'Pass' : 'Fail'}</span>`;
+    
+    const rows = Object.entries(WCAG_CRITERIA).map(([key, criterion]) => `
+        <tr>
+            <td>${criterion.label}</td>
+            <td>${badge(results[key].aa)} <span class="contrast-target">${criterion.aa}:1</span></td>
+            <td>${badge(results[key].aaa)}${criterion.aaa ? ` <span class="contrast-target">${criterion.aaa}:1</span>` : ''}</td>
+        </tr>
+    `).join('');
+    
+    contrastPairResult.innerHTML = `
+        <div class="contrast-sample" style="color: ${contrastForegroundSelect.value}; background-color: ${contrastBackgroundSelect.value};">
+            <span class="contrast-sample-large">Large text sample</span>
+            <span>Normal body text sample for reading</span>
+            <span class="contrast-sample-ui" style="border-color: ${contrastForegroundSelect.value};">Button</span>
+        </div>
+        <div class="contrast-scores">
+            <div class="contrast-score">
+                <span class="contrast-score-value">${formatContrastRatio(ratio)}</span>
+                <span class="contrast-score-label">WCAG 2.x ratio</span>
+            </div>
+            <div class="contrast-score">
+                <span class="contrast-score-value">Lc ${lc.toFixed(1)}</span>
+                <span class="contrast-score-label">APCA · ${apcaLevel ? apcaLevel.label : 'Not readable'}</span>
+            </div>
+        </div>
+        <table class="contrast-table">
+            <thead>
+                <tr><th>WCAG 2.x</th><th>AA</th><th>AAA</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+        ${renderContrastSuggestions(foreground, background, ratio)}
+    `;
+}
+
+/**
+ * Build nearest-passing suggestions for a failing pair
+ * @param {object} foreground - Foreground RGB
+ * @param {object} background - Background RGB
+ * @param {number} ratio - Current contrast ratio
+ * @returns {string} Suggestions markup (empty when AAA already passes)
+ */
+function renderContrastSuggestions(foreground, background, ratio) {
+    const targets = [
+        { level: 'AA', ratio: WCAG_CRITERIA.normal.aa },
+        { level: 'AAA', ratio: WCAG_CRITERIA.normal.aaa }
+    ].filter(target => ratio < target.ratio);
+    
+    if (targets.length === 0) return '';
+    
+    const items = [];
+    targets.forEach(target => {
+        [
+            { role: 'foreground', suggestion: findNearestPassingColor(foreground, background, target.ratio) },
+            { role: 'background', suggestion: findNearestPassingColor(background, foreground, target.ratio) }
+        ].forEach(({ role, suggestion }) => {
+            if (!suggestion) return;
+            items.push(`
+                <li class="contrast-suggestion">
+                    <span class="suggestion-swatch" style="background-color: ${suggestion.hex};"></span>
+                    <span>${target.level} ${role}: <strong>${suggestion.hex}</strong> (${formatContrastRatio(suggestion.ratio)})</span>
+                    <button class="btn btn-secondary btn-sm use-suggestion-btn" data-hex="${suggestion.hex}" data-role="${role}">Use</button>
+                </li>
+            `);
+        });
+    });
+    
+    if (items.length === 0) return '';
+    
+    return `
+        <div class="contrast-suggestions">
+            <h4>Nearest passing variants</h4>
+            <ul>${items.join('')}</ul>
+        </div>
+    `;
+}
+
+/**
+ * Render every foreground/background pair of the palette
+ */
+function renderContrastMatrix() {
+    const header = contrastPalette.map(color =>
+        `<th><span class="matrix-swatch" style="background-color: ${color.hex};"></span>${color.hex}</th>`
+    ).join('');
+    
+    const rows = contrastPalette.map(foreground => {
+        const cells = contrastPalette.map(background => {
+            if (foreground.hex === background.hex) {
+                return '<td class="matrix-cell matrix-self">—</td>';
+            }
+            
+            const ratio = getContrastRatio(foreground.rgb, background.rgb);
+            const rating = getWcagRating(ratio);
+            const lc = getApcaContrast(foreground.rgb, background.rgb);
+            return `
+                <td class="matrix-cell" data-foreground="${foreground.hex}" data-background="${background.hex}"
+                    style="color: ${foreground.hex}; background-color: ${background.hex};"
+                    title="${foreground.hex} on ${background.hex} · APCA Lc ${lc.toFixed(1)}">
+                    <span class="matrix-ratio">${formatContrastRatio(ratio)}</span>
+                    <span class="contrast-badge ${rating === 'Fail' ? 'fail' : 'pass'}">${rating}</span>
+                </td>
+            `;
+        }).join('');
+        
+        return `<tr><th><span class="matrix-swatch" style="background-color: ${foreground.hex};"></span>${foreground.hex}</th>${cells}</tr>`;
+    }).join('');
+    
+    contrastMatrix.innerHTML = `
+        <table class="contrast-matrix-table">
+            <thead><tr><th>Text / Background</th>${header}</tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
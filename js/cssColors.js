@@ -0,0 +1,586 @@
+/**
+ * CSS Color Collection
+ * Finds every color declared in stylesheets (including custom properties,
+ * gradients, shadows and modern color functions), resolves var() references
+ * and reports the rules and variables behind each color. Reads stylesheet
+ * text, as returned by the page proxy or pasted, or the live document.styleSheets.
+ */
+
+// Properties whose values never hold colors; identifiers there are not color names
+const NON_COLOR_PROPERTIES = new Set([
+    'font', 'font-family', 'animation', 'animation-name', 'transition', 'transition-property',
+    'grid-area', 'grid-template-areas', 'content', 'counter-reset', 'counter-increment',
+    'will-change', 'list-style-type', 'quotes'
+]);
+
+// Color functions with three channels: what 100% stands for in each channel
+// ('hue' for angles) and the conversion to RGB
+const CSS_COLOR_FUNCTIONS = {
+    rgb: {
+        channels: [255, 255, 255],
+        toRgb: (channels) => {
+            const [r, g, b] = channels.map(c => Math.round(Math.max(0, Math.min(255, c))));
+            return { r, g, b };
+        }
+    },
+    hsl: { channels: ['hue', 100, 100], toRgb: ([h, s, l]) => hslToRgb({ h, s, l }) },
+    hwb: { channels: ['hue', 100, 100], toRgb: ([h, w, b]) => hwbToRgb({ h, w, b }) },
+    lab: { channels: [100, 125, 125], toRgb: ([l, a, b]) => labToRgb({ l: Math.max(0, Math.min(100, l)), a, b }) },
+    lch: { channels: [100, 150, 'hue'], toRgb: ([l, c, h]) => lchToRgb({ l: Math.max(0, Math.min(100, l)), c: Math.max(0, c), h }) },
+    oklab: { channels: [1, 0.4, 0.4], toRgb: ([l, a, b]) => oklabToRgb({ l: Math.max(0, Math.min(1, l)), a, b }) },
+    oklch: { channels: [1, 0.4, 'hue'], toRgb: ([l, c, h]) => oklchToRgb({ l: Math.max(0, Math.min(1, l)), c: Math.max(0, c), h }) }
+};
+
+// Legacy names of the color functions
+const CSS_COLOR_ALIASES = { rgba: 'rgb', hsla: 'hsl' };
+
+// Every function whose text is a color, used to pick colors out of values
+const CSS_COLOR_FUNCTION_NAMES = [
+    ...Object.keys(CSS_COLOR_FUNCTIONS), ...Object.keys(CSS_COLOR_ALIASES), 'color', 'color-mix'
+];
+
+// Degrees per angle unit
+const CSS_ANGLE_UNITS = { deg: 1, grad: 0.9, rad: 180 / Math.PI, turn: 360 };
+
+// Chroma below which a hue carries no information
+const ACHROMATIC_CHROMA = 1e-4;
+
+// Interpolation spaces of color-mix(): channels from and to RGB, the hue
+// channel and when that hue is powerless (taken from the other color)
+const CSS_MIX_SPACES = {
+    'srgb': {
+        from: ({ r, g, b }) => [r / 255, g / 255, b / 255],
+        to: (channels) => predefinedColorToRgb('srgb', channels)
+    },
+    'srgb-linear': { from: rgbToLinear, to: linearToRgb },
+    'xyz-d65': {
+        from: (rgb) => multiplyMatrix(SRGB_TO_XYZ, rgbToLinear(rgb)),
+        to: (xyz) => predefinedColorToRgb('xyz-d65', xyz)
+    },
+    'xyz-d50': {
+        from: (rgb) => multiplyMatrix(D65_TO_D50, multiplyMatrix(SRGB_TO_XYZ, rgbToLinear(rgb))),
+        to: (xyz) => predefinedColorToRgb('xyz-d50', xyz)
+    },
+    'lab': {
+        from: (rgb) => Object.values(rgbToLab(rgb)),
+        to: ([l, a, b]) => labToRgb({ l, a, b })
+    },
+    'oklab': {
+        from: (rgb) => Object.values(rgbToOklab(rgb)),
+        to: ([l, a, b]) => oklabToRgb({ l, a, b })
+    },
+    'lch': {
+        from: (rgb) => Object.values(rgbToLch(rgb)),
+        to: ([l, c, h]) => lchToRgb({ l, c, h }),
+        hue: 2,
+        isAchromatic: ([, c]) => c < ACHROMATIC_CHROMA
+    },
+    'oklch': {
+        from: (rgb) => Object.values(rgbToOklch(rgb)),
+        to: ([l, c, h]) => oklchToRgb({ l, c, h }),
+        hue: 2,
+        isAchromatic: ([, c]) => c < ACHROMATIC_CHROMA
+    },
+    'hsl': {
+        from: (rgb) => Object.values(rgbToHsl(rgb)),
+        to: ([h, s, l]) => hslToRgb({ h, s, l }),
+        hue: 0,
+        isAchromatic: ([, s]) => s < ACHROMATIC_CHROMA
+    },
+    'hwb': {
+        from: (rgb) => Object.values(rgbToHwb(rgb)),
+        to: ([h, w, b]) => hwbToRgb({ h, w, b }),
+        hue: 0,
+        isAchromatic: ([, w, b]) => w + b >= 100 - ACHROMATIC_CHROMA
+    }
+};
+
+// Plain 'xyz' means D65
+CSS_MIX_SPACES.xyz = CSS_MIX_SPACES['xyz-d65'];
+
+// A variable defined in several rules (themes, media queries) gives one
+// alternative value per definition; this caps the combinations per value
+const MAX_VARIABLE_ALTERNATIVES = 8;
+
+/**
+ * Split CSS text into declarations with the selector they belong to.
+ * Rules inside @media, @supports and similar blocks keep the at-rule as a prefix.
+ * @param {string} css - Stylesheet text
+ * @returns {Array} Declarations {selector, property, value}
+ */
+function parseCssDeclarations(css) {
+    const text = css.replace(/\/\*[\s\S]*?\*\//g, '');
+    const declarations = [];
+    const context = [];
+    let buffer = '';
+    let quote = null;
+    let depth = 0;
+    
+    const addDeclarations = (block) => {
+        const selector = context.join(' ').replace(/\s+/g, ' ').trim();
+        splitCssList(block, ';').forEach(item => {
+            const colon = item.indexOf(':');
+            if (colon <= 0) return;
+            
+            const property = item.slice(0, colon).trim();
+            const value = item.slice(colon + 1).replace(/!important\s*$/i, '').trim();
+            if (property && value) {
+                declarations.push({ selector, property: property.startsWith('--') ? property : property.toLowerCase(), value });
+            }
+        });
+    };
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (quote) {
+            buffer += char;
+            if (char === '\\') {
+                buffer += text[++i] || '';
+            } else if (char === quote) {
+                quote = null;
+            }
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+            buffer += char;
+        } else if (char === '(') {
+            depth++;
+            buffer += char;
+        } else if (char === ')') {
+            depth = Math.max(0, depth - 1);
+            buffer += char;
+        } else if (char === '{' && depth === 0) {
+            // Declarations written before a nested rule belong to the outer rule
+            const lastBreak = buffer.lastIndexOf(';');
+            if (lastBreak >= 0 && context.length) addDeclarations(buffer.slice(0, lastBreak));
+            context.push(buffer.slice(lastBreak + 1).trim());
+            buffer = '';
+        } else if (char === '}' && depth === 0) {
+            if (context.length) addDeclarations(buffer);
+            context.pop();
+            buffer = '';
+        } else if (char === ';' && depth === 0 && !context.length) {
+            // Top-level statements such as @import and @charset
+            buffer = '';
+        } else {
+            buffer += char;
+        }
+    }
+    return declarations;
+}
+
+/**
+ * Split a CSS list on a separator, ignoring separators inside parentheses and strings
+ * @param {string} text - CSS text
+ * @param {string} separator - Single-character separator
+ * @returns {string[]} Trimmed, non-empty items
+ */
+function splitCssList(text, separator) {
+    const items = [];
+    let current = '';
+    let depth = 0;
+    let quote = null;
+    
+    for (const char of text) {
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')') {
+            depth--;
+        } else if (char === separator && depth === 0) {
+            items.push(current.trim());
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    items.push(current.trim());
+    return items.filter(Boolean);
+}
+
+/**
+ * Find the color literals in a declaration value, e.g. both stops of a
+ * gradient or every layer of a box-shadow
+ * @param {string} value - Declaration value, with var() references resolved
+ * @param {string} property - Property name, used to skip non-color identifiers
+ * @returns {string[]} Color strings in order of appearance
+ */
+function findCssColorValues(value, property = '') {
+    // Strings and URLs may contain anything, including '#' fragments
+    const text = value
+        .replace(/(["'])(?:\\.|(?!\1)[^\\])*\1/g, ' ')
+        .replace(/url\([^)]*\)/gi, ' ');
+    const allowNames = !NON_COLOR_PROPERTIES.has(property.toLowerCase());
+    const colors = [];
+    
+    // Identifiers include leading dashes so custom property names such as --red are not read as colors
+    const token = /#[0-9a-f]{3,8}\b|(-*[a-z_][\w-]*)(\()?/gi;
+    let match;
+    while ((match = token.exec(text))) {
+        if (match[0].startsWith('#')) {
+            if ([3, 4, 6, 8].includes(match[0].length - 1)) colors.push(match[0]);
+            continue;
+        }
+        
+        const name = match[1].toLowerCase();
+        if (match[2]) {
+            const end = findClosingParen(text, token.lastIndex - 1);
+            if (CSS_COLOR_FUNCTION_NAMES.includes(name)) {
+                colors.push(text.slice(match.index, end + 1));
+                token.lastIndex = end + 1;
+            }
+            continue;
+        }
+        if (allowNames && !name.startsWith('-') && name !== 'transparent' && getCssNamedColor(name)) {
+            colors.push(name);
+        }
+    }
+    return colors;
+}
+
+/**
+ * Index of the parenthesis closing the one at `start`
+ * @param {string} text - Text
+ * @param {number} start - Index of '('
+ * @returns {number} Index of the matching ')', or the last index if unclosed
+ */
+function findClosingParen(text, start) {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        if (text[i] === '(') depth++;
+        else if (text[i] === ')' && --depth === 0) return i;
+    }
+    return text.length - 1;
+}
+
+/**
+ * Look up a CSS named color
+ * @param {string} name - Lowercase color keyword
+ * @returns {object|null} RGB color or null
+ */
+function getCssNamedColor(name) {
+    const entry = getColorNameIndex('css').entries.find(named => named.name === name);
+    return entry ? { ...entry.rgb } : null;
+}
+
+/**
+ * Parse a CSS color: HEX, named colors, rgb() and hsl() in legacy and
+ * space-separated syntax, hwb(), lab(), lch(), oklab(), oklch(), color()
+ * and color-mix(). Alpha is ignored, as everywhere else in ColorTrace.
+ * @param {string} value - Color text without var() references
+ * @returns {object|null} RGB color {r, g, b}, or null if not a color
+ *                        (including transparent, currentColor and relative colors)
+ */
+function parseCssColor(value) {
+    const text = String(value).trim().toLowerCase();
+    
+    const hexMatch = text.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+    if (hexMatch) {
+        const digits = hexMatch[1].length <= 4
+            ? hexMatch[1].split('').map(digit => digit + digit).join('')
+            : hexMatch[1];
+        return hexToRgb(digits.slice(0, 6));
+    }
+    
+    const functionMatch = text.match(/^([a-z-]+)\(([\s\S]*)\)$/);
+    if (functionMatch) {
+        const name = CSS_COLOR_ALIASES[functionMatch[1]] || functionMatch[1];
+        if (name === 'color') return parsePredefinedColor(functionMatch[2]);
+        if (name === 'color-mix') return parseColorMix(functionMatch[2]);
+        
+        const definition = CSS_COLOR_FUNCTIONS[name];
+        const channels = definition && parseCssChannels(functionMatch[2], definition.channels);
+        return channels ? definition.toRgb(channels) : null;
+    }
+    
+    if (text === 'transparent' || text === 'currentcolor') return null;
+    return getCssNamedColor(text);
+}
+
+/**
+ * Read the three channels of a color function, in comma or space syntax
+ * @param {string} text - Function arguments
+ * @param {Array} references - Value of 100% per channel, or 'hue'
+ * @returns {number[]|null} Channels, or null if any is not a plain number
+ */
+function parseCssChannels(text, references) {
+    // Anything after a slash, or a fourth comma-separated value, is alpha
+    const parts = text.split('/')[0].trim().split(/\s*,\s*|\s+/).slice(0, 3);
+    if (parts.length < 3) return null;
+    
+    const channels = parts.map((part, i) => parseCssChannel(part, references[i]));
+    return channels.some(isNaN) ? null : channels;
+}
+
+/**
+ * Read one channel value
+ * @param {string} token - Number, percentage, angle or 'none'
+ * @param {number|string} reference - Value of 100%, or 'hue' for angles
+ * @returns {number} Channel value, NaN if invalid
+ */
+function parseCssChannel(token, reference) {
+    if (token === 'none') return 0;
+    
+    const match = token.match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|deg|grad|rad|turn)?$/);
+    if (!match) return NaN;
+    
+    const value = parseFloat(match[1]);
+    const unit = match[2];
+    if (reference === 'hue') {
+        return unit === '%' ? NaN : value * (CSS_ANGLE_UNITS[unit] || 1);
+    }
+    if (unit === '%') return value / 100 * reference;
+    return unit ? NaN : value;
+}
+
+/**
+ * Parse the arguments of color(), e.g. 'display-p3 1 0.5 0'
+ * @param {string} text - Function arguments
+ * @returns {object|null} RGB color, gamut-mapped into sRGB
+ */
+function parsePredefinedColor(text) {
+    const [space, ...parts] = text.split('/')[0].trim().split(/\s+/);
+    if (parts.length < 3) return null;
+    
+    const channels = parts.slice(0, 3).map(part => parseCssChannel(part, 1));
+    return channels.some(isNaN) ? null : predefinedColorToRgb(space, channels);
+}
+
+/**
+ * Parse the arguments of color-mix(), e.g. 'in oklch longer hue, red 30%, blue'
+ * @param {string} text - Function arguments
+ * @returns {object|null} Mixed RGB color
+ */
+function parseColorMix(text) {
+    const [method, ...items] = splitCssList(text, ',');
+    const methodMatch = (method || '').match(/^in\s+([a-z\d-]+)(?:\s+(shorter|longer|increasing|decreasing)\s+hue)?$/);
+    const space = methodMatch && CSS_MIX_SPACES[methodMatch[1]];
+    if (!space || items.length !== 2) return null;
+    
+    // Each color may have a percentage before or after it
+    const stops = items.map(item => {
+        const before = item.match(/^([\d.]+)%\s+([\s\S]+)$/);
+        const after = item.match(/^([\s\S]+?)\s+([\d.]+)%$/);
+        if (before) return { rgb: parseCssColor(before[2]), percentage: parseFloat(before[1]) };
+        if (after) return { rgb: parseCssColor(after[1]), percentage: parseFloat(after[2]) };
+        return { rgb: parseCssColor(item), percentage: null };
+    });
+    if (stops.some(stop => !stop.rgb)) return null;
+    
+    // Missing percentages make up the rest of 100%; other sums are scaled
+    let [first, second] = stops.map(stop => stop.percentage);
+    if (first === null && second === null) first = second = 50;
+    else if (first === null) first = 100 - second;
+    else if (second === null) second = 100 - first;
+    if (first < 0 || second < 0 || first + second <= 0) return null;
+    
+    return mixColors(stops[0].rgb, stops[1].rgb, second / (first + second), space, methodMatch[2]);
+}
+
+/**
+ * Interpolate two colors in a color-mix() space
+ * @param {object} first - RGB color
+ * @param {object} second - RGB color
+ * @param {number} amount - Weight of the second color, 0-1
+ * @param {object} space - Entry of CSS_MIX_SPACES
+ * @param {string} hueMethod - 'shorter' (default), 'longer', 'increasing' or 'decreasing'
+ * @returns {object} RGB color
+ */
+function mixColors(first, second, amount, space, hueMethod = 'shorter') {
+    const a = space.from(first);
+    const b = space.from(second);
+    
+    // A gray has no hue of its own and takes the other color's
+    if (space.hue !== undefined) {
+        if (space.isAchromatic(a)) a[space.hue] = b[space.hue];
+        else if (space.isAchromatic(b)) b[space.hue] = a[space.hue];
+    }
+    
+    return space.to(a.map((value, i) => i === space.hue
+        ? interpolateHue(value, b[i], amount, hueMethod)
+        : value + (b[i] - value) * amount));
+}
+
+/**
+ * Interpolate between two hues
+ * @param {number} from - Start hue in degrees
+ * @param {number} to - End hue in degrees
+ * @param {number} amount - Position between them, 0-1
+ * @param {string} method - 'shorter', 'longer', 'increasing' or 'decreasing'
+ * @returns {number} Hue in degrees
+ */
+function interpolateHue(from, to, amount, method) {
+    let delta = (((to - from) % 360) + 360) % 360;
+    if (method === 'shorter' && delta > 180) delta -= 360;
+    else if (method === 'longer' && delta > 0 && delta < 180) delta -= 360;
+    else if (method === 'decreasing' && delta > 0) delta -= 360;
+    
+    return (((from + delta * amount) % 360) + 360) % 360;
+}
+
+/**
+ * Substitute the var() references in a value. A variable defined in several
+ * rules gives one alternative per definition.
+ * @param {string} value - Declaration value
+ * @param {Map} variables - Custom property name -> defined values
+ * @param {string[]} chain - Variables being substituted, to stop reference cycles
+ * @returns {Array} Alternatives {value, variables} with the variables read;
+ *                  empty if the value is invalid (undefined variable without fallback)
+ */
+function resolveCssVariables(value, variables, chain = []) {
+    const match = value.match(/(^|[^\w-])var\(/i);
+    if (!match) return [{ value, variables: [] }];
+    
+    const start = match.index + match[1].length;
+    const end = findClosingParen(value, start + 3);
+    const inner = value.slice(start + 4, end);
+    const comma = inner.indexOf(',');
+    const name = (comma >= 0 ? inner.slice(0, comma) : inner).trim();
+    const fallback = comma >= 0 ? inner.slice(comma + 1).trim() : null;
+    
+    let replacements = [];
+    if (!chain.includes(name)) {
+        (variables.get(name) || []).forEach(definition => {
+            resolveCssVariables(definition, variables, [...chain, name]).forEach(resolved => {
+                replacements.push({ value: resolved.value, variables: [name, ...resolved.variables] });
+            });
+        });
+    }
+    
+    // Undefined and cyclic variables use the fallback
+    if (replacements.length === 0 && fallback !== null) {
+        replacements = resolveCssVariables(fallback, variables, chain);
+    }
+    
+    const tails = resolveCssVariables(value.slice(end + 1), variables, chain);
+    const alternatives = [];
+    replacements.forEach(replacement => {
+        tails.forEach(tail => {
+            alternatives.push({
+                value: value.slice(0, start) + replacement.value + tail.value,
+                variables: [...new Set([...replacement.variables, ...tail.variables])]
+            });
+        });
+    });
+    return alternatives.slice(0, MAX_VARIABLE_ALTERNATIVES);
+}
+
+/**
+ * Collect the colors of a set of stylesheets, merging exact duplicates.
+ * Custom properties are looked up across all stylesheets; which definition
+ * applies to an element is not modeled, so each one counts.
+ * @param {Array} stylesheets - {type, url, text, label?} as returned by the page
+ *                              proxy or readDocumentStyleSheets
+ * @returns {Array} Color objects sorted by number of declarations using them, with
+ *                  usages [{selector, property, value, stylesheet, variables read}],
+ *                  the custom properties whose value is the color as variables
+ *                  and the properties as sources
+ */
+function collectCssColors(stylesheets) {
+    let styleBlocks = 0;
+    const sheets = stylesheets.map(sheet => ({
+        label: sheet.label || (sheet.type === 'style' ? `<style> block ${++styleBlocks}`
+            : sheet.type === 'attribute' ? 'style attributes'
+            : sheet.url),
+        declarations: parseCssDeclarations(sheet.text)
+    }));
+    
+    const variables = new Map();
+    sheets.forEach(sheet => sheet.declarations.forEach(({ property, value }) => {
+        if (!property.startsWith('--')) return;
+        if (!variables.has(property)) variables.set(property, []);
+        if (!variables.get(property).includes(value)) variables.get(property).push(value);
+    }));
+    
+    const colors = new Map();
+    sheets.forEach(sheet => {
+        sheet.declarations.forEach(declaration => {
+            // A color counts once per declaration, however often it appears in the value
+            const found = new Set();
+            
+            resolveCssVariables(declaration.value, variables).forEach(resolved => {
+                findCssColorValues(resolved.value, declaration.property).forEach(literal => {
+                    const rgb = parseCssColor(literal);
+                    if (!rgb) return;
+                    
+                    const hex = rgbToHex(rgb.r, rgb.g, rgb.b);
+                    if (found.has(hex)) return;
+                    found.add(hex);
+                    
+                    let color = colors.get(hex);
+                    if (!color) {
+                        color = { hex, rgb, count: 0, sources: [], variables: [], usages: [] };
+                        colors.set(hex, color);
+                    }
+                    color.count++;
+                    if (!color.sources.includes(declaration.property)) color.sources.push(declaration.property);
+                    if (declaration.property.startsWith('--') && !color.variables.includes(declaration.property)) {
+                        color.variables.push(declaration.property);
+                    }
+                    color.usages.push({ ...declaration, stylesheet: sheet.label, variables: resolved.variables });
+                });
+            });
+        });
+    });
+    
+    const sorted = Array.from(colors.values()).sort((a, b) => b.count - a.count);
+    const total = sorted.reduce((sum, color) => sum + color.count, 0);
+    sorted.forEach(color => {
+        color.percentage = ((color.count / total) * 100).toFixed(2);
+    });
+    return sorted;
+}
+
+/**
+ * Describe an element by its tag, id and classes, e.g. 'div#card.card.shadow'
+ * @param {Element} element - Element
+ * @returns {string} Selector-like label
+ */
+function getElementSelector(element) {
+    return element.localName +
+        (element.id ? `#${element.id}` : '') +
+        Array.from(element.classList, name => `.${name}`).join('');
+}
+
+/**
+ * Read the stylesheets of a loaded document, in the form collectCssColors takes
+ * @param {Document} doc - Document to read
+ * @returns {object} {stylesheets: [{type, url, text}], errors: [{url, message}]}
+ */
+function readDocumentStyleSheets(doc = document) {
+    const stylesheets = [];
+    const errors = [];
+    
+    const addSheet = (sheet, type) => {
+        let rules;
+        try {
+            rules = Array.from(sheet.cssRules);
+        } catch (error) {
+            // Other origins' sheets are unreadable without CORS headers
+            errors.push({ url: sheet.href, message: `Cannot read the cross-origin stylesheet ${sheet.href}` });
+            return;
+        }
+        
+        // @import rules carry their sheet, which applies first
+        rules.forEach(rule => {
+            if (rule.styleSheet) addSheet(rule.styleSheet, 'import');
+        });
+        stylesheets.push({ type, url: sheet.href || doc.URL, text: rules.map(rule => rule.cssText).join('\n') });
+    };
+    
+    Array.from(doc.styleSheets).forEach(sheet => {
+        if (!sheet.disabled) addSheet(sheet, sheet.href ? 'link' : 'style');
+    });
+    
+    // Style attributes become rules, with a selector built from each element's tag, id and classes
+    const attributeRules = Array.from(doc.querySelectorAll('[style]'),
+        element => `${getElementSelector(element)} { ${element.getAttribute('style')} }`);
+    if (attributeRules.length) {
+        stylesheets.push({ type: 'attribute', url: doc.URL, text: attributeRules.join('\n') });
+    }
+    
+    return { stylesheets, errors };
+}
@@ -0,0 +1,31927 @@
+/**
+ * Color Name List
+ * 31918 community-contributed color names from color-name-list 14.51.0
+ * (https://github.com/meodai/color-names), MIT License, Copyright (c) 2017 David Aerne.
+ * One entry per line: RRGGBB followed by the name.
+ */
+
+const COMMUNITY_COLOR_NAMES = `
+C93F38 100 Mph
+A59344 18th Century Green
+7B463B 1975 Earth Red
+DD3366 1989 Miami Hotline
+191970 20000 Leagues Under the Sea
+7FB9DD 21st Century Blue
+E56E24 24 Carrot
+DFC685 24 Karat
+330404 3AM Breakup
+225577 3AM in Shibuya
+C0A98E 3AM Latte
+D2D2C0 400XT Film
+9BAFAD 5-Masted Preußen
+990066 8 Bit Eggplant
+3D1C02 90% Cocoa
+FFAABB A Brand New Day
+D1EDEE A Certain Shade of Green
+D3DDE4 A Dime a Dozen
+9F9978 A Frond in Need
+F2850D À l’Orange
+F6ECDE A la Mode
+FFBCC5 A Lot of Love
+BCDDB3 A Mann’s Mint
+B0B2BC A Month of Sundays
+BFAF92 A Pair of Brown Eyes
+BB8AA7 A Plum Job
+F3E9D9 A Smell of Bakery
+88FFCC A State of Mint
+BABCCF A Stitch in Time
+A9BFC5 A-List Blue
+8BCECB Aaquatic Wonderland
+00B89F Aare River
+05A3AD Aare River Brienz
+1150AF Aarhusian Sky
+231F20 Abaddon Black
+F2F1E6 Abaidh White
+F8F3F6 Abalone
+94877E Abandoned Mansion
+746E6A Abandoned Playground
+747A8A Abandoned Spaceship
+4C4F56 Abbey
+CD716B Abbey Pink
+A79F92 Abbey Road
+ABA798 Abbey Stone
+ECE6D0 Abbey White
+4D3C2D Abbot
+166461 Abduction
+F5ECDA Abel
+5BA8FF Âbi Blue
+EAE3D2 Abilene Lace
+C04641 Ablaze
+F1CBCD Abloom
+77AA77 Abomination
+E0DDBE Above Board
+966165 Abra Cadabra
+EEC400 Abra Goldenrod
+462E6E Abra Purple
+15151C Absence of Light
+7F8B30 Absinthe Dreams
+76B583 Absinthe Green
+008A60 Absinthe Turquoise
+FF9944 Absolute Apricot
+877D65 Absolute Olive
+0048BA Absolute Zero
+E4CB97 Abstract
+EDE9DD Abstract White
+629763 Abundance
+A19361 Abura Green
+8F9E9D Abyss
+404C57 Abyssal
+1B2632 Abyssal Anchorfish Blue
+00035B Abyssal Blue
+10246A Abyssal Depths
+005765 Abyssal Waters
+3D5758 Abysse
+000033 Abyssopelagic Water
+DBCD64 Acacia
+486241 Acacia Green
+969C92 Acacia Haze
+A69D64 Acacia Tree
+2C3E56 Academic Blue
+79888E Academy Grey
+525367 Academy Purple
+35312C Acadia
+E5B7BE Acadia Bloom
+48295B Acai
+42314B Acai Berry
+942193 Acai Juice
+4C2F27 Acajou
+9899A7 Acanthus
+90977A Acanthus Leaf
+75AA94 Acapulco
+7FA8A7 Acapulco Aqua
+4E9AA8 Acapulco Cliffs
+65A7DD Acapulco Dive
+EB8A44 Acapulco Sun
+208468 Accent Green Blue
+E56D00 Accent Orange
+D2C7B7 Accessible Beige
+7C94B2 Accolade
+090807 Accursed Black
+C7CCE7 Ace
+727A5F Aceituna Picante
+4E4F48 Aceto Balsamico
+00FF22 Acid
+EFEDD7 Acid Blond
+A8C74D Acid Candy
+11FF22 Acid Drop
+8FFE09 Acid Green
+B9DF31 Acid Lime
+00EE22 Acid Pool
+33EE66 Acid Pops
+30FF21 Acid Reflux
+4FC172 Acid Sleazebag
+9E9991 Acier
+9CA7B5 Acier Tint
+FFD8B1 Acini di Pepe
+7249D6 Aconite Purple
+9C52F2 Aconite Violet
+7F5E50 Acorn
+D48948 Acorn Nut
+B87439 Acorn Spice
+EDA740 Acorn Squash
+766B69 Acoustic Brown
+EFECE1 Acoustic White
+F8E2CA Acropolis
+B3E1E8 Across the Bay
+FF44EE Actinic Light
+00504B Action Green
+00A67E Active Green
+006F72 Active Turquoise
+BB1133 Active Volcano
+A7A6A3 Actor’s Star
+46ADF9 Adamantine Blue
+3B845E Adamite Green
+661111 Adana Kebabı
+867E70 Adaptive Shade
+545651 Addo
+293947 Adept
+7C8286 Adeptus Battlegrey
+9E9CAB Adhesion
+B7C1BE Adieu
+B0B9C1 Adirondack
+74858F Adirondack Blue
+C4AA9B Adirondack Path
+50647F Admiral Blue
+404E61 Admiralty
+F6F3D3 Admiration
+BD6C48 Adobe
+FB9587 Adobe Avenue
+DCBFA6 Adobe Beige
+C5703F Adobe Dusk
+C99F93 Adobe Glow
+BA9F99 Adobe Rose
+E8DEC5 Adobe Sand
+E5C1A7 Adobe South
+C3A998 Adobe Straw
+D6AE9A Adobe Village
+E6DBC4 Adobe White
+A99681 Adolescent Rodent
+64B5BF Adonis
+EFBF4D Adonis Rose Yellow
+8D8DC9 Adora
+E3BEB0 Adorable
+B8CACE Adorbs
+014A69 Adriatic
+5C899B Adriatic Blue
+96C6CD Adriatic Haze
+D3ECE4 Adriatic Mist
+016081 Adriatic Sea
+4B9099 Adrift
+758181 Adrift at Sea
+93B8E3 Adrift on the Nile
+20726A Advantageous
+34788C Adventure
+F87858 Adventure Island Pink
+6F9FB9 Adventure Isle
+3063AF Adventure of the Seas
+EDA367 Adventure Orange
+72664F Adventurer
+7CAC88 Adventurine
+D8CB4B Advertisement Green
+0081A8 Advertising Blue
+53A079 Advertising Green
+E6D3B6 Aebleskiver
+1B416F Aegean Blue
+4C8C72 Aegean Green
+9CBBE2 Aegean Mist
+508FA2 Aegean Sea
+E48B59 Aegean Sky
+9BA0A4 Aegean Splendour
+A0B2C8 Aerial View
+7CB9E8 Aero
+C0E8D5 Aero Blue
+A2C348 Aerobic Fix
+CACECD Aerodynamic
+2B3448 Aeronautic
+FF4F00 Aerospace Orange
+355376 Aerostatics
+E3DDD3 Aesthetic White
+745085 Affair
+AAFFFF Affen Turquoise
+FED2A5 Affinity
+905E26 Afghan Carpet
+E2D7B5 Afghan Hound
+D3A95C Afghan Sand
+78A3C2 Afloat
+C7927A African Bubinga
+939899 African Grey
+CD4A4A African Mahogany
+826C68 African Mud
+86714A African Plain
+B16B40 African Safari
+CCAA88 African Sand
+B085B7 African Violet
+FD8B60 After Burn
+3C3535 After Dark
+E3F5E5 After Dinner Mint
+3D2E24 After Eight
+38393F After Midnight
+FEC65F After Shock
+8BC4D1 After the Rain
+33616A After the Storm
+24246D After Work Blue
+C95EFB After-Party Pink
+85C0CD Aftercare
+F2E3C5 Afterglow
+D91FFF Afterlife
+FBCB78 Afternoon
+6E544B Afternoon Coffee
+B7B5A4 Afternoon Nap
+87CEEB Afternoon Sky
+D9C5A1 Afternoon Stroll
+594E40 Afternoon Tea
+BBC5DE Agapanthus
+956A60 Agate Brown
+5A5B74 Agate Violet
+879D99 Agave
+5A6E6A Agave Frond
+70766E Agave Green
+879C67 Agave Plant
+886B2E Aged Antics
+846262 Aged Beech
+D7CFC0 Aged Beige
+986456 Aged Bourbon
+87413F Aged Brandy
+5F4947 Aged Chocolate
+E0DCDA Aged Cotton
+898253 Aged Eucalyptus
+DD9944 Aged Gouda
+F9D5AF Aged Ivory
+6C6956 Aged Jade
+73343A Aged Merlot
+7E7E7E Aged Moustache Grey
+6E6E30 Aged Mustard Green
+7E7666 Aged Olive
+CEB588 Aged Papyrus
+E9DDCA Aged Parchment
+889999 Aged Pewter
+363E31 Aged Pine
+C99F99 Aged Pink
+FFFA86 Aged Plastic Casing
+A442A0 Aged Purple
+CCB27A Aged Seagrass
+7A4134 Aged Teak
+A58EA9 Aged to Perfection
+9D7147 Aged Whisky
+E8DECD Aged White
+895460 Aged Wine
+6A5B4E Ageing Barrel
+ECECDF Ageless
+E7A995 Ageless Beauty
+00FBFF Aggressive Aqua
+6FFFFF Aggressive Baby Blue
+FF7799 Aggressive Salmon
+393121 Agrax Earthshade
+8E9683 Agreeable Green
+FFB347 Agrellan Badland
+A17C59 Agrellan Earth
+F0E2D3 Agrodolce
+9FC5CC Agua Fría
+00FA92 Ahaetulla Prasina
+C22147 Ahmar Red
+2A3149 Ahoy
+0082A1 Ahoy! Blue
+199EBD Ahriman Blue
+274447 Ai Indigo
+ECF7F7 Aijiro White
+EEE5E1 Aimee
+2E372E Aimiru Brown
+69A3C1 Air Blue
+D7D1E9 Air Castle
+5D8AA8 Air Force Blue
+D8F2EE Air of Mint
+72A0C1 Air Superiority Blue
+F6DCD2 Air-Kiss
+A2C2D0 Airborne
+AA6C51 Airbrushed Copper
+354F58 Aircraft Blue
+D9E5E4 Airflow
+364D70 Airforce
+EDF2F8 Airport
+AEC1D4 Airway
+DAE6E9 Airy
+88CCEE Airy Blue
+DBE0C4 Airy Fields
+FAECD9 Ajo Lily
+D3DE7B Ajwain Green
+C3272B Akabeni
+BC012E Akai Red
+F07F5E Akakō Red
+C90B42 Akari Red
+BEB29A Akaroa
+CF3A24 Ake Blood
+983FB2 Akebi Purple
+FA7B62 Akebono Dawn
+B0E313 Akhdhar Green
+601EF9 Akihabara Arcade
+E12120 Akira Red
+D63136 Akuma
+871646 Akuma’s Fury
+B9D08B Al Green
+A32638 Alabama Crimson
+F3E7DB Alabaster
+E9E3D2 Alabaster Beauty
+F0DEBD Alabaster Gleam
+81585B Alaea
+8E8C97 Alaitoc Blue
+FFAE52 Alajuela Toad
+CA9234 Alameda Ochre
+939B71 Alamosa Green
+EC0003 Alarm
+2CE335 Alarming Slime
+DADAD1 Alaska
+61A4CE Alaskan Blue
+BCBEBC Alaskan Grey
+7E9EC2 Alaskan Ice
+ECF0E5 Alaskan Mist
+05472A Alaskan Moss
+CDDCED Alaskan Skies
+BAE3EB Alaskan Wind
+CC0001 Albanian Red
+38546E Albeit
+4F5845 Albert Green
+E1DACB Albescent
+FBEEE5 Albino
+E7CF8C Alchemy
+AAA492 Aldabra
+EFC1A6 Alesan
+4D7EAA Aleutian Isle
+FF8F73 Alexandria
+FCEFC1 Alexandria’s Lighthouse
+BCD9DC Alexandrian Sky
+598C74 Alexandrite Green
+72999E Alexandrite Teal
+A55232 Alfajor Brown
+B3B299 Alfalfa
+78AD6D Alfalfa Bug
+546940 Alfalfa Extract
+80365A Alfonso Olive
+8DA98D Alga Moss
+54AC68 Algae
+983D53 Algae Red
+21C36F Algal Fuel
+FC5A50 Algerian Coral
+008DB0 Algiers Blue
+C1DBEC Algodon Azul
+00A094 Alhambra
+F7F2E1 Alhambra Cream
+00A465 Alhambra Green
+D4CBC4 Alibi
+F0F8FF Alice Blue
+C2CED2 Alice White
+415764 Alien
+0CFF0C Alien Abduction
+84DE02 Alien Armpit
+B9CC81 Alien Breed
+F0A3BC Alien Conspiracy Pink
+55FF33 Alien Parasite
+490648 Alien Purple
+00CC55 Alienated
+9790A4 Alienator Grey
+00728D Align
+FEDAB9 Alishan Dawn
+E047E1 Alita Pink
+E32636 Alizarin
+676C58 All About Olive
+E6999D All Dressed Up
+EFD7E7 All Made Up
+455454 All Nighter
+B30103 All Systems Red
+994411 All the Leaves Are Brown
+C68886 All’s Ace
+5A6A8C Allegiance
+B4B2A9 Allegory
+B28959 Allegro
+B8C4D9 Alley
+656874 Alley Cat
+2B655F Alliance
+886600 Alligator
+C5D17B Alligator Alley
+EAEED7 Alligator Egg
+444411 Alligator Gladiator
+F1EAD4 Allison Lace
+9569A3 Allium
+908F92 Alloy
+C46210 Alloy Orange
+1F6A7D Allports
+F8CDAA Allspice
+8E443D Allspice Berry
+ED2E38 Allura Red
+7291B4 Allure
+9EC4CD Alluring Blue
+F8DBC2 Alluring Gesture
+FFF7D8 Alluring Light
+977B4D Alluring Umber
+EFE1D2 Alluring White
+BB934B Alluvial Inca
+E8DEC9 Almanack
+C2A37E Almandine
+F5E0C9 Almeja
+E8D6BD Almendra Tostada
+EDDCC8 Almond
+DFD5CA Almond Beige
+E9C9A9 Almond Biscuit
+F2ACB8 Almond Blossom
+E5D3B9 Almond Brittle
+CCB590 Almond Buff
+D8C6A8 Almond Butter
+EEC87C Almond Cookie
+F4C29F Almond Cream
+9A8678 Almond Frost
+595E4C Almond Green
+EFE3D9 Almond Icing
+F6E3D4 Almond Kiss
+D6C0A4 Almond Latte
+D2C9B8 Almond Milk
+F4EFC1 Almond Oil
+E5DBC5 Almond Paste
+C8B960 Almond Puff
+F0E8E0 Almond Roca
+CC8888 Almond Rose
+E1CFB2 Almond Silk
+BF9E77 Almond Toast
+7D665B Almond Truffle
+E6C9BC Almond Willow
+D6CAB9 Almond Wisp
+FEDEBC Almondine
+BFE5B1 Almost Aloe
+E0A787 Almost Apricot
+98DDC5 Almost Aqua
+6B7070 Almost Charcoal
+3A5457 Almost Famous
+E5D9D6 Almost Mauve
+F0E3DA Almost Pink
+BEB0C2 Almost Plum
+6A2DED Almost Royal
+817A60 Aloe
+C97863 Aloe Blossom
+DBE5B9 Aloe Cream
+ECF1E2 Aloe Essence
+61643F Aloe Leaf
+DCF2E3 Aloe Mist
+DFE2C9 Aloe Nectar
+B8BA87 Aloe Plant
+888B73 Aloe Thorn
+8A9480 Aloe Tip
+678779 Aloe Vera
+7E9B39 Aloe Vera Green
+848B71 Aloe Vera Tea
+D0D3B7 Aloe Wash
+6A432D Aloeswood
+1DB394 Aloha
+E9AA91 Aloha Sunset
+000066 Alone in the Dark
+D4E2E6 Aloof
+C9C9C0 Aloof Grey
+D6C5A0 Aloof Lama
+F9EDE2 Alpaca
+D7B8A9 Alpaca Mittens
+F0BEB8 Alpenglow
+588BB4 Alpha Blue
+4D5778 Alpha Centauri
+AE8E5F Alpha Gold
+715A45 Alpha Male
+628FB0 Alpha Tango
+ABCDEF Alphabet Blue
+FEDCBA Alphabet Soup
+AD8A3B Alpine
+A9B4A9 Alpine Air
+BADBE6 Alpine Alabaster
+F7E0BA Alpine Berry Yellow
+DBE4E5 Alpine Blue
+40464D Alpine Duck Grey
+99EEFF Alpine Expedition
+E0DED2 Alpine Frost
+F1F2F8 Alpine Goat
+005F50 Alpine Green
+ABBEC0 Alpine Haze
+449955 Alpine Herbs
+4598AB Alpine Lake
+6AAE2E Alpine Meadow
+DED3E6 Alpine Moon
+A6CCD8 Alpine Morning Blue
+D3DED5 Alpine Peak
+234162 Alpine Race
+051009 Alpine Salamander
+79B4CE Alpine Sky
+A5A99A Alpine Summer
+515A52 Alpine Trail
+FFAAA5 Alright Then I Became a Princess
+B1575F Alsike Clover Red
+DFD5B1 Alsot Olive
+4D4C80 Altar of Heaven
+5F1A10 Altar Wine
+69656D Alter Ego
+EFC7BE Altered Pink
+CDC6C5 Alto
+5A464B Alton Brown
+DDBB00 Alu Gobi
+000055 Alucard’s Night
+848789 Aluminium
+D2D9DB Aluminium Foil
+8C8D91 Aluminium Silver
+ADAFAF Aluminium Sky
+A5C970 Alverda
+EBE5D2 Always Almond
+A0A667 Always Apple
+A2BACB Always Blue
+479532 Always Greener
+11AA00 Always Greener Grass
+66778C Always Indigo
+DFD7CB Always Neutral
+E79DB3 Always Rosey
+F4E2D6 Alyssa
+F2D5D7 Alyssum
+417086 Am I Blue?
+016E85 Amalfi
+297CBF Amalfi Coast
+033B9A Amalfitan Azure
+E86EAD Amaranth
+7B2331 Amaranth Blossom
+9F2B68 Amaranth Deep Purple
+F19CBB Amaranth Pink
+723F89 Amaranth Purple
+D3212D Amaranth Red
+5F4053 Amaranthine
+AB6F60 Amaretto
+C09856 Amaretto Sour
+FFF1D4 Amarillo Bebito
+FBF1C3 Amarillo Yellow
+551199 Amarklor Violet
+B85045 Amaryllis
+806568 Amazing Amethyst
+A9A797 Amazing Boulder
+BEB5A9 Amazing Grey
+017F9D Amazing Sky
+387B54 Amazon
+EBEBD6 Amazon Breeze
+505338 Amazon Depths
+31837E Amazon Drift
+606553 Amazon Foliage
+786A4A Amazon Green
+686747 Amazon Jungle
+ECECDC Amazon Mist
+7E8C7A Amazon Moss
+80E45F Amazon Parrot
+948F54 Amazon Queen
+777462 Amazon River
+E6B2B8 Amazon River Dolphin
+7E7873 Amazon Stone
+ABAA97 Amazon Vine
+AA6644 Amazonian
+A7819D Amazonian Orchid
+00C4B0 Amazonite
+0D2F5A Ambassador Blue
+FFBF00 Amber
+C69C6A Amber Autumn
+D7A361 Amber Brew
+B46A4D Amber Brown
+F6BC77 Amber Dawn
+BA843C Amber Essence
+C79958 Amber Glass
+F29A39 Amber Glow
+C19552 Amber Gold
+AC8A41 Amber Green
+D0A592 Amber Grey
+BA9971 Amber Leaf
+EED1A5 Amber Moon
+F9D975 Amber Pearl
+B18140 Amber Romance
+C0863F Amber Sienna
+FF9988 Amber Sun
+FFAFA3 Amber Tide
+D78B55 Amber Wave
+FAB75A Amber Yellow
+AA8559 Amberized
+E7E7E6 Ambience White
+F8EDE0 Ambient Glow
+C2E2E7 Ambient Light
+97653F Ambit
+DFB77D Ambitious
+F0CB97 Ambitious Amber
+E9687E Ambitious Rose
+C6E1BC Ambrosia
+EEE9D3 Ambrosia Coffee Cake
+FFF4EB Ambrosia Ivory
+F4DED3 Ambrosia Salad
+47AE9C Ambrosial Oceanside
+6A5ACD Ameixa
+BECCC2 Amelia
+FEA7BD Amélie’s Tutu
+34546D America’s Cup
+7595AB American Anthem
+A73340 American Beauty
+3B3B6D American Blue
+391802 American Bronze
+52352F American Mahogany
+63403A American Milking Devon
+FF8B00 American Orange
+B32134 American Red
+626E71 American River
+995544 American Roast
+FF033E American Rose
+551B8C American Violet
+EFDCD4 American Yorkshire
+0477B4 Americana
+463732 Americano
+9966CC Amethyst
+ECEAEC Amethyst Cream
+4F3C52 Amethyst Dark Violet
+8F00FF Amethyst Ganzstar
+776985 Amethyst Gem
+9085C4 Amethyst Grey
+9C89A1 Amethyst Grey Violet
+A0A0AA Amethyst Haze
+D0C9C6 Amethyst Ice
+CFC2D1 Amethyst Light Violet
+926AA6 Amethyst Orchid
+9C8AA4 Amethyst Paint
+9B91A1 Amethyst Phlox
+BD97CF Amethyst Show
+95879C Amethyst Smoke
+CDC7D5 Amethyst Tint
+DED1E0 Ametrine Quartz
+783E48 Amfissa Olive
+DF965B Amiable Orange
+E6DDBE Amish Bread
+3A5F4E Amish Green
+A58D6D Ammonite Fossil
+1560BD Amnesia Blue
+F8FBEB Amnesiac White
+DDCC22 Amok
+EE3377 Amor
+BB22AA Amora Purple
+AE2F48 Amore
+967D96 Amorous
+B1A7B7 Amorphous Rose
+EE5851 Amour
+F5E6EA Amour Frais
+C8C5D7 Amourette
+E0DFE8 Amourette Eternelle
+556CB5 Amparo Blue
+264C47 Amphibian
+384E47 Amphitrite
+9F8672 Amphora
+3F425A Amphystine
+7D9D72 Amulet
+01748E Amulet Gem
+69045F Amygdala Purple
+94568C Àn Zǐ Purple
+00BB44 Anaheim Pepper
+8CCEEA Anakiwa
+BFB6A7 Analytical Grey
+DB304A Anarchist
+DE0300 Anarchy
+D0C1C3 Ancestral
+DDCDA6 Ancestral Gold
+D8C7C2 Ancestral Haze
+D0D0D0 Ancestral Water
+9E90A7 Ancestry Violet
+7A5145 Ancho Pepper
+596062 Anchor Grey
+435D8B Anchor Point
+2C3641 Anchorman
+9EBBCD Anchors Away
+2B3441 Anchors Aweigh
+756F6B Anchovy
+EFEEDC Ancient
+DA6304 Ancient Bamboo
+73754C Ancient Bonsai
+AA6611 Ancient Brandy
+9C5221 Ancient Bronze
+624147 Ancient Burgundy
+99522B Ancient Chest
+9F543E Ancient Copper
+DCC9A8 Ancient Doeskin
+746550 Ancient Earth
+BB9A71 Ancient Fresco
+A44769 Ancient Fuchsia
+73FDFF Ancient Ice
+E3AF8E Ancient Inca
+F1E6D1 Ancient Ivory
+D6D8CD Ancient Kingdom
+837C6F Ancient Labyrinth
+483C32 Ancient Lavastone
+953D55 Ancient Magenta
+D1CCB9 Ancient Marble
+959651 Ancient Maze
+895B8A Ancient Murasaki Purple
+6A5536 Ancient Olive
+DDD4CE Ancient Pages
+898D91 Ancient Pewter
+444B43 Ancient Pine
+774411 Ancient Planks
+5A3D3F Ancient Prunus
+922A31 Ancient Red
+CCC1AB Ancient Relic
+70553D Ancient Root
+843F5B Ancient Royal Banner
+E0CAC0 Ancient Ruins
+F0E4D1 Ancient Scroll
+83696E Ancient Shelter
+765640 Ancient Spice
+DED8D4 Ancient Stone
+E7D082 Ancient Treasure
+A09083 Ancient Wonder
+EECD00 Ancient Yellow
+AFCDC7 Andean Opal Green
+90B19D Andean Slate
+C1A097 Andes Ash
+78D8D9 Andes Sky
+424036 Andiron
+633737 Andorra
+B58338 Andouille
+FAF0D3 Andover Cream
+A4C639 Android Green
+ABCDEE Andromeda Blue
+882D4C Anemone
+F9EFE4 Anemone White
+BEB6AB Anew Grey
+AFA8AE Angel Aura
+83C5CD Angel Blue
+DCAF9F Angel Breath
+A3BDD3 Angel Falls
+B8ACB4 Angel Finger
+F0E8D9 Angel Food
+D7A14F Angel Food Cake
+004225 Angel Green
+D2D6DB Angel Hair Silver
+A17791 Angel Heart
+BBC6D9 Angel in Blue Jeans
+CEC7DC Angel Kiss
+C6F0E7 Angel of Death Victorious
+E19640 Angel Shark
+9BC2D7 Angel Sol
+DDDFD8 Angel Touch
+F3DFD7 Angel Wing
+F3F1E6 Angel’s Feather
+E2D9D3 Angel’s Sigh
+F6DD34 Angel’s Trumpet
+DBDFD4 Angel’s Whisper
+F2DCD7 Angelic
+BBC6D6 Angelic Blue
+E9D9DC Angelic Choir
+EECC33 Angelic Descent
+F4D9CB Angelic Pink
+E3DFEA Angelic Sent
+EBE9D8 Angelic Starlet
+F4EDE4 Angelic White
+F4EFEE Angelic Wings
+F4DFA7 Angelic Yellow
+EACFC2 Angelico
+D8DEE7 Angélique Grey
+DD0055 Anger
+DACAB1 Angora
+EDE7DE Angora Goat
+EBDFEA Angora Pink
+D9D6C3 Angora Whisper
+F4F6EC Angraecum Orchid
+F04E45 Angry Flamingo
+9799A6 Angry Gargoyle
+EEBBBB Angry Ghost
+37503D Angry Gremlin
+EE9911 Angry Hornet
+4E6665 Angry Ocean
+FFCC55 Angry Pasta
+D82029 Angry Tomato
+B9ABAD Aniline Mauve
+F4E6CE Animal Cracker
+BCC09E Animal Kingdom
+ED9080 Animated Coral
+CCC14D Anime
+FF7A83 Anime Blush
+E5D5AE Anise Biscotti
+F4E3B5 Anise Flower
+B0AC98 Anise Grey Yellow
+CDA741 Aniseed
+8CB684 Aniseed Leaf Green
+91A0B7 Anita
+CDCA9F Anjou Pear
+F5D547 Anna Banana
+8C5341 Annatto
+6B475D Annis
+E17861 Annular
+89A4CD Anode
+BDBFC8 Anon
+DADCD3 Anonymous
+C7BBA4 Another One Bites the Dust
+016884 Ansel
+B05D4A Ant Red
+4B789B Antarctic Blue
+0000BB Antarctic Circle
+35383F Antarctic Deep
+EDDEE6 Antarctic Love
+BFD2D0 Antarctica
+B19664 Antelope
+7F684E Anthill
+28282D Anthracite
+3D475E Anthracite Blue
+373F42 Anthracite Grey
+73293B Anthracite Red
+BEBDBC Anti Rainbow Grey
+F2F3F4 Anti-Flash White
+256D73 Antigua
+06B1C4 Antigua Blue
+83C2CD Antigua Sand
+FFE7C8 Antigua Sunrise
+BDDFD8 Antiguan
+3B5E8D Antilles Blue
+8AA277 Antilles Garden
+C7C8C1 Antimony
+946644 Antiquarian Brown
+BA8A45 Antiquarian Gold
+8D8AA0 Antiquate
+8B846D Antique
+9C867B Antique Bear
+926B43 Antique Bourbon
+6C461F Antique Brass
+704A07 Antique Bronze
+553F2D Antique Brown
+E4D2BB Antique Buff
+352126 Antique Burgundy
+F0BAA4 Antique Cameo
+F4E1D6 Antique Candle Light
+A7856D Antique Chest
+FDF6E7 Antique China
+B5B8A8 Antique Coin
+9E6649 Antique Copper
+FFC7B0 Antique Coral
+7E6C5F Antique Earth
+915C83 Antique Fuchsia
+8E5E5E Antique Garnet
+B59E5F Antique Gold
+2C6E62 Antique Green
+69576D Antique Grey
+CDBACB Antique Heather
+B39355 Antique Honey
+B07F9E Antique Hot Pink
+7B7062 Antique Iron
+F9ECD3 Antique Ivory
+C5BBA8 Antique Kilim
+FDF2DB Antique Lace
+9E8E7E Antique Leather
+FAEEDB Antique Linen
+F1E9D7 Antique Marble
+BBB0B1 Antique Mauve
+7A973B Antique Moss
+F4F0E8 Antique Paper
+EAD8C1 Antique Parchment
+BAC5BB Antique Patina
+EBD7CB Antique Pearl
+957747 Antique Penny
+E8E3E3 Antique Petal
+C27A74 Antique Pink
+98211A Antique Port Wine
+7D4F51 Antique Red
+997165 Antique Rose
+72393F Antique Rosewood
+978466 Antique Royal Gold
+841B2D Antique Ruby
+918E8C Antique Silver
+6E7173 Antique Tin
+BB9973 Antique Treasure
+004E4E Antique Turquoise
+928BA6 Antique Viola
+ECE6D5 Antique White
+F3D3A1 Antique Wicker Basket
+B6A38D Antique Windmill
+BDCCC1 Antiqued Aqua
+8A6C57 Antiquities
+C1A87C Antiquity
+957A76 Antler
+864F3E Antler Moth
+C0AD96 Antler Velvet
+B09391 Antoinette
+E7C2B4 Antoinette Pink
+312231 Anubis Black
+C68E3F Anzac
+00800C Ao
+27B692 Aoife’s Green
+006442 Aotake Bamboo
+31827B Apatite Blue
+BBFF99 Apatite Crystal Green
+8A843B Apeland
+E35A63 Aphrodisiac
+45E9C1 Aphrodite Aqua
+EEFFFF Aphrodite’s Pearls
+DD14AB Aphroditean Fuchsia
+B5D0A2 Apium
+284FBD Apnea Dive
+F4711E Apocalyptic Orange
+99CCFF Apocyan
+C8C4C2 Apollo
+748697 Apollo Bay
+E5E5E1 Apollo Landing
+DDFFFF Apollo’s White
+C6D6C4 Apothecary Jar
+848B80 Appalachian Forest
+CFB989 Appalachian Trail
+876E52 Appaloosa Spots
+C2BCA9 Apparition
+66AA00 Appetising Asparagus
+B1E5AA Appetite
+858C9B Applause Please
+DDBCA0 Apple Blossom
+D5E69D Apple Bob
+9C6757 Apple Brown Betty
+8E5151 Apple Butter
+F81404 Apple Cherry
+DA995F Apple Cider
+A67950 Apple Cinnamon
+F4EED8 Apple Core
+B8D7A6 Apple Cream
+E19C55 Apple Crisp
+FEE5C9 Apple Crunch
+DBDBBC Apple Cucumber
+FDDFAE Apple Custard
+EDF4EB Apple Flower
+CC9350 Apple Fritter
+4B4247 Apple Herb Black
+A69F8D Apple Hill
+BDD0B1 Apple Ice
+BFCA87 Apple II Beige
+93D6BF Apple II Blue
+DA680E Apple II Chocolate
+04650D Apple II Green
+25C40D Apple II Lime
+DC41F1 Apple II Magenta
+AC667B Apple II Rose
+DDAABB Apple Infusion
+8B974E Apple Jack
+BDAD13 Apple Jade
+F9FDD9 Apple Martini
+93C96A Apple Orchard
+CAAB94 Apple Pie
+883E3F Apple Polish
+F4EBD2 Apple Sauce
+C2A377 Apple Sauce Cake
+A77C53 Apple Seed
+F1F0BF Apple Slice
+E8C194 Apple Turnover
+EA8386 Apple Valley
+B59F62 Apple Wine
+903F45 Apple-a-Day
+8AC479 Applegate
+CDEACD Applemint
+F3F5E9 Applemint Soda
+929637 Appletini
+6EB478 Appleton
+8B97A5 Approaching Dusk
+039487 Approval Green
+CED5E4 Après-Ski
+FFB16D Apricot
+FEC382 Apricot Appeal
+FEAEA5 Apricot Blush
+BF6553 Apricot Brandy
+CC7E5B Apricot Brown
+CD7E4D Apricot Buff
+FFC782 Apricot Butter
+DA8923 Apricot Chicken
+F1BD89 Apricot Cream
+FFBB80 Apricot Flower
+EEDED8 Apricot Foam
+FFD2A0 Apricot Fool
+F3CFB7 Apricot Freeze
+FFC7A0 Apricot Froth
+F5D7AF Apricot Gelato
+EEAA22 Apricot Glazed Chicken
+FFCE79 Apricot Glow
+FFAAAA Apricot Haze
+FFF6E9 Apricot Ice
+F8CC9C Apricot Ice Cream
+FBBE99 Apricot Iced Tea
+E2C3A6 Apricot Illusion
+EEA771 Apricot Jam
+FECFB5 Apricot Lily
+B47756 Apricot Mix
+C37248 Apricot Mocha
+FCDFAF Apricot Mousse
+ECAA79 Apricot Nectar
+F8C4B4 Apricot Obsession
+C86B3C Apricot Orange
+EEB192 Apricot Preserves
+E8917D Apricot Red
+FBCD9F Apricot Sherbet
+E8A760 Apricot Sorbet
+F1C095 Apricot Soufflé
+F1B393 Apricot Spring
+DA8C53 Apricot Tan
+FBA57D Apricot Wash
+FAE0C2 Apricot Whisper
+F7F0DB Apricot White
+F7BD81 Apricot Yellow
+D8A48F Apricotta
+F6D0D8 April Blush
+1FB57A April Fool’s Red
+A9B062 April Green
+909245 April Hills
+8B3D2F April Love
+CCD9C9 April Mist
+9BADA8 April Rain
+DADEB5 April Showers
+FBE198 April Sunshine
+B4CBD4 April Tears
+B1C1B8 April Thicket
+C5CFB1 April Wedding
+D5E2E5 April Winds
+0FF0FE Aqua
+B5DFC9 Aqua Bay
+7ACAD0 Aqua Belt
+96D3D8 Aqua Bloom
+79B6BC Aqua Blue
+D8E8E4 Aqua Breeze
+01F1F1 Aqua Cyan
+3896A7 Aqua Dance
+014B43 Aqua Deep
+B7C9B5 Aqua Dream
+85C7A6 Aqua Eden
+038E85 Aqua Experience
+96E2E1 Aqua Fiesta
+A1BAAA Aqua Foam
+5FA777 Aqua Forest
+4A9FA3 Aqua Fresco
+A9D1D7 Aqua Frost
+D2E8E0 Aqua Glass
+9DD5C8 Aqua Glow
+12E193 Aqua Green
+889FA5 Aqua Grey
+D9DDD5 Aqua Haze
+A1DAD7 Aqua Island
+30949D Aqua Lake
+A0C9CB Aqua Mist
+08787F Aqua Nation
+BCE8DD Aqua Oasis
+05696B Aqua Obscura
+DDF2EE Aqua Pura
+63A39C Aqua Rapids
+539F91 Aqua Revival
+61A1A9 Aqua Sea
+70BBBF Aqua Sky
+8C9FA0 Aqua Smoke
+D3E4E6 Aqua Sparkle
+85CED1 Aqua Splash
+A5DDDB Aqua Spray
+E8F3E8 Aqua Spring
+DBE4DC Aqua Squeeze
+E5F1EE Aqua Tint
+00A29E Aqua Velvet
+56B3C3 Aqua Verde
+7BBDC7 Aqua Vitale
+00937D Aqua Waters
+BFDFDF Aqua Whisper
+A0E3D1 Aqua Wish
+7CD8D6 Aqua Zing
+9CB0B3 Aqua-Sphere
+E1F0EA Aquacade
+006F49 Aquadazzle
+7B9F82 Aquadulce
+E3ECED Aquafir
+57B7C5 Aqualogic
+2EE8BB Aquamarine
+71D9E2 Aquamarine Blue
+B3C4BA Aquamarine Dream
+82CDAD Aquamarine Ocean
+00A800 Aquamentus Green
+61AAB1 Aquarelle
+E8E0D5 Aquarelle Beige
+BFE0E4 Aquarelle Blue
+E2F4E4 Aquarelle Green
+EDC8FF Aquarelle Lilac
+DBF4D8 Aquarelle Mint
+FBE8E0 Aquarelle Orange
+FBE9DE Aquarelle Pink
+D8E1F1 Aquarelle Purple
+FEDDDD Aquarelle Red
+BCE4EB Aquarelle Sky
+F4EEDA Aquarelle Yellow
+356B6F Aquarium
+66CDAA Aquarium Blue
+0A98AC Aquarium Diver
+2DB0CE Aquarius
+4D5AF3 Aquarius Mood Indigo
+559999 Aquarius Reef Base
+89C6B7 Aquastone
+99C1CC Aquatic
+41A0B4 Aquatic Cool
+BFD6D1 Aquatic Edge
+49999A Aquatic Green
+ADE6DB Aquatic Mist
+A6B5A9 Aquatone
+60B3BC Aqueduct
+59B6D9 Aquella
+388D95 Aqueous
+E2ECED Aquifer
+88ABB4 Aquitaine
+ADAD9C Ara Glen
+82ACC4 Arabella
+CD5F42 Arabesque
+CD9945 Arabian Bake
+016C84 Arabian Nights
+A14C3F Arabian Red
+DDC6B1 Arabian Sands
+786E97 Arabian Silk
+934C36 Arabian Spice
+C9FFFA Arabian Veil
+6F4D3F Arabic Coffee
+C0FFEE Arabica Mint
+7A552E Arable Brown
+B06455 Aragon
+47BA87 Aragon Green
+E4E0D4 Aragonite
+6A95B1 Aragonite Blue
+948E96 Aragonite Grey
+F3F1F3 Aragonite White
+EC8254 Araigaki Orange
+3F4635 Arame Seaweed Green
+FF7013 Arancio
+274A5D Arapawa
+93A344 Arathi Highlands
+ADD8E1 Araucana Egg
+A18D71 Arava
+CDA182 Arbol de Tamarindo
+BBC3AD Arbor Vitae
+70BA9F Arboretum
+C1C2B4 Arbour Hollow
+CCDDFF Arc Light
+EE3311 Arcade Fire
+0022CC Arcade Glow
+EDEBE2 Arcade White
+00AC8D Arcadia
+A3C893 Arcadian Green
+3B6C3F Arcala Green
+98687E Arcane
+5260E1 Arcane Brew
+6A2F2F Arcane Red
+6A0002 Arcavia Red
+8E785C Archaeological Site
+6E6A5E Archaeology
+CAC69D Archisa
+6F6D5F Architect
+7195A6 Architecture Blue
+6B6A69 Architecture Grey
+9F8C73 Archivist
+648589 Arctic
+CBD8E5 Arctic Air
+D9E5EB Arctic Blizzard
+95D6DC Arctic Blue
+B2CCD9 Arctic Circle
+E6E3DF Arctic Cotton
+EBE4BE Arctic Daisy
+E3E5E8 Arctic Dawn
+816678 Arctic Dusk
+AFBEC1 Arctic Feelings
+DAEAE4 Arctic Flow
+E7E7E2 Arctic Fox
+C9D1E9 Arctic Glow
+45BCB3 Arctic Green
+BBCCDD Arctic Grey
+B6BDD0 Arctic Ice
+6F7872 Arctic Lichen Green
+D0FF14 Arctic Lime
+345C61 Arctic Nights
+66C3D0 Arctic Ocean
+B8DFF8 Arctic Paradise
+C7DAED Arctic Rain
+B7ABB0 Arctic Rose
+9BBACB Arctic Sunrise
+6D584C Arctic Tundra
+00FCFC Arctic Water
+E9EAE7 Arctic White
+E2DEDF Ardcoat
+E5756A Ardent Coral
+232F2C Ardósia
+DD2200 Ares Red
+62584C Ares Shadow
+9D6646 Argan Oil
+888888 Argent
+CECAC3 Argento
+BDBDB7 Argos
+348A5D Argyle
+895C79 Argyle Purple
+C48677 Argyle Rose
+E3E4E2 Aria
+F9E8D8 Aria Ivory
+DCD6C6 Arid Landscape
+B6B4A9 Arid Plains
+AED7EA Ariel
+B2A5D3 Ariel’s Delight
+FAF0DF Aristocrat Ivory
+ECCEB9 Aristocrat Peach
+457E93 Aristocratic
+354655 Aristocratic Blue
+DDAACC Aristocratic Pink
+980B4A Aristocratic Velvet
+EEB377 Arizona
+AD735A Arizona Clay
+DDAB93 Arizona Dust
+00655A Arizona Stone
+EBBCB9 Arizona Sunrise
+669264 Arizona Tree Frog
+E8DAC3 Arizona White
+9F7B35 Arlington Bronze
+536762 Armada
+484A46 Armadillo
+7D4638 Armadillo Egg
+926A25 Armageddon Dunes
+D3A907 Armageddon Dust
+AD916C Armagnac
+74857F Armour
+030303 Armour Wash
+747769 Armoured Steel
+6A6B65 Armoury
+5B6F61 Army Canvas
+6C7735 Army Golf
+4B5320 Army Green
+8A806B Army Issue
+838254 Army Issue Green
+BF8F37 Arnica
+E59B00 Arnica Yellow
+D3C1C5 Aroma
+96D2D6 Aroma Blue
+A1C4A8 Aroma Garden
+F9970C Aromango
+706986 Aromatic
+FFCECB Aromatic Breeze
+98C945 Aromatic Herbs
+F2FF26 Aromatic Lemon
+879BA3 Arona
+A1B670 Around the Gills
+776600 Arousing Alligator
+5C546E Arraign
+BB8246 Arrakis Spice
+5A3532 Arresting Auburn
+927257 Arrow Creek
+C7A998 Arrow Quiver
+A28440 Arrow Rock
+5C503A Arrow Shaft
+514B40 Arrowhead
+58728A Arrowhead Lake
+F9EAEB Arrowhead White
+F8DECF Arrowroot
+E4DECF Arrowroote
+827A67 Arrowtown
+B3861E Arrowwood
+3B444B Arsenic
+896956 Art and Craft
+CDACA0 Art Deco Pink
+623745 Art Deco Red
+94897C Art District
+C06F70 Art House Pink
+A29AA0 Art Nouveau Glass
+9C932F Art Nouveau Green
+A08994 Art Nouveau Violet
+CA9D8D Artefact
+65A98F Artemesia Green
+D2A96E Artemis
+DDDDEE Artemis Silver
+E3EBEA Artemisia
+711518 Arterial
+A6BEE1 Artesian Pool
+007DB6 Artesian Water
+5EB2AA Artesian Well
+A8B1AD Artful
+91B4B3 Artful Aqua
+80505D Artful Magenta
+CC6C82 Artful Pink
+8F9779 Artichoke
+A19676 Artichoke Dip
+517345 Artichoke Green
+E4D588 Artichoke Heart
+C19AA5 Artichoke Mauve
+D9CA93 Artichoke Mist
+E6E2D3 Artifice
+A1A1A1 Artificial Intelligence Grey
+FF43A4 Artificial Strawberry
+41B45C Artificial Turf
+746F67 Artillery
+8F5C45 Artisan
+AFBFC4 Artisan Blue
+B99779 Artisan Crafts
+117471 Artisan Green
+AC5B50 Artisan Red
+B09879 Artisan Tan
+DAC2AF Artisan Tea
+845E40 Artisan Tile
+F2AB46 Artisans Gold
+01343A Artist Blue
+EEE4D2 Artist’s Canvas
+37393E Artist’s Charcoal
+A1969B Artist’s Shadow
+987387 Artiste
+434053 Artistic Licence
+5C6B65 Artistic Stone
+C3B1AC Artistic Taupe
+D0D2E9 Artistic Violet
+F5C68B Arts & Crafts Gold
+7D6549 Arts and Crafts
+CCA537 Aru Ressha
+D1DED3 Aruba Aqua
+7DD4D6 Aruba Blue
+54B490 Aruba Green
+75AD5B Arugula
+E9D66B Arylide Yellow
+48929B Asagi Blue
+455559 Asagi Koi
+F7BB7D Asagi Yellow
+FCEF01 Asfar Yellow
+BEBAA7 Ash
+D7BEA5 Ash Blonde
+98623C Ash Brown
+E8D3D1 Ash Cherry Blossom
+8C6F54 Ash Gold
+C1B5A9 Ash Grey
+B9B3BF Ash Grove
+A88E8B Ash Hollow
+D9DDE5 Ash in the Air
+737486 Ash Mauve
+998E91 Ash Pink
+E8D3C7 Ash Plum
+B5817D Ash Rose
+AABB99 Ash Tree
+CECFD6 Ash Tree Bark
+9695A4 Ash Violet
+E9E4D4 Ash White
+F0BD7E Ash Yellow
+B495A4 Ashberry
+C9BFB2 Ashen
+994444 Ashen Brown
+B2A79D Ashen Grey
+9B9092 Ashen Plum
+D3CABF Ashen Tan
+8C7A7B Ashen Violet
+646B7A Ashen Whisper
+94A9B7 Ashen Wind
+104071 Ashenvale Nights
+45575E Asher Benjamin
+B8B5AD Ashes
+BBB3A2 Ashes to Ashes
+A3A1A5 Ashland Heights
+8398A9 Ashley Blue
+D2D9DA Ashlin Grey
+A7A49F Ashlite
+4A79BA Ashton Blue
+7B8EB0 Ashton Skies
+EDD6AE Ashwood
+DBD4C3 Asiago
+ECE0CD Asian Fusion
+E8E0CD Asian Ivory
+D4B78F Asian Jute
+AE9156 Asian Pear
+118822 Asian Spice
+8B818C Asian Violet
+B8B0A5 Ask Me Anything
+88DDBB Āsmānī Sky
+70B2CC Aspara
+77AB56 Asparagus
+96AF54 Asparagus Cream
+B9CB5A Asparagus Fern
+D2CBB4 Asparagus Green
+576F44 Asparagus Sprig
+6A8E22 Asparagus Sultan
+DAC98E Asparagus Yellow
+83A494 Aspen Aura
+C6BCAD Aspen Branch
+FFD662 Aspen Gold
+72926B Aspen Green
+A39B92 Aspen Grey
+6A8D88 Aspen Hush
+CFD7CB Aspen Mist
+F0F0E7 Aspen Snow
+687F7A Aspen Valley
+EDF1E3 Aspen Whisper
+F6DF9F Aspen Yellow
+130A06 Asphalt
+474C55 Asphalt Blue
+5E5E5D Asphalt Grey
+A08A80 Aspiration
+A2C1C0 Aspiring Blue
+2D4F83 Assassin
+F60206 Assassin’s Red
+E1D0B2 Assateague Sand
+1C4374 Assault
+867BA9 Aster
+9BACD8 Aster Flower Blue
+D4DAE2 Aster Petal
+8881B0 Aster Purple
+8F629A Aster Violetta
+F091A9 Astilbe
+DD482B Astorath Red
+7E7565 Astoria Grey
+EDD5A6 Astra
+376F89 Astral
+363151 Astral Aura
+203943 Astral Nomad
+8EC2E7 Astral Spirit
+77FF77 Astro Arcade Green
+899FB9 Astro Bound
+5383C3 Astro Nautico
+6D5ACF Astro Purple
+937874 Astro Sunset
+797EB5 Astro Zinger
+757679 Astrogranite
+3B424C Astrogranite Debris
+2D96CE Astrolabe Reef
+445172 Astronaut
+214559 Astronaut Blue
+E8F2EB Astronomer
+474B4A Astronomical
+6B7C85 Astronomicon Grey
+AFB4B6 Astroscopus Grey
+67A159 Astroturf
+273E51 Asurmen Blue Wash
+17181C Aswad Black
+E7EEE1 At Ease
+9E9985 At Ease Soldier
+E7D9B9 At the Beach
+A3ABB8 Atelier
+003A6C Ateneo Blue
+DCD7CC Athena
+66DDFF Athena Blue
+E9B4C3 Athena Pink
+92A18A Athenian Green
+3F74B1 Athens
+DCDDDD Athens Grey
+6D8E44 Athonian Camoshade
+D5CBB2 Aths Special
+FF7E02 Ati-Ati Amber
+008997 Atlantic Blue
+CBE1EE Atlantic Breeze
+2B2F41 Atlantic Charter
+294F58 Atlantic Deep
+001166 Atlantic Depths
+D7CEB9 Atlantic Fig Snail
+A5B4AC Atlantic Foam
+4B8EB0 Atlantic Gull
+00629A Atlantic Mystique
+13336F Atlantic Navy
+A7D8E4 Atlantic Ocean
+DCD5D2 Atlantic Sand
+3B5F83 Atlantic Schooner
+708189 Atlantic Shoreline
+3E586E Atlantic Tide
+B598C3 Atlantic Tulip
+264243 Atlantic Waves
+336172 Atlantis
+006477 Atlantis Myth
+5CA0A7 Atlas Cedar
+667A6E Atlas Cedar Green
+82193A Atlas Red
+EDE5CF Atlas White
+0099DD Atmosphere
+899697 Atmospheric
+C2D0E1 Atmospheric Pressure
+ACE1F0 Atmospheric Soft Blue
+2B797A Atoll
+FFCF9E Atoll Sand
+8F9CAC Atom Blue
+3D4B52 Atomic
+0097C3 Atomic Blue
+B9FF03 Atomic Lime
+F88605 Atomic Orange
+FB7EFD Atomic Pink
+00FA9A Atomic Spring
+FF9966 Atomic Tangerine
+F1EEE4 Atrium White
+0D9494 Atrovirens
+994240 Attar of Rose
+CCBCA9 Attic Linen
+A1BCA9 Attica
+A48884 Attitude
+7C7D75 Attitude Grey
+3F4258 Attorney
+9E6759 Au Chico
+F4F2E2 Au Clair de la Lune
+F6A694 Au Contraire
+FF9D45 Au Gratin
+B99D83 Au Lait Ole
+E5E1CE Au Natural
+E8CAC0 Au Naturel
+3F3130 Auberge
+372528 Aubergine
+F2E4DD Aubergine Flesh
+8B762C Aubergine Green
+6E5861 Aubergine Grey
+3B2741 Aubergine Mauve
+5500AA Aubergine Perl
+712F2C Auburn
+B58271 Auburn Glaze
+78342F Auburn Lights
+D8A394 Auburn Wave
+B5ACB7 Audition
+AE8087 Audrey’s Blush
+9F9292 Auger Shell
+E6E1D6 August Moon
+FFD79D August Morning
+90AA0B Augustus Asparagus
+7C7469 Aumbry
+7C0087 Aunt Violet
+B2A8A1 Aura
+DEE2E4 Aura White
+FDEE00 Aureolin
+C48919 Auric
+E8BC6D Auric Armour Gold
+AA6A44 Auric Copper
+32FFDC Aurichalcite
+533552 Auricula Purple
+6E7F80 AuroMetalSaurus
+EBD147 Aurora
+556B87 Aurora Borealis
+6ADC99 Aurora Green
+D3C5C4 Aurora Grey
+963B60 Aurora Magenta
+EC7042 Aurora Orange
+E881A6 Aurora Pink
+C13435 Aurora Red
+595682 Aurora Splendour
+72B2AF Aurora Teal
+438273 Aussie Surf
+726848 Austere
+BEBFB2 Austere Grey
+F4C4A5 Australian Apricot
+84A194 Australian Jade
+EFF8AA Australian Mint
+CC9911 Australien
+E7B53B Australium Gold
+DEE6E7 Austrian Ice
+6B5446 Authentic Brown
+EADDC6 Authentic Tan
+C38743 Automn Fox
+C6C7C5 Autonomous
+AF865B Autumn
+D2A888 Autumn Air
+CDA449 Autumn Apple Yellow
+F9986F Autumn Arrival
+816B68 Autumn Ashes
+E3AD59 Autumn Avenue
+9D6F46 Autumn Bark
+D9922E Autumn Blaze
+ECCCA6 Autumn Blonde
+FFE0CB Autumn Bloom
+E4D1C0 Autumn Blush
+FBE6C1 Autumn Child
+447744 Autumn Crocodile
+EA6F5B Autumn Enchantment
+67423B Autumn Fall
+507B49 Autumn Fern
+BE7D33 Autumn Fest
+A28B36 Autumn Festival
+C44E4F Autumn Fire
+AFB8BA Autumn Fog
+B3573F Autumn Glaze
+E9874E Autumn Glimmer
+FF8812 Autumn Glory
+E5C382 Autumn Glow
+7D623C Autumn Gold
+E6AE76 Autumn Gourd
+B2ABA7 Autumn Grey
+827B53 Autumn Grove
+D4C2B1 Autumn Haze
+B9674E Autumn Ivy
+E47227 Autumn Landscape
+9D8D66 Autumn Laurel
+B56A4C Autumn Leaf
+7A560E Autumn Leaf Brown
+D07A04 Autumn Leaf Orange
+623836 Autumn Leaf Red
+6E4440 Autumn Leaves
+CEA48E Autumn Malt
+D26F16 Autumn Maple
+ACB78E Autumn Meadow
+F7B486 Autumn Mist
+3B5861 Autumn Night
+EE9950 Autumn Orange
+9D9093 Autumn Orchid
+158078 Autumn Pine Green
+99451F Autumn Red
+9B423F Autumn Ridge
+C2452D Autumn Robin
+A4746E Autumn Russet
+AEA26E Autumn Sage
+D19957 Autumn Spice
+FE9A50 Autumn Splendour
+F38554 Autumn Sunset
+AB662E Autumn Surprise
+AE704F Autumn Umber
+CDB573 Autumn Wandering
+FAE2CF Autumn White
+FBD1B6 Autumn Wind
+C9A0DC Autumn Wisteria
+E99700 Autumn Yellow
+BA7A61 Autumn’s Hill
+AD5928 Autumnal
+106B21 Avagddu Green
+799B96 Avalon
+FF77EE Avant-Garde Pink
+576E6A Aventurine
+D2C2B0 Avenue Tan
+FFAA1D Averland Sunset
+C6E3E8 Aviary Blue
+7D6049 Aviator
+F4C69F Avid Apricot
+C5B47F Aviva
+568203 Avocado
+B7BF6B Avocado Cream
+3E4826 Avocado Dark Green
+87A922 Avocado Green
+555337 Avocado Pear
+39373B Avocado Peel
+4E3E1F Avocado Stone
+90B134 Avocado Toast
+CDD6B1 Avocado Whip
+CCBDB4 Avorio
+A7A3BB Awaken
+E3DAE9 Awakened
+BB9E9B Awakening
+315886 Award Blue
+54617D Award Night
+FEF0DE Award Winning White
+E3EBB1 Awareness
+F0D6CF Awe
+CCC1DA Awesome Aura
+A7B2D4 Awesome Violet
+D208CC Awkward Purple
+90413E Awning Red
+6B4730 Axe Handle
+756050 Axinite
+BAB6CB Axis
+FFF0DF Axolotl
+665500 Ayahuasca Vine
+763568 Ayame Iris
+A07254 Ayrshire
+D73B5D Azalea
+EFC0CB Azalea Flower
+4A6871 Azalea Leaf
+F9C0C4 Azalea Pink
+BA7462 Azalea Pot
+A5B546 Azeitona
+7C968B Azores
+0085A7 Azores Blue
+4C6CB3 Azraq Blue
+B13916 Azshara Vein
+293432 Aztec
+FFEFBC Aztec Aura
+9E8352 Aztec Brick
+C46943 Aztec Copper
+E7B347 Aztec Glimmer
+C39953 Aztec Gold
+33BB88 Aztec Jade
+4DB5D7 Aztec Sky
+84705B Aztec Temple
+00D6E2 Aztec Turquoise
+BB0066 Aztec Warrior
+96514D Azuki Bean
+672422 Azuki Red
+1D5DEC Azul
+0089C4 Azul Caribe
+C9E3EB Azul Cielito Lindo
+537FAF Azul Pavo Real
+36454F Azul Petróleo
+E2EFF2 Azul Primavera
+C0CFC7 Azul Tequila
+6ABAC4 Azul Turquesa
+211D49 Azulado
+007FFF Azure
+4D91C6 Azure Blue
+053976 Azure Dragon
+006C81 Azure Green Blue
+DDDCE1 Azure Hint
+7BBBC8 Azure Lake
+F0FFF1 Azure Mist
+007F1F Azure Radiance
+B0E0F6 Azure Sky
+2B9890 Azure Tide
+59BAD9 Azurean
+DBE9F4 Azureish White
+CC81F0 Azuremyst Isle
+8FA0D5 Azureno
+497F73 Azurite Water Green
+2E5894 B’dazzled Blue
+EDB367 Ba-Dum Ching!
+610023 Baal Red Wash
+EEBB88 Baba Ganoush
+BECFCD Babbling Brook
+A7BAD3 Babbling Creek
+DC7B7C Babe
+876FA3 Babiana
+ABCCC3 Baby Aqua
+E9E3CE Baby Artichoke
+C3C3B8 Baby Barn Owl
+6F5944 Baby Bear
+9C4A62 Baby Berries
+FAEFE9 Baby Blossom
+A2CFFE Baby Blue
+A1CAF1 Baby Blue Eyes
+BBB98A Baby Bok Choy
+B7CADB Baby Boots
+ABCAEA Baby Bunting
+8C665C Baby Burro
+87BEA3 Baby Cake
+FFEDA2 Baby Chick
+F3ACB9 Baby Fish Mouth
+F0D0B0 Baby Fragrance
+C8BA63 Baby Frog
+FFDFE8 Baby Girl
+8ABD7B Baby Grass
+8CFF9E Baby Green
+D0A7A8 Baby Jane
+FFA468 Baby Melon
+8FCBDC Baby Motive
+FFB7CE Baby Pink
+FEFEFA Baby Powder
+CA9BF7 Baby Purple
+A1A5A8 Baby Seal
+89A882 Baby Spinach
+A78B81 Baby Sprout
+F5C9DA Baby Steps
+BABABA Baby Talk Grey
+66B9D6 Baby Tears
+DCC2CB Baby Tone
+EEFFDD Baby Tooth
+5D6942 Baby Vegetable
+4D5588 Baby Whale
+FFAEC1 Baby’s Blanket
+E8C1C2 Baby’s Booties
+D8E4E8 Baby’s Breath
+EECCBB Babyccino
+C8E4E7 Babymoon Blue
+945759 Baca Berry
+8A3A3C Bacchanalia Red
+95122C Bacchic Burgundy
+8FAACA Bachelor Blue
+4ABBD5 Bachelor Button
+FDDEA5 Bachimitsu Gold
+16141C Back in Black
+015F7F Back of Beyond
+6B625B Back Stage
+726747 Back to Basics
+BDB98F Back to Nature
+C1853B Back to School
+7C725F Backcountry
+A7A799 Backdrop
+FCF0E5 Backlight
+FFDF4F Backlit Lemon
+A19250 Backroom Ember
+687078 Backwater
+4A6546 Backwoods
+879877 Backyard
+DF3F32 Bacon Strips
+F1C983 Bad Hair Day
+F2E5B4 Bad Moon Yellow
+0A0908 Badab Black Wash
+B4DA55 Badass Grass
+B5695A Badlands
+FF6316 Badlands Orange
+936A5B Badlands Sunset
+D5BCB3 Badlands Taupe
+D3A194 Badshahi Brown
+E1BD88 Bag of Gold
+F6CD9B Bagel
+1C5544 Bagpiper
+B5936A Baguette
+25597F Bahama Blue
+B9D1DA Bahama Breezes
+3FA49B Bahaman Bliss
+12ABBE Bahaman Sea
+58C1CD Baharroth Blue
+A9C01C Bahia
+C4C5AD Bahia Grass
+ECEFEF Bái Sè White
+887938 Baikō Brown
+8A8EC9 Bailey Bells
+8273FD Bainganī
+4B5445 Baize
+C7CDA8 Baize Green
+D2C1A8 Baja
+66A6D9 Baja Blue
+FFF8D1 Baja White
+B34646 Baked Apple
+9C4856 Baked Bahama
+B2754D Baked Bean
+DAD3CC Baked Biscotti
+DACBA9 Baked Bread
+EDE9D7 Baked Brie
+A35445 Baked Clay
+89674A Baked Cookie
+EEC8BC Baked Ham
+B69E87 Baked Potato
+DF9876 Baked Salmon
+E5D3BC Baked Scone
+9B775E Baked Sienna
+E6D4A5 Bakelite
+D7995D Bakelite Gold
+C6B788 Bakelite Yellow
+BF8284 Baker Rose
+FF92AE Baker-Miller Pink
+D0B393 Baker’s Bread
+5C3317 Baker’s Chocolate
+CEB997 Baker’s Dozen
+C98F70 Baker’s Dream
+F0F4F2 Bakery Box
+AB9078 Bakery Brown
+EFB435 Baklava
+273F4B Bakos Blue
+D1DBC2 Balance
+C3C5A7 Balance Green
+D7D2D1 Balanced
+C0B2A2 Balanced Beige
+AFD3DA Balboa
+E2BCB8 Balcony Rose
+D78E6B Balcony Sunset
+165A90 Baleine Blue
+CF994B Bales of Brown
+6F5937 Bali Batik
+5E9EA0 Bali Bliss
+8A8E93 Bali Deep
+849CA9 Bali Hai
+F6E8D5 Bali Sand
+F1A177 Balinese Sunset
+21ABCD Ball Blue
+525661 Ball Gown
+CAB6C6 Ballad
+F2CFDC Ballerina
+E8DED6 Ballerina Beauty
+F9EAEA Ballerina Gown
+F7B6BA Ballerina Pink
+F0DEE0 Ballerina Silk
+F2BBB1 Ballerina Tears
+C8647F Ballerina Tutu
+F7D5D4 Ballet
+FC8258 Ballet Cream
+D3ADB1 Ballet Rose
+FFC5B3 Ballet Skirt
+FCA2AD Ballet Slippers
+F2E7D8 Ballet White
+B2B29C Ballie Scott Sage
+323477 Ballpoint Indigo
+DAD3C8 Ballroom Belle
+A6B3C9 Ballroom Blue
+85928E Ballroom Slippers
+58A83B Ballyhoo
+C5D8DE Balmy
+5C6F64 Balmy Palm Tree
+B4DCD3 Balmy Seas
+9C6B08 Balor Brown
+CBBB92 Balsa Stone
+9A7550 Balsa Wood
+BEC4B7 Balsam
+36574E Balsam Branch
+CBA874 Balsam Brown
+909E91 Balsam Fir
+120D07 Balsam of Peru
+B19338 Balsam Pear
+434340 Balsamic Reduction
+130D07 Balsamico
+A47552 Balthasar Gold
+279D9F Baltic
+FBB782 Baltic Amber
+6C969A Baltic Blue
+9FBBDA Baltic Bream
+3AA098 Baltic Green
+135952 Baltic Prince
+3C3D3E Baltic Sea
+125761 Baltic Trench
+00A49A Baltic Turquoise
+8EDACC Bambino
+E3DEC6 Bamboo
+C1ABA0 Bamboo Beige
+C87F00 Bamboo Brown
+454A48 Bamboo Charcoal
+B1A979 Bamboo Forest
+82994C Bamboo Grass Green
+99B243 Bamboo Leaf
+E5DA9F Bamboo Mat
+BCAB8C Bamboo Screen
+A3B6A4 Bamboo Shoot
+C6CFAD Bamboo White
+AE884B Bamboo Yellow
+5A1991 Banafš Violet
+A50B5E Banafsaji Purple
+FAF3A6 Banan-Appeal
+FFFC79 Banana
+EFE073 Banana Ball
+F8F739 Banana Bandanna
+FFDE7B Banana Biscuit
+933E49 Banana Blossom
+FDC838 Banana Boat
+F7E82E Banana Bombshell
+FFCF73 Banana Bread
+E8D82C Banana Brick
+F7EAB9 Banana Brûlée
+D6D963 Banana Chalk
+EEDD00 Banana Clan
+FFF49C Banana Cream
+E7D3AD Banana Crepe
+FCF3C5 Banana Custard
+F1D548 Banana Drama
+FFDF38 Banana Farm
+EEFE02 Banana Flash
+DDD5B6 Banana Frappé
+F1D3B2 Banana Ice Cream
+FFFB08 Banana King
+9D8F3A Banana Leaf
+FBE7B2 Banana Mania
+FAFE4B Banana Mash
+FFF7AD Banana Milk
+EDE6CB Banana Milkshake
+95A263 Banana Palm
+FFE774 Banana Peel
+FDD630 Banana Pepper
+F7EFD7 Banana Pie
+D0C101 Banana Powder
+F3DB00 Banana Propaganda
+F4EFC3 Banana Pudding
+B29705 Banana Puree
+FFE292 Banana Republic
+F6F5D7 Banana Sparkes
+F7EEC8 Banana Split
+FFE135 Banana Yellow
+FAE7B5 Banana Yoghurt
+E4D466 Bananarama
+DBBE97 Bananas Foster
+00A86C Banaue Jade
+666A47 Bancha
+816E54 Bancroft Village
+D7A97C Band-Aid
+01578F Bandana
+E0D3BD Banded Tulip
+878466 Bandicoot
+871466 Bane of Royalty
+937F6D Baneblade Brown
+BC393B Bang
+BBAA88 Bangalore
+006A4F Bangladesh Green
+D2B762 Banh Bot Loc Dumpling
+745E6F Banished Brown
+3E4652 Bank Blue
+757374 Bank Vault
+A6B29A Banksia
+4B5539 Banksia Leaf
+016876 Bankson Lake
+A28557 Banner Gold
+806B5D Bannister Brown
+E1E0D6 Bannister White
+DAF0E6 Banshee
+AF6C5D Bantam Egg
+98AB8C Banyan Serenity
+8D793E Banyan Tree
+E6490B Baptism by Fire
+E9546B Bara Red
+551100 Baragon Brown
+4B2D2A Barako Brew
+3E6676 Barbados
+006665 Barbados Bay
+B8A983 Barbados Beige
+2766AC Barbados Blue
+AF0A30 Barbados Cherry
+FF0FF3 Barbara
+F78C5A Barbarian
+A17308 Barbarian Leather
+A84734 Barbarossa
+C26157 Barbecue
+471C0F Barbecue Sauce
+8B031C Barbera
+EE1133 Barberry
+D2C61F Barberry Bush
+E1D4BC Barberry Sand
+F3BD32 Barberry Yellow
+FE46A5 Barbie Pink
+E15ACB Barbiecore
+C4B39C Barcelona Beige
+926A46 Barcelona Brown
+FF9500 Barcelona Orange
+817E6D Bare
+E8D3C9 Bare Beige
+EEDDCC Bare Bone
+DCD4C3 Bare Market
+D6E3E7 Bare Mintimum
+EFC9B7 Bare Necessity
+F2E1DD Bare Pink
+BAE9E0 Barely Aqua
+E4CCD4 Barely Berry
+DDAADD Barely Bloomed
+DDE0DF Barely Blue
+DD6655 Barely Brown
+F8E9C2 Barely Butter
+CCBDB9 Barely Mauve
+FFE9C7 Barely Peach
+EDEBDB Barely Pear
+F8D7DD Barely Pink
+FFE3CB Barely Ripe Apricot
+EDE0E3 Barely Rose
+E1E3DD Barely White
+D5D3C0 Barest Celadon
+C5D9DB Barest Hint of Blue
+D5D3C7 Barest Hush
+94AC02 Barf Green
+68534A Bargeboard Brown
+BCAFA2 Barista
+BB8D4E Barista’s Favourite
+9E7B5C Barite
+708E95 Baritone
+F4E1C5 Barium
+8FFF9F Barium Green
+5F5854 Bark
+73532A Bark Brown
+AB9004 Bark Sawdust
+ADC6DA Barking Creek
+C5B497 Barking Prairie Dog
+D5B37E Barley
+B6935C Barley Corn
+C7BCAE Barley Field
+FBF2DB Barley Groats
+F7E5B7 Barley White
+8E5959 Barn Door
+8B4044 Barn Red
+4D332A Barn Swallow
+AC1DB8 Barney
+A00498 Barney Purple
+9C9481 Barnfloor
+554D44 Barnwood
+87857E Barnwood Ash
+9E9589 Barnwood Grey
+5DAC51 Barnyard Grass
+71000E Barolo
+929899 Barometer
+A785A7 Baroness
+847098 Baroness Mauve
+5A4840 Baronial Brown
+DDAA22 Baroque
+95B6B5 Baroque Blue
+AECCCB Baroque Chalk Soft Blue
+5F5D64 Baroque Grey
+7B4F5D Baroque Red
+B35A66 Baroque Rose
+452E39 Barossa
+F0B069 Barrel
+8B6945 Barrel Aged
+9E3C31 Barrel Sponge
+8E7E67 Barrel Stove
+B9ABA3 Barren
+F5D1B2 Barrett Quince
+84623E Barricade
+009BB5 Barrier Reef
+A2A59E Barrister Grey
+9F8E71 Barro Verde
+989998 Basalt
+4D423E Basalt Black
+C15154 Basashi Red
+575C3A Base Camp
+BB9955 Base Sand
+F4EADC Baseball Base
+E3EDED Bashful
+6994CF Bashful Blue
+B2B0AC Bashful Emu
+D0D2E3 Bashful Lilac
+D9CDE5 Bashful Pansy
+B88686 Bashful Rose
+DBC3B6 Basic Coral
+C3B69F Basic Khaki
+879F84 Basil
+828249 Basil Chiffonade
+54622E Basil Green
+E2E6DB Basil Icing
+6C5472 Basil Mauve
+529D6E Basil Pesto
+B7E1A1 Basil Smash
+4A9FA7 Basilica Blue
+9AB38D Basilisk
+BCECAC Basilisk Lizard
+B9DEE4 Basin Blue
+C0A98B Basket Beige
+C8C0B8 Basket of Bobbins
+F4CC3C Basket of Gold
+EE6730 Basketball
+BDA286 Basketry
+CAAD92 Basketweave Beige
+EBE1C9 Basmati White
+5F6033 Basque Green
+D3C1CB Bassinet
+C9B196 Basswood
+839E83 Basswood Green
+FFCC88 Bastard Amber
+2C2C32 Bastille
+4D4A4A Bastion Grey
+7E7466 Bat Wing
+FEFF00 Bat-Signal
+EE3366 Bat’s Blood Soup
+87B2C9 Batch Blue
+45392F Batch Brew
+1B7598 Bateau
+7A5F5A Bateau Brown
+D8E9DB Bath
+E6F2EA Bath Bubbles
+0A696A Bath Green
+411900 Bath in Chocolate
+BBDED7 Bath Salt Green
+62BAA8 Bath Turquoise
+88EEEE Bath Water
+C2E0E3 Bathe Blue
+93C9D0 Bathing
+428267 Bathing Beauty
+7E738B Batik Lilac
+9C657E Batik Pink
+656E72 Batman
+866F5A Baton
+B8292B Baton Rouge
+1F1518 Bats Cloak
+EDE2D4 Battered Sausage
+1DACD4 Battery Charged Blue
+74828F Battle Blue
+2B7414 Battle Cat
+7E8270 Battle Dress
+9C9C82 Battle Harbour
+9C9895 Battleship
+828F72 Battleship Green
+6F7476 Battleship Grey
+11CC55 Battletoad
+595438 Batu Cave
+3F4040 Bauhaus
+006392 Bauhaus Blue
+CFB49E Bauhaus Buff
+B0986F Bauhaus Gold
+CCC4AE Bauhaus Tan
+4D5E42 Bavarian
+1C3382 Bavarian Blue
+FFF9DD Bavarian Cream
+20006D Bavarian Gentian
+749A54 Bavarian Green
+ACBF93 Bavarian Hops
+4D3113 Bavarian Sweet Mustard
+B3E2D3 Bay
+773300 Bay Brown
+9899B0 Bay Fog
+214048 Bay Isle Pointe
+86793D Bay Leaf
+85C5C8 Bay Mist
+BFC9D0 Bay of Hope
+353E64 Bay of Many
+D2CDBC Bay Salt
+C5BEAE Bay Sands
+FBE6CD Bay Scallop
+325F8A Bay Site
+018486 Bay Teal
+6A819E Bay View
+BFC2BF Bay Waves
+747F89 Bay Wharf
+7B9AAD Bay’s Water
+275A5D Bayberry
+D0D9C7 Bayberry Frost
+B6AA89 Bayberry Wax
+0098D4 Bayern Blue
+268483 Bayou
+017992 Bayou Serenade
+BEB48E Bayou Shade
+89CEE0 Bayshore
+5FC9BF Bayside
+C9D8E4 Baywater Blue
+8F7777 Bazaar
+FFA6C9 Bazooka Pink
+A35046 BBQ
+F4E3E7 Be Mine
+EC9DC3 Be My Valentine
+A5CB66 Be Spontaneous
+9B983D Be Yourself
+EFE4BB Beach
+ADB864 Beach Bag
+EFC700 Beach Ball
+B2E4CD Beach Blanket
+5F9CA2 Beach Blue
+CEAB90 Beach Boardwalk
+91CBBF Beach Breeze
+A69081 Beach Cabana
+665A38 Beach Casuarina
+CAAB84 Beach Coast Buff
+94ADB0 Beach Cottage
+C6BB9C Beach Dune
+CDE0E1 Beach Foam
+96DFCE Beach Glass
+DCDDB8 Beach Grass
+EDD481 Beach House
+CCDCDE Beach House Blue
+BDA2C4 Beach Lilac
+FBD05C Beach Party
+FBB88B Beach Sand
+71CBD2 Beach Sparkle
+FCE3B3 Beach Towel
+FEDECA Beach Trail
+819AAA Beach Umbrella
+4F7694 Beach View
+DCE1E2 Beach Wind
+CAC0B0 Beach Woods
+D8E3E5 Beachcomber
+E4C683 Beachcombing
+FBEDD7 Beaches of Cancun
+ACDBDB Beachside Drive
+C3B296 Beachside Villa
+D2B17A Beachwalk
+E6D0B6 Beachy Keen
+EBE8B9 Beacon
+265C98 Beacon Blue
+F2C98A Beacon Yellow
+494D8B Beaded Blue
+8D6737 Beagle Brown
+33FFFF Beaming Blue
+FFF8DF Beaming Sun
+4A1207 Bean
+68755D Bean Counter
+685C27 Bean Green
+8B6B51 Bean Pot
+91923A Bean Shoot
+F3F9E9 Bean Sprout
+EBF0E4 Bean White
+4E8747 Beanpole
+31AA74 Beanstalk
+766E65 Bear
+AE6B52 Bear Claw
+836452 Bear Creek
+796359 Bear Hug
+5B4A44 Bear in Mind
+5A4943 Bear Rug
+7D756D Bearsuit
+B08F69 Beast Hide
+680C08 Beastly Red
+663300 Beasty Brown
+6E6A44 Beat Around the Bush
+73372D Beaten Copper
+4E0550 Beaten Purple
+D1BE92 Beaten Track
+448844 Beating Around the Bush
+5F8748 Beatnik
+BCD4E6 Beau Blue
+7DB39E Beau Monde
+0C6064 Beau Vert
+80304C Beaujolais
+92774C Beaumont Brown
+553F44 Beauport Aubergine
+186DB6 Beautiful Blue
+686D70 Beautiful Darkness
+B6C7E3 Beautiful Dream
+8DA936 Beautiful Mint
+866B8D Beauty
+C99680 Beauty and the Beach
+EBB9B3 Beauty Bush
+834F44 Beauty Patch
+BE5C87 Beauty Queen
+C79EA2 Beauty Secret
+604938 Beauty Spot
+926F5B Beaver
+997867 Beaver Fur
+9F8170 Beaver Kit
+60564C Beaver Pelt
+F4EEE0 Béchamel
+607879 Becker Blue
+7F7353 Becker Gold
+85A699 Beckett
+4BEC13 Becquerel
+B893AB Bed of Roses
+D3B9CC Bedazzled
+968775 Bedbox
+AA8880 Bedford Brown
+9E9D99 Bedrock
+C3ACB2 Bedroom Plum
+ADB7C1 Bedside Manner
+E1B090 Bedtime Story
+F1BA55 Bee
+FFAA33 Bee Cluster
+F2CC64 Bee Hall
+735B3B Bee Master
+EBCA70 Bee Pollen
+FEFF32 Bee Yellow
+E8D9D2 Bee’s Knees
+5B4F3B Beech
+574128 Beech Brown
+758067 Beech Fern
+D7B59A Beech-Nut
+6E5955 Beechwood
+B64701 Beef Bourguignon
+A85D2E Beef Hotpot
+A25768 Beef Jerky
+8A4512 Beef Noodle Broth
+BB5533 Beef Patties
+DEBEEF Beefy Pink
+E1B781 Beehive
+F6E491 Beekeeper
+FCAA12 Beer
+449933 Beer Garden
+773311 Beer Glazed Bacon
+E9D7AB Beeswax
+BF7E41 Beeswax Candle
+F5D297 Beeswing
+7E203F Beet Red
+D4265D Beet Wave
+90306A Beetiful Magenta
+55584C Beetle
+663F44 Beetroot
+D33376 Beetroot Purple
+C58F9D Beetroot Rice
+736A86 Beets
+96496D Befitting
+4D6A77 Before the Storm
+BD6F56 Before Winter
+5A4D39 Beggar
+FA6E79 Begonia
+C3797F Begonia Rose
+848E8A Beguile
+5E6F8E Beguiling Blue
+AFA7AC Beguiling Mauve
+E6DAA6 Beige
+BBC199 Beige and Sage
+D6C5B4 Beige Chalk
+CFB095 Beige Ganesh
+E0D8B0 Beige Green
+C5A88D Beige Intenso
+987A5B Beige Intuition
+E2DAC6 Beige Linen
+DE9408 Beige Red
+CFC8B8 Beige Royal
+FFC87C Beige Topaz
+ECCC9B Beignet
+3E7DAA Beijing Blue
+A9A2A3 Beijing Moon
+25A26F Bejewelled
+819AC1 Bel Air Blue
+9BBCC3 Bel Esprit
+558D4F Belfast
+BB937F Belfry Brick
+9BA29E Belgian Block
+F7EFD0 Belgian Blonde
+F9F1E2 Belgian Cream
+8D7560 Belgian Sweet
+F3DFB6 Belgian Waffle
+DBC7A8 Believable Buff
+7FD3D3 Belize
+B9C3B3 Belize Green
+618B97 Bell Blue
+A475B1 Bell Heather
+DAD0BB Bell Tower
+574057 Bella
+93C3B1 Bella Green
+DAC5BD Bella Mia
+E08194 Bella Pink
+40465D Bella Sera
+0B695B Bella Vista
+220011 Belladonna
+ADC3A7 Belladonna’s Leaf
+B7DFF3 Bellagio Fountains
+F2B400 Bellagio Gold
+E3CBC0 Belle of the Ball
+5D66AA Bellflower
+E1E9EF Bellflower Blue
+B2A5B7 Bellflower Violet
+F4C9B1 Bellini
+F5C78E Bellini Fizz
+EDE3A1 Bells and Whistles Gold
+773B38 Belly Fire
+00817F Belly Flop
+626A60 Belmont Green
+B3B4DD Beloved
+E9D3D4 Beloved Pink
+FFBA24 Beloved Sunflower
+0A2F7C Below the Surface
+87CDED Below Zero
+EFF2F1 Beluga
+D7D2D2 Beluga Song
+E3DBC3 Belvedere Cream
+F0F1E1 Belyi White
+694977 Benevolence
+DD1188 Benevolent Pink
+CC974D Bengal
+38738B Bengal Blue
+8E773F Bengal Grass
+8F2E14 Bengala Red
+913225 Bengara Red
+B85241 Beni Shoga
+BB7796 Benifuji
+F35336 Benihi Red
+5A4F74 Benikakehana Purple
+44312E Benikeshinezumi Purple
+78779B Benimidori Purple
+007BAA Benitoite
+FB8136 Beniukon Bronze
+000011 Benthic Black
+CC363C Bento Box
+00D973 Benzol Green
+D8CFB6 Berber
+95C703 Bergamot
+F59D59 Bergamot Orange
+B8C7DB Beribboned
+4B596E Bering Sea
+3D6D84 Bering Wave
+7E613F Berkeley Hills
+F0E1CF Berkshire Lace
+5588CC Berlin Blue
+FF6989 Berlin Pink
+1B7D8D Bermuda
+8CB1C2 Bermuda Blue
+6B8BA2 Bermuda Grey
+9D5A8F Bermuda Onion
+DACBBF Bermuda Sand
+F9EEE3 Bermuda Shell
+F0E9BE Bermuda Son
+6F8C9F Bermuda Triangle
+6BC271 Bermudagrass
+386171 Bermudan Blue
+E20909 Bern Red
+AB7CB4 Berries Galore
+F2B8CA Berries N’ Cream
+990F4B Berry
+662277 Berry Blackmail
+FF017F Berry Blast
+9E8295 Berry Bliss
+32607A Berry Blue
+264B56 Berry Blue Green
+B88591 Berry Blush
+BB5588 Berry Boost
+7D5857 Berry Brandy
+A08497 Berry Bright
+544F4C Berry Brown
+AC72AF Berry Burst
+77424E Berry Bush
+EFCEDC Berry Butter
+A6AEBB Berry Chalk
+4F4763 Berry Charm
+F8E3DD Berry Cheesecake
+3F000F Berry Chocolate
+765269 Berry Conserve
+9A8CA2 Berry Cream
+AA6772 Berry Crush
+9B1C5D Berry Curious
+B3A1C6 Berry Frappé
+EBDED7 Berry Frost
+EDC3C5 Berry Good
+655883 Berry Jam
+673B66 Berry Light
+555A90 Berry Mix
+B6CACA Berry Mojito
+84395D Berry Patch
+4F6D8E Berry Pie
+D6A5CD Berry Popsicle
+A0688D Berry Pretty
+E5A2AB Berry Riche
+992244 Berry Rossi
+895360 Berry Smoothie
+64537C Berry Syrup
+ECD5D9 Berry Taffy
+D78BAD Berry Twist
+624D55 Berry Wine
+D75E6C Berrylicious
+45DCFF Berta Blue
+BFE4D4 Beru
+7082A4 Berwick Berry
+71DCB8 Beryl
+BCBFA8 Beryl Green
+E2E3DF Beryl Pearl
+A16381 Beryl Red
+E9E5D7 Beryllonite
+D4BA9D Bespoke
+685E5B Bessie
+C6B49C Best Beige
+5D513E Best Bronze
+B9B7BD Best in Show
+01809F Best of Both Worlds
+F7F2D9 Best of Summer
+BD5442 Best of the Bunch
+CD343D Bestial Blood
+6B3900 Bestial Brown
+992211 Bestial Red
+D38A57 Bestigor
+7D655C Betalain Red
+352925 Betel Nut Dye
+CADBBD Bethany
+EE0022 Bethlehem Red
+EAEEDA Bethlehem Superstar
+73C9D9 Betsy
+3A6B66 Betta Fish
+EBE2CB Better Than Beige
+EDE1BE Beurre Blanc
+7ACCB8 Bevelled Glass
+75AC16 Bevelled Grass
+6A393C Bewitched
+75495E Bewitching
+BBD0E3 Bewitching Blue
+AAEEFF Beyond the Clouds
+F7D6BA Beyond the Pale
+688049 Beyond the Pines
+005784 Beyond the Sea
+0A3251 Beyond the Stars
+D7E0EB Beyond the Wall
+DBB0D3 Bff
+70C0E2 Bff Blue
+947706 Bhūrā Brown
+1C5022 Białowieża Forest
+F4EFE0 Bianca
+3DCFC2 Bianchi Green
+FFE58C Bicycle Yellow
+802C3A Bicyclette
+A9B9B5 Bidwell Blue
+B19C8F Bidwell Brown
+507CA0 Biedermeier Blue
+1BA169 Biel-Tan Green
+F0908D Bierwurst
+908C84 Big Apple
+AFABA0 Big Band
+FF0099 Big Bang Pink
+FFDA8B Big Bus Yellow
+7ECBE2 Big Chill
+B98675 Big Cypress
+5D6B75 Big Daddy Blue
+9C2542 Big Dip O’ruby
+41494B Big Dipper
+99A38E Big Fish
+DADBE1 Big Fish to Fry
+E88E5A Big Foot Feet
+B79E94 Big Horn Mountains
+34708F Big Ocean Wave
+CDE2DE Big Sky
+85C4C9 Big Sky Country
+ACDDAF Big Spender
+334046 Big Stone
+886E54 Big Stone Beach
+B3CADC Big Sur
+3F6E8E Big Sur Blue Jade
+96D0D1 Big Surf
+FFEE22 Big Yellow Streak
+FFFF33 Big Yellow Taxi
+715145 Bigfoot
+20120E Bighorn Sheep
+4E5E7F Bijou Blue
+A33D3B Bijou Red
+676B55 Bijoux Green
+7B222A Biking Red
+C3C0B1 Biking Trail
+3E8027 Bilbao
+71777E Bilberry
+B5C306 Bile
+E39F08 Bilious Brown
+A9D171 Bilious Green
+1B6F81 Billabong
+AD7C35 Billet
+00AF9F Billiard
+276B40 Billiard Ball
+305A4A Billiard Green
+50846E Billiard Room
+155843 Billiard Table
+01B44C Billiards Cloth
+83C0E5 Billow
+D8DEE3 Billowing Clouds
+D2E3E3 Billowing Sail
+6E726A Billowing Smoke
+AFC7CD Billowy Breeze
+F6F0E9 Billowy Clouds
+4C77A4 Billycart Blue
+AE99D2 Biloba Flower
+F4E4CD Biloxi
+0075B8 Biloxi Blue
+E3C9A1 Biltmore Buff
+410200 Biltong
+54682B Bimi Green
+007A91 Bimini Blue
+010101 Binary Black
+616767 Binary Star
+8B3439 Bindi Dot
+B0003C Bindi Red
+AF4967 Bing Cherry Pie
+433D3C Binrouji Black
+465F9E Bio Blue
+FFEFD5 Biogenic Sand
+FBFB4C Biohazard Suit
+91A135 Biology Experiments
+55EEFF Bioluminescence
+66FF55 Biopunk
+889900 BioShock
+EEEE44 Biotic Grasp
+EEDD55 Biotic Orb
+3F3726 Birch
+D9C3A1 Birch Beige
+899A8B Birch Forest
+637E1D Birch Leaf Green
+DFB45F Birch Strain
+F6EEDF Birch White
+CCBEAC Birchwood
+806843 Birchy Woods
+CDDFE7 Bird Bath Blue
+7B929E Bird Blue
+7F92A0 Bird Blue Grey
+D0C117 Bird Flower
+FFF1CF Bird’s Child
+AACCB9 Bird’s Egg Green
+CFBB9B Bird’s Nest
+AB823D Bird’s-Eye
+E4C495 Bird’s-Eye Maple
+6C483A Birdhouse Brown
+E9E424 Birdie
+89ACDA Birdie Num Num
+E2C28E Birdseed
+2F3946 Biro Blue
+224634 Birōdo Green
+FCE9DF Birth of a Star
+F6EBC2 Birth of Venus
+E9D2CC Birthday Cake
+CFA2AD Birthday Candle
+9BDCB9 Birthday King
+E2C7B6 Birthday Suit
+79547A Birthstone
+2F3C53 Biscay
+097988 Biscay Bay
+55C6A9 Biscay Green
+D8C3A7 Biscotti
+FEEDCA Biscuit
+E6BFA6 Biscuit Beige
+F9CCB7 Biscuit Cream
+E3CFB8 Biscuit Crumbs
+E8DBBD Biscuit Dough
+C473A9 Bishop Red
+486C7A Bismarck
+6E4F3A Bison
+9F9180 Bison Beige
+584941 Bison Brown
+B5AC94 Bison Hide
+FFE4C4 Bisque
+E5D2B0 Bisque Tan
+3D2B1F Bistre
+967117 Bistre Brown
+705950 Bistro
+395551 Bistro Green
+ECE3DC Bistro Napkin
+E3B8B7 Bistro Pink
+ECE8E1 Bistro White
+DD5599 Bit of Berry
+D9E3E5 Bit of Blue
+CAD7DE Bit of Heaven
+E1E5AC Bit of Lime
+F4F2EC Bit of Sugar
+FFBB11 Bitcoin
+D47D72 Bite My Tongue
+ECEBCE Bite the Bullet
+88896C Bitter
+8D7470 Bitter Briar
+4F2923 Bitter Chocolate
+769789 Bitter Clover Green
+6ECB3C Bitter Dandelion
+669841 Bitter Leaf
+D2DB32 Bitter Lemon
+CFFF00 Bitter Lime
+31CD31 Bitter Lime and Defeat
+262926 Bitter Liquorice
+CFD1B2 Bitter Melon
+D5762B Bitter Orange
+97A18D Bitter Sage
+856D9E Bitter Violet
+FEA051 Bittersweet
+4F2B17 Bittersweet Chocolate
+5B5354 Bittersweet Molasses
+BF4F51 Bittersweet Shimmer
+CBB49A Bittersweet Stem
+E7D2C8 Bizarre
+000000 Black
+5B5D53 Black Bamboo
+474A4E Black Bay
+4E4B4A Black Bean
+23262B Black Beauty
+2F2F48 Black Blueberry
+454749 Black Boudoir
+0F282F Black Box
+2E2F31 Black Cat
+102C33 Black Chasm
+2C1620 Black Cherry
+252321 Black Chestnut Oak
+441100 Black Chocolate
+3E3231 Black Coffee
+54626F Black Coral
+4E434D Black Dahlia
+8A779A Black Diamond Apple
+545562 Black Dragon’s Cauldron
+90ABD9 Black Drop
+A66E7A Black Elder
+50484A Black Elegance
+12221D Black Emerald
+45524F Black Evergreen
+112222 Black Feather
+484B5A Black Flame
+5E6354 Black Forest
+29485A Black Forest Blue
+424740 Black Forest Green
+4F4842 Black Fox
+4E4444 Black Garnet
+001111 Black Glaze
+384E49 Black Green
+24272E Black Grey
+E0DED7 Black Haze
+9C856C Black Headed Gull
+444647 Black Heron
+C89180 Black Hills Gold
+010203 Black Hole
+202030 Black Howl
+110033 Black Htun
+4D5051 Black Ice
+2B3042 Black Iris
+0F1519 Black Is Back
+74563D Black Jasmine Rice
+351E1C Black Kite
+010B13 Black Knight
+3F3E3E Black Lacquer
+474C4D Black Lead
+253529 Black Leather Jacket
+3A3B3B Black Liquorice
+646763 Black Locust
+4F4554 Black Magic
+858585 Black Mana
+222244 Black Market
+383740 Black Marlin
+222211 Black Mesa
+060606 Black Metal
+4B4743 Black Mocha
+4E4F4E Black Oak
+323639 Black of Night
+3B3C36 Black Olive
+2A272C Black Onyx
+525463 Black Orchid
+424242 Black Panther
+1E272C Black Pearl
+33654A Black Pine Green
+77606F Black Plum
+4F5552 Black Pool
+34342C Black Powder
+654B37 Black Power
+A44A56 Black Pudding
+694D27 Black Queen
+16110D Black Raspberry
+484C51 Black Ribbon
+343E54 Black River Falls
+2C2D3C Black Rock
+331111 Black Rooster
+532934 Black Rose
+24252B Black Russian
+220022 Black Sabbath
+434B4D Black Sable
+302833 Black Safflower
+5B4E4B Black Sand
+434555 Black Sapphire
+052462 Black Sea Night
+BFAFB2 Black Shadows
+0F0D0D Black Sheep
+332211 Black Slug
+3E3E3F Black Smoke
+19443C Black Soap
+545354 Black Space
+4C5752 Black Spruce
+E5E6DF Black Squeeze
+0E191C Black Stallion
+434342 Black Suede
+332200 Black Swan
+464647 Black Tie
+353235 Black Tortoise
+463D3E Black Truffle
+2C4364 Black Turmeric
+1F1916 Black Umber
+222233 Black Velvet
+2B2C42 Black Violet
+5E4F46 Black Walnut
+0C0C0C Black Wash
+E5E4DB Black White
+E5B6A2 Black-Eyed Peach
+3E1825 Black-Hearted
+292C2C Blackadder
+43182F Blackberry
+2E2848 Blackberry Black
+4C3938 Blackberry Burgundy
+404D6A Blackberry Cobbler
+4F3357 Blackberry Cordial
+D9D3DA Blackberry Cream
+633654 Blackberry Deep Red
+62506B Blackberry Farm
+504358 Blackberry Harvest
+87657E Blackberry Jam
+507F6D Blackberry Leaf Green
+A58885 Blackberry Mocha
+64242E Blackberry Pie
+C1A3B9 Blackberry Sorbet
+563342 Blackberry Tart
+8F5973 Blackberry Tint
+5C3C55 Blackberry Wine
+E5BDDF Blackberry Yoghurt
+3F444C Blackbird
+FCE7E4 Blackbird’s Egg
+274C43 Blackboard Green
+2E183B Blackcurrant
+52383D Blackcurrant Conserve
+5C4F6A Blackcurrant Elixir
+442200 Blackened Brown
+504D53 Blackened Pearl
+77150E Blackened Sun
+662266 Blackest Berry
+403330 Blackest Brown
+7A5901 Blackfire Earth
+453B32 Blackish Brown
+5D6161 Blackish Green
+5B5C61 Blackish Grey
+51504D Blackjack
+221133 Blacklist
+220066 Blackmail
+020F03 Blackn’t
+0E0702 Blackout
+F7E856 Blacksmith Fire
+8470FF Blackthorn Berry
+4C606B Blackthorn Blue
+739C69 Blackthorn Green
+545663 Blackwater
+696268 Blackwater Park
+494E52 Blackwood
+6A9266 Blade Green
+D43C35 Blade Runner Red
+758269 Bladed Grass
+6A8561 Bladerunner
+A1BDE0 Blair
+D9D0C2 Blanc
+F1EEE2 Blanc Cassé
+E4E7E4 Blanc de Blanc
+F8F9F4 Blanca Peak
+F6DCD0 Blanched
+FFEBCD Blanched Almond
+CCBEB6 Blanched Driftwood
+949579 Blanched Thyme
+EBEAE5 Blanco
+AFA88B Bland
+74915F Bland Celery
+FFEFD6 Blank Canvas
+505150 Blank Space
+8B9CAC Blank Stare
+9CD33C Blanka Green
+9E8574 Blanket Brown
+00C08E Blarney
+027944 Blarney Stone
+3356AA Blasphemous Blue
+E57E37 Blast Burn
+A57164 Blast-Off Bronze
+6C3550 Blasted Lands Rocks
+FA8C4F Blaze
+420420 Blaze It Dark Magenta
+FE6700 Blaze Orange
+B8524B Blazer
+E94E41 Blazing
+F3AD63 Blazing Autumn
+FFA035 Blazing Bonfire
+FF0054 Blazing Dragonfruit
+FFA64F Blazing Orange
+FEE715 Blazing Yellow
+E35F1C Blazon Skies
+EBE1CE Bleach White
+F3EAD5 Bleached Almond
+FBCAAD Bleached Apricot
+BCE3DF Bleached Aqua
+D0C7C3 Bleached Bare
+8B7F78 Bleached Bark
+DFDDD0 Bleached Beige
+EFD9A8 Bleached Bone
+2C2133 Bleached Cedar
+FFD6D1 Bleached Coral
+6D76A1 Bleached Denim
+788878 Bleached Grey
+E2E6D1 Bleached Jade
+F3ECE1 Bleached Linen
+C7A06C Bleached Maple
+EAE5D5 Bleached Meadow
+55BB88 Bleached Olive
+D9D1BA Bleached Pebble
+D5C3AA Bleached Sand
+F6E5DA Bleached Shell
+F3F3F2 Bleached Silk
+BAD7AE Bleached Spruce
+FBE8A8 Bleached Sunflower
+DDD2A9 Bleached Wheat
+DFE3E8 Bleached White
+C7C7C3 Bleaches
+9B1414 Bleeding Crimson
+C02E4C Bleeding Heart
+A9C4C4 Blende Blue
+F8E3A4 Blended Fruit
+FFFBE8 Blended Light
+4499CC Blessed Blue
+007BA1 Bleu Ciel
+AAC0C4 Bleu Clair
+318CE7 Bleu de France
+9CC2BF Bleu Nattier
+4488FF Bleuchâtel Blue
+BCAEA1 Blind Date
+223300 Blind Forest
+4A4F51 Blindfold
+5A5E61 Blindfolded
+EEF0CE Bling Bling
+0033FF Blinking Blue
+66CC00 Blinking Terminal
+7AC7E1 Bliss Blue
+DDC4D4 Blissful
+AA1188 Blissful Berry
+B2C8D8 Blissful Blue
+E5D2DD Blissful Light
+D5DAEE Blissful Meditation
+FFAC39 Blissful Orange
+EAEED8 Blissful Serenity
+DAB6CD Blissfully Mine
+AAFFEE Blister Pearl
+FF6C51 Blistering Mars
+0099D1 Blithe
+90BDBD Blithe Blue
+C0C1B9 Blithe Mood
+E5EBED Blizzard
+A3E3ED Blizzard Blue
+D6D8D1 Blizzard Fog
+1151B4 Blizzy Blueberry
+D0B8BF Blobfish
+E8BC50 Blockchain Gold
+560319 Bloedworst
+FAF0BE Blond
+DCBD92 Blonde
+F2EFCD Blonde Beauty
+EFE2C5 Blonde Curl
+EDC558 Blonde Girl
+D6B194 Blonde Lace
+F6EDCD Blonde Shell
+AB7741 Blonde Wood
+E5D0B1 Blonde Wool
+770001 Blood
+770011 Blood Brother
+FF474C Blood Burst
+EA1822 Blood Donor
+67080B Blood God
+C30B0A Blood Kiss
+543839 Blood Mahogany
+D83432 Blood Moon
+85323C Blood Oath
+E0413A Blood of My Enemies
+640F09 Blood of Zeus
+8A0303 Blood Omen
+D1001C Blood Orange
+FE4B03 Blood Orange Juice
+630F0F Blood Organ
+771111 Blood Pact
+73404D Blood Rose
+AA2222 Blood Rush
+B03060 Blood Thorn
+BB5511 Bloodhound
+E97451 Bloodletter
+882200 Bloodline
+6B1C1A Bloodlust
+F02723 Bloodmyst Isle
+BA271A Bloodshed
+B52F3A Bloodsport
+413431 Bloodstone
+880011 Bloodthirsty
+F8D7D0 Bloodthirsty Beige
+C6101E Bloodthirsty Lips
+9B0503 Bloodthirsty Vampire
+EC1837 Bloodthirsty Warlock
+703F00 Bloodtracker Brown
+BA0105 Bloody Mary
+AA1144 Bloody Periphylla
+FF004D Bloody Pico-8
+CA1F1B Bloody Red
+A81C1D Bloody Ruby
+DA2C43 Bloody Rust
+C53D43 Bloody Safflower
+CC4433 Bloody Salmon
+FFAF75 Bloom
+D7E2EE Blooming Aster
+E77F71 Blooming Dahlia
+BA93AF Blooming Lilac
+D89696 Blooming Perfect
+88777E Blooming Wisteria
+A598C4 Bloomsberry
+FEE9D8 Blossom
+AACCEE Blossom Blue
+A3A7CC Blossom Mauve
+C3B3B9 Blossom Powder
+E5D2C9 Blossom Time
+FBD6CA Blossom Tint
+FFC9DB Blossom Tree
+E1C77D Blossom Yellow
+DE5346 Blossoming Dynasty
+E79ACB Blossoms in Spring
+67B7C6 Blouson Blue
+F6DEE0 Blowing Kisses
+D2D1D0 Blowing Smoke
+658499 Blowout
+0000FF Blue
+25415D Blue Accolade
+B1C6C7 Blue Agave
+89A3AE Blue Alps
+5A79BA Blue Android Base
+F8B800 Blue Angels Yellow
+A7CFCB Blue Angora
+0085A1 Blue Arc
+A9B7B8 Blue Arrow
+414654 Blue Ash
+406482 Blue Ashes
+007EC7 Blue Aster
+50A7D9 Blue Astro
+00B3E1 Blue Atoll
+6C7386 Blue Aura
+7498BD Blue Ballad
+B4C7DB Blue Ballerina
+576B6B Blue Ballet
+6976A3 Blue Batik
+ABDEE3 Blue Bauble
+619AD6 Blue Bay
+2D5360 Blue Bayberry
+BEC4D3 Blue Bayou
+017CB8 Blue Bazaar
+5A809E Blue Beads
+7498BF Blue Beauty
+220099 Blue Beetle
+40638E Blue Beret
+91B8D9 Blue Beyond
+00BBEE Blue Bikini
+237FAC Blue Bird Day
+86B8CB Blue Bird Morning
+52593B Blue Black Crayfish
+6B7F81 Blue Blood
+94A4B9 Blue Blouse
+2242C7 Blue Blue
+CBD1CF Blue Blush
+6181A3 Blue Boater
+52B4CA Blue Bobbin
+01A7AE Blue Bolero
+00B9FB Blue Bolt
+C8DDEE Blue Booties
+0033EE Blue Bouquet
+A4C3D7 Blue Bows
+70B8D0 Blue Brocade
+A6D7EB Blue Bubble
+309CD0 Blue Burst
+A1A2BD Blue Buzz
+A0B7BA Blue by You
+A5CDE1 Blue Calico
+55A7B6 Blue Calypso
+2F36BA Blue Cardinal Flower
+9CD0E4 Blue Carpenter Bee
+7B9EB0 Blue Cascade
+41788A Blue Catch
+4B8CA9 Blue Chaise
+94C0CC Blue Chalk
+5671A7 Blue Chamber
+5599FF Blue Chaos
+262B2F Blue Charcoal
+82C2DB Blue Charm
+80693D Blue Cheese Olive
+70A6B8 Blue Chiffon
+408F90 Blue Chill
+1D5699 Blue Chip
+77B7D0 Blue Chrysocolla
+6B9194 Blue Clay
+A7D8E8 Blue Click
+627188 Blue Cloud
+2B3040 Blue Coal
+0088DC Blue Cola
+4411DD Blue Copper Ore
+1D5A6E Blue Coral
+9EBDD6 Blue Crab Escape
+6591A8 Blue Cruise
+6FEBE3 Blue Crystal Landscape
+7EB4D1 Blue Cuddle
+84A5DC Blue Cue
+CBDBD7 Blue Cypress
+44DDEE Blue Dacnis
+415E9C Blue Dahlia
+A2C6D3 Blue Dam
+2FA1DA Blue Damselfly
+0094BB Blue Danube
+0078F8 Blue Darknut
+518FD1 Blue Dart
+3A7A9B Blue Dart Frog
+668DB7 Blue Dazzle
+4428BC Blue Depression
+2C3A64 Blue Depths
+0B67BE Blue Diamond
+35514F Blue Dianne
+BCC5CF Blue Dolphin
+76799E Blue Dove
+879294 Blue Driftwood
+4A5C94 Blue Dude
+8C959D Blue Dusk
+375673 Blue Earth
+8DBBC9 Blue Echo
+035E7B Blue Edge
+97D5EA Blue Effervescence
+6D9FD1 Blue Electress
+5588EE Blue Elemental
+51529C Blue Ember
+0F5A5E Blue Emerald
+D1EDEF Blue Emulsion
+0D6376 Blue Enchantment
+6DC1AC Blue Energy
+384883 Blue Estate
+0652FF Blue et une Nuit
+253F74 Blue Expanse
+2B2F43 Blue Exult
+75AEBD Blue Eye Samurai
+7DABD0 Blue Eyes
+2C3B4D Blue Fantastic
+AED9EC Blue Feather
+324C61 Blue Fedora
+ADB6AC Blue Fescue
+577FAE Blue Fin
+51645F Blue Fir
+00AADD Blue Fire
+007290 Blue Fjord
+3B506F Blue Flag
+005E88 Blue Flame
+DDEBED Blue Flax
+C8D2CD Blue Flower
+B4CCC2 Blue Fluorite
+9BABBB Blue Fog
+ACB0A9 Blue Fox
+86D2C1 Blue Frosting
+2D4470 Blue Funk
+A2B8CE Blue Garter
+4B3C8E Blue Gem
+6666FF Blue Genie
+B8DCDC Blue Glass
+56597C Blue Glaze
+92C6D7 Blue Glint
+B2D4DD Blue Glow
+CDD7DF Blue Gossamer
+69A2D5 Blue Gourami
+76798D Blue Granite
+3A383F Blue Graphite
+007A7C Blue Grass
+137E6D Blue Green
+7CCBC5 Blue Green Gem
+D8EEED Blue Green Rules
+56B78F Blue Green Scene
+758DA3 Blue Grey
+50A2CA Blue Grotto
+9ABCDC Blue Grouse
+BDBACE Blue Haze
+5566FF Blue Heath Butterfly
+AEBBC1 Blue Heather
+5B7E98 Blue Heaven
+939CAB Blue Heeler
+006384 Blue Heist
+6666EE Blue Hepatica
+939EC5 Blue Heron
+324A8B Blue Highlight
+D0EEFB Blue Hijab
+1E454D Blue Hill
+289DBE Blue Horizon
+A2BAD2 Blue Horror
+2A6F73 Blue Hosta
+0034AB Blue Hour
+394D60 Blue Hue
+8394C5 Blue Hyacinth
+BBC3DD Blue Hydrangea
+539CCC Blue Iguana
+535A7C Blue Indigo
+566977 Blue Insignia
+7F809C Blue Intrigue
+587EBE Blue Iolite
+6264A6 Blue Iris
+22AAAA Blue Island
+597193 Blue Jacket
+828596 Blue Jasmine
+C1EBFF Blue Java Banana
+5588DD Blue Jay
+01708A Blue Jay Crest
+5DADEC Blue Jeans
+465383 Blue Jewel
+002D72 Blue Jinn’s
+BCE6E8 Blue Karma
+1D7881 Blue Kelp
+E2E5E2 Blue Kiss
+00626F Blue Lagoon
+001144 Blue Latex
+2E5169 Blue Lava
+006284 Blue League
+779ECB Blue Lechery
+032A62 Blue Leviathan
+ACDFDD Blue Light
+7FCCE2 Blue Limewash
+5A5E6A Blue Linen
+A6BCE2 Blue Lips
+28314D Blue Lobelia
+0055AA Blue Lobster
+486D83 Blue Loneliness
+C8D7D2 Blue Lullaby
+B2C4CD Blue Luna
+012389 Blue Lust
+007593 Blue Luxury
+5F34E7 Blue Magenta
+553592 Blue Magenta Violet
+9AC0DE Blue Magpie
+68C2F5 Blue Mana
+6594BC Blue Marble
+6A5BB1 Blue Marguerite
+1FCECB Blue Martina
+52B4D3 Blue Martini
+C9DCE7 Blue Me Away
+67A6AC Blue Mercury
+014C76 Blue Meridian
+5A6370 Blue Metal
+5C6D7C Blue Mirage
+5BACC3 Blue Mist
+637983 Blue Monday
+7A808D Blue Mood
+3992A8 Blue Moon
+588496 Blue Moon Bay
+21426B Blue Mosque
+759DBE Blue Mountain
+2539BF Blue Murder
+1199FF Blue Nebula
+414657 Blue Nights
+779FB9 Blue Nile
+D2DDE0 Blue Nuance
+29518C Blue Nude
+88A4AE Blue Nuthatch
+647E9C Blue Oar
+296D93 Blue Oasis
+26428B Blue Oblivion
+009DC4 Blue Ocean
+4F6997 Blue Odyssey
+015193 Blue Olympus
+124168 Blue Opal
+0020EF Blue Overdose
+5577EE Blue Öyster Cult
+2282A8 Blue Paisley
+01546D Blue Palisade
+5095C3 Blue Paradise
+8080FF Blue Party Parrot
+C5D9E3 Blue Pearl
+2200FF Blue Pencil
+BCD7DF Blue Perennial
+075158 Blue Period
+5B92AC Blue Persia
+D2E6E8 Blue Phlox
+B5A3C5 Blue Pink
+545E6A Blue Planet
+5B7A9C Blue Plate
+30363C Blue Plaza
+95B9D6 Blue Pointer
+A1B1C2 Blue Pot
+64617B Blue Potato
+6A808F Blue Prince
+ABC4DB Blue Prism
+729CC2 Blue Promise
+5729CE Blue Purple
+43505E Blue Quarry
+335287 Blue Quartz
+4BA4A9 Blue Racer
+58CFD4 Blue Radiance
+C4D6E1 Blue Raindrop
+00177D Blue Ranger
+0CBFE9 Blue Raspberry
+3AA2C6 Blue Raspberry Seed
+CCD7E1 Blue Reflection
+B0D8E7 Blue Refrain
+303048 Blue Regal
+376298 Blue Regatta
+285991 Blue Regent
+4E5878 Blue Review
+0066FF Blue Ribbon
+3E6490 Blue Ribbon Beauty
+B3D9F3 Blue Rice
+75A6BB Blue Ridge Mist
+B7BDC6 Blue Rinse
+377D95 Blue Rodeo
+D8F0D2 Blue Romance
+292D74 Blue Rose
+29217A Blue Royale
+0066DD Blue Ruin
+575F6A Blue Sabre
+57747A Blue Sage
+24549A Blue Sail
+126180 Blue Sapphire
+666A76 Blue Sari
+9AD6E8 Blue Sarong
+494D58 Blue Sash
+9EB6D0 Blue Satin
+0033BB Blue Screen of Death
+546E77 Blue Sentinel
+293F54 Blue Shade Wash
+758CA4 Blue Shadow
+B9CACC Blue Shale
+BACBC4 Blue Shamrock
+9BB3BC Blue Shell
+B3DAE2 Blue Shimmer
+6B8C93 Blue Shoal
+7593CB Blue Shock
+93BDE7 Blue Shutters
+D0DCE8 Blue Silk
+95AFDC Blue Skies Today
+8CA6B5 Blue Skylights
+5A5F68 Blue Slate
+008793 Blue Slushie
+5786B4 Blue Smart
+D7E0E2 Blue Smoke
+4A87CB Blue Sonki
+404956 Blue Sou’wester
+0077FF Blue Sparkle
+3B5C6C Blue Spell
+2E85B1 Blue Splash
+ADC5C9 Blue Spruce
+508A9A Blue Square
+577284 Blue Stone
+2266BB Blue Streak
+95CDD8 Blue Stream
+687B92 Blue Suede
+484B62 Blue Suede Shoes
+829D99 Blue Surf
+1B4556 Blue Syzygy
+2A4B6E Blue Tang
+3FA4D2 Blue Tango
+475C62 Blue Tapestry
+849DA2 Blue Tea
+5885A2 Blue Team Spirit
+ADC0D6 Blue Thistle
+677F86 Blue Thunder
+9FD9D7 Blue Tint
+4466FF Blue Titmouse
+0190C0 Blue to the Bone
+BABFC5 Blue to You
+2B4057 Blue Tone Ink
+65AECE Blue Topaz
+042993 Blue Torus
+4997D0 Blue Tourmaline
+A9B8C8 Blue Tribute
+4376AB Blue Triumph
+120A8F Blue Trust
+5C4671 Blue Tulip
+C9DBE5 Blue Tulle
+6F95C1 Blue Tuna
+50ABAE Blue Turquoise
+1E7EAE Blue Vacation
+4E83BD Blue Vault
+AECBE5 Blue Veil
+0D6183 Blue Velvet
+397C80 Blue Venus
+4E32B2 Blue Violet
+3D4457 Blue Vortex
+1E3442 Blue Whale
+A8BBBA Blue Willow
+2E4556 Blue Wing Teal
+00827C Blue Winged Teal
+404664 Blue Wonder
+5A77A8 Blue Yonder
+5B6676 Blue Zephyr
+3C4354 Blue Zodiac
+24313D Blue-Black
+005F7A Blue-Collar
+2277CC Blue-Eyed Boy
+5C767F Blue-Eyed Cryptid
+0000DD Bluealicious
+ABB5C4 Bluebeard
+333399 Bluebell
+9999CC Bluebell Frost
+464196 Blueberry
+836268 Blueberry Blush
+8C99B3 Blueberry Buckle
+586E84 Blueberry Dream
+4D8CB9 Blueberry Festival
+CC66DD Blueberry Glaze
+C6D8E4 Blueberry Ice
+D01343 Blueberry Lemonade
+CBCCDF Blueberry Mist
+5588AB Blueberry Muffin
+627099 Blueberry Patch
+314D67 Blueberry Pie
+5488C0 Blueberry Popover
+8290A6 Blueberry Soda
+5E96C3 Blueberry Soft Blue
+3F4050 Blueberry Tart
+24547D Blueberry Twist
+D1D4DB Blueberry Whip
+00A9B8 Bluebird
+6F9DB3 Bluebird Feather
+7395B8 Bluebird’s Belly
+1C1CF0 Bluebonnet
+8ECFE8 Bluebottle
+4F9297 Bluebound
+6ABCDA Bluebrite
+535A61 Blued Steel
+324C64 Bluedgeons
+35637C Blueprint
+6F8479 Blueridge Fir
+1F66FF Bluerocratic
+296A9D Blues
+99BADD Blues White Shoes
+2D47FF Blueshift
+6081A2 Bluestone Path
+7C9AB5 Bluesy Note
+3C69E7 Bluetiful
+9EBED8 Bluette
+E2E6E0 Bluewash
+375978 Bluey
+D2BD9E Bluff Stone
+2976BB Bluish
+413F44 Bluish Black
+10A674 Bluish Green
+748B97 Bluish Grey
+D0D5D3 Bluish Lilac Purple
+703BE7 Bluish Purple
+6666BB Bluish Purple Anemone
+89CFDB Bluish Water
+305C71 Blumine
+B5BBC7 Blunt
+8D6C7A Blunt Violet
+5539CC Blurple
+F29E8E Blush
+EDD5C7 Blush Beige
+DD99AA Blush Bomb
+DE5D83 Blush d’Amour
+CC88DD Blush Essence
+FF6F91 Blush Hour
+EABCC0 Blush Kiss
+D9E6E0 Blush Mint
+DCCBD1 Blush of Hyacinth
+DCD1D5 Blush of Morn
+F0BCBE Blush Rush
+E2E0D8 Blush Sand
+DEE1ED Blush Sky
+EE88CC Blushed Bombshell
+F0E0D2 Blushed Cotton
+DEC5D3 Blushed Velvet
+F0D1C3 Blushing
+FBBCA7 Blushing Apricot
+EEDAD1 Blushing Bride
+DD9999 Blushing Bud
+FFCDAF Blushing Cherub
+FFBF99 Blushing Cinnamon
+EBD5CA Blushing Coconut
+D3D4E5 Blushing Lilac
+FFD79F Blushing Peach
+E09B81 Blushing Rose
+F3CACB Blushing Senorita
+D9B1D6 Blushing Sky
+E3A1B8 Blushing Tulip
+4A5A6F Bluster Blue
+4411FF Blustering Blue
+D6DFE7 Blustery Day
+6F848C Blustery Sky
+B6C5C1 Blustery Wind
+1D5BD6 Bnei Brak Bay
+7F7755 Boa
+EDE7D5 Board & Batten
+757760 Boardman
+C7B6AA Boardwalk Sashay
+6C6B6A Boat Anchor
+2D5384 Boat Blue
+C0448F Boat Orchid
+577190 Boathouse
+087170 Boating Green
+243256 Boatswain
+97C5DA Bobby Blue
+EADFD0 Bobcat Whiskers
+22BB11 Boboli Gardens
+5D341A Bock
+DF8F67 Bockwurst
+B2619D Bodacious
+5E81C1 Bodega Bay
+B09870 Bodhi Tree
+3D4652 Boeing Blue
+973443 Boerewors
+BAB796 Bog
+BAC3B9 Bog Fog
+8B8274 Bogart
+116F26 Bogey Green
+663B3A Bogong Moth
+3B373C Bohemian Black
+0000AA Bohemian Blue
+9D777C Bohemian Jazz
+B8B3C8 Bohemianism
+7B684D Boho
+E58787 Boho Blush
+B96033 Boho Copper
+00EE11 Boiling Acid
+FF3300 Boiling Magma
+A59C9B Boiling Mud
+D7E9E8 Boiling Point
+BCCAB3 Bok Choy
+2A2725 Bokara Grey
+879550 Bold Avocado
+1D6575 Bold Bolection
+796660 Bold Brandy
+8C5E55 Bold Brick
+463D2F Bold Eagle
+EAD56D Bold Gold
+2A814D Bold Irish
+7A4549 Bold Sangria
+79443B Bole
+88464A Bolero
+DEBB32 Bollywood
+FFFBAB Bollywood Gold
+9C6F6C Bologna
+FFCFDC Bologna Sausage
+BB4400 Bolognese
+393939 Boltgun Metal
+D8BABC Bombay Pink
+5E496A Bon Vivant
+8BAEB2 Bon Voyage
+304471 Bona Fide
+CBB9AB Bona Fide Beige
+E6E2D7 Bonaire
+523B2C Bonanza
+8C4268 Bonbon Red
+16698C Bondi
+0095B6 Bondi Blue
+E0D7C6 Bone
+9D7446 Bone Brown
+F3EDDE Bone China
+E7ECE6 Bone Dust
+D6C7AE Bone Meal
+D7D0C0 Bone Trace
+F1E1B0 Bone White
+E1F2F0 Bone-Chilling
+BB9977 Boneyard
+F78058 Bonfire
+D7951F Bonfire Glow
+DE6A41 Bonfire Night
+D7AF7A Bonfire Toffee
+D2C2B2 Bongo Drum
+DECE96 Bongo Skin
+DFD7D2 Bonjour
+F54D79 Bonker Pink
+3A4866 Bonne Nuit
+8DBBD1 Bonnie Blue
+FDEFD2 Bonnie Cream
+E4D1BC Bonnie Dune Beach
+7C644A Bonnie’s Bench
+C58EAB Bonny Belle
+787B54 Bonsai
+9E9E7C Bonsai Garden
+B8B19A Bonsai Pot
+C5D1B2 Bonsai Tint
+6C6D62 Bonsai Trunk
+FFA00A Bonus Level
+5E6B44 Bonza Green
+84AFD5 Boo Blue
+9BB53C Booger
+00FF77 Booger Buster
+119944 Boogie Blast
+805D5B Book Binder
+8C3432 Bookstone
+EBE3DE Bookworm
+AFC2CF Boot Cut
+DDAF8E Boot Hill Ghost
+793721 Bootstrap Leather
+7FC6BE Booty Bay
+92D0D0 Bora Bora Shore
+507EA4 Borage
+5566CC Borage Blue
+7B002C Bordeaux
+EFBCDE Bordeaux Hint
+5C3944 Bordeaux Leaf
+6F2C4F Bordeaux Red
+C69B58 Borderline
+EE1166 Borderline Pink
+717E73 Boreal
+DEDD98 Bored Accent Green
+8C9C9C Boredom
+FF8E51 Boredom Buster
+06470C Borg Drone
+054907 Borg Queen
+63B365 Boring Green
+D9B1AA Borlotti Bean
+A76244 Borneo
+8C2C24 Borscht
+C09056 Bosc Pear
+76A0AF Bosco Blue
+552C1C Boson Brown
+E7DBE1 Bōsōzoku Pink
+008468 Bosphorus
+015D75 Bosporus
+4C3D4E Bossa Nova
+767C9E Bossa Nova Blue
+CB8EB1 Bossy-Pants Pink
+438EAC Boston Blue
+87544E Boston Brick
+614432 Boston Brown Bread
+90966D Boston Fern
+685043 Boston Legacy
+A2345C Bōtan
+4D6E2F Botanical
+227700 Botanical Beauty
+A3BFB9 Botanical Bliss
+44AA11 Botanical Garden
+77976E Botanical Green
+12403C Botanical Night
+A7E6D4 Botanical Tint
+9AD28C Botanist
+B70272 Botticelli
+FBDFD6 Botticelli Angel
+238E50 Bottle Glass
+006A4E Bottle Green
+E8EDB0 Bottlebrush Blossom
+095BAF Bottled Sea
+9B6944 Bottled Ship
+BFC4C9 Bottlefly Wings
+6A7074 Bottlenose Dolphin
+CC0077 Bottom of My Heart
+DAB27D Boudin
+D9C0AB Boudoir Beige
+7EA3D2 Boudoir Blue
+9884B9 Bougainvillaea
+576145 Boughs of Pine
+7C817C Boulder
+655E4E Boulder Brown
+8C9496 Boulder Creek
+D40701 Boulevardier
+49A462 Bouncy Ball Green
+5B6D84 Boundless
+5A8299 Bountiful Blue
+E4C36C Bountiful Gold
+A78199 Bouquet
+AF6C3E Bourbon
+EC842F Bourbon Peach
+E6BE8A Bourbon Spice
+6C5654 Bourbon Truffle
+EE0066 Bourgeois
+637A72 Bournonite Green
+E1CEAD Boutique Beige
+8CC1D6 Boutonniere
+52585C Bovine
+BE2633 Bow Tie
+126DA8 Bowen Blue
+006585 Bowerbird Blue
+BFDEAF Bowling Green
+D7BD92 Bowman Beige
+587176 Bowman Blue
+536B1F Bowser Shell
+D6D1C8 Bowstring
+898790 Box Office
+873D30 Boxcar
+707B71 Boxwood
+EFE4A5 Boxwood Yellow
+8CACD6 Boy Blue
+B3111D Boy Red
+635C53 Boycott
+9F4E3E Boynton Canyon
+873260 Boysenberry
+A1395D Boysenberry Pink
+F1F3F9 Boysenberry Shadow
+2A96D5 Boyzone
+014182 Bracing Blue
+5B3D27 Bracken
+31453B Bracken Fern
+626F5D Bracken Green
+84726C Bradford Brown
+77675B Braid
+E9B578 Braided Mat
+E1D0AF Braided Raffia
+00EEFF Brain Freeze
+F2AEB1 Brain Pink
+B5B5B5 Brainstem Grey
+D1D3C0 Brainstorm
+74685A Brainstorm Bronze
+65635B Braintree
+EE0033 Brake Light Trails
+503629 Bramble Bush
+C71581 Bramble Jam
+9BA29D Brampton Grey
+A9704C Bran
+9A7F55 Branching-Out Olive
+0070FF Brandeis Blue
+706F64 Brandenburg Gate
+A37C79 Brandied Apple
+C27275 Brandied Apricot
+CC7753 Brandied Melon
+EAE2D1 Brandied Pears
+DCB68A Brandy
+F3E2DC Brandy Alexander
+AA5412 Brandy Bear
+73342A Brandy Brown
+F3BB8F Brandy Butter
+C07C40 Brandy Punch
+B6857A Brandy Rose
+B58E8B Brandy Snaps
+490206 Brandywine
+5555AA Brandywine Raspberry
+E69DAD Brandywine Spritz
+B5A642 Brass
+E7BD42 Brass Balls
+DFAC4C Brass Buttons
+B9A70F Brass Knuckle
+E1A84B Brass Mesh
+DBBD76 Brass Nail
+773B2E Brass Scorpion
+D3B280 Brass Trumpet
+B58735 Brass Yellow
+CFA743 Brassed Off
+788879 Brassica
+F3BC6B Brasso
+D5AB2C Brassy
+776022 Brassy Brass
+D8AB39 Brassy Tint
+454743 Brattle Spruce
+582F2B Bratwurst
+897058 Braun
+A0524E Bravado Red
+015B6D Brave New Teal
+FF631C Brave Orange
+968DB8 Brave Purple
+D3E7E9 Bravo Blue
+8C80B9 Bravo!
+A87F12 Brazen
+7B6623 Brazen Brass
+CE7850 Brazen Orange
+856765 Brazil Nut
+7F5131 Brazilian Brown
+AF915D Brazilian Citrine
+296D23 Brazilian Green
+D8C6B4 Brazilian Sand
+31D652 Brazilianite
+FFD182 Bread and Butter
+AB8659 Bread Basket
+E4D4BE Bread Crumb
+B78B43 Bread Crust
+DCD6D2 Bread Flavour
+E6BC89 Bread Pudding
+B48C56 Breadstick
+FFFABD Break of Day
+B2E1EE Break the Ice
+CEDAC3 Breakaway
+424D60 Breakaway Blue
+E5EDED Breaker
+517B78 Breaker Bay
+F6E3D3 Breakfast Biscuit
+6D5542 Breakfast Blend
+B8E4F5 Breaking the Ice
+00A0B0 Breaking Wave
+C4D9CE Breaktime
+D1DEE4 Breakwater
+EBF1E9 Breakwater White
+DCE7CB Breath of Celery
+EE0011 Breath of Fire
+C7DBE4 Breath of Fresh Air
+BDD1CE Breath of Green
+E9E1A7 Breath of Spring
+D1D2B8 Breathe
+015348 Breathe Deeply
+DFDAE0 Breathless
+536193 Breathtaking
+C3ACB7 Breathtaking Evening
+809BAC Breathtaking View
+5E9948 Bredon Green
+795D34 Breen
+AEC9EA Breeze
+C4DFE8 Breeze in June
+F4706E Breeze of Chilli
+CFFDBC Breeze of Green
+D6DBC0 Breezeway
+C2DDE6 Breezy
+D9E4DE Breezy Aqua
+F7F2D7 Breezy Beige
+BAD9E5 Breezy Blue
+BDC4B8 Breezy Day
+C1D9E9 Breezy Touch
+CECEDF Breezy Violet
+2D567C Breonne Blue
+A9203E Bresaola
+0080FF Brescian Blue
+AA5555 Bretzel Brown
+715243 Brevity Brown
+E68364 Brewed Mustard
+777788 Brewing Storm
+745443 Briar
+C07281 Briar Rose
+695451 Briar Wood
+A03623 Brick
+77603F Brick Brown
+B22122 Brick by Brick
+AB685F Brick Dust
+B38070 Brick Fence
+956159 Brick Hearth
+C14A09 Brick Orange
+C2977C Brick Path
+93402F Brick Paver
+8F1402 Brick Red
+D2A161 Brick Yellow
+A75C3D Brick-A-Brack
+864A36 Brickhouse
+DB5856 Bricks of Hope
+825943 Bricktone
+986971 Brickwork Red
+B33A22 Bricky Brick
+AB6A64 Brickyard
+EBBDB8 Bridal Bouquet
+F8EBDD Bridal Heath
+D1949C Bridal Rose
+E5D3CC Bridal Scent
+E7E1DE Bridal Veil
+E5E7E5 Bridal Wreath
+EFE7EB Bride
+FAE6DF Bridesmaid
+817F6E Bridge Troll Grey
+004683 Bridgeport
+527065 Bridgewater
+BCD7E2 Bridgewater Bay
+575144 Bridgewood
+8F7D70 Bridle Leather
+A29682 Bridle Path
+545E4F Brierwood Green
+4FA1C0 Brig
+DDCFBF Brig O’doon
+365D73 Brigade
+0063A0 Brigadier Blue
+B5DDEB Bright and Breezy
+0BF9EA Bright Aqua
+0165FC Bright Blue
+8A2BE2 Bright Blue Violet
+9DA7CF Bright Bluebell
+90B3C2 Bright Bluebonnet
+A05822 Bright Bronze
+533B32 Bright Brown
+FFC42A Bright Bubble
+1CAC78 Bright Camouflage
+1DACD6 Bright Cerulean
+ADBFC8 Bright Chambray
+DFFF11 Bright Chartreuse
+FFC6A5 Bright Citrus
+EFCF9B Bright Clove
+3C6098 Bright Cobalt
+41FDFE Bright Cyan
+CD5B26 Bright Delight
+EEE9F9 Bright Dusk
+FEFFCA Bright Ecru
+5A4E88 Bright Eggplant
+728A51 Bright Forest
+CF9F52 Bright Gold
+3844F4 Bright Greek
+66FF00 Bright Green
+EBECF0 Bright Grey
+FFD266 Bright Halo
+ECBE63 Bright Idea
+6F00FE Bright Indigo
+F1E78C Bright Khaki
+9F3645 Bright Lady
+F0EDD1 Bright Laughter
+BF94E4 Bright Lavender
+8DCE65 Bright Lettuce
+2DFE54 Bright Light Green
+D891EF Bright Lilac
+87FD05 Bright Lime
+65FE08 Bright Lime Green
+C1B9AA Bright Loam
+FF08E8 Bright Magenta
+979AAA Bright Manatee
+FF8830 Bright Mango
+EB7E00 Bright Marigold
+C32148 Bright Maroon
+011993 Bright Midnight
+98FF98 Bright Mint
+F6F1E5 Bright Moon
+225869 Bright Nautilus
+1974D2 Bright Navy Blue
+2D5E22 Bright Nori
+F0E8DA Bright Ocarina
+9CBB04 Bright Olive
+FF7034 Bright Orange
+549C38 Bright Parrot
+BE03FD Bright Purple
+FF000D Bright Red
+C51959 Bright Rose
+FFCF09 Bright Saffron
+D1CEB4 Bright Sage
+FC0E34 Bright Scarlet
+9FE2BF Bright Sea Green
+B1AA9C Bright Sepia
+D68A59 Bright Sienna
+02CCFE Bright Sky Blue
+76C1E1 Bright Spark
+DDE2E6 Bright Star
+ECBD2C Bright Sun
+01F9C6 Bright Teal
+08E8DE Bright Turquoise
+D19FE8 Bright Ube
+826644 Bright Umber
+AD0AFD Bright Violet
+F6F2F1 Bright White
+F5EFE8 Bright Winter Cloud
+FACE6D Bright Yarrow
+FFFE42 Bright Yellow
+9DFF00 Bright Yellow Green
+757CAE Bright Zenith
+E2681B Brihaspati Orange
+DAB77F Brik Dough
+FDFDFD Brilliance
+0094A7 Brilliant
+3399FF Brilliant Azure
+EFC5B5 Brilliant Beige
+0075B3 Brilliant Blue
+AD548F Brilliant Carmine
+F0DBAA Brilliant Gold
+88B407 Brilliant Green
+EFC600 Brilliant Impression
+F4BBFF Brilliant Lavender
+545454 Brilliant Liquorice
+8C6143 Brilliant Oak
+009CB7 Brilliant Sea
+A9B0B4 Brilliant Silver
+00A68B Brilliant Turquoise
+E8EEFE Brilliant White
+E8E5D8 Brilliant Yellow
+A3DAD4 Brilliante
+7A958C Brimming Over
+FFBD2B Brimstone
+C2C190 Brimstone Butterfly
+82776B Brindle
+FB607F Brink Pink
+08808E Briny
+DFCFC3 Brioche
+E15F65 Briquette
+515051 Briquette Grey
+D2E0EF Brisa de Mar
+6D829D Brisk Blue
+AAA97F Brisk Olive
+6E4534 Brisket
+A28450 Bristle Grass
+93836F Bristol Beige
+558F91 Bristol Blue
+83A492 Bristol Green
+A09073 Britches
+FEDE8F Brite Gold
+7D7081 British Grey Mauve
+BCAF97 British Khaki
+35427B British Mauve
+FF0015 British Phone Booth
+05480D British Racing Green
+F4C8DB British Rose
+5F6672 British Shorthair
+4C7E86 Brittany Blue
+F3D8E0 Brittany’s Bow
+EAAE47 Brittlebush
+94975D Broad Bean
+BBDDFF Broad Daylight
+014421 Broadleaf Forest
+034A71 Broadwater Blue
+145775 Broadway
+FEE07C Broadway Lights
+8C87C5 Brocade
+7B4D6B Brocade Violet
+8FA277 Broccoflower
+87B364 Broccoli
+4B5338 Broccoli Green
+008833 Broccoli Paradise
+486262 Brochantite Green
+FFDD88 Broiled Flounder
+74BBFB Broken Blue
+060310 Broken Tube
+EEEBE3 Broken White
+A79781 Bronco
+A87900 Bronze
+3A4856 Bronze Blue
+FBC378 Bronze Blush
+825E2F Bronze Brown
+EB9552 Bronze Cup
+6E6654 Bronze Fig
+8D8752 Bronze Green
+585538 Bronze Icon
+AA8031 Bronze Leaf
+6D6240 Bronze Medal
+A37F44 Bronze Mist
+584C25 Bronze Olive
+E6BE9C Bronze Sand
+CC5533 Bronze Satin
+BC8040 Bronze Storm
+434C28 Bronze Tone
+B08D57 Bronze Treasure
+737000 Bronze Yellow
+DD6633 Bronzed
+9B7E4E Bronzed Brass
+D78A6C Bronzed Orange
+69605A Brood
+5E6D6E Brooding Storm
+AFDDCC Brook Green
+DACECD Brook Trout
+E7EEEE Brooklet
+586766 Brooklyn
+6D4B3F Brooklyn Brownstone
+5A7562 Brookside
+99B792 Brookview
+EECC24 Broom
+74462D Broomstick
+B0B7C6 Brother Blue
+653700 Brown
+B86D29 Brown Alpaca
+4A3F37 Brown Bear
+4A3832 Brown Beauty
+CC8833 Brown Beige
+53331E Brown Bramble
+B08F6A Brown Branch
+D4C5A9 Brown Bread
+C2AE93 Brown Bunny
+AC7C00 Brown Butter
+876140 Brown Button
+C5C2AD Brown Buzz
+995555 Brown Cerberus
+5F1933 Brown Chocolate
+C37C59 Brown Clay
+4A2C2A Brown Coffee
+654321 Brown Countdown
+594537 Brown Derby
+89491A Brown Eyed Girl
+9E6B4A Brown Eyes
+544A42 Brown Fox
+706C11 Brown Green
+8D8468 Brown Grey
+D3B793 Brown Hare
+5E442C Brown Hen
+F485AC Brown Knapweed
+97382C Brown Labrador
+7B2039 Brown Magenta
+662211 Brown Moelleux
+D8CBB5 Brown Mouse
+DFAC59 Brown Mustard
+B96902 Brown Orange
+C2AA90 Brown Owl
+8A5640 Brown Patina
+4E403B Brown Pepper
+3C241B Brown Pod
+AE8E65 Brown Rabbit
+922B05 Brown Red
+DABD84 Brown Rice
+735852 Brown Ridge
+8D736C Brown Rose
+BC9B4E Brown Rum
+AF593E Brown Rust
+F7945F Brown Sand
+4A290D Brown Study
+5B4F41 Brown Suede
+AB764E Brown Sugar
+C8AE96 Brown Sugar Coating
+CF7A4B Brown Sugar Glaze
+BCA792 Brown Teepee
+906151 Brown Thrush
+37290E Brown Tumbleweed
+704E40 Brown Velvet
+B4674D Brown Wood
+DD9966 Brown Yellow
+DDBDA3 Brown-Bag It
+79512C Brown-Noser
+BB4433 Browned Off
+964B00 Brownie
+916D56 Brownie Scout
+9C6D57 Brownish
+413936 Brownish Black
+6A6E09 Brownish Green
+86775F Brownish Grey
+CB7723 Brownish Orange
+C27E79 Brownish Pink
+76424E Brownish Purple
+8D746F Brownish Purple Red
+9E3623 Brownish Red
+C9B003 Brownish Yellow
+785441 Brownstone
+6E615F Browse Brown
+D3B99B Bruin Spice
+7E4071 Bruise
+5D3954 Bruised Bear
+5B4148 Bruised Burgundy
+3B1921 Bruised Plum
+C6C6C2 Brume
+664238 Brunette
+829E2C Bruni Green
+2A1B0E Brunneophobia
+5E4662 Brunneous
+9BA9CA Brunnera Blue
+433430 Bruno Brown
+236649 Brunswick
+1B4D3E Brunswick Green
+B2654E Bruschetta
+FF6347 Bruschetta Tomato
+B99684 Brush
+D4E1ED Brush Blue
+DB9351 Brushed Clay
+C7C8C9 Brushed Metal
+7D7A79 Brushed Nickel
+F8A060 Brushed Orange
+F1DFBA Brushstroke
+8C5939 Brushwood
+CC6611 Brusque Brown
+EE00FF Brusque Pink
+6C7C6D Brussels
+665E0D Brussels Sprout Green
+AA9B78 Brussels Sprouts
+E61626 Brutal Doom
+FF00BB Brutal Pink
+0022DD Brutally Blue
+A6BEA6 Bryophyte
+9FE010 Bryopsida Green
+90E4C1 Bubble Algae
+E8E0E9 Bubble Bath
+00B800 Bubble Bobble Green
+0084FF Bubble Bobble P2
+D3A49A Bubble Shell
+43817A Bubble Turquoise
+FF85FF Bubblegum
+CC55EE Bubblegum Baby Girl
+F887C7 Bubblegum Beam
+FF01B7 Bubblegum Bright
+EECCEE Bubblegum Crisis
+FFBADF Bubblegum Heart
+F092D6 Bubblegum Kisses
+F6B0BA Bubblegum Pink
+E7FEFF Bubbles
+D3E3E5 Bubbles in the Air
+EAD8C0 Bubbly
+77CCFF Bubbly Barracuda
+C68400 Bubonic Brown
+FDF5D7 Bucatini Noodle
+6E5150 Buccaneer
+035B8D Buccaneer Blue
+AA1111 Büchel Cherry
+674834 Buckeye
+996655 Bucking Bronco
+89A068 Buckingham Gardens
+6B5140 Buckingham Palace
+D9C3A6 Buckram Binding
+D4BA8C Buckskin
+C9A169 Buckskin Pony
+A76F1F Buckthorn Brown
+D4DCD6 Buckwheat
+EFE2CF Buckwheat Flour
+E0D8A7 Buckwheat Groats
+B9A4B0 Buckwheat Mauve
+1B6634 Bucolic
+98ACB0 Bucolic Blue
+A5A88F Bud
+79B465 Bud Green
+E9E3D3 Bud’s Sails
+553D3E Budapest Brown
+E5E1E6 Budapest Pastel
+FCE2C4 Budder Skin
+BC9B1B Buddha Gold
+37B575 Buddha Green
+FFBB33 Buddha’s Love Handles
+DEEABD Budding Bloom
+EDECD4 Budding Fern
+C4D1BF Budding Green
+EEF0D7 Budding Leaf
+F3D4BF Budding Peach
+976538 Buddy Buddy
+84C9E1 Budgie Blue
+63424B Budōnezumi Grape
+F4DCC1 Buenos Aires
+F0DC82 Buff
+D9CFBE Buff It
+AA7733 Buff Leather
+FFBB7C Buff Orange
+E8D0B9 Buff Tone
+F0B967 Buff Yellow
+F25A1A Buffallo Sauce
+AE9274 Buffalo Bill
+695645 Buffalo Dance
+705046 Buffalo Herd
+BB9F6A Buffalo Hide
+95786C Buffalo Soldier
+E2AC78 Buffalo Trail
+DD9475 Buffed Copper
+AEAFB9 Buffed Plum
+A79C81 Buffhide
+868929 Buffy Citrine
+BB8F4F Bugle Boy
+D3973C Bugle Call
+CD5B45 Bugman’s Glow
+AFAFA7 Building Block
+E9E3DA Built on Sand
+73A263 Bulbasaur
+94B1B6 Bulfinch Blue
+480607 Bulgarian Rose
+636153 Bull Kelp
+6B605B Bull Ring
+75442B Bull Shot
+FAF1C8 Bullet Hell
+CD4646 Bullfighters Red
+8A966A Bullfrog
+B9030A Bullseye
+359E6B Bulma Hair
+6D5837 Bulrush
+0777BC Bumangués Blue
+F5F1DE Bumble Baby
+FFC82A Bumblebee
+674961 Bunchberry
+FFC58A Bundaberg Sand
+E5B584 Bundle of Wheat
+CBBEAA Bungalow Beige
+AD947B Bungalow Brown
+AD8047 Bungalow Gold
+E4C590 Bungalow Maple
+CEBE9F Bungalow Taupe
+E4D3C8 Bungalow White
+696156 Bungee Cord
+988F7B Bunglehouse Beige
+46616E Bunglehouse Blue
+292C2F Bunker
+6C4522 Bunni Brown
+F1B5CC Bunny Cake
+F9D9D2 Bunny Ears
+FB8DA6 Bunny Fluff
+F3ECEA Bunny Hop
+DEC3C9 Bunny Pink
+D3BFC4 Bunny Soft
+FFE3F4 Bunny Tail
+FAD9DD Bunny’s Nose
+2B3449 Bunting
+35537C Bunting Blue
+79B0B6 Buoyancy
+65707E Buoyant
+84ADDB Buoyant Blue
+717867 Burdock
+746C8F Bureaucracy
+900020 Burgundy
+DADBA0 Burgundy Grey
+811D45 Burgundy Orchid
+7E7150 Burgundy Snail
+6C403E Burgundy Wine
+DBBC4B Buried Gold
+772200 Buried Lust
+D28B42 Buried Treasure
+D4DEE8 Burj Khalifa Fountain
+353E4F Burka Black
+8B7753 Burlap
+81717E Burlap Grey
+6E314F Burlat Red
+8F4C3A Burled Redwood
+695641 Burley Wood
+A17874 Burlwood
+DEB887 Burlywood
+94B1A0 Burma Jade
+BC8143 Burmese Gold
+520B00 Burned
+6F4B3E Burned Brown
+234537 Burnham
+884736 Burning Brier
+A0403E Burning Bush
+F79D72 Burning Coals
+FF1166 Burning Fireflies
+FFB162 Burning Flame
+CCAA77 Burning Gold
+8F8B72 Burning Idea
+FF7124 Burning Orange
+FF0599 Burning Raspberry
+D08363 Burning Sand
+742100 Burning Steppes
+EB5030 Burning Tomato
+EE9922 Burning Trail
+150AEC Burning Ultrablue
+C48D82 Burnished Apricot
+6A3D36 Burnished Bark
+8B664E Burnished Brandy
+9C7E40 Burnished Bronze
+A17A74 Burnished Brown
+BE9167 Burnished Caramel
+D2CCC4 Burnished Clay
+BB8833 Burnished Copper
+FCE5BF Burnished Cream
+AA9855 Burnished Gold
+C5AEB1 Burnished Lilac
+734842 Burnished Mahogany
+C8CBC8 Burnished Metal
+716A62 Burnished Pewter
+794029 Burnished Russet
+7B5847 Burns Cave
+D0A664 Burnside
+B0724A Burnt Almond
+746572 Burnt Ash
+9A4E12 Burnt Bagel
+4D3B3C Burnt Bamboo
+B45241 Burnt Brick
+A47C53 Burnt Butter
+846242 Burnt Caramel
+271B10 Burnt Coffee
+C56A39 Burnt Copper
+E57568 Burnt Coral
+582124 Burnt Crimson
+885533 Burnt Crust
+9D4531 Burnt Earth
+75625E Burnt Grape
+8D4035 Burnt Henna
+A87F28 Burnt Honey
+420303 Burnt Maroon
+BB4F35 Burnt Ochre
+736F54 Burnt Olive
+CC5500 Burnt Orange
+743D68 Burnt Orchid
+CA955C Burnt Pumpkin
+9F2305 Burnt Red
+853C47 Burnt Russet
+A93400 Burnt Sienna
+82634E Burnt Terra
+774645 Burnt Tile
+AB7E5E Burnt Toffee
+8A3324 Burnt Umber
+D5AB09 Burnt Yellow
+6832E3 Burple
+EED7C1 Burrito
+947764 Burro
+DEB368 Burst of Gold
+ACD243 Burst of Lime
+FCE282 Bursting Lemon
+FF6700 Burtuqali Orange
+0D2E1C Bush
+A28D82 Bush Buck
+A0BCD0 Bush Viper
+9FA993 Bushel
+7F7B73 Bushland Grey
+E5A1A0 Bussell Lace
+3E4B69 Buster
+3300CC Busty Blue
+F4FF00 Busy Bee
+B69983 Butcher Paper
+FFFF81 Butter
+BA843A Butter & Syrup
+C28A35 Butter Base
+C88849 Butter Bronze
+FDFF52 Butter Cake
+A67A4C Butter Caramel
+F0E4B2 Butter Cookie
+FEE5BA Butter Creme
+FFDD99 Butter Cupcake
+FCE9AD Butter Fingers
+AA6600 Butter Fudge
+F5E5AB Butter Honey
+F5E5DA Butter Icing
+CFE7CB Butter Lettuce
+F6DFB2 Butter Muffin
+F9E097 Butter Ridge
+C38650 Butter Rum
+FEE99F Butter Tart
+F4E0BB Butter Up
+FDDEBD Butter White
+FFFD74 Butter Yellow
+FFF4C4 Butterball
+AF7934 Butterbeer
+F1C766 Butterblond
+C5AE7C Butterbrot
+EFE0CD Buttercream
+F5EDD7 Buttercream Frosting
+DA9429 Buttercup
+F1F458 Buttercup Glow
+E3C2A3 Buttercup Yellow
+ECE2B7 Buttered
+FFF0A4 Buttered Popcorn
+9D702E Buttered Rum
+F7F0D2 Buttered Up
+F7BE5B Butterfield
+CADEA5 Butterfly
+2099BB Butterfly Blue
+68578C Butterfly Bush
+908ABA Butterfly Garden
+0B6863 Butterfly Green
+F0DEDC Butterfly Kisses
+F8CFB4 Butterfly Wing
+FFF7DB Buttermelon
+FFFEE4 Buttermilk
+FFA177 Butternut
+D99E66 Butternut Pie
+E59752 Butternut Pizazz
+FC7604 Butternut Squash
+CF9A5D Butternut Tree
+7E6F59 Butternut Wood
+FDB147 Butterscotch
+D3B090 Butterscotch Amber
+D7AD62 Butterscotch Bliss
+F1C882 Butterscotch Cake
+C48446 Butterscotch Glaze
+A97D54 Butterscotch Mousse
+B08843 Butterscotch Ripple
+DBB486 Butterscotch Sundae
+D9A05F Butterscotch Syrup
+C68F65 Butterum
+FFC283 Buttery
+F6E19C Buttery Croissant
+D4B185 Buttery Leather
+FFB19A Buttery Salmon
+F1EBDA Buttery White
+24A0ED Button Blue
+4F3A32 Button Eyes
+ECE6C8 Button Mushroom
+F0C641 Buzz
+FFD756 Buzz-In
+5F563F Buzzard
+017A79 Buzzards Bay
+E6B261 Buzzworthy
+816A38 By Gum
+8D999E By the Sea
+A5BA93 Byakuroku Green
+918E8A Bygone
+B6C4D2 Bypass
+31667D Byron Place
+C5DCE0 Byte Blue
+BD33A4 Byzantine
+006C6E Byzantine Blue
+AB7141 Byzantine Copper
+6A79F7 Byzantine Night Blue
+702963 Byzantium
+C33140 C-3PO
+83BCE5 C’est la Vie
+003AFF C64 Blue
+4E7FFF C64 NTSC
+6F6ED1 C64 Purple
+4A2E32 Cab Sav
+7F6473 Cabal
+8EC1C0 Cabana Bay
+5B9099 Cabana Blue
+DCA901 Cabana Glow
+C88567 Cabana Melon
+CD526C Cabaret
+7C8EA6 Cabaret Charm
+87D7BE Cabbage
+724C7B Cabbage Blossom Violet
+807553 Cabbage Green
+DFE8D0 Cabbage Leaf
+93C460 Cabbage Patch
+4C5544 Cabbage Pont
+C59F91 Cabbage Rose
+8E5B68 Cabernet
+6D3445 Cabernet Craving
+5E5349 Cabin Fever
+5D4D47 Cabin in the Woods
+574038 Cabin Plank
+CEC0AA Cabo
+A8A4A1 Caboose
+6B5848 Cacao
+80442F Cacao Nibs
+B5CEE0 Cache Blue
+D3C296 Cache of Camel
+F3D9BA Cachet Cream
+9F0000 Cacodemon Red
+5B6F55 Cactus
+F6C79D Cactus Blooms
+D8E5DD Cactus Blossom
+AF416B Cactus Flower
+7B8370 Cactus Garden
+56603D Cactus Green
+B1A386 Cactus Hill
+9C9369 Cactus Sand
+C1E0A3 Cactus Spike
+88976B Cactus Valley
+D0F7E4 Cactus Water
+009977 Cadaverous
+3E354D Caddies Silk
+536872 Cadet
+5F9EA0 Cadet Blue
+91A3B0 Cadet Grey
+3B5964 Cadet Song
+90766E Cadian
+984961 Cadillac
+C0362C Cadillac Coupe
+0A1195 Cadmium Blue
+006B3C Cadmium Green
+ED872D Cadmium Orange
+B60C26 Cadmium Purple
+E30022 Cadmium Red
+7F3E98 Cadmium Violet
+FFF600 Cadmium Yellow
+FFEE66 Caduceus Gold
+EEDD22 Caduceus Staff
+ECD0B1 Caen Stone
+986860 Café
+AA8E74 Café Américaine
+A57C5B Café au Lait
+8A9B98 Café Blue
+C79685 Café Crème
+889944 Café de Paris
+5E4C48 Cafe Expreso
+D6C6B4 Cafe Latte
+B98F6F Café Miel
+4B3621 Café Noir
+9A7F79 Cafe Ole
+ECC1C2 Cafe Pink
+AE8774 Café Renversé
+6A4928 Cafe Royale
+885511 Caffeinated Cinnamon
+8A796A Caffeine
+26B7B5 Caicos Turquoise
+0A6B92 Cairns
+C46D29 Cajeta
+5F3E41 Cajun Brown
+A45A4A Cajun Red
+C3705F Cajun Spice
+F0EDDB Cake Batter
+E8D4BB Cake Crumbs
+FCE0A8 Cake Dough
+F9DFE5 Cake Frosting
+EDC9D0 Cake Pop
+F6CAC3 Cake Pop Pink
+F8C649 Cakepop Sorbet
+1E4D2B Cal Poly Pomona Green
+0AC2C2 Cala Benirrás Blue
+F8EB97 Calabash
+728478 Calabash Clash
+F4A6A3 Calabrese
+FCFFA4 Calamansi
+C4CC7A Calamansi Green
+80FFCC Calamine Blue
+E7E1DD Calc Sinter
+DDEEFF Calcareous Sinter
+94B2B2 Calcite Blue
+52605F Calcite Grey Green
+F2F4E8 Calcium
+EEE9D9 Calcium Rock
+A1CCB1 Calculus
+31639C Caledor Sky
+C1A188 Calfskin
+0485D1 Calgar Blue
+A57E98 Cali Lily
+005726 Caliban Green
+D5B185 Calico
+C48E36 Calico Cat
+3D4E67 Calico Dress
+9C9584 Calico Rock
+E5C1B3 Calico Rose
+95594A Caliente
+E98C3A California
+E6B76C California Chamois
+E3AA94 California Coral
+93807F California Dreamin’
+DEC569 California Dreaming
+FCA716 California Girl
+95743F California Gold Rush
+BBC5E2 California Lilac
+FCBE6A California Peach
+A83C3F California Poppy
+A09574 California Roll
+959988 California Sagebrush
+C5AD9A California Stucco
+CA1850 California Sunset
+CA4B65 California Wine
+42364C Call It a Night
+F2DFB5 Calla
+747D3B Calla Green
+E4EAED Calla Lily
+59636A Calligraphy
+C89A8D Calliope
+798052 Calliste Green
+CACFD3 Callisto
+DFE9E6 Calm
+EED2AE Calm Air
+5E9D47 Calm Balm
+E9ECE4 Calm Breeze
+D0D4CF Calm Cool and Collected
+C6B0B9 Calm Cupid
+7CAACF Calm Day
+A7B0D5 Calm Interlude
+DEE2EB Calm Iridescence
+E5EDE2 Calm Thoughts
+EAE3E9 Calm Tint
+E7FAFA Calm Waters
+CFD3A2 Calming Effect
+EEE0D1 Calming Retreat
+B2A2C1 Calming Silver Lavender
+AAB7C1 Calming Space
+68A895 Calmness
+6D5044 Calthan Brown
+3D7188 Calypso
+C53A4B Calypso Berry
+EC4A61 Calypso Coral
+2E5F60 Calypso Green
+D978F0 Calypso Orchid
+DE6B66 Calypso Red
+FE828C Camaron Pink
+206937 Camarone
+A3C1AD Cambridge Blue
+8C633C Cambridge Leather
+ACB8B4 Cambridge Lily
+C69F59 Camel
+A56639 Camel Brown
+CC9944 Camel Cardinal
+C5B39A Camel Coat
+E0CB82 Camel Cord
+BB6600 Camel Fur
+DBB8A4 Camel Hair
+F5B784 Camel Hair Coat
+C1AA91 Camel Hide
+E5743B Camel Red
+B68B45 Camel Ride
+AF8751 Camel Spider
+AC8A2A Camel Toe
+BAAE9D Camel Train
+817667 Camel’s Hump
+C5AA85 Camelback
+D3B587 Camelback Mountain
+E2AF60 Cameleer
+F6685A Camellia
+CD739D Camellia Pink
+E94E6D Camellia Rose
+803A4B Camelot
+FBF3DF Camembert
+F2DEBC Cameo
+DFC1C3 Cameo Appearance
+7097A2 Cameo Blue
+BE847D Cameo Brown
+F3E2C3 Cameo Cream
+DCE6E5 Cameo Green
+EBCFC9 Cameo Peach
+EFBBCC Cameo Pink
+DDCAAF Cameo Role
+F7DFD7 Cameo Rose
+EBDFD8 Cameo Stone
+EED8BA Cameo White
+60746D Cameroon Green
+EEB5B4 Camille Pink
+FCD9C7 Camisole
+7F8F4E Camo
+8C8475 Camo Beige
+747F71 Camo Clay
+A5A542 Camo Green
+3C3910 Camouflage
+4B6113 Camouflage Green
+A28F5C Camouflage Olive
+FCF7DB Campanelle Noodle
+3473B7 Campanula
+6C6D94 Campanula Purple
+CE5F38 Campfire
+DDD9CE Campfire Ash
+B67656 Campfire Blaze
+D5D1CB Campfire Smoke
+D0A569 Campground
+B4C2A2 Camping Grounds
+B6AFA0 Camping Tent
+67786E Camping Trip
+D08A9B Can Can
+EAE2DD Canada Goose Eggs
+415A53 Canadian Fir
+8F9AA4 Canadian Lake
+CAB266 Canadian Maple
+EDD8C3 Canadian Pancake
+2E7B52 Canadian Pine
+579ACA Canadian Tuxedo
+9CC2C5 Canal Blue
+969281 Canal Street
+818C72 Canaletto
+FDFF63 Canary
+FFCE52 Canary Diamond
+EFDE75 Canary Feather
+D0CCA9 Canary Grass
+CCD6BC Canary Green
+E9D4A9 Canary Island
+91A1B5 Canary Wharf
+27A0A8 Cancer Seagreen Scarab
+BAC4D5 Candela
+E1C161 Candelabra
+6CC3E0 Candid Blue
+C3BC90 Candidate
+B95B6D Candied Apple
+331166 Candied Blueberry
+BFA387 Candied Ginger
+838252 Candied Lime
+D8FFF3 Candied Snow
+F9A765 Candied Yams
+C3BDAA Candle Bark
+FFF4A1 Candle Flame
+FFE8C3 Candle Glow
+F9EBBF Candle in the Wind
+F2EACF Candle Wax
+E09B6E Candle Yellow
+FCD917 Candlelight
+CEB3BE Candlelight Dinner
+FCF4E2 Candlelight Ivory
+F8A39D Candlelight Peach
+F7F0C7 Candlelight Yellow
+F1EDE0 Candlelit Beige
+FFF1D5 Candlestick Point
+F2EBD3 Candlewick
+FF9B87 Candy
+FF0800 Candy Apple Red
+FFB7D5 Candy Bar
+F7BFC2 Candy Cane
+EF9FAA Candy Coated
+FCFC5D Candy Corn
+E9AEF2 Candy Dreams
+C25D6A Candy Drop
+E8A7E2 Candy Floss
+FFF0DE Candy Floss Cupcake
+7755EE Candy Grape Fizz
+33AA00 Candy Grass
+33CC00 Candy Green
+F5A2A1 Candy Heart Pink
+FABEB5 Candy Kisses
+F3DFE3 Candy Mix
+FF63E9 Candy Pink
+895D8B Candy Violet
+FF9E76 Candyman
+EDC9D8 Candytuft
+E3B982 Cane Sugar
+DDBB99 Cane Sugar Glaze
+977042 Cane Toad
+009BB3 Caneel Bay
+D7B69A Canewood
+F7E4CC Cannellini Beans
+BCB09E Cannery Park
+EDECDB Cannoli Cream
+484335 Cannon Ball
+3C4142 Cannon Barrel
+251706 Cannon Black
+646C64 Cannon Grey
+DDC49E Canoe
+1D5671 Canoe Blue
+F7EB7A Canola Oil
+728F02 Canopy
+AABFD8 Canopy Bed
+FFD479 Cantaloupe
+FEB079 Cantaloupe Slice
+FFB355 Cantaloupe Smile
+AC8D74 Cantankerous Coyote
+96887F Cantankerous Hippo
+5E5347 Canteen
+F6D3BB Canter Peach
+CEC5AF Cantera
+B9C3E6 Canterbury Bells
+B2AB94 Canterbury Cathedral
+E7E1D1 Canterbury Cream
+649C97 Canton
+BAE7C7 Canton Jade
+BB8855 Canvas
+E6DFD2 Canvas Cloth
+E2D7C6 Canvas Luggage
+CCB88D Canvas Satchel
+DDD6C6 Canvas Tan
+607B8E Canyon Blue
+CB7D6F Canyon Clay
+ECE3D1 Canyon Cliffs
+AEAFBB Canyon Cloud
+DDC3B7 Canyon Dusk
+B18575 Canyon Earth
+E5E1CC Canyon Echo
+97987F Canyon Falls
+F1B8AC Canyon Hush
+49548F Canyon Iris
+A7A4C0 Canyon Mist
+EEDACB Canyon Peach
+B47571 Canyon Rose
+F2D6AA Canyon Sand
+93625B Canyon Stone
+DD8869 Canyon Sunset
+D6B8A9 Canyon Trail
+8A7E5C Canyon Verde
+C3B39F Canyon View
+A14935 Canyon Wall
+E3E5DF Canyon Wind
+F5DED1 Canyonville
+1FA774 Cǎo Lǜ Grass
+4E5552 Cape Cod
+557080 Cape Cod Bay
+91A2A6 Cape Cod Blue
+FEE0A5 Cape Honey
+D8D6D7 Cape Hope
+FFB95A Cape Jasmine
+50818B Cape Lee
+75482F Cape Palliser
+0092AD Cape Pond
+F6CDB8 Cape Sands
+3C4754 Cape Storm
+01554F Cape Verde
+D9CED2 Capella
+847640 Caper Green
+78728C Capercaillie Mauve
+897A3E Capers
+FCEBCE Capetown Cream
+1A4157 Capital Blue
+DBD0A8 Capital Grains
+E6BA45 Capital Yellow
+008F4C Capitalino Cactus
+D9544D Capocollo
+822A10 Caponata
+704A3A Cappuccino
+B4897D Cappuccino Bombe
+E1DDCD Cappuccino Cosmico
+E0D0C2 Cappuccino Foam
+C8B089 Cappuccino Froth
+00BFFF Capri
+0089A8 Capri Breeze
+F1F0D6 Capri Cream
+AC839C Capri Fashion Pink
+ABE2D6 Capri Water Blue
+F1CD9F Capricious
+BB00DD Capricious Purple
+FECB51 Capricorn Golden Key
+7E7A75 Caps
+6D8A74 Capsella
+76392E Capsicum Red
+007EB0 Capstan
+005171 Captain Blue
+9B870C Captain Kirk
+828080 Captain Nemo
+557088 Captains Blue
+947CAE Captivated
+D8CACE Captivating
+F4D9B1 Captivating Cream
+005B6A Captive
+2CBAA3 Capture
+6E6D4A Capulet Olive
+592720 Caput Mortuum
+5D473A Carafe
+795F4D Caraïbe
+552233 Carambar
+EFEBD1 Carambola
+AF6F09 Caramel
+B87A59 Caramel Apple
+CC8654 Caramel Bar
+B18775 Caramel Brown
+8E5626 Caramel Café
+B3715D Caramel Candy
+D4AF85 Caramel Cloud
+BB7711 Caramel Coating
+F4B58F Caramel Cream
+C39355 Caramel Crumb
+B98C5D Caramel Cupcake
+B8623B Caramel Dream
+D9AD7F Caramel Drizzle
+E3AF64 Caramel Essence
+FFD59A Caramel Finish
+B1936D Caramel Gold
+EEC9AA Caramel Ice
+B08A61 Caramel Kiss
+9D652B Caramel Kisses
+8C6342 Caramel Latte
+C58D4B Caramel Macchiato
+E5CAA4 Caramel Mousse
+EEBB99 Caramel Powder
+B3804D Caramel Sauce
+A78045 Caramel Suede
+A9876A Caramel Sundae
+8F6A4F Caramel Swirl
+C27E43 Caramel Toffee
+D58A37 Caramelise
+BA947F Caramelised
+AD5A28 Caramelised Maple
+EF924A Caramelised Orange
+C56F2B Caramelised Peach
+E7D5AD Caramelised Pears
+A17B4D Caramelised Pecan
+6E564A Caramelised Walnut
+D69E6B Caramelo Dulce
+9C0013 Caraquenian Crimson
+8C6E54 Caravel Brown
+A19473 Caraway
+6D563C Caraway Brown
+DFD5BB Caraway Seeds
+AB9975 Caraway Shield
+316382 Carbide
+333333 Carbon
+373C4F Carbon Blue
+545554 Carbon Copy
+565B58 Carbon Dating
+2E2E2E Carbon Fibre
+7B808B Carbon Footprint
+00512C Card Table Green
+AAAA77 Cardamom
+D7E2BC Cardamom Fragrance
+989057 Cardamom Green
+837165 Cardamom Spice
+C19A6C Cardboard
+E4DDCE Carded Wool
+1B3427 Cardin Green
+C41E3A Cardinal
+2C284C Cardinal Mauve
+8C055E Cardinal Pink
+D10929 Cardinal Rage
+9B365E Cardinal Red
+B33125 Cardinal’s Cassock
+9AAE8C Cardoon
+957B38 Cardueline Finch
+DCE9E9 Carefree
+A6CDDE Carefree Sky
+FAAFC8 Caregiver Pink
+C99AA0 Careys Pink
+8F755B Cargo
+C8C5A7 Cargo Green
+CDC4AE Cargo Pants
+CFCDBB Cargo River
+CAF0E5 Caribbean
+1AC1DD Caribbean Blue
+93C5DD Caribbean Coast
+C07761 Caribbean Coral
+3F9DA9 Caribbean Cruise
+006E6E Caribbean Current
+007180 Caribbean Dream
+00CC99 Caribbean Green
+CADEEA Caribbean Mist
+D5DCCE Caribbean Pleasure
+0087A7 Caribbean Sea
+819ECB Caribbean Sky
+00697C Caribbean Splash
+F5DAAA Caribbean Sunrise
+126366 Caribbean Swim
+009D94 Caribbean Turquoise
+147D87 Caribe
+816C5E Caribou
+CDA563 Caribou Herd
+E68095 Carissima
+F5F9CB Carla
+A87376 Carley’s Rose
+45867C Carlisle
+915F3D Carmel
+927F76 Carmel Mission
+8D6B3B Carmel Woods
+B98970 Carmelite
+BB534C Carmelito
+7C383F Carmen
+903E2F Carmen Miranda
+D60036 Carmine
+AD4B53 Carmine Carnation
+EB4C42 Carmine Pink
+FF0038 Carmine Red
+E35B8F Carmine Rose
+B31C45 Carmoisine
+5B3A24 Carnaby Tan
+940008 Carnage Red
+BB8866 Carnal Brown
+EF9CB5 Carnal Pink
+FD798F Carnation
+F9C0BE Carnation Bloom
+F5C0D0 Carnation Bouquet
+EDB9AD Carnation Coral
+915870 Carnation Festival
+CE94C2 Carnation Rose
+B31B1B Carnelian
+EB882C Carnival
+98BEB5 Carnival Glass
+006E7A Carnival Night
+991111 Carnivore
+FFCAC3 Caro
+885C4E Carob Brown
+5A484B Carob Chip
+338DAE Carol
+77A135 Carol’s Purr
+CBEFCB Carolina
+8AB8FE Carolina Blue
+008B6D Carolina Green
+D8DF80 Carolina Parakeet
+FF1500 Carolina Reaper
+FFB850 Carolling Candlelight
+FBA52E Carona
+FDB793 Carotene
+F8DBE0 Carousel Pink
+E34234 Carpaccio
+DEE3C0 Carpathian Dawn
+905755 Carpe Diem
+00AA33 Carpet Moss
+905D36 Carrageen Moss
+EEEBE4 Carrara
+E8E7D7 Carrara Marble
+6C6358 Carriage
+958D79 Carriage Door
+254D48 Carriage Green
+8C403D Carriage Red
+8A8DC4 Carriage Ride
+7E7265 Carriage Stone
+5D6367 Carriage Wheel
+FFB756 Carriage Yellow
+889398 Carrier Pigeon Blue
+A82A70 Carroburg Crimson
+FD6F3B Carrot
+BF6F31 Carrot Cake
+FE7A04 Carrot Curl
+CBD3C1 Carrot Flower
+FC5A1F Carrot Lava
+ED9121 Carrot Orange
+DF7836 Carrot Stick
+EEEEFF Carte Blanche
+405978 Carter’s Scroll
+BB9E7E Carton
+D01722 Cartoon Violence
+665537 Cartwheel
+937A62 Carved Wood
+F0C39F Carving Party
+CF6837 Casa de Oro
+CACFE6 Casa del Mar
+C49CA5 Casa Talec
+ABB790 Casa Verde
+F0B253 Casablanca
+3F545A Casal
+FECE5A Casandora Yellow
+7C4549 Casandra
+D4EDE6 Cascade
+E7DBCA Cascade Beige
+A1C2B9 Cascade Green
+697F8E Cascade Tour
+234893 Cascade Twilight
+ECF2EC Cascade White
+F7F5F6 Cascading White
+EE4433 Cascara
+A47149 Cashew
+FCF9BD Cashew Cheese
+EDCCB3 Cashew Nut
+D1B399 Cashmere
+A5B8D0 Cashmere Blue
+CDA291 Cashmere Clay
+CB8097 Cashmere Rose
+FEF2D2 Cashmere Sweater
+D6B484 Cashmere Wrap
+F9F2B3 Casino Lights
+A49186 Casket
+AAB5B8 Casper
+4F6F91 Caspian Sea
+AEC7DB Caspian Tide
+BB7700 Cassandra’s Curse
+E7C084 Cassava Cake
+E0CDDA Cassia Buds
+AED0C9 Cassiopeia
+623C1F Cassiterite Brown
+64645A Cast Iron
+6DBAC0 Castaway
+D0C19F Castaway Beach
+7A9291 Castaway Cove
+607374 Castaway Lagoon
+CFAF83 Castell Harlech
+455440 Castellan Green
+A27040 Castellina
+677727 Castelvetrano Olive
+FFFFE8 Caster Sugar
+D4B3AA Castilian Pink
+4586C7 Casting Sea
+9DA7A0 Casting Shadow
+E0D5CA Castle Beige
+95827B Castle Hill
+EFDCCA Castle in the Clouds
+D1EAED Castle in the Sky
+BDAEB7 Castle Mist
+8B6B47 Castle Moat
+C5BAAA Castle Path
+EADEC7 Castle Ridge
+525746 Castle Stone
+C2BBA2 Castle Wall
+A0A5A5 Castlegate
+5F5E62 Castlerock
+00564F Castleton Green
+A80020 Castlevania Heart
+676A64 Castor Grey
+44232F Castro
+498090 Casual Blue
+95BAC2 Casual Day
+DFD5C8 Casual Elegance
+A09D98 Casual Grey
+D3C5AF Casual Khaki
+8FABD6 Casual Water
+ECBAC0 Cat Nose
+636D70 Cat Person
+CDDFBB Cat Woman
+E7E7E3 Cat’s Cream
+D6A75D Cat’s Eye Marble
+0071A0 Cat’s Purr
+475742 Catachan Green
+E2DCCC Catacomb Bone
+DBD7D0 Catacomb Walls
+429395 Catalan
+72A49F Catalina
+062A78 Catalina Blue
+5C7884 Catalina Coast
+859475 Catalina Green
+EFAC73 Catalina Tile
+C5D0D5 Catalyst Grey
+90C4B4 Catarina Green
+703642 Catawba
+634049 Catawba Grape
+6C685E Catch of the Day
+B5DCD8 Catch the Wave
+66A545 Caterpillar
+657D82 Catfish
+9D632D Cathay Spice
+ACAAA7 Cathedral
+7A999C Cathedral Glass
+ABA9A7 Cathedral Grey
+80796E Cathedral Stone
+015158 Cathedral View
+00FF55 Cathode Green
+CCA800 Catkin Yellow
+9E4D28 Catlinite
+C9A8CE Catmint
+80AA95 Catnip
+6F6066 Catnip Wood
+8EA5B6 Cats and Dogs
+595452 Catskill Brown
+E0E4DC Catskill White
+917546 Cattail Brown
+B64925 Cattail Red
+BB7B51 Cattle Drive
+4A4649 Catwalk
+BE4236 Caught Red-Handed
+599C99 Caulerpa Lentillifera
+EBE5D0 Cauliflower
+F2E4C7 Cauliflower Cream
+6F788F Causeway
+11DD00 Caustic Green
+D5DDE5 Cautious Blue
+DFD8D9 Cautious Grey
+DAE4DE Cautious Jade
+3F4C5A Cavalry
+990003 Cavalry Brown
+DCE2CE Cavan
+52B7C6 Cave Lake
+86736E Cave of the Winds
+AA1100 Cave Painting
+D6E5E2 Cave Pearl
+625C58 Caveman
+FED200 Cavendish
+A08D7A Cavern
+B69981 Cavern Clay
+CEC3B3 Cavern Echo
+92987D Cavern Moss
+E0B8B1 Cavern Pink
+947054 Cavern Sand
+515252 Cavernous
+2B2C30 Caviar
+533E39 Caviar Black
+772244 Caviar Couture
+72939E Cavolo Nero
+A6D0D6 Cay
+941100 Cayenne
+52798D Cayman Bay
+495A44 Cayman Green
+9271A7 Ce Soir
+463430 Cedar
+C95A49 Cedar Chest
+788078 Cedar Forest
+686647 Cedar Glen
+69743E Cedar Green
+BF6955 Cedar Grove
+B7BCAD Cedar Mill
+8B786F Cedar Plank
+A96A50 Cedar Plank Salmon
+9B6663 Cedar Ridge
+91493E Cedar Staff
+A97367 Cedar Wood
+711A00 Cedar Wood Finish
+DDA896 Cedarville
+92A1CF Ceil
+E9EBE7 Ceiling Bright White
+ACE1AF Celadon
+007BA7 Celadon Blue
+CCD4CB Celadon Glaze
+2F847C Celadon Green
+7EBEA5 Celadon Porcelain
+B1DAC6 Celadon Sorbet
+C6CAB8 Celadon Tint
+EBE667 Celandine
+B8BFAF Celandine Green
+9D86AD Celeb City
+E6C17A Celebration
+008BC4 Celebration Blue
+B4C04C Celery
+D4E0B3 Celery Bunch
+C5CC7B Celery Green
+E1D792 Celery Heart
+EAEBD1 Celery Ice
+C1FD95 Celery Mousse
+C5BDA5 Celery Powder
+D4E4BA Celery Root
+D0D8BE Celery Satin
+E1DF9A Celery Sceptre
+9ED686 Celery Sprig
+CAEDD0 Celery Stick
+CCEEC2 Celery Victor
+DBD9CD Celery White
+B2FFFF Celeste
+406374 Celeste Blue
+007894 Celestial
+11CC00 Celestial Alien
+2C4D69 Celestial Blue
+0A2538 Celestial Canvas
+DAEAF6 Celestial Cathedral
+DD4455 Celestial Coral
+EAD97C Celestial Crown
+992266 Celestial Dragon
+EAEBE9 Celestial Glow
+2DDFC1 Celestial Green
+7C94B3 Celestial Horizon
+091F92 Celestial Indigo
+C7DAE8 Celestial Light
+E3D4B9 Celestial Moon
+9C004A Celestial Pink
+3C7AC2 Celestial Plum
+85C1C4 Celestine
+24A4C8 Celestine Spring
+99A7AB Celestra Grey
+B5C7D2 Celestyn
+826167 Celine
+75553F Cellar Door
+DDB582 Cellini Gold
+3A4E5F Cello
+515153 Celluloid
+E76A35 Celosia Orange
+2B3F36 Celtic
+246BCE Celtic Blue
+006940 Celtic Clover
+1F6954 Celtic Green
+C5D4CE Celtic Grey
+F5E5CE Celtic Linen
+00886B Celtic Queen
+2E4C5B Celtic Rush
+AADEB2 Celtic Spring
+8BAB68 Celuce
+725671 Cembra Blossom
+A5A391 Cement
+7B737B Cement Feet
+B5ABA4 Cement Greige
+C0C7D0 Cemetery Ash
+3E7FA5 Cendre Blue
+327A68 Census
+90673F Centaur
+8B6A4F Centaur Brown
+B3A7A6 Centennial Rose
+F7E077 Centeōtl Yellow
+008B56 Center Field
+6D2400 Centipede Brown
+C08F45 Centra
+685549 Centre Earth
+817A69 Centre Ridge
+C8C7CB Centre Stage
+9C7B87 Century’s Last Sunset
+FCFFF9 Ceramic
+EDD1AC Ceramic Beige
+16A29A Ceramic Blue Turquoise
+A05843 Ceramic Brown
+E8A784 Ceramic Glaze
+3BB773 Ceramic Green
+908268 Ceramic Pot
+FEFEE0 Ceramite White
+EFD7AB Cereal Flake
+CCCBCD Cerebellum Grey
+CCCCCC Cerebral Grey
+D69E59 Ceremonial Gold
+91998E Ceremonial Grey
+C38B82 Ceremonial Ochre
+2A2756 Ceremonial Purple
+E63127 Ceremonial Red Ribbon
+997B00 Cerignola Olive
+AD134E Cerise
+EC3B83 Cerise Pink
+DE3163 Cerise Red
+F2BDA2 Certain Peach
+55AAEE Cerulean
+2A52BE Cerulean Blue
+6D9BC3 Cerulean Frost
+8CC6CB Cerulean Skies
+ACBFCD Cerulean Tint
+337EFF Ceruleite
+001440 Cetacean Blue
+33431E Ceylanite
+F3E9D6 Ceylon Cream
+D4AE40 Ceylon Yellow
+756858 Ceylonese
+007AA5 CG Blue
+E03C31 CG Red
+56FFFF CGA Blue
+FC0FC0 CGA Pink
+77926F Chá Lǜ Green
+FFDB92 Cha-Cha-Cha
+EC7D2C Chaat Masala
+FDE9E0 Chablis
+F6E0CF Chafed Wheat
+008B62 Chagall Green
+EBCFAE Chai
+F9CBA0 Chai Latte
+BD7C4F Chai Spice
+A97B2D Chai Tea
+EFD7B3 Chai Tea Latte
+708090 Chain Gang Grey
+847E78 Chain Link
+81777F Chain Mail
+A4A6A4 Chain Reaction
+C1B2B3 Chaise Mauve
+8B5E8F Chakra
+DDDD99 Chalcedony
+4B6057 Chalcedony Green
+6770AE Chalcedony Violet
+C29867 Chalet
+5A6E41 Chalet Green
+EDEAE5 Chalk
+EAEBE6 Chalk Dust
+E0CEB7 Chalkware
+DFC281 Chalky
+D0EBF1 Chalky Blue White
+CD7A50 Challah Bread
+475877 Chambray
+93AECE Chambray Blue
+CEDAAC Chameleon
+C0C2A0 Chameleon Tango
+E8CD9A Chamois
+F0E1D0 Chamois Cloth
+AD8867 Chamois Leather
+B3A385 Chamois Tan
+986E19 Chamois Yellow
+A0785A Chamoisee
+E4C697 Chamomile
+DAC395 Chamomile Tea
+E9D2AC Champagne
+D4C49E Champagne Beige
+F0E1C5 Champagne Bliss
+DDCEAD Champagne Bubbles
+F1E4CB Champagne Burst
+E3D7AE Champagne Cocktail
+EBD3E4 Champagne Elegance
+F6ECE2 Champagne Flute
+D7C1B4 Champagne Glee
+E8D6B3 Champagne Gold
+C5B067 Champagne Grape
+F3E5DD Champagne Ice
+FFDFB0 Champagne Orange
+FADDC4 Champagne Peach
+E3D6CC Champagne Rose
+F8EEC4 Champagne Tickle
+F4E1C6 Champagne Toast
+EFD4AE Champagne Wishes
+949089 Champignon
+7B5986 Champion
+606788 Champion Blue
+435572 Champlain Blue
+A0A6A9 Chance of Rain
+A5BCBA Chance of Showers
+ECBA5D Chandra Cream
+F4AFCD Changeling Pink
+B6927C Changing Seasons
+F1C3C2 Channel
+04D8B2 Channel Marker Green
+A0928D Channel Seal Grey
+EEE8D2 Chanoyu
+FFC66E Chanterelle
+A28776 Chanterelle Sauce
+870000 Chanticleer
+EDB8C7 Chantilly
+F1E2DE Chantilly Lace
+0F0F0F Chaos Black
+740600 Chaotic Red
+BB2266 Chaotic Roses
+E5D0B0 Chaparral
+DEE5EC Chapeau Violet
+B0D2E7 Chapel Blue
+BBD1E2 Chapel Choir
+EDE2AC Chapel Wall
+644B41 Chaps
+9F9369 Chapter
+B79779 Char Latte
+394043 Charade
+504D4C Charadon Granite
+343837 Charcoal
+5D625C Charcoal Briquette
+595758 Charcoal Dust
+5D5B56 Charcoal Sketch
+474F43 Charcoal Smoke
+60605E Charcoal Smudge
+949D8D Charcoal Tint
+48553F Chard
+F8EADF Chardon
+EFE8BC Chardonnay
+632A60 Charisma
+E7C180 Charismatic
+EE2244 Charismatic Red
+9AC1DC Charismatic Sky
+9F414B Charleston Cherry
+C09278 Charleston Chocolate
+232B2B Charleston Green
+995500 Charlie Brown
+948263 Charlie Horse
+E2E483 Charlock
+A4DCE6 Charlotte
+D0748B Charm
+E68FAC Charm Pink
+EBCFC7 Charmed
+A1A1A0 Charmed Chalice
+007F3A Charmed Green
+FF90A2 Charming Cherry
+D4E092 Charming Green
+11BB44 Charming Nature
+F5AD75 Charming Peach
+EDD3D2 Charming Pink
+8C7281 Charming Violet
+6A577F Charoite Violet
+F1EBEA Charolais Cattle
+A1A29C Charon
+3E0007 Charred Brown
+553B3D Charred Chocolate
+885132 Charred Clay
+5B4E4A Charred Hickory
+C01205 Charsiu
+B2CCE1 Charted
+69B2CF Charter
+546E91 Charter Blue
+C1F80A Chartreuse
+E4DCC6 Chartreuse Frost
+DAD000 Chartreuse Shot
+B5CC18 Chartreuse Spark
+16A3CB Charybdis
+876044 Chasm
+63B521 Chasm Green
+9944EE Chaste Blossoms
+F79A3E Chat Orange
+B5A28A Chateau
+5B4B44 Chateau Brown
+A2AAB3 Chateau de Chillon
+419F59 Chateau Green
+7C583A Château Mantle
+DBA3CE Chateau Rose
+B3ABB6 Chatelle
+2C5971 Chathams Blue
+B0AB9C Chatroom
+89B386 Chatty Cricket
+A09287 Chatura Beige
+C7E2C6 Chayote
+ED214D Che Guevara Red
+EEB15D Cheater
+EE9A09 Cheddar
+D2AD87 Cheddar Biscuit
+F0843A Cheddar Cheese
+F9C982 Cheddar Chunk
+F5D4B5 Cheddar Corn
+B67DAF Cheddar Pink Mauve
+A55A55 Cheek Red
+7B4D3A Cheeky Chestnut
+DCC7C0 Cheerful Heart
+FFE195 Cheerful Hue
+FDA471 Cheerful Tangerine
+D3D7E7 Cheerful Whisper
+7E4258 Cheerful Wine
+FFC723 Cheerful Yellow
+BCCB08 Cheerly Kiwi
+C09962 Cheers!
+F08A88 Cheery
+FFA600 Cheese
+FDDE45 Cheese It Up
+FF9613 Cheese Please
+FFE4BE Cheese Powder
+FFB96F Cheese Puff
+DFAD51 Cheese Wiz
+FFFCDA Cheesecake
+FFCC77 Cheesus
+EEB033 Cheesy Cheetah
+F0E093 Cheesy Frittata
+FAE195 Cheesy Grin
+F3F4F5 Chef’s Hat
+CC3B3B Chef’s Kiss
+A3D1E8 Chefchaouen Blue
+88A95B Chelsea Cucumber
+546D66 Chelsea Garden
+95532F Chelsea Gem
+B6B7B0 Chelsea Grey
+BEAC9F Chelsea Mauve
+F94009 Chéng Hóng Sè Orange
+A6CD91 Chenille
+F1E7D6 Chenille Spread
+F9EFE2 Chenille White
+DEC371 Chenin
+22BBFF Cherenkov Radiation
+F4E3CB Cherish Cream
+E6E4DA Cherish Is the Word
+CCACD7 Cherish the Moment
+BA97B1 Cherished
+FC9293 Cherished One
+AC0132 Chernobog
+E3DCDA Chernobog Breath
+F5CD82 Cherokee
+DD7722 Cherokee Dignity
+824E4A Cherokee Red
+A22452 Cherries Jubilee
+CF0234 Cherry
+908279 Cherry Bark
+9F4D65 Cherry Berry
+AD5344 Cherry Blink
+F5C1D5 Cherry Blossom
+FFB7C5 Cherry Blossom Pink
+FFC9DD Cherry Blush
+B73D3F Cherry Bomb
+E26B81 Cherry Brandy
+FFBBB4 Cherry Chip
+883F41 Cherry Cobbler
+8E5E65 Cherry Cocoa
+894C3B Cherry Cola
+EBBED3 Cherry Cordial
+C71414 Cherry Crush
+BD6973 Cherry Fizz
+FBDAE8 Cherry Flower
+F392A0 Cherry Foam
+CB6276 Cherry Fruit
+CC5160 Cherry Hill
+DD98A6 Cherry Ice
+BD9095 Cherry Juice
+6C2C45 Cherry Juice Red
+A32E39 Cherry Kiss
+B15E67 Cherry Kisses
+C8385A Cherry Lolly
+6A332D Cherry Mahogany
+A57C7A Cherry Mocha
+AC495C Cherry on Top
+FE314B Cherry Paddle Pop
+F9E7F4 Cherry Pearl
+620B15 Cherry Picking
+BD2C22 Cherry Pie
+C7607B Cherry Pink
+A10047 Cherry Plum
+A64137 Cherry Race
+F7022A Cherry Red
+C92435 Cherry Sangria
+D81D26 Cherry Shine
+FF0044 Cherry Soda
+E76178 Cherry Static
+933D3E Cherry Tart
+B7938F Cherry Taupe
+F2013F Cherry Tomato
+DFB7B4 Cherry Tree
+E10646 Cherry Velvet
+B04556 Cherry Wine
+B22743 Cherryade
+F79890 Cherrystone
+651A14 Cherrywood
+848182 Chert
+F5D7DC Cherub
+FFE6F1 Cherubic
+ABBD90 Chervil Leaves
+FFE9C5 Chess Ivory
+876B4B Chester Brown
+742802 Chestnut
+9A6844 Chestnut Beach
+C19C86 Chestnut Bisque
+6D1008 Chestnut Brown
+BCA486 Chestnut Butter
+8E5637 Chestnut Chest
+EBC795 Chestnut Dressing
+874E2D Chestnut Glaze
+AB8508 Chestnut Gold
+2A4F21 Chestnut Green
+60281E Chestnut Leather
+6D3C32 Chestnut Peel
+852E19 Chestnut Plum
+6C333F Chestnut Red
+CD5252 Chestnut Rose
+ADFF2F Chestnut Shell
+995D3B Chestnut Stallion
+EAF1E6 Chestnut White
+516FA0 Chesty Bond
+666FB4 Chetwode Blue
+F6F2E8 Cheviot
+E6B0AF Chewing Gum
+E292B6 Chewing Gum Pink
+977043 Chewy Caramel
+9F918A Cheyenne Rock
+D52B2D Chi-Gong
+EEECB5 Chia
+734342 Chianti
+A4725A Chic Brick
+D8EBD6 Chic Green
+CFCCC5 Chic Grey
+EDE1C8 Chic Magnet
+F0D1C8 Chic Peach
+7C9270 Chic Shade
+AA9788 Chic Taupe
+5B5D56 Chicago
+B6DBE9 Chicago Blue
+CAC2BD Chicago Fog
+96ADBA Chicago Skyline
+E2C555 Chicco d’Oro
+7E6072 Chicha Morada
+BF7D80 Chick Flick
+FFCF65 Chickadee
+DD2222 Chicken Comb
+CC8822 Chicken Masala
+FBE98E Chickery Chick
+EFE7DF Chickpea
+D9DFE3 Chickweed
+D9EEB4 Chicon
+A78658 Chicory
+4D3730 Chicory Coffee
+66789A Chicory Flower
+BBAB75 Chicory Green
+5F423F Chicory Root
+6A5637 Chieftain
+F0F5BB Chiffon
+DBC963 Chifle Yellow
+EAE5C5 Child of Heaven
+F0F4F8 Child of Light
+C68D37 Child of the Moon
+220077 Child of the Night
+E7BCD4 Child’s Play
+E26D68 Childhood Crush
+A5A8D6 Childish Wonder
+E8C0CF Childlike
+A1CED7 Children’s Soft Blue
+D05E34 Chilean Fire
+F9F7DE Chilean Heath
+C9CBC1 Chilean Sea Bass
+D1D5E7 Chill in the Air
+256D8D Chill of the Night
+EC4236 Chilled Chilly
+CBCDB2 Chilled Cucumber
+FFE696 Chilled Lemonade
+E4EFDE Chilled Mint
+6D4052 Chilled Wine
+BE4B41 Chilli
+4B1C35 Chilli Black Red
+CC5544 Chilli Cashew
+985E2B Chilli Con Carne
+E93A0E Chilli Crab
+F0B692 Chilli Dip
+8D7040 Chilli Green
+9D453C Chilli Oil
+AC1E3A Chilli Pepper
+BC4E40 Chilli Sauce
+CA7C74 Chilli Soda
+8AAEC3 Chilly Blue
+FD9989 Chilly Spice
+E5F1ED Chilly White
+74626D Chimaera
+C89B75 Chimaera Brown
+B16355 Chimayo Red
+C7CA86 Chimes
+4A5257 Chimney
+3C4247 Chimney Smoke
+272F38 Chimney Sweep
+DD3355 Chin-Chin Cherry
+444C60 China Aster
+5A6C80 China Blue
+8A7054 China Cinnamon
+718B9A China Clay
+F8F0E5 China Cup
+F3E4D5 China Doll
+3A6468 China Green Blue
+FBF3D3 China Ivory
+BCC9C7 China Light Green
+3D5C77 China Pattern
+DF6EA1 China Pink
+AD2B10 China Red
+A8516E China Rose
+034F7C China Seas
+E3D1CC China Silk
+EAE6D9 China White
+464960 Chinaberry
+D6C2D2 Chinaberry Bloom
+9C8E7B Chinchilla
+D0BBA7 Chinchilla Chenille
+7F746E Chinchilla Grey
+4D5AAF Chinese Bellflower
+111100 Chinese Black
+365194 Chinese Blue
+CD8032 Chinese Bronze
+AB381F Chinese Brown
+F1D7CB Chinese Cherry
+CB5251 Chinese Dragon
+006967 Chinese Garden
+DDAA00 Chinese Gold
+F34723 Chinese Goldfish
+D0DB61 Chinese Green
+EBDBCA Chinese Hamster
+E09E87 Chinese Ibis Brown
+3F312B Chinese Ink
+CBD1BA Chinese Jade
+60C7C2 Chinese Lacquer
+F09056 Chinese Lantern
+CCD6B0 Chinese Leaf
+A4BE5C Chinese Money Plant
+FF3366 Chinese New Year
+AA381E Chinese Night
+F37042 Chinese Orange
+DE70A1 Chinese Pink
+3A5F7D Chinese Porcelain
+720B98 Chinese Purple
+CD071E Chinese Red
+B94047 Chinese Safflower
+D8D3B2 Chinese Silk
+DDDCEF Chinese Silver
+ACAD98 Chinese Tea Green
+8FBFBD Chinese Tzu
+92698F Chinese Violet
+E2E5DE Chinese White
+DBD2BB Chino
+7C8C87 Chinois Green
+9DD3A8 Chinook
+C8987E Chinook Salmon
+554747 Chinotto
+D5C7B9 Chintz
+ECBCB6 Chintz Rose
+CFA14A Chipmunk
+AA4433 Chipolata
+683E3B Chipotle Paste
+DDD618 Chips Provencale
+026B67 Chitin Green
+AEB2C0 Chivalrous
+C7662A Chivalrous Fox
+816558 Chivalrous Walrus
+5D99B1 Chivalry
+BF784E Chivalry Copper
+4D5637 Chive
+4F3650 Chive Bloom
+86619F Chive Blossom
+A193BF Chive Flower
+56AE57 Chlorella Green
+93D8C2 Chloride
+5E8E82 Chlorite
+44891A Chlorophyll
+B3D6C3 Chlorophyll Cream
+4AFF00 Chlorophyll Green
+75876E Chlorosis
+B4835B Choco Biscuit
+993311 Choco Chic
+63493E Choco Death
+7D5F53 Choco Loco
+F9BC08 Chocobo Feather
+993300 Chocoholic
+D2691E Chocolate
+773333 Chocolate Bar
+775130 Chocolate Bells
+782A2E Chocolate Bhut Jolokia
+7F6054 Chocolate Bliss
+7E4F35 Chocolate Bonbon
+765841 Chocolate Caliente
+452207 Chocolate Castle
+8A4438 Chocolate Cherry
+928178 Chocolate Chiffon
+AB4231 Chocolate Chilli
+6E5F52 Chocolate Chip
+6B574A Chocolate Chunk
+644D42 Chocolate Coco
+58111A Chocolate Cosmos
+8B4121 Chocolate Covered
+A89581 Chocolate Cream Pie
+605647 Chocolate Cupcake
+916D5E Chocolate Curl
+96786D Chocolate Delight
+6B5947 Chocolate Diamonds
+674848 Chocolate Eclair
+623D2E Chocolate Escape
+8E473B Chocolate Explosion
+5C3612 Chocolate Fantasies
+603932 Chocolate Fondant
+9A3001 Chocolate Fondue
+9E5B40 Chocolate Fountain
+DED5C8 Chocolate Froth
+8F786C Chocolate Heart
+3C1421 Chocolate Kiss
+66433B Chocolate Lab
+993322 Chocolate Lust
+7A463A Chocolate Magma
+331100 Chocolate Melange
+976F4C Chocolate Milk
+998069 Chocolate Moment
+B5A39C Chocolate Oatmeal
+BB5544 Chocolate Oatmeal Cookie
+884400 Chocolate Pancakes
+3F2F31 Chocolate Plum
+A58C7B Chocolate Powder
+66424D Chocolate Praline
+60504B Chocolate Pretzel
+6F6665 Chocolate Pudding
+714F29 Chocolate Rain
+4D3635 Chocolate Red
+76604E Chocolate Ripple
+4E1B0B Chocolate Rush
+5C4945 Chocolate Soul
+8C6C6F Chocolate Sparkle
+6F4E43 Chocolate Sprinkle
+84563C Chocolate Stain
+68574B Chocolate Swirl
+956E5F Chocolate Temptation
+5F4940 Chocolate Therapy
+403534 Chocolate Torte
+612E32 Chocolate Truffle
+7F7453 Chocolate Velvet
+937979 Chocolaty
+F2E1D1 Choice Cream
+8F583C Chōjicha Brown
+92000A Chokecherry
+867578 Choo Choo
+C7BCA1 Chopped Almonds
+336B4B Chopped Chive
+B6C2A1 Chopped Dill
+E0D1B8 Chopsticks
+B77795 Choral Singer
+AA0011 Chorizo
+8E8987 Chorus of Elephants
+8C9632 Chorus of Frogs
+FF6301 Chos Garden Marigold
+B95754 Chōshun Red
+EBCF7D Choux à la Crème
+E5D2B2 Chowder Bowl
+382161 Christalle
+71A91D Christi
+009094 Christina Brown
+2A8FBD Christmas Blue
+5D2B2C Christmas Brown
+CAA906 Christmas Gold
+3C8D0D Christmas Green
+68846A Christmas Holly
+477266 Christmas Ivy
+D56C2B Christmas Orange
+6E5A49 Christmas Ornament
+E34285 Christmas Pink
+564342 Christmas Pudding
+4D084B Christmas Purple
+B01B2E Christmas Red
+FFDDBB Christmas Rose
+E1DFE0 Christmas Silver
+D4C5BA Christobel
+F6BBCA Christy’s Smile
+292929 Chromaphobic Black
+E1DFE1 Chrome
+A8A9AD Chrome Aluminium
+CDC8D2 Chrome Chalice
+E7EDDD Chrome Green
+CAC7B7 Chrome White
+FFA700 Chrome Yellow
+82CAFC Chromis Damsel Blue
+06B48B Chromophobia Green
+3E4265 Chronicle
+72A8D1 Chronus Blue
+C35458 Chrysanthemum
+9DB8AB Chrysanthemum Leaf
+004F39 Chrysocolla Dark Green
+378661 Chrysocolla Green
+006B57 Chrysocolla Medium Green
+8E9849 Chrysolite
+39334A Chrysomela Goettingensis
+8FB2A3 Chrysopal Light Green
+4A2200 Chrysophobia
+ADBA98 Chrysoprase
+613521 Chubby Chocolate
+B43548 Chubby Kiss
+BF413A Chuckles
+91C1C6 Chuff Blue
+1559DB Chun-Li Blue
+FFC84B Chunky Bee
+CFCDCF Chupacabra Grey
+3D4161 Church Blue
+B3B5AF Church Mouse
+4D4D58 Churchill
+A49A85 Churchill Downs
+9F5E4E Chutney
+A97765 Chutney Brown
+0F0809 Chyornyi Black
+DE9D7C Ciao
+938A43 Cider Mill
+8A946F Cider Pear Green
+AE8167 Cider Spice
+B98033 Cider Toddy
+E7D6AF Cider Yellow
+A5CEE8 Cielo
+7D4E38 Cigar
+9C7351 Cigar Box
+78857A Cigar Smoke
+EE5500 Cigarette Glow
+4A5C52 Cilantro
+CECBAE Cilantro Cream
+6B3D38 Cimarron
+242A2E Cinder
+7C787B Cinder Fox
+FBD7CC Cinderella
+FFC6C4 Cinderella Pink
+95878E Cinema Screen
+98817B Cinereous
+730113 Cinnabar
+634D45 Cinnabark
+D26911 Cinnamon
+CF8D6C Cinnamon Brandy
+9E6A19 Cinnamon Brown
+FFBF6E Cinnamon Buff
+AC4F06 Cinnamon Bun
+E8DDCF Cinnamon Cake
+B15D63 Cinnamon Candle
+794344 Cinnamon Cherry
+D1A79C Cinnamon Cocoa
+705742 Cinnamon Crumble
+A37D5A Cinnamon Crunch
+A97673 Cinnamon Diamonds
+EDBC9B Cinnamon Foam
+D3B191 Cinnamon Frost
+DBBBA7 Cinnamon Ice
+EBDAB5 Cinnamon Milk
+D5B199 Cinnamon Mocha
+BB9988 Cinnamon Roast
+C0737A Cinnamon Roll
+C2612C Cinnamon Rufous
+B78153 Cinnamon Sand
+CD607E Cinnamon Satin
+BA9275 Cinnamon Scone
+9C5736 Cinnamon Sparkle
+935F43 Cinnamon Spice
+B05127 Cinnamon Stick
+C9543A Cinnamon Stone
+B64C2D Cinnamon Sunset
+DEC0AD Cinnamon Tea
+8D7D77 Cinnamon Toast
+9F7250 Cinnamon Twist
+DAB2A4 Cinnamon Whip
+A6646F Cinnapink
+FFFF88 Cinque Foil
+5D3B2E Cioccolato
+AA7691 Cipher
+C8CEC3 Cipollino
+6258C4 Circumorbital Ring
+FC5E30 Circus
+AD835C Circus Peanut
+954A4C Circus Red
+D6E4E1 Cirrus Blue
+A9B0B6 Cistern
+6A7F8B Citadel
+9EABAD Citadel Blue
+F6B906 Citra
+E4D00A Citrine
+933709 Citrine Brown
+FAF7D6 Citrine White
+E9E89B Citrino
+D5C757 Citron
+DEFF00 Citron Goby
+66BB77 Citronella
+B8AF23 Citronelle
+C4AA27 Citronette
+DBB239 Citronite
+CD9C2B Citronne
+9FB70A Citrus
+E1793A Citrus Blast
+E4DE8E Citrus Butter
+D0D557 Citrus Delight
+F9A78D Citrus Hill
+F6B96B Citrus Honey
+B3D157 Citrus Leaf
+C3DC68 Citrus Lime
+F7EDDE Citrus Mist
+D26643 Citrus Notes
+B7BB6B Citrus Peel
+FDEA83 Citrus Punch
+EDE0AE Citrus Rind
+F2C6A7 Citrus Sachet
+E2CD52 Citrus Spice
+FFC400 Citrus Splash
+E6D943 Citrus Sugar
+8BC34A Citrus Surge
+D7C275 Citrus Yellow
+EDC85A Citrus Zest
+6E674B City Arboretum
+675C49 City Bench
+E0E0DC City Brume
+C0B9AC City Dweller
+0022AA City Hunter Blue
+DFE6EA City Lights
+A79B8A City Loft
+B3ADA4 City of Bridges
+FAE6CB City of Diamonds
+E6B4A6 City of Pink Angels
+525C61 City Rain
+663333 City Roast
+D8D3C3 City Steam
+888C8C City Storm
+BAB2AB City Street
+D1A67D City Sunrise
+AEABA5 City Tower
+DAE3E7 Cityscape
+C56138 Civara
+DBE9DF Clair de Lune
+838493 Clairvoyance
+480656 Clairvoyant
+DAD1C0 Clam
+F4D9AF Clam Chowder
+EBDBC1 Clam Up
+E0D1BB Clambake
+EDD0B6 Clamshell
+680018 Claret
+C84C61 Claret Red
+E69C23 Clarified Butter
+FEA15B Clarified Orange
+002255 Clarinet
+EAF0E0 Clarity
+684976 Clary
+C7C0CE Clary Sage
+BBAAA1 Classic
+6E7042 Classic Avocado
+7C5261 Classic Berry
+0F4E81 Classic Blue
+A38BBF Classic Bouquet
+6D624E Classic Bronze
+6A493D Classic Brown
+6B8885 Classic Calm
+F4F4F0 Classic Chalk
+974146 Classic Cherry
+9197A3 Classic Cloud
+B7B2AC Classic Cool
+7A9494 Classic Damask
+888782 Classic French Grey
+C9A367 Classic Gold
+3EB753 Classic Green
+A39D93 Classic Grey
+ACACA7 Classic Greyscale
+F2E0C3 Classic Ivory
+DBC79F Classic Khaki
+F0EADC Classic Light Buff
+728284 Classic Movie
+685E3F Classic Olive
+C52534 Classic Red
+FBCCE7 Classic Rose
+D6BCAA Classic Sand
+B9B9B4 Classic Silver
+D3BCA4 Classic Taupe
+E4CEAE Classic Terra
+71588D Classic Waltz
+EBB875 Classical Gold
+8B7989 Classical Violet
+ECE1CB Classical White
+F8D492 Classical Yellow
+AEACAD Classy
+BB99AA Classy Mauve
+887E82 Classy Plum
+911F21 Classy Red
+B66A50 Clay
+DACEBE Clay Angel
+BDC8B3 Clay Ash
+E1C68F Clay Bake
+8A7D69 Clay Bath
+D5D1C3 Clay Beige
+A9765D Clay Court
+897E59 Clay Creek
+A48374 Clay Dusk
+F8DCA3 Clay Dust
+AF604D Clay Figure
+C8C1B6 Clay Figurine
+D8A686 Clay Fire
+BD856C Clay Ground
+A68779 Clay Marble
+D37959 Clay Mug
+AE895D Clay Ochre
+BDB298 Clay Pebble
+D9C8B7 Clay Pipe
+774433 Clay Play
+C3663F Clay Pot
+956A66 Clay Ridge
+CDCACE Clay Slate Wacke
+D4823C Clay Terrace
+83756C Clayton
+969283 Claytone
+D8DDB6 Clean Air
+EFF0E9 Clean Buffer
+F6E9D3 Clean Canvas
+8FE0C6 Clean Green
+4EC0ED Clean Pool
+577396 Clean Slate
+CCBCB0 Clean Sweep
+C4EAE0 Clear Aqua
+247AFD Clear Blue
+60949B Clear Brook
+F6E6E4 Clear Calamine
+DAE8E1 Clear Camouflage Green
+1E90FF Clear Chill
+DFDBD8 Clear Cinnamon
+BAB6B2 Clear Concrete
+98CECD Clear Cove
+DFEFEA Clear Day
+12732B Clear Green
+A3BBDA Clear Lake Trail
+766CB0 Clear Mauve
+FAF6EA Clear Moon
+214F86 Clear Night Sky
+EE8800 Clear Orange
+64005E Clear Plum
+B4CCCB Clear Pond
+412A7A Clear Purple
+CE261C Clear Red
+EAE7DA Clear Sand
+E8F7FD Clear Skies
+8ECCFE Clear Sky
+E0DDD3 Clear Stone
+CAD6DA Clear to See
+008A81 Clear Turquoise
+E2EAE7 Clear View
+367588 Clear Viridian
+E7F0F7 Clear Vision
+A3BEC4 Clear Vista
+AAD5DB Clear Water
+66BBDD Clear Weather
+F1F1E6 Clear Yellow
+C4DBCB Clearly Aqua
+7E6596 Clematis
+3C3D8A Clematis Blue
+98B652 Clematis Green
+E05AEC Clematis Magenta
+E96E00 Clementine
+FF9D0A Clementine Earring
+FFAD01 Clementine Jelly
+00507F Cleo’s Bath
+007590 Cleopatra
+795088 Cleopatra’s Gown
+F4E6E0 Clerestory
+F6EBEE Clichy White
+5D8FBD Cliff Blue
+D0AB8C Cliff Brown
+C5AE80 Cliff Ridge
+B19475 Cliff Rock
+ECDDD4 Cliff Swallow
+DDC5AA Cliff’s View
+6F8165 Cliffside Park
+E5E1CD Climate Change
+466082 Climate Control
+58714A Climbing Ivy
+B2CFD3 Clinical Soft Blue
+463623 Clinker
+663145 Clinker Red
+A1B841 Clipped Grass
+A6937D Clippership Twill
+550055 Cloak and Dagger
+605E63 Cloak Grey
+916660 Cloak of Mystery
+002211 Clock Chimes Thirteen
+E07630 Clockwork Orange
+72573D Clockworks
+0773AF Cloisonné
+A58235 Cloisonné Gold
+99B090 Cloistered Garden
+5F6C84 Clooney
+361D0A Close but No Cigar
+D5D6CF Close Knit
+25252C Closed Shutter
+E1DED9 Closet Skeletons
+F3EFCD Clotted Cream
+991115 Clotted Red
+E4F0EF Cloud
+DFE7EB Cloud Abyss
+F6F1FE Cloud Break
+ADB5BC Cloud Cover
+F1EEE8 Cloud Dancer
+A4ABAB Cloud Mountain
+F9CEC6 Cloud Number Nine
+F1E2C4 Cloud of Cream
+C2BCB1 Cloud Over London
+FAF9F8 Cloud Petal
+FFA168 Cloudberry
+7B7777 Cloudburst
+1F75FE Clouded Blue
+628468 Clouded Pine
+7D93A2 Clouded Sky
+D1D0D1 Clouded Vision
+D6EAFC Cloudless
+9AB1BF Cloudless Day
+D8D7D3 Cloudy
+ACC2D9 Cloudy Blue
+177245 Cloudy Camouflage
+FFA812 Cloudy Carrot
+87715F Cloudy Cinnamon
+DFE6DA Cloudy Day
+B0A99F Cloudy Desert
+ECE3E1 Cloudy Grey
+E3BC6F Cloudy Honey
+9D7AAC Cloudy Plum
+6699AA Cloudy Sea
+C2D5DA Cloudy Sky
+E4BD76 Cloudy Sunset
+A6A096 Cloudy Today
+B1C6D6 Cloudy Valley
+4B5F56 Cloudy Viridian
+876155 Clove
+766051 Clove Brown
+C8805F Clove Bud
+A96232 Clove Dye
+523F21 Clove Yellow Brown
+B0705D Clovedust
+008F00 Clover
+1C6A53 Clover Brook
+006C44 Clover Green
+F0E2BC Clover Honey
+6FC288 Clover Mist
+4A9D5B Clover Patch
+CD9BC4 Clover Pink
+C4D056 Clown Green
+E94257 Clown Nose
+8BC3E1 Club Cruise
+464159 Club Grey
+834370 Club Mauve
+6B977A Club Moss
+3E4A54 Club Navy
+E2EDEB Club Soda
+F8DE7E Club-Mate
+2B245A Cluedo Night
+D3B683 Clumsy Caramel
+E8E2E0 Clytemnestra
+4978A9 Co Pilot
+CADFEC CO₂
+003527 Coach Green
+3B3B3D Coal Hard Truth
+220033 Coal Mine
+777872 Coal Miner
+53555E Coal Tipple
+181B26 Coarse Wool
+F6E6DB Coast Cream
+BDD4D1 Coast to Coast
+F0EBD9 Coastal Beige
+E0F6FB Coastal Breeze
+538F94 Coastal Calm
+B4C0AF Coastal Crush
+727B76 Coastal Dusk
+505D7E Coastal Fjord
+B0E5C9 Coastal Foam
+E5E8E4 Coastal Fog
+80B9C0 Coastal Fringe
+006E7F Coastal Jetty
+D2E8EC Coastal Mist
+9FA694 Coastal Plain
+C9A985 Coastal Sand
+9EA4A6 Coastal Sea Fog
+7D807B Coastal Storm
+2D4982 Coastal Surf
+BDFFCA Coastal Trim
+9E9486 Coastal Villa
+8293A0 Coastal Vista
+7DB7DB Coastal Waters
+4398BC Coastline Blue
+6E6C5B Coastline Trail
+2E2F30 Coated
+9999FF Cobalite
+030AA7 Cobalt
+02367D Cobalt Blue Tarantula
+4D585B Cobalt Cannon
+4E719D Cobalt Flame
+0072B5 Cobalt Glaze
+648FC4 Cobalt Glow
+94FF94 Cobalt Green
+353739 Cobalt Night
+0264AE Cobalt Stone
+7A6455 Cobble Brown
+C4AB7D Cobbler
+B2967E Cobbler Shop
+A89A8E Cobblestone
+9E8779 Cobblestone Path
+CFC7B9 Cobblestone Street
+B08E08 Cobra Leather
+996515 Cobre
+B56D5D Cobrizo
+BD9D95 Coca Mocha
+F8B862 Cochin Chicken
+9D2933 Cochineal Red
+DDCDB3 Cochise
+FF88BB Cochonnet
+58C8B6 Cockatoo
+A46422 Cockatrice Brown
+E3C6AF Cockleshell
+BC5378 Cockscomb Red
+5A7AA2 Cocktail Blue
+8EB826 Cocktail Green
+FD9A52 Cocktail Hour
+9FA36C Cocktail Olive
+DCE2AD Cocktail Onion
+D1BBA1 Coco
+E4DCC9 Coco Malt
+994A25 Coco Muck
+9B7757 Coco Rum
+EEDD88 Coco-Lemon Tart
+1C1C1A Coco’s Black
+875F42 Cocoa
+4F3835 Cocoa Bean
+A08882 Cocoa Berry
+35281E Cocoa Brown
+F5F4C1 Cocoa Butter
+B9A39A Cocoa Craving
+DBC8B6 Cocoa Cream
+967859 Cocoa Cupcake
+8D725A Cocoa Delight
+D0B7A4 Cocoa Dust
+C4AD96 Cocoa Froth
+7D675D Cocoa Milk
+BC9F7E Cocoa Nib
+A8816F Cocoa Nutmeg
+DFCEC2 Cocoa Parfait
+967B5D Cocoa Pecan
+766A5F Cocoa Powder
+7E6657 Cocoa Shell
+A08E7E Cocoa Whip
+784848 Cocobolo
+AA8F7A Cocoloco
+965A3E Coconut
+EBE8E7 Coconut Agony
+EEEEDD Coconut Aroma
+F2EFE1 Coconut Butter
+E1DABB Coconut Cream
+F0E2CF Coconut Cream Pie
+E2CEA6 Coconut Crumble
+676D43 Coconut Grove
+7D6044 Coconut Husk
+DDD4C7 Coconut Ice
+DACAC0 Coconut Macaroon
+EEEBE2 Coconut Milk
+FBF9E1 Coconut Pulp
+FEE4B6 Coconut Scent
+917A56 Coconut Shell
+F7F1E1 Coconut Twist
+E9EDF6 Coconut White
+DEDBCC Cocoon
+2D3032 Cod Grey
+9C9C9C Codex Grey
+524B2A Codium Fragile
+8C4040 Codman Claret
+0E7F78 Coelia Greenshade
+497D93 Coelin Blue
+6F4E37 Coffee
+883300 Coffee Addiction
+775511 Coffee Adept
+DBD6D3 Coffee Bag
+825C43 Coffee Bar
+362D26 Coffee Bean
+6F0C0D Coffee Brick
+B5987F Coffee Cake
+B7997C Coffee Clay
+FFF2D7 Coffee Cream
+AB9B9C Coffee Custard
+BEA88D Coffee Diva
+BF9779 Coffee Gelato
+302010 Coffee Grounds
+6C5B4D Coffee House
+B19576 Coffee Kiss
+6A513B Coffee Liqueur
+A9898D Coffee Rose
+725042 Coffee Shop
+DF9D5B Coffee Whip
+A68966 Coffee With Cream
+D48C46 Cognac
+B98563 Cognac Brown
+A17B49 Cognac Tint
+90534A Cogswell Cedar
+E0D5E3 Coin Purse
+FF4411 Coin Slot
+C7DE88 Coincidence
+3C2F23 Cola
+3C3024 Cola Bubble
+C1DCDB Cold Air Turquoise
+154250 Cold and Dark
+BBEEEE Cold Blooded
+88DDDD Cold Blue
+785736 Cold Brew Coffee
+C75D42 Cold Brew Tonic
+DBFFFE Cold Canada
+234272 Cold Current
+EFECE3 Cold Foam
+85B3B2 Cold Front Green
+008B3C Cold Green
+9F9F9F Cold Grey
+22DDEE Cold Heights
+DDE3E6 Cold Light
+00EEEE Cold Light of Day
+9BA0EF Cold Lips
+E6E5E4 Cold Morning
+559C9B Cold North
+D6EAE8 Cold Omen
+0033DD Cold Pack
+D09351 Cold Pilsner
+BCA5AD Cold Pink
+6C2E09 Cold Press Coffee
+665B42 Cold Pressed
+9D8ABF Cold Purple
+32545E Cold Sea Currents
+D4E0EF Cold Shoulder
+ACBAC5 Cold Snap
+FFF7FD Cold Snow
+D9E7E6 Cold Soft Blue
+88BB66 Cold Spring
+262335 Cold Steel
+7E8692 Cold Trade Winds
+CFE1EF Cold Turbulence
+CAB5B2 Cold Turkey
+A5D0CB Cold Turquoise
+D9DFE0 Cold Water
+839FA3 Cold Waterlogged Lab Coat
+C2E2E3 Cold Wave
+C1E2E3 Cold Well Water
+EDFCFB Cold White
+E1E3E4 Cold Wind
+B4BCD1 Cold Winter’s Morn
+CEC8B6 Coliseum Marble
+536861 Collard Green
+9B8467 Collectible
+EBECDA Colleen Green
+BDB7CD Collensia
+75BFD2 Cologne
+EFC944 Colombian Yellow
+BA7AB3 Colombo Red Mauve
+B68238 Colonel Mustard
+B2B1AD Colonnade Grey
+C6C0B6 Colonnade Stone
+EE7766 Colorado Bronze
+E09CAB Colorado Dawn
+E6994C Colorado Peach
+9C9BA7 Colorado Peak
+88AAC4 Colorado Springs
+B49375 Colorado Trail
+625C91 Colossus
+C6D2DE Colour Blind
+7CB77B Colour Me Green
+AA5C43 Colourful Leaves
+009792 Columbia
+9BDDFF Columbia Blue
+BEB861 Columbian Gold
+F5DAE3 Columbine
+D0CBCE Columbo’s Coat
+5F758F Columbus
+006F37 Column of Oak Green
+7F725C Colusa Wetlands
+F4F0DE Combed Cotton
+5C92C5 Come Sail Away
+636373 Comet
+C1DAED Comet Tail
+E3CEB8 Comfort
+BEC3BB Comfort Grey
+D7C0AB Comforting
+CC1144 Comforting Cherry
+D5E0CF Comforting Green
+C5C3B4 Comforting Grey
+64856B Comfrey
+E3D2B6 Comfy Beige
+F3D1C8 Comical Coral
+DE7485 Coming up Roses
+0B597C Commandes
+EDECE6 Commercial White
+25476A Commodore
+C8AD7F Common Chalcedony
+CD5C5C Common Chestnut
+FED85D Common Dandelion
+858F94 Common Feldspar
+946943 Common Jasper
+009193 Common Teal
+CC0000 Communist
+D0B997 Community
+4C785C Como
+CDCDCD Compact Disc Grey
+8A877B Compass
+35475B Compass Blue
+E8C89E Compatible Cream
+847975 Complex Grey
+9E91AE Compliment
+BBC8B2 Composed
+7A6E7E Composer’s Magic
+55CC00 Composite Artefact Green
+6C3877 Comtesse
+B12845 Con Brio
+263130 Concealed Green
+405852 Concealment
+D5BDA3 Concept Beige
+7AC34F Conceptual
+9E6B75 Concerto
+A0B1AE Conch
+DBA496 Conch Pink
+FC8F9B Conch Shell
+ABB9D7 Conclave
+827F79 Concord
+E2CEB0 Concord Buff
+855983 Concord Grape
+695A82 Concord Jam
+D2D1CD Concrete
+999988 Concrete Jungle
+5C606E Concrete Landscape
+8D8A81 Concrete Sidewalk
+B98142 Condiment
+FFFFCC Conditioner
+4A6169 Cone Green Blue
+6D7E7D Coney Island
+F4ECDA Confection
+D4B4D5 Confectionary
+DDCB46 Confetti
+A98A6B Confidence
+E4DFCE Confident White
+FFCC13 Confident Yellow
+01C08D Cōng Lǜ Green
+E8C3BE Congo
+654D49 Congo Brown
+776959 Congo Capture
+00A483 Congo Green
+F98379 Congo Pink
+02478E Congress Blue
+100438 Congressional Navy
+B1DD52 Conifer
+FFDD49 Conifer Blossom
+885555 Conifer Cone
+747767 Conifer Green
+B94E41 Conker
+552200 Conker Brown
+654E44 Connaisseur
+EB6651 Connect Red
+898473 Connected Grey
+CCBBEE Connecticut Lilac
+175A6C Connor’s Lakefront
+F2D9B8 Cono de Vainilla
+796E54 Conservation
+D1D0C6 Conservative Grey
+E4CDAC Consommé
+57465D Conspiracy Velvet
+CD8E7F Constant Coral
+BCCEDB Constellation
+3C4670 Constellation Blue
+EE8442 Construction Zone
+F5811A Consumed by Fire
+BB4745 Conte Crayon
+BEC6BB Contemplation
+70766A Contemplative
+BDC0B3 Contented
+C16F68 Contessa
+98C6CB Continental Waters
+DEDEFF Contrail
+F2C200 Contrasting Yellow
+E9D6B0 Convivial Yellow
+CD98A3 Cooing Doves
+014E83 Cook’s Bay
+FFE2B7 Cookie
+B19778 Cookie Crumb
+E3B258 Cookie Crust
+AB7100 Cookie Dough
+EEE0B1 Cookies and Cream
+96B3B3 Cool
+28394D Cool Air of Debonair
+A9D99C Cool Aloe
+C6D86B Cool as a Cucumber
+929291 Cool Ashes
+C4B47D Cool Avocado
+18233D Cool Balaclavas Are Forever
+C6B5A7 Cool Beige
+002E63 Cool Black
+4984B8 Cool Blue
+6B927C Cool Bluegrass
+AE996B Cool Camel
+827566 Cool Camo
+F1D3CA Cool Cantaloupe
+807B76 Cool Charcoal
+BA947B Cool Clay
+D9D0C1 Cool Concrete
+AD8458 Cool Copper
+B0E6E3 Cool Crayon
+FBE5D9 Cool Cream
+B88035 Cool Cream Spirit
+283C44 Cool Current
+96AABA Cool Customer
+FDFBF8 Cool December
+00606F Cool Dive
+7B9DAD Cool Dusk
+CFCFD0 Cool Elegance
+E7E6ED Cool Frost
+ABACA8 Cool Granite
+33B864 Cool Green
+8C93AD Cool Grey
+E1EEE6 Cool Icicle
+BEE7E0 Cool Jazz
+9ACABA Cool Juniper
+E97C6B Cool Lava
+B3A6A5 Cool Lavender
+EBD1CD Cool Melon
+C6DAD5 Cool Mint
+384248 Cool Operator’s Overalls
+CAE4B2 Cool Peridot
+ACAD97 Cool Pine
+E5CCD1 Cool Pink
+AA23FF Cool Purple
+CBB5C6 Cool Quiet
+EAF0EB Cool Reflection
+D9DBCA Cool Runnings
+B4B9AB Cool Sea Air
+CFE0E4 Cool Sky
+D0CCC5 Cool Slate
+BBD9C3 Cool Spring
+0091B3 Cool Tide
+7295C9 Cool Touch
+D5D7D3 Cool Vapour
+9BD9E5 Cool Water Lake
+487678 Cool Waters
+DAE6E2 Cool White
+EAEFCE Cool Yellow
+499C9D Coolbox Ice Turquoise
+75B9AE Cooled Blue
+FADC97 Cooled Cream
+77BBFF Cooler Than Ever
+E6E2E4 Cooling Trend
+006C8D Copacabana
+E5D68E Copacabana Sand
+57748D Copen Blue
+ADC8C0 Copenhagen
+21638B Copenhagen Blue
+D0851D Copious Caramel
+B87333 Copper
+B1715A Copper Beech
+E8C1AB Copper Blush
+9A6051 Copper Brown
+77422C Copper Canyon
+F4BB92 Copper Cloud
+DA8A67 Copper Coin
+D89166 Copper Cove
+A35D31 Copper Creek
+D57E52 Copper Harbor
+C48C67 Copper Hide
+BF4000 Copper Hopper
+C09078 Copper Lake
+B2764C Copper Mine
+398174 Copper Mineral Green
+945C54 Copper Mining
+C29978 Copper Moon
+AB714A Copper Mountain
+9DB4A0 Copper Patina
+AD6F69 Copper Penny
+946877 Copper Pink
+DA8F67 Copper Pipe
+936647 Copper Pot
+3E4939 Copper Pyrite Green
+CB6D51 Copper Red
+F7A270 Copper River
+6F978E Copper Roof Green
+996666 Copper Rose
+95524C Copper Rust
+DC8C5D Copper Tan
+C18978 Copper Trail
+38887F Copper Turquoise
+DB8B67 Copper Wire
+AD6342 Copper-Metal Red
+DA8A88 Copperfield
+D68755 Copperhead
+CF8874 Copperleaf
+D98A3F Coppersmith
+7F4330 Coppery Orange
+654636 Copra
+FF3800 Coquelicot
+E5DCDC Coquette
+9D8D8E Coquina
+BB9A88 Coquina Shell
+F4C2C2 Cor-de-Pele
+FF7F50 Coral
+E29D94 Coral Almond
+DC938D Coral Atoll
+DA8C87 Coral Banks
+DDB8A3 Coral Bay
+FFBBAA Coral Beach
+EF9A93 Coral Bead
+FBC5BB Coral Bells
+F7C6B1 Coral Bisque
+F7BEA2 Coral Blossom
+E5A090 Coral Blush
+DD5544 Coral Burst
+F5D0C9 Coral Candy
+C2B1A1 Coral Clay
+DC958D Coral Cloud
+068E9E Coral Coast
+EE6666 Coral Commander
+FCCCA7 Coral Confection
+E9ADCA Coral Corn Snake
+FEAD8C Coral Correlation
+DDA69F Coral Cove
+EAD6CE Coral Cream
+FCD5C5 Coral Dune
+FFB48A Coral Dusk
+EDAA86 Coral Dust
+D76A69 Coral Expression
+E3A9A2 Coral Fountain
+FFC39E Coral Gable
+CF8179 Coral Garden
+CF714A Coral Gold
+ABE2CF Coral Green
+E28980 Coral Haze
+FFDDC7 Coral Kiss
+FCD6CB Coral Mantle
+E4694C Coral Orange
+E76682 Coral Paradise
+F39081 Coral Passion
+F88379 Coral Pink
+F7685F Coral Quartz
+C7BCA2 Coral Reef
+F3774D Coral Rose
+CA884E Coral Sand
+F9A48E Coral Serenade
+F2A37D Coral Silk
+ABD1AF Coral Springs
+DDC3B6 Coral Stone
+FF8B87 Coral Trails
+AB6E67 Coral Tree
+FEB890 Coral Wisp
+F08674 Coralette
+FF917A Coralistic
+DD675A Coralite
+F0DFCD Corallite
+FEA89F Corally
+9D6663 Corazon
+111122 Corbeau
+864C52 Cordial
+616665 Cordite
+EBE0C8 Cordon Bleu Crust
+7C3744 Cordova Burgundy
+893F45 Cordovan
+57443D Cordovan Leather
+404D49 Corduroy
+594035 Cordwood
+008E8D Corfu Shallows
+8993C3 Corfu Sky
+008AAD Corfu Waters
+BBB58D Coriander
+7E7463 Coriander Ochre
+BA9C75 Coriander Powder
+BDAA6F Coriander Seed
+DEDECF Corinthian Column
+E1D1B1 Corinthian Pillar
+FFA6D9 Corinthian Pink
+5A4C42 Cork
+7E6B43 Cork Bark
+CC8855 Cork Brown
+C1A98A Cork Wedge
+CC7744 Cork Wood
+9D805D Corkboard
+D1B9AB Corkscrew Willow
+BD9B78 Corky
+437064 Cormorant
+FBEC5D Corn
+EEC657 Corn Bread
+E1C595 Corn Chowder
+F8F3C4 Corn Field
+8D702A Corn Harvest
+F2D6AE Corn Husk
+CECD95 Corn Husk Green
+FFCBA4 Corn Kernel
+DEAA6E Corn Maze
+EE4411 Corn Poppy Cherry
+AB6134 Corn Snake
+B31B11 Cornell Red
+BC8F5F Corner Café
+E3D7BB Cornerstone
+F0E68C Cornflake
+5170D7 Cornflower
+6C91C5 Cornflower Blue
+FFB0AC Cornflower Lilac
+FFD691 Cornmeal
+EBD5C5 Cornmeal Beige
+FFF8DC Cornsilk
+F4C96C Cornsilk Yellow
+A7B25F Cornstalk
+ED9B44 Cornucopia
+908C53 Cornus Green
+4885AA Cornwall
+949488 Cornwall Slate
+FFB437 Corona
+D5A68D Coronado Dunes
+9BA591 Coronado Moss
+EDECEC Coronation
+59529C Coronation Blue
+59728E Coronet Blue
+78A486 Corporate Green
+61513D Corral
+937360 Corral Brown
+F18A76 Corralize
+4DA48B Corrosion Green
+772F21 Corrosion Red
+54D905 Corrosive Green
+18576C Corsair
+85AC9D Corsican
+646093 Corsican Blue
+7A85AF Corsican Purple
+A99592 Cortex
+A4896A Cortez Chocolate
+4A6267 Corundum Blue
+95687D Corundum Red
+E9BA81 Corvette
+A2C7D7 Corydalis Blue
+A4C48E Cos
+D3BED5 Cosmetic Mauve
+F3C1AB Cosmetic Peach
+A56078 Cosmetic Red
+DD669D Cosmetologist’s Pink
+B8B9CB Cosmic
+CFB3A6 Cosmic Aura
+8B4F90 Cosmic Berry
+001000 Cosmic Bit Flip
+93C3CB Cosmic Blue
+2E2D88 Cosmic Cobalt
+E77E6C Cosmic Coral
+DCE2E5 Cosmic Dust
+9392AB Cosmic Energy
+551155 Cosmic Explorer
+30A877 Cosmic Green
+9601F4 Cosmic Heart
+FFF8E7 Cosmic Latte
+E6A8D7 Cosmic Pink
+9EA19F Cosmic Quest
+CADADA Cosmic Ray
+DA244B Cosmic Red
+AAAAC4 Cosmic Sky
+090533 Cosmic Void
+A09BC6 Cosmo Purple
+528BAB Cosmopolitan
+FCD5CF Cosmos
+003249 Cosmos Blue
+4D8AA1 Cossack Dancer
+328E13 Cossack Green
+625D2A Costa Del Sol
+77BCE2 Costa Rica Blue
+C44041 Costa Rican Palm
+6477A0 Costume Blue
+C3A598 Cosy Blanket
+AA8F7D Cosy Cocoa
+F2DDD8 Cosy Cottage
+E4C38F Cosy Cover
+F0CCAD Cosy Coverlet
+E0DBC7 Cosy Cream
+FBA765 Cosy Nook
+EB9F9F Cosy Summer Sunset
+E8E1D0 Cosy White
+D1B99B Cosy Wool
+017C85 Cote D’Azur
+340059 Cotinga Purple
+DBCDAD Cotswold Dill
+789EC5 Cottage Blue
+357697 Cottage by the Sea
+AFBEB0 Cottage Charm
+EDDBBD Cottage Cream
+DCECDC Cottage Green
+ACB397 Cottage Hill
+828676 Cottage Lattice Green
+D9A89A Cottage Rose
+A85846 Cottage Spice
+A08E77 Cottage Walk
+F7EFDD Cottage White
+FFDAD9 Cottagecore Sunset
+EDDBD7 Cottingley Fairies
+EEEBE1 Cotton
+DCC6BA Cotton & Flax
+F2F7FD Cotton Ball
+F5F1E4 Cotton Blossom
+E7EFFB Cotton Boll
+FFBCD9 Cotton Candy
+F5BCDE Cotton Candy Aesthetic
+FFC3CB Cotton Candy Comet
+DD22FF Cotton Candy Explosions
+DEC74B Cotton Candy Grape
+7596B8 Cotton Cardigan
+FAF4D4 Cotton Cloth
+C2E1EC Cotton Clouds
+F3E4D3 Cotton Club
+91ABBE Cotton Denim
+F0EAD8 Cotton Down
+DAD0BD Cotton Fibre
+F2F0E8 Cotton Field
+9090A2 Cotton Flannel
+F8F0C7 Cotton Floss
+F9F4E5 Cotton Fluff
+D1CCC3 Cotton Grey
+066976 Cotton Indigo
+E5DFD2 Cotton Knit
+EED09C Cotton Muslin
+FFFFE7 Cotton Puff
+F1EBDB Cotton Ridge
+F7EBDD Cotton Sheets
+FFF8D7 Cotton Tail
+E5E1D5 Cotton Tuft
+FAF1DF Cotton Whisper
+E4E3D8 Cotton White
+83ABD2 Cotton Wool Blue
+F5E6C7 Cottonseed
+4E2A20 Couch
+C2B4A7 Couch Potato
+9A7F78 Cougar
+5E2D10 Count Chocula
+772277 Count’s Wardrobe
+9FB6C6 Country Air
+EAE1CB Country Beige
+717F9B Country Blue
+E0D9D5 Country Breeze
+C7C0A7 Country Charm
+948675 Country Club
+B8A584 Country Cork
+D9C1B7 Country Cottage
+F1E9D2 Country Dairy
+B0967C Country Dweller
+414634 Country House Green
+5D7A85 Country Lake
+FCEAD1 Country Lane
+894340 Country Lane Red
+D7C2A6 Country Linen
+1A5A4E Country Meadow
+DFEBE2 Country Mist
+D0BCA2 Country Rubble
+49545A Country Sky
+7E4337 Country Sleigh
+124A42 Country Squire
+FFFBD7 Country Summer
+837B68 Country Tweed
+88C096 Country Weekend
+A4A404 Countryside
+1B4B35 County Green
+DAA135 Courgette Yellow
+B9B7A0 Court Green
+926D9D Court Jester
+CECB97 Court-Bouillon
+D2D3DE Courteous
+BBAFC1 Courtly Purple
+C8BDA4 Courtyard
+718084 Courtyard Blue
+978D71 Courtyard Green
+E3D3BA Courtyard Tan
+FFE29B Couscous
+55A9D6 Cousteau
+86B097 Covent Garden
+8BA9BC Coventry Blue
+494E4F Cover of Night
+6A3C3B Covered Bridge
+B9BABA Covered in Platinum
+726449 Covered Wagon
+80765F Covert Green
+D4CDD2 Coverts Wood Pigeon
+9BBDB2 Coveted Blue
+B6B3BF Coveted Gem
+F1EDE5 Cow’s Milk
+FBF1C0 Cowardly Custard
+FFE481 Cowbell
+443736 Cowboy
+695239 Cowboy Boots
+B27D50 Cowboy Hat
+7A7F82 Cowboy Spur
+763E2D Cowboy Suede
+8D6B4B Cowboy Trails
+6A87AB Cowgirl Blue
+9E7C60 Cowgirl Boots
+92484A Cowhide
+661100 Cowpeas
+FFF4F3 Coy
+F9DAD8 Coy Pink
+DC9B68 Coyote
+81613C Coyote Brown
+B08F7F Coyote Tracks
+AE9671 Coyote Wild
+0AAFA4 Cozumel
+F0B599 Crab Bisque
+D94B28 Crab Curry
+004455 Crab Nebula
+87382F Crabapple
+753531 Crabby Apple
+B0A470 Crack Willow
+C5B1A0 Cracked Earth
+4F5152 Cracked Pepper
+69656A Cracked Slate
+F4DFBD Cracked Wheat
+D1B088 Cracker Bitz
+D3B9B0 Cracker Crumbs
+F2E7D1 Crackled
+A27C4F Crackled Leather
+B3C5CC Crackling Lake
+F1D3D9 Cradle Pillow
+EAC9D5 Cradle Pink
+293B4A Craft
+B7A083 Craft Brown
+E3C8AA Craft Juggler
+8A6645 Craft Paper
+008193 Craftsman Blue
+AE9278 Craftsman Brown
+D3B78B Craftsman Gold
+A65648 Crail
+2B8288 Cranach Blue
+DB8079 Cranapple
+E6C4C5 Cranapple Cream
+9E003A Cranberry
+7494B1 Cranberry Blue
+AB7A71 Cranberry Foule
+A34F55 Cranberry Jam
+C27277 Cranberry Pie
+7E5350 Cranberry Red
+A53756 Cranberry Sauce
+DA5265 Cranberry Splash
+893E40 Cranberry Tart
+8E4541 Cranberry Whip
+A65570 Cranbrook
+954C52 Crantini
+EEEE66 Crash Dummy
+CC88FF Crash Pink
+3E6F87 Crashing Waves
+75674F Crater
+4D3E3C Crater Brown
+C8CED6 Crater Crawler
+63797E Crater Lake
+EEEDD9 Cravat
+016496 Craving Cobalt
+BC763C Cray
+1DAC78 Crayola Green
+FE7438 Crayola Orange
+E5CB3F Crazy
+CC1177 Crazy Ex
+5EB68D Crazy Eyes
+A57648 Crazy Horse
+F970AC Crazy Pink
+FFFFC2 Cream
+FEEEA5 Cream and Butter
+DDCFB9 Cream and Sugar
+F8C49A Cream Blush
+E3D0AD Cream Cake
+EEC051 Cream Can
+D7D3A6 Cream Cheese Avocado
+F4EFE2 Cream Cheese Frosting
+F1F3DA Cream Clear
+F2D7B0 Cream Custard
+EAE3D0 Cream Delight
+F5F1DA Cream Filling
+DCC356 Cream Gold
+DFD2BE Cream in My Coffee
+EBD1BE Cream of Mushroom
+F6E4D9 Cream Pink
+FFBB99 Cream Puff
+EEE3C6 Cream Silk
+ECCBA0 Cream Snap
+E4C7B8 Cream Tan
+A9AABD Cream Violet
+F2E0C5 Cream Washed
+E8DBC5 Cream Wave
+F2EEE2 Cream White
+70804D Creamed Avocado
+FFFCD3 Creamed Butter
+B79C94 Creamed Caramel
+8B6962 Creamed Muscat
+BD6883 Creamed Raspberry
+EDD2B7 Creamery
+EFE8DB Creamy
+FFE8BD Creamy Apricot
+D8F19C Creamy Avocado
+FFDAE8 Creamy Axolotl
+FDE1C5 Creamy Beige
+DEBCCD Creamy Berry
+F9EEDC Creamy Cameo
+DBCCB5 Creamy Cappuccino
+B3956C Creamy Caramel
+E1CFAF Creamy Chenille
+FFF5E0 Creamy Cloud Dreams
+DD7788 Creamy Coral
+FFF2C2 Creamy Corn
+F9E7BF Creamy Custard
+EBD0DB Creamy Freesia
+ECEFE3 Creamy Garlic
+F0E2C5 Creamy Gelato
+EEDDAA Creamy Ivory
+FFF0B2 Creamy Lemon
+DCCAD8 Creamy Mauve
+AAFFAA Creamy Mint
+988374 Creamy Mocha
+CABDAE Creamy Mushroom
+D4B88F Creamy Nougat
+FFE0AF Creamy Oat
+FCE9D1 Creamy Orange
+FE9C7B Creamy Orange Blush
+F4A384 Creamy Peach
+B2BFA6 Creamy Spinach
+CAC990 Creamy Spinaci
+FCD2DF Creamy Strawberry
+FFFBB0 Creamy Sunshine Pastel
+F7C34C Creamy Sweet Corn
+F2E5BF Creamy Vanilla
+F0E9D6 Creamy White
+7A6D44 Crease
+C9CABF Create
+DCBA42 Credo
+C1A44A Creed
+AB9D89 Creek Bay
+928C87 Creek Bend
+DBD7D9 Creek Pebble
+B48AC2 Creeping Bellflower
+041723 Creeping Death
+C16104 Crema
+FFFFB6 Crème
+F8EDE2 Creme Angels
+FFE39B Crème Brûlée
+D4B38F Crème de Caramel
+F3E7B4 Crème de la Crème
+F1FDE9 Crème de Menthe
+FDF5E0 Crème de Pêche
+ECEEE6 Crème Fraîche
+FDD77A Crème Pâtissière
+F1F0E0 Crème Vanille
+CFA33B Cremini
+F0E2C4 Cremini Mushroom
+393227 Creole
+E7B89A Creole Cottage
+C69B4E Creole Mustard
+F5D6CC Creole Pink
+EE8833 Creole Sauce
+D4BC94 Crepe
+E399CA Crepe Myrtle
+DBD7C4 Crêpe Papier
+F0EEE3 Crepe Silk White
+CABEAE Crepey Chest
+E7DCCE Crepuscular
+E3DF84 Crescendo
+EDD1B1 Crescent Cream
+F1E9CF Crescent Moon
+BCA949 Cress Green
+BCB58A Cress Vinaigrette
+8AAE7C Cressida
+77A7A9 Cresting Waves
+B4BCBF Crestline
+598784 Cretan Green
+96908B Crete Shore
+CBB99B Crewel Tan
+E4D5BC Cria Wool
+A6A081 Cricket
+C7C10C Cricket Chirping
+C3D29C Cricket Field
+6A7B6B Cricket Green
+908A78 Cricket’s Cross
+E2CDB1 Crimini Mushroom
+8C000F Crimson
+AD3D1E Crimson Blaze
+B44933 Crimson Boy
+C32F40 Crimson Cloud
+982531 Crimson Garland
+BE0032 Crimson Glory
+C13939 Crimson Glow
+980001 Crimson Red
+9A2B43 Crimson Shadows
+B5413B Crimson Silk
+9F2D47 Crimson Strawberry
+C01B0C Crimson Sunset
+B53111 Crimson Sword
+B52604 Crimson Velvet Sunset
+B35138 Crimson Warrior
+BB2222 Crisis Red
+F4EBD0 Crisp Candlelight
+5D6E3B Crisp Capsicum
+CDCCA6 Crisp Celery
+A6080E Crisp Christmas Cranberries
+B1C8D2 Crisp Collar
+F4F0E7 Crisp Cotton
+22FFFF Crisp Cyan
+729EB9 Crisp French Blue
+ABC43A Crisp Green
+4F9785 Crisp Lettuce
+E7E1D3 Crisp Linen
+E9E2D7 Crisp Muslin
+F3DCC6 Crisp Wonton
+E7DFC1 Crispa
+E2BD67 Crisps
+DDAA44 Crispy Chicken Skin
+7A8F68 Crispy Crunch
+EBE0CF Crispy Crust
+BB7838 Crispy Gingersnap
+C49832 Crispy Gold
+FFBB66 Crispy Samosa
+B1A685 Crocker Grove
+A49887 Crockery
+706950 Crocodile
+CADABD Crocodile Dreams
+777722 Crocodile Eye
+B7AC87 Crocodile Green
+898E58 Crocodile Smile
+767437 Crocodile Style
+D6D69B Crocodile Tears
+D1CCC2 Crocodile Tooth
+C071A8 Crocus
+B99BC5 Crocus Petal
+FDF1C7 Crocus Tint
+C4AB86 Croissant
+F8EFD8 Croissant Crumbs
+D69F60 Cronut
+797869 Crooked River
+E9BF63 Crop Circle
+5C7B97 Cropper Blue
+AC9877 Croque Monsieur
+4971AD Croquet Blue
+A5A080 Cross Country
+AD2A2D Cross My Heart
+60543F Crossbow
+DDB596 Crossed Fingers
+DD2244 Crossing the Line
+EDD2A3 Crossroads
+180614 Crow
+263145 Crow Black
+112F4B Crow Black Blue
+102329 Crow Feather
+220055 Crowberry
+003447 Crowberry Blue
+5B4459 Crowd Pleaser
+484E68 Crown Blue
+701DCE Crown Chakra
+B48C60 Crown Gold
+946DAD Crown Jewels
+A1A9A9 Crown of Ash
+D8B411 Crown of Liechtenstein
+763C33 Crown of Thorns
+FFF0C1 Crown Point Cream
+D4B597 Crowned One
+5A4F6C Crowning
+1C1208 Crowshead
+555B59 Crucible
+CC0044 Crucified Red
+21C40E Crude Banana
+EE2288 Cruel Jewel
+DD3344 Cruel Ruby
+213638 Cruel Sea
+B4E2D5 Cruise
+018498 Cruising
+EFCEA0 Crumble Topping
+A38565 Crumbling Cork
+CABFB4 Crumbling Statue
+EE66BB Crumbly Lipstick
+F2B95F Crunch
+997A5A Crunch Granola
+EA5013 Crunchy Carrot
+DBC364 Crusade King
+D4CAC5 Crushed Almond
+D15B9B Crushed Berries
+83515B Crushed Berry
+FFEDD5 Crushed Cashew
+B7735E Crushed Cinnamon
+AE7F71 Crushed Clay
+835A88 Crushed Grape
+F5A497 Crushed Grapefruit
+C4FFF7 Crushed Ice
+D6DDD3 Crushed Limestone
+D6B694 Crushed Nutmeg
+E37730 Crushed Orange
+635D46 Crushed Oregano
+E0CFC8 Crushed Out
+E4DDD8 Crushed Peony
+EFCC44 Crushed Pineapple
+B06880 Crushed Raspberry
+D8CFBE Crushed Silk
+BCAA9F Crushed Stone
+445397 Crushed Velvet
+673C4C Crushed Violets
+165B31 Crusoe
+898076 Crust
+F38653 Crusta
+C04E01 Crustose Lichen
+C3D4E7 Cry Baby Blue
+427898 Cry Me a River
+B23C5D Cry of a Rose
+DDECE0 Cryo Freeze
+373B40 Crypt
+6D434E Cryptic Light
+FFE314 Crypto Gold
+A7D8DE Crystal
+CEE9A0 Crystal Apple
+A1D4D1 Crystal Aqua
+365955 Crystal Ball
+DBE2E7 Crystal Bay
+EFEEEF Crystal Bell
+68A0B0 Crystal Blue
+E4E6DC Crystal Brooke
+F4E9EA Crystal Clear
+FCCDC1 Crystal Coral
+F8F4ED Crystal Cut
+6D2C32 Crystal Dark Red
+E1E6F2 Crystal Falls
+79D0A7 Crystal Gem
+DDFFEE Crystal Glass
+A4D579 Crystal Green
+CFC1B8 Crystal Grey
+E7E2D6 Crystal Haze
+88B5C4 Crystal Lake
+A9A3A4 Crystal Noir
+AFC7BF Crystal Oasis
+D3CFAB Crystal Palace
+E8C3BF Crystal Pink
+B2E4D0 Crystal Rapids
+B1E2EE Crystal River
+FDC3C6 Crystal Rose
+D9E5DD Crystal Salt White
+5DAFCE Crystal Seas
+006E81 Crystal Teal
+B4CEDF Crystal Waters
+E4D99F Crystal Yellow
+E9E3DE Crystalline
+D9E6E2 Crystalline Falls
+DEBBBF Crystalline Pink
+ECDFDF Crystallise
+4FB3B3 Crystalsong Blue
+6E5C4B Cub
+4E6341 Cub Scout
+623D3D Cuba Brown
+73383C Cuba Libre
+927247 Cuban Cigar
+C76D6B Cuban Plaza
+9B555D Cuban Rhythm
+BC9B83 Cuban Sand
+B2B6BE Cube Farm
+006400 Cucumber
+BBDD11 Cucumber Bomber
+E4EBB1 Cucumber Cream
+A2AC86 Cucumber Crush
+466353 Cucumber Green
+CDD79D Cucumber Ice
+C2F177 Cucumber Milk
+3C773C Cucumber Queen
+9BA373 Cucuzza Verde
+BCCAE8 Cuddle
+C1E0BE Cuddle Bug
+EFEFE6 Cuddle Down
+AD8068 Cuddlepot
+FFFCE4 Cuddly Yarn
+7BB6C1 Culinary Blue
+E69B3A Culpeo
+331233 Cultist Robe
+F6F4F5 Cultured
+E5DCD6 Cultured Pearl
+E5867B Cultured Rose
+DADBDF Cumberland Fog
+68655D Cumberland Grey
+E5DFDC Cumberland Sausage
+A58459 Cumin
+A06600 Cumin Ochre
+695A45 Cummings Oak
+F19B7D Cumquat Cream
+F3F3E6 Cumulus
+B0C6DF Cumulus Cloud
+FEDD7D Cup Noodles
+BAA087 Cup of Cocoa
+CAAE7B Cup of Tea
+8A6E53 Cupcake
+E6C7B7 Cupcake Rose
+F5B2C5 Cupid
+EE6B8B Cupid’s Arrow
+FF22DD Cupid’s Eye
+EEDCDF Cupid’s Revenge
+406040 Cupidity
+DCBC8E Cupola Yellow
+B09F8F Cuppa Coffee
+B89871 Cuppa Tea
+008894 Curaçao Blue
+A6A6B6 Curated Lilac
+EAE1CE Curated White
+F8E1BA Curd
+BCA483 Curds and Whey
+AA6988 Cure All
+380835 Cured Eggplant
+D3D8D2 Curio
+988977 Curio Brown
+D9E49E Curious
+3D85B8 Curious Blue
+DABFA4 Curious Chipmunk
+D2BB98 Curious Collection
+766859 Curlew
+9C9D76 Curly Grass
+D8C8BE Curly Maple
+B1A387 Curly Willow
+884A50 Currant Jam
+553E51 Currant Violet
+D6A332 Curry
+845038 Curry Brown
+F5B700 Curry Bubbles
+CC6600 Curry Powder
+BE9E6F Curry Sauce
+DDAA33 Currywurst
+131313 Cursed Black
+666666 Cursed Grey
+70666A Curtain Call
+FFD6B8 Curtsy
+C1C8AF Cushion Bush
+FFFD78 Custard
+FBEFD0 Custard Cream
+F8DCAA Custard Powder
+FCEEAE Custard Puff
+003839 Customs Green
+9E909E Cut Heather
+A01C2D Cut Ruby
+BA7F38 Cut the Mustard
+B391C8 Cut Velvet
+DD4444 Cute Crab
+F4E2E1 Cute Little Pink
+8D8D40 Cute Pixie
+E3A49A Cuticle Pink
+F4DDA5 Cutlery Polish
+7FBBC2 Cuttlefish
+5C8173 Cutty Sark
+00FFFF Cyan
+4E82B4 Cyan Azure
+14A3C7 Cyan Blue
+28589C Cyan Cobalt Blue
+188BC2 Cyan Cornflower Blue
+00B5B8 Cyan Sky
+779080 Cyanara
+00B7EB Cyanite
+001F33 Cyanophobia
+77C9C2 Cyantific
+58427C Cyber Grape
+E6E6FA Cyber Lavender
+00FF26 Cyber Neon Green
+FFD400 Cyber Yellow
+FF2077 Cyberpink
+44484D Cyberspace
+D687BA Cyclamen
+A7598D Cyclamen Red
+F3E4A7 Cymophane Yellow
+171717 Cynical Black
+585D40 Cypress
+6F3028 Cypress Bark Red
+667C71 Cypress Garden
+9E8F57 Cypress Green
+6A7786 Cypress Grey Blue
+5E6552 Cypress Vine
+0F4645 Cyprus
+699A88 Cyprus Green
+ACB7B0 Cyprus Spring
+CFC5A7 Cyrus Grass
+775859 Czarina
+DEC9A9 Czech Bakery
+030764 D. Darx Blue
+516172 Da Blues
+AA6179 Daah-Ling
+7E553E Dachshund
+2F484E Dad’s Coupe
+D3C1A0 Dad’s Slippers
+B0AF8A Daddy-O
+696684 Daemonette Hide
+FFFF31 Daffodil
+FFE285 Daffodil Yellow
+E8E1D5 Dagger Moth
+8B4189 Dahlia
+F8BBD3 Dahlia Delight
+765067 Dahlia Matte Red
+B05988 Dahlia Mauve
+8774B0 Dahlia Purple
+D4D4C4 Daikon White
+012731 Daintree
+FDC592 Dainty Apricot
+F5DD9D Dainty Daisy
+F4BDB3 Dainty Debutante
+E9DFE5 Dainty Flower
+DECFBB Dainty Lace
+FFCDB9 Dainty Peach
+ECBCCE Dainty Pink
+C6D26E Daiquiri Green
+F4E7D4 Dairy Belle
+EDD2A4 Dairy Cream
+F0B33C Dairy Made
+FED340 Daisy
+5B3E90 Daisy Bush
+FFF09B Daisy Chain
+FCDF8A Daisy Desi
+F4F3E8 Daisy Field
+55643B Daisy Leaf
+F8F3E3 Daisy White
+D3C29D Dakota Trail
+E1BD8E Dakota Wheat
+664A2D Dallas
+ECE0D6 Dallas Dust
+FDDC00 Dallol Yellow
+97A3DA Dalmatian Sage
+AFDADF Daly Waters
+996D32 Damascene
+FCF2DF Damask
+D1B3A9 Damask Dunes
+999BA8 Dame Dignity
+5F6171 Damp Basement
+4A4747 Dampened Black
+C69EAE Damsel
+854C65 Damson
+583563 Damson Mauve
+DDA0DD Damson Plum
+576780 Dana
+E6D8CD Dance of the Goddesses
+064D83 Dance Studio
+D7CBAC Dance With the Wind
+DC9399 Dancer
+94734C Dancing Bear
+FCF3C6 Dancing Butterfly
+254A47 Dancing Crocodiles
+EFC857 Dancing Daisy
+6E493D Dancing Dogs
+C4BAA1 Dancing Dolphin
+006658 Dancing Dragonfly
+C5CD8F Dancing Green
+ABC5D6 Dancing in the Rain
+7B7289 Dancing in the Spring
+429B77 Dancing Jewel
+C8CC9E Dancing Kite
+BFC8D8 Dancing Mist
+016459 Dancing Peacock
+1C4D8F Dancing Sea
+C8A4BD Dancing Wand
+DFFF00 Dancing-Lady Orchid
+FEDF08 Dandelion
+EAE8EC Dandelion Floatie
+F7EAC1 Dandelion Tea
+F0E130 Dandelion Tincture
+FFF0B5 Dandelion Whisper
+FCF2B9 Dandelion Wine
+E3BB65 Dandelion Wish
+FCD93B Dandelion Yellow
+FACC51 Dandy Lion
+FF0E0E Danger
+595539 Danger Ridge
+D00220 Dangerous Affair
+CBC5C6 Dangerous Robot
+616B89 Dangerously Elegant
+16F12D Dangerously Green
+D84139 Dangerously Red
+5E4235 Daniel Boone
+BA9967 Danish Pine
+B4D5D5 Dante Peak
+5B89C0 Danube
+116DB1 Daphne
+715B49 Dapper
+E2C299 Dapper Dingo
+697078 Dapper Greyhound
+947F65 Dapper Tan
+959486 Dapple Grey
+C5CC9F Dappled Daydream
+F2E3C9 Dappled Sunlight
+3A4A3F Dard Hunter Green
+AB4343 Daredevil
+DF644E Daring
+F0DFE0 Daring Deception
+374874 Daring Indigo
+1B2431 Dark
+353F51 Dark & Stormy
+9698A3 Dark Ages
+4F5A62 Dark and Stormy Night
+495252 Dark as Night
+6A6D6D Dark Ash
+5C464A Dark Berry
+533958 Dark Blackberry
+A68A6E Dark Blond
+315B7D Dark Blue
+92462F Dark Brazilian Topaz
+4B4146 Dark Burgundy Wine
+513116 Dark Catacombs
+55504D Dark Cavern
+333232 Dark Charcoal
+774D41 Dark Cherry Mocha
+624A49 Dark Chocolate
+AABB00 Dark Citron
+4C3D31 Dark Clove
+33578A Dark Cobalt Blue
+843C41 Dark Crimson
+3F4551 Dark Crypt
+008B8B Dark Cyan
+2F1212 Dark Danger
+005588 Dark Denim
+00334F Dark Denim Blue
+5A3939 Dark Drama
+332266 Dark Dreams
+884455 Dark Earth
+3D2004 Dark Ebony
+112244 Dark Eclipse
+3B3F42 Dark Elf
+00834E Dark Emerald
+503D4D Dark Energy
+3E3F41 Dark Engine
+A4A582 Dark Envy
+3E554F Dark Everglade
+0A480D Dark Fern
+573B4C Dark Fig Violet
+556962 Dark Forest
+0018A8 Dark Galaxy
+4F443F Dark Granite
+033500 Dark Green
+363737 Dark Grey
+4E4459 Dark Grey Mauve
+222429 Dark Gunmetal
+666699 Dark Horizon
+661122 Dark Humour
+00416A Dark Imperial Blue
+4D5A7E Dark Iris
+66856F Dark Ivy
+5C8774 Dark Jade
+0B3021 Dark Jungle
+333438 Dark Kettle Black
+151931 Dark Knight
+6A7F7D Dark Lagoon
+856798 Dark Lavender
+8BBE1B Dark Lemon Lime
+9C6DA5 Dark Lilac
+84B701 Dark Lime
+7EBD01 Dark Lime Green
+989A98 Dark Limestone
+5F574F Dark LUA Console
+8B008B Dark Magenta
+482029 Dark Mahogany
+994939 Dark Marmalade
+3C0008 Dark Maroon
+110101 Dark Matter
+003377 Dark Midnight Blue
+515763 Dark Mineral
+161718 Dark Moon
+1AB385 Dark Mountain Meadow
+40495B Dark Navy
+404B57 Dark Night
+373E02 Dark Olive
+6E5160 Dark Olive Paste
+2E2D30 Dark Onyx
+C65102 Dark Orange
+251B19 Dark Orchestra
+653D7C Dark Pansy
+665FD1 Dark Periwinkle
+606865 Dark Pewter
+193232 Dark Pine Green
+CB416B Dark Pink
+603E53 Dark Potion
+6B6C89 Dark Prince
+D9308A Dark Princess Pink
+2B0F2E Dark Prom Queen
+4F3A3C Dark Puce
+35063E Dark Purple
+6E576B Dark Purple Grey
+505838 Dark Rainforest
+872657 Dark Raspberry
+3B5150 Dark Reaper
+840000 Dark Red
+4A2125 Dark Red Brown
+434257 Dark Renaissance
+060B14 Dark Rift
+3E4445 Dark River
+4A2D2F Dark Roast
+B5485D Dark Rose
+02066F Dark Royalty
+45362B Dark Rum
+6D765B Dark Sage
+A2646F Dark Sakura
+C85A53 Dark Salmon
+E8957A Dark Salmon Injustice
+3F012C Dark Sanctuary
+A88F59 Dark Sand
+082567 Dark Sapphire
+4C5560 Dark Sea
+666655 Dark Seagreen
+113691 Dark Seashore Night
+3E5361 Dark Secret
+113311 Dark Serpent
+4A4B4D Dark Shadow
+33CC99 Dark Shamrock
+004444 Dark Side
+070D0D Dark Side of the Moon
+3C1414 Dark Sienna
+909989 Dark Sky
+465352 Dark Slate
+214761 Dark Slate Blue
+2F4F4F Dark Slate Grey
+66AA11 Dark Slimelime
+4D52DE Dark Soft Violet
+587A65 Dark Sorrel
+112255 Dark Soul
+414A4C Dark Space
+303B4C Dark Spell
+7E736D Dark Sting
+819094 Dark Storm Cloud
+80444C Dark Strawberry
+383839 Dark Summoning
+483C3C Dark Taupe
+634E43 Dark Tavern
+014D4E Dark Teal
+97765C Dark Toast
+121212 Dark Tone Ink
+817C87 Dark Topaz
+594D46 Dark Truffle
+045C5A Dark Turquoise
+0D2B52 Dark Tyrian Blue
+932904 Dark Umber
+141311 Dark Veil
+34013F Dark Violet
+151517 Dark Void
+56443E Dark Walnut
+855E42 Dark Wood
+4F301F Dark Wood Grain
+E7BF8E Dark Yellow
+660011 Darkest Dungeon
+223311 Darkest Forest
+625768 Darkest Grape
+43455E Darkest Navy
+303F3D Darkest Spruce
+16160E Darkness
+3A4645 Darkness Green
+2D1608 Darkout
+2F1611 Darkroom
+464964 Darkshore
+4F4969 Darlak
+FF88FF Darling Bud
+D29F7A Darling Clementine
+C9ACD6 Darling Lilac
+1D045D Darth Torus
+27252A Darth Vader
+CDDCE3 Dartmoor Mist
+00703C Dartmouth Green
+CA6E5F Dash of Curry
+928459 Dash of Oregano
+FBD2CF Dash of Pink
+EAEBE8 Dashing
+0BDB43 Dasyphyllous Green
+AF642B Date Fruit Brown
+CCAC86 DaVanzo Beige
+58936D DaVanzo Green
+6C4226 Davao Durian
+B1D27B Davao Green
+535554 Davy’s Grey
+9F9D91 Dawn
+CACCCB Dawn Blue
+CCFFFF Dawn Departs
+FADFA9 Dawn Light
+770044 Dawn of the Fairies
+FEDFDC Dawn Patrol
+E6D6CD Dawn Pink
+C9CED3 Dawn’s Early Light
+70756E Dawnstone
+FFA373 Day at the Zoo
+D9CDC4 Day Dreamer
+EADD82 Day Glow
+EB5C34 Day Glow Orange
+FFF9EC Day Lily
+D5D2D1 Day on Mercury
+EAEFED Day Spa
+7E7597 Daybreak
+C7C9D8 Daybreak Beckons
+F7EECB Daybreak Sun
+E3EBAE Daydream
+F4F0E1 Daydreaming
+38A1DB Dayflower
+758CBF Dayflower Blue
+546C52 Daylight Jungle
+A385B3 Daylight Lilac
+F8F0D2 Daylily Yellow
+FFF8DA Daystar
+5287B9 Dazzle
+D99B7B Dazzle and Delight
+EDEBEA Dazzle Me
+3850A0 Dazzling Blue
+D82C0D Dazzling Red
+85CA87 De York
+99DEAD Dead 99
+0055CC Dead Blue Eyes
+434B4F Dead Forest
+E4DC8A Dead Grass
+2E5A88 Dead Lake
+D2DAD0 Dead Nettle White
+3B3A3A Dead Pixel
+77EEEE Dead Sea
+3A403B Dead Sea Mud
+8F666A Deadlock
+111144 Deadly Depths
+DEAD11 Deadly Mustard
+C2A84B Deadsy
+596D7F Deadwind Pass
+A30112 Dear Darling
+FEECB3 Dear Melissa
+F5F3E6 Dear Reader
+60443F Death by Chocolate
+E7D9DB Death Cap
+9EB37B Death Guard
+141313 Death Metal
+E760D2 Death of a Star
+DDBB88 Death Valley Beige
+B36853 Deathclaw Brown
+5C6730 Deathworld Forest
+AF9294 Deauville Mauve
+D70A53 Debian Red
+90A0A6 Debonair
+CBD0DD Debonaire
+EE7744 Debrito
+ED7468 Debutante
+6E8DBB Debutante Ball
+73667B Decadence
+513233 Decadent Chocolate
+8D3630 Decadent Red
+DECADE Decadial Pink
+ADA3BB Decanter
+BFA1AD Decanting
+D57835 Decaying Leaf
+DFE2EA December Dawn
+415064 December Eve
+E0E8DB December Forest
+D6DDDC December Rain
+D5D7D9 December Sky
+9DCEE3 December Solstice
+BFB5CA Decency
+B69FCC Dechala Lilac
+D79E62 Dechant Pear Yellow
+FDCC4E Decisive Yellow
+5E7CAC Deck Crew
+CCCF82 Deco
+89978E Deco Grey
+F6C2CC Deco Pink
+824942 Deco Red
+9E6370 Deco Rose
+F9D5C9 Deco Shell
+8FCBC0 Deco-Rate
+7B736B Deconstruction
+F2E5CF Décor White
+F6BB00 Decor Yellow
+3F74A3 Decoration Blue
+817181 Decorative Iris
+F6F4EC Decorator White
+00829E Decore Splash
+AC7559 Decorous Amber
+B39AA0 Decorum
+987654 Decreasing Brown
+FEE2C8 Dedication
+D4CB83 Deduction
+5B3082 Deep Amethyst
+78DBE2 Deep Aquamarine
+004F57 Deep Atlantic Blue
+5C4A4D Deep Aubergine
+3E5580 Deep Azure
+D99F50 Deep Bamboo Yellow
+C57776 Deep Bloom
+040273 Deep Blue
+1A5D72 Deep Blue Sea
+E36F8A Deep Blush
+5E675A Deep Bottlebrush
+27275F Deep Breath
+51412D Deep Bronze
+342A2A Deep Brown
+744456 Deep Carmine
+007BBB Deep Cerulean
+FAD6C5 Deep Champagne
+7A8790 Deep Channel
+6B473D Deep Cherrywood
+B94E48 Deep Chestnut
+771133 Deep Claret
+AE6A52 Deep Clay Red
+424769 Deep Cobalt
+7D4071 Deep Commitment to Purple
+DA7C55 Deep Coral
+051040 Deep Cove
+007381 Deep Current
+322D2D Deep Daichi Black
+E9E7E6 Deep Daigi White
+3311AA Deep Daijin Blue
+7C2229 Deep Dairei Red
+F0CA00 Deep Daishin Yellow
+661177 Deep Daitoku Purple
+6688FF Deep Denim
+545648 Deep Depths
+534C3E Deep Desert Shadow
+2E5467 Deep Dive
+5E97A9 Deep Diving
+553D3A Deep Dungeon
+4D4B4B Deep Earth
+556551 Deep Emerald
+4C574B Deep Evergreen
+614454 Deep Exquisite
+193925 Deep Fir
+BF5C42 Deep Fire
+3C463E Deep Forest
+393437 Deep Forest Brown
+335500 Deep Forestial Escapade
+F0B054 Deep Fried
+F6C75E Deep Fried Sunrays
+414048 Deep Galaxy
+5A9274 Deep Grass Green
+02590F Deep Green
+726A6E Deep Greige
+4C567A Deep Indigo
+004B49 Deep Into the Jungle
+306030 Deep Into the Wood
+3F564A Deep Jungle
+343467 Deep Koamaru
+005A6F Deep Lagoon
+006C70 Deep Lake
+687189 Deep Larkspur
+565A7D Deep Lavender
+747962 Deep Lichen Green
+2E5767 Deep Loch
+A0025C Deep Magenta
+634743 Deep Mahogany
+2E6469 Deep Marine
+623F45 Deep Maroon
+938565 Deep Marsh
+574958 Deep Merlot
+55AA66 Deep Mint
+3D4C46 Deep Mooring
+544954 Deep Mulberry
+494C59 Deep Mystery
+494C55 Deep Night
+2A4B5F Deep Ocean
+2C4173 Deep Ocean Floor
+DC4D01 Deep Orange
+864735 Deep Orange-Coloured Brown
+525476 Deep Orchid
+006E62 Deep Pacific
+009286 Deep Peacock Blue
+7C83BC Deep Periwinkle
+557138 Deep Pine
+4A2A59 Deep Plum
+014420 Deep Pond
+366D68 Deep Pool Teal
+36013F Deep Purple
+9A0200 Deep Red
+BB603C Deep Reddish Orange
+424F5F Deep Reservoir
+7F5153 Deep Rhubarb
+4C6A68 Deep Rift
+0079B3 Deep River
+2D4243 Deep River Green
+B25550 Deep Rose
+364C68 Deep Royal
+FF9932 Deep Saffron
+195155 Deep Sanction
+082466 Deep Sapphire
+167E65 Deep Sea
+2C2C57 Deep Sea Base
+2A4B5A Deep Sea Blue
+D86157 Deep Sea Coral
+376167 Deep Sea Dive
+255C61 Deep Sea Diver
+6A6873 Deep Sea Dolphin
+002D69 Deep Sea Dream
+2000B1 Deep Sea Exploration
+095859 Deep Sea Green
+879293 Deep Sea Grey
+002366 Deep Sea Nightmare
+4F5A4C Deep Sea Shadow
+5E5749 Deep Sea Turtle
+959889 Deep Seagrass
+37412A Deep Seaweed
+7F6968 Deep Serenity
+514A3D Deep Shadow
+737C84 Deep Shale
+0D75F8 Deep Sky Blue
+0F261F Deep Slate Green
+172713 Deep Slate Olive
+7D8392 Deep Smoke Signal
+B4989F Deep South
+3F4143 Deep Space
+292E35 Deep Space Echo
+43363D Deep Space Frigate
+332277 Deep Space Rodeo
+223382 Deep Space Royal
+4A646C Deep Space Sparkle
+726751 Deep Tan
+7B6660 Deep Taupe
+00555A Deep Teal
+8B483D Deep Terra Cotta
+728787 Deep Thoughts
+01B0BD Deep Turquoise
+375F71 Deep Twilight Blue
+404F95 Deep Ultramarine
+694D3D Deep Umber
+017F9E Deep Universe
+313248 Deep Velvet
+330066 Deep Violet
+4B6443 Deep Viridian
+615D58 Deep Walnut
+2A6FA1 Deep Water
+33313B Deep Well
+444172 Deep Wisteria
+454669 Deepest Fig
+6D595A Deepest Mauve
+44413C Deepest Nightmare
+5C84B4 Deepest Periwinkle
+44534E Deepest River
+444D56 Deepest Sea
+466174 Deepest Water
+6D4940 Deeply Deanna
+ECB2B3 Deeply Embarrassed
+303F4C Deepsea Core
+082599 Deepsea Kraken
+BA8759 Deer
+96847A Deer God
+AC7434 Deer Leather
+B2A69A Deer Run
+A1614C Deer Tracks
+6A634C Deer Trail
+C7A485 Deer Valley
+88FFEE Defence Matrix
+C6D5E4 Defenestration
+B0C1C2 Degas Blue
+B37E8C Degas Pink
+9CBCC6 Déjà Blue
+BED1CC Déjà Vu
+B5998E Del Rio
+DABF92 Del Sol Maize
+AAB350 Delaunay Green
+76A09E Delaware Blue Hen
+FDF901 Delayed Yellow
+9A92A7 Delectable
+3D5E8C Delft
+3311EE Delft Blue
+FDC1C5 Delhi Dance Pink
+A36A6D Delhi Spice
+E8B523 Deli Yellow
+F5E3E2 Delicacy
+EBE2E5 Delicacy White
+C2D1E2 Delicate Ballet Blue
+EDE0D5 Delicate Bliss
+DBBFCE Delicate Bloom
+BCDFE8 Delicate Blue
+BED7F0 Delicate Blue Mist
+EFD7D1 Delicate Blush
+A78C8B Delicate Brown
+DDDFE8 Delicate Cloud
+E9EDC0 Delicate Daisy
+FED9BC Delicate Dawn
+C5EAD3 Delicate Frost
+6AB2CA Delicate Girl Blue
+93B0A9 Delicate Green
+BCAB99 Delicate Honeysweet
+B7D2E3 Delicate Ice
+F3E6D4 Delicate Lace
+EEDD77 Delicate Lemon
+B6AED6 Delicate Lilac
+D7D2E2 Delicate Lilac Crystal
+C5B5CA Delicate Mauve
+DDF3E6 Delicate Mint
+E1EBE5 Delicate Mist
+E4CFD3 Delicate Pink
+EEC6C3 Delicate Pink Rose
+A95C68 Delicate Prunus
+F7E0D6 Delicate Rose
+D7F3DD Delicate Sapling
+FFEFDD Delicate Seashell
+D1E2D8 Delicate Snow Goose
+FDCDBD Delicate Sweet Apricot
+AA9C8B Delicate Truffle
+C0DFE2 Delicate Turquoise
+D7D6DC Delicate Viola
+8C8DA8 Delicate Violet
+F1F2EE Delicate White
+412010 Délicieux au Chocolat
+483B36 Delicioso
+585E46 Delicious
+654254 Delicious Berry
+77CC00 Delicious Dill
+FFAA11 Delicious Mandarin
+FFD7B0 Delicious Melon
+2E212D Delighted Chimp
+D2B6BE Delightful
+A5A943 Delightful Camouflage
+EEEE33 Delightful Dandelion
+00EE00 Delightful Green
+EBBE7C Delightful Moon
+F9E7C8 Delightful Pastry
+FFEBD1 Delightful Peach
+DDCCCC Delirious Donkey
+486531 Dell
+7A9DCB Della Robbia Blue
+8EC39E Delltone
+169EC0 Delos Blue
+6198AE Delphinium Blue
+4F92CD Delphinium Corsage
+999B95 Delta
+979147 Delta Break
+2D4A4C Delta Green
+C5E6CF Delta Mint
+A8917F Delta Sandbar
+C4C2AB Delta Waters
+0077AA Deluge
+66BBCC Delusional Dragonfly
+8BC7E6 Deluxe Days
+E1B270 Demerara Sugar
+ECDA9E Demeter
+02CC02 Demeter Green
+493C31 Demitasse
+00AEF3 Democrat
+7A0006 Demon
+45538D Demon Blue
+D2144B Demon Princess
+BB2233 Demonic
+D02B48 Demonic Kiss
+7C0A02 Demonic Presence
+D725DE Demonic Purple
+FFE700 Demonic Yellow
+E8D4D5 Demure
+F7D2C4 Demure Pink
+7D775D Denali Green
+2243B6 Denim
+2F6479 Denim Blue
+7C8D96 Denim Drift
+B8CAD5 Denim Light
+7F97B5 Denim Tradition
+636D65 Dense Shrub
+889911 Densetsu Green
+F2B717 Dent Corn
+99D590 Dentist Green
+7795C1 Denver River
+E7D8C7 Dépaysement
+355859 Depth Charge
+2C319B Depths of Night
+253F4E Depths of the Nile
+F9E4C6 Derby
+599C89 Derby Green
+245E36 Derbyshire
+F9E1CF Derry Coast Sunrise
+669999 Desaturated Cyan
+445155 Descent Into the Catacombs
+CCAD60 Desert
+C28996 Desert Bud
+AFCA9D Desert Cactus
+C2AE88 Desert Camel
+80474E Desert Canyon
+D3A169 Desert Caravan
+C99C7D Desert Carnation
+727A60 Desert Chaparral
+9E6E43 Desert Clay
+F7D497 Desert Convoy
+D16459 Desert Coral
+D0C8A9 Desert Cover
+EDDBE8 Desert Dawn
+FFBA6B Desert Dessert
+B5AB9C Desert Dune
+AD9A91 Desert Dusk
+E2BB8A Desert Dust
+B6A29D Desert Echo
+EFCDB8 Desert Field
+C6B183 Desert Floor
+FF8D82 Desert Flower
+D3BDAC Desert Fortress
+C5B686 Desert Grass
+B8A487 Desert Grey
+C4C8AA Desert Hot Springs
+F3F2E1 Desert Iguana
+D6CDB7 Desert Khaki
+BD9C9D Desert Lights
+FEF5DB Desert Lily
+A9A450 Desert Locust
+E8D2D6 Desert Mauve
+EFCFBC Desert Mesa
+B9E0CF Desert Mirage
+DEB181 Desert Mist
+D0BBB0 Desert Morning
+BEA166 Desert Moss
+E9DBD2 Desert Mountain
+5F727A Desert Night
+675239 Desert Palm
+C0CABC Desert Panzer
+AAAE9A Desert Pear
+CAB698 Desert Pebble
+E5DDC9 Desert Plain
+FBEFDA Desert Powder
+B3837F Desert Red
+D5A884 Desert Riverbed
+D5C6BD Desert Rock
+CD616B Desert Rose
+90926F Desert Sage
+EDC9AF Desert Sand
+B9A795 Desert Sandstorm
+9F927A Desert Shadows
+E9E4CF Desert Smog
+A15F3B Desert Soil
+C66B30 Desert Spice
+DCDDCB Desert Springs
+F9F0E1 Desert Star
+EDE7E0 Desert Storm
+D5C7B3 Desert Suede
+BB7326 Desert Sun
+FCB58D Desert Sunrise
+A38C6C Desert Tan
+7F7166 Desert Taupe
+DDCC99 Desert Temple
+89734B Desert Willow
+E5D295 Desert Wind
+A29259 Desert Yellow
+E7DBBF Deserted Beach
+857C64 Deserted Island
+E7BF7B Deserted Path
+A47BAC Design Delight
+EFE5BB Designer Cream Yellow
+E1BCD8 Designer Pink
+E7DED1 Designer White
+A93435 Desirable
+EA3C53 Desire
+EEC5D2 Desire Pink
+D8D7D9 Desired Dawn
+C4ADB8 Desireé
+B5C1A9 Desolace Dew
+D3CBC6 Desolate Field
+F6E4D0 Dessert Cream
+FEDDB1 Destined for Greatness
+CFC9C6 Destiny
+98968D Destroyer Grey
+E9E9E1 Destroying Angels
+FF3355 Detailed Devil
+8B8685 Detective Coat
+393C40 Detective Thriller
+C56639 Determined Orange
+BDD0D1 Detroit
+F7FCFE Deutzia White
+006B4D Device Green
+277594 Devil Blue
+FF3344 Devil’s Advocate
+BB4422 Devil’s Butterfly
+8F9805 Devil’s Flower Mantis
+44AA55 Devil’s Grass
+662A2C Devil’s Lip
+423450 Devil’s Plum
+FECD82 Deviled Eggs
+DD3322 Devilish
+CE7790 Devilish Diva
+5A573F Devlan Mud
+3C3523 Devlan Mud Wash
+3E5650 Devon Green
+717E6F Devon Rex
+F5EFE7 Devonshire
+E7F2E9 Dew
+97B391 Dew Green
+CEE3DC Dew Not Disturb
+D7EDE8 Dew Pointe
+8B5987 Dewberry
+DDE4E3 Dewdrop
+B0B8AA Dewkissed Rain
+C4D1C2 Dewkist
+DCEEDB Dewmist Delight
+B2CED2 Dewpoint
+D6E1D8 Dewy
+6BB1B4 Dexter
+FAE432 Dhalsim’s Yoga Flame
+CABAA8 Dhurrie Beige
+AAAAAA Dhūsar Grey
+DB995E Di Sierra
+CD0D01 Diablo Red
+1B8E13 Diamine Green
+FAF7E2 Diamond
+2B303E Diamond Black
+E9E9F0 Diamond Cut
+F8F5E5 Diamond Dust
+3E474B Diamond Grey
+EEE3CC Diamond Ice
+D0EFF3 Diamond League
+DFE7EC Diamond Light
+BCDAEC Diamond Soft Blue
+DCDBDC Diamond Stud
+E2EFF3 Diamond White
+E5E2E1 Diamonds in the Sky
+E9E8E0 Diamonds Therapy
+FCF6DC Diantha
+8D6D89 Dianthus Mauve
+D0CAD7 Diaphanous
+60B8BE Dickie Bird
+322C2B Diesel
+BC934D Different Gold
+EBE5D5 Diffused Light
+93739E Diffused Orchid
+8E6E57 Dig It
+A37336 Digger’s Gold
+636365 Digital
+B7B3A4 Digital Garage
+CAC0E1 Digital Lavender
+AA00FF Digital Violets
+FFEB7E Digital Yellow
+3B695F Dignified
+716264 Dignified Purple
+094C73 Dignity Blue
+007044 Diisha Green
+A18251 Dijon
+E2CA73 Dijon Mustard
+9B8F55 Dijonnaise
+6F7755 Dill
+A2A57B Dill Grass
+B6AC4B Dill Green
+67744A Dill Pickle
+9DA073 Dill Powder
+B3B295 Dill Seed
+D6E9E4 Dillard’s Blue
+35495A Dilly Blue
+F6DB5D Dilly Dally
+B8DEF2 Diluted Blue
+DDEAE0 Diluted Green
+DADFEA Diluted Lilac
+E8EFDB Diluted Lime
+DAF4EA Diluted Mint
+FBE8E2 Diluted Orange
+E9DFE8 Diluted Pink
+E8DDE2 Diluted Red
+C8C2BE Dim
+696969 Dim Grey
+BCE1EB Diminished Blue
+E3E6D6 Diminished Green
+EDF5DD Diminished Lime
+E9F3DD Diminished Mint
+FAE9E1 Diminished Orange
+F1E5E0 Diminished Pink
+E8D8DA Diminished Red
+D3F2ED Diminished Sky
+062E03 Diminishing Green
+F1DEDE Diminutive Pink
+E9808B Dimple
+607C47 Dingley
+C53151 Dingy Dungeon
+E6F2A2 Dingy Sticky Note
+E8F3E4 Dinner Mint
+7F997D Dinosaur
+827563 Dinosaur Bone
+CABAA9 Dinosaur Egg
+8391A0 Diopside Blue
+439E8D Dioptase Green
+9DBFB1 Diorite
+68CFC1 Dip in the Pool
+3A445D Diplomatic
+E9EEEE Dipped in Cloudy Dreams
+FCF6EB Dipped in Cream
+282828 Dire Wolf
+3F8A24 Direct Green
+0061A8 Directoire Blue
+5ACAA4 Diroset
+9B7653 Dirt
+836539 Dirt Brown
+BB6644 Dirt Track
+926E2E Dirt Yellow
+DFC393 Dirty Blonde
+3F829D Dirty Blue
+B5651E Dirty Brown
+667E2C Dirty Green
+430005 Dirty Leather
+DDD0B6 Dirty Martini
+C87606 Dirty Orange
+CA7B80 Dirty Pink
+734A65 Dirty Purple
+CDCED5 Dirty Snow
+E8E4C9 Dirty White
+CDC50A Dirty Yellow
+BBDEE5 Disappearing Island
+EAE3E0 Disappearing Memories
+3F313A Disappearing Purple
+006E9D Disarm
+47C6AC Disc Jockey
+892D4F Disco
+D4D4D4 Disco Ball
+BDB0A0 Discover
+4A934E Discover Deco
+276878 Discovery Bay
+FFAD98 Discreet Orange
+F5E5E1 Discreet Romance
+DFDCDB Discreet White
+EBDBDD Discrete Pink
+9F6F62 Discretion
+5BB4D7 Disembark
+B7B698 Disguise
+ED9190 Dishy Coral
+566A73 Distance
+2C66A0 Distant Blue
+E5EAE6 Distant Cloud
+EAD1DA Distant Flare
+DFE4DA Distant Haze
+ACDCEE Distant Homeworld
+F1F8FA Distant Horizon
+A68A71 Distant Land
+E1EFDD Distant Landscape
+F2F3CE Distant Searchlight
+C2D8E3 Distant Shore
+6F8DAF Distant Sky
+BAC1C3 Distant Star
+CFBDA5 Distant Tan
+7F8688 Distant Thunder
+C2B79A Distant Valley
+EAEFF2 Distant Wind Chime
+CCFFCC Distilled Moss
+FFBBFF Distilled Rose
+C7FDB5 Distilled Venom
+EDE3E0 Distilled Watermelon
+A294C9 Distinct Purple
+141513 Distinctive Lack of Hue
+F1E6CB Distressed White
+FEB308 Dithered Amber
+BCDFFF Dithered Sky
+C9A0FF Diva
+0079C1 Diva Blue
+E1CBDA Diva Girl
+B24E76 Diva Glam
+EE99EE Diva Mecha
+FA427E Diva Pink
+E8B9A5 Diva Rouge
+5077BA Diva Violet
+3C4D85 Dive In
+27546E Diver Lady
+3A797E Diver’s Eden
+A99A89 Diversion
+9A7AA0 Divine
+E3E2D5 Divine Cream
+EEDDEE Divine Dove
+D8E2E1 Divine Inspiration
+F4EFE1 Divine Pleasure
+69005F Divine Purple
+E6DCCD Divine White
+583E3E Divine Wine
+47B07F Divot
+CD8431 Dixie
+D14E2F Dizzy Days
+363B43 Do Not Disturb
+4B3C39 Dobunezumi Brown
+95AED0 Dockside
+A0B3BC Dockside Blue
+813533 Dockside Red
+F9F9F9 Doctor
+A37355 Dodge Pole
+3E82FC Dodger Blue
+F79A12 DodgeRoll Gold
+FEF65B Dodie Yellow
+B68761 Doe
+BE9F85 Doe Eyes
+FFF2E4 Doeskin
+CCC3BA Doeskin Grey
+E5C1D9 Dog Rose
+FAEAE2 Dogwood
+C58F94 Dogwood Bloom
+D71868 Dogwood Rose
+F0D9E0 Dolce Pink
+FACFC1 Doll House
+7D8774 Dollar
+85BB65 Dollar Bill
+F590A0 Dollie
+F8EBD4 Dollop of Cream
+F5F171 Dolly
+FCC9B6 Dolly Cheek
+FEE8F5 Dolomite Crystal
+C5769B Dolomite Red
+86C4DA Dolphin
+B7B8BF Dolphin at Play
+659FB5 Dolphin Daze
+6B6F78 Dolphin Dream
+CCCAC1 Dolphin Fin
+C7C7C2 Dolphin Tales
+9C9C6E Domain
+5A5651 Dominant Grey
+6C5B4C Domino
+5A4F51 Don Juan
+ED2C1A Don’t Be Shy
+115500 Donegal Green
+C19964 Donegal Tweed
+BB7766 Döner Kebab
+816E5C Donkey Brown
+AB4210 Donkey Kong
+8CAEA3 Donnegal
+EDCCD6 Donquixote Doflamingo
+FBDCA8 Doodle
+7C1E08 Doombull Brown
+6E5F56 Dorado
+ACA79E Dorian Grey
+D0888E Doric Pink
+D5CFBD Doric White
+AD947C Dormer Brown
+5D71A9 Dormitory
+FFF200 Dorn Yellow
+9D2C31 Dorset Naga
+6C6868 Dotted Dove
+009276 Dòu Lǜ Green
+A52939 Dòu Shā Sè Red
+E998B1 Double Bubble
+6F5245 Double Chocolate
+D0D2D1 Double Click
+F2D9A3 Double Cream
+95BCE1 Double Denim
+FCA044 Double Dragon
+686858 Double Duty
+54423E Double Espresso
+6D544B Double Fudge
+6F676B Double Infinity
+4D786C Double Jeopardy
+A78C71 Double Latte
+E9DCBE Double Pearl Lusta
+ECE3CF Double Scoop
+D2C3A3 Double Spanish White
+F6D0B6 Dough Yellow
+EDA057 Doughnut
+6F9881 Douglas Fir Green
+555500 Douro
+B3ADA7 Dove
+755D5B Dove Feather
+6D6C6C Dove Grey
+E6E2D8 Dove White
+F4F2EA Dove’s Wing
+F0E9D8 Dover Cliffs
+848585 Dover Grey
+CCAF92 Dover Plains
+326AB1 Dover Straits
+AEC3C4 Dover Surf
+F1EBDD Dover White
+908A83 Dovetail
+838C82 Dowager
+BAAFB9 Down Dog
+FFF9E7 Down Feathers
+FFDF2B Down on the Sunflower Valley
+CBC0BA Down-Home
+5C6242 Down-to-Earth
+887B67 Downing Earth
+CBBCA5 Downing Sand
+777F86 Downing Slate
+A6A397 Downing Stone
+CAAB7D Downing Straw
+4A4B57 Downing Street
+58D332 Download Progress
+43718B Downpour
+092256 Downriver
+7D6A58 Downtown Benny Brown
+ADAAA2 Downtown Grey
+001100 Downwell
+6FD2BE Downy
+FEAA66 Downy Feather
+EDE9E4 Downy Fluff
+803F3F Dozen Roses
+78587D Dr Who
+FAFAFA Dr. White
+828344 Drab
+749551 Drab Green
+808101 Drably Olive
+2C3539 Dracula Orchid
+FF9922 Dragon Ball
+5DA99F Dragon Bay
+9C3418 Dragon Dance
+D75969 Dragon Fruit
+9E0200 Dragon Red
+00A877 Dragon Scale
+877732 Dragon Well
+B84048 Dragon’s Blood
+D41003 Dragon’s Breath
+FC4A14 Dragon’s Fire
+E7E04E Dragon’s Gold
+D50C15 Dragon’s Lair
+C189BC Dragonflies
+314A76 Dragonfly
+45ABCA Dragonfly Blue
+6241C7 Dragonlord Purple
+BBB0A4 Drake Tooth
+31668A Drake’s Neck
+1F5DA0 Drakenhof Nightshade
+A37298 Drama Queen
+B883B0 Drama Violet
+240093 Dramatic Blue
+991100 Dramatical Red
+4B4775 Dramatist
+6C7179 Draw Your Sword
+D7E6EE Dream Blue
+EBE2E8 Dream Dust
+DFDAC1 Dream Grass
+35836A Dream Green
+F7CF26 Dream of Spring
+D5DEC3 Dream Seascape
+FF77BB Dream Setting
+EFDDE1 Dream State
+9B868D Dream Sunset
+CC99EE Dream Vapour
+A5B2A9 Dreamcatcher
+8AC2D6 Dreaming Blue
+ABC1BD Dreaming of the Day
+B5B1BF Dreamland
+111111 Dreamless Sleep
+FFD29D Dreams of Peach
+C6C5C5 Dreamscape Grey
+9632CE Dreamscape Purple
+F5D5C2 Dreamsicle
+D6E5EA Dreamstress
+CCC6D7 Dreamweaver
+B195E4 Dreamy Candy Forest
+D7EEE4 Dreamy Clouds
+594158 Dreamy Heaven
+E8C3D9 Dreamy Memory
+DFABCD Dreamy Pink
+FFAD61 Dreamy Sunset
+3D9C96 Dreamy Teal
+E3D8D5 Dreamy White
+A6C2D0 Drenched
+C1D1E2 Drenched Rain
+0086BB Dresden Blue
+8CA8C6 Dresden Doll
+8EA7B9 Dresden Dream
+2A3244 Dress Blues
+F4EBEF Dress Pink
+FAC7BF Dress Up
+714640 Dressed to Impress
+BB5057 Dressed to the Nines
+B89D9A Dressy Rose
+B2ABA1 Dreyfus
+898973 Dried Basil
+8C854F Dried Bay Leaf
+4B0101 Dried Blood
+B6BF7F Dried Caspia
+D1B375 Dried Chamomile
+B5BDA3 Dried Chervil
+7B7D69 Dried Chive
+EBE7D9 Dried Coconut
+4A423A Dried Dates
+B19F80 Dried Edamame
+752653 Dried Flower Purple
+E2A829 Dried Goldenrod
+ACA08D Dried Grass
+847A59 Dried Herb
+EBE9EC Dried Lavender
+77747F Dried Lavender Flowers
+5C5043 Dried Leaf
+BBBBFF Dried Lilac
+FF40FF Dried Magenta
+C6AD6F Dried Moss
+804A00 Dried Mustard
+E1DBAC Dried Palm
+D8D6CC Dried Pipe Clay
+E5CEA9 Dried Plantain
+683332 Dried Plum
+C33E29 Dried Saffron
+BBBCA1 Dried Thyme
+A0883B Dried Tobacco
+AB6057 Dried Tomatoes
+DCD8D0 Drift of Mist
+87CEFA Drift on the Sea
+BEB4A8 Drifting
+DBE0E1 Drifting Cloud
+61736F Drifting Downstream
+CCBBE3 Drifting Dream
+A89F93 Drifting Sand
+DFEFEB Drifting Tide
+5B4276 Drifting Violet
+A67A45 Driftwood
+B6C1C8 Driftwood Blues
+A6CCD6 Drip
+7A280A Drip Coffee
+F4E7A5 Dripping Cheese
+D2DFED Dripping Ice
+BB99BB Dripping Wisteria
+EEBB22 Drippy Honey
+A24857 Drisheen
+A62E30 Drive-In Cherry
+A0AF9D Drizzle
+989D9F Drizzling Mist
+523839 Droëwors
+E3C295 Dromedary
+CAAD87 Dromedary Camel
+69BD5A Drop Green
+FCF1BD Drop of Lemon
+AADDFF Droplet
+BB3300 Dropped Brick
+571E2F Drops of God
+D4AE76 Drops of Honey
+D5D1CC Drought
+FBEB9B Drover
+D4DBE1 Drowsy Lavender
+842994 Druchii Violet
+427131 Druid Green
+A66E4B Drum Solo
+E7D7B9 Drumskin
+DD11DD Drunk-Tank Pink
+33DD88 Drunken Dragonfly
+FF55CC Drunken Flamingo
+EADFCE Dry Bone
+968374 Dry Brown
+B9BDAE Dry Catmint
+BD5C00 Dry Clay
+D8C7B6 Dry Creek
+817665 Dry Dock
+EFDFCF Dry Dune
+C6B693 Dry Earth
+9EA26B Dry Grass
+909373 Dry Hemlock
+2BA727 Dry Highlighter Green
+CFBF8B Dry Leaf
+C7D9CC Dry Lichen
+769958 Dry Moss
+777672 Dry Mud
+948971 Dry Pasture
+DE7E5D Dry Peach
+D2C5AE Dry Riverbed
+C22F4D Dry Rose
+8C8B76 Dry Sage
+EAE4D6 Dry Sand
+D4CECD Dry Season
+C7DC68 Dry Seedlings
+B09A77 Dry Starfish
+33312D Dryad Bark
+F25F66 Dubarry
+AE8B64 Dubbin
+73BE6E Dublin
+6FAB92 Dublin Jack
+D5B688 Dubloon
+5B2C31 Dubonnet
+6F7766 Dubuffet Green
+763D35 Ducal
+CE9096 Ducal Pink
+16A0A6 Ducati
+D1DBC7 Duchamp Light Green
+9B909D Duchess Lilac
+F7AA97 Duchess Rose
+DDC75B Duck Butter
+C8E3D2 Duck Egg Cream
+53665C Duck Green
+005800 Duck Hunt
+CC9922 Duck Sauce
+E9D6B1 Duck Tail
+6A695A Duck Willow
+CCDFE8 Duck’s Egg Blue
+FFFF11 Duckie Yellow
+FCB057 Duckling
+FAFC5D Duckling Fluff
+AEACAC Duct Tape Grey
+464E3F Duffel Bag
+71706E Dugong
+00009C Duke Blue
+D6851F Dulce de Leche
+9AD4D8 Dulcet
+F0E2E4 Dulcet Pink
+59394C Dulcet Violet
+D6D4E6 Dulcinea
+727171 Dull
+D09C97 Dull Apricot
+49759C Dull Blue
+876E4B Dull Brown
+DCD6D3 Dull Desert
+8F6D73 Dull Dusky Pink
+8A6F48 Dull Gold
+74A662 Dull Green
+A899E6 Dull Lavender
+E5D9B4 Dull Light Yellow
+8D4856 Dull Magenta
+7D7485 Dull Mauve
+7A7564 Dull Olive
+D8863B Dull Orange
+D5869D Dull Pink
+84597E Dull Purple
+BB3F3F Dull Red
+DBD4AB Dull Sage
+5F9E8F Dull Teal
+557D73 Dull Turquoise
+803790 Dull Violet
+EEDC5B Dull Yellow
+F7DDAA Dumpling
+80B4DC Dun Morogh Blue
+D5C0A1 Dune
+C3A491 Dune Beige
+B88D70 Dune Drift
+CBC5B1 Dune Grass
+E9AA71 Dune King
+867665 Dune Shadow
+B66E45 Dune Spice
+E2BB88 Dune View
+514F4A Dunes Manor
+EF3038 Dungeon Keeper
+D9ECE6 Dunnock Egg
+6E6064 Duomo
+58A0BC Dupain
+442211 Duqqa Brown
+566777 Durango Blue
+FBE3A1 Durango Dust
+FFB978 Durazno Maduro
+FFD8BB Durazno Palido
+5D8A9B Durban Sky
+B07939 Durian
+E5E0DB Durian Smell
+E6D0AB Durian White
+E1BD27 Durian Yellow
+F06126 Durotar Fire
+4E5481 Dusk
+D2CAC8 Dusk in the Valley
+9A7483 Dusk Wine
+123D55 Duskwood
+C3ABA8 Dusky
+296767 Dusky Alpine Blue
+774400 Dusky Brown
+E1C779 Dusky Citron
+7D6D70 Dusky Cyclamen
+B98478 Dusky Damask
+E5E1DE Dusky Dawn
+877F95 Dusky Grape
+7A705B Dusky Green
+8E969E Dusky Grouse
+A77572 Dusky Haze
+B2A09E Dusky Hyacinth
+D6CBDA Dusky Lilac
+A39B7E Dusky Meadows
+979BA8 Dusky Mood
+EDECD7 Dusky Moon
+D5CBC3 Dusky Morn
+873E1A Dusky Orange
+A07A89 Dusky Orchid
+95978F Dusky Parakeet
+CC7A8B Dusky Pink
+895B7B Dusky Purple
+BA6873 Dusky Rose
+E1CEC7 Dusky Sand
+C9BDB7 Dusky Taupe
+D0BFBE Dusky Violet
+FFFF05 Dusky Yellow
+B2996E Dust
+E2D8D3 Dust Bowl
+C8B6A6 Dust Bunny
+C6C8BE Dust Green
+CFC9DF Dust of the Moon
+E7D3B7 Dust Storm
+BBBCBC Dust to Dust
+959BA0 Dustblu
+CC7357 Dusted Clay
+BEA775 Dusted Olive
+696BA0 Dusted Peri
+9C8373 Dusted Truffle
+E7ECE8 Dusting Powder
+685243 Dustwallow Marsh
+BDDACA Dusty Aqua
+BFB6A3 Dusty Attic
+8093A4 Dusty Blue
+F3C090 Dusty Boots
+9A7E68 Dusty Canyon
+DD9592 Dusty Cedar
+847163 Dusty Chestnut
+888899 Dusty Chimney
+D29B83 Dusty Coral
+97A2A0 Dusty Dream
+B18377 Dusty Duchess
+D7B999 Dusty Gold
+76A973 Dusty Green
+CDCCD0 Dusty Grey
+8990A3 Dusty Heather
+F1DDBE Dusty Ivory
+71AF98 Dusty Jade Green
+AC86A8 Dusty Lavender
+D3CACD Dusty Lilac
+716D63 Dusty Mountain
+676658 Dusty Olive
+E16D4F Dusty Orange
+8C7763 Dusty Path
+D58A94 Dusty Pink
+D7D0E1 Dusty Plum
+825F87 Dusty Purple
+B9484E Dusty Red
+B56F76 Dusty Rose
+C0AA9F Dusty Rosewood
+BDBAAE Dusty Sand
+95A3A6 Dusty Sky
+4C9085 Dusty Teal
+C9BBA3 Dusty Trail
+C3B9A6 Dusty Trail Rider
+598A8F Dusty Turquoise
+BAB7B3 Dusty Warrior
+CFC88F Dusty Yellow
+4E6594 Dutch Blue
+8C706A Dutch Cocoa
+A5ABB6 Dutch Jug
+404B56 Dutch Licorice
+DFA837 Dutch Orange
+9AABAB Dutch Tile Blue
+F0DFBB Dutch White
+C9A7AC Dutchess Dawn
+0F8B8E Duvall
+1D0200 Dwarf Fortress
+AF7B57 Dwarf Pony
+C8AC89 Dwarf Rabbit
+71847D Dwarf Spruce
+BF652E Dwarven Bronze
+FFA07A Dwarven Peaches
+EFDFE7 Dwindling Damon
+F9E9D6 Dwindling Dandelion
+CCE1EE Dwindling Denim
+7B99B0 Dyer’s Woad
+364141 Dying Light
+669C7D Dying Moss
+111166 Dying Storm Blue
+D5B266 Dylan Velvet
+6D5160 Dynamic
+1F1C1D Dynamic Black
+0192C6 Dynamic Blue
+A7E142 Dynamic Green
+8A547F Dynamic Magenta
+FFE36D Dynamic Yellow
+FF4422 Dynamite
+DD3311 Dynamite Red
+953D68 Dynamo
+C7CBBE Dynasty Celadon
+F8D77F E. Honda Beige
+A26C36 Eagle
+736665 Eagle Eye
+7D776C Eagle Ridge
+5C5242 Eagle Rock
+8D7D68 Eagle’s Meadow
+D4CBCC Eagle’s View
+8A693F Eagles Nest
+E9D9C0 Eaglet Beige
+466B82 Eames for Blue
+416659 Earhart Emerald
+747A64 Earl Green
+A6978A Earl Grey
+B8A722 Earls Green
+FFE5ED Early Blossom
+EAE7E7 Early Crocus
+797287 Early Dawn
+44AA00 Early Dew
+D3D6E9 Early Dog Violet
+CAC7BF Early Evening
+BAE5EE Early Forget-Me-Not
+DAE3E9 Early Frost
+B9BE82 Early Harvest
+A5DDEA Early July
+B1D2DF Early June
+ADCDDC Early September
+FDF3E4 Early Snow
+96BC4A Early Spring
+3C3FB1 Early Spring Night
+E6D7A0 Early Sprout
+F3E3D8 Early Sunset
+A2653E Earth
+49433B Earth Black
+4F1507 Earth Brown
+705364 Earth Brown Violet
+C7AF88 Earth Chi
+664B40 Earth Chicory
+8C4F42 Earth Crust
+71BAB4 Earth Eclipse
+785240 Earth Fired Red
+C6BA92 Earth Friendly
+545F5B Earth Green
+E3EDC8 Earth Happiness
+B57770 Earth Rose
+A06E57 Earth Tone
+BF9F91 Earth Warming
+E1A95F Earth Yellow
+A48A80 Earthbound
+667971 Earthen Cheer
+A85E39 Earthen Jug
+D1AC71 Earthen Sienna
+A89373 Earthenware
+DED6C7 Earthling
+AB8A68 Earthly Delight
+693C3B Earthly Pleasures
+9D8675 Earthnut
+8C7553 Earthquake
+C3816E Earthworm
+B7A996 Earthy Beige
+C5B28B Earthy Cane
+666600 Earthy Khaki Green
+B89E78 Earthy Ochre
+FAE3E3 Eased Pink
+B29D8A Easily Suede
+878B46 East Aurora
+47526E East Bay
+B0EEE2 East Cape
+F8E587 East of the Sun
+AA8CBC East Side
+EBE5EB Easter Bunny
+8E97C7 Easter Egg
+8CFD7E Easter Green
+E6E1E2 Easter Orchid
+C071FE Easter Purple
+C7BFC3 Easter Rabbit
+EBB67E Eastern Amber
+5E5D3D Eastern Bamboo
+00879F Eastern Blue
+748695 Eastern Bluebird
+DAE0E6 Eastern Breeze
+B89B6C Eastern Gold
+8FC1D2 Eastern Sky
+DBA87F Eastern Spice
+EDE6D5 Eastern Wind
+DBD7D2 Eastern Wolf
+7C6042 Eastlake
+C28E61 Eastlake Gold
+887D79 Eastlake Lavender
+A9A482 Eastlake Olive
+BEB394 Easy
+AACDD8 Easy Breezy
+9EB1AE Easy Breezy Blue
+9FB289 Easy Green
+F9ECB6 Easy on the Eyes
+98B389 Easygoing Green
+696845 Eat Your Greens
+80987A Eat Your Peas
+BB9F60 Eaton Gold
+E4BBD1 Eau de Rose
+CECDAD Eaves
+E6D8D4 Ebb
+7893A0 Ebb Tide
+688D8A Ebbing Tide
+773C30 Ebi Brown
+5E2824 Ebicha Brown
+6D2B50 Ebizome Purple
+313337 Ebony
+323438 Ebony Clay
+4A4741 Ebony Keys
+B06A40 Ebony Lips
+2C3227 Ebony Wood
+FFFFEE Eburnean
+B576A7 Eccentric Magenta
+968A9F Eccentricity
+E7D8BE Echelon Ecru
+FFA565 Echinoderm
+FFA756 Echinoidea Thorns
+D7E7E0 Echo
+B6DFF4 Echo Iris
+95B5DB Echo Isles Water
+D8DFDF Echo Mist
+629DA6 Echo One
+758883 Echo Park
+E6E2D6 Echo Valley
+EEDEDD Echoes of Love
+7E4930 Éclair au Chocolat
+AAAFBD Eclectic
+8C6E67 Eclectic Plum
+483E45 Eclectic Purple
+3F3939 Eclipse
+456074 Eclipse Blue
+1F2133 Eclipse Elixir
+A89768 Eco Green
+677F70 Ecological
+A8916C Ecosystem
+C2B280 Ecru
+A48D83 Ecru Ochre
+A08942 Ecru Olive
+D5CDB4 Ecru Wealth
+D6D1C0 Ecru White
+C96138 Ecstasy
+AA1122 Ecstatic Red
+FFFF7E Ecuadorian Banana
+9CA389 Edamame
+EEE8D9 Edelweiss
+266255 Eden
+95863C Eden Prairie
+54585E Edge of Black
+330044 Edge of Space
+303D3C Edge of the Galaxy
+C1D8C5 Edgewater
+B1975F Edgy Gold
+BF9A67 Edgy Green
+BA3D3C Edgy Red
+A13D2D Edocha
+F6EDE0 Edwardian Lace
+CC9DA4 Edwardian Rose
+1B1B1B Eerie Black
+A9D6BA Eerie Glow
+FBF4D1 Effervescent
+00315A Effervescent Blue
+98DA2C Effervescent Lime
+01FF07 EGA Green
+C1E7EB Egg Blue
+FFD98C Egg Cream
+DCCAA8 Egg Liqueur
+F1E3BD Egg Noodle
+F9E4C5 Egg Sour
+F2C911 Egg Toast
+E2E1C8 Egg Wash
+FFEFC1 Egg White
+FFCE81 Egg Yolk
+FFDB0B Egg Yolk Sunrise
+E6C7A2 Egghead
+FDEA9F Eggnog
+430541 Eggplant
+656579 Eggplant Ash
+531B93 Eggplant Tint
+F0EAD6 Eggshell
+A3CCC9 Eggshell Blue
+F5EEDB Eggshell Cream
+E2BE9F Eggshell Paper
+BEA582 Eggshell Pongee
+F3E4DC Eggshell White
+F4ECE1 Egret
+DFD9CF Egret White
+1034A6 Egyptian Blue
+005C69 Egyptian Enamel
+EFA84C Egyptian Gold
+08847C Egyptian Green
+7A4B3A Egyptian Jasper
+FEBCAD Egyptian Javelin
+70775C Egyptian Nile
+C19A7D Egyptian Pyramid
+983F4A Egyptian Red
+BEAC90 Egyptian Sand
+008C8D Egyptian Teal
+D6B378 Egyptian Temple
+3D496D Egyptian Violet
+E5F1EC Egyptian White
+E1DED7 Eider White
+E6DBC6 Eiderdown
+998E83 Eiffel Tower
+16161D Eigengrau
+7799BB Eiger Nordwand
+03050A Eight Ball
+552299 Eine Kleine Nachtmusik
+D2BE9D Eire
+B7A696 El Capitan
+946E48 El Caramelo
+A97F3C El Dorado
+D0CACD El Niño
+39392C El Paso
+8F4E45 El Salva
+DAC4A9 Elafonisi Beach
+ECA6CA Elastic Pink
+DFDCE5 Elation
+ECC083 Eldar
+ED8A09 Elden Ring Orange
+AFA892 Elder Creek
+2E2249 Elderberry
+1E323B Elderberry Black
+AEA8B0 Elderberry Grey
+EAE5CF Elderberry White
+FBF9E8 Elderflower
+40373E Eleanor Ann
+110320 Election Night
+55B492 Electra
+F7F7CB Electric Arc
+FBFF00 Electric Banana
+E23D2A Electric Blood
+7DF9FF Electric Blue
+B56257 Electric Brown
+FF003F Electric Crimson
+0FF0FC Electric Cyan
+88BBEE Electric Eel
+C9E423 Electric Energy
+FC74FD Electric Flamingo
+FFD100 Electric Glow
+21FC0D Electric Green
+6600FF Electric Indigo
+26FF2A Electric Laser Lime
+F4BFFF Electric Lavender
+89DD01 Electric Leaf
+5CDCF1 Electric Lemonade
+7BD181 Electric Lettuce
+F2E384 Electric Light Orchestra
+CCFF00 Electric Lime
+FF3503 Electric Orange
+CD00FE Electric Orchid
+00FF04 Electric Pickle
+FF0490 Electric Pink
+BF00FF Electric Purple
+E60000 Electric Red
+55FFFF Electric Sheep
+909FBA Electric Sky
+9DB0B9 Electric Slide
+3F00FF Electric Ultramarine
+8F00F1 Electric Violet
+FFFC00 Electric Yellow
+5665A0 Electrify
+D41C4E Electrifying Kiss
+89D1CB Electro Chill
+2E3840 Electromagnetic
+0881D1 Electron Blue
+556D88 Electronic
+E7C697 Electrum
+AC8E73 Elegant Earth
+C4B9B7 Elegant Ice
+F1E6D6 Elegant Ivory
+FDCACA Elegant Light Rose
+5500BB Elegant Midnight
+48516A Elegant Navy
+552367 Elegant Purple Gown
+217F74 Elegant Silk
+F5F0E1 Elegant White
+D0D3D3 Elemental
+969783 Elemental Green
+A0A09F Elemental Grey
+CAB79C Elemental Tan
+817162 Elephant
+9E958D Elephant Cub
+988F85 Elephant Ear
+95918C Elephant Grey
+A8A9A8 Elephant in the Room
+88817A Elephant Skin
+C0E8D8 Elephant Toothpaste
+B3C3D4 Elevated
+B5CED5 Elevation
+1B8A6B Elf
+F7C985 Elf Cream
+68B082 Elf Shoe
+A6A865 Elf Slippers
+9DD196 Elfin Games
+CAB4D4 Elfin Herb
+EDDBE9 Elfin Magic
+EBE885 Elfin Yellow
+D8D7B9 Elise
+1B3053 Elite Blue
+133700 Elite Green
+BB8DA8 Elite Pink
+133337 Elite Teal
+987FA9 Elite Wisteria
+F4D7DC Eliza Jane
+A1B8D2 Elizabeth Blue
+FADFD2 Elizabeth Rose
+A58D72 Elk
+CABCA4 Elk Antler
+E9E2D3 Elk Horn
+EAE6DC Elk Skin
+897269 Elkhound
+E2C8B7 Ellen
+AAA9A4 Ellie Grey
+ADB6BD Elliott Bay
+778070 Ellis Mist
+297B76 Elm
+B25B09 Elm Brown Red
+577657 Elm Green
+264066 Elmer’s Echo
+8C7C61 Elmwood
+FFE8AB Elote
+D2CFCC Elusion
+FED7CF Elusive
+DDE4E8 Elusive Blue
+D5BFAD Elusive Dawn
+CDBFC6 Elusive Dream
+DEC4D2 Elusive Mauve
+D4C0C5 Elusive Violet
+E8E3D6 Elusive White
+F7CF8A Elven Beige
+6CA024 Elven Olympics
+7A8716 Elwynn Forest Olive
+9AAE07 Elysia Chlorotica
+A5B145 Elysian Green
+CE9500 Elysium Gold
+B4A3BB Emanation
+5D4643 Embarcadero
+EE7799 Embarrassed
+996611 Embarrassed Frog
+BBAAA5 Embarrassed Shadow
+FF7777 Embarrassment
+8BC7C8 Embellished Blue
+CBDEE2 Embellishment
+792445 Ember Red
+EA6759 Emberglow
+E8B8A7 Embrace
+246453 Embracing
+B8DCA7 Embroidered Silk
+D4BEBF Embroidery
+028F1E Emerald
+4CBDAC Emerald Bliss
+6A7E5F Emerald City
+4F8129 Emerald Clear Green
+009185 Emerald Coast
+52C170 Emerald Cory
+007A5E Emerald Dream
+018B79 Emerald Enchantment
+224347 Emerald Forest
+66BB00 Emerald Glitter
+046307 Emerald Green
+2AF589 Emerald Ice Palace
+019157 Emerald Isle
+069261 Emerald Lake
+00A267 Emerald Light Green
+67A195 Emerald Oasis
+155E60 Emerald Pool
+80C872 Emerald Rain
+50C878 Emerald Reflection
+578758 Emerald Ring
+50C777 Emerald Rush
+78944A Emerald Shimmer
+095155 Emerald Spring
+11BB11 Emerald Starling
+016360 Emerald Stone
+55AAAA Emerald Succulent
+2B5F3C Emerald Temple
+4FB3A9 Emerald Wave
+2B8478 Emerald Whispers
+5C6B8F Emerald-Crested Manakin
+911911 Emergency
+E36940 Emergency Zone
+E1E1CF Emerging Leaf
+B8A196 Emerging Taupe
+3E6058 Emerson
+CAA78C Emery Board
+6E3974 Eminence
+7A6841 Eminent Bronze
+FFDE34 Emoji Yellow
+C65F47 Emotional
+856D70 Emotive Ring
+79573A Emperador
+50494A Emperor
+AC2C32 Emperor Cherry Red
+007B75 Emperor Jade
+715A8D Emperor Jewel
+F0A0B6 Emperor’s Children
+B0976D Emperor’s Gold
+99959D Emperor’s Robe
+00816A Emperor’s Silk
+858070 Empire
+6193B4 Empire Blue
+C19F6E Empire Gold
+E0DBD3 Empire Porcelain
+93826A Empire Ranch
+E7C5C1 Empire Rose
+D9DBDF Empire State Grey
+9264A2 Empire Violet
+F7D000 Empire Yellow
+B54644 Empower
+7C7173 Empress
+2A9CA0 Empress Envy
+C7DEED Empress Lila
+10605A Empress Teal
+FCFDFC Emptiness
+756E6D Emu
+3D8481 Emu Egg
+D0C5BE En Plein Air
+427F85 Enamel Antique Green
+00758E Enamel Blue
+BACCA8 Enamel Green
+54C589 Enamelled Dragon
+045C61 Enamelled Jewel
+C67D84 Enamoured
+F7EBD6 Encaje Aperlado
+FD0202 Encarnado
+D1C6D2 Enchant
+C9E2CF Enchanted
+047495 Enchanted Blue
+7ED89A Enchanted Emerald
+79837F Enchanted Eve
+D3E9EC Enchanted Evening
+5C821A Enchanted Forest
+166D29 Enchanted Glen
+8EC5C0 Enchanted Isle
+BFA3D9 Enchanted Lavender
+A893C1 Enchanted Lilac
+B1D4B7 Enchanted Meadow
+2D4A71 Enchanted Navy
+B5B5BD Enchanted Silver
+3994AF Enchanted Well
+94895F Enchanted Wood
+82BADF Enchanting
+AC7435 Enchanting Ginger
+315955 Enchanting Ivy
+276DD6 Enchanting Sapphire
+7886AA Enchanting Sky
+5D3A47 Enchantress
+6D7383 Encore
+30525B Encore Teal
+FF9552 Encounter
+CC8F15 End of Summer
+D2EED6 End of the Rainbow
+FFD8A1 Endearment
+29598B Endeavour
+8B6F64 Ending Autumn
+FCC9B9 Ending Dawn
+1C305C Ending Navy Blue
+A9AF99 Ending Spring
+CEE1C8 Endive
+5B976A Endless
+9DCDE5 Endless Blue
+000044 Endless Galaxy
+B1DBF5 Endless Horizon
+567AAD Endless River
+32586E Endless Sea
+DDDDBB Endless Silk
+CAE3EA Endless Sky
+B1AAB3 Endless Slumber
+F7CF00 Endless Summer
+5DA464 Endo
+586683 Enduring
+554C3E Enduring Bronze
+EBE8DB Enduring Ice
+D85739 Energetic Orange
+F3C6CC Energetic Pink
+B300B3 Energic Eggplant
+7CCA6B Energise
+D2D25A Energised
+C0E740 Energos
+FF9532 Energy Orange
+BB5F60 Energy Peak
+F5D752 Energy Yellow
+A73211 Enfield Brown
+C2C6C0 Engagement Silver
+A17548 English Bartlett
+441111 English Breakfast
+4E6173 English Channel
+CBD3E6 English Channel Fog
+C64A55 English Coral
+E2B66C English Custard
+FFCA46 English Daisy
+606256 English Forest
+1B4D3F English Green
+274234 English Holly
+B5C9D2 English Hollyhock
+689063 English Ivy
+9D7BB0 English Lavender
+7181A4 English Manor
+028A52 English Meadow
+AB4B52 English Red
+3C768A English River
+F4C6C3 English Rose
+E9C9CB English Rosebud
+8E6947 English Saddle
+E9CFBB English Scone
+CC474B English Vermillion
+563D5D English Violet
+3E2B23 English Walnut
+F5F3E9 Engulfed in Light
+D2A5BE Enhance
+BDBF35 Enigma
+7E7275 Enigmatic
+EAD4C4 Enjoy
+F5D6A9 Enjoyable Yellow
+E3EAD6 Enlightened Lime
+F8FAEE Enoki
+FFEEDD Enokitake Mushroom
+898C4A Enough Is Enough
+EE0044 Enraged
+CB6649 Enshūcha Red
+3C4F6E Ensign Blue
+EC6D51 Entan Red
+65788C Enterprise
+AC92B0 Enthroned Above
+00FFAA Enthusiasm
+B74E4F Enticing Red
+D5B498 Entrada Sandstone
+005961 Entrapment
+53983C Enviable
+DDF3C2 Envious Pastel
+B1B5A0 Environmental
+006C4B Environmental Green
+88BB00 Environmental Study
+96BFB7 Envisage
+8BA58F Envy
+2DD78D Envy’s Love
+D4D3C9 Eon
+FF5EC4 Eosin Pink
+7A6270 Ephemera
+CBD4DF Ephemeral Blue
+D6CED3 Ephemeral Fog
+C7CDD3 Ephemeral Mist
+FCE2D4 Ephemeral Peach
+E4CFD7 Ephemeral Red
+1164B4 Ephren Blue
+0E426F Epic Adventure
+0066EE Epic Blue
+8D8D75 Epic Green
+EA6A0A Epicurean Orange
+AB924B Epidote Olvene Ore
+4BB2D5 Epimetheus
+DD33FF Epink
+DBC1DE Epiphany
+829161 Epsom
+83A9B3 Equanimity
+DAB160 Equator
+FFE6A0 Equator Glow
+FFCE84 Equatorial
+70855E Equatorial Forest
+BEA781 Equestrian
+54654F Equestrian Green
+5B5652 Equestrian Leather
+A07569 Equestrienne
+A49F9F Equilibrium
+62696B Equinox
+D7E3E5 Era
+060030 Erebus Blue
+836B4F Ermine
+C84F68 Eros Pink
+DDD1BF Erosion
+F2F2F4 Errigal White
+4A0505 Erythrophobia
+FC7AB0 Erythrosine
+A95F5C Escalante
+CC8866 Escalope
+B89B59 Escapade Gold
+A8CDE4 Escape
+ABAC9F Escape Grey
+FFF1D8 Escargot
+D5B79B Escarpment
+4A4F52 Eshin Grey
+45BE76 Esmeralda
+C4B5A4 Esoteric
+ABEDC9 Esoteric Touch Green
+2F5F3A Espalier
+80F9AD Esper’s Fungus Green
+D5BDA4 Esplanade
+4E312D Espresso
+5B3F34 Espresso Bar
+4C443E Espresso Beans
+D09C43 Espresso Crema
+4F4744 Espresso Macchiato
+8C3A00 Espresso Martini
+C18B5B Espresso Tonic
+BEBD99 Esprit
+FFC49D Esprit Peach
+7D6848 Essential Brown
+BCB8B6 Essential Grey
+007377 Essential Teal
+FFDE9F Essentially Bright
+B0CCDA Essex Blue
+E2EDDD Establish Mint
+DCCDB4 Estate Limestone
+F3E0C6 Estate Vanilla
+68454B Estate Vineyard
+C3C1D2 Estate Violet
+54A9CA Estero Sky
+A5AF76 Estragon
+9B101F Estroruby
+70A5B7 Estuary Blue
+E1C6D4 Etcetera
+DDE2E2 Etched Glass
+DD0044 Eternal Cherry
+1C2841 Eternal Darkness
+B3C3DD Eternal Elegance
+A13F49 Eternal Flame
+D6C9D5 Eternal Moonrise
+F7E504 Eternal Summer
+FAF3DC Eternal White
+9CFAFF Eternal Winter
+2D2F28 Eternity
+98B2B4 Ether
+A3928C Etherea
+F9EECB Ethereal
+5CA6CE Ethereal Blue
+1A4A5A Ethereal Dance
+3E2723 Ethereal Espresso
+F0E8C6 Ethereal Green
+B0B8CC Ethereal Mist
+CCE7EB Ethereal Mood
+D5E4EC Ethereal Moonlight
+DEDEB6 Ethereal One
+E6F1F1 Ethereal White
+3E5E4E Ethereal Woods
+B9C4DE Etherium Blue
+968777 Ethiopia
+985629 Ethiopian Wolf
+AAD4D1 Eton Blue
+9B583C Etruscan
+BB986F Etruscan Bronze
+C9303E Etruscan Red
+D5D2D7 Etude Lilac
+55BB11 Étude Naturelle
+4BC3A8 Eucalipto
+329760 Eucalyptus
+1E675A Eucalyptus Green
+BAD2B8 Eucalyptus Leaf
+88927E Eucalyptus Wreath
+F2E8D4 Eugenia
+ED3D66 Eugenia Red
+CDA59C Eunry
+BF36E0 Eupatorium Purple
+EEBBFF Euphoria
+DAC7DA Euphoric Lilac
+7F576D Euphoric Magenta
+006796 Europe Blue
+756556 European Pine
+36FF9A Eva Green
+D1D5D3 Evaporation
+998371 Even Evan
+B2AA7A Even Growth
+2B2B41 Evening Blue
+C49087 Evening Blush
+454341 Evening Canyon
+4B535C Evening Cityscape
+8E6B76 Evening Crimson
+C2BEAD Evening Dove
+D1A19B Evening Dress
+585E6A Evening East
+8697A0 Evening Eclipse
+56736F Evening Emerald
+4D4970 Evening Fizz
+8C9997 Evening Fog
+3A4A62 Evening Glory
+FDD792 Evening Glow
+7C7A3A Evening Green
+B7B2C2 Evening Haze
+7B8CA8 Evening Hush
+938F9F Evening in Paris
+5868AE Evening Lagoon
+4D4469 Evening Lavender
+363E7D Evening Magic
+463F67 Evening Mauve
+E3E9E8 Evening Mist
+434D66 Evening Over the Ocean
+A7879A Evening Pink
+C2D61D Evening Primrose
+DDB3AB Evening Sand
+26604F Evening Sea
+A1838B Evening Shadow
+A99EC1 Evening Slipper
+FFD160 Evening Star
+465058 Evening Storm
+FDDFB8 Evening Sun
+EDB06D Evening Sunset
+51637B Evening Symphony
+D8DBD7 Evening White
+656470 Eventide
+F0C8B6 Everblooming
+A0E3E0 Everest
+264334 Everglade
+25464D Everglade Deck
+B8C17E Everglade Glen
+B7D7DE Everglade Mist
+125B49 Evergreen
+535C55 Evergreen Bough
+47534F Evergreen Field
+95978A Evergreen Fog
+0E695F Evergreen Forest
+045E17 Evergreen Shade
+6F7568 Evergreen Trail
+A1BED9 Everlasting
+F6FDFA Everlasting Ice
+000099 Everlasting Night
+949587 Everlasting Sage
+463E3B Evermore
+FFA62D Eversong Orange
+E4DCD4 Everyday White
+D8ACA0 Everything’s Rosy
+AA2211 Evil Centipede
+522000 Evil Cigar
+884488 Evil Curse
+1100CC Evil Eye
+770022 Evil Forces
+C2191F Evil Sunz Scarlet
+FED903 Evil-Lyn
+9DBCC7 Evocative Blue
+704A3D Evolution
+538B89 Evora
+454042 Ewa
+F0EDDD Ewe
+676168 Excalibur
+22606E Excellence
+908B85 Excelsior
+CCA65B Excitable
+F0B07A Exciting Orange
+F9F1DD Exclusive Elixir
+38493E Exclusive Green
+E2D8C3 Exclusive Ivory
+736F78 Exclusive Plum
+B9ADBB Exclusive Violet
+6B515F Exclusively
+F2AEB8 Exclusively Yours
+8F8A70 Executive Course
+D2CEC4 Exhale
+81C784 Exhilarating Green
+A78558 Exhumed Gold
+0A0A0A Existential Angst
+55BB33 Exit Light
+6264DC Exodus Fruit
+AC6292 Exotic Bloom
+FD9D43 Exotic Blossom
+705660 Exotic Eggplant
+96D9DF Exotic Escape
+58516E Exotic Evening
+FFA24C Exotic Flower
+C47F33 Exotic Honey
+B86F73 Exotic Incense
+AE7543 Exotic Life
+D198B5 Exotic Lilac
+DE0C62 Exotic Liras
+F84F1D Exotic Orange
+75566C Exotic Orchid
+909969 Exotic Palm
+6A5078 Exotic Purple
+01A7B2 Exotic Sea
+E1A0CF Exotic Violet
+938586 Exotica
+777E65 Expanse
+AF9C76 Expedition
+DBBF90 Expedition Khaki
+64ACB5 Experience
+4CFF7B Experimintal Green
+E56CC0 Explicit Pink
+FED83A Exploding Star
+55A860 Exploration Green
+30AABC Explore Blue
+57A3B3 Explorer Blue
+8B9380 Explorer Green
+B6AC95 Explorer Khaki
+3A1F76 Explorer of the Galaxies
+AA9A79 Exploring Khaki
+C4C4C4 Explosive Grey
+CC11BB Explosive Purple
+395A73 Express Blue
+39497B Expressionism
+52BC9A Expressionism Green
+695C62 Expressive Plum
+C8A3BB Exquisite
+330033 Exquisite Eggplant
+338860 Exquisite Emerald
+11CCBB Exquisite Turquoise
+9490B2 Extinct
+4A4F5A Extinct Volcano
+EF347C Extra Fuchsia
+6AB417 Extra Life
+91916D Extra Mile
+EEEFEA Extra White
+BDA6C5 Extraordinaire
+E6E6E6 Extraordinary Abundance of Tinge
+4E4850 Extravagance
+B55067 Extravagant Blush
+0011AA Extravehicular Activity
+661188 Extraviolet
+FF7133 Extreme Carrot
+DFC5D5 Extreme Lavender
+FFB729 Extreme Yellow
+D45B00 Exuberance
+F0622F Exuberant Orange
+B54D7F Exuberant Pink
+1E80C7 Eye Blue
+DDB835 Eye Catching
+607B7B Eye Grey
+AE3D3B Eye of Newt
+D9E3D9 Eye of the Storm
+232121 Eye Patch
+BB0077 Eye Popping Cherry
+FFFBF8 Eyeball
+8DB6B7 Eyefull
+553300 Eyelash Camel
+F4C54B Eyelash Viper
+440000 Eyelids
+EDE8EB Eyes White Shut
+D9D9EA Eyeshadow
+6B94C5 Eyeshadow Blue
+008980 Eyeshadow Turquoise
+ADA6C2 Eyeshadow Viola
+8F9482 Eyre
+AA1177 Fabric of Love
+341758 Fabric of Space
+BA90AD Fabulous Fantasy
+E5C1A3 Fabulous Fawn
+ABE3C9 Fabulous Find
+DDCDAB Fabulous Forties
+88CC00 Fabulous Frog
+EE1188 Fabulous Fuchsia
+9083A5 Fabulous Grape
+A92C29 Fabulous Red
+B6A591 Façade
+F7CF89 Facemark
+676965 Fade to Black
+658CBB Faded Blue
+7689A2 Faded Denim
+E5D9DC Faded Firebrick
+9EB4C0 Faded Flaxflower
+E3E2D7 Faded Forest
+EDE2EE Faded Fuchsia
+7BB274 Faded Green
+EAE8E4 Faded Grey
+B2C4D4 Faded Indigo
+427977 Faded Jade
+5DBDCB Faded Jeans
+A5975B Faded Khaki
+BFAC86 Faded Letter
+F5E4DE Faded Light
+92A2BB Faded Lilac
+F0944D Faded Orange
+887383 Faded Orchid
+DE9DAC Faded Pink
+80DBEB Faded Poster
+916E99 Faded Purple
+D3494E Faded Red
+BE9480 Faded Redwood
+BF6464 Faded Rose
+8D9CAE Faded Sea
+EBDCD7 Faded Shells
+FDCF6A Faded Sunlight
+DDBEDD Faded Violet
+FEFF7F Faded Yellow
+DF691E Fading Ember
+E8E4E0 Fading Fog
+442266 Fading Horizon
+C973A2 Fading Love
+3377CC Fading Night
+ECE6DC Fading Parchment
+FAD0D1 Fading Rose
+B3B3C2 Fading Sunset
+F69A54 Fading Torch
+FBD2BB Fahrenheit
+2A6D8B Faience
+81762B Faience Green
+99CCEE Fail Whale
+908470 Faint Allegory
+D6DFEC Faint Blue
+B2EED3 Faint Clover
+EEDED5 Faint Coral
+E2C59C Faint Fawn
+DADBE0 Faint Fern
+E6DEEA Faint Fuchsia
+B59410 Faint Gold
+A58B2C Faint Green
+BAA391 Faint Maple
+F1AAA8 Faint of Heart
+F5DDC5 Faint Peach
+F6E4E4 Faint Pink
+1F2847 Fainting Light
+8C9151 Fair and Square
+B4E1D8 Fair Aqua
+92AF88 Fair Green
+FCE7CF Fair Ivory
+F1E7DC Fair Maiden
+BDA7BE Fair Orchid
+F3E5DC Fair Pink
+F3E6D6 Fair Winds
+9D9C7E Fairbank Green
+D3DFD1 Fairest Jade
+61463A Fairfax Brown
+C9D3D7 Fairfax Grey
+A2BADB Fairies in America
+6BA5A9 Fairstar
+DAC7C4 Fairview Taupe
+477050 Fairway
+26623F Fairway Green
+CDE8B6 Fairway Mist
+FFEBFE Fairy Bubblegum Cloud
+BCB0B1 Fairy Bubbles
+FFE8F4 Fairy Dust
+EBC9C6 Fairy Floss
+EED3CB Fairy Pink
+F6DBDD Fairy Princess
+FFE0F5 Fairy Salt
+B0E0F7 Fairy Sparkles
+ECDDE5 Fairy Tail
+EFB4CA Fairy Tale
+3E9ABD Fairy Tale Blue
+FACFCC Fairy Tale Dream
+88CC55 Fairy Tale Green
+AEA4C1 Fairy Wand
+DED4D8 Fairy White
+FFEBF2 Fairy Wings
+8A6FA9 Fairy Wren
+E2D7DA Fairy-Nuff
+1F3636 Fait Accompli
+D5EBAC Faith
+E7A7A0 Faithful Rose
+EFE6C1 Fake Blonde
+C88088 Fake Crush
+529875 Fake Fern
+13EAC9 Fake Jade
+CC77EE Fake Love
+AA7711 Falafel
+6E5A5B Falcon
+898887 Falcon Grey
+007062 Falcon Turquoise
+76595E Falcon Wing
+A5BEBD Falkland
+C69896 Fall Canyon
+E1DDDB Fall Chill
+C28359 Fall Foliage
+FFBC35 Fall Gold
+ECFCBD Fall Green
+A78A59 Fall Harvest
+A49491 Fall Heliotrope
+7F6144 Fall in Season
+E5B7A5 Fall Leaf
+C17A3C Fall Leaves
+E6C94C Fall Meadow
+C2AC9B Fall Mood
+F59344 Fall River
+FEE3C5 Fall Straw
+EDB2C4 Fallen Blossoms
+B85824 Fallen Canopy
+917347 Fallen Leaves
+F2E0DA Fallen Petals
+8B8072 Fallen Rock
+A55A3B Falling Leaves
+F0F1E7 Falling Snow
+CAD5C8 Falling Star
+C2D7DF Falling Tears
+B6C121 Fallout Green
+889977 Fallout Grey
+C19A51 Fallow
+9F8D57 Fallow Deer
+939B88 False Cypress
+784D4C False Morel
+A57E52 False Puce
+801818 Falu Red
+DB9C7B Fame Orange
+CAB3A0 Familiar Beige
+A7B191 Family Tree
+EE1199 Fanatic Fuchsia
+FFB1B0 Fancy Flamingo
+B4B780 Fancy Flirt
+FF0088 Fancy Fuchsia
+BDACCA Fancy Pansy
+F3DAE1 Fancy Pants
+F6E9E8 Fancy Pink
+B40441 Fancy Red Wine
+C3833D Fancy Suede
+E4DE65 Fandangle
+B53389 Fandango
+E04F80 Fandango Pink
+BB7B6D Faneuil Brick
+008384 Fanfare
+BBAA97 Fangtooth Fish
+F2EEAF Fanlight
+9F7E53 Fantan
+73788B Fantasia
+E6C8C9 Fantastic Pink
+F2E6DD Fantasy
+29ADFF Fantasy Console Sky
+8591A2 Fantasy Grey
+E83A72 Fantasy Romance
+2D383A Far Away Grey
+7FA2BF Far Horizons
+CEBEA2 Far Side of the Mountain
+E5EEEE Faraway Blue
+8980C1 Faraway Sky
+E5D4C9 Farfalle Noodle
+DFC38D Farina
+8E9B88 Farm Fresh
+EEE8D6 Farm House
+D5B54C Farm Straw
+E7CFC1 Farm-Fresh Eggs
+8F917C Farmer’s Market
+96A69F Farmers Green
+EEE3D6 Farmers Milk
+BD8339 Farmhouse Ochre
+A34B41 Farmhouse Red
+A6917D Farmyard
+456F6E Farrago
+C1A485 Farro
+E5E3EF Farsighted
+006B64 Fashion Blue
+B9A998 Fashion District
+F400A1 Fashion Fuchsia
+B3D26D Fashion Green
+A29C94 Fashion Grey
+B5A8A8 Fashion Mauve
+998988 Fashion Week
+EDC537 Fashion Yellow
+BDB8B8 Fashionable Grey
+B28CA9 Fashionably Plum
+66616F Fashionista
+C7CBC8 Fast as the Wind
+8B94C7 Fast Velvet
+868D82 Fat Cat
+E6BC00 Fat Gold
+C1537D Fat Smooch
+352235 Fat Tuesday
+008822 Fatal Fields
+DA321C Fatal Fury
+FFF7ED Fatback
+6BA0BF Fate
+EE0077 Fatty Fuchsia
+EEC4B4 Fatty Sashimi
+C59DAA Fauna
+BAD09D Fava Bean
+FAE6CC Favoured One
+9D723E Favourite Ale
+877252 Favourite Fudge
+8AA3B1 Favourite Jeans
+E3C5D6 Favourite Lady
+D3A5D6 Favourite Lavender
+9BC4C4 Favourite Sweater
+C1AE91 Favourite Tan
+CFAF7B Fawn
+A7A094 Fawn Brindle
+71452A Fawn Brown
+EE0088 Feasty Fuchsia
+DAD9CE Feather
+F1C9CD Feather Boa
+606972 Feather Falls
+D5DCD0 Feather Fern
+EDD382 Feather Gold
+A3D0B6 Feather Green
+B8AD9E Feather Grey
+FFDCB2 Feather Plume
+A4A1A2 Feather Quill
+A2AEBF Feather Soft Blue
+59A1EF Feather Star
+E7EAE5 Feather White
+AFCBE5 Featherbed
+BCB7A5 Feathers of a Dove
+CDC7BB Featherstone
+ABC2C7 Feathery Blue
+ECE7ED Feathery Lilac
+E0DEE3 February Frost
+43628B Federal Blue
+30594B Federal Fund
+634041 Federation Brown
+B71010 Federation of Love
+625665 Fedora
+AED3C7 Feeling Lucky
+FE420F Fēi Hóng Scarlet
+A5D785 Feijoa
+EDF2C3 Feijoa Flower
+4D5D53 Feldgrau
+D19275 Feldspar
+BCA885 Feldspar Grey
+A0ADA9 Feldspar Silver
+917292 Felicia
+E5E4DF Felicity
+DBB694 Feline Frolic
+00608F Felix
+247345 Felt
+6FC391 Felt Green
+979083 Felted Wool
+2BC51B Felwood Leaves
+4F4352 Feminin Nightshade
+C4A8CF Feminine Fancy
+C7C2CE Femininity
+9D5783 Feminism
+948593 Femme Fatale
+FF6CB5 Fěn Hóng Pink
+09332C Fence Green
+D7D9C2 Feng Shui
+AC9D83 Fenland
+DAD7C8 Fennec Fox
+8FCE9B Fennel
+DDEEBB Fennel Bulb
+00AA44 Fennel Fiasco
+00BB77 Fennel Fiesta
+77AAFF Fennel Flower
+8F7F50 Fennel Seed
+DECFB1 Fennel Splash
+B1B6A3 Fennel Stem
+D2F4DD Fennel Tea
+9A9E80 Fennelly
+CEDEE7 Fenrisian Grey
+BD8965 Fenugreek
+8DE07C Feralas Lime
+7B7054 Fermata
+548D44 Fern
+758A5F Fern Canopy
+6AA84F Fern Flash
+576A7D Fern Flower
+657220 Fern Frond
+009B54 Fern Green
+536943 Fern Grotto
+837B53 Fern Grove
+595646 Fern Gully
+99A787 Fern Leaf
+797447 Fern Shade
+D6E1B4 Fern Shadow
+71AB62 Ferntastic
+977B2F Fernweh
+E2261F Ferocious
+EE00CC Ferocious Flamingo
+E25D1B Ferocious Fox
+AA00CC Ferocious Fuchsia
+876A68 Ferra
+FF2800 Ferrari Red
+AD7D76 Ferris Wheel
+CC926C Ferrous
+383E44 Ferry
+8B8757 Fertile Green
+8E603C Fertile Soil
+66FC00 Fertility Green
+BC9042 Fervent Brass
+469F4E Fervent Green
+A1CDA6 Fescue
+CB8E00 Festering Brown
+EACC4A Festival
+B5E1DB Festival de Verano
+AA2F78 Festival Fuchsia
+6EA43C Festival Green
+DE5E3F Festival Orange
+6E0F12 Festive Bordeaux
+FF5566 Festive Fennec
+DFDFE5 Festive Ferret
+008C6C Festive Green
+A0BBB8 Festoon Aqua
+DBE0D0 Feta
+86725F Fetched Stick
+EA4C4C Fever
+DD5577 Fever Dream
+DD6677 Feverish
+DE4D7B Feverish Passion
+CB3E50 Feverish Pink
+112358 Fibonacci Blue
+BEC0AF Fibre Moss
+8B851B Fickle Pickle
+3B593A Ficus
+006131 Ficus Elastica
+A6C875 Fiddle-Leaf Fig
+C8C387 Fiddlehead Fern
+5A9589 Fiddler
+BB9FB1 Fiddlesticks
+4477AA Field Blue
+C5E6A4 Field Day
+6C541E Field Drab
+CEE9E8 Field Frost
+60B922 Field Green
+B1A891 Field Khaki
+80884E Field Maple
+DEB699 Field of Wheat
+D86F3C Field Poppy
+649050 Field Time Green
+C5BD9C Fields Afar
+B18446 Fields of Glory
+98A1CF Fields of Heather
+A491A7 Fields of Provence
+807E77 Fieldstone
+7FC15C Fierce Mantis
+CC0021 Fierce Red
+5D3831 Fiery Brown
+E26058 Fiery Coral
+F96D7B Fiery Flamingo
+B7386E Fiery Fuchsia
+B71E1E Fiery Garnet
+F0531C Fiery Glow
+B1592F Fiery Orange
+DD1E2E Fiery Red
+FF5470 Fiery Rose
+F76564 Fiery Salmon
+F07046 Fiery Sky
+B74537 Fiery Topaz
+EDD8D2 Fiesta
+6FC0B1 Fiesta Blue
+D47194 Fiesta Pink
+B67C80 Fiesta Rojo
+A9A5C2 Fife
+8E8779 Fifth Olive-Nue
+505050 Fiftieth Shade of Grey
+5A3140 Fig
+550022 Fig Balsamic
+7A634D Fig Branches
+784A65 Fig Cluster
+A98691 Fig Fruit Mauve
+556B2F Fig Leaf
+BB8610 Fig Mustard Yellow
+A7989E Fig Preserves
+605F4B Fig Tree
+FF99AA Fight the Sunrise
+939498 Fighter Jet
+9469A2 Figue
+962C54 Figue Pulp
+EEDAC3 Figure Stone
+E4D5C0 Figurine
+00AAAC Fiji
+6B5F68 Fiji Coral
+636F22 Fiji Green
+528D3C Fiji Palm
+D8CAA9 Fiji Sands
+DFE7E8 Filigree
+A5AF89 Filigree Green
+93877C Film Fest
+473933 Film Noir
+D1D3C7 Filmy Green
+B7E1D2 Filtered Forest
+B1B2C4 Filtered Light
+ECCA9A Filtered Moon
+D0B064 Filtered Rays
+E8AA08 Filthy Brown
+F1F5DB Final Departure
+D0BF9E Final Straw
+75785A Finch
+ECD3CB Fine Alabaster
+B6E1E1 Fine Blue
+815158 Fine Burgundy
+B1D2D5 Fine China
+DAA826 Fine Gold
+D8CFC1 Fine Grain
+B5A998 Fine Greige
+FAF5C3 Fine Linen
+008800 Fine Pine
+FAF0E1 Fine Porcelain
+5E548D Fine Purple
+F1D5AE Fine Sand
+84989E Fine Tuned Blue
+FAEDE1 Fine White
+E4D4C0 Fine White Sand
+744E5B Fine Wine
+96A8C8 Finesse
+DD8888 Finest Blush
+F1E5D7 Finest Silk
+E1C12F Finger Banana
+8A7E61 Fingerpaint
+555356 Fingerprint
+CBBFB3 Finishing Touch
+61755B Finlandia
+694554 Finn
+425357 Finnegan
+5DB0BE Finnish Fiord
+FFFCE3 Fioletowy Beige
+FC44A3 Fioletowy Purple
+4B5A62 Fiord
+BFBFAF Fiorito
+3D7965 Fir
+67592A Fir Green
+6D7969 Fir Spruce Green
+8F3F2A Fire
+7C383D Fire Agate
+BE6400 Fire Ant
+CE1620 Fire Axe Red
+CC4411 Fire Bolt
+E09842 Fire Bush
+D2806C Fire Chalk
+92353A Fire Chi
+E3B46F Fire Coral
+E3D590 Fire Dance
+F97306 Fire Dragon Bright
+B98D68 Fire Dust
+FE0002 Fire Engine
+F68F37 Fire Flower
+FF0D00 Fire Hydrant
+D95137 Fire Island
+BB7733 Fire Lord
+FBD9C4 Fire Mist
+FD3C06 Fire Opal
+FF8E57 Fire Orange
+79483E Fire Roasted
+FFB70B Fire Yellow
+BF3747 Fire-Breathing Dragon
+CE2029 Fireball
+DD5522 Firebird Tail Lights
+B22222 Firebrick
+CD5C51 Firebug
+F2643A Firecracker
+F36363 Firecracker Salmon
+793030 Fired Brick
+884444 Fired Clay
+3D3732 Fired Earth
+D37A38 Fired Up
+F6DAA7 Fireflies
+314643 Firefly
+FFF3A1 Firefly Glow
+D65E40 Fireglow
+F9D97B Firelight
+BC7256 Firenze
+D08B73 Fireplace Glow
+C5C9C7 Fireplace Kitten
+847C70 Fireplace Mantel
+6E4A44 Fireside
+B87427 Fireside Chat
+EE8866 Firewatch
+B38491 Fireweed
+44363D Fireworks
+47654A Firm Green
+DA93C1 Firm Pink
+11353F Firmament Blue
+ED1C24 First Blood
+F4EDEC First Blush
+DBE64C First Colours of Spring
+F6E2EA First Crush
+F5B1A2 First Date
+F7D2D8 First Daughter
+FADBA0 First Day of School
+F1E798 First Day of Summer
+CFE5F0 First Frost
+F4E5E7 First Impression
+C47967 First Lady
+59A6CF First Landing
+D9E6EE First Light
+E7D6ED First Lilac
+CF758A First Love
+E47901 First of Fall
+BCE6EF First of July
+24D427 First of the Month Green
+F4CAC6 First Peach
+B87592 First Plum
+2FBDA1 First Post
+BDD8EC First Rain
+CBE1F2 First Shade of Blue
+E8EFF8 First Snow
+DAD9D4 First Star
+00E8D8 First Timer Green
+FFE79C First Tulip
+D5BCB2 First Waltz
+32A0B1 Fischer Blue
+E4D9C5 Fish Bone
+11DDDD Fish Boy
+7A9682 Fish Camp Woods
+E1E1D5 Fish Ceviche
+EECC55 Fish Finger
+1E446E Fish Net Blue
+86C8ED Fish Pond
+258F90 Fish Story
+015E6A Fish Tale
+5182B9 Fisher King
+D1C9BE Fisherman Knit
+D7F5F6 Fishious Rend
+1BA590 Fishy House
+225599 Fist of the North Star
+A2A415 Fistfull of Green
+5BB9D2 Fitness Blue
+B3B6B0 Fitzgerald Smoke
+FFAA4A Five Star
+B1DBAA Fizz
+DDBCBC Fizzing Whizbees
+D8E4DE Fizzle
+F7F5C8 Fizzy & Dizzy
+F7BC5C Fizzy Peach
+616242 Fjord
+005043 Fjord Green
+717C00 Flag Green
+B3BFB0 Flagstaff Green
+ACADAD Flagstone
+9A9E88 Flagstone Quartzite
+FE6FFF Flamazing Pink
+F73D37 Flamboyant
+F74480 Flamboyant Flamingo
+694E52 Flamboyant Plum
+129C8B Flamboyant Teal
+E7A500 Flambrosia
+E25822 Flame
+FD4C29 Flame Angelfish
+960018 Flame Hawkfish
+CE0644 Flame Lily
+DB3C02 Flame of Prometheus
+FB8B23 Flame Orange
+BE5C48 Flame Pea
+86282E Flame Red
+F4E25A Flame Seal
+D65D45 Flame Stitch
+FFCF49 Flame Yellow
+EA8645 Flamenco
+DF7B62 Flamenco Pink
+F6A374 Flaming Cauldron
+D4202A Flaming Cherry
+DD55FF Flaming Flamingo
+FF005D Flaming Hot Flamingoes
+EEBB66 Flaming June
+EE6633 Flaming Orange
+D2864E Flaming Torch
+E1634F Flamingo
+FF44DD Flamingo Diva
+EE888B Flamingo Dream
+F8BDD9 Flamingo Feather
+B42121 Flamingo Fervour
+DF01F0 Flamingo Fury
+F6E2D8 Flamingo Peach
+CC33FF Flamingo Queen
+EF8E87 Flamingo Red
+F6E3B4 Flan
+9E917C Flannel
+8B8D98 Flannel Pyjamas
+495762 Flapper Dance
+FCAF52 Flare
+FF4519 Flare Gun
+FFFB05 Flash Gitz Yellow
+FF9977 Flash in the Pan
+FFAA00 Flash of Orange
+F9EED6 Flashlight
+7CBD85 Flashman
+F9F2D1 Flashpoint
+2C538A Flashy Sapphire
+C3C6CD Flat Aluminium
+F7D48F Flat Beige
+3C73A8 Flat Blue
+754600 Flat Brown
+AA5533 Flat Earth
+699D4C Flat Green
+FFF005 Flat Yellow
+EE6655 Flattered Flamingo
+527E9C Flattering Blue
+F4D3B3 Flattering Peach
+6B4424 Flattery
+FCE300 Flatty Yellow
+F7E98E Flavescent
+8FB67B Flavoparmelia Caperata
+FFFBFC Flawed White
+EEDC82 Flax
+D4C3B3 Flax Beige
+D2D8F4 Flax Bloom
+E0D68E Flax Fibre
+B7A99A Flax Fibre Grey
+5577AA Flax Flower
+4499DD Flax Flower Blue
+7B8265 Flax Smoke
+CBAA7D Flax Straw
+FBECC9 Flaxen
+E3DDBD Flaxen Fair
+BBA684 Flaxen Field
+F7E6C6 Flaxseed
+FCFCDE Flayed One
+97BBE1 Fleck
+F2C6BB Fleecy Dreams
+D8E2D8 Fleeting Green
+ADD0E0 Flemish Blue
+CF3F4F Flesh and Blood
+894585 Flesh Fly
+DCDDD8 Fleur de Sel
+DA8704 Fleur de Sel Caramel
+B090C7 Fleur-De-Lis
+B1A3A1 Flexible Grey
+F8F6E6 Flickering Firefly
+AA6E49 Flickering Flame
+C6A668 Flickering Gold
+FFF1DC Flickering Light
+5566EE Flickering Sea
+4F81FF Flickery C64
+90F215 Flickery CRT Green
+216BD6 Flickr Blue
+FB0081 Flickr Pink
+CDB891 Flier Lie
+91786B Flight of Fancy
+A3B8CE Flight Time
+6D7058 Flinders Green
+8ECFD0 Fling Green
+716E61 Flint
+D9623B Flint Corn Red
+A09C98 Flint Grey
+42424D Flint Purple
+989493 Flint Rock
+8F9395 Flint Shard
+A8B2B1 Flint Smoke
+677283 Flintstone
+434252 Flintstone Blue
+45747E Flip
+CCDDCC Flip a Coin
+F2C4A7 Flip-Flop
+7F726B Flipper
+7A2E4D Flirt
+BE3C37 Flirt Alert
+FFD637 Flirtatious
+CC22FF Flirtatious Flamingo
+473F2D Flirtatious Indigo Tea
+9E88B1 Flirty Pink
+D65E93 Flirty Rose
+FA7069 Flirty Salmon
+FDD685 Float Like a Butterfly
+93C5B6 Float Your Boat
+B0C9CD Floating Blue
+E9D8C2 Floating Feather
+ECE5CF Floating Island
+EDEBCE Floating Lily
+CCC7A1 Floating Lily Pad
+EAF5E7 Floaty Bubble
+B6BFBD Flock of Seagulls
+6677BB Flood
+877966 Flood Mud
+579DAB Flood Out
+6C98A2 Flood Tide
+110044 Floppy Disk
+E0E0EB Flor Lila
+73FA79 Flora
+91AD8A Flora Green
+C6AC9F Floral Arrangement
+E7CFB9 Floral Bluff
+BACB7C Floral Bouquet
+FFB94E Floral Leaf
+F5E2DE Floral Linen
+CDCFDB Floral Note
+EEEDE9 Floral Scent
+C39191 Floral Tapestry
+FFFAF0 Floral White
+96B576 Florence
+835740 Florence Brown
+753F38 Florence Red
+7A5544 Florentine Brown
+C1937A Florentine Clay
+755C32 Florentine Dream
+1C5798 Florentine Lapis
+BEA4A2 Florida Grey
+56BEAB Florida Keys
+ED9F6C Florida Mango
+F7AA6F Florida Sunrise
+6BB8B1 Florida Turquoise
+2A4983 Florida Waters
+664422 Florida’s Alligator
+A54049 Floriography
+D7B3B9 Floss
+7BB0BA Flotation
+4A8791 Flounce
+B9B297 Flour Sack
+EBDC9C Flourish
+F27987 Flower Blossom Pink
+D9E8C9 Flower Bulb
+FDE6C6 Flower Centre
+D9A96F Flower Field
+F498AD Flower Girl
+EDE7E6 Flower Girl Dress
+F9D593 Flower Hat Jellyfish
+F5DFC5 Flower of Oahu
+8F4438 Flower Pot
+E6AED3 Flower Power
+FFC9D7 Flower Spell
+B5D5B0 Flower Stem
+988378 Flower Wood
+FFEBDA Flowerbed
+F62E52 Flowerhorn Cichlid Red
+A2D4BD Flowering Cactus
+875657 Flowering Chestnut
+A16C94 Flowering Raspberry
+E1D8B8 Flowering Reed
+E3D7E3 Flowers of May
+E4DCBF Flowery
+FFF953 Flowey Yellow
+B9C6CB Flowing Breeze
+335E6F Flowing River
+FCDF39 Fluffy Duckling
+F7D6CB Fluffy Pink
+D8E5E4 Fluffy Slippers
+C5D6EB Fluid Blue
+A77D35 Fluor Spar
+89D178 Fluorescence
+984427 Fluorescent Fire
+08FF08 Fluorescent Green
+BDC233 Fluorescent Lime
+FFCF00 Fluorescent Orange
+FE1493 Fluorescent Pink
+FF5555 Fluorescent Red
+FC8427 Fluorescent Red Orange
+00FDFF Fluorescent Turquoise
+CCFF02 Fluorescent Yellow
+8FAA8C Fluorine
+0AFF02 Fluro Green
+F2EDE3 Flurries
+CA2425 Flush Mahogany
+FF6F01 Flush Orange
+F8CBC4 Flush Pink
+DD5555 Flushed
+C8DAF5 Fly a Kite
+FF2052 Fly Agaric
+85B3F3 Fly Away
+218D4B Fly the Green
+1C1E4D Fly-by-Night
+787489 Flying Carpet
+5376AB Flying Fish
+024ACA Flying Fish Blue
+5DB3D4 Flyway
+D0EAE8 Foam
+90FDA9 Foam Green
+90D1DD Foaming Surf
+DCE2BE Foamy Lime
+F7F4F7 Foamy Milk
+B3D4DF Foamy Surf
+E5E0D2 Focus
+FEF9D3 Focus on Light
+91C3BD Focus Point
+D6D7D2 Fog
+D8D6D1 Fog Beacon
+112233 Fog of War
+C4BAD2 Fog Syringa
+F1EFE4 Fog White
+57317E Foggy Amethyst
+99AEBB Foggy Blue
+7F8E1D Foggy Bog
+E7E3DB Foggy Day
+D1D5D0 Foggy Dew
+A7A69D Foggy Grey
+E2C9FF Foggy Heath
+5C5658 Foggy London
+D5C7E8 Foggy Love
+B19F9D Foggy Mauve
+C8D1CC Foggy Mist
+CAD0CE Foggy Morn
+40494E Foggy Night
+FBF6EF Foggy Pith
+CFCBE5 Foggy Plateau
+B7A5AD Foggy Plum
+BFA2A1 Foggy Quartz
+ACBDB1 Foggy Rain
+A79C8E Foggy Sunrise
+909FB2 Foghorn
+EEF0E7 Fogtown
+C0C3C4 Foil
+B0B99C Foille
+95B388 Foliage
+3E6F58 Foliage Green
+547588 Folk Blue
+7A634F Folk Guitar
+65A19F Folk Song
+A5C1B6 Folk Tales
+684141 Folklore
+6D6562 Folkstone
+626879 Folkstone Grey
+D69969 Folksy Gold
+F7E5D0 Follow the Leader
+FD004D Folly
+C8BCB7 Fond Memory
+ABA379 Fond of Fronds
+F4E2CF Fondant
+FDF5C4 Fondue
+6D4B3E Fondue Fudge
+CAD175 Fool’s Gold
+825736 Football
+7EAF34 Football Field
+528E39 Football Pitch
+CAB48E Foothill Drive
+E1CFA5 Foothills
+E6CEE6 Footie Pyjamas
+457E87 For the Love of Hue
+323F75 Forbidden Blackberry
+215354 Forbidden Forest
+FE7B7C Forbidden Fruit
+661020 Forbidden Passion
+A38052 Forbidden Peanut
+8A4646 Forbidden Red
+856363 Forbidden Thrill
+D5CE69 Force of Nature
+F29312 Forceful Orange
+94A8D3 Foresight
+0B5509 Forest
+956378 Forest Berry
+1D5952 Forest Biome
+0D4462 Forest Blues
+738F50 Forest Bound
+969582 Forest Canopy
+627B72 Forest Edge
+3D7016 Forest Empress
+63B76C Forest Fern
+555142 Forest Floor
+78766D Forest Floor Khaki
+E1DFBB Forest Found
+88BB95 Forest Frolic
+68393B Forest Fruit Pink
+6E2759 Forest Fruit Red
+154406 Forest Green
+3E645B Forest Greenery
+9AA22B Forest Lichen
+52B963 Forest Maid
+858F83 Forest Moss
+434237 Forest Night
+708D6C Forest Path
+216957 Forest Rain
+006800 Forest Ride
+555D46 Forest Ridge
+C8CAA4 Forest Sand
+336644 Forest Serenade
+91AC80 Forest Shade
+015A49 Forest Shadows
+667028 Forest Spirit
+016E61 Forest Splendour
+A4BA8A Forest Tapestry
+BBA748 Forest Tent
+A88B83 Forest Trail
+9AA77C Forester
+007733 Forestial
+556611 Forestial Outpost
+2F441F Forestry
+4D5346 Forestwood
+BBE1E6 Forever
+899BB8 Forever Blue
+778590 Forever Denim
+D2BBB2 Forever Fairytale
+EFE6E1 Forever Faithful
+AAB4A7 Forever Green
+AFA5C7 Forever Lilac
+018E8E Forever Teal
+67616B Forge
+555257 Forged Iron
+5B5B59 Forged Steel
+0087BD Forget-Me-Not
+358094 Forget-Me-Not Blue
+E1E1BE Forgive Quickly
+FF1199 Forgiven Sin
+C0E5EC Forgotten Blue
+C7B89F Forgotten Gold
+955AF2 Forgotten Kyawthuite
+E2D9DB Forgotten Mosque
+FFD9D6 Forgotten Pink
+9878F8 Forgotten Purple
+AFA696 Forgotten Sandstone
+FDD5B1 Forgotten Sunset
+C4BBA5 Forgotten Tusk
+34466C Forlorn Cruise
+848391 Formal Affair
+3A984D Formal Garden
+97969A Formal Grey
+70474B Formal Maroon
+A69A51 Formosan Green
+4E5B52 Forrester
+FFC801 Forsythia
+F6D76E Forsythia Blossom
+BBCC55 Forsythia Bud
+C6C5C1 Fortitude
+BEA58E Fortress
+B8B8B8 Fortress Grey
+9F97A3 Fortune
+E0C5A1 Fortune Cookie
+B0534D Fortune Red
+DAA994 Fortune’s Prize
+92345B Forward Fuchsia
+867367 Fossil
+A78F65 Fossil Butte
+6C6A43 Fossil Green
+D2C8BB Fossil Sand
+E3DDCC Fossil Stone
+D1AF90 Fossil Tan
+DDCBAF Fossil White
+B6B8B0 Fossilised
+756A43 Fossilised Leaf
+85C7A1 Foul Green
+DECFB3 Found Fossil
+F8E8C5 Foundation
+EFEEFF Foundation White
+56B5CA Fountain
+65ADB2 Fountain Blue
+9CD4CF Fountain City
+C6D0C6 Fountain Foam
+E4E4C5 Fountain Frolic
+CDEBEC Fountain Spout
+B9DEF0 Fountains of Budapest
+738F5D Four Leaf Clover
+6A7252 Four Seasons Oolong
+90908B Four-Wheel Grey
+CA4E33 Fox
+C8AA92 Fox Hill
+BF8E7F Foxen
+9F6949 Foxfire Brown
+A2ACC5 Foxflower Viola
+B57C8C Foxglove
+454B40 Foxhall Green
+BC896E Foxtail
+A85E53 Foxy
+9F00C5 Foxy Fuchsia
+D5A6AD Foxy Lady
+DB95AB Foxy Pink
+70625C Fozzie Bear
+BBB8D0 Fragile
+E7D7C6 Fragile Beauty
+CFD1D3 Fragile Blue
+EFF2DB Fragile Fern
+8E545C Fragrant Cherry
+AC5E3A Fragrant Cloves
+EABC83 Fragrant Coriander
+FBF6E7 Fragrant Jasmine
+CAA7BB Fragrant Lilac
+DCBDC8 Fragrant Orchid
+A99FBA Fragrant Satchel
+D5C5D4 Fragrant Snowbell
+ADB1C1 Fragrant Wand
+EE88EE Frail Fuchsia
+E40058 Framboise
+F4D5B2 Frangipane
+FFD7A0 Frangipani
+225288 Frank Blue
+EFEBDB Frank Lloyd White
+E5989C Franken Berry
+7BA05B Frankenstein
+DCAA6E Frankincense
+E2DBCA Frankly Earnest
+CEAE99 Frappé
+9A6840 Frappé au Chocolat
+9B6F55 Freckle Face
+AF8B65 Freckled Nose
+D78775 Freckles
+74A690 Free Green
+D1CDCA Free Reign
+029D74 Free Speech Aquamarine
+4156C5 Free Speech Blue
+09F911 Free Speech Green
+E35BD8 Free Speech Magenta
+C00000 Free Speech Red
+DEEEED Free Spirit
+B29A8B Free Wheeling
+3B5E68 Freedom
+657682 Freedom Found
+565266 Freefall
+F3C12C Freesia
+B3B0D4 Freesia Purple
+DEE9F4 Freeze Up
+D4E9F5 Freezing Vapour
+99EEEE Freezy Breezy
+99FFDD Freezy Wind
+232F36 Freinacht Black
+F9F3D5 French 75
+A67B50 French Beige
+856D4D French Bistre
+0072BB French Blue
+F2D5D4 French Bustle
+CDC0B7 French Castle
+6A8EA2 French Court
+F2C9B1 French Cream
+F2E6CF French Creme
+597191 French Diamond
+EBC263 French Fry
+FD3F92 French Fuchsia
+BFBDC1 French Grey
+CAC8B6 French Grey Linen
+E9E2E0 French Heirloom
+DFC9D1 French Lavender
+DEB7D9 French Lilac
+ADBAE3 French Lilac Blue
+C0FF00 French Lime
+C9D6C2 French Limestone
+FEE6DC French Manicure
+A2C7A3 French Market
+AD747D French Marron
+D473D4 French Mauve
+446688 French Mirage Blue
+9FBBC3 French Moire
+BB9E7C French Oak
+D4AB60 French Pale Gold
+9EA07D French Parsley
+A4D2E0 French Pass
+C4AA92 French Pastry
+9E9F7D French Pear
+FD6C9E French Pink
+811453 French Plum
+F6F4F6 French Porcelain
+FAF1D7 French Porcelain Clay
+4E1609 French Puce
+C72C48 French Raspberry
+644C48 French Roast
+F64A8A French Rose
+BAB6A0 French Shutter
+C0C6D2 French Silk
+B8BCBC French Silver
+77B5FE French Sky Blue
+667255 French Tarragon
+D3C2BF French Taupe
+DD8822 French Toast
+896D61 French Truffle
+EFE1A7 French Vanilla
+FBE8CE French Vanilla Sorbet
+8806CE French Violet
+F1E7DB French White
+AC1E44 French Wine
+991133 French Winery
+814A5C Frenzied Red
+FEB101 Frenzy
+9CC780 Frenzy Plant
+F4DBD9 Fresco
+034C67 Fresco Blue
+FCC9A6 Fresco Cream
+7BD9AD Fresco Green
+D2693E Fresh Acorn
+A6E7FF Fresh Air
+97A346 Fresh Apple
+FFD7A5 Fresh Apricot
+7C8447 Fresh Artichoke
+A52A24 Fresh Auburn
+F8D7BE Fresh Baked Bread
+5C5F4B Fresh Basil
+8BD6E2 Fresh Blue
+069AF3 Fresh Blue of Bel Air
+BEEDDC Fresh Breeze
+B8AA7D Fresh Brew
+FF9C68 Fresh Cantaloupe
+A77F74 Fresh Cedar
+74754C Fresh Cilantro
+995511 Fresh Cinnamon
+BE8035 Fresh Clay
+FCF7E0 Fresh Cream
+CC9F76 Fresh Croissant
+F2003C Fresh Cut
+91CB7D Fresh Cut Grass
+B5D9E5 Fresh Dawn
+DFE9E5 Fresh Day
+F0F4E5 Fresh Dew
+F2EBE6 Fresh Dough
+4F467E Fresh Eggplant
+FAF4CE Fresh Eggs
+ADBCB4 Fresh Eucalyptus
+DBE69D Fresh Frappé
+D3691F Fresh Gingerbread
+7FF217 Fresh Granny Smith
+69D84F Fresh Green
+F0F7C4 Fresh Grown
+A2B07E Fresh Guacamole
+FFAADD Fresh Gum
+D1C1DD Fresh Heather
+77913B Fresh Herb
+F6EFC5 Fresh Honeydew
+006A5B Fresh Ivy Green
+8E90B4 Fresh Lavender
+88AA00 Fresh Lawn
+93EF10 Fresh Leaf
+ECE678 Fresh Lemonade
+B2D58C Fresh Lettuce
+D8F1CB Fresh Lime
+EBE8DA Fresh Linen
+2A5443 Fresh Mint
+83D9C5 Fresh Mist
+93B654 Fresh Mown
+DAA674 Fresh Nectar
+FF11FF Fresh Neon Pink
+A69E73 Fresh Olive
+FAA9BB Fresh on the Market
+5B8930 Fresh Onion
+4FAA6C Fresh Oregano
+F6B98A Fresh Peaches
+D0DD84 Fresh Pear
+C2B079 Fresh Peas
+A0BD14 Fresh Pesto
+FDDDE6 Fresh Piglet
+4F5B49 Fresh Pine
+F3D64F Fresh Pineapple
+E19091 Fresh Pink
+F4F3E9 Fresh Popcorn
+E7BB95 Fresh Praline
+503E2C Fresh Roe
+FF7356 Fresh Salmon
+C8A278 Fresh Sawdust
+F1C11C Fresh Scent
+F6EFE1 Fresh Snow
+91A085 Fresh Sod
+6AB9BB Fresh Soft Blue
+C7C176 Fresh Sprout
+FFAD00 Fresh Squeezed
+CFD4A4 Fresh Start
+EECC66 Fresh Straw
+505B93 Fresh Take
+AEBDA8 Fresh Thyme
+B2C7C0 Fresh Tone
+40E0D0 Fresh Turquoise
+DFEBB1 Fresh Up
+C6E3F7 Fresh Water
+DF9689 Fresh Watermelon
+E1D9AA Fresh Willow
+EAE6CC Fresh Wood Ashes
+F7E190 Fresh Yellow
+F5E9CF Fresh Zest
+E2BEAB Fresh-Baked
+E9C180 Freshly Baked
+5C5083 Freshly Purpleized
+663322 Freshly Roasted Coffee
+E6F2C4 Freshman
+4DA6B2 Freshwater
+B5C7A4 Freshwater Green
+004F98 Freshwater Lake
+535644 Freshwater Marsh
+E3E1DD Freshwater Pearls
+B2A490 Fretwire
+807E79 Friar Grey
+DDB994 Friar Tuck
+754E3E Friar’s Brown
+FFE6C2 Fricassée
+B9A161 Frickles
+FFE464 Fried Egg
+E2F5E1 Friendly Basilisk
+3F663E Friendly Fairway
+B3AC36 Friendly Frog
+BFFBFF Friendly Frost
+DFDFDD Friendly Ghost
+C8A992 Friendly Homestead
+C4A079 Friendly Tan
+F5E0B1 Friendly Yellow
+E8C5C1 Friends
+FED8C2 Friendship
+004499 Fright Night
+EE77FF Frijid Pink
+939FA9 Frilled Shark
+8FA6C1 Frills
+B4E1BB Fringy Flower
+CCDDA1 Frisky
+7BB1C9 Frisky Blue
+BDB8BB Frisky Whiskers
+FEEBC8 Frittata
+CFD2C7 Frivolous Folly
+58BC08 Frog
+00693C Frog Green
+7DA270 Frog Hollow
+8FB943 Frog on a Log
+73B683 Frog Pond
+BBD75A Frog Prince
+8C8449 Frog’s Legs
+8CD612 Frogger
+7FBA9E Froggy Pond
+F9E7E1 Frolic
+E56D75 Froly
+7B7F56 Frond
+CDCCC5 Front Porch
+314A49 Frontier
+9A8172 Frontier Brown
+C3B19F Frontier Fort
+BCA59A Frontier Land
+9A794A Frontier Paradise
+655A4A Frontier Shadow
+7B5F46 Frontier Shingle
+E1E4C5 Frost
+5D9AA6 Frost Blue
+BBCFEF Frost Fairy
+8ECB9E Frost Gum
+DAEBEF Frost Wind
+ACFFFC Frostbite
+D2C2AC Frosted Almond
+0055DD Frosted Blueberries
+A89C91 Frosted Cocoa
+78B185 Frosted Emerald
+A7A796 Frosted Fern
+B4D5BD Frosted Fir
+E2F7D9 Frosted Garden
+EAF0F0 Frosted Glass
+D4C4D2 Frosted Grape
+AAEEAA Frosted Hills
+B1B9D9 Frosted Iris
+C2D1C4 Frosted Jade
+F0F4EB Frosted Juniper
+FFEDC7 Frosted Lemon
+D3D1DC Frosted Lilac
+E2F2E4 Frosted Mint
+CCFFC2 Frosted Mint Hills
+BFB3D1 Frosted Orchid
+E0FFDF Frosted Plains
+AD3D46 Frosted Pomegranate
+C6D1C4 Frosted Sage
+C5C9C5 Frosted Silver
+D5BCC2 Frosted Sugar
+F1DBBF Frosted Toffee
+F6D8D7 Frosted Tulip
+DBE5D2 Frostee
+FFFBEE Frosting Cream
+DBF2D9 Frostini
+D1F0F6 Frostproof
+EFF1E3 Frostwork
+A1DED6 Frosty
+E1809A Frosty Berry
+A4A78E Frosty Cedar
+CBE9C9 Frosty Dawn
+CCEBF5 Frosty Day
+DEE1E9 Frosty Fog
+A0C0BF Frosty Glade
+A3B5A6 Frosty Green
+DAE2B2 Frosty Margarita
+E2F7F1 Frosty Mint
+EFE8E8 Frosty Morning
+9497B3 Frosty Nightfall
+C7CFBE Frosty Pine
+DFE9E3 Frosty Pink
+ACCDE5 Frosty Snow Cap
+B4E0DE Frosty Soft Blue
+578270 Frosty Spruce
+DDDDD6 Frosty White
+CCE9E4 Frosty White Blue
+C6B8AE Froth
+FAEDE6 Frothy Milk
+E7EBE6 Frothy Surf
+FBF5D6 Frozen Banana
+A5C5D9 Frozen Blue
+00EEDD Frozen Boubble
+E1F5E5 Frozen Civilization
+FBEABD Frozen Custard
+D1CAA4 Frozen Dew
+9CA48A Frozen Edamame
+CFE8B6 Frozen Forest
+DDC5D2 Frozen Frappé
+E1CA99 Frozen Fruit
+DEEADC Frozen Grass
+7B9CB3 Frozen Lake
+AEE4FF Frozen Landscape
+DFD9DA Frozen Mammoth
+DBE2CC Frozen Margarita
+C6BB81 Frozen Marguerita
+D8E8E6 Frozen Mint
+ADDFAD Frozen Moss Green
+C4EAD5 Frozen Pea
+C9D1EF Frozen Periwinkle
+A5B4AE Frozen Pond
+FEA993 Frozen Salmon
+26F7FD Frozen State
+E1DEE5 Frozen Statues
+30555D Frozen Stream
+DD5533 Frozen Tomato
+A3BFCB Frozen Tundra
+53F6FF Frozen Turquoise
+ECB3BE Frozen Veins
+56ACCA Frozen Wave
+8BBBDB Frozen Whisper
+A5D7B2 Frugal
+FDC9D0 Fruit Bowl
+D08995 Fruit Cocktail
+CA4F70 Fruit Dove
+946985 Fruit of Passion
+FA8970 Fruit Red
+4BA351 Fruit Salad
+F39D8D Fruit Shake
+604241 Fruit Yard
+EAC064 Fruit Yellow
+773B3E Fruitful Orchard
+448822 Fruitless Fig Tree
+9B6E71 Fruitwood
+F69092 Fruity Licious
+ED0DD9 Fuchsia
+333322 Fuchsia Berries
+7A58C1 Fuchsia Blue
+E47CB8 Fuchsia Blush
+F44772 Fuchsia Felicity
+FF5599 Fuchsia Fever
+BB22BB Fuchsia Flair
+FF01CD Fuchsia Flame
+DD55CC Fuchsia Flash
+AB446B Fuchsia Flock
+BB2299 Fuchsia Flourish
+D800CC Fúchsia Intenso
+CB6E98 Fuchsia Kiss
+7722AA Fuchsia Nebula
+9F4CB7 Fuchsia Pheromone
+FF77FF Fuchsia Pink
+D33479 Fuchsia Purple
+B73879 Fuchsia Red
+C74375 Fuchsia Rose
+C255C1 Fuchsia Tint
+C3D9CE Fuchsite
+5B7E70 Fuchsite Green
+583D43 Fudge
+997964 Fudge Bar
+572B16 Fudge Brownie
+604A3F Fudge Truffle
+A88B7F Fudgecicle
+AC6239 Fudgesicle
+C77E4D Fuegan Orange
+EE5533 Fuego
+EE6622 Fuego Nuevo
+C2D62E Fuego Verde
+596472 Fuel Town
+D19033 Fuel Yellow
+EE66AA Fugitive Flamingo
+F6EEE2 Fuji Peak
+89729E Fuji Purple
+F1EFE8 Fuji Snow
+766980 Fujinezumi
+F5B3CE Fulgrim Pink
+E6B77E Fulgurite Copper
+FBCDC3 Full Bloom
+662222 Full City Roast
+FAE4CE Full Cream
+1CA350 Full Energy
+916B77 Full Glass
+F4F3E0 Full Moon
+CFEAE9 Full Moon Grey
+DE5F2F Full of Life
+320094 Full Swing Indigo
+F9BC4F Full Yellow
+514C7E Fully Purple
+E48400 Fulvous
+33789C Fun and Games
+335083 Fun Blue
+15633D Fun Green
+F7E594 Fun Yellow
+B6884D Funchal Yellow
+3F6086 Functional Blue
+ABA39A Functional Grey
+CDD2C9 Fundy Bay
+CC00DD Fungal Hallucinations
+8F8177 Fungi
+F3D9DC Funhouse
+3EA380 Funk
+EE9999 Funki Porcini
+4A3C4A Funkie Friday
+98BD3C Funky Frog
+AD4E1A Funky Monkey
+EDD26F Funky Yellow
+113366 Funnel Cloud
+EDC8CE Funny Face
+E35519 Furious Fox
+55EE00 Furious Frog
+EE2277 Furious Fuchsia
+E34D41 Furious Piñata
+FF1100 Furious Red
+EA5814 Furious Tiger
+C30A12 Furious Tomato
+DD4124 Furnace
+F5EFEB Furry Lady
+F09338 Furry Lion
+D2BB79 Further Afield
+FF0011 Fury
+B56E91 Fuscia Fizz
+54534D Fuscous Grey
+F1E8D6 Fusilli
+B0AE26 Fusion
+FF8576 Fusion Coral
+FF6163 Fusion Red
+E6A3B9 Fussy Pink
+614E6E Futaai Indigo
+EDF6DB Futon
+15ABBE Future
+FF2040 Future Fuchsia
+20B562 Future Hair
+BCB6BC Future Vision
+998DA8 Futuristic
+FFEA70 Fuzzy Duckling
+FFD69F Fuzzy Navel
+FFBB8F Fuzzy Peach
+ECD2B4 Fuzzy Scruff
+F0E9D1 Fuzzy Sheep
+EAE3DB Fuzzy Unicorn
+CC6666 Fuzzy Wuzzy
+C45655 Fuzzy Wuzzy Brown
+AEB1AC Fynbos Leaf
+96834A G.I.
+2C4641 Gable Green
+8C6450 Gaboon Viper
+DACCA8 Gabriel’s Light
+F8E6C6 Gabriel’s Torch
+FFC4AE Gadabout
+A5B3AB Gaelic Garden
+AC0C20 Gaharā Lāl
+D3BC9E Gaia
+A4BE8D Gaia Stone
+F4E4E5 Gaiety
+DCDCDC Gainsboro
+785D7A Gala Ball
+B04B63 Gala Pink
+442288 Galactic Civilization
+48357B Galactic Compass
+111188 Galactic Cruise
+0AFA1E Galactic Emerald
+330077 Galactic Federation
+7F8CB8 Galactic Gossamer
+6B327B Galactic Grapevine
+3311BB Galactic Highway
+E0DFDB Galactic Mediator
+472E97 Galactic Purple
+C0C4C6 Galactic Tint
+442255 Galactic Wonder
+C4DDE2 Galactica
+95A69F Galago
+D28083 Galah
+085F6D Galapagos
+29685F Galapagos Green
+2E305E Galaxea
+4F4A52 Galaxy
+2D5284 Galaxy Blue
+444499 Galaxy Express
+79AFAD Galaxy Green
+35454E Gale Force
+007844 Gale of the Wind
+64776E Galena
+374B52 Galenite Blue
+8A8342 Galia Melon
+A4763C Gallant Gold
+99AA66 Gallant Green
+3F95BF Galleon Blue
+8FA4AC Galleria Blue
+DCD7D1 Gallery
+9BBCE4 Gallery Blue
+88A385 Gallery Green
+C5C2BE Gallery Grey
+935A59 Gallery Red
+D0C5B8 Gallery Taupe
+EAEBE3 Gallery White
+D5AA5E Galley Gold
+D8A723 Galliano
+A36629 Gallstone Yellow
+E8C8B8 Galveston Tan
+C4DDBB Galway
+95A7A4 Galway Bay
+E49B0F Gamboge
+996600 Gamboge Brown
+E6D058 Gamboge Yellow
+E1B047 Gambol Gold
+7E8181 Game Over
+0F380F Gameboy Contrast
+9BBC0F Gameboy Light
+8BAC0F Gameboy Screen
+306230 Gameboy Shade
+BFD1AF Gamin
+C9FF27 Gǎn Lǎn Huáng Olive
+658B38 Gǎn Lǎn Lǜ Green
+372B2C Ganache
+239D42 Gangly Gremlin
+FFDD22 Gangsters Gold
+A4E4FC Ganon Blue
+8B7D82 Ganymede
+F1D5A5 Garbanzo Bean
+EEC684 Garbanzo Paste
+9FAC98 Garden
+9C6989 Garden Aroma
+778679 Garden Bower
+60784F Garden Club
+D5C5A8 Garden Country
+506A48 Garden Cucumber
+F1F8EC Garden Dawn
+93B59D Garden District
+CCD4EC Garden Fairy
+A892A8 Garden Flower
+729588 Garden Fountain
+DADCC1 Garden Gate
+ABC0BB Garden Gazebo
+D9D7A1 Garden Glade
+FFC1D0 Garden Glory
+7DCC98 Garden Glow
+9B2002 Garden Gnome Red
+99CEA0 Garden Goddess
+4E6539 Garden Green
+658369 Garden Greenery
+5E7F57 Garden Grove
+6F7D6D Garden Hedge
+E1D4B4 Garden Lattice
+D7DEAC Garden Leek
+87762B Garden Lettuce Green
+55422B Garden Loam
+28A873 Garden Medley
+CED9C4 Garden Mint
+C38E46 Garden Ochre
+A09F5B Garden of Earthly Delights
+7FA771 Garden of Eden
+8A8D66 Garden of Paradise
+E3A4B8 Garden Party
+424330 Garden Path
+E4E4D5 Garden Pebble
+E4D195 Garden Picket
+9D8292 Garden Plum
+AFC09E Garden Pond
+A4A99B Garden Promenade
+CDBE96 Garden Rain
+ACCFA9 Garden Room
+F7EAD4 Garden Rose White
+A18B62 Garden Salt Green
+EBE6C7 Garden Seat
+334400 Garden Shadow
+D6EFDA Garden Shed
+CDB1AB Garden Snail
+B1CA95 Garden Spot
+AB863A Garden Sprout
+BFD4C4 Garden Statue
+7DC683 Garden Stroll
+8CBD97 Garden Swing
+A3BBB3 Garden Twilight
+66BB8D Garden Variety
+89B89A Garden View
+827799 Garden Violets
+9FB1AB Garden Vista
+AEA492 Garden Wall
+786E38 Garden Weed
+5E602A Gardener Green
+5C534D Gardener’s Soil
+F1E8DF Gardenia
+ACBA8D Gardening
+337700 Gardens Sericourt
+A75429 Garfield
+EEEE55 Gargantua
+ABB39E Gargoyle
+FFDF46 Gargoyle Gas
+00A4B1 Garish Blue
+51BF8A Garish Green
+69887B Garland
+B0AAA1 Garlic Beige
+EDDF5E Garlic Butter
+E2D7C1 Garlic Clove
+ECEACF Garlic Head
+BFCF00 Garlic Pesto
+CDD2BC Garlic Suede
+DDDD88 Garlic Toast
+733635 Garnet
+354A41 Garnet Black Green
+763B42 Garnet Evening
+CC7446 Garnet Sand
+C89095 Garnet Shadow
+384866 Garnet Stone Blue
+1E9752 Garnish
+756861 Garret Brown
+7B8588 Garrison Grey
+FFBB31 Garuda Gold
+98DCFF Gas Giant
+FEFFEA Gaslight
+D2935D Gates of Gold
+88796C Gateway Arch
+A0A09C Gateway Grey
+B2AC9C Gateway Pillar
+AB8F55 Gathering Field
+AD9466 Gathering Place
+665E43 Gator Tail
+8E3B2F Gatsby Brick
+EED683 Gatsby Glitter
+78736E Gauntlet Grey
+84C3AA Gauss Blaster Green
+C8E1E9 Gauzy Calico
+E3DBD4 Gauzy White
+76826C Gazebo Green
+D1D0CB Gazebo Grey
+947E68 Gazelle
+C23B22 Gazpacho
+9D913C Gecko
+669900 Gecko’s Dream
+AAC69A Geddy Green
+7F4C00 Gédéon Brown
+40534E Gedney Green
+C5832E Geebung
+B0A677 Geek Chic
+DBA674 Gehenna’s Gold
+DD44FF Geisha Pink
+B5ACB2 Gellibrand
+4D5B8A Gem
+73C4A4 Gem Silica
+53C2C3 Gem Turquoise
+B4D6CB Gemini
+FCA750 Gemini Mustard Momento
+004F6D Gemstone Blue
+4B6331 Gemstone Green
+F4E386 Gen Z Yellow
+007F66 Generic Viridian
+7761AB Genestealer Purple
+18515D Genetic Code
+1F7F76 Geneva Green
+BAB7B8 Geneva Morn
+33673F Genever Green
+BCC4E0 Genevieve
+5F4871 Gengiana
+3E4364 Genie
+31796D Genoa
+FDE910 Genoa Lemon
+698EB3 Genteel Blue
+E2E6EC Genteel Lavender
+9079AD Gentian
+312297 Gentian Blue
+3366FF Gentian Flower
+57487F Gentian Violet
+CEAF93 Gentility
+97CBD2 Gentle Aquamarine
+CDD2DE Gentle Blue
+C4CEBF Gentle Calm
+FCD7BA Gentle Caress
+C3ECE9 Gentle Cold
+C3CC6E Gentle Dill
+E8B793 Gentle Doe
+E6C9A4 Gentle Fawn
+DCE0CD Gentle Frost
+B3EBE0 Gentle Giant
+F6E5B9 Gentle Glow
+908A9B Gentle Grape
+DEE0E1 Gentle Grey
+EBC4BF Gentle Kiss
+E3D9C8 Gentle Lamb
+A5CE8F Gentle Landscape
+958C9E Gentle Mauve
+CBC9C5 Gentle Rain
+B0C8D0 Gentle Sea
+D6CBBA Gentle Shadows
+99BDD2 Gentle Sky
+E5D4BE Gentle Slumber
+C3BFAE Gentle Soul
+E3D5B8 Gentle Touch
+DAD5D9 Gentle Violet
+7AC0BB Gentle Wave
+ABD0EA Gentle Wind
+FFF5BE Gentle Yellow
+C1BECD Gentleman’s Suit
+CA882C Gentleman’s Whiskey
+F1E68C Gentlemann’s Business Pants
+BDAE9E Gentry Grey
+4B3F69 Geode
+B06144 Georgia Clay
+F97272 Georgia Peach
+22657F Georgian Bay
+CF875E Georgian Leather
+C6B8B4 Georgian Pink
+5B8D9F Georgian Revival Blue
+D1974C Georgian Yellow
+E77B75 Geraldine
+DC465D Geranium
+CFA1C7 Geranium Bud
+90AC74 Geranium Leaf
+9B8C7B German Camouflage Beige
+53504E German Grey
+89AC27 German Hop
+2E3749 German Liquorice
+CD7A00 German Mustard
+0094C8 Germander Speedwell
+DDC47E Germania
+1A9D49 Get up and Go
+AC9B7B Getaway
+C3DAE3 Getting Wet
+C7C1B7 Gettysburg Grey
+C4D7CF Geyser
+E3CAB5 Geyser Basin
+A9DCE2 Geyser Pool
+CBD0CF Geyser Steam
+D8BC23 Ghee Yellow
+C0BFC7 Ghost
+DFEDDA Ghost Lichen
+C10102 Ghost Pepper
+887B6E Ghost Ship
+E3E4DB Ghost Story
+BEB6A8 Ghost Town
+CBD1D0 Ghost Whisperer
+F8F8FF Ghost White
+BCB7AD Ghost Writer
+E2E0DC Ghosted
+CAC6BA Ghosting
+113C42 Ghostlands Coal
+A7A09F Ghostly
+D9D7B8 Ghostly Green
+CCCCD3 Ghostly Grey
+7B5D92 Ghostly Purple
+E2E6EF Ghostly Tuna
+E2DBDB Ghostwaver
+667744 Ghoul
+F1D236 Giallo
+88763F Giant Cactus Green
+665D9E Giant Onion
+B05C52 Giant’s Club
+FE5A1D Giants Orange
+626970 Gibraltar
+6F6A68 Gibraltar Grey
+133A54 Gibraltar Sea
+9FC0CE Gift of the Sea
+564786 Gigas
+EFF0D3 Giggle
+F4DB4F Gilded
+E4B46E Gilded Age
+B39F8D Gilded Beige
+956841 Gilded Glamour
+B58037 Gilded Gold
+EBA13C Gilded Leaves
+DAD5C9 Gilded Linen
+C09E6C Gilded Pear
+BBAF5E Gilded Pesto
+CD9D99 Gilman Rose
+6C8396 Gilneas Grey
+E6AD67 Gilt Trip
+B9AD61 Gimblet
+D9DFCD Gin
+A3B9B6 Gin Berry
+F8EACA Gin Fizz
+BA8E5A Gin Still
+ECEBE5 Gin Tonic
+B06500 Ginger
+C9A86A Ginger Ale
+F5DFBC Ginger Ale Fizz
+C27F38 Ginger Beer
+EFE0D7 Ginger Cream
+CE915A Ginger Crisp
+CEAA64 Ginger Crunch
+B06D3B Ginger Dough
+97653C Ginger Dy
+CF524E Ginger Flower
+996251 Ginger Gold
+B8A899 Ginger Grey Yellow
+C6A05E Ginger Jar
+F1E991 Ginger Lemon Cake
+FFFFAA Ginger Lemon Tea
+F7A454 Ginger Milk
+F9D09F Ginger Peach
+9A7D61 Ginger Pie
+C17444 Ginger Root
+F0C48C Ginger Root Peel
+BE8774 Ginger Rose
+CB8F7B Ginger Scent
+E3CEC6 Ginger Shortbread
+B65D48 Ginger Spice
+DDDACE Ginger Sugar
+B19D77 Ginger Tea
+CC8877 Ginger Whisper
+8C4A2F Gingerbread
+956A43 Gingerbread Brick
+9C5E33 Gingerbread Crumble
+CA994E Gingerbread House
+B39479 Gingerbread Latte
+FFDD11 Gingerline
+C79E73 Gingersnap
+B06C3E Gingery
+A3C899 Gingko
+B3A156 Gingko Leaf
+918260 Gingko Tree
+A5ACA4 Ginkgo Green
+858F79 Ginkgo Tree
+97867C Ginnezumi
+B3D5C0 Ginninderra
+F3E9BD Ginseng
+E6CDB5 Ginseng Root
+BC2D29 Ginshu
+B3CEAB Gio Ponti Green
+FEFE33 Giraffe
+D1C0DC Girl Crush
+D39BCB Girl Power
+E4C7C8 Girl Talk
+FFD3CF Girlie
+5A82AC Girls in Blue
+FF69B4 Girls Night Out
+F6E6E5 Girly Nursery
+EE88FF Give Me Your Love
+EBD4AE Givry
+D4A1B5 Gizmo
+D1DAD7 Glacial
+DEF7FE Glacial Day
+C3FBF4 Glacial Drift
+6FB7A8 Glacial Green
+EAE9E7 Glacial Ice
+BCD8E2 Glacial Stream
+EAF2ED Glacial Tint
+C9EAD4 Glacial Water Green
+78B1BF Glacier
+DEF2EE Glacier Bay
+A9C1C0 Glacier Blue
+BBBCBD Glacier Grey
+EAF3E6 Glacier Ivy
+62B4C0 Glacier Lake
+AABCCB Glacier Mist
+D1D2DC Glacier Pearl
+B3D8E5 Glacier Point
+E2E3D7 Glacier Valley
+F5E1AC Glad Yellow
+9CA687 Glade
+5F8151 Glade Green
+7A8CA6 Gladeye
+6E6C5E Gladiator Grey
+A95C3E Gladiator Leather
+D54F43 Gladiola
+6370B6 Gladiola Blue
+6E5178 Gladiola Violet
+CF748C Glam
+DACBA7 Glamorgan Sausage
+B74E64 Glamorous
+C5AEA6 Glamorous Taupe
+F0EAE0 Glamorous White
+DB9DA7 Glamour
+007488 Glamour Green
+FFFCEC Glamour White
+BDB8AE Glasgow Fog
+C7BEC4 Glass Bead
+880000 Glass Bull
+DCDFB0 Glass Green
+20B2AA Glass Jar Blue
+FCF3DD Glass of Milk
+DBD8CB Glass Pebble
+CDB69B Glass Sand
+587B9B Glass Sapphire
+CDD0C0 Glass Tile
+B7A2CC Glass Violet
+D7E2E5 Glassine
+46B5C0 Glassmith
+D1D9DA Glassware
+3A3F45 Glaucophobia
+6082B6 Glaucous
+B3E8C2 Glaucous Green
+E9692C Glazed Carrot
+967217 Glazed Chestnut
+A15C30 Glazed Ginger
+5B5E61 Glazed Granite
+EFE3D2 Glazed Pears
+D19564 Glazed Pecan
+D34E36 Glazed Persimmon
+AD7356 Glazed Pot
+A44B62 Glazed Raspberry
+89626D Glazed Ringlet
+FFDCCC Glazed Sugar
+B9CBA3 Gleam
+F8DED1 Gleaming Shells
+B88C63 Gleaming Tan
+9DBB7D Gleeful
+A892B4 Gleeful Joy
+4AAC72 Glen
+ACB8C1 Glen Falls
+82817C Glen Plaid
+A1BB8B Glendale
+A7D3B7 Glenwood Green
+5D6F80 Glide Time
+D7D8D9 Gliding Feather
+E1E8E3 Glimmer
+4FB9CE Glimpse
+121210 Glimpse Into Space
+FFF3F4 Glimpse of Pink
+335588 Glimpse of Void
+F2EFDC Glisten Green
+F5E6AC Glisten Yellow
+EED288 Glistening
+F6BA25 Glistening Dawn
+B1B3BE Glistening Grey
+2C5463 Glitch
+99FFFF Glitchy Shader Blue
+E6E8FA Glitter
+FEDC57 Glitter Is Not Gold
+44BBFF Glitter Lake
+88FFFF Glitter Shower
+F8D75A Glitter Yellow
+944A63 Glitterati
+DEC0E2 Glittering Gemstone
+D3AD77 Glittering Sun
+EEEDDB Glittery Glow
+F9EECD Glittery Yellow
+965F73 Glitz and Glamour
+D6A02B Glitzy Gold
+AF413B Glitzy Red
+B4BE93 Gloaming Green
+696E51 Global Green
+F1D7D3 Global Warming
+5F6C3C Globe Artichoke
+2E0329 Globe Thistle
+998D8D Globe Thistle Grey Rose
+3C416A Gloomy Blue
+8756E4 Gloomy Purple
+4A657A Gloomy Sea
+CBA956 Glorious Gold
+AAEE11 Glorious Green Glitter
+FE2F4A Glorious Red
+F88517 Glorious Sunset
+110011 Glossy Black
+FFDD77 Glossy Gold
+AB92B3 Glossy Grape
+EEE3DE Glossy Kiss
+636340 Glossy Olive
+F9F2DA Glow
+FBE8C1 Glow Home
+BEFDB7 Glow in the Dark
+BED565 Glow Worm
+EE4444 Glowing Brake Disc
+BC4D39 Glowing Coals
+AF5941 Glowing Firelight
+D0D4C0 Glowing Green
+FBB736 Glowing Lantern
+EE4400 Glowing Meteor
+FFD15A Glowing Reviews
+BD4649 Glowing Scarlet
+FFF6B9 Glowlight
+693162 Gloxinia
+1A1B1C Gluon Grey
+DDCC66 Gluten
+00754B Gnarls Green
+FFEEBB Gnocchi Beige
+81A19B Gnome
+ADC484 Gnome Green
+B09F84 Gnu Tan
+007F87 Go Alpha
+F7CA50 Go Bananas
+786E4C Go Ben
+FCECD5 Go Go Glow
+008A7D Go Go Green
+C6BE6B Go Go Lime
+FEB87E Go Go Mango
+FDD8D4 Go Go Pink
+00AB66 Go Green!
+DCD8D7 Go to Grey
+342C21 Go to Hell Black
+A89A91 Goat
+5E5A6A Gobelin Mauve
+EBDACE Gobi Beige
+CDBBA2 Gobi Desert
+CFA56D Gobi Gold
+D4AA6F Gobi Sand
+BBA587 Gobi Tan
+DB4731 Goblet Waxcap
+34533D Goblin
+5F7278 Goblin Blue
+EB8931 Goblin Eyes
+4EFD54 Goblin Warboss
+635147 Gobo Brown
+770000 Gochujang Red
+550066 God of Nights
+4466CC God of Rain
+FAF4E0 God-Given
+F56991 God’s Own Junkyard Pink
+D0E1E8 Goddess
+904C6F Goddess of Dawn
+5D7F9D Goddess of the Nile
+3C4D03 Godzilla
+0087A1 Gogo Blue
+83807A Going Grey
+AB858F Going Rouge
+CC142F Goji Berry
+F0833A Goku Orange
+FFD700 Gold
+F3BC00 Gold Abundance
+2A2424 Gold Black
+ECC481 Gold Buff
+EEDD99 Gold Bullion
+FFE8BB Gold Buttercup
+AE9769 Gold Canyon
+C78538 Gold Coast
+DF9938 Gold Crest
+E0CE57 Gold Deposit
+D1B075 Gold Digger
+D56C30 Gold Drop
+A4803F Gold Dust
+DB9663 Gold Earth
+977A41 Gold Estate
+B44F22 Gold Flame
+D99F4D Gold Foil
+EB9600 Gold Fusion
+CFB352 Gold Gleam
+ECE086 Gold Grillz
+E6C28C Gold Hearted
+B1A57B Gold Infusion
+EDBB26 Gold Leaf
+B17743 Gold Metal
+FFEAC7 Gold of Midas
+E2B051 Gold of Triumph
+DB7210 Gold Orange
+ECBC14 Gold Ore
+CAAF81 Gold Perennial
+C6795F Gold Pheasant
+E6BD8F Gold Plate
+B0834F Gold Plated
+B39260 Gold Ransom
+EB5406 Gold Red
+C4A777 Gold Rush
+F7E5A9 Gold Sand
+B19971 Gold Season
+786B3D Gold Sparkle
+C19D61 Gold Spell
+907047 Gold Spike
+F3DFA6 Gold Strand
+BB9A39 Gold Taffeta
+9E865E Gold Tangiers
+FEE8B0 Gold Thread
+DEC283 Gold Tint
+E2B227 Gold Tips
+DBB40C Gold Tooth
+BD955E Gold Torch
+C9AB73 Gold Tweed
+B95E33 Gold Varnish Brown
+D6B956 Gold Vein
+EABA8A Gold Vessel
+D4C19E Gold Wash
+E6D682 Gold Winged
+FFC265 Gold’s Great Touch
+C5A049 Goldbricker
+9C8A53 Goldbrown
+F5BF03 Golden
+CEAB77 Golden Age
+CEA644 Golden Age Gilt
+E6BE59 Golden Appeal
+F3D74F Golden Apples
+DBA950 Golden Apricot
+D29E68 Golden Aura
+FFEE77 Golden Aurelia
+CDA64A Golden Avocado
+FCC62A Golden Banner
+DABA55 Golden Bass
+BA985F Golden Bear
+CEA277 Golden Beige
+CA8136 Golden Bell
+D9A400 Golden Beryl Yellow
+CCAA55 Golden Blond
+EFE17E Golden Blonde
+FF1155 Golden Blood
+FFDD44 Golden Boy
+B27A01 Golden Brown
+FFCC22 Golden Buddha Belly
+F8E6C8 Golden Buff
+FFD96D Golden Butter
+AC864B Golden Cadillac
+BDB76B Golden Cartridge
+E7C068 Golden Chalice
+DDDD11 Golden Chandelier
+EEB574 Golden Chime
+F4CE74 Golden Churro
+ECC799 Golden City Moon
+968651 Golden Clay
+FCD975 Golden Coin
+F0B672 Golden Corn
+F7B768 Golden Cream
+ECC909 Golden Crescent
+F6CA69 Golden Crest
+CCDDBB Golden Crested Wren
+D7B056 Golden Cricket
+D2D88F Golden Delicious
+F1CC2B Golden Dream
+D8C39F Golden Ecru
+B29155 Golden Egg
+BDD5B1 Golden Elm
+FFD789 Golden Eye
+C39E44 Golden Field
+EBDE31 Golden Fizz
+EDD9AA Golden Fleece
+F0EAD2 Golden Fog
+CCCC00 Golden Foil
+BDD043 Golden Foliage
+EEEE99 Golden Fragrance
+E2B31B Golden Frame
+876F4D Golden Freesia
+D9C09C Golden Gate
+C0362D Golden Gate Bridge
+F9F525 Golden Ginkgo
+EEBB44 Golden Glam
+FBE573 Golden Glitter
+EAD771 Golden Glitter Storm
+9E7551 Golden Glove
+F9D77E Golden Glow
+FFD34E Golden Goose
+C59137 Golden Grain
+B8996B Golden Granola
+DAA631 Golden Grass
+BDB369 Golden Green
+A99058 Golden Griffon
+E1C3BB Golden Guernsey
+DDDD00 Golden Gun
+DA9E38 Golden Hamster
+FFCC44 Golden Handshake
+9F8046 Golden Harmony
+CCCC11 Golden Harvest
+EDDFC1 Golden Haystack
+FCD896 Golden Haze
+FFFFBB Golden Hermes
+A37111 Golden Hind
+BB993A Golden History
+EDC283 Golden Hominy
+FFDB29 Golden Honey Suckle
+CFDD7B Golden Hop
+F1B457 Golden Hour
+FFEFCB Golden Impression
+DD9911 Golden Key
+E0C84B Golden Kingdom
+F2CF34 Golden Kiwi
+EAA34B Golden Koi
+D8C7A2 Golden Lake
+C48B42 Golden Leaf
+928D35 Golden Lime
+F3CA6C Golden Lion
+CA602A Golden Lion Tamarin
+F5BC1D Golden Lock
+E9DBC4 Golden Lotus
+FDCC37 Golden Marguerite
+F0BE3A Golden Mary
+C49B35 Golden Mean
+D4C990 Golden Mist
+FFCF60 Golden Moray Eel
+B39B67 Golden Moss
+F4E8D1 Golden Mushroom
+FFDA68 Golden Nectar
+D78E48 Golden Nugget
+A96A28 Golden Oak
+ECBE91 Golden Oat Coloured
+C56F3B Golden Ochre
+AB9C40 Golden Olive
+F7C070 Golden Opportunity
+D7942D Golden Orange
+D3B66C Golden Pagoda
+A58705 Golden Palm
+B4BB31 Golden Passionfruit
+F4D9B9 Golden Pastel
+E4AA76 Golden Patina
+FEDB2D Golden Period
+CF9632 Golden Pheasant
+956F3F Golden Pilsner
+FBD073 Golden Plumeria
+EBCEBD Golden Pop
+FCC200 Golden Poppy
+FFC64D Golden Promise
+CA884B Golden Pumpkin
+AA8A58 Golden Quartz Ochre
+FFB657 Golden Rain Yellow
+F8D878 Golden Raspberry
+F6DA74 Golden Rays
+E8CE49 Golden Relic
+EEDEC7 Golden Retriever
+E3D474 Golden Rice
+DAAE49 Golden Rule
+B09D73 Golden Sage
+DFAF2B Golden Samovar
+EACE6A Golden Sand
+EED280 Golden Sap
+EDDB8E Golden Scarab
+DDBB11 Golden Schnitzel
+CCA24D Golden Sheaf
+B98841 Golden Slumber
+F1E346 Golden Snitch
+FECC36 Golden Spell
+C6973F Golden Spice
+F6D263 Golden Sprinkles
+F7EB83 Golden Staff
+F5EDAE Golden Straw
+816945 Golden Summer
+EBD8B3 Golden Syrup
+FFC152 Golden Tainoi
+E9C89B Golden Talisman
+CAA375 Golden Thistle Yellow
+E8C47A Golden Thread
+F5CC23 Golden Ticket
+E1A451 Golden Tiger
+CAA444 Golden Touch
+FFB118 Golden Treasure
+E8C954 Golden Trident
+FFFEC6 Golden Wash
+EADCC0 Golden Weave
+ECD251 Golden Week
+E9CA94 Golden West
+E2C74F Golden Yarrow
+AA8D4D Golden Years
+FFDF00 Golden Yellow
+FDCB18 Goldenrod
+F0B053 Goldenrod Field
+A17841 Goldenrod Tea
+FFCE8F Goldenrod Yellow
+F8E462 Goldfinch
+EEBB11 Goldfinger
+F2AD62 Goldfish
+CEB790 Goldfrapp
+C89D3F Goldie
+BAAD75 Goldie Oldie
+FFF39A Goldilocks
+EEB550 Goldsmith
+E7DE54 Goldvreneli 1882
+CDD80D Goldzilla
+836E59 Golem
+53A391 Golf Blazer
+5A9E4B Golf Course
+5A8B3F Golf Day
+009B75 Golf Green
+5E6841 Golfer Green
+D77E70 Golgfag Brown
+8BB9DD Goluboy Blue
+CC9933 Gomashio Yellow
+373332 Gondola
+5DB1C5 Gondolier
+52A8B2 Gone Fishing
+D9C737 Gone Giddy
+5D06E9 Gonzo Violet
+D3BA75 Good as Gold
+A09883 Good Earth
+F3F0D6 Good Graces
+333C76 Good Karma
+499674 Good Luck
+86C994 Good Luck Charm
+FCFCDA Good Morning
+F4EAD5 Good Morning Akihabara
+46565F Good Night!
+3F6782 Good Samaritan
+C2B99D Good to Grow
+EDD2A7 Good-Looking
+D9CAC3 Goodbye Kiss
+CCD87A Goody Gumdrop
+C2BA8E Goody Two Shoes
+41C379 Googol
+93AF3C Googolplex
+FFBA80 Goose Bill
+F4E7DF Goose Down
+D2CDC4 Goose Feathers
+629B92 Goose Pond Green
+A89DAC Goose Wing Grey
+A23F5D Gooseberry
+ACB75F Gooseberry Fool
+C7A94A Gooseberry Yellow
+F0F0E0 Gorā White
+BF852B Gordal Olive
+29332B Gordons Green
+8D9BA9 Gorgeous Graphite
+287C37 Gorgeous Green
+A495CB Gorgeous Hydrangea
+E7DBD3 Gorgeous White
+4455CC Gorgonzola Blue
+FDE336 Gorse
+E99A3C Gorse Yellow Orange
+654741 Gorthor Brown
+B42435 Gory Movie
+A30800 Gory Red
+444444 Goshawk Grey
+857668 Gosling
+399F86 Gossamer
+B2CFBE Gossamer Green
+FAC8C3 Gossamer Pink
+8AC8E2 Gossamer Threads
+D3CEC4 Gossamer Veil
+E8EEE9 Gossamer Wings
+9FD385 Gossip
+807872 Gotham
+757C7D Gotham City
+8A9192 Gotham Grey
+698890 Gothic
+A38B93 Gothic Amethyst
+BB852F Gothic Gold
+473951 Gothic Grape
+857555 Gothic Olive
+92838A Gothic Purple
+A0A160 Gothic Revival Green
+7C6B6F Gothic Spire
+D0C2B4 Gotta Have It
+EECC11 Gouda Gold
+8D6449 Goulash
+7D9EA2 Gould Blue
+BC9D70 Gould Gold
+E3CBA8 Gourmet Honey
+968D8C Gourmet Mushroom
+32493E Government Green
+51559B Governor Bay
+A8C0CE Graceful
+DD897C Graceful Ballerina
+BDDFB2 Graceful Flower
+CBA9D0 Graceful Garden
+A78A50 Graceful Gazelle
+ACB7A8 Graceful Green
+BEB6AC Graceful Grey
+DAEED5 Graceful Mint
+546C46 Graceland Grass
+C4D5CB Gracilis
+F8EDD7 Gracious
+BAB078 Gracious Glow
+A5ABA1 Gracious Grey
+E3B7B1 Gracious Rose
+C0A480 Graham Cracker
+806240 Graham Crust
+CAB8A2 Grain Brown
+D8C095 Grain Mill
+DFD2C0 Grain of Rice
+D8DBE1 Grain of Salt
+EFE3D8 Grain White
+B79E66 Grainfield
+F5F6F7 Gram’s Hair
+E9DEC8 Gramp’s Tea Cup
+A3896C Gramps Shoehorn
+EE3300 Gran Torino Red
+5D81BB Granada Sky
+E99F4C Granary Gold
+665A48 Grand Avenue
+015482 Grand Bleu
+7E9CA0 Grand Boulevard
+3C797D Grand Canal
+A05D4D Grand Canyon
+EDCD62 Grand Casino Gold
+CB5C45 Grand Duke
+A8CCD5 Grand Entrance
+645764 Grand Grape
+86BB9D Grand Gusto
+ECECE1 Grand Heron
+D8D0BD Grand Piano
+6C5657 Grand Plum
+864764 Grand Poobah
+496763 Grand Prix
+534778 Grand Purple
+38707E Grand Rapids
+D9C2A8 Grand Soiree
+C38D87 Grand Sunset
+8DC07C Grand Valley
+92576F Grandeur Plum
+E0EBAF Grandiflora Rose
+CAA84C Grandiose
+FFCD73 Grandis
+F7E7DD Grandma’s Cameo
+E0B8C0 Grandma’s Pink Tiles
+6B927F Grandview
+857767 Grange Hall
+B62758 Granita
+746A5E Granite
+313238 Granite Black
+816F6B Granite Boulder
+3D2D24 Granite Brown
+6C6F78 Granite Canyon
+D7CEC4 Granite Dust
+638496 Granite Falls
+B1BAC2 Granite Fog
+6B6869 Granite Grey
+606B75 Granite Peak
+C5C4C1 Granitine
+D0B690 Granivorous
+F6EEED Grannie’s Pearls
+C5E7CD Granny Apple
+7B948C Granny Smith
+9DE093 Granny Smith Apple
+F5CE9F Granola
+9E6858 Granrojo Jellyfish
+8F8461 Grant Drab
+918F8A Grant Grey
+6C90B2 Grant Village
+A8B989 Grant Wood Ivy
+E3E0DA Granular Limestone
+FFFDF2 Granulated Sugar
+6C3461 Grape
+A598C7 Grape Arbour
+24486C Grape Blue
+905284 Grape Candy
+DFE384 Grape Cassata
+725F7F Grape Compote
+BEBBBB Grape Creme
+6A587E Grape Expectations
+64435F Grape Fizz
+A19ABD Grape Gatsby
+DCCAE0 Grape Glimmer
+A8E4A0 Grape Green
+6D6166 Grape Grey
+807697 Grape Harvest
+606A88 Grape Haze
+5533CC Grape Hyacinth
+B4A6D5 Grape Illusion
+979AC4 Grape Ivy
+7F779A Grape Jam
+7E667F Grape Jelly
+772F6C Grape Juice
+82476F Grape Kiss
+C2C4D4 Grape Lavender
+5A5749 Grape Leaf
+576049 Grape Leaves
+C5C0C9 Grape Mist
+8D5C75 Grape Nectar
+D3D9CE Grape Oil Green
+8677A9 Grape Parfait
+60406D Grape Popsicle
+5D1451 Grape Purple
+9B4682 Grape Riot
+522F57 Grape Royale
+886971 Grape Shake
+B69ABC Grape Smoke
+AE94A6 Grape Soda
+F4DAF1 Grape Taffy
+797F5A Grape Vine
+64344B Grape Wine
+BEAECF Grape’s Treasure
+AA9FB2 Grapeade
+FD5956 Grapefruit
+EE6D8A Grapefruit Juice
+FE6F5E Grapefruit Pulp
+DFA01A Grapefruit Yellow
+714A8B Grapes of Italy
+58424C Grapes of Wrath
+71384B Grapeshot
+880066 Grapest
+4C475E Grapewood
+5C5E5F Graphic Charcoal
+824E78 Graphic Grape
+0000FC Graphical 80’s Sky
+383428 Graphite
+262A2B Graphite Black
+32494B Graphite Black Green
+7C7666 Graphite Grey Green
+F5D9B1 Grappa
+92786A Grapple
+786E70 Grapy
+92B300 Grasping Grass
+5CAC2D Grass
+636F46 Grass Blade
+B8B97E Grass Cloth
+088D46 Grass Court
+CEB02A Grass Daisy
+3F9B0B Grass Is Greener
+CA84FC Grass Pink Orchid
+A1AFA0 Grass Sands
+E2DAC2 Grass Skirt
+C0FB2D Grass Stain Green
+F4F7EE Grass Valley
+77824A Grasshopper
+BCDABB Grasshopper Pie
+87866F Grasshopper Wing
+407548 Grasslands
+D8C475 Grassroots
+968154 Grassy Cliff
+5C7D47 Grassy Field
+D8DDCA Grassy Glade
+419C03 Grassy Green
+76A55B Grassy Meadow
+B8A336 Grassy Ochre
+9B9279 Grassy Savannah
+A60E46 Grated Beet
+71714E Gratefully Grass
+DAE2CD Gratifying Green
+E0D2A9 Gratin Dauphinois
+E0EAD7 Gratitude
+85A3B2 Grauzone
+4A4B46 Gravel
+CECBC5 Gravel Drive
+BAB9A9 Gravel Dust
+BBBBBB Gravel Fint
+637A82 Gravel Grey Blue
+938576 Gravelle
+D3C7B8 Gravelstone
+68553A Graveyard Earth
+B8BCBD Gravity
+EC834F Gravlax
+A1A19F Grayve-Yard
+A2B35A Greasy Green Beans
+117755 Greasy Greens
+838583 Greasy Grey
+576E8B Great Basin
+D5E0EE Great Blue Heron
+7F8488 Great Coat Grey
+D1A369 Great Dane
+9FA6B3 Great Falls
+719BA2 Great Fennel Flower
+908675 Great Frontier
+5CA16D Great Gazoo
+6B6D85 Great Grape
+A5A6A1 Great Graphite
+ABB486 Great Green
+D8E6CB Great Joy
+4A72A3 Great Serpent
+E9E2DB Great Tit Eggs
+3B5760 Great Void
+BDBDC6 Great White
+9E7E54 Grecian Gold
+8C6D46 Grecian Helmet
+00A49B Grecian Isle
+D6CFBE Grecian Ivory
+00AA66 Greedo Green
+AA9922 Greedy Gecko
+C4CE3B Greedy Gold
+D1FFBD Greedy Green
+005300 Greeeeeeen
+3D0734 Greek Aubergine
+009FBD Greek Blue
+0D5EAF Greek Flag Blue
+8CCE86 Greek Garden
+EDE9EF Greek Goddess
+BBDCF0 Greek Isles
+9B8FB0 Greek Lavender
+A08650 Greek Olive
+7C754C Greek Oregano
+72A7E1 Greek Sea
+F0ECE2 Greek Villa
+00FF00 Green
+3E3D29 Green 383
+53A144 Green Acres
+688878 Green Adirondack
+52928D Green Agate
+C8CCBA Green Alabaster
+98A893 Green Amazons
+AFC1A3 Green Andara
+5EDC1F Green Apple
+D2C785 Green Apple Martini
+95D6A1 Green Ash
+80C4A9 Green Balloon
+A0AC9E Green Balsam
+A8B453 Green Banana
+79B088 Green Bank
+A9C4A6 Green Bark
+7E9285 Green Bay
+566E57 Green Bayou
+B0A36E Green Bean Casserole
+228800 Green Bell Pepper
+2D7F6C Green Belt
+516A62 Green Beret
+373A3A Green Black
+22DD00 Green Blob
+42B395 Green Blue
+358082 Green Blue Slate
+8BB490 Green Bonnet
+DAF1E0 Green Brocade
+696006 Green Brown
+32A7B5 Green Buoy
+7F8866 Green Bush
+BBEE11 Green Cacophony
+89CE01 Green Cape
+919365 Green Cast
+146B47 Green Caterpillar
+BCDF8A Green Chalk
+E7DDA7 Green Charm
+CFBB75 Green Citrine
+889988 Green Clay
+868E65 Green Coconut
+465149 Green Column
+828039 Green Commando
+BEEF69 Green Cow
+62AE9E Green Crush
+ACB977 Green Curry
+009966 Green Cyan
+75BBFD Green Darner Tail
+BBEE88 Green Day
+8BD3C6 Green Daze
+006C67 Green Dragon
+C1CAB0 Green Dragon Spring
+6E7A77 Green Dusk
+00988E Green Dynasty
+E3ECC5 Green Eggs
+B3C39C Green Eggs & Cam
+7CB68E Green Eggs and Ham
+BBCC11 Green Elisabeth Ⅱ
+00BB66 Green Elliott
+DAEAE2 Green Emulsion
+80905F Green Energy
+77AA00 Green Envy
+7EFBB3 Green Epiphany
+E9EAC8 Green Essence
+7D956D Green Eyes
+605E4F Green Fatigue
+AAEE00 Green Fiasco
+B3A476 Green Fig
+297E6B Green Fingers
+79C753 Green Flash
+BBAA22 Green Flavour
+55BBAA Green Fluorite
+989A87 Green Fog
+319B64 Green Fondant
+D0D6BF Green Frost
+D8F1EB Green Frosting
+364847 Green Gables
+72C895 Green Gala
+72B874 Green Galore
+11BB00 Green Gamora
+009911 Green Gardens
+008176 Green Garlands
+61BA85 Green Garter
+00FF99 Green Gas
+676957 Green Gate
+C7C3A8 Green Gaze
+CDD47F Green Gecko
+E7F0C2 Green Glacier
+EAF1E4 Green Glaze
+00BB00 Green Glimmer
+E7EAE3 Green Glimpse
+DCF1C7 Green Glint
+DDE26A Green Glitter
+79AA87 Green Globe
+00955E Green Gloss
+ACC65D Green Glow
+007722 Green Glutton
+505A39 Green Goanna
+11BB33 Green Goblin
+76AD83 Green Goddess
+C5B088 Green Gold
+73A236 Green Gone Wild
+B0DFA4 Green Gooseberry
+588266 Green Goth Eyeshadow
+7C9793 Green Granite
+C0DBC6 Green Grapes
+3DB9B2 Green Grapple
+39854A Green Grass
+7EA07A Green Grey
+AFA984 Green Grey Mist
+95E3C0 Green Gum
+01A368 Green Haze
+A4C08A Green Herb
+66CC22 Green High
+007800 Green Hills
+6A9D5D Green Hornet
+587D79 Green Hour
+E8E8D4 Green Iced Tea
+6E6F56 Green Illude
+C4FE82 Green Incandescence
+11887B Green Ink
+8C8E51 Green Jalapeño
+7A796E Green Jeans
+349B82 Green Jelly
+95DABD Green Jewel
+3BDE39 Green Juice
+53FE5C Green Katamari
+393D2A Green Kelp
+647F4A Green Knoll
+8AD370 Green Lacewing
+CAD6C4 Green Lane
+9CD03B Green Lantern
+008684 Green Lapis
+526B2D Green Leaf
+9C9463 Green Lentils
+C1CEC1 Green Lily
+A7F432 Green Lizard
+26B467 Green Mana
+5B7C5B Green Mantle
+8DBC8A Green Masquerade
+555D50 Green McQuarrie
+B2B55F Green Me
+8EA8A0 Green Meets Blue
+D7D7AD Green Mesh
+4D5947 Green Mile
+8A9992 Green Milieu
+99DD00 Green Minions
+D7E2D5 Green Mirror
+BFC298 Green Mist
+008888 Green Moblin
+33565E Green Moonstone
+3A7968 Green Moray
+887E48 Green Moss
+BDBFAF Green Motif
+C5E1C3 Green Myth
+404404 Green Not Found
+B0B454 Green Oasis
+005249 Green Oblivion
+9F8F55 Green Ochre
+CDFA56 Green of Bhabua
+8D8B55 Green Olive
+BDAA89 Green Olive Pit
+C1E089 Green Onion
+989A82 Green Onyx
+E1FE52 Green Ooze
+E5CE77 Green Papaya
+7BD5BF Green Parakeet
+CFDDB9 Green Parlour
+0D6349 Green Paw Paw
+266242 Green Pea
+79BE58 Green Pear
+388004 Green People
+97BC62 Green Pepper
+47694F Green Perennial
+A7C668 Green Peridot
+00A550 Green Pigment
+98A76E Green Plaza
+E2E1C6 Green Power
+11DD55 Green Priestess
+D1E5B5 Green Reflection
+7B8762 Green Relict
+009944 Green Revolution
+288F3D Green Ribbon
+80AEA4 Green Room
+888866 Green Savage
+858365 Green Scene
+22FF00 Green Screen
+44AA33 Green Seduction
+77BB00 Green Serpent
+99DD22 Green Serum
+45523A Green Shade Wash
+D7C94A Green Sheen
+CCFD7F Green Shimmer
+A2C2B0 Green Silk
+859D66 Green Sky
+39766C Green Sleeves
+9CA664 Green Smoke
+9EB788 Green Snow
+D1E9C4 Green Song
+006474 Green Spool
+589F7E Green Spruce
+2B553E Green Stain
+73884D Green Suede
+9E8528 Green Sulphur
+66AA22 Green Symphony
+B5B68F Green Tea
+65AB7C Green Tea Candy
+93B13D Green Tea Ice Cream
+939A89 Green Tea Leaf
+90A96E Green Tea Mochi
+0CB577 Green Teal
+E3EDE0 Green Tease
+779900 Green Thumb
+D5E0D0 Green Tilberi
+47553C Green Tone Ink
+5EAB81 Green Tourmaline
+A0D9A3 Green Trance
+99A798 Green Trellis
+679591 Green Turquoise
+51755B Green Valley
+E0F1C4 Green Veil
+25B68B Green Velour
+127453 Green Velvet
+B8F818 Green Venom
+D4E7C3 Green Vibes
+23414E Green Vogue
+C6DDCD Green Wash
+2C2D24 Green Waterloo
+C3DCD5 Green Wave
+548F6F Green Weed
+E3EEE3 Green Whisper
+DEDDCB Green White
+22BB33 Green With Envy
+7D7853 Green Woodpecker Olive
+13DA25 Green Wrasse
+C6F808 Green Yellow
+90BE9D Green-Eyed Lady
+346E23 Green-Eyed Monster
+00DD00 Greenalicious
+245D3F Greenbriar
+60857A Greenella
+495A4C Greener Pastures
+80A546 Greenery
+DAECC5 Greenette
+60724F Greenfield
+BDA928 Greenfinch
+84BE84 Greengage
+B2CC9A Greenhorn
+3E6334 Greenhouse
+DFE4D5 Greening
+40A368 Greenish
+C9D179 Greenish Beige
+454445 Greenish Black
+0B8B87 Greenish Blue
+696112 Greenish Brown
+2AFEB7 Greenish Cyan
+96AE8D Greenish Grey
+66675A Greenish Grey Bark
+BCCB7A Greenish Tan
+32BF84 Greenish Teal
+00FBB0 Greenish Turquoise
+D1F1DE Greenish White
+CDFD02 Greenish Yellow
+CAE03B Greenivorous
+008C7D Greenlake
+737D6A Greenland
+367F9A Greenland Blue
+22ACAE Greenland Green
+B9D7D6 Greenland Ice
+016844 Greens
+565C00 Greensboro
+A5CF7E Greenscape
+419A7D Greenway
+475B49 Greenwich
+82826A Greenwich Green
+AFBFBE Greenwich Village
+BCBAAB Greenwood
+067376 Greeny Glaze
+CBC8DD Gregorio Garden
+B0A999 Greige
+9C8C9A Greige Violet
+A79954 Gremlin
+527E6D Gremolata
+8E6268 Grenache
+C32149 Grenade
+C14D36 Grenadier
+AC545E Grenadine
+FF616B Grenadine Pink
+5D6732 Gretchin Green
+596442 Gretna Green
+808080 Grey
+A8B1C0 Grey Agate
+8F9394 Grey Area
+C4C5BA Grey Ashlar
+465945 Grey Asparagus
+77A1B5 Grey Blue
+6C8096 Grey Blueberry
+B4BFC2 Grey Brook
+7F7053 Grey Brown
+A1988B Grey by Me
+7A5063 Grey Carmine
+6E6969 Grey Charcoal
+9FA3A7 Grey Chateau
+CCC9C5 Grey Cloth
+B7B7B2 Grey Clouds
+BBC1CC Grey Dawn
+C8C7C5 Grey Dolphin
+897F98 Grey Dusk
+B0BFB6 Grey Embrace
+A1A196 Grey Expose
+A2998F Grey Flanks
+8D9A9E Grey Flannel
+788480 Grey Flannel Suit
+B8BFC2 Grey Frost
+DDDCDA Grey Ghost
+E0E4E2 Grey Glimpse
+A3A29B Grey Gloss
+A9BDBF Grey Grain
+86A17D Grey Green
+868790 Grey Heather
+89928A Grey Heron
+B9BBAD Grey Jade
+D4CACD Grey Lilac
+F2E8D7 Grey Linnet Egg
+72695E Grey Locks
+B9B4B1 Grey Marble
+C87F89 Grey Matter
+CAB8AB Grey Mauve
+ABAFAE Grey Mirage
+96ACAB Grey Mist
+707C78 Grey Monument
+CABEB5 Grey Morn
+9EB0AA Grey Morning
+C3C3BD Grey Nickel
+D1D3CC Grey Nurse
+A2A2A2 Grey of Darkness
+A19A7F Grey Olive
+776F67 Grey Owl
+CED0CF Grey Pearl
+B0B7BE Grey Pearl Sand
+CFCAC1 Grey Pebble
+84827D Grey Pepper
+C3909B Grey Pink
+4E4E52 Grey Pinstripe
+DDDDE2 Grey Placidity
+86837A Grey Porcelain
+826D8C Grey Purple
+847986 Grey Ridge
+99A1A1 Grey River Rock
+C3C0BB Grey Roads
+C6B6B2 Grey Rose
+8E9598 Grey Russian
+E5CAAF Grey Sand
+B8B0AF Grey Scape
+C6CACA Grey Screen
+C2BDBA Grey Shadows
+BAAAAA Grey Sheep
+D6D9D8 Grey Shimmer
+949392 Grey Shingle
+B0A99A Grey Silt
+C8C7C2 Grey Spell
+989081 Grey Squirrel
+807A77 Grey Suit
+959491 Grey Summit
+5E9B8A Grey Teal
+ACAEB1 Grey Timberwolf
+81807D Grey Tote
+B0BAB5 Grey Tweed
+9B8E8E Grey Violet
+616669 Grey Web
+625F5C Grey Werewolf
+E6E4E4 Grey Whisper
+D7D5CB Grey White
+9CA0A6 Grey Wolf
+E5E8E6 Grey Wonder
+A9BBBC Grey Wool
+98916C Grey-Headed Woodpecker Green
+D4D0C5 Greybeard
+92B8A0 Greyed Jade
+B2ACA2 Greyhound
+CFCAC7 Greyish
+A8A495 Greyish Beige
+555152 Greyish Black
+5E819D Greyish Blue
+7A6A4F Greyish Brown
+82A67D Greyish Green
+B8B8FF Greyish Lavender
+C88D94 Greyish Pink
+887191 Greyish Purple
+719F91 Greyish Teal
+D6DEE9 Greyish White
+877254 Greyish Yellow
+948C8D Greylac
+596368 Greys Harbor
+85837E Greystoke
+B7B9B5 Greystone
+AACCBB Greywacke
+9D9586 Greywood
+C3571D Grieving Daylily
+70393F Griffon Brown
+863B2C Grill Master
+633F2E Grilled
+FFC85F Grilled Cheese
+AF3519 Grilled Tomato
+E3DCD6 Grim Grey
+DEADAF Grim Pink
+441188 Grim Purple
+0F1039 Grim Reaper
+F6F1F4 Grim White
+50314C Grimace
+565143 Grime
+93B83D Grinch Green
+A5A9A8 Gris
+8F8A91 Gris Morado
+BCC7CB Gris Náutico
+797371 Gris Volcanico
+91979F Grisaille
+A29371 Gristmill
+636562 Grizzle Grey
+885818 Grizzly
+937043 Grog Yellow
+DE6491 Groovy
+EEAA11 Groovy Giraffe
+D6BE01 Groovy Lemon Pie
+63615D Gropius Grey
+A0BF16 Gross Green
+64E986 Grotesque Green
+6F675C Grouchy Badger
+604E42 Ground Bean
+63554B Ground Coffee
+8A6C42 Ground Cumin
+7F5F00 Ground Earth
+CFCBC4 Ground Fog
+D9CA9F Ground Ginger
+A05A3B Ground Nutmeg
+766551 Ground Pepper
+757577 Ground Truth
+7B6F60 Groundbreaking
+64634D Groundcover
+D18C62 Grounded
+1100AA Groundwater
+E2C0A8 Group Hug
+F0E6D3 Grow
+88CC11 Growing Nature
+C3CDB0 Growing Season
+6CA178 Growth
+811412 Grubby Red
+4A5B51 Grubenwald
+A99A86 Grullo
+C0CF3F Grunervetliner
+F5DEB3 Gruyère Cheese
+838585 Gryphon
+883F11 Gryphonne Sepia Wash
+634950 Gǔ Tóng Hēi Copper
+95986B Guacamole
+D2D392 Guacamole Ambrosia
+E4E1EA Guardian Angel
+88AA22 Guardian of Gardens
+952E31 Guardsman Red
+FF982E Guava
+EEC0D2 Guava Glow
+A18D0D Guava Green
+E08771 Guava Jam
+EE9685 Guava Jelly
+F4B694 Guava Juice
+142D25 Guerrilla Forest
+E3E0D2 Guesthouse
+EB4962 Guide Pink
+FEE9DA Guiding Star
+D2D1CB Guild Grey
+6495ED Guilliman Blue
+987652 Guinea Pig
+E8E4D6 Guinea Pig White
+4A8140 Guinean Green
+6B4C37 Guitar
+8B2E19 Gulab Brown
+C772C0 Gulābī Pink
+343F5C Gulf Blue
+DDDED3 Gulf Breeze
+015C77 Gulf Coast
+225E64 Gulf Harbour
+01858B Gulf Stream
+689FC1 Gulf Stream Blue
+2DA6BF Gulf Waters
+686E43 Gulf Weed
+93B2B2 Gulf Winds
+918C8F Gull
+C2C2BC Gull Feather
+A4ADB0 Gull Grey
+ABAEA9 Gull Wing
+777661 Gully
+4B6E3B Gully Green
+ACC9B2 Gum Leaf
+E7B2D0 Gumball
+718F8A Gumbo
+2EA785 Gumdrop Green
+FFC69D Gumdrops
+06A9CA Gummy Dolphins
+979D9A Gun Barrel
+6B593C Gun Corps Brown
+484753 Gun Powder
+959984 Gundaroo Green
+5D8CAE Gunjō Blue
+536267 Gunmetal
+908982 Gunmetal Beige
+777648 Gunmetal Green
+808C8C Gunmetal Grey
+DCD3BC Gunny Sack
+FF0077 Guns N’ Roses
+818070 Gunsmith
+7A7C76 Gunsmoke
+BD7E08 Guo Tie Dumpling
+00FF7F Guppie Green
+AE5883 Guppy Violet
+989171 Gurkha
+A49691 Gustav
+F8AC1D Gusto Gold
+705284 Gutsy Grape
+897A68 Guy
+DFB46F Gyoza Dumpling
+EEEDE4 Gypsum
+E2C4AF Gypsum Rose
+D6CFBF Gypsum Sand
+BFE1E6 H₂O
+F98513 Habañero
+B8473D Habañero Chile
+FECF3C Habañero Gold
+897D6D Habitat
+9E8022 Hacienda
+0087A8 Hacienda Blue
+BB7731 Hacienda Del Sol
+B86D64 Hacienda Tile
+F0EDE7 Hacienda White
+277ABA Haddock’s Sweater
+1177FF Hadfield Blue
+000022 Hadopelagic Water
+C61A1B Haemoglobin Red
+E6C9A3 Hagar Shores
+C3C7B2 Haggis
+8B837D Hagstone Choir
+2C75FF Hailey Blue
+D0D1E1 Hailstorm
+BDBEB9 Hailstorm Grey
+C1D8D9 Haint Blue
+8B7859 Hair Brown
+939CC9 Hair Ribbon
+734A12 Hairy Brown
+633528 Hairy Heath
+2C2A35 Haiti
+97495A Haitian Flower
+88B378 Hakusai Green
+F0E483 Halakā Pīlā
+D1D1CE Halation
+663854 Halayà Úbe
+F7BB73 Halcyon Days
+9BAAA2 Halcyon Green
+558F93 Half Baked
+FBF0D6 Half Dutch White
+CCCDB9 Half Moon
+CDA894 Half Moon Bay Blush
+976F3C Half Orc Highlight
+F1EAD7 Half Pearl Lusta
+A9B8BB Half Sea Fog
+E6DBC7 Half Spanish White
+604C3D Half-Caff
+EE8855 Half-Smoke
+C5B583 Halfway Green
+09324A Halite Blue
+E2EBE5 Hallowed Hush
+FE653C Halloween
+EB6123 Halloween Party
+DD2211 Halloween Punch
+E2C392 Halo
+F4E5D2 Halogen
+B0BAD5 Halogen Blue
+FF6633 Halt and Catch Fire
+FF004F Halt Red
+A34E25 Hamburger
+8A99A4 Hamilton Blue
+65DCD6 Hammam Blue
+834831 Hammered Copper
+CB9D5E Hammered Gold
+7E7567 Hammered Pewter
+978A7F Hammered Silver
+4E7496 Hammerhead Shark
+6D8687 Hammock
+D9CADF Hampstead Heath
+E8D4A2 Hampton
+9D603B Hampton Beach
+4F604F Hampton Green
+597681 Hampton Surf
+A6814C Hamster Fur
+C4D6AF Hamster Habitat
+B07426 Hamtaro Brown
+446CCF Han Blue
+5218FA Han Purple
+1D697C Hanaasagi Blue
+044F67 Hanada Blue
+F2ABE1 Hanami Pink
+4D6968 Hancock
+CEECEE Hand Sanitizer
+7F735F Handmade
+DDD6B7 Handmade Linen
+A87678 Handmade Red
+355887 Handsome Blue
+5286BA Handsome Hue
+BFA984 Handwoven
+11AA44 Hanging Gardens of Babylon
+5C7F76 Hanging Moss
+6E897D Hanging Vine
+685D4A Hannover Hills
+DAC5B1 Hanover
+885D53 Hanover Brick
+848472 Hanover Pewter
+E9D66C Hansa Yellow
+55FFAA Hanuman Green
+E3D6C7 Hanyauku
+F8D664 Happy
+6B8350 Happy Camper
+979EA1 Happy Cement
+72A86A Happy Cricket
+506E82 Happy Days
+F7CF1B Happy Daze
+FFD10B Happy Face
+D46362 Happy Hearts
+818581 Happy Hippo
+E0DABF Happy Margarine
+F6CBCA Happy Piglets
+FFBE98 Happy Prawn
+FAEED7 Happy Skeleton
+D1DFEB Happy Thoughts
+B67A63 Happy Trails
+96B957 Happy Tune
+FFC217 Happy Yipee
+BACAD3 Happy-Go-Lucky
+E2D4D6 Hapsburg Court
+55AA55 Harā Green
+504A6F Harajuku Girl
+495867 Harbour
+E0E9F3 Harbour Afternoon
+417491 Harbour Blue
+AFB1B4 Harbour Fog
+A8C0BB Harbour Grey
+D7E0E7 Harbour Light
+88AAAA Harbour Mist
+778071 Harbour Mist Grey
+757D75 Harbour Rat
+7EB6D0 Harbour Sky
+4E536B Harbourmaster
+FFBBBB Hard Candy
+656464 Hard Coal
+8B8372 Hardware
+B56C23 Hardy Clay
+006383 Harem Silk
+BCCF8F Haricot
+A52A2A Harissa Red
+3FFF00 Harlequin
+46CB18 Harlequin Green
+C93413 Harley Davidson Orange
+8547B5 Harley Hair Purple
+BB0000 Harlock’s Cape
+C1B287 Harmonic Tan
+AFC195 Harmonious
+EACFA3 Harmonious Gold
+F29CB7 Harmonious Rose
+EBC9C1 Harmony
+6DA493 Harmony in Green
+6D6353 Harold
+CBCEC0 Harp
+CBD0D1 Harp Strings
+283B4C Harpoon
+DCB571 Harpswell Green
+493C2B Harpy Brown
+989B9E Harrison Grey
+9A5F3F Harrison Rust
+7E8E90 Harrow’s Gate
+C90016 Harvard Crimson
+EACB9D Harvest
+CB862C Harvest at Dusk
+BA8E4E Harvest Blessing
+B9A589 Harvest Brown
+A5997C Harvest Dance
+DA9100 Harvest Eve Gold
+EAB76A Harvest Gold
+DE6931 Harvest Haze
+CBAE84 Harvest Home
+554488 Harvest Night
+65564F Harvest Oak
+CD632A Harvest Pumpkin
+CF875F Harvest Time
+F7D7C4 Harvest Wreath
+EDC38E Harvester
+BFA46F Hashibami Brown
+8D608C Hashita Purple
+C9643B Hashut Copper
+009E6D Hassan II Mosque
+8F775D Hat Box Brown
+CFEBDE Hatching Chameleon
+B2D1D6 Hatchling Blue
+95859C Hatoba Pigeon
+9E8B8E Hatoba-Nezumi Grey
+929E9D Hatteras Grey
+5F6D91 Haunt Mist
+57446A Haunted Candelabra
+333355 Haunted Dreams
+032E0E Haunted Forest
+003311 Haunted Hills
+991177 Haunted Purple
+D3E0EC Haunting Hue
+824855 Haunting Melody
+A0252A Haute Couture
+545E49 Haute Green
+9F7B58 Haute Hickory
+D899B1 Haute Pink
+AA1829 Haute Red
+3B2B2C Havana
+A5DBE5 Havana Blue
+AF884A Havana Cigar
+554941 Havana Coffee
+F9E5C2 Havana Cream
+007993 Havasu
+0FAFC6 Havasupai Falls
+5784C1 Havelock Blue
+A3B48C Haven
+00BBFF Hawaii Morning
+D24833 Hawaiian Ahi Poke
+75C7E0 Hawaiian Breeze
+6F4542 Hawaiian Cinder
+99522C Hawaiian Coconut
+FAE8B8 Hawaiian Cream
+96300D Hawaiian Malasada
+008DB9 Hawaiian Ocean
+FFA03E Hawaiian Passion
+FDD773 Hawaiian Pineapple
+FF0051 Hawaiian Raspberry
+F3DBD9 Hawaiian Shell
+83A2BD Hawaiian Sky
+C06714 Hawaiian Sunset
+008DBB Hawaiian Surf
+1D7033 Hawaiian Ti Leaf
+77CABD Hawaiian Vacation
+AE8C5C Hawk Feather
+77757D Hawk Grey
+00756A Hawk Turquoise
+34363A Hawk’s Eye
+FDDB6D Hawkbit
+F4C26C Hawker’s Gold
+D2DAED Hawkes Blue
+729183 Hawkesbury
+CC1111 Hawthorn Berry
+EEFFAA Hawthorn Blossom
+884C5E Hawthorn Rose
+CED7C1 Hawthorne
+D3CAA3 Hay
+DACD81 Hay Day
+CDAD59 Hay Wain
+C2A770 Hay Yellow
+5F5D50 Hayden Valley
+CDBA96 Hayloft
+D4AC99 Hayride
+CFAC47 Haystack
+C8C2C6 Haze
+C39E6D Hazed Nuts
+A36B4B Hazel
+EAE2DE Hazel Blush
+B8BFB1 Hazel Gaze
+A8715A Hazelnut
+7B3F00 Hazelnut Chocolate
+D28A47 Hazelnut Coffee
+E6DFCF Hazelnut Cream
+742719 Hazelnut Kisses
+EEAA77 Hazelnut Milk
+D9BE9D Hazelnut Parfait
+FCE974 Hazelnut Turkish Delight
+FFF3D5 Hazelwood
+B4C2CF Hazy
+BCC8CC Hazy Blue
+F2CC99 Hazy Day
+A5B8C5 Hazy Daze
+D2BAA1 Hazy Earth
+F2F1DC Hazy Grove
+C7BAC0 Hazy Iris
+C8C6CE Hazy Mauve
+F1DCA1 Hazy Moon
+B39897 Hazy Rose
+ADBBC4 Hazy Skies
+B7BDD6 Hazy Sky
+A6A5A0 Hazy Stratus
+D5C3B5 Hazy Taupe
+DCDACE Hazy Trail
+EACEA0 Hazy Yellow
+E1DBE3 He Loves Me
+7F5E00 Hè Sè Brown
+D1DDE1 Head in the Clouds
+EBE2DE Head in the Sand
+605972 Head Over Heels
+B9CAB3 Healing Aloe
+6C7D42 Healing Plant
+BAC2AA Healing Retreat
+E1E2C2 Healing Springs
+D2DCCE Healthy Wealthy and Wise
+5BBD7F Heart Chakra
+9D7F4C Heart of Gold
+F7FCFF Heart of Ice
+D2CFA6 Heart of Palm
+A97FB1 Heart Potion
+EDE3DF Heart Stone
+D4A9C3 Heart to Heart
+E2B5BD Heart’s Content
+AC3E5F Heart’s Desire
+AA0000 Heartbeat
+CC76A3 Heartbreaker
+FFADC9 Heartfelt
+E1CCA6 Hearth
+B2C4BB Hearth Frost
+A17135 Hearth Gold
+C7BEB2 Hearthstone
+A7C297 Heartland Frosty
+623B70 Heartless
+D47A76 Hearts Afire
+CFC291 Hearts of Palm
+9BAFD0 Heartsong
+A82E33 Heartthrob
+BF1818 Heartwarming
+6F4232 Heartwood
+96BF83 Hearty Hosta
+B44B34 Hearty Orange
+E98D5B Heat of Summer
+E3000E Heat Signature
+FF7A00 Heat Wave
+4F2A2C Heath
+9ACDA9 Heath Green
+C9CBC2 Heath Grey
+9F5F9F Heath Spotted Orchid
+A484AC Heather
+B8ACAF Heather Bay
+E75480 Heather Berry
+C3ADC5 Heather Feather
+909095 Heather Field
+BBB0BB Heather Hill
+998E8F Heather Moor
+A39699 Heather Plume
+988E94 Heather Red Grey
+A76372 Heather Rose
+7B7173 Heather Sachet
+B18398 Heather Violet
+B6B095 Heathered Grey
+EE4422 Heating Lamp
+FF7788 Heatstroke
+B4CED5 Heaven
+EEE1EB Heaven Sent
+CAD6DE Heaven Sent Storm
+C7F1FF Heaven’s Gate
+7EB2C5 Heavenly
+EEDFD5 Heavenly Aromas
+A3BBCD Heavenly Blue
+BEA79D Heavenly Cocoa
+93A394 Heavenly Garden
+D8D5E3 Heavenly Haze
+F4DEDE Heavenly Pink
+6B90B3 Heavenly Sky
+FBD9C6 Heavenly Song
+EBE8E6 Heavenly White
+3A514D Heavy Black Green
+2C5674 Heavy Blue
+9FABAF Heavy Blue Grey
+73624A Heavy Brown
+565350 Heavy Charcoal
+E8DDC6 Heavy Cream
+DDCCAA Heavy Gluten
+BAAB74 Heavy Goldbrown
+49583E Heavy Green
+82868A Heavy Grey
+BEB9A2 Heavy Hammock
+771122 Heavy Heart
+5E6A34 Heavy Khaki
+46473E Heavy Metal
+888A8E Heavy Metal Armour
+9B753D Heavy Ochre
+EE4328 Heavy Orange
+898A86 Heavy Rain
+9E1212 Heavy Red
+735848 Heavy Siena
+EFF5F1 Heavy Sugar
+4F566C Heavy Violet
+BDB3A7 Heavy Warm Grey
+F0E4D2 Hectorite
+768A75 Hedge Green
+00AA11 Hedged Garden
+C4AA5E Hedgehog Cactus Yellow Green
+FAF0DA Hedgehog Mushroom
+142030 Hēi Sè Black
+960117 Heidelberg Red
+C3BDB1 Heifer
+B67B71 Heirloom
+F4BEA6 Heirloom Apricot
+E3664C Heirloom Blush
+327CCB Heirloom Hydrangea
+F5E6D6 Heirloom Lace
+9D96B2 Heirloom Lilac
+AE9999 Heirloom Orchid
+DBD5D0 Heirloom Pink
+AB979A Heirloom Quilt
+801F23 Heirloom Red
+D182A0 Heirloom Rose
+DCD8D4 Heirloom Shade
+B5B6AD Heirloom Silver
+833633 Heirloom Tomato
+70D4FB Heisenberg Blue
+C3B89F Helen of Troy
+D28B72 Helena Rose
+D94FF5 Heliotrope
+AB98A9 Heliotrope Grey
+AA00BB Heliotrope Magenta
+9187BD Heliotropic Mauve
+EAE5D8 Helium
+C40700 Hell Rider
+BA622A Hell’s Bells
+710101 Hellbound
+646944 Hellebore
+87C5AE Hellion Green
+802280 Hello Darkness My Old Friend
+F3C7D1 Hello Dolly
+995533 Hello Fall
+44DD66 Hello Spring
+55BBFF Hello Summer
+99FFEE Hello Winter
+FFE59D Hello Yellow
+F00000 Helvetia Red
+5F615F Hematite
+DC8C59 Hematitic Sand
+5285A4 Hemisphere
+69684B Hemlock
+ECEEDF Hemlock Bud
+987D73 Hemp
+B5AD88 Hemp Fabric
+B9A379 Hemp Rope
+B5B35C Hemp Tea
+EED9C4 Hen of the Woods
+864941 Henna
+6E3530 Henna Red
+B3675D Henna Shade
+C4B146 Hep Green
+FBE5EA Hepatica
+E1D4B6 Hephaestus
+FF9911 Hephaestus Gold
+6F123C Her Fierceness
+432E6F Her Highness
+F9A4A4 Her Majesty
+BB5F62 Her Velour
+7777EE Hera Blue
+A46366 Herald of Spring
+CE9F2F Herald’s Trumpet
+444161 Heraldic
+E7E0D3 Herare White
+708452 Herb
+4B856C Herb Blend
+6E7357 Herb Cornucopia
+E9F3E1 Herb Garden
+64654A Herb Garland
+DDA0DF Herb Robert
+29AB87 Herbal
+9CAD60 Herbal Garden
+C9B23D Herbal Green
+6BA520 Herbal Lift
+D2E6D3 Herbal Mist
+8E9B7C Herbal Scent
+F9FEE9 Herbal Tea
+DDFFCC Herbal Vapours
+A49B82 Herbal Wash
+6B6D4E Herbal Whispers
+969E86 Herbalist
+119900 Herbalist’s Garden
+EEEE22 Herbery Honey
+A9A487 Herbes
+3A5F49 Herbes de Provence
+88EE77 Herbivore
+FCDF63 Here Comes the Sun
+5F3B36 Hereford Bull
+6C2E1F Hereford Cow Brown
+B0BACC Heritage
+5296B7 Heritage Blue
+CAC2B8 Heritage Grey
+5C453D Heritage Oak
+69756C Heritage Park
+956F7B Heritage Taffeta
+9A8EC1 Hermosa
+FFB3F0 Hermosa Pink
+005D6A Hero
+1166FF Heroic Blue
+CBD5E9 Heroic Heron
+D1191C Heroic Red
+6A6887 Heron
+E5E1D8 Heron Plume
+B1C4CD Heron Wing
+C6C8CF Herring Silver
+FFE296 Hesperide Apple Gold
+EE2200 Hestia Red
+6E0060 Hexed Lichen
+FBFF0A Hexos Palesun
+16F8FF Hey Blue!
+CD8E43 Hey Honey!
+BEA932 Hey Pesto
+BBB465 Hi Def Lime
+ACA69F Hibernate
+6F5166 Hibernation
+B6316C Hibiscus
+FE9773 Hibiscus Delight
+BC555E Hibiscus Flower
+6E826E Hibiscus Leaf
+EDAAAC Hibiscus Petal
+DD77DD Hibiscus Pop
+5C3D45 Hibiscus Punch
+A33737 Hibiscus Red
+B7A28E Hickory
+AB8274 Hickory Branch
+69482A Hickory Chips
+7C6E6D Hickory Cliff
+655341 Hickory Grove
+78614C Hickory Nut
+614539 Hickory Plank
+997772 Hickory Stick
+BC916F Hickory Tint
+9C949B Hidcote
+8D7F64 Hidden Cottage
+CEC6BD Hidden Cove
+D5DAE0 Hidden Creek
+305451 Hidden Depths
+EDE4CC Hidden Diary
+4F5A51 Hidden Forest
+98AD8E Hidden Glade
+60737D Hidden Harbour
+C5D2B1 Hidden Hills
+EBF1E2 Hidden Jade
+96748A Hidden Mask
+BBCC5A Hidden Meadow
+AA7C4C Hidden Morel
+5E8B3D Hidden Paradise
+3C3005 Hidden Passage
+E4D5B9 Hidden Path
+727D7F Hidden Peak
+445771 Hidden Sapphire
+6FD1C9 Hidden Sea Glass
+1B8CB6 Hidden Springs
+5F5B4D Hidden Trail
+A59074 Hidden Treasure
+BB9900 Hidden Tribe
+689938 Hidden Valley
+225258 Hidden Waters
+C8C0AA Hideaway
+5386B7 Hideout
+77A373 Hierba Santa
+334F7B High Altar
+A9DEDA High Altitude
+4CA8E0 High Blue
+75603D High Chaparral
+A06974 High Country Rose
+59B9CC High Dive
+9A3843 High Drama
+8CBED6 High Elf Blue
+665D25 High Forest Green
+BBDD00 High Grass
+EAEBE4 High Hide White
+E0B44D High Honey
+DEEAAA High Hopes
+D88CB5 High Maintenance
+CFB999 High Noon
+867A88 High Note
+E4B37A High Plateau
+BCD8D2 High Point
+643949 High Priest
+005A85 High Profile
+645453 High Rank
+F7F7F1 High Reflective White
+AEB2B5 High Rise
+C71F2D High Risk Red
+445056 High Salute
+7DABD8 High Seas
+CEDEE2 High Sierra
+CAB7C0 High Society
+AC9825 High Strung
+A8B1D7 High Style
+E4D7C3 High Style Beige
+7F6F57 High Tea
+567063 High Tea Green
+85A6C8 High Tide
+EEFF11 High Voltage
+6D7074 High-Speed Steel
+928C3C Highball
+305144 Highland Green
+8F714B Highland Ridge
+B9A1AE Highland Thistle
+D3DAE3 Highland Winds
+3A533D Highlander
+449084 Highlands
+445500 Highlands Moss
+484A80 Highlands Twilight
+EEF0DE Highlight
+DFC16D Highlight Gold
+FFE536 Highlighter
+3AAFDC Highlighter Blue
+1BFC06 Highlighter Green
+85569C Highlighter Lavender
+D72E83 Highlighter Lilac
+F39539 Highlighter Orange
+EA5A79 Highlighter Pink
+E94F58 Highlighter Red
+009E6C Highlighter Turquoise
+F1E740 Highlighter Yellow
+BDB388 Highway
+CD1102 Highway to Hell
+752E23 Hihada Brown
+D2B395 Hiker’s Delight
+9D9866 Hiking
+5E5440 Hiking Boots
+A99170 Hiking Trail
+E0EEDF Hill Giant
+8DC248 Hill Lands
+A7A07E Hillary
+417B42 Hills of Ireland
+7FA91F Hillsbrad Grass
+8F9783 Hillside Green
+80BF69 Hillside Grove
+8DA090 Hillside View
+587366 Hilltop
+768AA1 Hilo Bay
+736330 Himalaya
+AECDE0 Himalaya Blue
+E2EAF0 Himalaya Peaks
+7695C2 Himalaya Sky
+B9DEE9 Himalaya White Blue
+FF99CC Himalayan Balsam
+E1F0ED Himalayan Mist
+BEC6D6 Himalayan Poppy
+C07765 Himalayan Salt
+FCC800 Himawari Yellow
+BDC9E3 Hindsight
+EE4D83 Hindu Lotus
+F8DDB7 Hinoki
+BC002D Hinomaru Red
+CEE1F2 Hint of Blue
+D5933D Hint of Caramel
+DC6080 Hint of Cherry
+E4DED0 Hint of Cream
+DFEADE Hint of Green
+FFD66D Hint of Honey
+E1DBD5 Hint of Mauve
+DFF1D6 Hint of Mint
+F8E6D9 Hint of Orange
+F1E4E1 Hint of Pink
+F6DFE0 Hint of Red
+EEE8DC Hint of Vanilla
+D2D5E1 Hint of Violet
+FAF1CD Hint of Yellow
+616C51 Hinterland
+304112 Hinterlands Green
+CED9DD Hinting Blue
+E4E8A7 Hip Hop
+746A51 Hip Waders
+49889A Hippie Blue
+608A5A Hippie Green
+AB495C Hippie Pink
+C6AA2B Hippie Trail
+5C3C0D Hippogriff Brown
+CFC294 Hippolyta
+EAE583 Hippy
+F2F1D9 Hipster
+BFB3AB Hipster Hippo
+FD7C6E Hipster Salmon
+88513E Hipsterfication
+7FFFD4 Hiroshima Aquamarine
+9BB9E1 His Eyes
+ABCED8 Hisoku Blue
+FDF3E3 Historic Cream
+ADA791 Historic Shade
+A18A64 Historic Town
+EBE6D7 Historic White
+A7A699 Historical Grey
+BFB9A7 Historical Ruins
+38B48B Hisui Kingfisher
+A1ADB5 Hit Grey
+FDA470 Hit Pink
+EFC872 Hit the Hay
+EEFFA9 Hitchcock Milk
+C48D69 Hitching Post
+EE66FF Hitsujiyama Pink
+FFFF77 Hive
+F1C24B Hive Delight
+DBECFB Hoarfrost
+01AD8F Hobgoblin
+59685F Hockham Green
+57A9D4 Hoeth Blue
+DCD1BB Hog Bristle
+FBE8E4 Hog-Maw
+DAD5C7 Hog’s Pudding
+424F3B Hōjicha
+BB8E34 Hokey Pokey
+647D86 Hoki
+7736D9 Hokkaido Lavender
+547D86 Holbein Blue Grey
+705446 Hold Your Horses
+4AAE97 Hole in One
+598069 Holenso
+81C3B4 Holiday
+32BCD1 Holiday Blue
+6D9E7A Holiday Camp
+B1D1E2 Holiday Road
+8AC6BD Holiday Turquoise
+206174 Holiday Velvet
+B78846 Holiday Waffle
+CB4543 Holland Red
+DD9789 Holland Tile
+F89851 Holland Tulip
+FFEE44 Hollandaise
+AC8E84 Hollow Brown
+330055 Hollow Knight
+25342B Holly
+B44E5D Holly Berry
+355D51 Holly Bush
+8CB299 Holly Fern
+A2B7B5 Holly Glen
+0F9D76 Holly Green
+B50729 Holly Jolly Christmas
+2E5A50 Holly Leaf
+913881 Hollyhock
+B7737D Hollyhock Bloom
+BD79A5 Hollyhock Blossom Pink
+C2A1B5 Hollyhock Pink
+C7AF4A Hollywood
+DEE7D4 Hollywood Asparagus
+F400A0 Hollywood Cerise
+ECD8B1 Hollywood Golden Age
+F2D082 Hollywood Starlet
+DBBB9E Holmes Cream
+F0E5F5 Holographic Lavender
+DB783E Holy Cannoli
+332F2C Holy Crow
+EFE9E6 Holy Ghost
+E8D720 Holy Grail
+466E77 Holy Water
+F5F5DC Holy White
+666D69 Homburg Grey
+E8CABA Home and Hearth
+F3D2B2 Home Body
+897B66 Home Brew
+F7EEDB Home Plate
+F2EEC7 Home Song
+9B7E65 Home Sweet Home
+726E69 Homebush
+63884A Homegrown
+B18D75 Homeland
+AC8674 Homestead
+6F5F52 Homestead Brown
+986E6E Homestead Red
+E9BF91 Homeward Bound
+2299DD Homeworld
+F0D8AF Homey Cream
+5F7C47 Homoeopathic
+DBE7E3 Homoeopathic Blue
+E1EBD8 Homoeopathic Green
+E5E0EC Homoeopathic Lavender
+E1E0EB Homoeopathic Lilac
+E9F6E2 Homoeopathic Lime
+E5EAD8 Homoeopathic Mint
+F2E6E1 Homoeopathic Orange
+ECDBE0 Homoeopathic Red
+E8DBDD Homoeopathic Rose
+EDE7D7 Homoeopathic Yellow
+9D9887 Honed Soapstone
+867C83 Honed Steel
+9BB8E2 Honest
+5A839E Honest Blue
+DFEBE9 Honesty
+AE8934 Honey
+F1DDAD Honey and Cream
+AAAA00 Honey and Thyme
+FFAA99 Honey Baked Ham
+E8C281 Honey Bear
+FCDFA4 Honey Bee
+D39F5F Honey Beehive
+F3E2C6 Honey Beige
+FFD28D Honey Bird
+F5CF9B Honey Blush
+DAA47A Honey Bronze
+DBB881 Honey Bunny
+F5D29B Honey Butter
+FF9955 Honey Carrot Cake
+883344 Honey Chilli
+E9C160 Honey Crisp
+FFBB55 Honey Crusted Chicken
+EDEDC7 Honey Do
+5C3C6D Honey Flower
+D18E54 Honey Fungus
+884422 Honey Garlic Beef
+BA6219 Honey Ginger
+FFD775 Honey Glaze
+E8B447 Honey Glow
+E1B67C Honey Gold
+BC886A Honey Graham
+DCB149 Honey Grove
+BC9263 Honey Haven
+DDCCBB Honey Lime Chicken
+FFC367 Honey Locust
+A46D5C Honey Maple
+E5D9B2 Honey Mist
+FBECCC Honey Moth
+B28C4B Honey Mustard
+F1DDA2 Honey Nectar
+E0BB96 Honey Nougat
+FAEED9 Honey Oat Bread
+DBBF9A Honey Peach
+CC99AA Honey Pink
+DFBB86 Honey Robber
+D8BE89 Honey Tea
+EE6611 Honey Teriyaki
+F8DC9B Honey Tone
+FFAA22 Honey Wax
+CA9456 Honey Yellow
+937016 Honey Yellow Green
+F3F0D9 Honey Yoghurt Popsicles
+DDAA11 Honeycomb
+E4CF99 Honeycomb Glow
+DE9C52 Honeycomb Yellow
+F0FFF0 Honeydew
+E6ECCC Honeydew Melon
+D4FB79 Honeydew Peel
+EECE8D Honeydew Sand
+EFC488 Honeyed Glow
+D7BB80 Honeymoon
+FFC863 Honeypot
+E8ED69 Honeysuckle
+EACA90 Honeysuckle Beige
+B3833F Honeysuckle Blast
+E8D4C9 Honeysuckle Delight
+DE8F8D Honeysuckle Rose
+FBF1C8 Honeysuckle Vine
+F8ECD3 Honeysuckle White
+E9CFC8 Honeysweet
+948E90 Hong Kong Mist
+676E7A Hong Kong Skyline
+A8102A Hong Kong Taxi
+FF0809 Hóng Sè Red
+564A33 Hóng Zōng Brown
+FCEFD1 Honied White
+446A8D Honky Tonk Blue
+96CBF1 Honolulu
+007FBF Honolulu Blue
+164576 Honourable Blue
+FFC9C4 Hooked Mimosa
+49796B Hooker’s Green
+4455FF Hooloovoo Blue
+CD6D93 Hopbush
+E581A0 Hope
+875942 Hope Chest
+F2D4E2 Hopeful
+A2B9BF Hopeful Blue
+95A9CD Hopeful Dream
+174871 Hopi Blue Corn
+FFE4B5 Hopi Moccasin
+9E8163 Hopsack
+AFBB42 Hopscotch
+F2E9D9 Horchata
+789B73 Horenso Green
+648894 Horizon
+AD7171 Horizon Glow
+9CA9AA Horizon Grey
+80C1E2 Horizon Haze
+CDD4C6 Horizon Island
+C2C3D3 Horizon Sky
+51576F Hormagaunt Purple
+BBA46D Horn of Plenty
+332222 Hornblende
+234E4D Hornblende Green
+C2AE87 Horned Frog
+E8EAD5 Horned Lizard
+D5DFD3 Hornet Nest
+FF0033 Hornet Sting
+A67C08 Hornet Yellow
+D34D4D Horror Snob
+543D37 Horse Liver
+E6DFC4 Horseradish
+EEEADD Horseradish Cream
+FFDEA9 Horseradish Yellow
+6D562C Horses Neck
+8B8893 Horseshoe
+3D5D42 Horsetail
+9A6C39 Horsing Around
+61435B Hortensia
+DBB8BF Hosanna
+9BE5AA Hospital Green
+DCDDE7 Hosta Flower
+475A56 Hostaleaf
+AC4362 Hot
+B35547 Hot and Spicy
+FFB3DE Hot Aquarelle Pink
+FFF6D9 Hot Beach
+CC5511 Hot Bolognese
+984218 Hot Brown
+E69D00 Hot Butter
+A5694F Hot Cacao
+FA8D7C Hot Calypso
+CC6E3B Hot Caramel
+B7513A Hot Chilli
+683939 Hot Chocolate
+D1691C Hot Cinnamon
+806257 Hot Cocoa
+F35B53 Hot Coral
+BB0033 Hot Cuba
+815B28 Hot Curry
+EAE4DA Hot Desert
+717C3E Hot Dog Relish
+F55931 Hot Embers
+D40301 Hot Fever
+DD180E Hot Flamin Chilli
+B35966 Hot Flamingo
+5E2912 Hot Fudge
+A36736 Hot Ginger
+E07C89 Hot Gossip
+25FF29 Hot Green
+DD6622 Hot Hazel
+BB2244 Hot Hibiscus
+BC3033 Hot Jazz
+AA0033 Hot Lava
+C9312B Hot Lips
+FF00CC Hot Magenta
+735C12 Hot Mustard
+F4893D Hot Orange
+598039 Hot Pepper Green
+FF028D Hot Pink
+FE69B6 Hot Pink Fusion
+CB00F5 Hot Purple
+CCAA00 Hot Sand
+AB4F41 Hot Sauce
+3F3F75 Hot Sauna
+EC4F28 Hot Shot
+CC2211 Hot Spice
+ABA89E Hot Stone
+F9B82B Hot Sun
+A24A3F Hot Tamale
+A7752C Hot Toddy
+D26E2D Hot Wings
+755468 Hothouse Orchid
+F1F3F2 Hotot Bunny
+FF4433 Hotspot
+E68A00 Hotter Butter
+FF4455 Hotter Than Hell
+FF80FF Hottest of Pinks
+E5E0D5 Hourglass
+E2E0DB House Martin Eggs
+9AA0BD House of Owen
+D6D9DD House Sparrow’s Egg
+4D495B House Stark Grey
+58713F Houseplant
+A0AEB8 How Handsome
+886150 How Now
+F9E4C8 Howdy Neighbor
+C6A698 Howdy Partner
+9C7F5A Howling Coyote
+E50752 Howling Pink
+1DACD1 Hú Lán Blue
+F8FF73 Huáng Dì Yellow
+FADA6A Huáng Jīn Zhōu Gold
+F0F20C Huáng Sè Yellow
+E9BF8C Hubbard Squash
+559933 Hubert’s Truck Green
+5B4349 Huckleberry
+71563B Huckleberry Brown
+EADBD2 Hudson
+FDEF02 Hudson Bee
+17A9E5 Huelveño Horizon
+9FA09F Hugh’s Hue
+E6CFCC Hugo
+C1C6D3 Hūi Sè Grey
+929264 Hula Girl
+726F6C Hulett Ore
+008000 Hulk
+4D140B Hull Red
+E3DAD3 Humble Beginnings
+E3CDC2 Humble Blush
+EDC796 Humble Gold
+AAAA99 Humble Hippo
+1F6357 Humboldt Redwoods
+C9CCD2 Humid Cave
+CEEFE4 Hummingbird
+5B724A Hummingbird Green
+EECC99 Hummus
+C6B836 Humorous Green
+473B3B Humpback Whale
+B7A793 Humus
+B2B7D1 Hundred Waters
+F0000D Hungry Red
+BB11FF Hunky Hummingbird
+2A4F43 Hunt Club
+938370 Hunt Club Brown
+33534B Hunter
+0B4008 Hunter Green
+989A8D Hunter’s Hollow
+DB472C Hunter’s Orange
+6B5A54 Hunting Boots
+856829 Hunting Jacket
+96A782 Huntington Garden
+46554C Huntington Woods
+8B7E77 Hurricane
+254D54 Hurricane Green Blue
+BDBBAD Hurricane Haze
+EBEEE8 Hurricane Mist
+C4BDBA Hush
+E1DED8 Hush Grey
+F8E9E2 Hush Pink
+E4B095 Hush Puppy
+E5DAD4 Hush White
+5397B7 Hush-A-Bye
+A8857A Hushed Auburn
+C8E0DB Hushed Green
+6E8FB4 Hushed Lilac
+EEA5C1 Hushed Rose
+CDBBB9 Hushed Violet
+F1F2E4 Hushed White
+B2994B Husk
+E0EBFA Husky
+BB613E Husky Orange
+AE957C Hutchins Plaza
+936CA7 Hyacinth
+6C6783 Hyacinth Arbour
+807388 Hyacinth Dream
+C8C8D2 Hyacinth Ice
+6F729F Hyacinth Mauve
+A75536 Hyacinth Red
+B9C4D3 Hyacinth Tint
+9B4D93 Hyacinth Violet
+C1C7D7 Hyacinth White Soft Blue
+D0CDA9 Hybrid
+626045 Hyde Park
+006995 Hydra
+007A73 Hydra Turquoise
+768DC6 Hydrangea
+A6AEBE Hydrangea Blossom
+CAA6A9 Hydrangea Bouquet
+E6EAE0 Hydrangea Floret
+CAA0FF Hydrangea Purple
+9E194D Hydrangea Red
+9B9B9B Hydrargyrum
+49747F Hydro
+A1F4F5 Hydro Cannon
+33476D Hydrogen Blue
+89ACAC Hydrology
+5E9CA1 Hydroport
+E0E1D8 Hygge Green
+5DBCB4 Hygiene Green
+F6F677 Hyper Beam
+015F97 Hyper Blue
+55FF00 Hyper Green
+EDDBDA Hyper Light Drifter
+EC006C Hyper Pink
+0000EE Hyperlink Blue
+17F9A6 Hyperpop Green
+687783 Hypnotic
+73E608 Hypnotic Green
+CF0D14 Hypnotic Red
+00787F Hypnotic Sea
+32584C Hypnotism
+415D66 Hypothalamus Grey
+6D4976 Hyssop
+FFA917 I Love to Boogie
+D97D8F I Love You Pink
+DDDBC5 I Miss You
+D47F8D I Pink I Can
+404034 I R Dark Green
+EBBF5C I’m a Local
+482400 Ibex Brown
+F4B3C2 Ibis
+E4D2D8 Ibis Mouse
+FBD0B9 Ibis Pink
+CA628F Ibis Rose
+F2ECE6 Ibis White
+F58F84 Ibis Wing
+0086BC Ibiza Blue
+D6FFFA Ice
+C6E4E9 Ice Age
+EADEE8 Ice Ballet
+739BD0 Ice Blue
+717787 Ice Blue Grey
+CCE2DD Ice Bomb
+A2CDCB Ice Boutique Turquoise
+B9E7DD Ice Cap Green
+D5EDFB Ice Castle
+A0BEDA Ice Cave
+B2F8F8 Ice Citadel
+25E2CD Ice Climber
+D2EAF1 Ice Cold
+D9EBAC Ice Cold Green
+B1D1FC Ice Cold Stare
+E3D0BF Ice Cream Cone
+F7D3AD Ice Cream Parlour
+A6E3E0 Ice Crystal Blue
+AFE3D6 Ice Cube
+CEE5DF Ice Dagger
+005456 Ice Dark Turquoise
+D1DCE8 Ice Desert
+EAEBE1 Ice Dream
+D3E2EE Ice Drop
+BBEEFF Ice Effect
+DCECF5 Ice Fishing
+D8E7E1 Ice Floe
+BDCBCB Ice Flow
+C3E7EC Ice Flower
+DBECE9 Ice Folly
+FFFFE9 Ice Glow
+87D8C3 Ice Green
+CAC7C4 Ice Grey
+9BB2BA Ice Gull Grey Blue
+E4BDC2 Ice Hot Pink
+BAEBAE Ice Ice
+00FFDD Ice Ice Baby
+FFFBC1 Ice Lemon
+C9C2DD Ice Mauve
+B6DBBF Ice Mist
+A5DBE3 Ice Pack
+E2E4D7 Ice Palace
+CF7EAD Ice Plant
+BBDDEE Ice Rink
+C8D6DA Ice Rink Blue
+E1E6E5 Ice Sculpture
+C1DEE2 Ice Shard Soft Blue
+11FFEE Ice Temple
+CDEBE1 Ice Water Green
+FEFECD Ice Yellow
+DFF0E2 Ice-Cold White
+DAE4EE Iceberg
+8C9C92 Iceberg Green
+B7C2CC Icebreaker
+C3D6E0 Icecap
+FEF4DD Iced Almond
+CBD3C3 Iced Aniseed
+EFD6C0 Iced Apricot
+A7D4D9 Iced Aqua
+C8E4B9 Iced Avocado
+E9819A Iced Berry
+9C8866 Iced Cappuccino
+E5E9B7 Iced Celery
+E8C7BF Iced Cherry
+AA895D Iced Coffee
+D0AE9A Iced Copper
+5A4A42 Iced Espresso
+ECEBC9 Iced Green Apple
+C2C7DB Iced Lavender
+E8DCE3 Iced Mauve
+A3846C Iced Mocha
+8E7D89 Iced Orchid
+D6DCD7 Iced Slate
+B87253 Iced Tea
+AFA9AF Iced Tulip
+E1A4B2 Iced Vovo
+D1AFB7 Iced Watermelon
+008B52 Iceland Green
+F37E27 Iceland Poppy
+DAE4EC Icelandic
+A0A4BC Icelandic Blue
+0011FF Icelandic Water
+D7DEEB Icelandic Winds
+D9E7E3 Icelandic Winter
+CCDFDC Icelandish
+DADCD0 Icepick
+A5FCDC Icery
+E8ECEE Icewind Dale
+CFE8E6 Icicle Mint
+D9E7F2 Icicle Veil
+BCC5C9 Icicles
+D5B7CB Icing Flower
+F8C4C5 Icing on the Cake
+F5EEE7 Icing Rose
+8FAE22 Icky Green
+FCF75E Icterine
+BBC7D2 Icy
+E0E5E2 Icy Bay
+CCEDEA Icy Blue
+C4ECF0 Icy Breeze
+C1CAD9 Icy Brook
+D4EAE1 Icy Glacier
+C5E6F7 Icy Landscape
+E2E2ED Icy Lavender
+F4E8B2 Icy Lemonade
+55FFEE Icy Life
+E6E9F9 Icy Lilac
+C6E3D3 Icy Mint
+B0D3D1 Icy Morn
+F5CED8 Icy Pink
+E6F2E9 Icy Pistachio
+CFDAFB Icy Plains
+D6DFE8 Icy Teal
+F7F5EC Icy Tundra
+BCE2E8 Icy Water
+C0D2D0 Icy Waterfall
+D3F1EE Icy Wind
+7890AC Identity
+CAE277 Idocrase Green
+645A8B Idol
+598476 Idyllic Island
+94C8D2 Idyllic Isle
+C89EB7 Idyllic Pink
+6F5A4A If a Tree Fell …
+6D68ED If I Could Fly
+FDFCFA Igloo
+C9E5EB Igloo Blue
+F4D69A Igniting
+2E776D Iguaçuense Waterfall
+878757 Iguana
+71BC77 Iguana Green
+F08F90 Ikkonzome Pink
+00022E Illicit Darkness
+56FCA2 Illicit Green
+FF5CCD Illicit Pink
+BF77F6 Illicit Purple
+EAA601 Illuminate Me
+F9E5D8 Illuminated
+419168 Illuminati Green
+EEEE77 Illuminating
+319177 Illuminating Emerald
+DEE4E0 Illuminating Experience
+EF95AE Illusion
+C3CED8 Illusion Blue
+574F64 Illusionist
+E1D5C2 Illusive Dream
+92948D Illusive Green
+5533BB Illustrious Indigo
+330011 Ilvaite Black
+7A6E70 Imagery
+89687D Imaginary Mauve
+DFE0EE Imagination
+FAE199 Imam Ali Gold
+D0576B Imayou Pink
+CEEBB2 Imbued With Mint
+AACC00 Immaculate Iguana
+204F54 Immersed
+C0A9CC Immortal
+D8B7CF Immortal Indigo
+945B7F Immortality
+D4A207 Immortelle Yellow
+F4CF95 Impala
+F1D2D7 Impatiens Petal
+FFC4BC Impatiens Pink
+C47D7C Impatient Heart
+DB7B97 Impatient Pink
+602F6B Imperial
+002395 Imperial Blue
+33746B Imperial Dynasty
+E0B181 Imperial Gold
+408750 Imperial Green
+676A6A Imperial Grey
+F1E8D2 Imperial Ivory
+693E42 Imperial Jewel
+A99FCF Imperial Lilac
+604E7A Imperial Palace
+596458 Imperial Palm
+21303E Imperial Primer
+5B3167 Imperial Purple
+EC2938 Imperial Red
+FFB200 Imperial Yellow
+E4D68C Impetuous
+1A2578 Impression of Obscurity
+8AA4AC Impressionist
+A7CAC9 Impressionist Blue
+B9CEE0 Impressionist Sky
+F4DEC3 Impressive Ivory
+6E7376 Improbable
+705F63 Impromptu
+005B87 Impulse
+006699 Impulse Blue
+624977 Impulsive Purple
+F5E7E3 Impure White
+67AED0 Imrik Blue
+B98052 In a Nutshell
+978C59 In a Pickle
+693C2A In Caffeine We Trust
+EE8877 In for a Penny
+D2C4A9 In for the Night
+B6D4A0 In Good Taste
+9EB0BB In the Blue
+D6CBBF In the Buff
+3B3C41 In the Dark
+91A8A8 In the Deep End
+AEA69B In the Hills
+859893 In the Moment
+2178A4 In the Mood
+283849 In the Navy
+2B6DAA In the Nick
+F4C4D0 In the Pink
+FF2233 In the Red
+CBC4C0 In the Shadows
+9AD9D4 In the Shallows
+E2C3CF In the Slip
+EDE6ED In the Spotlight
+A3BC3A In the Tropics
+84838E In the Twilight
+5C457B In the Vines
+72786F In the Woods
+F6DDDD In Your Dreams
+AA6D28 Inca Gold
+8C7B6C Inca Temple
+FFD301 Inca Yellow
+F9DDC4 Incan Treasure
+FFBB22 Incandescence
+AA0022 Incarnadine
+AF9A7E Incense
+65644A Incense Cedar
+B2EC5D Inchworm
+FF0022 Incision
+8E8E82 Incognito
+E3DED7 Incredible White
+123456 Incremental Blue
+DA1D38 Incubation Red
+0B474A Incubi Darkness
+772222 Incubus
+4C516D Independence
+D2BA83 Independent Gold
+008A8E India Blue
+138808 India Green
+3C3D4C India Ink
+E0A362 India Trade
+A5823D Indian Brass
+F2D0C0 Indian Clay
+F49476 Indian Dance
+54332E Indian Fig
+91955F Indian Green
+3C3F4A Indian Ink
+D3B09C Indian Khaki
+CC1A97 Indian Lake
+E4C14D Indian Maize
+D5A193 Indian Mesa
+EAE3D8 Indian Muslin
+86B7A1 Indian Ocean
+FA9761 Indian Paintbrush
+D5BC26 Indian Pale Ale
+0044AA Indian Peafowl
+AD5B78 Indian Pink
+DA846D Indian Princess
+850E04 Indian Red
+9F7060 Indian Reed
+FF9933 Indian Saffron
+8A5773 Indian Silk
+AE8845 Indian Spice
+A85143 Indian Summer
+D98A7D Indian Sunset
+3C586B Indian Teal
+EFDAC2 Indian White
+E3A857 Indian Yellow
+E88A5B Indiana Clay
+588C3A Indica
+2E2364 Indie Go
+9892B8 Indifferent
+301885 Indiglow
+4B0082 Indigo
+4467A7 Indigo Batik
+002E51 Indigo Black
+8A83DA Indigo Bloom
+3A18B1 Indigo Blue
+006CA9 Indigo Bunting
+006EC7 Indigo Carmine
+A09FCC Indigo Child
+204C6C Indigo Cloth
+627C98 Indigo Dreams
+00416C Indigo Dye
+4D0E88 Indigo Girls
+234156 Indigo Go-Go
+1F4788 Indigo Hamlet
+474A4D Indigo Ink
+393432 Indigo Ink Brown
+393F4C Indigo Iron
+5D76CB Indigo Light
+6C848D Indigo Mouse
+4C5E87 Indigo Navy Blue
+324680 Indigo Night
+660099 Indigo Purple
+695A78 Indigo Red
+1F0954 Indigo Sloth
+4B0183 Indigo Static
+2A465B Indigo Streamer
+EBF6F7 Indigo White
+AC3B3B Indiscreet
+D4CDCA Individual White
+6611AA Indiviolet Sunset
+9C5B34 Indochine
+B96B00 Indocile Tiger
+A29DAD Indolence
+008C69 Indonesian Jungle
+D1B272 Indonesian Rattan
+729E42 Indubitably Green
+533D47 Indulgence
+66565F Indulgent
+D1C5B7 Indulgent Mocha
+AEADAD Industrial Age
+322B26 Industrial Black
+00898C Industrial Blue
+114400 Industrial Green
+5B5A57 Industrial Grey
+737373 Industrial Revolution
+E09887 Industrial Rose
+877A65 Industrial Strength
+008A70 Industrial Turquoise
+4F9153 Ineffable Forest
+63F7B4 Ineffable Green
+CAEDE4 Ineffable Ice Cap
+E6E1C7 Ineffable Linen
+CC99CC Ineffable Magenta
+820E3B Inescapable Lover
+777985 Infamous
+F0D5EA Infatuation
+BB1177 Infectious Love
+DA5736 Inferno
+FF4400 Inferno Orange
+435A6F Infinite Deep Sea
+2F1064 Infinite Inkwell
+071037 Infinite Night
+BDDDE1 Infinitesimal Blue
+D7E4CC Infinitesimal Green
+222831 Infinity
+6E7E99 Infinity and Beyond
+94D4E4 Infinity Pool
+F1E7D0 Informal Ivory
+FE85AB Informative Pink
+FFCCEE Infra-White
+FE486C Infrared
+DD3333 Infrared Burn
+CC3344 Infrared Flush
+CC3355 Infrared Gloze
+C8D0CA Infusion
+334C5D Ingénue Blue
+AAA380 Inglenook Olive
+D7AE77 Inheritance
+252024 Ink Black
+00608B Ink Blotch
+0C5A77 Ink Blue
+393F4B Inkblot
+3B5066 Inked
+D9DCE4 Inked Silk
+44556B Inkjet
+31363A Inkwell
+1E1E21 Inkwell Inception
+4E7287 Inky Blue
+535266 Inky Storm
+747B9F Inky Violet
+606B54 Inland
+7C939D Inland Waters
+3F586E Inlet Harbour
+BBAA7E Inner Cervela
+F1BDB2 Inner Child
+6D69A1 Inner Journey
+78A6B5 Inner Sanctum
+285B5F Inner Space
+BBAFBA Inner Touch
+959272 Inness Sage
+229900 Innisfree Garden
+EBD1CF Innocence
+91B3D0 Innocent Blue
+856F79 Innocent Pink
+D0C7FF Innocent Snowdrop
+A4B0C4 Innuendo
+114477 Inoffensive Blue
+221122 Inside
+E0CFB5 Inside Passage
+C9B0AB Insightful Rose
+285294 Insignia
+ECF3F9 Insignia White
+06012C Insomnia
+110077 Insomniac Blue
+4FA183 Inspiration Peak
+DFD9E4 Inspired Lilac
+D9CEC7 Instant
+E3DAC6 Instant Classic
+F4D493 Instant Noodles
+FF8D28 Instant Orange
+EDE7D2 Instant Relief
+ADA7C8 Instigate
+405E95 Integra
+233E57 Integrity
+3F414C Intellectual
+A8A093 Intellectual Grey
+7F5400 Intense Brown
+123328 Intense Green
+68C89D Intense Jade
+682D63 Intense Mauve
+DF3163 Intense Passion
+4D4A6F Intense Purple
+00978C Intense Teal
+E19C35 Intense Yellow
+E4CAAD Interactive Cream
+A0CDDE Intercoastal
+A8B5BC Intercoastal Grey
+360CCC Interdimensional Blue
+D6E6E6 Interdimensional Portal
+9BAFB2 Interesting Aqua
+C1A392 Interface Tan
+4D516C Intergalactic
+AFE0EF Intergalactic Blue
+222266 Intergalactic Cowboy
+273287 Intergalactic Highway
+573935 Intergalactic Ray
+5B1E8B Intergalactic Settlement
+536437 Interior Green
+564355 Interlude
+56626E Intermediate Blue
+137730 Intermediate Green
+019694 Intermezzo
+3762A5 International
+002FA7 International Blue
+002FA6 International Klein Blue
+BA160C International Orange
+001155 Interstellar Blue
+CCBB99 Intimate Journal
+F0E1D8 Intimate White
+4F7BA7 Into the Blue
+0D6C49 Into the Green
+1E3642 Into the Night
+425267 Into the Stratosphere
+999885 Into the Wild
+11BB55 Intoxicate
+A1AC4D Intoxication
+77B5AA Intracoastal
+E0E2E0 Intrepid Grey
+EDDDCA Intricate Ivory
+635951 Intrigue
+B24648 Intrigue Red
+6D6053 Introspective
+CFC6BC Intuitive
+55A0B7 Inuit
+D8E4E7 Inuit Blue
+C2BDC2 Inuit Ice
+D1CDD0 Inuit White
+49017E Invasive Indigo
+E89D6F Inventive Orange
+576238 Inverness
+DCE3E2 Inverness Grey
+E47237 Invigorate
+F1EAB4 Invigorating
+A6773F Invitation Gold
+CDC29D Inviting Gesture
+F2D5B0 Inviting Ivory
+B9C4BC Inviting Veranda
+7D89BB Iolite
+368976 Ionian
+E7DFC5 Ionic Ivory
+D0EDE9 Ionic Sky
+55DDFF Ionized-Air Glow
+93CFE3 Iqaluit Ice
+006C2E Ireland Green
+3A5B52 Iridescent
+0153C8 Iridescent Blue
+48C072 Iridescent Green
+00707D Iridescent Peacock
+966FD6 Iridescent Purple
+CC4E5C Iridescent Red
+7BFDC7 Iridescent Turquoise
+3D3C3A Iridium
+5A4FCF Iris
+5B649E Iris Bloom
+ADA0BD Iris Blossom
+767694 Iris Eyes
+E0E3EF Iris Ice
+E8E5EC Iris Isle
+B39B94 Iris Mauve
+A767A2 Iris Orchid
+6B6273 Iris Petal
+CAB9BE Iris Pink
+398A59 Irish
+007F59 Irish Beauty
+69905B Irish Charm
+53734C Irish Clover
+62422B Irish Coffee
+E9DBBE Irish Cream
+D3E3BF Irish Folklore
+019529 Irish Green
+7CB386 Irish Hedge
+66CC11 Irish Jig
+EEE4E0 Irish Linen
+E7E5DB Irish Mist
+B5C0B3 Irish Moor
+9CA691 Irish Paddock
+90CCA3 Irish Spring
+A38D86 Irish Tea
+9DACB5 Irogon Blue
+433120 Iroko
+5E5E5E Iron
+114B91 Iron Blue
+50676B Iron Creek
+8AA1A6 Iron Earth
+CBCDCD Iron Fist
+5D5B5B Iron Fixture
+6E3B31 Iron Flint
+475A5E Iron Forge
+6F797E Iron Frost
+585A60 Iron Gate
+7C7F7C Iron Grey
+344D56 Iron Head
+D6D1DC Iron Maiden
+757574 Iron Mountain
+E7661E Iron Orange
+AF5B46 Iron Ore
+835949 Iron Oxide
+4D504B Iron River
+114E56 Iron Teal
+6A6B67 Iron-ic
+887F85 Ironbreaker
+A1A6A9 Ironbreaker Metal
+615C55 Ironclad
+7E8082 Ironside
+706E66 Ironside Grey
+865040 Ironstone
+A19583 Ironwood
+DADEE6 Irradiant Iris
+AAFF55 Irradiated Green
+B3446C Irresistible
+E6DDC6 Irresistible Beige
+786C57 Irrigation
+9955FF Irrigo Purple
+EE1122 Irritated Ibis
+0022FF Is It Cold
+9BD8C4 Isabella’s Aqua
+F4F0EC Isabelline
+484450 Ishtar
+009900 Islamic Green
+8ADACF Island Breeze
+D8877A Island Coral
+139BA2 Island Dream
+DED9B4 Island Embrace
+FFB59A Island Girl
+2BAE66 Island Green
+F6E3D6 Island Hopping
+A7C9EB Island Light
+008292 Island Lush
+3FB2A8 Island Moment
+88D9D8 Island Oasis
+ED681F Island Orange
+6C7E71 Island Palm
+81D7D0 Island Sea
+F8EDDB Island Spice
+F2D66C Island Sun
+C3DDEE Island View
+0099C9 Isle of Capri
+BCCCB5 Isle of Dreams
+3E6655 Isle of Pines
+F9DD13 Isle of Sand
+80D7CF Isle Royale
+FFB278 Isn’t It Just Peachy
+494D55 Isolation
+DDFF55 Isotonic Water
+CFDAC3 Issey-San
+AF8A5B It Works
+FFDAE2 It’s a Girl!
+CC7365 It’s My Party
+BC989E It’s Your Mauve
+5F6957 Italian Basil
+6B8C23 Italian Buckthorn
+D79979 Italian Clay
+D0C8E6 Italian Fitch
+413D4B Italian Grape
+E2E0D3 Italian Ice
+EDE9D4 Italian Lace
+93685A Italian Mocha
+807243 Italian Olive
+59354A Italian Plum
+B1403A Italian Red
+221111 Italian Roast
+B2FCFF Italian Sky Blue
+E7D3A1 Italian Straw
+AD5D5D Italian Villa
+D16169 Italiano Rose
+CCE5E8 Ivalo River
+E4CEAC Ivoire
+FFFFF0 Ivory
+C4B8A9 Ivory Brown
+EBD999 Ivory Buff
+FFF6DA Ivory Charm
+FAF5DE Ivory Coast
+D5B89C Ivory Cream
+E7D8BC Ivory Essence
+FCEFD6 Ivory Invitation
+F8F7E6 Ivory Keys
+ECE2CC Ivory Lace
+E6E6D8 Ivory Lashes
+E6DDCD Ivory Memories
+EFEADE Ivory Mist
+F9E4C1 Ivory Oats
+EEEADC Ivory Palace
+E6DECA Ivory Paper
+EFE3CA Ivory Parchment
+D9C9B8 Ivory Ridge
+F0EADA Ivory Steam
+EEE1CC Ivory Stone
+F8EAD8 Ivory Tassel
+FBF3F1 Ivory Tower
+EDEDE4 Ivory Wedding
+277B74 Ivy
+93A272 Ivy Enchantment
+818068 Ivy Garden
+585442 Ivy Green
+007958 Ivy League
+67614F Ivy Topiary
+708D76 Ivy Wreath
+6B6F59 Iwai Brown
+5E5545 Iwaicha Brown
+A59A59 Iyanden Darksun
+CEB0B5 Izmir Pink
+4D426E Izmir Purple
+A06856 J’s Big Heart
+AD6D68 Jabłoński Brown
+536871 Jabłoński Grey
+F9D7EE Jacaranda
+6C70A9 Jacaranda Jazz
+A8ACB7 Jacaranda Light
+C760FF Jacaranda Pink
+440044 Jacarta
+BCACCD Jacey’s Favourite
+920F0E Jack and Coke
+869F69 Jack Bone
+DAE6E3 Jack Frost
+C0B2B1 Jack Rabbit
+FB9902 Jack-O
+D37A51 Jack-O-Lantern
+A9A093 Jackal
+F7C680 Jackfruit
+413628 Jacko Bean
+D19431 Jackpot
+C3BDA9 Jackson Antique
+3D3F7D Jacksons Purple
+D6B281 Jacob’s Ladder
+E4CCB0 Jacobean Lace
+5D4E50 Jacqueline
+007CAC Jacuzzi
+00A86B Jade
+C2D7AD Jade Bracelet
+B0BDA2 Jade Cameo
+59B587 Jade Cream
+6AA193 Jade Dragon
+CEDDDA Jade Dust
+00CED1 Jade Glass
+0ABAB5 Jade Gravel
+779977 Jade Green
+247E81 Jade Jewel
+C1CAB7 Jade Light Green
+9DCA7B Jade Lime
+D6E9D7 Jade Mist
+34C2A7 Jade Mountain
+166A45 Jade Mussel Green
+318F33 Jade of Emeralds
+00AAAA Jade Orchid
+D0EED7 Jade Palace
+2BAF6A Jade Powder
+B8E0D0 Jade Sea
+017B92 Jade Shard
+C1E5D5 Jade Spell
+74BB83 Jade Stone Green
+008F48 Jade Sylph
+BBCCBC Jade Tinge
+0092A1 Jaded
+AEDDD3 Jaded Clouds
+CC7766 Jaded Ginger
+BBD3AD Jaded Lime
+38C6A1 Jadeite
+77A276 Jadesheen
+01A6A0 Jadestone
+61826C Jadite
+E27945 Jaffa
+D87839 Jaffa Orange
+FFCCCB Jagdwurst
+CAE7E2 Jagged Ice
+3F2E4C Jagger
+29292F Jaguar
+F1B3B6 Jaguar Rose
+A43323 Jaipur
+D0417E Jaipur Pink
+EFDDC3 Jakarta
+3D325D Jakarta Skyline
+9A8D3F Jalapeño
+576648 Jalapeño Bouquet
+B5AD70 Jalapeño Jelly
+AC335E Jam Jar
+D4CFD6 Jam Session
+B38B6D Jama Masjid Taupe
+95CBC4 Jamaica Bay
+04627A Jamaican Dream
+64D1BE Jamaican Jade
+26A5BA Jamaican Sea
+F7B572 Jambalaya
+F2E3B5 James Blonde
+E3C2FF Jane Purple
+FF2211 Janemba Red
+CEB5C8 Janey’s Party
+2266CC Janitor
+F4EBD3 Janna
+00A1B9 January Blue
+DFE2E5 January Dawn
+99C1DC January Frost
+7B4141 January Garnet
+DDD6F3 Japan Blush
+829F96 Japanese Bonsai
+9F2832 Japanese Carmine
+C47A88 Japanese Coral
+965036 Japanese Cypress
+B5B94C Japanese Fern
+A8BF93 Japanese Horseradish
+264348 Japanese Indigo
+7F5D3B Japanese Iris
+CC6358 Japanese Kimono
+DB7842 Japanese Koi
+2F7532 Japanese Laurel
+780109 Japanese Maple
+C4BAB7 Japanese Poet
+E4B6C4 Japanese Rose Garden
+313739 Japanese Sable
+53594B Japanese Seaweed
+5B3256 Japanese Violet
+B77B57 Japanese Wax Tree
+EEE6D9 Japanese White
+522C35 Japanese Wineberry
+D8A373 Japanese Yew
+CE7259 Japonica
+BDD0AB Jardin
+C6CAA7 Jardin de Hierbas
+019A74 Jardinière
+53A38F Jargon Jade
+827058 Jarrah
+3C202F Jasmin Beauty
+FFF4BB Jasmine
+F4E8E1 Jasmine Flower
+79C63D Jasmine Green
+7E7468 Jasmine Hollow
+DEE2D9 Jasmine Rice
+D73B3E Jasper
+E7C89F Jasper Cane
+57605A Jasper Green
+DE8F4E Jasper Orange
+4A6558 Jasper Park
+FA2B00 Jasper Red
+8D9E97 Jasper Stone
+8DC36A Jaunty Green
+259797 Java
+50859E Jay Bird
+7994B5 Jay Wing Feathers
+464152 Jazlyn
+5F2C2F Jazz
+3B4A6C Jazz Age Blues
+F1BFB1 Jazz Age Coral
+1A6A9F Jazz Blue
+D48740 Jazz Brass
+9892A8 Jazz Tune
+674247 Jazzberry Jam
+B6E12A Jazzercise
+C31E4E Jazzy
+3A4C88 Jazzy Blue
+55DDCC Jazzy Jade
+771C2B Jazzy Red
+B36B92 Je t’aime
+BB0099 Jealous Jellyfish
+7FAB60 Jealousy
+7B90A2 Jean Jacket Blue
+6D8994 Jeans Indigo
+041108 Jedi Night
+F1E4C8 Jefferson Cream
+44798E Jelly Bean
+EE1177 Jelly Berry
+DE6646 Jelly Slug
+EDE6D9 Jelly Yoghurt
+9B6575 Jellybean Pink
+95CAD0 Jellyfish Blue
+EE6688 Jellyfish Sting
+F6D67F Jemima
+DFB886 Jerboa
+4D8681 Jericho Jade
+F5DEBB Jersey Cream
+25B387 Jess
+216879 Jester Blue
+AC112C Jester Red
+343434 Jet
+353337 Jet Black
+D1EAEC Jet d’Eau
+575654 Jet Fuel
+9D9A9A Jet Grey
+2F3734 Jet Set
+5492AF Jet Ski
+BBD0C9 Jet Stream
+F2EDE2 Jet White
+005D96 Jetski Race
+A6D40D Jeune Citron
+136843 Jewel
+8CC90B Jewel Beetle
+D374D5 Jewel Caterpillar
+3C4173 Jewel Cave
+46A795 Jewel Weed
+CFEEE1 Jewel White
+CED6E6 Jewellery White
+E6DDCA Jewett White
+FFAAFF Jigglypuff
+3D5D64 Jimbaran Bay
+F5D565 Jīn Huáng Gold
+A5A502 Jīn Sè Gold
+8E7618 Jīn Zōng Gold
+EE827C Jinza Safflower
+F7665A Jinzamomi Pink
+BAC08A Jitterbug
+019D6E Jitterbug Jade
+8DB0AD Jitterbug Lure
+77EEBB Jittery Jade
+005B7A Job’s Tears
+77CC99 Jocose Jade
+CCE2CA Jocular Green
+9BD7E9 Jodhpur Blue
+DAD1C8 Jodhpur Tan
+EBDCB6 Jodhpurs
+433F39 Joesmithite
+C0B9A9 Jogging Path
+EEFF22 John Lemon
+BC86AF Joie de Vivre
+D9BD7D Jojoba
+EA5505 Jokaero Orange
+D70141 Joker’s Smile
+B2C1C2 Jolene
+5E774A Jolly Green
+77CCBB Jolly Jade
+82C785 Jolt of Green
+4ABCA0 Jolt of Jade
+EEF293 Jonquil
+F7D395 Jonquil Trail
+037A3B Jordan Jazz
+7AAAE0 Jordy Blue
+D3C3BE Josephine
+7FB377 Joshua Tree
+E6D3B2 Journal White
+016584 Journey Into Night
+CDECED Journey to the Sky
+BAC9D4 Journey’s End
+55AAFF Joust Blue
+EEB9A7 Jovial
+88DDAA Jovial Jade
+F6EEC0 Joyful
+E4D4E2 Joyful Lilac
+FA9335 Joyful Orange
+EBADA5 Joyful Poppy
+503136 Joyful Ruby
+006669 Joyful Tears
+FFEEB0 Joyous
+AE2719 Joyous Red
+F9900F Jú Huáng Tangerine
+4B373C Jube
+78CF86 Jube Green
+44AA77 Jubilant Jade
+7BB92B Jubilant Meadow
+FBDD24 Jubilation
+7E6099 Jubilee
+7C7379 Jubilee Grey
+473739 Judah Silk
+5D5346 Judge Grey
+C3C8B3 Jugendstil Green
+9D6375 Jugendstil Pink
+5F9B9C Jugendstil Turquoise
+255367 Juggernaut
+442238 Juice Violet
+D9787C Juicy Details
+7D6C4A Juicy Fig
+EEDD33 Juicy Jackfruit
+B1CF5D Juicy Lime
+FFD08D Juicy Mango
+F18870 Juicy Passionfruit
+D99290 Juicy Peach
+57AA80 Julep
+C7DBD9 Julep Green
+A73940 Jules
+A5BEC8 Juliet Blue
+8BD2E3 July
+773B4A July Ruby
+878785 Jumbo
+887636 Jumping Juniper
+9BC4D4 June
+BDDA57 June Bud
+264A48 June Bug
+FFE182 June Day
+416858 June Ivy
+F1F1DA June Vision
+775496 Juneberry
+00A466 Jungle
+446D46 Jungle Adventure
+654F2D Jungle Beat
+366C4E Jungle Book Green
+53665A Jungle Camouflage
+69673A Jungle Civilization
+686959 Jungle Cloak
+565042 Jungle Cover
+B49356 Jungle Expedition
+048243 Jungle Green
+115511 Jungle Jam
+58A64B Jungle Jewels
+A4C161 Jungle Juice
+C7BEA7 Jungle Khaki
+4F4D32 Jungle King
+727736 Jungle Look
+B0C4C4 Jungle Mist
+BDC3AC Jungle Moss
+36716F Jungle Noises
+938326 Jungle Palm
+6D6F42 Jungle Trail
+65801D Jungle Vibes
+74918E Juniper
+798884 Juniper Ash
+547174 Juniper Berries
+B9B3C2 Juniper Berry
+3F626E Juniper Berry Blue
+D9E0D8 Juniper Breeze
+567F69 Juniper Green
+C4D3C5 Juniper Mist
+6B8B75 Juniper Oil
+FBECD3 Junket
+998778 Junkrat
+E1E1E2 Jupiter
+AC8181 Jupiter Brown
+E6A351 Jurassic Gold
+0D601C Jurassic Moss
+3C663E Jurassic Park
+6C5D97 Just a Fairytale
+DBE0D6 Just a Little
+FBD6D2 Just a Tease
+E2E7D3 Just About Green
+E8E8E0 Just About White
+FAB4A4 Just Blush
+FFBA45 Just Ducky
+D6C4C1 Just Gorgeous
+F8C275 Just Peachy
+EAECD3 Just Perfect
+FFEBEE Just Pink Enough
+DCBFAC Just Right
+C4A295 Just Rosey
+606B8E Justice
+AD9773 Jute
+815D40 Jute Brown
+8ABBD0 Juvie
+A1D5F1 Juzcar Blue
+736354 Kā Fēi Sè Brown
+B14A30 Kabacha Brown
+038C67 Kabalite Green
+044A05 Kabocha Green
+A73A3E Kabuki
+F0DEC1 Kabuki Clay
+6C5E53 Kabul
+E94B7E Kacey’s Pink
+393E4F Kachi Indigo
+816D5A Kaffee
+B7BFB0 Kahili
+BAB099 Kahlua Milk
+0093D6 Kahu Blue
+EED484 Kaiser Cheese
+245336 Kaitoke Green
+7D806E Kakadu Trail
+298256 Kākāriki Green
+3E62AD Kakitsubata Blue
+201819 Kālā Black
+46444C Kala Namak
+9F5440 Kalahari Sunset
+6A6555 Kalamata
+648251 Kale
+4F6A56 Kale Green
+8DA8BE Kaleidoscope
+00505A Kali Blue
+552288 Kalish Violet
+B59808 Kalliene Yellow
+0FFEF9 Kaltes Klares Wasser
+C6C2B6 Kamenozoki Grey
+CCA483 Kamut
+DD8833 Kanafeh
+2D8284 Kandinsky Turquoise
+C5C3B0 Kangaroo
+C4AD92 Kangaroo Fur
+DECAC5 Kangaroo Paw
+BDA289 Kangaroo Pouch
+E4D7CE Kangaroo Tan
+FEE7CB Kansas Grain
+001146 Kantor Blue
+FF8936 Kanzō Orange
+AD7D40 Kaolin
+C5DED1 Kappa Green
+783C1D Kara Cha Brown
+B35C44 Karacha Red
+BB9662 Karak Stone
+2D2D24 Karaka
+F04925 Karaka Orange
+C91F37 Karakurenai Red
+2196F3 Karimun Blue
+6E7955 Kariyasu Green
+B2A484 Karma
+9F78A9 Karma Chameleon
+545F8A Karmic Grape
+FEDCC1 Karry
+6F8D6A Kashmir
+576D8E Kashmir Blue
+E9C8C3 Kashmir Pink
+F3DFD5 Kasugai Peach
+8FA099 Kathleen’s Garden
+AD9A5D Kathmandu
+C9E3CC Katsura
+AA0077 Katy Berry
+66BC91 Katydid
+5AC7AC Kauai
+EAABBC Kawaii
+FEC50C Kazakhstan Yellow
+D49595 Keel Joy
+A49463 Keemun
+226600 Keen Green
+C0CED6 Keepsake
+B899A2 Keepsake Lilac
+B08693 Keepsake Rose
+0000BC Keese Blue
+D5D5CE Kefir
+02AB2E Kelley Green
+DEC7CF Kellie Belle
+339C5E Kelly Green
+BABD6C Kelly’s Flower
+4D503C Kelp
+716246 Kelp Brown
+448811 Kelp Forest
+0092AE Kelp’thar Forest Blue
+437B48 Kemp Kelly
+EC2C25 Ken Masters Red
+547867 Kendal Green
+F7CCCD Kendall Rose
+D45871 Kenny’s Kiss
+543F32 Kenpō Brown
+2E211B Kenpōzome Black
+6395BF Kentucky
+A5B3CC Kentucky Blue
+22AABB Kentucky Bluegrass
+CCA179 Kenya
+6C322E Kenyan Copper
+BB8800 Kenyan Sand
+5FB69C Keppel
+5CB200 Kermit Green
+ECB976 Kernel
+FFB210 Kernel of Truth
+B57281 Kerr’s Pink Potato
+524E4D Keshizumi Cinder
+E0D6C8 Kestrel White
+9A382D Ketchup
+A91C1C Ketchup Later
+141314 Kettle Black
+F6E2BD Kettle Corn
+9BCB96 Kettle Drum
+606061 Kettleman
+ECD1A5 Key Keeper
+7FB6A4 Key Largo
+AEFF6E Key Lime
+BFC921 Key Lime Pie
+E8F48C Key Lime Water
+BB9B7C Key to the City
+759FC1 Key West Zenith
+D5AF91 Key Wester
+B39372 Keystone
+B6BBB2 Keystone Grey
+9E9284 Keystone Taupe
+C3B091 Khaki
+954E2A Khaki Brown
+FBE4AF Khaki Core
+728639 Khaki Green
+D4C5AC Khaki Shade
+C9BEAA Khaki Shell
+B16840 Khardic
+76664C Khemri Brown
+EE5555 Khmer Curry
+6A0001 Khorne Red
+7777CC Kickstart Purple
+B6AEAE Kid Gloves
+A81000 Kid Icarus
+ED8732 Kid’s Stuff
+BFC0AB Kidnapper
+FEF263 Kihada Yellow
+2E4EBF Kikorangi Blue
+E29C45 Kikuchiba Gold
+5D3F6A Kikyō Purple
+843D38 Kilauea Lava
+D7C5AE Kilim Beige
+3A3532 Kilimanjaro
+498555 Kilkenny
+49764F Killarney
+C9D2D1 Killer Fog
+C6BEA9 Kiln Clay
+A89887 Kiln Dried
+386B7D Kimberley Sea
+B8C1B1 Kimberley Tree
+696FA5 Kimberlite
+695D87 Kimberly
+ED4B00 Kimchi
+896C39 Kimirucha Brown
+6D86B6 Kimono
+3D4C51 Kimono Grey
+75769B Kimono Violet
+F39800 Kin Gold
+C66B27 Kincha Brown
+AAC2B3 Kind Green
+FF1DCE Kind Magenta
+B8BFCA Kinder
+A09174 Kinderhook Clay
+E9967A Kindleflame
+7A7068 Kindling
+D4B2C0 Kindness
+71A2D4 Kindred
+254D6A Kinetic Blue
+64CDBE Kinetic Teal
+5F686F King Creek Falls
+C64A4A King Crimson
+757166 King Fischer
+AA9977 King Ghidorah
+161410 King Kong
+ADD900 King Lime
+77DD22 King Lizard
+FFB800 King Nacho
+7794C0 King Neptune
+C6DCE7 King of Waves
+D88668 King Salmon
+86B394 King Theo
+2A7279 King Tide
+3C85BE King Triton
+C48692 King’s Cloak
+706D5E King’s Court
+F2E887 King’s Field
+B3107A King’s Plum Pie
+B59D77 King’s Ransom
+6274AB King’s Robe
+D1A436 Kingdom Gold
+E9CFB7 Kingdom’s Keys
+3A5760 Kingfisher
+006491 Kingfisher Blue
+096872 Kingfisher Bright
+583580 Kingfisher Daisy
+7E969F Kingfisher Grey
+007FA2 Kingfisher Sheen
+7AB6B6 Kingfisher Turquoise
+DEDEDE Kingly Cloud
+DE9930 Kingpin Gold
+2D8297 Kings of Sea
+EAD665 Kings Yellow
+D4DCD3 Kingston
+8FBCC4 Kingston Aqua
+BB00BB Kinky Koala
+EE55CC Kinky Pinky
+7F7793 Kinlock
+7D4E2D Kinsusutake Brown
+B45877 Kir Royale Rose
+D74894 Kirby
+5C6116 Kirchner Green
+C5C5D3 Kiri Mist
+8B352D Kiriume Red
+B2132B Kirsch
+974953 Kirsch Red
+EFCDCB Kislev Pink
+A18AB7 Kismet
+D28CA7 Kiss
+BEC187 Kiss a Frog
+D86773 Kiss and Tell
+AA854A Kiss Candy
+E5C8D9 Kiss Good Night
+E7EEEC Kiss Me Kate
+DE6B86 Kiss Me More
+8A0009 Kiss of a Vampire
+EAE2AC Kiss of Lime
+BDCFB2 Kiss of Mint
+DC331A Kiss of the Scorpion
+FD8F79 Kissable
+B15363 Kissed by a Zombies
+FCCCF5 Kissed by Mist
+FF66BB Kisses
+FF6677 Kisses and Hugs
+8AB5BD Kitchen Blue
+C0816E Kitchen Terra Cotta
+95483F Kite Brown
+D0C8B0 Kitsilano Cookie
+BB8141 Kitsurubami Brown
+D3C7BC Kitten
+8AADF7 Kitten’s Eye
+DAA89B Kitten’s Paw
+CCCCBB Kittiwake Gull
+C7BDB3 Kitty Kitty
+B7B5B1 Kitty Whiskers
+749E4E Kiwi
+7BC027 Kiwi Crush
+8EE53F Kiwi Green
+E5E7A7 Kiwi Ice Cream
+EEF9C1 Kiwi Kiss
+9CEF43 Kiwi Pulp
+DEE8BE Kiwi Sorbet
+D1EDCD Kiwi Squeeze
+909495 Kiwikiwi Grey
+2987C7 Klaxosaur Blue
+3FA282 Klimt Green
+95896C Knapsack
+4B5B40 Knarloc Green
+926CAC Knight Elf
+0F0707 Knight Rider
+5C5D5D Knight’s Armour
+AA91AE Knight’s Tale
+3C3F52 Knighthood
+EDCC99 Knightley Straw
+403C39 Knights of the Desert
+C2CCC7 Knightsbridge Mist
+6D6C5F Knit Cardigan
+C3C1BC Knitting Needles
+9F9B84 Knock on Wood
+C42B2D Knockout
+E16F3E Knockout Orange
+FF399C Knockout Pink
+988266 Knot
+837F67 Knotweed
+B9ACA0 Koala
+BDB7A3 Koala Bear
+DB5A6B Kōbai Red
+882D17 Kobe
+E093AB Kobi
+6B4423 Kobicha
+F0D2CF Kobold Pink
+00AA22 Kobra Khan
+E8F5FC Kodama White
+E97551 Koeksister
+883322 Kofta Brown
+773644 Köfte Brown
+E5B321 Kogane Gold
+CA6924 Kohaku Amber
+C0B76C Kohlrabi
+D9D9B1 Kohlrabi Green
+D2663B Koi
+797F63 Koi Pond
+F6AD49 Koji Orange
+8B7D3A Koke Moss
+7B3B3A Kokiake Brown
+3A243B Kokimurasaki Purple
+7B785A Kokoda
+171412 Kokushoku Black
+00477A Kolibri Blue
+7B8D42 Komatsuna Green
+7E726D Kombu
+3A4032 Kombu Green
+D89F66 Kombucha
+9D907E Kommando Khaki
+A06814 Komodo
+B38052 Komodo Dragon
+BBC5B2 Komorebi
+192236 Kon
+574B50 Kona
+003171 Konjō Blue
+191F45 Konkikyō Blue
+58D854 Koopa Green Shell
+833D3E Kopi Luwak
+203838 Kōrainando Green
+F2D1C3 Koral Kicks
+5D7D61 Korean Mint
+8D4512 Korichnewyi Brown
+D7E9C8 Korila
+804E2C Korma
+FEB552 Koromiko
+592B1F Kōrozen
+888877 Kosher Khaki
+F9D054 Kournikova
+E1B029 Kōwhai Yellow
+E1D956 Kowloon
+D5B59C Kraft Paper
+CD48A9 Krameria
+EB2E28 Krasnyi Red
+633639 Kremlin Red
+C0BD81 Krieg Khaki
+01ABFD Krishna Blue
+EA27C2 Kriss Me Not Fuchsia
+B8C0C3 Krypton
+83890E Krypton Green
+439946 Kryptonite Green
+512888 KSU Purple
+E8000D KU Crimson
+FFDB4F Kuchinashi Yellow
+87D3F8 Kul Sharif Blue
+886221 Kumera
+FB9942 Kumquat
+D2CCDA Kundalini Bliss
+643B42 Kung Fu
+DDB6C6 Kunzite
+D7003A Kurenai Red
+001122 Kuretake Black Manga
+554738 Kuri Black
+583822 Kuro Brown
+1B2B1B Kuro Green
+23191E Kurobeni
+14151D Kuroi Black
+9F7462 Kurumizome Brown
+5789A5 Kuta Surf
+55295B Kuwanomi Purple
+59292C Kuwazome Red
+C7610F Kvass
+1560FB Kyanite
+E8530F Kyawthuite
+9D5B8B Kyo Purple
+BEE3EA Kyoto
+503000 Kyoto House
+DFD6D1 Kyoto Pearl
+4B5D16 Kyuri Green
+7A7A60 La Grange
+FC2647 Là Jiāo Hóng Red
+A3498A La la Lavender
+BF90BB La la Love
+FFFFE5 La Luna
+FDDFA0 La Luna Amarilla
+F5E5DC La Minute
+428929 La Palma
+C1E5EA La Paz Siesta
+577E88 La Pineta
+BAC00E La Rioja
+087830 La Salle Green
+EA936E La Terra
+EECCDD LA Vibes
+C4A703 La Vida
+D2A5A3 La Vie en Rose
+C3B1BE La-De-Dah
+F2ECD9 Labrador
+D6C575 Labrador’s Locks
+657B83 Labradorite
+547D80 Labradorite Green
+C9A487 Labyrinth Walk
+EBEAED Lace Cap
+ECEBEA Lace Veil
+C2BBC0 Lace Wisteria
+CCEE99 Laced Green
+D7E3CA Lacewing
+CAAEAB Lacey
+1B322C Lacquer Green
+F0CFE1 Lacquer Mauve
+383838 Lacquered Liquorice
+2E5C58 Lacrosse
+19504C Lacustral
+A78490 Lacy Mist
+FF8E13 Laddu Orange
+D9DED8 Ladoga Bottom
+FDE2DE Lady Anne
+FDE5A7 Lady Banksia
+8FA174 Lady Fern
+CCBBC0 Lady Fingers
+D0A4AE Lady Flower
+CAA09E Lady Guinevere
+B34B47 Lady in Red
+47613C Lady Luck
+D6D6CD Lady Nicole
+05498B Lady of the Night
+0000CC Lady of the Sea
+AEDCEC Lady-In-Waiting
+C99BB0 Lady’s Cushions Pink
+E3E3EA Lady’s Slipper
+BD474E Ladybug
+FFC3BF Ladylike
+F5C8DD Laelia Pink
+F6F513 Lager
+1FB4C3 Lago Blue
+4B9B93 Lagoon
+EAEDEE Lagoon Mirror
+8B7E64 Lagoon Moss
+A9B9BB Lagoon Reflection
+43BCBE Lagoon Rock
+76C6D3 Lagoona Teal
+36A5C9 Laguna
+E9D7C0 Laguna Beach
+5A7490 Laguna Blue
+01B1AF Laguna Green
+5F5855 Lahar
+E2DAD1 Lahmian Medium
+FFF80A Lahn Yellow
+B3AFA7 Laid Back Grey
+819EA1 Laid-Back Blue
+79853C Laird
+A6D3E6 Laissez-Faire
+92CDCC Lake
+155084 Lake Baikal
+009EAF Lake Blue
+D9CFB5 Lake Bluff Putty
+AED4D2 Lake Breeze
+96B4B1 Lake Forest
+2E8B57 Lake Green
+4181A6 Lake Henry
+689DB7 Lake Lucerne
+83A0B4 Lake Okoboji
+AEB9BC Lake Placid
+B74A70 Lake Red
+9DD8DB Lake Reflection
+EE55EE Lake Retba Pink
+3E6B83 Lake Stream
+34B1B2 Lake Tahoe Turquoise
+44BBDD Lake Thun
+2E4967 Lake View
+86ABA5 Lake Water
+80A1B0 Lake Winnipeg
+8B9CA5 Lakefront
+306F73 Lakelike
+5B96A2 Lakeshore
+ADB8C0 Lakeside
+B7D1D1 Lakeside Find
+D7EEEF Lakeside Mist
+566552 Lakeside Pine
+6C849B Lakeville
+E6BF95 Laksa
+D85525 Lāl Red
+E0BB95 Lama
+82502C Lamb Chop
+C8CCBC Lamb’s Ears
+FFFFE3 Lamb’s Wool
+3B5B92 Lambent Lagoon
+EBDCCA Lambskin
+BAD0D5 Lament Blue
+FFFEB6 Lamenters Yellow
+3AFDDB Lamiaceae
+BBD9BC Lamina
+948C7E Laminated Wood
+4A4F55 Lamp Post
+FFD140 Lamplight
+E4AF65 Lamplit
+805557 Lampoon
+4D4DFF Lán Sè Blue
+97DDD4 Land Ahoy!
+BFBEAD Land Before Time
+DFCAAA Land Light
+EDABE6 Land of Dreams
+A99B88 Land of Nod
+E0D5B9 Land of Trees
+C9BBA1 Land Rush Bone
+EEE1D9 Landing
+AF403C Landjäger
+746854 Landmark
+756657 Landmark Brown
+C1CFA9 Landscape
+B5AB9A Langdon Dove
+DC5226 Langoustine
+CA6C56 Langoustino
+A4B7BD Languid Blue
+D6CADD Languid Lavender
+D9C948 Lanky Lemon
+CD0101 Lannister Red
+D87273 Lantana
+D7ECCD Lantana Lime
+EFDDB8 Lantern
+FFD97D Lantern Gold
+F6EBB9 Lantern Light
+C09972 Lanyard
+A6927F Lap Dog
+515366 Lap of Luxury
+98BBB7 Lap Pool Blue
+00508D Lapis Blue
+165D95 Lapis Jewel
+26619C Lapis Lazuli
+215F96 Lapis Lazuli Blue
+1F22D2 Lapis on Neptune
+7A7562 Lapwing Grey Green
+DFC6AA Larb Gai
+FFAA77 Larch Bolete
+70BAA7 Larchmere
+D79A74 Laredo
+C7994F Laredo Road
+E4E2D6 Large Wild Convolvulus
+551F2F Largest Black Slug
+1D78AB Larimar Blue
+93D3BC Larimar Green
+B89B72 Lark
+8AC1A1 Lark Green
+C4CED1 Lark Wing
+3C7D90 Larkspur
+20AEB1 Larkspur Blue
+798BBD Larkspur Bouquet
+B7C0EA Larkspur Bud
+928AAE Larkspur Violet
+C6DA36 Las Palmas
+C6A95E Laser
+FFFF66 Laser Lemon
+FF3F6A Laser Trap
+475F94 Last Light Blue
+AADD66 Last of Lettuce
+CBBBCD Last of the Lilacs
+E3DBCD Last Straw
+E5B73B Last Sunlight
+D30F3F Last Warning
+B36663 Lasting Impression
+88FF00 Lasting Lime
+D4E6B1 Lasting Thoughts
+F8AB33 Late Afternoon
+DB8959 Late Bloomer
+F2E08E Late Day Sun
+3B2932 Late Night Out
+008A51 Later Gator
+3B9C98 Latigo Bay
+292E44 Latin Charm
+C5A582 Latte
+F3F0E8 Latte Froth
+E8E7E6 Latteo
+CECEC6 Lattice
+6F9843 Lattice Green
+B9E1C2 Lattice Work
+8CBF6F Laudable Lime
+C9C3D2 Laughing Jack
+F0E5A4 Laughing Liam
+F49807 Laughing Orange
+C0E7EB Launderette Blue
+A2ADB3 Laundry Blue
+F6F7F1 Laundry White
+A6979A Laura
+800008 Laura Potato
+6E8D71 Laurel
+68705C Laurel Garland
+A9BA9D Laurel Green
+AAACA2 Laurel Grey
+969B8B Laurel Leaf
+ACB5A1 Laurel Mist
+55403E Laurel Nut Brown
+918C7E Laurel Oak
+F7E1DC Laurel Pink
+889779 Laurel Tree
+44493D Laurel Woods
+52A786 Laurel Wreath
+EFEAE7 Lauren’s Lace
+D5E5E7 Lauren’s Surprise
+868172 Lauriston Stone
+F3C64A Lauwiliwilinukunuku’oi’oi
+CF1020 Lava
+352F36 Lava Black
+5A4239 Lava Cake
+764031 Lava Core
+DBD0CE Lava Geyser
+5E686D Lava Grey
+EB7135 Lava Lamp
+E5530E Lava Nectar
+E46F34 Lava Pit
+535E64 Lava Rock
+D04014 Lava Smoothie
+3C4151 Lava Stone
+AF9894 Lavenbrun
+8F818B Lavendaire
+E9EBEE Lavendar Wisp
+B56EDC Lavender
+9998A7 Lavender Ash
+9F99AA Lavender Aura
+E5D9DA Lavender Bikini
+B68FC3 Lavender Blaze
+D3B8C5 Lavender Blessing
+CEC3DD Lavender Bliss
+B57EDC Lavender Blossom
+CCCCFF Lavender Blue
+8B88F8 Lavender Blue Shadow
+FFF0F5 Lavender Blush
+9994C0 Lavender Bonnet
+C7C2D0 Lavender Bouquet
+E4E1E3 Lavender Breeze
+FCB4D5 Lavender Candy
+B8ABB1 Lavender Cloud
+C79FEF Lavender Cream
+956D9A Lavender Crystal
+B4AECC Lavender Dream
+C4C3D0 Lavender Dust
+AF92BD Lavender Earl
+9D9399 Lavender Elan
+786C75 Lavender Elegance
+C0C3D7 Lavender Escape
+DFDAD9 Lavender Essence
+CAADD8 Lavender Field Dreamer
+C5B5CC Lavender Fog
+DDBBFF Lavender Fragrance
+BDABBE Lavender Frost
+BDBBD7 Lavender Grey
+D3D0DD Lavender Haze
+AD88A4 Lavender Herb
+C0C2D2 Lavender Honour
+A99BA7 Lavender Illusion
+9457EB Lavender Indigo
+D3B0CE Lavender Knoll
+DFDDE0 Lavender Lace
+A198A2 Lavender Lake
+8C9180 Lavender Leaf Green
+A5969C Lavender Lily
+8C9CC1 Lavender Lustre
+EE82ED Lavender Magenta
+687698 Lavender Mauve
+D3D3E2 Lavender Memory
+E5E5FA Lavender Mist
+F2DDE3 Lavender Moon
+67636E Lavender Moor
+857E86 Lavender Mosaic
+C0C0CA Lavender Oil
+EDE5E8 Lavender Pearl
+CB82E3 Lavender Perceptions
+A6BADF Lavender Phlox
+C5B9D3 Lavender Pillow
+E9E2E5 Lavender Pizzazz
+E9D2EF Lavender Princess
+967BB6 Lavender Purple
+BD88AB Lavender Quartz
+FBA0E3 Lavender Rose
+BEC2DA Lavender Sachet
+C3B7BF Lavender Sand
+EEDDFF Lavender Savour
+BFACB1 Lavender Scent
+DBD7F2 Lavender Sky
+F1BFE2 Lavender Soap
+CFCEDC Lavender Sparkle
+9392AD Lavender Spectacle
+C6CBDB Lavender Steel
+B4A5A0 Lavender Suede
+BD83BE Lavender Sweater
+E6E6F1 Lavender Syrup
+D783FF Lavender Tea
+CCBBFF Lavender Tonic
+C8C1C9 Lavender Vapour
+D9BBD3 Lavender Veil
+767BA5 Lavender Violet
+E3D7E5 Lavender Vista
+AAB0D4 Lavender Wash
+D2C9DF Lavender Water
+B86FC2 Lavendless
+BCA4CB Lavendula
+A38154 Lavish Gold
+7ED0B7 Lavish Green
+C2AEC3 Lavish Lavender
+F9EFCA Lavish Lemon
+B0C175 Lavish Lime
+8469BC Lavish Spending
+4DA409 Lawn Green
+5EB56A Lawn Party
+5C7186 Layers of Ocean
+AB9BA5 Laylock
+174C60 Lazurite Blue
+97928B Lazy Afternoon
+E2E5C7 Lazy Caterpillar
+F6EBA1 Lazy Daisy
+95AED1 Lazy Day
+BEC1C3 Lazy Grey
+A3A0B3 Lazy Lavender
+6E6E5C Lazy Lichen
+9C9C4B Lazy Lizard
+CC0011 Lazy Shell Red
+FEF3C3 Lazy Summer Day
+FEC784 Lazy Sun
+CAD3E7 Lazy Sunday
+E4CB6B Le Bon Dijon
+BF4E46 Le Corbusier Crush
+244E94 Le Grand Bleu
+5E6869 Le Luxe
+85B2A1 Le Max
+212121 Lead
+6C809C Lead Cast
+FFFAE5 Lead Glass
+8A7963 Lead Grey
+99AABB Lead Ore
+CACACB Leadbelcher
+888D8F Leadbelcher Metal
+71AA34 Leaf
+EFF19D Leaf Bud
+E1D38E Leaf Print
+6CB506 Leaf Sheep
+E9D79E Leaf Yellow
+8B987B Leaflet
+679B6A Leafy
+AACC11 Leafy Canopy
+80BB66 Leafy Greens
+C0F000 Leafy Lemon
+7D8574 Leafy Lichen
+08690E Leafy Lush
+8D9679 Leafy Rise
+B6C406 Leafy Seadragon
+AABB11 Leafy Woodland
+A0B7A8 Leamington Spa
+C4D3E3 Leap of Faith
+41A94F Leapfrog
+447A66 Leaping Lizard
+6F803B Leaps and Bounds
+ABC123 Learning Green
+906A54 Leather
+76563E Leather & Lace
+916E52 Leather Bound
+97502B Leather Brown
+A3754C Leather Chair
+744E42 Leather Clutch
+867354 Leather Loafers
+7C4F3A Leather Satchel
+A48454 Leather Tan
+8A6347 Leather Work
+3C341F Lebanon Cedar
+3C351F LeChuck’s Beard
+0066A3 LED Blue
+D8CB32 LED Green
+98D98E Leek
+BCA3B8 Leek Blossom Pink
+979C84 Leek Green
+B7B17A Leek Powder
+7A9C58 Leek Soup
+CEDCCA Leek White
+F5C71A Leery Lemon
+4C2226 Lees
+699CAB Left Bank Blue
+FF0303 Left on Red
+5E5A67 Legacy
+9EC9E2 Legacy Blue
+6D758F Legal Eagle
+6F434A Legal Ribbon
+C6BAAF Legendary
+787976 Legendary Grey
+9D61D4 Legendary Lavender
+AD969D Legendary Lilac
+4E4E63 Legendary Purple
+7F8384 Legendary Sword
+245A6A Legion Blue
+D87B6A Lei Flower
+C19634 Leisure
+6A8EA1 Leisure Blue
+438261 Leisure Green
+758C8F Leisure Time
+FFF700 Lemon
+EFE4AE Lemon Appeal
+E5D9B6 Lemon Balm
+005228 Lemon Balm Green
+CEA02F Lemon Bar
+FCECAD Lemon Blast
+FCEBBF Lemon Bubble
+FEF59F Lemon Bundt Cake
+FED67E Lemon Burst
+FCE99F Lemon Butter
+F7DE9D Lemon Caipirinha
+FAE8AB Lemon Candy
+FFFACD Lemon Chiffon
+FFF7C4 Lemon Chiffon Pie
+FAAE00 Lemon Chrome
+FEE193 Lemon Cream
+FFEE11 Lemon Curd
+CDA323 Lemon Curry
+FCE699 Lemon Delicious
+EEA300 Lemon Dream
+FEE483 Lemon Drizzle
+FFE49D Lemon Drops
+F4EFDE Lemon Edge
+E2AE4D Lemon Essence
+D4D292 Lemon Fennel
+F9E4A6 Lemon Filling
+F0E891 Lemon Flesh
+96FBC4 Lemon Gate
+F8EC9E Lemon Gelato
+968428 Lemon Ginger
+FDFF00 Lemon Glacier
+ADF802 Lemon Green
+F6EBC8 Lemon Icing
+FFFFEC Lemon Juice
+FAF4D9 Lemon Lily
+BFFE28 Lemon Lime
+CBBA61 Lemon Lime Mojito
+F6E199 Lemon Meringue
+F9F1DB Lemon Pearl
+FFED80 Lemon Peel
+EBECA7 Lemon Pepper
+F1FF62 Lemon Pie
+E1AE58 Lemon Poppy
+FAF2D1 Lemon Popsicle
+FFDD93 Lemon Pound Cake
+FECF24 Lemon Punch
+FBE9AC Lemon Rose
+FAF0CF Lemon Sachet
+F1FFA8 Lemon Sherbet
+FFFBA8 Lemon Slice
+FFFCC4 Lemon Soap
+FFFAC0 Lemon Sorbet
+DCC68E Lemon Sorbet Yellow
+FFE8AD Lemon Souffle
+F9F6DE Lemon Splash
+F7F0E1 Lemon Sponge Cake
+FBF7E0 Lemon Stick
+F0F6DD Lemon Sugar
+E1BC5C Lemon Surprise
+FFDD66 Lemon Tart
+E4CF86 Lemon Thyme
+FCF3CB Lemon Tint
+EFEFB2 Lemon Tonic
+FED95D Lemon Twist
+F2ED6B Lemon Verbena
+FFE6BA Lemon Whip
+FFB10D Lemon Whisper
+FBF6E0 Lemon White
+F9D857 Lemon Zest
+EFE499 Lemonade
+F2CA3B Lemonade Stand
+999A86 Lemongrass
+F9F3D7 Lemonwood Place
+695F4F Lemur
+BFB9D4 Lemures
+CEE2E2 Lens Flare Blue
+B0FF9D Lens Flare Green
+E4CBFF Lens Flare Pink
+6FB5A8 Lenticular Ore
+DCC8B0 Lentil
+A09548 Lentil Sprout
+BA93D8 Lenurple
+E042D5 Leo Royal Fuchsia
+D09800 Leopard
+29906D Leprechaun
+395549 Leprechaun Green
+8CC37D Leprechaun Laugh
+D99631 Leprous Brown
+D0A000 Lepton Gold
+71635A Leroy
+0F63B3 Les Cavaliers Beach
+E59D7B Les Demoiselles d’Avignon
+756761 Less Brown
+5D6957 Less Traveled
+AFD1C4 Lester
+B6B8BD Let It Rain
+CFAE74 Let It Ring
+D8F1F4 Let It Snow
+88FF11 Lethal Lime
+95BE76 Leticiaz
+8F8F8B Letter Grey
+B8860B Letter Jacket
+CEDDA2 Lettuce Alone
+B9D087 Lettuce Green
+92A772 Lettuce Mound
+F2F1ED Leukocyte White
+E8E8E9 Leukophobia
+E4090B Level !
+468741 Level Up
+EDCDC2 Leverkaas
+8B2A98 Leviathan Purple
+CEA269 Lewis Gold
+F8F1D3 Lewisburg Lemon
+675A49 Lewisham
+00E436 Lexaloffle Green
+7D9294 Lexington Blue
+8C3F52 Liaison
+F075E6 Lián Hóng Lotus Pink
+CCB8D2 Liberace
+9955BB Liberal Lilac
+0C4792 Liberalist
+D8DDCC Liberated Lime
+E8C447 Liberator Gold
+EFE2DB Liberia
+514B98 Liberty
+696B6D Liberty Bell Grey
+0E1531 Liberty Blue
+16A74E Liberty Green
+AFBFC9 Liberty Grey
+4CD5FF Libra Blue Morpho
+E6C19F Library Card
+68554E Library Leather
+8F7459 Library Oak
+7F7263 Library Pewter
+5B3530 Library Red
+A9A694 Lich Grey
+730061 Liche Purple
+8EBAA6 Lichen
+5D89B3 Lichen Blue
+DDE7AE Lichen Gold
+9DA693 Lichen Green
+697056 Lichen Moss
+EE5577 Lick and Kiss
+A6CC72 Lick of Lime
+B4496C Lickedy Lick
+C3D997 Lickety Split
+C99C59 Liddell
+019294 Lido Deck
+92B498 Liebermann Green
+FDFF38 Liechtenstein Yellow
+A2B0A8 Life Aquatic
+AFC9DC Life at Sea
+6FB7E0 Life Force
+E5CDBE Life Is a Peach
+E19B42 Life Is Good
+C5CABE Life Lesson
+81B6BC Lifeboat Blue
+E50000 Lifeguard
+00DEAD Lifeless Green
+E6D699 Lifeless Planet
+990033 Lifeline
+CDD6C2 Ligado
+C3C5C5 Light Aluminium
+ED9A76 Light Amber Orange
+D4D3E0 Light Amourette
+FFD5A1 Light and Fluffy
+DAD4E4 Light Angel Kiss
+C9D4E1 Light Angora Blue
+F2DAD6 Light Apricot
+DECFD2 Light Aroma
+C2A487 Light Ash Brown
+DAC6A1 Light Bamboo
+DED0D8 Light Bassinet
+ABD5DC Light Bathing
+E5DECA Light Beige
+9DB567 Light Birch Green
+D5D4D0 Light Bleaches
+E8D3AF Light Blond
+ECDDD6 Light Blossom Time
+ADD8E6 Light Blue
+D2D3E1 Light Blue Cloud
+A8D3E1 Light Blue Glint
+B7C9E2 Light Blue Grey
+C6DDE4 Light Blue Sloth
+C0D8EB Light Blue Veil
+A4DBE4 Light Bluish Water
+E9C4CC Light Blush
+ADD2E3 Light Bobby Blue
+CFE0F2 Light Breeze
+94D0E9 Light Bright Spark
+BC9468 Light Bronzer
+B5651D Light Brown
+B08699 Light Brown Drab
+D6D5D2 Light Brume
+9ED6E8 Light Budgie Blue
+DECED1 Light Bunny Soft
+C6D4E1 Light Cameo Blue
+C9D2DF Light Candela
+8BD4C3 Light Capri Green
+A38A83 Light Caramel
+DBD9C9 Light Cargo River
+F9DBCF Light Carob
+D8F3D7 Light Carolina
+D8F2DC Light Celery Stick
+D1C6BE Light Chamois Beige
+726E68 Light Charcoal
+ECEAD1 Light Chervil
+F4E7E5 Light Chiffon
+E0D5C9 Light Chintz
+DFD3CA Light Christobel
+D5DAD1 Light Cipollino
+AFD5D8 Light Continental Waters
+C48F4B Light Copper
+F3E2D1 Light Corn
+E0C3A2 Light Corn Yellow
+93CCEA Light Cornflower Blue
+DDD7D1 Light Crushed Almond
+CBD7ED Light Cuddle
+F9E9C9 Light Curd
+E0FFFF Light Cyan
+C2E4E7 Light Daly Waters
+C6DEDF Light Dante Peak
+E2D9D2 Light Daydreamer
+FCE9D5 Light Dedication
+9ED1E3 Light Delphin
+A4D4EC Light Deluxe Days
+CDDBDC Light Detroit
+C4DADD Light Dewpoint
+A7AEA5 Light Drizzle
+D4E3D7 Light Dry Lichen
+D5EBDD Light Duck Egg Cream
+D4CED1 Light Easter Rabbit
+D9D2C9 Light Eggshell Pink
+EAD5C7 Light Ellen
+D8CDD3 Light Elusive Dream
+D6EADB Light Enchanted
+F3DED7 Light Fairy Pink
+EAD3E0 Light Favourite Lady
+D3D9C5 Light Feather Green
+C1D8EB Light Featherbed
+E6E6D0 Light Fern Green
+C9CFCC Light French Grey
+C2C0BB Light French Taupe
+E2F4D7 Light Fresh Lime
+ECF4D2 Light Freshman
+EDE8D7 Light Frost
+D7EFD5 Light Frosty Dawn
+D2D9CD Light Gentle Calm
+D7D3CA Light Ghosting
+F7D28C Light Ginger Yellow
+C0B5AA Light Glaze
+E2DDCF Light Granite
+70AA7C Light Grass Green
+76FF7B Light Green
+D5D8C9 Light Green Alabaster
+D7DDCD Light Green Ash
+E5F4D5 Light Green Glint
+E8F4D2 Light Green Veil
+D4E6D9 Light Green Wash
+E2F0D2 Light Greenette
+D7D4E4 Light Gregorio Garden
+D8DCD6 Light Grey
+CDD6EA Light Hindsight
+DCCFCE Light Hint of Lavender
+E5DDCB Light Hog Bristle
+D0D2DE Light Horizon Sky
+D8DED0 Light Iced Aniseed
+D0D4E3 Light Iced Lavender
+AED4D8 Light Imagine
+EFDCBE Light Incense
+E2D9D4 Light Instant
+DBE4D1 Light Issey-San
+ACD6DB Light Jellyfish Blue
+D6EAD8 Light Katsura
+998D7C Light Khaki
+D3D2DD Light Kiri Mist
+D6D9CB Light Lamb’s Ears
+EFC0FE Light Lavender
+E3D2CF Light Lavender Blush
+DDD6E7 Light Lavender Water
+BFB6A9 Light Lichen
+D9E0D0 Light Ligado
+EED2D7 Light Light Blush
+D3E7DC Light Light Lichen
+DCC6D2 Light Lilac
+D8E6CE Light Lime Sherbet
+DBD5CE Light Limed White
+DAD1D7 Light Limpid Light
+E7D9D4 Light Lip Gloss
+D8D7CA Light Livingstone
+D1F0DD Light Lost Lace
+DCD5D3 Light Lunette
+DBD5DA Light Magnolia Rose
+9B8B7C Light Mahogany
+F6DDCE Light Maiden’s Blush
+E3DBD0 Light Male
+F4DDDB Light Marshmallow Magic
+D1EFDD Light Martian Moon
+C292A1 Light Mauve
+CEE1D9 Light Meadow Lane
+B6FFBB Light Mint
+DCE1D5 Light Mist
+B18673 Light Mocha
+DED5E2 Light Modesty
+C4D9EB Light Morality
+D8CDD0 Light Mosque
+D1CAE1 Light Mulberry
+F8611A Light My Fire
+D6E4D4 Light Mystified
+FBE6C7 Light Nougat
+F4DCDC Light Nursery
+E3D8D4 Light Nut Milk
+D2B183 Light Oak
+EAF3D0 Light of New Hope
+ACBF69 Light Olive
+C1E8EA Light Opale
+D6CDD0 Light Orchid Haze
+CDE7DD Light Otto Ice
+D4CBCE Light Pale Pearl
+DBDACB Light Pale Tendril
+B2FBA5 Light Pastel Green
+C0C2B4 Light Patina
+D5D3E3 Light Pax
+FFE6D8 Light Peach Rose
+DCD6D1 Light Pearl Ash
+BEC8D8 Light Pearl Soft Blue
+E1CED4 Light Pelican Bill
+C8D4E7 Light Penna
+D0D0D7 Light Pensive
+C1C6FC Light Periwinkle
+E0D5CD Light Perk Up
+F0D7D7 Light Petite Pink
+ECDBD6 Light Pianissimo
+CDE5DE Light Picnic Bay
+FFD1DF Light Pink
+DDCED1 Light Pink Linen
+E9D3D5 Light Pink Pandora
+D8C9CC Light Pink Polar
+E2DEC8 Light Pistachio Tang
+C8D8E8 Light Placid Blue
+EBE1CB Light Pollinate
+E7DAD7 Light Porcelain
+C4D9EF Light Powder Blue
+D1D6EB Light Powdered Granite
+C5D0D9 Light Pre School
+D9CED5 Light Puffball
+C2A585 Light Pumpkin Brown
+C2D2D8 Light Pure Blue
+E0D5E9 Light Purity
+CDDED7 Light Quaver
+FDE1D4 Light Quilt
+C6D5EA Light Radar
+DACDB6 Light Raffia
+D1C1AA Light Rattan
+ECDFCA Light Raw Cotton
+FF7F7F Light Red
+CADDDE Light Relax
+C3D5E5 Light Ridge Light
+615544 Light Roast
+F4D4D6 Light Rose
+F9EBE4 Light Rose Beige
+FFCCA5 Light Saffron Orange
+B3B0A3 Light Sage
+CCF1E3 Light Salome
+BBD3DA Light Salt Spray
+DEDCC6 Light Sandbank
+E1DACF Light Sandy Day
+B7CDD9 Light Sea Breeze
+B9D4E7 Light Sea Cliff
+ABD6DE Light Sea Spray
+A0FEBF Light Sea-Foam
+A7FFB5 Light Seafoam Green
+E0E9D0 Light Security
+F1E8CE Light Shell Haven
+FCE0D6 Light Shell Tint
+E7DCCF Light Shetland Lace
+A3D4EF Light Shimmer
+8E8887 Light Shōchi Black
+1155FF Light Shōjin Blue
+D0181F Light Shōrei Red
+CBE8DF Light Short Phase
+F7E582 Light Shōshin Yellow
+AA55EE Light Shōtoku Purple
+CEF2E4 Light Shutterbug
+D4DBD1 Light Silver Grass
+CEE3D9 Light Silverton
+A1D0E2 Light Sky Babe
+AFCFE0 Light Sky Bus
+BAD7DC Light Sky Chase
+C2E3E8 Light Skyway
+CFD1D8 Light Slipper Satin
+CEDCD4 Light Soft Celadon
+CFE0D7 Light Soft Fresco
+DCDDCC Light Soft Kind
+CFDED7 Light Spearmint Ice
+B3A18E Light Spice
+C3CAD3 Light Spirit
+D8EEE7 Light Spirited
+E0CFD2 Light Sprig Muslin
+D6E8D5 Light Spring Burst
+E3E3D7 Light Sprinkle
+C7D2DD Light Stargate
+CBD0D7 Light Starlight
+D2CCD1 Light Stately Frills
+B0C4DE Light Steel Blue
+DCD1CC Light Stone
+E4DAD3 Light Subpoena
+DEEDD4 Light Tactile
+B19D8D Light Taupe
+D5D0CB Light Taupe White
+B1CCC5 Light Teal
+BBD6EA Light Template
+DF9B81 Light Terracotta
+E2D8D4 Light Thought
+BCD6E9 Light Tidal Foam
+C5D2DF Light Time Travel
+E1D0D8 Light Tip Toes
+D0756F Light Tomato
+B08971 Light Topaz Ochre
+B5CDD7 Light Topaz Soft Blue
+F5ECDF Light Touch
+7EF4CC Light Turquoise
+BFE7EA Light Vandamint
+B8CED9 Light Vanilla Ice
+D8D5D0 Light Vanilla Quake
+D6B4FC Light Violet
+D4CCCE Light Wallis
+ACDCE7 Light Washed Blue
+BFD5EB Light Water Wash
+C2F0E6 Light Water Wings
+B7DADD Light Watermark
+E6DAD6 Light Watermelon Milk
+E0D4D0 Light Weathered Hide
+99D0E7 Light Whimsy
+CEDCD6 Light White Box
+BFBFB4 Light Year
+FFFE7A Light Yellow
+C2FF89 Light Yellowish Green
+EAD7D5 Light Youth
+D1DBD2 Light Zen
+75FD63 Lighter Green
+DFEBDD Lighter Mint
+DCE4D6 Lightest Sky
+F7E0E1 Lighthearted
+EDD5DD Lighthearted Pink
+C7A1A9 Lighthearted Rose
+F3F4F4 Lighthouse
+F8D568 Lighthouse Glow
+B4C4CA Lighthouse Shadows
+D9DCD5 Lighthouse View
+3D7AFD Lightish Blue
+61E160 Lightish Green
+A552E6 Lightish Purple
+F0EDA8 Lightly Lime
+E5EBE6 Lightning Bolt
+EFDE74 Lightning Bug
+F8EDD1 Lightning White
+F7A233 Lightning Yellow
+01968B Lights at Sea
+F8F2DE Lights of Shibuya
+3D474B Lights Out
+15F2FD Lightsaber Blue
+F6E5C5 Lightweight Beige
+67765B Lignum Vitœ Foliage
+D2B18F Ligonier Tan
+D1B7A8 Likeable Sand
+CEA2FD Lilac
+D7CDCD Lilac Ash
+C6CDE0 Lilac Bisque
+AFABB8 Lilac Bloom
+9A93A9 Lilac Blossom
+8293AC Lilac Blue
+A590C0 Lilac Breeze
+D7BDBE Lilac Buds
+9470C4 Lilac Bush
+DFE1E6 Lilac Champagne
+DE9BC4 Lilac Chiffon
+CDD7EC Lilac Cotton Candy
+CBC5D9 Lilac Crystal
+8F939D Lilac Fields
+B2BADB Lilac Flare
+C8A4BF Lilac Fluff
+E8DEEA Lilac Frost
+BB88FF Lilac Geode
+D5B6D4 Lilac Haze
+CACBD5 Lilac Hint
+A7ADBE Lilac Hush
+9A7EA7 Lilac Intuition
+C6A1CF Lilac Lace
+DFCBDA Lilac Lane
+FF3388 Lilac Lotion
+C3B9D8 Lilac Lust
+AE98AA Lilac Lustre
+C3BABF Lilac Marble
+D6D0D6 Lilac Mauve
+E4E4E7 Lilac Mist
+E5E6EA Lilac Murmur
+E9E8E5 Lilac Muse
+DCBBBA Lilac Paradise
+C09DC8 Lilac Pink
+A183C0 Lilac Purple
+BD4275 Lilac Rose
+ABB6D7 Lilac Sachet
+9EABD0 Lilac Scent Soft Blue
+B6A3A0 Lilac Smoke
+DCC0D3 Lilac Snow
+8822CC Lilac Spring
+BA9B97 Lilac Suede
+D4C7C4 Lilac Tan
+A4ABBF Lilac Time
+754A80 Lilac Violet
+E9CFE5 Lilacs in Spring
+CC99FF Lilás
+D4A1B0 Lili Elbe’s Pink
+C48EFD Liliac
+E1BF03 Lilikoi
+874886 Lilikoi Flower Purple
+88DD55 Lilliputian Lime
+FCEBD8 Lilting Laughter
+C19FB3 Lily
+EEC7D6 Lily Legs
+9191BB Lily of the Nile
+E2E3D6 Lily of the Valley White
+818F84 Lily Pad Pond
+6DB083 Lily Pads
+DEEAD8 Lily Pond
+55707F Lily Pond Blue
+E6E6BC Lily Scent Green
+F5DEE2 Lily the Pink
+E0E1C1 Lilylock
+A9F971 Lima
+E1D590 Lima Bean
+88BE69 Lima Bean Green
+B1B787 Lima Green
+7AAC21 Lima Sombrio
+988870 Limbert Leather
+AAFF32 Lime
+F4F2D3 Lime Blossom
+DAE3D0 Lime Cake
+AAFF00 Lime Candy Pearl
+E5DDC8 Lime Chalk
+E6EFCC Lime Coco Cake
+D0E3AD Lime Cream
+DDE6D7 Lime Daiquiri
+C2ECBC Lime Dream
+EAC13D Lime Drop
+CFE838 Lime Fizz
+D2E3CC Lime Flip
+E1ECD9 Lime Glow
+DCE1B8 Lime Granita
+8EAD2C Lime Green
+CDAEA5 Lime Hawk Moth
+D1DD86 Lime Ice
+8CA94A Lime It or Leave It
+E3FF00 Lime Jelly
+E7E4D3 Lime Juice
+E5E896 Lime Juice Green
+BEFD73 Lime Lightning
+ABD35D Lime Lizard
+B4BD7A Lime Lollipop
+E6ECD6 Lime Meringue
+DDFFAA Lime Mist
+00FF0D Lime on Steroides
+95C577 Lime Parfait
+C6C191 Lime Peel
+B6848C Lime Pink
+CCCB2F Lime Pop
+C1DB3B Lime Popsicle
+C0D725 Lime Punch
+B5CE08 Lime Rasp
+AFB96A Lime Rickey
+CDD78A Lime Sherbet
+1DF914 Lime Shot
+F0FDED Lime Slice
+7AF9AB Lime Soap
+BEE5BE Lime Sorbet
+C6CD7D Lime Sorbet Green
+CFDB8D Lime Splash
+DAE1CF Lime Spritz
+BAD1B5 Lime Taffy
+EBE734 Lime Time
+D8D06B Lime Tree
+C6D624 Lime Twist
+E9E4DF Lime White
+D0FE1D Lime Yellow
+DDFF00 Lime Zest
+E8E2D0 Lime-Washed
+5F9727 Limeade
+747D63 Limed Ash
+AC8A56 Limed Oak
+394851 Limed Spruce
+CFC9C0 Limed White
+EEE96B Limelight
+F8B109 Limeño Limón
+76857B Limerick
+E0D4B7 Limescent
+F2EABF Limesicle
+DCD8C7 Limestone
+A5AF9D Limestone Green
+D6D7DB Limestone Mauve
+CFD9D4 Limestone Path
+F9F6DB Limestone Quarry
+C5E0BD Limestone Slate
+A7CCA4 Limestoned
+8E9A21 Limetta
+DBD5CB Limewash
+BBB875 Liminal Yellow
+DAD79B Liminality
+EAECB9 Limited Lime
+F0DDB8 Limitless
+4B4950 Limo-Scene
+F3E0DB Limoge Pink
+243F6C Limoges
+97B73A Limolicious
+F7EB73 Limon
+CEBC55 Limón Fresco
+11DD66 Limonana
+BFFF00 Limoncello
+D6C443 Limone
+BE7F51 Limonite
+4B4433 Limonite Brown
+535F62 Limousine Grey Blue
+3B3C3B Limousine Leather
+90DCD9 Limpet Shell
+CDC2CA Limpid Light
+FEFC7E Limuyi Yellow
+195905 Lincoln Green
+E3E6DA Lincolnshire Sausage
+C1B76A Linden Green
+8E9985 Linden Spear
+229922 Linderhof Garden
+172808 Lindworm Green
+F8F3DA Line Dried
+F5EDED Line Dried Sheets
+4C3430 Lineage
+164975 Linear
+FAF0E6 Linen
+D9BCA9 Linen Cloth
+466163 Linen Grey
+EFEBE3 Linen Ruffle
+B4D6E5 Lingerie Blue
+E6DEF0 Lingering Lilac
+858381 Lingering Storm
+FF255C Lingonberry
+A95657 Lingonberry Punch
+CE4458 Lingonberry Red
+778290 Link
+01A049 Link Green
+7F7E72 Link Grey
+D2B48C Link to the Past
+C7CDD8 Link Water
+3EAF76 Link’s Awakening
+C2ABC4 Linnea Blossom
+C3BCB3 Linnet
+FFCCDD Linnet Egg Red
+427C9D Linoleum Blue
+3AA372 Linoleum Green
+B0A895 Linseed
+ADB28D Lint
+C19A62 Lion
+F9CDA4 Lion Cub
+DD9933 Lion King
+DBD1B9 Lion of Hadrian
+EEAA66 Lion of Menecrates
+81522E Lion’s Lair
+E8AF49 Lion’s Mane
+946B41 Lion’s Mane Blonde
+F5DAB3 Lion’s Roar
+BB9252 Lion’s Slumber
+E0AF47 Lioness
+A3A5AA Lionfish
+E03C28 Lionfish Red
+D5B60A Lionhead
+CC2222 Lionheart
+DFCDC7 Lip Gloss
+D16A68 Lippie
+FBCEB1 Lips of Apricot
+C95B83 Lipstick
+D4696D Lipstick Illusion
+BD7F8A Lipstick Pink
+C0022F Lipstick Red
+61394B Liqueur Red
+55B7CE Liquid Blue
+2D3796 Liquid Denim
+FDC675 Liquid Gold
+3B7A5F Liquid Green Stuff
+CEDFE0 Liquid Hydrogen
+F77511 Liquid Lava
+CDF80C Liquid Lime
+757A80 Liquid Mercury
+C8FF00 Liquid Neon
+F3F3F4 Liquid Nitrogen
+0A0502 Liquorice
+2A4041 Liquorice Green
+740900 Liquorice Red
+222200 Liquorice Root
+B53E3D Liquorice Stick
+E2C28D Lira
+423921 Lisbon Brown
+FFFB00 Lisbon Lemon
+DD5511 Liselotte Syrup
+DE6FA1 Liseran Purple
+FFFED8 Lit
+D6E8E1 Lit’l Buoy Blew
+E5DFCF Litewood
+53626E Lithic Sand
+9895C5 Litmus
+F8B9D4 Little Baby Girl
+604B42 Little Bear
+B6D3C5 Little Beaux Blue
+43484B Little Black Dress
+8AC5BA Little Blue Box
+3C4378 Little Blue Heron
+D37C99 Little Bow Pink
+C7D8DB Little Boy Blu
+6495DA Little Boy Blue
+E4E6EA Little Dipper
+EBE0CE Little Dove
+FF1414 Little Ladybug
+EAE6D7 Little Lamb
+6A9A8E Little League
+E0D8DF Little Lilac
+2D454A Little Mermaid
+F4EFED Little Pinky
+A6D1EB Little Pond
+E6AAC1 Little Princess
+E50102 Little Red Corvette
+F8D0E8 Little Smile
+DAE9D6 Little Sprout
+F7C85F Little Sun Dress
+73778F Little Theatre
+E7CFE8 Little Touch
+A4A191 Little Valley
+87819B Live Jazz
+CECEBD Liveable Green
+FFDFB9 Liveliness
+E67C7A Lively Coral
+B3AE87 Lively Ivy
+E1DD8E Lively Laugh
+816F7A Lively Lavender
+A18899 Lively Light
+9096B7 Lively Lilac
+BEB334 Lively Lime
+C8D8E5 Lively Tune
+F7F3E0 Lively White
+FFE9B1 Lively Yellow
+654A46 Liver
+513E32 Liver Brown
+987456 Liver Chestnut
+A8D275 Livery Green
+6688CC Livid
+312A29 Livid Brown
+B8E100 Livid Lime
+FF6A52 Living Coral
+C87163 Living Large
+37708C Living Stream
+A39880 Livingston
+CBCBBB Livingstone
+7B6943 Lizard
+CCCC33 Lizard Belly
+EDBB32 Lizard Breath
+795419 Lizard Brown
+7F6944 Lizard Legs
+917864 Llama Wool
+C35B99 Llilacquered
+DBD9C2 Loafer
+443724 Loam
+9FC8B2 Lobaria Lichen
+A780B2 Lobby Lilac
+7498BE Lobelia
+B3BBB7 Loblolly
+BB240C Lobster
+DB8981 Lobster Bisque
+A73836 Lobster Brown
+CC8811 Lobster Butter Sauce
+CB9E34 Local Curry
+609795 Loch Blue
+DFE5BF Loch Modan Moss
+5F6DB0 Loch Ness
+489084 Lochinvar
+316EA0 Lochmara
+BE9AA2 Lockhart
+988171 Locomotion
+A2A580 Locust
+7D6546 Loden Blanket
+788F74 Loden Frost
+747A59 Loden Green
+553A76 Loden Purple
+B68B13 Loden Yellow
+ACA690 Lodgepole Pines
+DCCAB7 Loft Light
+CBCECD Loft Space
+D9A9C6 Lofty Delight
+705A46 Log Cabin
+9D9CB4 Logan
+5F4B6F Loganberry
+C4B7A5 Loggia
+E1EBDE Loggia Lights
+577042 Loire Valley
+E7CD8B Lol Yellow
+B9ACBB Lola
+BF2735 Lolita
+D91E3F Lollipop
+FD978F Lolly
+A6DAD0 Lolly Ice
+CDCCCF London Calling
+BAB0AC London Coach
+9D988C London Fog
+666677 London Grey
+AE94AB London Hue
+D1DCE4 London Lights
+0055BB London Rain
+7F878A London Road
+7F909D London Square
+A89F94 London Stones
+94C84C Lone Hunter
+575A44 Lone Pine
+4A0A00 Lonely Chocolate
+947754 Lonely Road
+522426 Lonestar
+FAEFDF Long Beach
+A1759C Long Forgotten Purple
+95D0FC Long Island Sound
+68757E Long Lake
+5B365E Long Passionate Night
+C97586 Long Spring
+425A5E Long Water
+002277 Long-Haul Flight
+BD7A33 Longan
+442117 Longan’s Kernel
+CECEAF Longbeard Grey
+60513A Longboat
+90B1A3 Longfellow
+D88E5F Longhorn
+4B9F5D Longing for Nature
+ADD5E4 Longitude
+EBD84B Longlure Frogfish
+77928A Longmeadow
+E3D3B5 Loofah
+FEBF01 Look at the Bright Side
+888786 Looking Glass
+454151 Loom of Fate
+2E6676 Loon Turquoise
+11FFFF Looney Blue
+CBC0B3 Loophole
+84613D Loose Leather
+AE7C4F Loquat Brown
+B76764 Lord Baltimore
+664488 Lords of the Night
+50702D Loren Forest
+8EBCBD Lorian
+658477 Lorna
+8D9CA7 Lost at Sea
+5F7388 Lost Atlantis
+998E7A Lost Canyon
+74AF54 Lost Golfer
+002489 Lost in Heaven
+DEE8E1 Lost in Istanbul
+151632 Lost in Sadness
+03386A Lost in Space
+014426 Lost in the Woods
+9FAFBD Lost in Time
+C2EBD1 Lost Lace
+B5ADB5 Lost Lake
+8D828C Lost Lavender Somewhere
+E5D7D4 Lost Love
+08457E Lost River
+929591 Lost Soul Grey
+969389 Lost Space
+887A6E Lost Summit
+6699CC Lothern Blue
+FEFDFA Lotion
+E5ECB7 Lots of Bubbles
+768371 Lottery Winnings
+E40046 Lotti Red
+8B504B Lotus
+F4F0DA Lotus Flower
+93A79E Lotus Leaf
+F2E9DC Lotus Petal
+E7D7C2 Lotus Pod
+D1717B Lotus Red
+64EB65 Loud Green
+88FF22 Loud Lime
+D92FB4 Loudicious Pink
+655856 Louisiana Mud
+4C3347 Loulou
+BB2288 Loulou’s Purple
+8BA97F Lounge Green
+563E31 Lounge Leather
+5E336D Lounge Violet
+DDC3A4 Louvre
+C87570 Lovable
+98B1A6 Lovage Green
+FFBEC8 Love Affair
+E5A5B1 Love at First Sight
+C6D0E3 Love Crystal
+EB94DA Love Dust
+CD0106 Love for All
+FDD0D5 Love Fumes
+CD0D0D Love Goddess
+E1B9C2 Love in a Mist
+CC1155 Love Juice
+E4658E Love Letter
+C54673 Love Lord
+A06582 Love Poem
+CE145E Love Potion
+BB55CC Love Priestess
+FF496C Love Red
+DD8877 Love Sceptre
+F8B4C4 Love Spell
+CE1D51 Love Surge
+EE0099 Love Vessel
+AEAEB7 Love-Struck Chinchilla
+F0C1C6 Loveable
+C76A77 Lovebirds
+C8ABA8 Lovebug
+EEBBEE Lovecloud
+E6718D Loveland
+A69A5C Loveliest Leaves
+F7D6D8 Lovelight
+E2D0B3 Lovely Bluff
+F9D8E4 Lovely Breeze
+FFEEFF Lovely Euphoric Delight
+F4DBDC Lovely Harmony
+D6D2DD Lovely Lavender
+E9DD22 Lovely Lemonade
+A7B0CC Lovely Lilac
+DBCEAC Lovely Linen
+E35F66 Lovely Little Rosy
+D8BFD4 Lovely Pink
+D0C6B5 Lover’s Hideaway
+8F3B3D Lover’s Kiss
+F2DBDB Lover’s Knot
+957E68 Lover’s Leap
+F4CED8 Lover’s Retreat
+B48CA3 Lover’s Tryst
+5A6141 Lovers Pine
+6A2E36 Lovestruck
+99D1A4 Low Tide
+E0EFE3 Lower Green
+DCDFEF Lower Lavender
+E2D6D8 Lower Lilac
+E6F1DE Lower Lime
+E0DCD8 Lower Linen
+F7468A Lower Lip
+EC9079 Lox
+01455E Loyal Blue
+4E6175 Loyalty
+02C14D Lǜ Sè Green
+989746 Luau Green
+0B83B5 Lucario Blue
+7CAFE1 Lucea
+00FF33 Lucent Lime
+E4D0A5 Lucent Yellow
+77B87C Lucerne
+7E8D9F Lucid Blue
+632F92 Lucid Dreams
+1E4469 Lucidity
+A6BBB7 Lucinda
+BAA2CE Lucius Lilac
+547839 Luck of the Irish
+AB9A1C Lucky
+93834B Lucky Bamboo
+774D07 Lucky Brown
+008400 Lucky Clover
+929A7D Lucky Day
+D3C8BA Lucky Dog
+F4ECD7 Lucky Duck
+238652 Lucky Green
+777777 Lucky Grey
+9ACD32 Lucky Lime
+CC3322 Lucky Lobster
+FF7700 Lucky Orange
+BC6F37 Lucky Penny
+292D4F Lucky Point
+EFEAD8 Lucky Potato
+487A7B Lucky Shamrock
+77074D Lucky Wine
+FAD9DA Lucky You
+91B2BC Lucy Blue
+BB8877 Ludicrous Lemming
+EBDAC0 Ludlow Beige
+F7A58B Lugganath Orange
+4CBB17 Luigi
+C3D5E8 Lull Wind
+CBD4D4 Lullaby
+FFE4CD Lumber
+9D4542 Lumberjack
+FFFEED Luminary
+DEE799 Luminary Green
+A4DDE9 Luminescent Blue
+769C18 Luminescent Green
+B9FF66 Luminescent Lime
+F984EF Luminescent Pink
+CAFFFB Luminescent Sky
+ECBF55 Luminous Apricot
+BF8FE5 Luminous Lavender
+BBAEB9 Luminous Light
+CDDED5 Luminous Mist
+DC6C84 Luminous Pink
+FEE37F Luminous Yellow
+4E5154 Lump of Coal
+D4D8CE Luna
+C1E0C8 Luna Green
+C2CECA Luna Light
+ECEAE1 Luna Moon
+70C1C9 Luna Moona
+414D62 Luna Pier
+686B67 Lunar Basalt
+878786 Lunar Base
+CCCCDD Lunar Dust
+415053 Lunar Eclipse
+868381 Lunar Federation
+4E5541 Lunar Green
+DECE9E Lunar Lander
+D2CFC1 Lunar Landing
+938673 Lunar Launch Site
+9B959C Lunar Light
+FBF4D6 Lunar Luxury
+828287 Lunar Outpost
+CACED2 Lunar Rays
+C5C5C5 Lunar Rock
+707685 Lunar Shadow
+B6B9B6 Lunar Surface
+6F968B Lunar Tide
+F7E7CD Lunaria
+DDAA88 Lunatic Lynx
+76FDA8 Lunatic Sky Dancer
+F2CA95 Lunch Box
+D0C8C6 Lunette
+D1E0E9 Lupin Grey
+BE9CC1 Lupine
+6A96BA Lupine Blue
+B4F319 Lurid Lettuce
+FF33EE Lurid Pink
+FF4505 Lurid Red
+903D49 Luscious
+049945 Luscious Green
+D7C8A4 Luscious Latte
+696987 Luscious Lavender
+BBCC22 Luscious Leek
+EEBD6A Luscious Lemon
+517933 Luscious Lemongrass
+91A673 Luscious Lime
+C5847C Luscious Lobster
+605C71 Luscious Purple
+C5BDA0 Lush
+004466 Lush Aqua
+AFBB33 Lush Bamboo
+88AA77 Lush Fields
+008811 Lush Garden
+468D45 Lush Grass
+BBEE00 Lush Green
+7FF23E Lush Greenery
+7A9461 Lush Highlands
+FCA81B Lush Honeycomb
+6C765C Lush Hosta
+E9F6E0 Lush Life
+9D7EB7 Lush Lilac
+A091B7 Lush Mauve
+007351 Lush Meadow
+2E7D32 Lush Paradise
+22BB22 Lush Plains
+7B8476 Lush Sage
+54A64D Lush Un’goro Crater
+E62020 Lust
+BB3388 Lust Priestess
+CC4499 Lustful Wishes
+BECE61 Lustre Green
+F4F1EC Lustre White
+415A09 Lustrian Undergrowth
+E6DA78 Lustrous Yellow
+8D5EB7 Lusty Lavender
+D5174E Lusty Lips
+00BB11 Lusty Lizard
+E26D28 Lusty Orange
+B1383D Lusty Red
+EFAFA7 Lusty Salmon
+FFCCCC Lusty-Gallant
+516582 Luxe Blue
+C3BAB0 Luxe Grey
+A8A3B1 Luxe Lilac
+BDE9E5 Luxor Blue
+AB8D3F Luxor Gold
+D4B75D Luxurious
+365F8C Luxurious Blue
+88EE22 Luxurious Lime
+863A42 Luxurious Red
+818EB1 Luxury
+384172 Lviv Blue
+0182CC Lvivian Rain
+ADCF43 Lyceum
+CD0C41 Lychee
+C3A5A5 Lychee Berry
+F7F2DA Lychee Pulp
+9E9478 Lye
+7F6B5D Lye Tinted
+E5C7B9 Lyman Camellia
+697D89 Lynch
+604D47 Lynx
+2CB1EB Lynx Screen Blue
+F7F7F7 Lynx White
+005E76 Lyons Blue
+0087AD Lyrebird
+728791 Lyric Blue
+72696F Lythrum
+B4023D M. Bison
+F4F7FD Mā White
+001C3D Maastricht Blue
+CBE8E8 Mabel
+E4B070 Mac N Cheese
+880033 Macabre
+E1CCAF Macadamia
+F7DFBA Macadamia Beige
+BBA791 Macadamia Brown
+EEE3DD Macadamia Nut
+F3D085 Macaroni
+FFB97B Macaroni and Cheese
+B38B71 Macaroon
+FEE8D6 Macaroon Cream
+F75280 Macaroon Rose
+46C299 Macau
+FFBD24 Macaw
+9CAD3B Macaw Green
+928168 Macchiato
+DD4400 Macharius Solar Orange
+A6A23F Machine Green
+454545 Machine Gun Metal
+F1E782 Machine Oil
+9999AA Machinery
+99BB33 Machu Picchu Gardens
+BFAE5B Mack Creek
+007D82 Macquarie
+004577 Macragge Blue
+ADA5A3 Maculata Bark
+EDA69E Mad About Maddie
+94508E Mad About Magenta
+A9324B Mad About You
+F8A200 Mad for Mango
+FF9899 Mad Pinker
+9D8544 Madagascar
+D194A1 Madagascar Pink
+7CA7CB Madam Butterfly
+B5ADB4 Madame Mauve
+B7E3A8 Madang
+754C50 Madder
+B5B6CE Madder Blue
+783738 Madder Brown
+CC3336 Madder Lake
+80496E Madder Magenta
+F1BEB0 Madder Orange
+B7282E Madder Red
+EEBBCB Madder Rose
+6B717A Made in the Shade
+5B686F Made of Steel
+8F4826 Madeira Brown
+F504C9 Mademoiselle Pink
+EED09D Madera
+2D3C54 Madison
+3D3E3E Madison Avenue
+3F4250 Madonna
+71B5D1 Madonna Blue
+EEE6DB Madonna Lily
+473E23 Madras
+9AC3DA Madras Blue
+ECBF9F Madrid Beige
+8F003A Madrileño Maroon
+FF00FF Magenta
+AA44DD Magenta Affair
+FF55A3 Magenta Crayon
+CA1F7B Magenta Dye
+DE0170 Magenta Elephant
+ED24ED Magenta Fizz
+A44775 Magenta Haze
+513D3C Magenta Ink
+983166 Magenta Manicure
+B4559B Magenta Memoir
+CC338B Magenta Pink
+762A54 Magenta Purple
+913977 Magenta Red
+62416D Magenta Red Lips
+FA5FF7 Magenta Stream
+BB989F Magenta Twilight
+6C5389 Magenta Violet
+CF3476 Magentarama
+D521B8 Magentella
+AA11AA Magentle
+AA22BB Magentleman
+BF3CFF Magento
+DDEEE2 Maggie’s Magic
+656B78 Magic
+44DD00 Magic Blade
+3E8BAA Magic Blue
+9488BE Magic Carpet
+817C85 Magic Dust
+1F75FF Magic Fountain
+8E7282 Magic Gem
+0247FE Magic Ink
+C2A260 Magic Lamp
+7F4774 Magic Magenta
+A5887E Magic Malt
+DE9851 Magic Melon
+3F3925 Magic Metal
+AAF0D1 Magic Mint
+757CAF Magic Moment
+717462 Magic Mountain
+3A3B5B Magic Night
+FF4466 Magic Potion
+598556 Magic Sage
+E0D2BA Magic Sail
+CCC9D7 Magic Scent
+544F66 Magic Spell
+C3D9E4 Magic Wand
+17034A Magic Whale
+C1CEDA Magical
+FF7A8F Magical Girl
+22CC88 Magical Malachite
+BAA3A9 Magical Mauve
+E9E9D0 Magical Melon
+3D8ED0 Magical Merlin
+F0EEEB Magical Moonlight
+EAEADB Magical Stardust
+784467 Magician’s Cloak
+FF4E01 Magma
+DD0066 Magna Cum Laude
+64BFDC Magnesia Bay
+C1C2C3 Magnesium
+525054 Magnet
+697987 Magnet Dapple
+B2B5AF Magnetic
+054C8A Magnetic Blue
+2B6867 Magnetic Green
+838789 Magnetic Grey
+3FBBB2 Magnetic Magic
+AA1D8E Magneto’s Magenta
+7F556F Magnificence
+EE22AA Magnificent Magenta
+AE8D7B Magnitude
+FFF9E4 Magnolia
+F4E7CE Magnolia Blossom
+F7EEE3 Magnolia Petal
+ECB9B3 Magnolia Pink
+F6E6CB Magnolia Spray
+F4F2E7 Magnolia Spring
+D8BFC8 Magnolia White
+003686 Magnus Blue
+69475A Magos
+4C4B45 Magpie
+3F354F Maharaja
+C04000 Mahogany
+812308 Mahogany Brown
+AA5511 Mahogany Finish
+C39D90 Mahogany Rose
+5B4646 Mahogany Spice
+62788E Mahonia Berry Blue
+A56531 Mai Tai
+F5E9CA Maiden Hair
+EFDCEB Maiden of the Mist
+FF2FEB Maiden Pink
+8AC7D4 Maiden Voyage
+F3D3BF Maiden’s Blush
+44764A Maidenhair Fern
+D8BAA6 Maiko
+B79400 Main Mast Gold
+C2792B Maine Coon Orange
+A95249 Maine-Anjou Cattle
+D9DFE2 Mainsail
+2A2922 Maire
+D7D8DC Mais Oui
+DFD2BF Maison Blanche
+BB9B7D Maison de Campagne
+E5F0D9 Maison Verte
+F4D054 Maize
+FBEC5E Maizena
+5D4250 Majestic
+3F425C Majestic Blue
+F3BC80 Majestic Dune
+443388 Majestic Eggplant
+AD9A84 Majestic Elk
+7D8878 Majestic Evergreen
+607535 Majestic Jungle
+EE4488 Majestic Magenta
+555570 Majestic Magic
+7C8091 Majestic Mount
+447788 Majestic Mountain
+8D576D Majestic Orchid
+806173 Majestic Plum
+65608C Majestic Purple
+F2E9A5 Majestic Treasures
+9D9AC4 Majestic Violet
+673E6E Majesty
+FFAACC Majin Bū Pink
+2D4B65 Majolica Blue
+976352 Majolica Earthenware
+AEB08F Majolica Green
+A08990 Majolica Mauve
+289EC4 Major Blue
+61574E Major Brown
+F246A7 Major Magenta
+001177 Major Tom
+4A9C95 Majorca Blue
+808337 Majorca Green
+6050DC Majorelle Blue
+337766 Majorelle Gardens
+695F50 Makara
+335F8D Make-Up Blue
+88BB55 Makin It Rain
+505555 Mako
+6E2F2C Makore Veneer Red
+688C43 Makrut Lime
+CFBEA9 Malabar
+0BDA51 Malachite
+0E4F4F Malachite Blue Turquoise
+004E00 Malachite Green
+AB5871 Malaga
+6E7D6E Malarca
+B8D1D0 Malaysian Mist
+00BBDD Maldives
+D6CEC3 Male
+347699 Male Betta
+BB6688 Malevolent Mauve
+66B7E1 Malibu
+C9C0B1 Malibu Beige
+00A9DA Malibu Blue
+E7CFC2 Malibu Coast
+E7CEB5 Malibu Dune
+FDC8B3 Malibu Peach
+FFF2D9 Malibu Sun
+254855 Mallard
+3F6378 Mallard Blue
+478865 Mallard Green
+91B9C2 Mallard Lake
+F8F2D8 Mallard’s Egg
+3A4531 Mallardish
+517B95 Mallorca Blue
+F8EBDE Mallow Root
+A7D7FF Malmö FF
+DDCFBC Malt
+BBA87F Malt Shake
+A59784 Malta
+DBC8C0 Malted
+E8D9CE Malted Milk
+BFD6C8 Malted Mint
+11DDAA Malted Mint Madness
+551111 Mama Africa
+594F40 Mama Racoon
+005E8C Mamala Bay
+766D7C Mamba
+77AD3B Mamba Green
+FDD014 Mamba Yellow
+EBA180 Mamey
+EE82EE Mamie Pink
+B00B1E Mammary Red
+3B6A7A Mammoth Mountain
+995522 Mammoth Wool
+816045 Man Cave
+3C4C5D Man Friday
+B09737 Mana
+4F7942 Mana Tree
+94BBDA Manakin
+8D90A1 Manatee
+65916D Manchester
+504440 Manchester Brown
+992222 Manchester Nights
+B57B2E Mandalay
+A05F45 Mandalay Road
+F37A48 Mandarin
+EE9944 Mandarin Essence
+FF8800 Mandarin Jelly
+EC6A37 Mandarin Orange
+FF9F00 Mandarin Peel
+E84F3C Mandarin Red
+F1903D Mandarin Rind
+FFAE42 Mandarin Sorbet
+F6E7E1 Mandarin Sugar
+D8D4D3 Mandarin Tusk
+97691E Mandolin
+8889A0 Mandrake
+C6C0A6 Mandu Dumpling
+CD525B Mandy
+F5B799 Mandys Pink
+F5B9D8 Manga Pink
+E781A6 Mangala Pink
+202F4B Manganese Black
+E52B50 Manganese Red
+9DBCD4 Mångata
+FFA62B Mango
+BB8434 Mango Brown
+FBEDDA Mango Cheesecake
+FFB769 Mango Creamsicles
+96FF00 Mango Green
+F7BD8D Mango Ice
+FFBB4D Mango Latte
+FEB81C Mango Loco
+FD8C23 Mango Madness
+F7B74E Mango Margarita
+D1A229 Mango Mojito
+FFD49D Mango Nectar
+FF8B58 Mango Orange
+FFB066 Mango Salsa
+8E6C39 Mango Squash
+FF8243 Mango Tango
+383E5D Mangosteen
+3A2732 Mangosteen Violet
+757461 Mangrove
+607C3D Mangrove Leaf
+292938 Mangu Black
+B2896C Mangy Moose
+E2AF80 Manhattan
+404457 Manhattan Blue
+CCCFCF Manhattan Mist
+97908E Mani
+009000 Maniac Green
+004058 Maniac Mansion
+899888 Manifest
+8A9BC2 Manifest Destiny
+E7C9A9 Manila
+FF6E61 Manila Sunset
+FFE2A7 Manila Tint
+DAC9B8 Manilla Rope
+5B92A2 Manitou Blue
+CF7336 Mann Orange
+FAE2BE Manna
+EEDFDD Mannequin
+F6E5CE Mannequin Cream
+C19763 Mannered Gold
+665D57 Manor House
+FFBC02 Mantella Frog
+957840 Manticore Brown
+DD7711 Manticore Wing
+74C365 Mantis
+96A793 Mantle
+DCE2DF Mantra
+881144 Manually Pressed Grapes
+AD900D Manure
+D1C9BA Manuscript
+827E71 Manuscript Ink
+E4DB55 Manz
+9E8F6B Manzanilla Olive
+643C37 Manzanita
+B88E72 Maple
+FAD0A1 Maple Beige
+A38E6F Maple Brown Sugar
+F6D193 Maple Elixir
+A76944 Maple Glaze
+D17B41 Maple Leaf
+E3D1BB Maple Pecan
+BF514E Maple Red
+C1967C Maple Sugar
+BB9351 Maple Syrup
+C88554 Maple Syrup Brown
+D4A882 Maple Tan
+B49161 Maple View
+FF2600 Maraschino
+F3E5CB Marble Dust
+646255 Marble Garden
+DEE2C7 Marble Grape
+8F9F97 Marble Green
+85928F Marble Green-Grey
+E2DCD7 Marble Quarry
+A9606E Marble Red
+F2F0E6 Marble White
+E3DACF March Breeze
+D4CC00 March Green
+FF750F March Hare Orange
+D8CDC5 March Ice
+9A7276 March Pink
+D4C978 March Tulip Green
+BAB9B6 March Wind
+F1D48A March Yellow
+880085 Mardi Gras
+2E5464 Marea Baja
+F9ECDA Marfil
+F2D930 Margarine
+A9BC81 Margarita
+445956 Mariana Trench
+FCC006 Marigold
+F5CC3D Marigold Dust
+FBE870 Marigold Yellow
+E7C3AC Marilyn Monroe
+C9001E Marilyn MonRouge
+5A88C8 Marina
+D3AF37 Marina Bay Sands
+B1C8BF Marina Isle
+FF0008 Marinara Red
+042E60 Marine
+01386A Marine Blue
+40A48E Marine Green
+A5B2AA Marine Grey
+6384B8 Marine Ink
+A5B4B6 Marine Layer
+515E62 Marine Magic
+008383 Marine Teal
+33A3B3 Marine Tinge
+1F7073 Marine Wonder
+42639F Mariner
+E4000F Mario
+380282 Marionberry
+BDCFEA Maritime
+2D3145 Maritime Blue
+8B9BA4 Maritime Hush
+1E4581 Maritime Outpost
+69B8C0 Maritime Soft Blue
+E5E6E0 Maritime White
+BFCBA2 Marjoram
+00869A Marker Blue
+9DAF00 Marker Green
+E3969B Marker Pink
+FBB377 Market Melon
+515B87 Marlin
+41A1AA Marlin Green
+D46F14 Marmalade
+C27545 Marmalade Glaze
+DF7F73 Marmalade Magic
+46221B Marmite
+928475 Marmot
+D0F0C0 Maroccan Tea
+800000 Maroon
+C32249 Maroon Flush
+BF3160 Maroon Light
+520C17 Maroon Oak
+8D5455 Maroon Rover
+86CDAB Marooned
+F5EAD6 Marquee White
+D2783A Marquis Orange
+F3D49D Marquisette
+91734C Marrakech Brown
+01B2BD Marrakech Mile
+783B3C Marrakesh Red
+CACAA3 Marrett Apple
+6E4C4B Marron
+A7735A Marron Canela
+008C8C Marrs Green
+AD6242 Mars
+C92A37 Mars Red
+96534C Marsala
+B7BBBB Marseilles
+5C5337 Marsh
+6B8781 Marsh Creek
+B6CA90 Marsh Fern
+D4C477 Marsh Field
+C6D8C7 Marsh Fog
+82763D Marsh Grass
+FFEF17 Marsh Marigold
+E8E1A1 Marsh Mist
+5A653A Marsh Mix
+C4A3BF Marsh Orchid
+3E4355 Marshal Blue
+2B2E26 Marshland
+F0EEE4 Marshmallow
+DBC2B4 Marshmallow Cocoa
+F3E0D6 Marshmallow Cream
+FAF3DE Marshmallow Fluff
+F9DCE3 Marshmallow Heart
+EFD2D0 Marshmallow Magic
+E0CAAA Marshmallow Mist
+F7E5E6 Marshmallow Rose
+F9EFE0 Marshmallow Whip
+8E712E Marshy Green
+B8AEA2 Marshy Habitat
+FDF200 Marsupilami
+AEA132 Martian
+57958B Martian Cerulean
+E5750F Martian Colony
+136C51 Martian Green
+ADEACE Martian Haze
+B7410E Martian Ironcrust
+C15A4B Martian Ironearth
+C3E9D3 Martian Moon
+F4E5B7 Martica
+8E8E41 Martina Olive
+B7A8A3 Martini
+CE8C8D Martini East
+3C3748 Martinique
+6A7FB4 Marvellous
+E1C6D6 Marvellous Magic
+006A77 Mary Blue
+D1B5CA Mary Poppins
+D7B1B0 Mary Rose
+69913D Mary’s Garden
+A6D0EC Marzena Dream
+EBC881 Marzipan
+EEBABC Marzipan Pink
+EBE5D8 Marzipan White
+57534B Masala
+EECCAA Masala Chai
+ECE6D4 Mascarpone
+AB878D Mask
+C6B2BE Masked Mauve
+D57C6B Masoho Red
+3A4B61 Master
+507D2A Master Chief
+E0CE80 Master Gardener
+DDCC88 Master Key
+FFB81B Master Nacho
+E78303 Master Round Yellow
+00FFEE Master Sword Blue
+A1A2AB Masterpiece
+4D646C Masuhana Blue
+FF48D0 Mat Dazzle Rose
+544859 Mata Hari
+CF6E66 Matador’s Cape
+D63756 Match Head
+FFAA44 Match Strike
+D8D458 Matcha
+35382D Matcha Ash
+9FAF6C Matcha Mecha
+99BB00 Matcha Picchu
+A0D404 Matcha Powder
+7BB18D Mate Tea
+590A01 Mathematical Rage
+365C7D Matisse
+7E6884 Matriarch
+454D32 Matsuba Green
+151515 Matt Black
+2C6FBB Matt Blue
+DD4433 Matt Demon
+39AD48 Matt Green
+DEC6D3 Matt Lilac
+FFB6C1 Matt Pink
+9370DB Matt Purple
+B2B9A5 Matt Sage
+FFFFD4 Matt White
+884433 Mattar Paneer
+8FB0CE Matte Blue
+A17F67 Matte Brown
+A06570 Matte Carmine
+B4A8A4 Matte Grey
+B5CBBD Matte Jade Green
+998F7F Matte Olive
+8A9381 Matte Sage Green
+524B4B Matterhorn
+E0FEFE Matterhorn Snow
+C4AFB3 Mature
+9A463D Mature Cognac
+5F3F54 Mature Grape
+38796C Maturity
+988286 Maud
+21A5BE Maui
+52A2B4 Maui Blue
+B66044 Maui Mai Tai
+EEF2F3 Maui Mist
+B08A7D Maui Poi
+E0B0FF Mauve
+E3D2DB Mauve Aquarelle
+B69289 Mauve Blush
+62595F Mauve Brown
+E5D0CF Mauve Chalk
+AC8C8C Mauve Day
+545883 Mauve Dusk
+CBB8C0 Mauve Finery
+D18489 Mauve Glow
+BB4466 Mauve It
+908186 Mauve Jazz
+AA7982 Mauve Madness
+BF91B2 Mauve Magic
+A69F9A Mauve Melody
+A46A95 Mauve Memento
+C49BD4 Mauve Mist
+7D716E Mauve Mole
+E7CCCD Mauve Morn
+D9D0CF Mauve Morning
+A98CA1 Mauve Musk
+B59EAD Mauve Muslin
+685C61 Mauve Mystery
+BB4477 Mauve Mystique
+C0ADA6 Mauve Nymph
+AB728D Mauve Orchid
+D9C4D0 Mauve Organdie
+BEBBC0 Mauve Pansy
+BB7788 Mauve Seductress
+AF8F9C Mauve Shadows
+C4BAB6 Mauve Stone
+915F6D Mauve Taupe
+E7E1E1 Mauve Tinge
+DEE3E4 Mauve White
+653C4A Mauve Wine
+EADDE1 Mauve Wisp
+90686C Mauve-a-Lish
+8A6D8B Mauveine
+D6B3C0 Mauvelous
+9D8888 Mauverine
+C4B2A9 Mauvette
+AE6A78 Mauvewood
+BB8899 Mauvey Nude
+8C8188 Mauvey Pink
+86666B Mauving Up
+C8B1C0 Maverick
+EFE9DD Mawmaw’s Pearls
+017478 Maxi Teal
+47ABCC Maximum Blue
+30BFBF Maximum Blue Green
+ACACE6 Maximum Blue Purple
+5E8C31 Maximum Green
+D9E650 Maximum Green Yellow
+6B4A40 Maximum Mocha
+FF5B00 Maximum Orange
+733380 Maximum Purple
+D92121 Maximum Red
+A63A79 Maximum Red Purple
+FAFA37 Maximum Yellow
+F2BA49 Maximum Yellow Red
+92D599 May Apple
+53CBC4 May Day
+4C9141 May Green
+A19FC8 May Mist
+FAEAD0 May Sun
+73C2FB Maya Blue
+98D2D9 Maya Green
+006B6C Mayan Blue
+655046 Mayan Chocolate
+B68C37 Mayan Gold
+6C4A43 Mayan Red
+7D6950 Mayan Ruins
+CE9844 Mayan Treasure
+F6D48D Maybe Maui
+E2D8CB Maybe Mushroom
+EDDFC9 Maybeck Muslin
+E6F0DE Mayfair White
+ED93D7 Mayflower Orchid
+696841 Mayfly
+E1E6F0 Mayon Mist
+F6EED1 Mayonnaise
+BEE8D3 Maypole
+2A407E Mazarine Blue
+5C5638 Maze
+B0907C Mazzone
+BF5BB0 Mazzy Star
+8C6338 McKenzie
+33FF11 McNuke
+FFC878 Mead
+81B489 Meadow
+7AB2D4 Meadow Blossom Blue
+E2D4AD Meadow Dew
+987184 Meadow Flower
+CCD1B2 Meadow Glen
+C1D6B1 Meadow Grass
+739957 Meadow Green
+C0D7CD Meadow Lane
+DFE9DE Meadow Light
+AC5D91 Meadow Mauve
+CCD8BA Meadow Mist
+AEBEA6 Meadow Morn
+A8AFC7 Meadow Phlox
+C5ACD0 Meadow Thistle
+8D8168 Meadow Trail
+764F82 Meadow Violet
+F7DA90 Meadow Yellow
+60A0A3 Meadowbrook
+807A55 Meadowland
+E8D940 Meadowlark
+9DA28E Meadowood
+D4E3E2 Meadowsweet Mist
+FF00AE Mean Girls Lipstick
+8F8C79 Meander
+BEDBD8 Meander Blue
+F08080 Meat
+F8EED3 Meatbun
+663311 Meatloaf
+C89134 Mecca Gold
+BD5745 Mecca Orange
+663F3F Mecca Red
+BBDDDD Mech Suit
+8D847F Mecha Grey
+D0C4D3 Mecha Kitty
+848393 Mecha Metal
+DEDCE2 Mechagodzilla
+3D4B4D Mechanicus Standard Grey
+A31713 Mechrite Red
+C3A679 Medallion
+696DB0 Mediaeval
+2E3858 Mediaeval Blue
+878573 Mediaeval Cobblestone
+007E6B Mediaeval Forest
+AC7F48 Mediaeval Gold
+A79F5C Mediaeval Sulphur
+8C7D88 Mediaeval Wine
+B8C4B8 Median Green
+95CCE4 Medical Mask
+104773 Medici Blue
+F3E9D7 Medici Ivory
+69556D Medicine Man
+99A28C Medicine Wheel
+A9AC9D Meditation
+A7A987 Meditation Time
+96AAB0 Meditative
+39636A Mediterranea
+60797D Mediterranean
+1682B9 Mediterranean Blue
+A1CFEC Mediterranean Charm
+007B84 Mediterranean Cove
+B3C3BD Mediterranean Dusk
+E0E9D3 Mediterranean Green
+BCE9D6 Mediterranean Mist
+1E8CAB Mediterranean Sea
+D0BABB Mediterranean Sunset
+2999A2 Mediterranean Swirl
+66DDAA Medium Aquamarine
+444443 Medium Black
+0000CD Medium Blue
+7F5112 Medium Brown
+E2062C Medium Candy Apple Red
+AF4035 Medium Carmine
+F3E5AC Medium Champagne
+035096 Medium Electric Blue
+EAEAAE Medium Goldenrod
+418C53 Medium Green
+7D7F7C Medium Grey
+4D6B53 Medium Grey Green
+3F4952 Medium Gunship Grey
+1C352D Medium Jungle Green
+DDA0FD Medium Lavender Magenta
+BA55D3 Medium Orchid
+0067A5 Medium Persian Blue
+F36196 Medium Pink
+9E43A2 Medium Purple
+BB3385 Medium Red Violet
+3C2005 Medium Roast
+AA4069 Medium Ruby
+FC2847 Medium Scarlet
+3CB371 Medium Sea Green
+80DAEB Medium Sky Blue
+7B68EE Medium Slate Blue
+C9DC87 Medium Spring Bud
+674C47 Medium Taupe
+DC9D8B Medium Terracotta
+48D1CC Medium Turquoise
+794431 Medium Tuscan Red
+D9603B Medium Vermilion
+C71585 Medium Violet Red
+A68064 Medium Wood
+D5D7BF Medlar
+998800 Medusa Green
+777711 Medusa’s Snakes
+EE7700 Mee-hua Sunset
+869F98 Meek Moss Green
+AB7647 Meerkat
+739DAD Meetinghouse Blue
+366FA6 Mega Blue
+ADA295 Mega Greige
+D767AD Mega Magenta
+DFCBCF Mega Metal Mecha
+C6CCD4 Mega Metal Phoenix
+0EE8A3 Mega Teal
+4A40AD Megadrive Screen
+3CBCFC Megaman
+0058F8 Megaman Helmet
+A10000 Megido Red
+FE023C Méi Gūi Hóng Red
+E03FD8 Méi Gūi Zǐ Purple
+123120 Méi Hēi Coal
+007FB9 Meissen Blue
+12390D Melancholia
+AA1133 Melancholic Macaw
+53778F Melancholic Sea
+DD8899 Melancholy
+C4C476 Mélange Green
+E0B7C2 Melanie
+282E27 Melanite Black Green
+01081C Melanophobia
+000B00 Melanous
+342931 Melanzane
+4C7C4B Melbourne
+45C3AD Melbourne Cup
+B5D96B Melissa
+F0DDA2 Mella Yella
+C9E1E0 Mellifluous Blue
+F8B878 Mellow Apricot
+D7E2DD Mellow Blue
+D5AF92 Mellow Buff
+E0897E Mellow Coral
+F8DE7F Mellow Dandelion
+FFC65F Mellow Drama
+F1DFE9 Mellow Flower
+FFCFAD Mellow Glow
+D5D593 Mellow Green
+CC4400 Mellow Mango
+E8C2B4 Mellow Marrow
+9C6579 Mellow Mauve
+EE2266 Mellow Melon
+DDEDBD Mellow Mint
+F2C996 Mellow Moment
+B1B7A1 Mellow Mood
+D9A6A1 Mellow Rose
+C3CDBA Mellow Spring
+F5D39C Mellow Sun
+E2A94F Mellowed Gold
+B6B2A1 Melmac Silver
+EEE8E8 Melodic White
+7BB5AE Melodious
+DD22AA Melodramatic Magenta
+BECBD7 Melody
+A8ACD0 Melody Purple
+FF7855 Melon
+F2BD85 Melon Balls
+74AC8D Melon Green
+F4D9C8 Melon Ice
+F9C291 Melon Melody
+F2B88C Melón Meloso
+E88092 Melon Mist
+F08F48 Melon Orange
+F1D4C4 Melon Pink
+F69268 Melon Red
+F47869 Melon Refresher
+332C22 Melon Seed
+F8B797 Melon Sorbet
+FFCD9D Melon Sprinkle
+F8E7D4 Melon Tint
+AA6864 Melon Twist
+FDBCB4 Melon Water
+EE8170 Melondrama
+C3B9DD Melrose
+B4CBE3 Melt Ice
+E3CFAB Melt With You
+FFCF53 Melted Butter
+785F4C Melted Chocolate
+CE8544 Melted Copper
+DCB7A6 Melted Ice Cream
+FEE2CC Melted Marshmallow
+F6E6C5 Melted Wax
+E9F9F5 Melting Glacier
+CAE1D9 Melting Ice
+ECEBE4 Melting Icicles
+BBA2B6 Melting Moment
+CBE1E4 Melting Point
+DAE5E0 Melting Snowman
+EAAB7D Melting Sunset
+D4B8BF Melting Violet
+79C0CC Meltwater
+95A99E Melville
+ECF0DA Memoir
+CF8A8D Memorable Rose
+091101 Memorial Black
+E8DEDA Memories
+9197A4 Memorise
+C7D1DB Memory Lane
+A7C3CE Memorybook Blue
+5E9D7B Memphis Green
+5D5F73 Men’s Night
+69788A Menacing Clouds
+837A64 Mendocino Hills
+F3E8B8 Menoth White Base
+F0F1CE Menoth White Highlight
+DEB4C5 Mental Floss
+EAEEDE Mental Note
+C1F9A2 Menthol
+9CD2B4 Menthol Green
+A0E2D4 Menthol Kiss
+9A1115 Mephiston Red
+ACA495 Mercer Charcoal
+0343DF Merchant Marine Blue
+B6B0A9 Mercurial
+EBEBEB Mercury
+CEC9CA Mercury Glass
+89C8C3 Mercury Mist
+650021 Merguez
+877272 Meridian
+7BC8B2 Meridian Star
+FF9408 Merin’s Fire
+F3E4B3 Meringue
+C2A080 Meringue Tips
+E1DBD0 Merino
+CFC1AE Merino Wool
+AAE1CE Meristem
+4F4E48 Merlin
+EFE2D9 Merlin’s Beard
+9F8898 Merlin’s Choice
+89556E Merlin’s Cloak
+444C8F Merlin’s Robe
+730039 Merlot
+712735 Merlot Fields
+B64055 Merlot Magic
+817A65 Mermaid
+004477 Mermaid Blues
+FCB39A Mermaid Cheeks
+0088BB Mermaid Dreams
+00776F Mermaid Harbour
+22CCCC Mermaid Net
+297F6D Mermaid Sea
+25AE8E Mermaid Song
+D9E6A6 Mermaid Tears
+1FAFB4 Mermaid Treasure
+8AA786 Mermaid’s Cove
+59C8A5 Mermaid’s Kiss
+337B35 Mermaid’s Tail
+70859B Merman
+CED3C1 Merry Music
+EAC8DA Merry Pink
+A5D0AF Merrylyn
+BCA177 Mesa
+F2EBD6 Mesa Beige
+C19180 Mesa Peach
+DDB1A8 Mesa Pink
+92555B Mesa Red
+772F39 Mesa Ridge
+EEB5AF Mesa Rose
+DCB49D Mesa Sand
+EA8160 Mesa Sunrise
+A78B71 Mesa Tan
+CDBDAD Mesa Tumbleweed
+7F976C Mesa Verde
+9DB682 Mesclun Green
+1F0B1E Meški Black
+8E9074 Mesmerise
+804040 Mesopotamian Dagger
+997700 Mesozoic Green
+E3C8B1 Mesquite Powder
+37B8AF Message Green
+7D745E Messenger Bag
+FEE2BE Messinesi
+BABFBC Metal
+9C9C9B Metal Chi
+2F2E1F Metal Construction Green
+244343 Metal Deluxe
+838782 Metal Flake
+837E74 Metal Fringe
+A2C3DB Metal Gear
+677986 Metal Grey
+B090B2 Metal Petal
+EEFF99 Metal Spark
+34373C Metalise
+BCC3C7 Metallic
+4F738E Metallic Blue
+554A3C Metallic Bronze
+6E3D34 Metallic Copper
+D4AF37 Metallic Gold
+24855B Metallic Green
+CDCCBE Metallic Mist
+0A7E8C Metallic Seaweed
+9C7C38 Metallic Sunburst
+A9959F Metamorphosis
+BB7431 Meteor
+5533FF Meteor Shower
+4A3B6A Meteorite
+414756 Meteorite Black Blue
+596D69 Meteorological
+CC2233 Methadone
+0074A8 Methyl Blue
+828393 Metro
+F83800 Metroid Red
+61584F Metropolis
+99A1A5 Metropolis Mood
+3E4244 Metropolitan Silhouette
+EEECE7 Metropolitan White
+F9E1D4 Mette Penne
+DF7163 Mettwurst
+E39B99 Mexicali Rose
+D16D76 Mexican Chile
+6F5A48 Mexican Chocolate
+FFB9B2 Mexican Milk
+C99387 Mexican Moonlight
+FCD8DC Mexican Mudkip
+E4007C Mexican Pink
+5A3C55 Mexican Purple
+9B3D3D Mexican Red
+C6452F Mexican Red Papaya
+AF9781 Mexican Sand
+DAD4C5 Mexican Sand Dollar
+CECEC8 Mexican Silver
+D68339 Mexican Spirit
+EC9F76 Mexican Standoff
+DAD7AD Mǐ Bái Beige
+E8AF45 Mì Chéng Honey
+FD8973 Miami Coral
+17917F Miami Jade
+F7931A Miami Marmalade
+F7C3DA Miami Pink
+907A6E Miami Spice
+F5D5B8 Miami Stucco
+6EC2B0 Miami Teal
+EDE4D3 Miami Weiss
+CCCCEE Miami White
+70828F Mica Creek
+C5DACC Micaceous Green
+CDC7BD Micaceous Light Grey
+B7B4B1 Michigan Avenue
+BABCC0 Microchip
+556E6B Micropolis
+EE172B MicroProse Red
+2D5254 Microwave Blue
+276AB3 Mid Blue
+553333 Mid Century
+AE5C1B Mid Century Furniture
+779781 Mid Cypress
+50A747 Mid Green
+5F5F6E Mid Grey
+CFF7EF Mid Spring Morning
+C4915E Mid Tan
+81B39C Mid-century Gem
+F6B404 Midas Finger Gold
+E8BD45 Midas Touch
+F7D78A Midday
+FFE1A3 Midday Sun
+7ED4E6 Middle Blue
+8DD9CC Middle Blue Green
+8B72BE Middle Blue Purple
+7C6942 Middle Ditch
+4D8C57 Middle Green
+ACBF60 Middle Green Yellow
+D982B5 Middle Purple
+E58E73 Middle Red
+210837 Middle Red Purple
+C85179 Middle Safflower
+FFEB00 Middle Yellow
+ECB176 Middle Yellow Red
+A2948D Middle-Earth
+C7AB84 Middlestone
+AA8ED6 Middy’s Purple
+03012D Midnight
+534657 Midnight Affair
+853C69 Midnight Aubergine
+585960 Midnight Badger
+020035 Midnight Blue
+979FBF Midnight Blush
+706048 Midnight Brown
+3C574E Midnight Clover
+112473 Midnight Crest
+002233 Midnight Dreams
+0C121B Midnight Edition
+2B3458 Midnight Escapade
+403C40 Midnight Escape
+21263A Midnight Express
+685D49 Midnight Forest
+637057 Midnight Garden
+004953 Midnight Green
+666A6D Midnight Grey
+3E505F Midnight Haze
+3B484F Midnight Hour
+4E5A59 Midnight in NY
+DD8866 Midnight in Saigon
+435964 Midnight in the Tropics
+000088 Midnight in Tokyo
+32496F Midnight Interlude
+484D61 Midnight Iris
+0B0119 Midnight Jam
+46474A Midnight Magic
+2C2E47 Midnight Masquerade
+002266 Midnight Melancholia
+880044 Midnight Merlot
+001F3F Midnight Mirage
+1C0F33 Midnight Monarch
+3D5267 Midnight Mosaic
+242E28 Midnight Moss
+364251 Midnight Navy
+0F2D4D Midnight Ocean
+0B0C14 Midnight Oil
+5F6C74 Midnight Pearl
+372D52 Midnight Pie
+17240B Midnight Pines
+280137 Midnight Purple
+565B8D Midnight Sea
+41434E Midnight Serenade
+566373 Midnight Shadow
+546473 Midnight Show
+424753 Midnight Sky
+243A5E Midnight Sleigh
+225374 Midnight Sonata
+555B53 Midnight Spruce
+4E5A6D Midnight Sun
+476062 Midnight Teal
+2A2243 Midnight Velvet
+6A75AD Midnight Violet
+2A603B Midori
+3EB370 Midori Green
+F6D9A9 Midsummer
+88CC44 Midsummer Field
+EAB034 Midsummer Gold
+0011EE Midsummer Nights
+B1A4B4 Midsummer Twilight
+B4D0D9 Midsummer’s Dream
+B5A18A Midtown
+DD1100 Midwinter Fire
+A5D4DC Midwinter Mist
+8F7F85 Mighty Mauve
+000133 Mighty Midnight
+283482 Migol Blue
+3F3623 Mikado
+A7A62D Mikado Green
+FFC40C Mikado Yellow
+F08300 Mikan Orange
+11EE55 Mike Wazowski Green
+EEE1DC Milady
+F6F493 Milan
+C1A181 Milano
+9E3332 Milano Red
+CBD5DB Mild Blue
+A2ADD0 Mild Blue Yonder
+8EBBAC Mild Evergreen
+789885 Mild Green
+F27362 Mild Heart Attack
+87F8A3 Mild Menthol
+DCE6E3 Mild Mint
+F3BB93 Mild Orange
+667960 Mildura
+829BA0 Miles
+7F848A Milestone
+229955 Militant Vegan
+667C3E Military Green
+706043 Military Olive
+FDFFF5 Milk
+E9E1DF Milk and Cookies
+F7E4C2 Milk and Honey
+DCE3E7 Milk Blue
+8F7265 Milk Brownie Dough
+7F4E1E Milk Chocolate
+966F5D Milk Coffee Brown
+F6FFE8 Milk Foam
+FFEECC Milk Froth
+FAF7F0 Milk Jug
+FAF3E6 Milk Moustache
+EFE9D9 Milk Paint
+FFF4D3 Milk Punch
+F5DEAE Milk Quartz
+F5EDE2 Milk Star White
+9E9B88 Milk Thistle
+D1B39C Milk Toast
+FAEBD7 Milk Tooth
+DCD9CD Milk White
+F0CDD2 Milkshake Pink
+E3E8D9 Milkweed
+95987E Milkweed Pod
+916981 Milkwort Red
+E2DCD4 Milky
+038487 Milky Aquamarine
+72A8BA Milky Blue
+C6D4C9 Milky Green
+AEA3D0 Milky Lavender
+F9D9A0 Milky Maize
+C3B1AF Milky Skies
+6BB3DB Milky Waves
+E8F4F7 Milky Way
+FAEFD5 Milky Way Galaxy
+F8DD74 Milky Yellow
+876E59 Mill Creek
+595648 Millbrook
+EFC87D Mille-Feuille
+939796 Millennial Greige
+7B7B7D Millennial Grey
+F6C8C1 Millennial Pink
+8C9595 Millennium Silver
+999999 Million Grey
+B6843C Millionaire
+B9D4DE Millstream
+99BD91 Milly Green
+689663 Milpa
+B4B498 Milton
+BB7722 Milvus Milvus Orange
+2269CA Mimesia Blue
+FFDAE9 Mimi Pink
+EE8811 Mimolette Orange
+F5E9D5 Mimosa
+DFC633 Mimosa Yellow
+BDB387 Minced Ginger
+B66A3C Mincemeat
+DAEA6F Mindaro
+C8AC82 Mindful
+BDB5AD Mindful Grey
+8E8583 Mine Rock
+373E41 Mine Shaft
+6C6B65 Mined Coal
+D3CEC5 Miner’s Dust
+D7D1C5 Mineral
+D8C49F Mineral Beige
+6D9192 Mineral Blue
+4D3F33 Mineral Brown
+ABB0AC Mineral Deposit
+FCE8CE Mineral Glow
+506355 Mineral Green
+B2B6AC Mineral Grey
+B35457 Mineral Red
+EDF2EC Mineral Spring
+B18B32 Mineral Umber
+DFEBD6 Mineral Water
+DCE5D9 Mineral White
+D19A3B Mineral Yellow
+B5DEDA Minerva
+C72616 Minestrone
+8F1CAE Minesweeper’s Purple
+FA0103 Minesweeper’s Red
+407577 Ming
+41B57E Ming Green
+8AADCF Mini Bay
+96D7DB Mini Blue
+FBF6DE Mini Cake
+9FC5AA Mini Green
+E5BEBA Miniature Posey
+D3DFEA Minified Ballerina Blue
+B3DBEA Minified Blue
+F2DDE1 Minified Blush
+DED9DB Minified Cinnamon
+DDE8E0 Minified Green
+C1E3E9 Minified Jade
+EBF5DE Minified Lime
+E6DFE8 Minified Magenta
+DDF3E5 Minified Malachite
+E5DBDA Minified Maroon
+E0DCE4 Minified Mauve
+E4EBDC Minified Mint
+E3E8DB Minified Moss
+E9E6D4 Minified Mustard
+E1DEE7 Minified Purple
+F4EBD4 Minified Yellow
+F3EECD Minimal
+948D99 Minimal Grey
+F2CFE0 Minimal Rose
+CABEAD Minimalist
+E9ECE5 Minimalistic
+E8D3BA Minimum Beige
+FECE4E Minion Yellow
+F3DD51 Minions
+8A7561 Mink
+67594C Mink Brown
+D7CFC6 Mink Frost
+C5B29F Mink Haze
+7F7674 Mink Suede
+9B9FB5 Minnesota April
+B7DFE8 Minor Blue
+4A120D Minotaur Hide
+734B42 Minotaur Red
+882211 Minotaurus Brown
+3E3267 Minsk
+118800 Minstrel of the Woods
+C89697 Minstrel Rose
+3EB489 Mint
+7EFFBA Mint Bliss
+D7C2CE Mint Blossom Rose
+BCE0DF Mint Blue
+7DB6A8 Mint Bonbon Green
+E6FDF1 Mint Chiffon
+CFEBEA Mint Chip
+A9CEAA Mint Circle
+B8E2B0 Mint Cocktail Green
+CCFFEE Mint Coffee
+6CBBA0 Mint Cold Green
+DFFBF3 Mint Condition
+F5FFFA Mint Cream
+DFEADB Mint Emulsion
+E6F3E7 Mint Fizz
+DCF4E6 Mint Flash
+D0EBC8 Mint Frappé
+C1BFA5 Mint Frost
+B1D9C4 Mint Gala
+C8F3CD Mint Gloss
+E2F0E0 Mint Grasshopper
+487D4A Mint Green
+BDE8D8 Mint Ice
+98CDB5 Mint Ice Cream
+C9CAA1 Mint Ice Green
+C5DCC6 Mint Intermezzo
+45CEA2 Mint Jelly
+DEF0A3 Mint Julep
+00CFB0 Mint Leaf
+6A7D4E Mint Leaves
+AFEEEE Mint Macaron
+7DD7C0 Mint Majesty
+B9E0D3 Mint Mist
+00DDCC Mint Morning
+B4CCBD Mint Mousse
+BBE6BB Mint Parfait
+DAEED3 Mint Shake
+C5E6D1 Mint Smoothie
+CBD5B1 Mint Soap
+95B090 Mint Stone
+AFEEE1 Mint Tea
+98FF97 Mint to Be
+99EEAA Mint Tonic
+C6EADD Mint Tulip
+98CBBA Mint Twist
+DCE5D8 Mint Wafer
+C9E5DA Mint Whisper
+CCFFDD Mint Zest
+B6E9C8 Mint-o-licious
+78BFB2 Mintage
+AFFFD5 Mintastic
+E0EAD8 Minted
+26A6BE Minted Blue
+B32651 Minted Blueberry Lemonade
+6EC9A3 Minted Elegance
+D8F3EB Minted Ice
+C1C6A8 Minted Lemon
+ABF4D2 Mintie
+7CBBAE Mintnight
+80D9CC Mintos
+D2E2D5 Minty Delight
+D2F2E7 Minty Fresh
+DBE8CF Minty Frosting
+0BF77D Minty Green
+00FFBB Minty Paradise
+A5B6CF Minuet
+777BA9 Minuet Lilac
+B38081 Minuet Rose
+E8E6E7 Minuet White
+D47791 Minuette
+F2E4F5 Minute Mauve
+886793 Mirabella
+F3BE67 Mirabelle Yellow
+898696 Miracle
+255BA2 Miracle at Wrigley
+799292 Miracle Bay
+617BA6 Miracle Elixir
+BCDCCD Mirador
+373F43 Mirage
+4F938F Mirage Lake
+7B1C6E Mirage of Violets
+614251 Miranda’s Spike
+D6D4D7 Mirror Ball
+7AA8CB Mirror Lake
+A8B0B2 Mirror Mirror
+8E876E Mirrored Willow
+C2AFBA Mischief
+954738 Mischief Maker
+B7BAB9 Mischief Mouse
+DFF2DD Mischievous
+A5A9B2 Mischka
+D4BA9E Mish Mosh
+EFF0C0 Missed
+6F5D57 Missing Link
+9BA9AB Mission Bay Blue
+775C47 Mission Brown
+818387 Mission Control
+F3D1B3 Mission Courtyard
+B78D61 Mission Gold
+B29C7F Mission Hills
+456252 Mission Jewel
+DAC5B6 Mission Stone
+DAC6A8 Mission Tan
+874C3E Mission Tile
+857A64 Mission Trail
+E2D8C2 Mission White
+9E5566 Mission Wildflower
+99886F Mississippi Mud
+3B638C Mississippi River
+A6A19B Missouri Mud
+E4EBE7 Mist Spirit
+F8EED6 Mist Yellow
+D7E7E6 Misted Aqua
+A2B7CF Misted Eve
+E1ECD1 Misted Fern
+DAB965 Misted Yellow
+8AA282 Mistletoe
+98B489 Mistletoe Kiss
+5A8065 Mistletoe Whisper
+B8BFCC Mistral
+CDD2D2 Misty
+C6DCC7 Misty Afternoon
+BCDBDB Misty Aqua
+F1EEDF Misty Beach Cattle
+D2D59B Misty Bead
+B4C4C3 Misty Blue
+DDC9C6 Misty Blush
+D5D9D3 Misty Coast
+83BBC1 Misty Cold Sea
+E4E5E0 Misty Dawn
+ADC2BE Misty Dreams
+CDE7DB Misty Glen
+65434D Misty Grape
+65769A Misty Harbour
+CEC9C3 Misty Haze
+DCE5CC Misty Hillside
+C5E4DC Misty Isle
+ACD0BB Misty Jade
+C2D5C4 Misty Lake
+DBD9E1 Misty Lavender
+DFFAE1 Misty Lawn
+B9B1C2 Misty Lilac
+E4BDA8 Misty Loch
+D3E1D3 Misty Marsh
+BEC0B0 Misty Meadow
+EAC3D2 Misty Memories
+CBCDBE Misty Memory
+DBC6B9 Misty Mink
+DEECDA Misty Mint
+E5E0CC Misty Moonstone
+718981 Misty Moor
+E7E1E3 Misty Morn
+B2C8BD Misty Morning
+BAC1CC Misty Morning Dew
+BBB477 Misty Moss
+C0D0E6 Misty Mountains
+F7EBD1 Misty Mustard
+FFE4E1 Misty Rose
+B5C8C9 Misty Surf
+BDC389 Misty Valley
+DBD7E4 Misty Violet
+0D789F Mitchell Blue
+878787 Mithril
+BBBBC1 Mithril Silver
+CCCCBA Mix or Match
+96819A Mixed Berries
+6A4652 Mixed Berry Jam
+F9BAB2 Mixed Fruit
+719166 Mixed Veggies
+6E8659 Mixedwood Leaf
+E4030F Miyamoto Red
+6FEA3E Miyazaki Verdant
+70C1E0 Mizu
+A7DBED Mizu Cyan
+749F8D Mizuasagi Green
+1A3F2C Mizukaze Green
+3E6A6B Moat
+605A67 Mobster
+DDE8ED Moby Dick
+FBEBD6 Moccasin
+9D7651 Mocha
+8D8171 Mocha Accent
+847569 Mocha Bean
+9A6340 Mocha Bisque
+6B565E Mocha Brown
+BEAF93 Mocha Cake
+F1D96E Mocha Dandelion
+8E664E Mocha Delight
+BBA28E Mocha Foam
+773322 Mocha Glow
+DFD2CA Mocha Ice
+82715F Mocha Latte
+8B6B58 Mocha Madness
+88796D Mocha Magic
+996E5B Mocha Mousse
+926F53 Mocha Syrup
+AC9680 Mocha Tan
+918278 Mocha Wisp
+945200 Mochaccino
+8EFA00 Mochito
+FF9863 Mock Orange
+D8583C Mod Orange
+31A6D1 Modal
+40A6AC Modal Blue
+96711F Mode Beige
+484F49 Model T
+E9DECF Moderate White
+AD9167 Modern Avocado
+BAD1E9 Modern Blue
+D5CEC2 Modern Grey
+BEA27D Modern History
+F5ECDC Modern Ivory
+A8AAB3 Modern Lavender
+88A395 Modern Mint
+9D8376 Modern Mocha
+D6D6D1 Modern Monument
+E0DEB2 Modern Zen
+745B49 Moderne Class
+838492 Modest Mauve
+C7C0BC Modest Silver
+E9E4EF Modest Violet
+E6DDD4 Modest White
+EEA59D Modestly Peach
+D4C7D9 Modesty
+C3B68B Modish Moss
+F19172 Moegi Green
+553311 Moelleux au Chocolat
+C8A692 Moenkopi Soil
+DDCC00 Mogwa-Cheong Yellow
+BFA59E Mohair Mauve
+A78594 Mohair Pink
+97B2B7 Mohair Soft Blue Grey
+A79B7E Mohalla
+BEADB0 Moire
+665D63 Moire Satin
+DBDB70 Moist Gold
+E0E7DD Moist Silver
+004422 Moisty Mire
+BEA684 Mojave Desert
+B99178 Mojave Dusk
+BF9C65 Mojave Gold
+AA6A53 Mojave Sunset
+E4F3E0 Mojito
+97463C Mojo
+574A47 Molasses
+8B714B Molasses Cookie
+392D2B Mole
+938F8A Mole Grey
+B0A196 Moleskin
+E6BCA0 Mollusca
+E3EFE3 Molly Green
+4D8B72 Molly Robins
+C69C04 Molten Bronze
+BB7A39 Molten Caramel
+FF5800 Molten Core
+E8C690 Molten Gold
+E1EDE6 Molten Ice
+B5332E Molten Lava
+686A69 Molten Lead
+EAB781 Mom’s Apple Pie
+FFD4BB Mom’s Love
+F5C553 Mom’s Pancake
+8FC1E5 Moment of Grace
+57493D Momentous Occasion
+746F5C Momentum
+F47983 Momo Peach
+542D24 Momoshio Brown
+C45971 Mon Cher Ami
+FF9889 Mona Lisa
+ABD4E6 Monaco
+274376 Monaco Blue
+6B252C Monarch
+B7813C Monarch Gold
+BF764C Monarch Migration
+EFA06B Monarch Orange
+543941 Monarch Velvet
+FF8D25 Monarch Wing
+8CB293 Monarch’s Cocoon
+4B62D2 Monarchist
+9093AD Monarchy
+41363A Monastery Mantle
+ABA9D2 Monastic
+B78999 Monastir
+9BB9AE Moncur
+554D42 Mondo
+0F478C Mondrian Blue
+C3CFDC Monet
+CDD7E6 Monet Lily
+C1ACC3 Monet Magic
+EEF0D1 Monet Moonrise
+92DBC4 Monet Vert
+DDE0EA Monet’s Lavender
+7B9A6D Money
+AABE49 Money Banks
+C9937A Money Tree
+777700 Mongolian Plateau
+A58B6F Mongoose
+6E6355 Monk’s Cloth
+553B39 Monkey Island
+BF6414 Monkey King
+63584C Monkey Madness
+AC9894 Monkeypod
+704822 Monks Robe
+595747 Monogram
+A1BCD8 Monologue
+B8BCBB Monorail Silver
+DEC1B8 Monroe Kiss
+7A7679 Monsoon
+839AB0 Monsoon Season
+2F8351 Monster Monstera
+5F674B Monstera
+75BF0A Monstera Deliciosa
+22CC11 Monstrous Green
+9EB6D8 Mont Blanc
+F2E7E7 Mont Blanc Peak
+8190A4 Montage
+393B3C Montana
+76627C Montana Grape
+6AB0B9 Montana Sky
+E2AC6E Montana Wheat Field
+BBAD9E Montauk Sands
+7AC5B4 Monte Carlo
+B6A180 Montecito
+3FBABD Montego Bay
+946E5C Monterey Brown
+7D4235 Monterey Chestnut
+E0DFEA Monterey Mist
+D2CDB6 Montezuma
+EECC44 Montezuma Gold
+A6B2A4 Montezuma Hills
+D9AD9E Montezuma’s Castle
+5879A2 Montreux Blue
+9D6A73 Montrose Rose
+84898C Monument
+D3C190 Monument Green
+AD5C34 Monument Valley
+C7031E Monza
+FBE5BD Moo
+393F52 Mood Indigo
+FFE7D5 Mood Lighting
+7F90CB Mood Mode
+49555D Moody Black
+586E75 Moody Blues
+6586A5 Moody Indigo
+CAE2D9 Moody Mist
+4B7991 Moody Teal
+8F9294 Moody Whitby
+C7B8A9 Mooloolaba
+7D7D77 Moon Base
+C7BDC1 Moon Buggy
+FAEFBE Moon Dance
+DDD5C9 Moon Drop
+DFE5E4 Moon Garden
+BCD1C7 Moon Glass
+F5F3CE Moon Glow
+CFC7D5 Moon Goddess
+8EB8CE Moon Jellyfish
+A7A7A7 Moon Landing
+E6E6E7 Moon Lily
+FAF1DE Moon Maiden
+F4F4E8 Moon Rise
+897D76 Moon Rock
+96A5B8 Moon Shadow
+E9E3D8 Moon Shell
+CBC5BB Moon Shot
+F5F5DA Moon Sugar
+6F8588 Moon Tide
+FCF1DE Moon Valley
+8D99B1 Moon Veil
+EAF4FC Moon White
+F0C420 Moon Yellow
+C2B8AE Moonbeam
+F3DEBF Moondoggie
+65FFFF Moonglade Water
+1E2433 Moonless Mystery
+3C393D Moonless Night
+444B4A Moonless Sky
+F6EED5 Moonlight
+567090 Moonlight Blue
+D2E8D8 Moonlight Green
+C7E5DF Moonlight Jade
+CA83A7 Moonlight Mauve
+AF73B0 Moonlight Melody
+4E468B Moonlight Sonata
+999FB2 Moonlight Stroll
+F9F0DE Moonlight White
+E1C38B Moonlight Yellow
+F9F0E6 Moonlit Beach
+3E6D6A Moonlit Forest
+D28FB0 Moonlit Mauve
+30445A Moonlit Ocean
+949194 Moonlit Orchid
+205A61 Moonlit Pool
+EAEEEC Moonlit Snow
+C9D9E0 Moonmist
+8D9596 Moonquake
+C0B2D7 Moonraker
+A53F48 Moonrose
+806B77 Moonscape
+5A6E9C Moonshade
+C3C2B2 Moonshine
+3AA8C1 Moonstone
+73A9C2 Moonstone Blue
+FCF0C2 Moonstruck
+BEBEC4 Moonwalk
+A5AE9F Moonwort
+6A584D Moor Oak Grey
+3C6461 Moor Pond Green
+1F5429 Moor-Monster
+A6AB9B Moorland
+CC94BE Moorland Heather
+CFD1CA Moorstone
+725440 Moose Fur
+CAB59F Moose Mousse
+6B5445 Moose Trail
+5D5744 Moosewood
+A2DB10 Moot Green
+00EE33 Moping Green
+9955CC Morado Purple
+CEB391 Moraine
+B4CDE5 Morality
+726138 Morass
+C8BD6A Moray
+00A78B Moray Eel
+9E0E64 Morbid Princess
+2A6671 Mordant Blue
+AE0C00 Mordant Red 19
+2F5684 Mordian Blue
+DFBF9A More Cowbell
+D0AB70 More Maple
+E0E3C8 More Melon
+E6E8C5 More Mint
+8D8D8D More Than a Week
+73645C Morel
+DFCEC6 Morganite
+82979B Morning at Sea
+F4DABB Morning Blossom
+8DA399 Morning Blue
+F9E8DF Morning Blush
+E7E6DE Morning Bread
+D5E3DE Morning Breeze
+CEEEEF Morning Calm
+CED5E3 Morning Chill
+B0B9AC Morning Dew
+C6DBD6 Morning Dew White
+D0DBD7 Morning Fog
+6DAE81 Morning Forest
+EBF4DF Morning Frost
+9ED1D3 Morning Glory
+CA99B7 Morning Glory Pink
+EEF0D6 Morning Glow
+89BAB2 Morning Green
+E0E8ED Morning Haze
+C9CCC9 Morning Lake
+E0EFE9 Morning Light Wave
+EE8A67 Morning Marmalade
+E5EDF1 Morning Mist
+ADA7B9 Morning Mist Grey
+F7EECF Morning Moon
+DAD6AE Morning Moor
+ACC0BD Morning Parlour
+DEE4DC Morning Rush
+F8EAED Morning Shine
+D3DCEA Morning Shower
+FCE9DE Morning Sigh
+C7ECEA Morning Sky
+F5F4ED Morning Snow
+E4ECE9 Morning Song
+C3D1E5 Morning Star
+F3E6CE Morning Sun
+FDEFCC Morning Sunlight
+CABD94 Morning Tea
+E7D2A9 Morning Wheat
+CBCDB9 Morning Zen
+D9BE77 Morning’s Egg
+F3E2DF Morningside
+DCC6B9 Mornington
+115674 Moroccan Blue
+75583D Moroccan Blunt
+7C726C Moroccan Brown
+6B5E5D Moroccan Dusk
+6E5043 Moroccan Henna
+6D4444 Moroccan Leather
+B4C0C3 Moroccan Moderne
+EAE0D4 Moroccan Moonlight
+335E8B Moroccan Resort
+8D504B Moroccan Ruby
+BF7756 Moroccan Sky
+8F623B Moroccan Spice
+B67267 Morocco
+442D21 Morocco Brown
+96453B Morocco Red
+ECE3CC Morocco Sand
+AC8F6C Morrel
+8CB295 Morris Artichoke
+A0B8CE Morris Blue
+C2D3AF Morris Leaf
+ADA193 Morris Room Grey
+546B78 Morro Bay
+FCFCCF Morrow White
+DEAD00 Mortal Yellow
+565051 Mortar
+9E9F9E Mortar Grey
+00E6D3 MoS₂ Cyan
+007C94 Mosaic Blue
+599F68 Mosaic Green
+E8CEC5 Mosaic Pink
+1C6B69 Mosaic Tile
+204652 Moscow Midnight
+EECC77 Moscow Mule
+937C00 Moscow Papyrus
+2E4E36 Moselle Green
+005F5B Mosque
+86A852 Mosquito Fern
+009051 Moss
+A0AA9A Moss Agate
+6B7061 Moss Beach
+715B2E Moss Brown
+8AA775 Moss Candy
+42544C Moss Cottage
+7A7E66 Moss Covered
+768B59 Moss Gardens
+4A473F Moss Glen
+AFAB97 Moss Grey
+C7CAC1 Moss Ink
+C8C6B4 Moss Island
+6D7E40 Moss Landing
+DEE1D3 Moss Mist
+7E8D60 Moss Point Green
+AFB796 Moss Print
+729067 Moss Ring
+5E5B4D Moss Rock
+8F6D6B Moss Rose
+B4A54B Moss Stone
+38614C Moss Vale
+B4C2B6 Mossa
+779966 Mosslands
+8C9D8F Mossleaf
+7F805B Mosstone
+857349 Mossy
+88806F Mossy Aura
+8B8770 Mossy Bank
+83A28F Mossy Bench
+525F48 Mossy Bronze
+A4A97B Mossy Cavern
+789B4A Mossy Glossy
+9C9273 Mossy Gold
+5A7C46 Mossy Green
+867E36 Mossy Meadow
+848178 Mossy Oak
+908C7E Mossy Pavement
+A9965D Mossy Rock
+7E6C44 Mossy Shade
+BAD147 Mossy Shining Gold
+828E74 Mossy Statue
+E7F2DE Mossy White
+7A9703 Mossy Woods
+E3D6D4 Most Delicate
+575E5F Mostly Metal
+C1C1C5 Mote of Dust
+CBC1A2 Moth
+007700 Moth Green
+DAD3CB Moth Grey
+EDEBDE Moth Mist
+D00172 Moth Orchid
+CFBDBA Moth Pink
+EDF1DB Moth’s Wing
+849C8D Mother Earth
+A28761 Mother Lode
+BDE1C4 Mother Nature
+E9D5C3 Mother of Pearl
+8FD89F Mother of Pearl Green
+D1C4C6 Mother of Pearl Pink
+CCD6E6 Mother of Pearl Silver
+F7EDCA Mother’s Milk
+BCB667 Motherland
+EEDD82 Mothra Wing
+CEBBB3 Mothy
+A58E71 Motif
+495A6E Motor City Blue
+917C6F Motto
+D5A300 Mouldy Ochre
+E7EFE0 Mount Eden
+3D484C Mount Etna
+3D703E Mount Hyjal
+BAC0CD Mount Nirvana
+716646 Mount Olive
+D4FFFF Mount Olympus
+CAD3D4 Mount Sterling
+7C7B6A Mount Tam
+E6E0E0 Mountain Air
+CC7700 Mountain Ash
+3C4B6C Mountain Blueberry
+4C98C2 Mountain Bluebird
+BFB8B5 Mountain Boulder
+E2EFE8 Mountain Crystal Silver
+CFE2E0 Mountain Dew
+867965 Mountain Elk
+BDCAC0 Mountain Falls
+94B491 Mountain Fern
+383C49 Mountain Fig
+6C71A6 Mountain Flower Mauve
+F4DBC7 Mountain Fog
+4D663E Mountain Forest
+B2B599 Mountain Green
+E8E3DB Mountain Grey
+6C6E7E Mountain Haze
+EEDAE6 Mountain Heather
+A2917B Mountain Hideaway
+5C5687 Mountain Iris
+2D5975 Mountain Lake
+4CBCA7 Mountain Lake Azure
+85D4D4 Mountain Lake Blue
+75B996 Mountain Lake Green
+F4C8D5 Mountain Laurel
+A7AE9E Mountain Lichen
+8DB8D0 Mountain Main
+EFCC7C Mountain Maize
+30BA8F Mountain Meadow
+418638 Mountain Meadow Green
+385058 Mountain Midnight
+A7E0C2 Mountain Mint
+A09F9C Mountain Mist
+D4DCD1 Mountain Morn
+94A293 Mountain Moss
+908456 Mountain Olive
+7F9F97 Mountain Outlook
+5C6A6A Mountain Pass
+E9E0D4 Mountain Peak
+3B5257 Mountain Pine
+605B57 Mountain Quail
+53B8C9 Mountain Range Blue
+283123 Mountain Range Green
+75665E Mountain Ridge
+475F77 Mountain River
+868578 Mountain Road
+A3AA8C Mountain Sage
+B1AB9A Mountain Shade
+8E877F Mountain Smoke
+D9E1C1 Mountain Spring
+96AFB7 Mountain Stream
+615742 Mountain Trail
+394C3B Mountain View
+D8D0E3 Mountain’s Majesty
+997A8D Mountbatten Pink
+E9EAEB Mourn Mountain Snow
+6F5749 Mournfang Brown
+1651BD Mourning Blue
+928D88 Mourning Dove
+474354 Mourning Violet
+9E928F Mouse Catcher
+FFE5B4 Mouse Nose
+727664 Mouse Tail
+BEB1B0 Mouse Trap
+6D2A13 Moussaka
+E8CEF6 Mousse aux Pruneaux
+5C4939 Mousy Brown
+5C544E Mousy Indigo
+BF9005 Moutarde de Bénichon
+4EFFCD Move Mint
+9CCE9E Mover & Shaker
+B2BFD5 Movie Magic
+C52033 Movie Star
+A9B49A Mow the Lawn
+627948 Mown Grass
+E6D3BB Mown Hay
+E5DAD8 Moxie
+485480 Mozart
+E39B7A Mozzarella Covered Chorizo
+A3C5DB Mr Frosty
+E4B857 Mr Mustard
+C0D5EF Mr. Glass
+DBDBD4 Mr. Kitty
+D04127 Mr. Krabs
+FF00AA Ms. Pac-Man Kiss
+18453B MSU Green
+597766 Mt Burleigh
+E7E9E6 Mt. Hood White
+7F8181 Mt. Rushmore
+F1F2D3 Mǔ Lì Bái Oyster
+70543E Mud
+966544 Mud Ball
+7C6841 Mud Bath
+D0C8C4 Mud Berry
+60460F Mud Brown
+606602 Mud Green
+847146 Mud House
+9D9588 Mud Pack
+DCC0C3 Mud Pink
+B6B5B1 Mud Pots
+9D958B Mud Puddle
+60584B Mud Room
+C18136 Mud Yellow
+A08B76 Mud-Dell
+A46960 Mudbrick
+5A5243 Muddled Basil
+A13905 Muddy
+886806 Muddy Brown
+3F6976 Muddy Cyan
+657432 Muddy Green
+E4B3CC Muddy Mauve
+C3988B Muddy Mire
+805C44 Muddy Mississippi
+4B5D46 Muddy Olive
+715D3D Muddy River
+E2BEB4 Muddy Rose
+A9844F Muddy Waters
+BFAC05 Muddy Yellow
+B8D0DA Mudra
+897A69 Mudskipper
+84735F Mudslide
+84846F Mudstone
+9E7E53 Muesli
+F9DDC7 Muffin Magic
+F5E0D0 Muffin Mix
+DADBE2 Muffled White
+448800 Mughal Green
+A38961 Mukluks
+920A4E Mulberry
+956F29 Mulberry Brown
+AD6EA0 Mulberry Bush
+463F60 Mulberry Mauve Black
+9F556C Mulberry Mix
+4A3C62 Mulberry Purple
+94766C Mulberry Silk
+C6BABE Mulberry Stain
+C57F2E Mulberry Thorn
+997C85 Mulberry Wine
+5C0536 Mulberry Wood
+C54B8C Mulberry Yoghurt
+4E4240 Mulch
+827B77 Mule
+884F40 Mule Fawn
+C2B332 Mulgore Mustard
+A18162 Mulled Cider
+675A74 Mulled Grape
+763D57 Mulled Plum
+D5A579 Mulled Spice
+524D5B Mulled Wine
+CA4042 Mullen Pink
+C18654 Mulling Spice
+CCD0DD Multnomah Falls
+55BB00 Mulu Frog
+824B27 Mummy Brown
+828E84 Mummy’s Tomb
+F23E67 Munch on Melon
+9BB139 Munchkin
+CAC76D Mung Bean
+0093AF Munsell Blue
+EFCC00 Munsell Yellow
+D2A172 Muntok White Pepper
+C5D6EE Murano Soft Blue
+4F284B Murasaki
+884898 Murasaki Purple
+AC7E04 Murder Mustard
+B3205F Murderous Magenta
+5B8D6B Murdoch
+847EB1 Murex
+02273A Murky Depths
+6C7A0E Murky Green
+7E8177 Murky Sage
+C7CFC7 Murmur
+6B3C39 Murray Red
+F4E5AB Muscadine
+EBE2CF Muscat Blanc
+5E5067 Muscat Grape
+7B6A68 Muscatel
+9B6957 Muscovado Sugar
+E9DECB Muscovite
+A5857F Muse
+685951 Museum
+2D4436 Mushiao Green
+BDACA3 Mushroom
+977A76 Mushroom Basket
+CAB49B Mushroom Bisque
+906E58 Mushroom Brown
+D3BEAC Mushroom Cap
+8E8062 Mushroom Forest
+DBD0CA Mushroom Risotto
+F0E1CD Mushroom White
+F8EAE6 Musical Mist
+CCA195 Musk
+7E5B58 Musk Deer
+CFBFB9 Musk Dusk
+774548 Musk Memory
+4D5052 Muskeg Grey
+A57545 Muskelmannbraun
+7D6D39 Musket
+E98447 Muskmelon
+7E6F4F Muskrat
+D3D1C4 Muslin
+E0CDB1 Muslin Tint
+24342A Mussel Green
+F0E2DE Mussel White
+9B6B45 Must Love Dogs
+5E4A47 Mustang
+CEB301 Mustard
+EF8144 Mustard Crusted Salmon
+D8B076 Mustard Field
+D2BD0A Mustard Flower
+E7A733 Mustard Glaze
+A6894B Mustard Gold
+A8B504 Mustard Green
+857139 Mustard Magic
+D5A129 Mustard Musketeers
+D5BD66 Mustard Oil
+DDCC33 Mustard on Toast
+EDBD68 Mustard Sauce
+C69F26 Mustard Seed
+C5A574 Mustard Seed Beige
+E1AD01 Mustard Yellow
+C29594 Mutabilis
+91788C Muted Berry
+3B719F Muted Blue
+CF8A78 Muted Clay
+515453 Muted Ebony
+5FA052 Muted Green
+3B5698 Muted Lavender
+D0C678 Muted Lime
+B3A9A3 Muted Mauve
+66626D Muted Mulberry
+D1768F Muted Pink
+805B87 Muted Purple
+954B51 Muted Red
+93907E Muted Sage
+EE0000 MVS Red
+D3B395 My Chai
+F3C4C2 My Fair Lady
+CBB698 My Guinea Pig
+E1C6A8 My Love
+CABDCE My Mona
+CFBAA4 My Piazza
+D68B80 My Pink
+4F434E My Place or Yours
+FDAE45 My Sin
+6597AB My Skiff
+F8E7DF My Sweetheart
+387ABE Mykonos
+005780 Mykonos Blue
+284C75 Mykonos Reflection
+E0218A Myoga Purple
+21421E Myrtle
+00524C Myrtle Deep Green
+9EB3DE Myrtle Flower
+317873 Myrtle Green
+B77961 Myrtle Pepper
+8E6F76 Myself
+98817C Mystere
+826F7A Mysteria
+46394B Mysterioso
+535E63 Mysterious
+3E7A85 Mysterious Blue
+060929 Mysterious Depths
+A6A3A9 Mysterious Mauve
+0F521A Mysterious Mixture
+6F6A52 Mysterious Moss
+5C6070 Mysterious Night
+27454A Mysterious Waters
+A4CDCC Mystery
+BBEFD3 Mystery Mint
+063C89 Mystery Oceans
+D8DDDA Mystic
+48A8D0 Mystic Blue
+EAE9E1 Mystic Fog
+D8F878 Mystic Green
+D2E4EE Mystic Harbour
+8596D2 Mystic Iris
+DDE5EC Mystic Light
+E02E82 Mystic Magenta
+AD4379 Mystic Maroon
+DBB7BA Mystic Mauve
+EDEBB4 Mystic Melon
+4B2C74 Mystic Nights
+FBDDBE Mystic Opal
+D5DDE2 Mystic Pool
+FF5500 Mystic Red
+B7CAE0 Mystic River
+F8C0BA Mystic Rose
+B9E0DB Mystic Sea
+5A4742 Mystic Taupe
+F9B3A3 Mystic Tulip
+00877B Mystic Turquoise
+EBEBE9 Mystic White
+6E5881 Mystical
+B5AAA9 Mystical Grey
+E5E2E3 Mystical Mist
+745D83 Mystical Purple
+DCE3D1 Mystical Sea
+4C5364 Mystical Shade
+352B30 Mystical Shadow
+7A6A75 Mystical Trip
+2A4071 Mystification
+C9DBC7 Mystified
+C920B0 Mystifying Magenta
+A598A0 Mystique
+723D5B Mystique Violet
+657175 Myth
+4A686C Mythic Forest
+7E778E Mythical
+93A8A7 Mythical Blue
+398467 Mythical Forest
+1C2E63 Mythical Night
+FF7F49 Mythical Orange
+7A0A14 Mythical Wine
+FFCB5D Nacho
+FFBB00 Nacho Cheese
+E8E2D4 Nacre
+F6ADC6 Nadeshiko Pink
+AFC9C0 Nadia
+C90406 Naga Morich
+ED292B Naga Viper Pepper
+3D3354 Naggaroth Night
+FDEDC3 Nǎi Yóu Sè Cream
+BD4E84 Nail Polish Pink
+D9A787 Nairobi Dusk
+FCE7D3 Naive Peach
+F6EBE6 Naivete
+C93756 Nakabeni Pink
+C8A397 Naked Clay
+F7CB6E Naked Noodle
+EBB5B3 Naked Rose
+785E49 Namakabe Brown
+7B7C7D Namara Grey
+BDD8C0 Namaste
+7C6D61 Namibia
+A08DA7 Nana
+DFCBC3 Nana’s Pearls
+DE9EAA Nana’s Rose
+57B8DC Nancy
+8F423D Nandi Bear
+4E5D4E Nandor
+B89E82 Nankeen
+F2F0EA Nano White
+E3B130 Nanohanacha Gold
+7D9192 Nantucket Bay
+D0BFAA Nantucket Dune
+CABFBF Nantucket Mist
+B4A89A Nantucket Sands
+A39A87 Napa
+E1D8D5 Napa Dawn
+5B5162 Napa Grape
+534853 Napa Harvest
+CD915C Napa Sunset
+5D4149 Napa Wine
+6A5C7D Napa Winery
+EFDDC1 Napery
+2A8000 Napier Green
+FADA5F Naples Yellow
+404149 Napoleon
+2C4170 Napoleonic Blue
+FF8050 Nārangī Orange
+C39449 Narcissus
+E6E3D8 Narcomedusae
+FFC14B Nârenji Orange
+E9E6DC Narvik
+080813 Narwhal Grey
+746062 Nasake
+EDD4B1 Nashi Pear Beige
+FE5B2E Nasturtium
+E64D1D Nasturtium Flower
+87B369 Nasturtium Leaf
+869F49 Nasturtium Shoot
+70B23F Nasty Green
+5D21D0 Nasu Purple
+A17917 Nataneyu Gold
+BA9F95 Natchez
+B1A76F Natchez Moss
+3F6F98 National Anthem
+DC6B67 Native Berry
+9AA099 Native Flora
+848667 Native Henna
+D33300 Native Hue of Resolution
+A89AA7 Native Lilac
+887B69 Native Soil
+153043 NATO Blue
+555548 NATO Olive
+EBBC71 Natrolite
+C79843 Nattō
+A48B74 Natural
+DED2BB Natural Almond
+6D574D Natural Bark
+A29171 Natural Bridge
+E4717A Natural Candy Pink
+BBA88B Natural Chamois
+E3DED0 Natural Choice
+8B655A Natural Copper
+976343 Natural Cork
+A27833 Natural Evolution
+BCCD91 Natural Green
+C4C0BB Natural Grey
+82745C Natural Habitat
+91AA90 Natural Harmony
+003740 Natural Indigo
+017374 Natural Instinct Green
+A80E00 Natural Leather
+F1EBC8 Natural Light
+ECDFCF Natural Linen
+4C9C77 Natural Orchestra
+77B033 Natural Order
+4A4A43 Natural Pumice
+E7DCC1 Natural Radiance
+DCC39F Natural Rice Beige
+FCE7C5 Natural Sheepskin
+D3C5C0 Natural Silk Grey
+E5D8C2 Natural Soap
+AA838B Natural Spring
+8A8287 Natural Steel
+AEA295 Natural Stone
+DCD2C3 Natural Tan
+DBC39B Natural Twine
+006E4E Natural Watercourse
+F0E8CF Natural Whisper
+FBEDE2 Natural White
+FFF6D7 Natural Wool
+EED88B Natural Yellow
+D7E5B4 Natural Youth
+F1E0CF Naturale
+68685D Naturalism
+8B8C83 Naturalist Grey
+CED0D9 Naturally Calm
+BFD5B3 Nature
+FEB7A5 Nature Apricot
+7DAF94 Nature Green
+6C7763 Nature Lover
+7B8787 Nature Retreat
+C8C8B4 Nature Spirits
+52634B Nature Surrounds
+E6D7BB Nature Trail
+7C7A7A Nature Walk
+A6D292 Nature’s Delight
+666A60 Nature’s Gate
+99A399 Nature’s Gift
+006611 Nature’s Masterpiece
+C5D4CD Nature’s Reflection
+117733 Nature’s Strength
+CBC0AD Naturel
+BA403A Naughty Hottie
+E3CCDC Naughty Marietta
+483D8B Nauseous Blue
+2E4A7D Nautical
+1A5091 Nautical Blue
+295C7A Nautical Creatures
+AAB5B7 Nautical Star
+273C5A Nautilus
+378FB3 Navagio Bay
+EFDCC3 Navajo
+A48679 Navajo Horizon
+007C78 Navajo Turquoise
+FFDEAD Navajo White
+41729F Naval
+072688 Naval Adventures
+384B6B Naval Blue
+011C39 Naval Night
+386782 Naval Passage
+EC8430 Navel
+008A86 Navigate
+5D83AB Navigator
+01153E Navy
+E0DCCF Navy Bean
+263032 Navy Black
+2A2E3F Navy Blazer
+000080 Navy Blue
+57415C Navy Cosmos
+425166 Navy Damask
+004C6A Navy Dark Blue
+9556EB Navy Genesis Evangelion
+35530A Navy Green
+223A5E Navy Peony
+253A91 Navy Seal
+20576E Navy Teal
+203462 Navy Trim
+5DC2DB Naxos Sky
+9B7A78 Neapolitan
+4D7FAA Neapolitan Blue
+5EE7DF Near Moon
+A88E76 Nearly Brown
+EFDED1 Nearly Peach
+C8D5DD Nearsighted
+A104C3 Nebula
+281367 Nebula Night
+922B9C Nebula Outpost
+2E62A7 Nebulas Blue
+C4B9B8 Nebulous
+B3B2BF Nebulous December
+DEDFDC Nebulous White
+828B8E Necron Compound
+DEAD69 Necrophilic Brown
+ECDACD Nectar
+F0D38F Nectar Jackpot
+E3A701 Nectar of the Goddess
+513439 Nectar of the Gods
+7F4C64 Nectar Red
+D38D72 Nectarina
+FF8656 Nectarine
+D29B8D Nectarine Spice
+DD5566 Nectarous Nectarine
+B1D6DE Needed Escape
+546670 Needlepoint Navy
+C5CED8 Nefarious Blue
+E6D1DC Nefarious Mauve
+938B4B Negishi Green
+EEC7A2 Negroni
+F3C1A3 Neighbourly Peach
+337711 Nemophilist
+AAFFCC Neo Mint
+BEC0C2 Neo Tokyo Grey
+04D9FF Neon Blue
+DFC5FE Neon Boneyard
+FF9832 Neon Carrot
+FFD4A9 Neon Cloud
+FE4164 Neon Fuchsia
+39FF14 Neon Green
+09CDCD Neon Lagoon
+FFDF5E Neon Light
+95FF00 Neon Lime
+4FDCE1 Neon Nazar
+FE019A Neon Pink
+BC13FE Neon Purple
+FF073A Neon Red
+E9023A Neon Romance
+FF0080 Neon Rose
+FF629F Neon Sunset
+674876 Neon Violet
+CFFF04 Neon Yellow
+93AAB9 Nepal
+6D9288 Nephrite
+007DAC Neptune
+2E5D9D Neptune Blue
+7FBB9E Neptune Green
+003368 Neptune’s Dream
+97C0D1 Neptune’s Realm
+11425D Neptune’s Wrath
+4C793C Nereus
+252525 Nero
+318181 Nero’s Green
+FF6EC7 Nervous Neon Pink
+D7C65B Nervy Hue
+716748 Nessie
+917B68 Nest
+EEEADA Nesting Dove
+B6A194 Net Worker
+881111 Netherworld
+E0CFB0 Netsuke
+BBAC7D Nettle
+364C2E Nettle Green
+E4F7E7 Nettle Rash
+A0A5A7 Network Grey
+CAC1B1 Neutra
+9D928F Neutral Buff
+AAA583 Neutral Green
+8E918F Neutral Grey
+E2DACA Neutral Ground
+FFE6C3 Neutral Peach
+8B694D Neutral Valley
+ECEDE8 Neutral White
+01248F Neutrino Blue
+666F6F Nevada
+FFD5A7 Nevada Morning
+EAD5B9 Nevada Sand
+A1D9E7 Nevada Sky
+6E6455 Never Cry Wolf
+A67283 Never Forget
+666556 Nevergreen
+9CE5D6 Neverland
+7BC8F6 Nevermind Nirvana
+403940 Nevermore
+13181B Neverything
+496EAD New Age Blue
+6D3B24 New Amber
+BDB264 New Avocado
+D8DECE New Baby Smell
+ADAC84 New Bamboo
+934C3D New Brick
+CB4154 New Brick Red
+482427 New Bulgarian Rose
+214FC6 New Car
+A28367 New Chestnut
+EFC1B5 New Clay
+B89B6B New Cork
+EDE0C0 New Cream
+DA9A21 New England Autumn
+AD7065 New England Brick
+AA7755 New England Roast
+C9A171 New Fawn
+C2BC90 New Foliage
+47514D New Forest
+BACCA0 New Frond
+EAD151 New Gold
+B5AC31 New Green
+DBD5B7 New Growth
+EDDFC7 New Harvest Moon
+BD827F New Haven Rose
+D0E5F2 New Heights
+E2EFC2 New Hope
+F1EDE7 New House White
+4A5F58 New Hunter
+7C1C05 New Kenyan Copper
+D9C7AA New Khaki
+7C916E New Life
+9DC209 New Limerick
+C6BBDB New Love
+48C09B New Meadow
+DEAA89 New Mexico Mesa
+B2BDBB New Morn Fog
+C6D6C7 New Moss
+3B4A55 New Navy Blue
+BEC0AA New Neutral
+C3CDD2 New North
+E4C385 New Orleans
+95A294 New Patina
+A27D66 New Penny
+B1D9E9 New Prince
+EEEEE5 New Ream
+691D6C New Riders of the Purple Sage
+875251 New Roof
+869E3E New Shoot
+933C3C New Sled
+738595 New Steel
+90ABBB New Toile
+D6C1DD New Violet
+11FF11 New Wave Green
+FF22FF New Wave Pink
+D2AF6F New Wheat
+D6C3B9 New Wool
+E8C247 New Yellow
+DD8374 New York Pink
+FF0059 New York Sunset
+F0E1DF New Youth
+A0C4BE New-Age Green
+616550 Newbury Moss
+445A79 Newburyport
+B2C7E1 Newman’s Eye
+EAE2DC Newmarket Sausage
+1C8AC9 Newport Blue
+26566E Newport Grey
+313D6C Newport Indigo
+756F6D Newsprint
+29A98B Niagara
+CBE3EE Niagara Falls
+C5E8EE Niagara Mist
+7DC734 Niblet Green
+107AB0 Nice Blue
+FAECD1 Nice Cream
+DBA37E Nice Tan
+E6DDD5 Nice White
+65758F Niche
+84979A Nichols Beach
+909062 Nick’s Nook
+929292 Nickel
+537E7E Nickel Ore Green
+C1C6BF Nickel Plate
+CC7755 Nicotine Glaze
+EEBB33 Nicotine Gold
+B6C3C4 Niebla Azul
+019187 Nifty Turquoise
+613E3D Night Bloom
+F9F7EC Night Blooming Jasmine
+040348 Night Blue
+44281B Night Brown
+322D25 Night Brown Black
+494B4E Night Club
+201B20 Night Demons
+003355 Night Dive
+20586D Night Edition
+572E89 Night Fever
+434D5C Night Flight
+2D1962 Night Fog
+49646D Night Folly
+302F27 Night Green
+45444D Night Grey
+615D5C Night Gull Grey
+324AB2 Night in Manchester
+443300 Night in the Woods
+005572 Night Kite
+F8E8CD Night Light
+4C6177 Night Market
+508793 Night Masque
+5D3B41 Night Mauve
+5E5C50 Night Mission
+234E86 Night Mode
+9C96AF Night Music
+4F4F5E Night Night
+898487 Night on the Moors
+656A6E Night Out
+5D7B89 Night Owl
+11FFBB Night Pearl
+3C2727 Night Red
+66787E Night Rendezvous
+332E2E Night Rider
+715055 Night Romance
+B0807A Night Rose
+0E737E Night Scape
+A23D54 Night Shadz
+2A5C6A Night Shift
+292B31 Night Sky
+756968 Night Skyscraper
+AACCFF Night Snow
+254A57 Night Swim
+6B7BA7 Night Thistle
+455360 Night Tide
+4B7689 Night Train
+003833 Night Turquoise
+465560 Night View
+77BB55 Night Vision
+3C4F4E Night Watch
+E1E1DD Night White
+D7E2DB Night Wind
+313740 Night Wizard
+934C1D Nightcap
+43535E Nightfall
+0011DD Nightfall in Suburbia
+615452 Nighthawk
+234C47 Nighthawks
+5C4827 Nightingale
+BAAEA3 Nightingale Grey
+27426B Nightlife
+536078 Nightly
+2E5090 Nightly Activities
+9BEEC1 Nightly Aurora
+5A7D9A Nightly Blade
+0433FF Nightly Escapade
+221188 Nightly Expedition
+444940 Nightly Ivy
+4F5B93 Nightly Silhouette
+784384 Nightly Violet
+391531 Nightly Voyager
+544563 Nightly Walk
+013220 Nightly Woods
+112211 Nightmare
+293135 Nightmare Fuel
+3C464B Nightshade
+1B1811 Nightshade Berries
+535872 Nightshade Purple
+A383AC Nightshade Violet
+555971 Nightshadow Blue
+161D3B Nightwalker
+931121 Nigritella Red
+A0D6B4 Nihilakh Oxide
+0055FF Nīlā Blue
+AFB982 Nile
+8B8174 Nile Clay
+99BE85 Nile Green
+968F5F Nile Reed
+9AB6A9 Nile River
+BBAD94 Nile Sand
+61C9C1 Nile Stone
+F1EBE0 Nilla Vanilla
+747880 Nimbostratus
+4422FF Nimbus Blue
+C8C8CC Nimbus Cloud
+F5E3EA Nina
+46434A Nine Iron
+FFEF19 Níng Méng Huáng Lemon
+020308 Ninja
+75528B Ninja Princess
+94B1A9 Ninja Turtle
+E5AA70 Ninjin Orange
+BB7777 Nipple
+BC002C Nippon
+A2919B Nirvana
+64A5AD Nirvana Jewel
+43242A Nisemurasaki Purple
+056EEE Níu Zǎi Sè Denim
+404C02 No Emissions Green
+A33F40 No More Drama
+FFD6DD No Need to Blush
+FBAA95 No Way Rosé
+F8E888 No$GMB Yellow
+F8D68B №5
+A99D9D Nobel
+ECDEC5 Nobility
+414969 Nobility Blue
+202124 Noble Black
+697991 Noble Blue
+E8B9B2 Noble Blush
+990C0D Noble Cause
+7E1E9C Noble Cause Purple
+6D4433 Noble Chocolate
+E1DACE Noble Cream
+8D755D Noble Crown
+627B44 Noble Eric
+5A736D Noble Fir
+C1BEB9 Noble Grey
+51384A Noble Hatter’s Violet
+69354F Noble Honour
+394D78 Noble Knight
+B28392 Noble Lilac
+871F78 Noble Plum
+AFB1C5 Noble Purple
+92181D Noble Red
+807070 Noble Robe
+73777F Noble Silver
+884967 Noble Tone
+524B50 Noblesse
+463636 Noblesse Oblige
+BC8E6C Nobody but Ben
+646B77 Noctis
+767D86 Nocturnal
+114C5A Nocturnal Expedition
+675754 Nocturnal Flight
+2F3738 Nocturnal Green
+CC6699 Nocturnal Rose
+0E6071 Nocturnal Sea
+344D58 Nocturne
+37525F Nocturne Blue
+7A4B56 Nocturne Red
+356FAD Nocturne Shade
+BDBEBD Noghrei Silver
+312B27 Noir
+150811 Noir Fiction
+1F180A Noir Mystique
+866745 Nom Nom
+A19986 Nomad
+7E736F Nomad Grey
+AF9479 Nomadic
+C7B198 Nomadic Desert
+DBDEDB Nomadic Dream
+D2C6AE Nomadic Taupe
+E0C997 Nomadic Travels
+357567 Nominee
+8A8DAA Non Skid Grey
+A4DDED Non-Photo Blue
+DD8811 Non-Stop Orange
+C3F400 Non-Toxic Boyfriend
+DEDDD1 Nonchalant White
+C1A65C Nonpareil Apple
+F5DDC4 Noodle Arms
+F9E3B4 Noodles
+99A9AD Nor’wester
+003333 Nora’s Forest
+1D393C Nordic
+D3DDE7 Nordic Breeze
+317362 Nordic Forest
+1FAB58 Nordic Grass Green
+003344 Nordic Noir
+43694D Nordic Pine
+7E95AB Nordland Blue
+96AEC5 Nordland Light Blue
+2E7073 Nordmann Fir
+2E4B3C Norfolk Green
+6CBAE7 Norfolk Sky
+112A12 Nori Green
+464826 Nori Seaweed Green
+E9C68E Norman Shaw Goldspar
+3D9DC2 Norse Blue
+5E7B7F North Atlantic
+3676B5 North Atlantic Breeze
+849C9D North Beach Blue
+7A9595 North Cape Grey
+6A7777 North Grey
+BCB6B4 North Island
+D8A892 North Rim
+316C69 North Sea
+343C4C North Sea Blue
+F2DEA4 North Star
+223399 North Star Blue
+059033 North Texas Green
+555A51 North Woods
+767962 Northampton Trees
+D1DCDD Northbound
+948666 Northeast Trail
+DE743C Northern Barrens Dust
+E9DAD2 Northern Beach
+BFC7D4 Northern Exposure
+536255 Northern Glen
+017466 Northern Hemisphere
+778F8E Northern Juniper
+C5C1A3 Northern Landscape
+A7AEB4 Northern Light Grey
+E6F0EA Northern Lights
+A3B9CD Northern Pond
+8DACCC Northern Sky
+9CBACD Northern Sky Blue
+FFFFEA Northern Star
+5E463C Northern Territory
+AAA388 Northgate Green
+9E9181 Northpointe
+B9F2FF Northrend
+CEE5E9 Northwind
+A4B88F Norway
+78888E Norwegian Blue
+8896AA Norwegian Night
+B4CDDE Norwegian Sky
+ACB597 Norwich Green
+FFE6EC Nosegay
+A9A8A8 Nosferatu
+426579 Noshime Flower
+D6B8BD Nostalgia
+DBDBF7 Nostalgia Perfume
+A2747D Nostalgia Rose
+666C7E Nostalgic
+47626F Nostalgic Evening
+85C8D3 Not a Cloud in Sight
+7E7D78 Not My Fault
+6A6968 Not so Innocent
+090615 Not Tonight
+B1714C Not yet Caramel
+FFC12C Not Yo Cheese
+8BA7BB Notable Hue
+E8EBE6 Notebook Paper
+770F05 Notes of Plum
+D9BACC Noteworthy
+F2DEB9 Nothing Less
+BA8686 Notice Me
+BDA998 Notorious
+664400 Notorious Neanderthal
+C6C5BC Notre Dame
+585D4E Nottingham Forest
+AE8A78 Nougat
+7C503F Nougat Brown
+686F7E Nouveau
+A05B42 Nouveau Copper
+B88127 Nouveau Green
+996872 Nouveau Rose
+FFBB77 Nouveau-Riche
+E1DCDA Nouvelle White
+D94F9A Nova Pink
+F8EED9 Nova White
+C2A4C2 Novel Lilac
+9DB9D3 Novella Blue
+E3C7B2 Novelle Peach
+515B62 Novelty Navy
+BE7767 November
+754D42 November Foliage
+F6B265 November Gold
+767764 November Green
+F1B690 November Leaf
+EDE6E8 November Pink
+7CAFB9 November Skies
+423F3B November Storms
+89A203 Noxious
+E2E0D6 Nuance
+ECF474 Nuclear Acid
+BBFF00 Nuclear Blast
+AA9900 Nuclear Fallout
+EE9933 Nuclear Mango
+44EE00 Nuclear Meltdown
+00DE00 Nuclear Throne
+7CFC00 Nuclear Waste
+E58F7C Nude Flamingo
+B5948D Nude Lips
+BC9229 Nugget
+BF961F Nugget Gold
+B48395 Nuisette
+1E488F Nuit Blanche
+14100E Nuln Oil
+171310 Nuln Oil Gloss
+E2E6DE Numero Uno
+F8F6E9 Nun Orchid
+9B8F22 Nurgle’s Rot
+B8CC82 Nurgling Green
+EFD0D2 Nursery
+EDF0DE Nursery Green
+F4D8E8 Nursery Pink
+9EBCB7 Nursery Wall
+D7DCD5 Nurture
+98B092 Nurture Green
+A1A97B Nurturing
+9D896C Nurude Brown
+9E8A6D Nut
+86695E Nut Brown
+816C5B Nut Cracker
+D7BEA4 Nut Flavour
+D9CCC8 Nut Milk
+775D38 Nut Oil
+8E725F Nuthatch
+445599 Nuthatch Back
+7E4A3B Nutmeg
+ECD9CA Nutmeg Frost
+D8B691 Nutmeg Glow
+683600 Nutmeg Wood Finish
+75663E Nutria
+514035 Nutria Fur Brown
+898C92 Nuts and Bolts
+A9856B Nutshell
+F7D4C6 Nutter Butter
+D4BCA3 Nutty Beige
+8A6F44 Nutty Brown
+E9FFDB Nyanza
+EFEAE8 NYC Apartment Wall
+F7B731 NYC Taxi
+0B0F1A Nyctophobia
+4D587A Nyctophobia Blue
+E9E3CB Nylon
+AEC2A5 Nymph Green
+7B6C8E Nymph’s Delight
+CEE0E3 Nymphaeaceae
+5F6E77 NYPD
+E1B8B5 O Fortuna
+005522 O Tannenbaum
+F3A347 O’Brien Orange
+58AC8F O’grady Green
+395643 O’Neal Green
+715636 Oak Barrel
+A18D80 Oak Brown
+CF9C63 Oak Buff
+5D504A Oak Creek
+CDB386 Oak Harbour
+BB6B41 Oak Palace
+5D4F39 Oak Plank
+C0B0AB Oak Ridge
+EED8C2 Oak Shaving
+D0C7B6 Oak Tone
+E0B695 Oakley Apricot
+6D7244 Oakmoss
+BDA58B Oakwood
+8F716E Oakwood Brown
+648D95 Oarsman Blue
+0092A3 Oasis
+FCEDC5 Oasis Sand
+47A3C6 Oasis Spring
+A2EBD8 Oasis Stream
+E1CAB3 Oat Cake
+C0AD89 Oat Field
+F7E4CD Oat Flour
+DEDACD Oat Milk
+F1D694 Oat Straw
+C8B9A4 Oatbran
+4A465A Oath
+C9C1B1 Oatmeal
+DDC7A2 Oatmeal Bath
+B7A86D Oatmeal Biscuit
+EADAC6 Oatmeal Cookie
+E7BF81 Oats and Honey
+FCD389 Oberon
+E7C492 Oberon on the Beach
+B0A3B6 Obi Lilac
+B7A8A8 Object of Desire
+BBC6DE Objectivity
+54645C Obligation
+000435 Oblivion
+88654E Obscure Ochre
+771908 Obscure Ogre
+4A5D23 Obscure Olive
+BB5500 Obscure Orange
+9D0759 Obscure Orchid
+008F70 Observatory
+AE9550 Obsession
+445055 Obsidian
+523E35 Obsidian Brown
+382B46 Obsidian Lava Black
+3F1D50 Obsidian Orchid
+372A38 Obsidian Red
+060313 Obsidian Shard
+441166 Obsidian Shell
+3C3F40 Obsidian Stone
+D7552A Obstinate Orange
+FFB077 Obtrusive Orange
+4B1E87 Occult
+005493 Ocean
+221166 Ocean Abyss
+DAE4ED Ocean Air
+0077BE Ocean Boat Blue
+A4C8C8 Ocean Boulevard
+D3E5EB Ocean Breeze
+8CADCD Ocean Bubble
+2B6C8E Ocean Call
+7896BA Ocean City
+D6DDDD Ocean Crest
+9CD4E1 Ocean Cruise
+537783 Ocean Current
+00657F Ocean Depths
+D4DDE2 Ocean Dream
+B0BEC5 Ocean Drive
+AFC3BC Ocean Droplet
+A9C7CF Ocean Eyes
+CAC8B4 Ocean Foam
+7A7878 Ocean Frigate
+B8E3ED Ocean Front
+C1CCC2 Ocean Froth
+3D9973 Ocean Green
+7FC1D8 Ocean Horizon
+68DFBB Ocean in a Bowl
+A4C3C5 Ocean Kiss
+189086 Ocean Liner
+7D999F Ocean Melody
+00748F Ocean Mirage
+637195 Ocean Night
+006C68 Ocean Oasis
+D3CFBD Ocean Pearl
+016072 Ocean Radiance
+1F989B Ocean Reef
+7594B3 Ocean Ridge
+E4D5CD Ocean Sand
+5B7886 Ocean Shadow
+34B5D5 Ocean Sigh
+C8DCD5 Ocean Silk
+41767B Ocean Slumber
+00878F Ocean Soul
+005379 Ocean Spray
+3F677E Ocean Storm
+79A2BD Ocean Surf
+727C7E Ocean Swell
+2E526A Ocean Trapeze
+62AEBA Ocean Trip
+67A6D4 Ocean Tropic
+729BB3 Ocean View
+7DBCAA Ocean Wave
+6C6541 Ocean Weed
+306A78 Ocean’s Embrace
+4F6D82 Oceanic
+BBC8C9 Oceanic Climate
+347284 Oceanic Metropolis
+1D5C83 Oceanic Motion
+172B36 Oceanic Noir
+9AD6E5 Oceano
+415F61 Oceans Deep
+015A6B Oceanside
+90ABA8 Oceanus
+F1E2C9 Ocelot
+6B6047 Ochicha Latte
+D99E73 Ochraceous Salmon
+CC7722 Ochre
+9F7B3E Ochre Brown
+CC7733 Ochre Maroon
+C77135 Ochre Pigment
+EEC987 Ochre Revival
+E96D03 Ochre Spice
+085B73 Octagon Ocean
+CCDD00 Octarine
+C67533 October
+E3C6A3 October Bounty
+D1BB98 October Harvest
+F8AC8C October Haze
+855743 October Leaves
+8FA2A2 October Sky
+357911 Odd Pea Pod
+B6E5D6 Ode to Green
+9D404A Ode to Joy
+A798C2 Ode to Purple
+FFDFBF Odious Orange
+374A5A Odyssey
+4C4E5D Odyssey Grey
+D5C6CC Odyssey Lilac
+E1C2C5 Odyssey Plum
+303030 Off Black
+5684AE Off Blue
+433F3D Off Broadway
+6BA353 Off Green
+D1CCCB Off Shore
+534C4B Off the Beaten Path
+9F9049 Off the Grid
+FFFFE4 Off White
+F1F33F Off Yellow
+003723 Off-Road Green
+FFA259 Off-The-Leash Orange
+D6D0C6 Offbeat
+9C8B1F Offbeat Green
+849DB4 Office Blue
+006C65 Office Blue Green
+00800F Office Green
+635D54 Office Grey
+FF2277 Office Neon Light
+2E4182 Official Violet
+CAD8D8 Offshore Mist
+FF714E Often Orange
+D7B235 Ogen Melon
+FD5240 Ogre Odour
+9DA94B Ogryn Camo
+D1A14E Ogryn Wash
+BBDAF8 Oh Boy!
+EDEEC5 Oh Dahling
+E3C81C Oh Em Ghee
+EEBB55 Oh My Gold
+ABCA99 Oh Pistachio
+F1C7D0 Oh so Pink
+EAC7CB Oh so Pretty
+C74536 Oh so Red
+0180AB Oh so Vo
+313330 Oil
+678F8A Oil Blue
+7B7F68 Oil Green
+3B3131 Oil Grey
+FF5511 Oil on Fire
+333144 Oil Rush
+031602 Oil Slick
+C2AB3F Oil Yellow
+83BA8E Oilcloth Green
+6C5A51 Oiled Teak
+996644 Oiled up Kardashian
+C2BE0E Oilseed Crops
+2D0F47 Oily Purple
+99AAAA Oily Steel
+5E644F Oitake Green
+D07360 OK Corral
+CD4600 Ōkaihau Express
+F5E0BA Oklahoma Wheat
+BA7D4C Okonomiyaki Brown
+3E912D Okra
+40533D Okroshka
+EFCB96 Oktoberfest
+87868F Old Amethyst
+616652 Old Army Helmet
+929000 Old Asparagus
+769164 Old Bamboo
+029386 Old Benchmark
+DBC2AB Old Bone
+7C644B Old Boot
+5E624A Old Botanical Garden
+8A3335 Old Brick
+330000 Old Brown Crayon
+43302E Old Burgundy
+A8A89D Old Celadon
+E3D6E9 Old Chalk
+DD6644 Old Cheddar
+704241 Old Coffee
+73503B Old Copper
+784430 Old Cumin
+BDAB9B Old Doeskin
+97694F Old Driftwood
+614051 Old Eggplant
+CDC4BA Old Eggshell
+82A2BE Old Faithful
+F4C6CC Old Fashioned Pink
+73486B Old Fashioned Purple
+F2B7B5 Old Flame
+757D43 Old Four Leaf Clover
+C66787 Old Geranium
+002868 Old Glory Blue
+BF0A30 Old Glory Red
+CFB53B Old Gold
+839573 Old Green
+B4B6AD Old Grey Mare
+B35E1F Old Guitar
+0063EC Old Gungeon Red
+E66A77 Old Heart
+563C5C Old Heliotrope
+FFFFCB Old Ivory
+EFF5DC Old Kitchen White
+FDF5E6 Old Lace
+FDFC74 Old Laser Lemon
+796878 Old Lavender
+A88B66 Old Leather
+AEC571 Old Lime
+4A0100 Old Mahogany
+8E2323 Old Mandarin
+D5C9BC Old Map
+673147 Old Mauve
+343B4E Old Mill
+6E6F82 Old Mill Blue
+D8C2CA Old Mission Pink
+2C5C4F Old Money
+5E5896 Old Nan Yarn
+F6EBD7 Old Pearls
+C77986 Old Pink
+EBA770 Old Plaster
+745947 Old Porch
+8272A4 Old Prune
+D8CBCF Old Red Crest
+C08081 Old Rose
+917B53 Old Ruin
+BBA582 Old Salem
+353C3D Old School
+848482 Old Silver
+918D80 Old Soul
+CFD5D1 Old Sterling
+431705 Old Study
+BB8811 Old Trail
+544333 Old Treasure Chest
+0A888A Old Truck
+6C574C Old Tudor
+687760 Old Vine
+DDAA55 Old Whiskey
+756947 Old Willow Leaf
+90091F Old Wine
+91A8CF Old World
+FEED9A Old Yella
+ECE6D7 Old Yellow Bricks
+8F6C3E Olde World Gold
+EEB76B Olden Amber
+D6B63D Oldies but Goldies
+EBD5CC Ole Pink
+C79E5F Ole Yeller
+F2CCC5 Oleander
+F85898 Oleander Pink
+665439 Oliva Oscuro
+6E592C Olivary
+808010 Olive
+5F5537 Olive Bark
+957C4C Olive Boat
+646A45 Olive Branch
+C3BEBB Olive Bread
+645403 Olive Brown
+BCD382 Olive Buff
+A6997A Olive Chutney
+E4E5D8 Olive Conquering White
+5F5D48 Olive Court
+E8ECC0 Olive Creed
+6F7632 Olive Drab
+BFAC8B Olive Gold
+716A4D Olive Grove
+888064 Olive Haze
+C9BD88 Olive Hint
+4E4B35 Olive Leaf
+C7B778 Olive Marinade
+CED2AB Olive Martini
+88432E Olive Niçoise
+565342 Olive Night
+837752 Olive Ochre
+BAB86C Olive Oil
+83826D Olive Paste
+A9A491 Olive Pit
+A4A84D Olive Reserve
+A39467 Olive Rush
+9ABF8D Olive Sand
+7F7452 Olive Sapling
+7D7248 Olive Shade
+706041 Olive Shadow
+585545 Olive Smudge
+97A49A Olive Soap
+ACAF95 Olive Sprig
+6D8E2C Olive Thrill
+EFEBD7 Olive Tint
+7E7957 Olive to the Max
+ABA77C Olive Tree
+756244 Olive Wood
+C2B709 Olive Yellow
+333311 Olivenite
+747028 Olivetone
+996622 Olivia
+9AB973 Olivine
+655867 Olivine Basalt
+928E7C Olivine Grey
+FFE6E2 Olm Pink
+84FBCE Olo
+5A6647 Olympia Ivy
+1C4C8C Olympian Blue
+4F8FE6 Olympic Blue
+9A724A Olympic Bronze
+424C44 Olympic Range
+D4D8D7 Olympus White
+4A4E5D Ombre Blue
+848998 Ombre Grey
+8CA891 OMGreen
+B5CEDF Omphalodes
+019E91 On a Whim
+C2E7E8 On Cloud Nine
+D4C6DC On Location
+948776 On the Avenue
+666D68 On the Moor
+B29AA7 On the Nile
+D0CEC8 On the Rocks
+D1E8F1 On Thin Ice
+C2E6EC Onahau
+BD2F10 Once Bitten
+0044BB Once in a Blue Moon
+65362E One Dozen
+003388 One Minute to Midnight
+DCBDAD One to Remember
+29465B One Year of Rain
+48412B Onion
+ECE2D4 Onion Powder
+47885E Onion Seedling
+EEEDDF Onion Skin
+4C5692 Onion Skin Blue
+E2D5C2 Onion White
+B0B5B5 Online
+468C3E Online Lime
+E1BC99 Only Natural
+D4CDB5 Only Oatmeal
+CBCCB5 Only Olive
+F4D1B9 Only Yesterday
+66EEBB Onsen
+777CB0 Ontario Violet
+464544 Onyx
+353839 Onyx Heart
+DCBFD5 Ooh la La
+C2BEB6 Ooid Sand
+AEE0E4 Opal
+FCEECE Opal Cream
+E95C4B Opal Flame
+157954 Opal Green
+9A9394 Opal Grey
+9DB9B2 Opal Silk
+96D1C3 Opal Turquoise
+7E8FBB Opal Violet
+B1C6D1 Opal Waters
+B4C0B6 Opalescence
+3C94C1 Opalescent
+FFD2A9 Opalescent Coral
+C1D1C4 Opaline
+A3C57D Opaline Green
+C6A0AB Opaline Pink
+C7DFE0 Open Air
+F5F1E5 Open Book
+BBA990 Open Canyon
+91876B Open Range
+83AFBC Open Seas
+F8E2A9 Open Sesame
+D0E2E8 Open Skies
+BD6426 Opening Night
+BD273A Opening Ribbon
+816575 Opera
+453E6E Opera Blue
+E5F1EB Opera Glass
+365360 Opera Glasses
+B784A7 Opera Mauve
+FF1B2D Opera Red
+3A284C Operetta Mauve
+987E7E Opium
+735362 Opium Mauve
+E9AB51 Optimist Gold
+F5E1A6 Optimistic Yellow
+465A7F Optimum Blue
+130D0D Optophobia
+D5892F Opulent
+0055EE Opulent Blue
+103222 Opulent Green
+88DD11 Opulent Lime
+462343 Opulent Mauve
+F2EBEA Opulent Opal
+F16640 Opulent Orange
+775577 Opulent Ostrich
+673362 Opulent Purple
+88DDCC Opulent Turquoise
+A09EC6 Opulent Violet
+CECAE1 Opus
+E3E1ED Opus Magnum
+395555 Oracle
+FFA500 Orange
+FAF8F7 Orange Albedo
+FF9682 Orange Aura
+FF8822 Orange Avant-Garde
+B56D41 Orange Ballad
+FF8844 Orange Bell Pepper
+F5C99B Orange Blast
+B16002 Orange Brown
+FF6E3A Orange Burst
+FDD1A4 Orange Canyon
+DE954B Orange Caramel
+FAD48B Orange Chalk
+F9AE7D Orange Chiffon
+F3C775 Orange Chocolate
+E6A57F Orange Clay
+FF550E Orange Clown Fish
+FBEBCF Orange Coloured White
+F4E3D2 Orange Confection
+FFB710 Orange Creamsicle
+EE7733 Orange Crush
+DD6600 Orange Danger
+EB7D5D Orange Daylily
+FFC355 Orange Delight
+E18E3F Orange Drop
+FE4C40 Orange Dusk
+D1907C Orange Essential
+A96F55 Orange Flambe
+FE9E13 Orange Fruit
+FFCA7D Orange Glass
+FFE2BD Orange Glow
+EE7722 Orange Gluttony
+FBAF8D Orange Grove
+FF9A45 Orange Hibiscus
+FFDEC1 Orange Ice
+FAC205 Orange Jelly
+FF9731 Orange Jewel
+FF7F00 Orange Juice
+CA5333 Orange Keeper
+BE7249 Orange Lily
+EDAA80 Orange Liqueur
+D3A083 Orange Maple
+FAAC72 Orange Marmalade
+FFBD8A Orange Mousse
+CE8C4F Orange Nectar Bat
+DA7631 Orange Ochre
+DD7700 Orange Outburst
+F49975 Orange Pecan
+FFA000 Orange Peel
+CB8D5F Orange Pekoe
+DA7D00 Orange Pepper
+FF6611 Orange Piñata
+FF6F52 Orange Pink
+FFBC3E Orange Pop
+E68750 Orange Poppy
+FF7913 Orange Popsicle
+F2A60F Orange Pospsicle
+FEBC61 Orange Quench
+FE4401 Orange Red
+A85335 Orange Roughy
+C05200 Orange Rufous
+F0B073 Orange Salmonberry
+DD9900 Orange Satisfaction
+FEC49B Orange Sherbet
+E2D6BD Orange Shimmer
+DD7744 Orange Shot
+F4915C Orange Slice
+FA5B3D Orange Soda
+FAE1C7 Orange Sparkle
+FEA060 Orange Spice
+C27635 Orange Squash
+E8A320 Orange Sulphur
+FF7435 Orange Supreme
+FF8379 Orange Tea Rose
+F95C14 Orange Tiger
+FFB452 Orange Toffee
+BC5339 Orange Vermillion
+EAE3CD Orange White
+B74923 Orange Wood
+FDB915 Orange Yellow
+FFA601 Orange You Glad
+FD7F22 Orange You Happy?
+F07227 Orange Zest
+E35435 Orangeade
+EE5511 Orangealicious
+E6BCA9 Orangery
+E88354 Orangevale
+E57059 Orangeville
+FEC615 Orangina
+FD8D49 Orangish
+B25F03 Orangish Brown
+F43605 Orangish Red
+EE6237 Oranzhewyi Orange
+772299 Orb of Discord
+EEDD44 Orb of Harmony
+6D83BB Orbital
+220088 Orbital Kingdom
+D0CCC9 Orca White
+9A858C Orchard Plum
+AE230E Orchestra of Red
+7A81FF Orchid
+C3CCD5 Orchid Ash
+C5AECF Orchid Bloom
+E4E1E4 Orchid Blossom
+D6CBC7 Orchid Blush
+D1ACCE Orchid Bouquet
+AA55AA Orchid Dottyback
+BB4488 Orchid Ecstasy
+C9C1D0 Orchid Fragrance
+5E5871 Orchid Grey
+B0879B Orchid Haze
+C3BBD4 Orchid House
+E5E999 Orchid Hue
+CEC3D2 Orchid Hush
+E0D0DB Orchid Ice
+AC74A4 Orchid Kiss
+E5DDE7 Orchid Lane
+9C4A7D Orchid Lei
+E8E6E8 Orchid Mist
+FFA180 Orchid Orange
+876281 Orchid Orchestra
+BFB4CB Orchid Petal
+AD878D Orchid Red
+E9D1DA Orchid Rose
+CBC5C2 Orchid Shadow
+E1CCDF Orchid Shimmer
+CD899E Orchid Smoke
+D3C9D4 Orchid Tint
+DDE0E8 Orchid Whisper
+F1EBD9 Orchid White
+938EA9 Orchilla
+998188 Ordain
+1A4C32 Order Green
+1C3339 Ore Bluish Black
+2B6551 Ore Mountains Green
+FAEECB Orecchiette
+7F8353 Oregano
+4DA241 Oregano Green
+8D8764 Oregano Spice
+9B4703 Oregon
+448EE4 Oregon Blue
+49354E Oregon Grape
+916238 Oregon Hazel
+EFB91B Oregon Trail
+FFCDA8 Orenju Ogon Koi
+9E9B85 Orestes
+747261 Organic
+E1CDA4 Organic Bamboo
+FEEDE0 Organic Fibre
+C6C2AB Organic Field
+ABA964 Organic Garden
+7FAC6E Organic Green
+A99E54 Organic Matter
+A67E3E Organic Style
+FFDEA6 Organza
+BBCCBD Organza Green
+FBEEDA Organza Peach
+7391CC Organza Violet
+ECE0C6 Origami
+E1E6C7 Origami Clover
+E5E2DA Origami White
+F0E5D3 Original White
+D2D3B3 Orinoco
+FF8008 Oriole
+F6D576 Oriole Yellow
+FB4F14 Orioles Orange
+DE55A9 Orion
+40525F Orion Blue
+535558 Orion Grey
+A55AF4 Orion Nebula
+27221F Orka Black
+3E5755 Orkhide Shade
+D91407 Orko
+97D5E7 Orleans Tune
+929BAC Ornamental Silver
+00867D Ornamental Turquoise
+806D95 Ornate
+F77D25 Ornery Tangerine
+C29436 Oro
+D9D8DA Orochimaru
+D17C3F Orpiment Orange
+F9C89B Orpiment Yellow
+BE855E Orpington Chicken
+F9EACC Orzo Pasta
+F4A045 Osage Orange
+5B5A4D Osiris
+A6BDBE Oslo Blue
+878D91 Oslo Grey
+63564B Osprey
+CCBAB1 Osprey Nest
+AD9769 Osso Bucco
+E9E3D5 Ostrich
+DCD0BB Ostrich Egg
+EADFE6 Ostrich Tail
+665D59 Oswego Tea
+FF4E20 Ōtan Red
+633D38 Otis Madeira
+00A78D Ottawa Falls
+7F674F Otter
+654320 Otter Brown
+3F5A5D Otter Creek
+938577 Otter Tail
+8C4512 Otterly Brown
+BEDFD3 Otto Ice
+D3DBCB Ottoman
+EE2222 Ottoman Red
+990000 OU Crimson Red
+4F4944 Oubliette
+EE7948 Ouni Red
+A84B7A Our Little Secret
+E2ECF2 Out Cold
+F26D8F Out of Fashion
+2CED2B Out of Left Field
+9C909C Out of Plumb
+1199EE Out of the Blue
+C9A375 Outback
+7E5D47 Outback Brown
+8D745E Outdoor Cafe
+A07D5E Outdoor Land
+6E6F4D Outdoor Oasis
+B2974D Outdoorsy
+654846 Outer Boundary
+2A6295 Outer Reef
+221177 Outer Rim
+314E64 Outer Space
+B7A48B Outerbanks
+E6955F Outgoing Orange
+B67350 Outlawed Orange
+824438 Outrageous
+8AB733 Outrageous Green
+FF6E4A Outrageous Orange
+82714D Outrigger
+9EB2B9 Ovation
+4D6D08 Over the Hills
+ABB8D5 Over the Moon
+98D5EA Over the Sky
+B09D8A Over the Taupe
+61311C Overbaked
+005555 Overboard
+73A3D0 Overcast
+B3583D Overcast Brick
+8F99A2 Overcast Day
+42426F Overcast Night
+A7B8C4 Overcast Sky
+0AE9B4 Overchlorinated Pool
+4400FF Overdue Blue
+C7C3BE Overdue Grey
+EFF4DC Overexposed Shot
+88DD00 Overgrown
+888844 Overgrown Citadel
+8B8265 Overgrown Granite
+448833 Overgrown Mausoleum
+116611 Overgrown Temple
+6B6048 Overgrown Trees
+6A8988 Overgrown Trellis
+88CC33 Overgrowth
+EEC25F Overjoy
+717481 Overlook
+FBF0DB Overnight Oats
+97A554 Overt Green
+33557F Overtake
+A4E3B3 Overtone
+8C7E49 Ovoid Fruit
+C0AF87 Owl Manner Malt
+90845F Owlet
+C1E28A Oxalis
+800020 Oxblood
+71383F Oxblood Red
+B1BBC5 Oxford
+002147 Oxford Blue
+743B39 Oxford Brick
+504139 Oxford Brown
+001B2E Oxford by Night
+DB7192 Oxford Sausage
+BDA07F Oxford Street
+B8A99A Oxford Tan
+BF7657 Oxide
+6D9A78 Oxley
+92B6D5 Oxygen Blue
+E3D3BF Oyster
+DBD0BB Oyster Bar
+71818C Oyster Bay
+F2E5B1 Oyster Bisque
+4A4C45 Oyster Catch
+F4F0D2 Oyster Cracker
+CBC1AE Oyster Grey
+E4DED2 Oyster Haze
+EFEFE5 Oyster Island
+B1AB96 Oyster Linen
+B8BCBE Oyster Mushroom
+F5E6CC Oyster Omelette Cream
+D4B5B0 Oyster Pink
+BFB3A1 Oyster Shoal
+CBC4A2 Oyster White
+8B95A2 Ozone
+C7D3E0 Ozone Blue
+5E3A39 Pa Red
+864B36 Paarl
+7A715C Pablo
+FFE737 Pac-Man
+ECDFAD Paccheri
+E5DDD0 Pacer White
+8F989D Pachyderm
+24646B Pacific
+96ACB8 Pacific Bliss
+1CA9C9 Pacific Blue
+C3A285 Pacific Bluffs
+C1DBE7 Pacific Breeze
+0052CC Pacific Bridge
+5E85B1 Pacific Coast
+004488 Pacific Depths
+DCDCD5 Pacific Fog
+77B9DB Pacific Harbour
+2D3544 Pacific Line
+CDD5D3 Pacific Mist
+25488A Pacific Navy
+92CBF1 Pacific Ocean
+69A4B9 Pacific Palisade
+C0D6EA Pacific Panorama
+E8EAE6 Pacific Pearl
+546B45 Pacific Pine
+167D97 Pacific Pleasure
+026B5D Pacific Queen
+F1EBCD Pacific Sand
+3E8083 Pacific Sea Teal
+3C4A56 Pacific Spirit
+035453 Pacific Storm
+4E77A3 Pacifica
+778120 Pacifika
+B7ACA0 Packed Sand
+BA9B5D Packing Paper
+4F4037 Paco
+859E94 Padded Leaf
+88724D Paddle Wheel
+DA9585 Paddy
+99BB44 Paddy Field
+7EB394 Padua
+DCC61F Paella
+E1D7C2 Paella Natural White
+99DAC5 Pageant Green
+B6C3D1 Pageant Song
+68447C Pageantry Purple
+127E93 Pagoda
+1B8192 Pagoda Blue
+8C8E65 Paid in Full
+6B4947 Painite
+11EEFF Paint the Sky
+DDBA8F Painted Ash
+5F3D32 Painted Bark
+EB8F6F Painted Clay
+BEB8B6 Painted Desert
+6D544F Painted Leather
+BB9471 Painted Pony
+CB5139 Painted Poppy
+008595 Painted Sea
+B28774 Painted Skies
+56745F Painted Turtle
+F9F2DE Painter’s Canvas
+F2EBDD Painter’s White
+726F7E Paisley
+8B79B1 Paisley Purple
+AD7362 Pajarito Red
+006600 Pakistan Green
+43456D Palace Arms
+3973C0 Palace Blue
+426255 Palace Green
+799AAA Palace Intrigue
+68457A Palace Purple
+752745 Palace Red
+F8CAD5 Palace Rose
+A7A6B1 Palace Walls
+F4F0E5 Palais White
+888811 Palak Paneer
+EEDCD1 Palatial
+F9F2E4 Palatial White
+273BE2 Palatinate Blue
+682860 Palatinate Purple
+C9C7B6 Palatine
+FFF9D0 Pale
+F4E9BA Pale Adobe
+FEF068 Pale Ale
+BCD4E1 Pale Aqua
+C9BFA8 Pale Bamboo
+F5E28D Pale Banana
+CCC7B1 Pale Beige
+E2CCC7 Pale Berries
+E39E9C Pale Berry
+98DED9 Pale Beryl
+4A475C Pale Blackish Purple
+F0EAE1 Pale Bloom
+FDE1F0 Pale Blossom
+D0FEFE Pale Blue
+A2ADB1 Pale Blue Grey
+DFAFA4 Pale Blush
+B1916E Pale Brown
+EEEBE8 Pale Bud
+F1EFA6 Pale Canary
+E8DFD5 Pale Cashmere
+C9CBBE Pale Celadon
+E9E9C7 Pale Celery
+9BC4E2 Pale Cerulean
+EFE5D7 Pale Chamois
+FDEFF2 Pale Cherry Blossom
+DDADAF Pale Chestnut
+DADEE9 Pale Cloud
+F0D0B4 Pale Coral
+AD6E44 Pale Cordovan
+CED9E1 Pale Cornflower
+D6D5BC Pale Cucumber
+FDE89A Pale Daffodil
+ECCCC1 Pale Dogwood
+FDE8D0 Pale Egg
+E7D1DD Pale Flamingo
+698AAB Pale Flower
+C7E1EE Pale Frost
+EADDCA Pale Gingersnap
+FDDE6C Pale Gold
+C0A2C7 Pale Grape
+69B076 Pale Green
+96907E Pale Green Grey
+E2E2D2 Pale Green Tea
+FDFDFE Pale Grey
+D4E2EB Pale Grey Blue
+E7D8EA Pale Grey Magenta
+F5D6AA Pale Honey
+8895C5 Pale Iris
+D4CFB2 Pale Ivy
+77C3B4 Pale Jade
+FED6CC Pale Jasper
+998877 Pale Khaki
+ABF5ED Pale King’s Blue
+DCD0FF Pale Lavender
+BDCAA8 Pale Leaf
+D8D4BF Pale Lichen
+B1FC99 Pale Light Green
+D8B5BF Pale Lilac
+F3ECE7 Pale Lily
+B1FF65 Pale Lime Green
+DFE497 Pale Lime Yellow
+EBE5D6 Pale Linen
+CCD2CA Pale Loden
+C4ACB2 Pale Lychee
+F5E1BA Pale Maize
+FFBB44 Pale Marigold
+C6A4A4 Pale Mauve
+AAC2A1 Pale Mint
+DCC797 Pale Moss
+D0DBC4 Pale Moss Green
+BAE1D3 Pale Mountain Lake Turquoise
+E4DDE7 Pale Muse
+FAF5E2 Pale Narcissus
+DCE0CF Pale Oak Grove
+D3C7A1 Pale Olive
+DEDBE5 Pale Orchid
+F6E2EC Pale Orchid Petal
+FDEBBC Pale Organza
+9C8D72 Pale Oyster
+E5DBCA Pale Palomino
+D1C3AD Pale Parchment
+E3D8BF Pale Parsnip
+9ADEDB Pale Pastel
+FFE5AD Pale Peach
+F4DA6E Pale Pear
+FFF2DE Pale Pearl
+F7E0DE Pale Perfection
+C8D2E2 Pale Periwinkle
+D4ACAD Pale Persimmon
+D9BFCE Pale Petals
+BA9BA5 Pale Petticoat
+F8C0C7 Pale Petunia
+CCD5FF Pale Phthalo Blue
+EFCDDB Pale Pink
+E3E7D1 Pale Pistachio
+BCA8AD Pale Poppy
+EEC8D3 Pale Primrose
+B790D4 Pale Purple
+EFEADA Pale Quartz
+EBEBD7 Pale Rebelka Jakub
+96DED1 Pale Robin Egg Blue
+EFD6DA Pale Rose
+ACBDA1 Pale Sage
+D3D1B9 Pale Sagebrush
+E5D5BA Pale Sand
+F0BCAD Pale Satin Peach
+C3E7E8 Pale Seafoam
+CACFDC Pale Shale
+F8DBD6 Pale Shrimp
+DFC7BC Pale Sienna
+BDF6FE Pale Sky
+9FABAD Pale Slate
+ECEBBD Pale Spring Bud
+B3BE98 Pale Spring Morning
+E4DED8 Pale Starlet
+F2C880 Pale Sunshine
+BC987E Pale Taupe
+82CBB2 Pale Teal
+CECDBB Pale Tendril
+EAAA96 Pale Terra
+C8DCBB Pale Tidepool
+A5FBD5 Pale Turquoise
+6F9892 Pale Verdigris
+C6C3D6 Pale Violet
+D8DECF Pale Vista
+B6D3DF Pale Whale
+D9C29F Pale Wheat
+89AB98 Pale Willow
+BBC8E6 Pale Wisteria
+EAD2A2 Pale Wood
+F4EED1 Palest of Lemon
+DCCDB9 Palest Satin
+C3B497 Palisade
+AF8EA5 Palisade Orchid
+F7ECE1 Palish Peach
+EEE9DF Palladian
+B1B1B1 Palladium
+314A4E Pallasite Blue
+B3CDD4 Pallid Blue
+C1E0C1 Pallid Green
+CBDCB7 Pallid Light Green
+FCB99D Pallid Orange
+F3DFDB Pallid Rose
+CDCEBE Pallid Wych
+AFAF5E Palm
+DBE2C9 Palm Breeze
+AEAD5B Palm Frond
+20392C Palm Green
+DDD8C2 Palm Heart Cream
+7A7363 Palm Lane
+36482F Palm Leaf
+20887A Palm Springs Splash
+EDD69D Palm Sugar Yellow
+74B560 Palm Tree
+577063 Palmerin
+6D9A9B Palmetto
+CEB993 Palmetto Bluff
+EAEACF Palmito
+5F6356 Palo Verde
+9F9C99 Paloma
+E9B679 Paloma Tan
+BB7744 Palomino
+DAAE00 Palomino Gold
+E6D6BA Palomino Mane
+837871 Palomino Pony
+C2AA8D Palomino Tan
+EAE4DC Pampas
+F5EAEB Pampered Princess
+DCA356 Pan de Coco
+657AEF Pan Purple
+E8BE99 Pan Tostado
+CFD0C5 Pan’s Flute
+DDDBC0 Panacea
+EBF7E4 Panache
+EDC9D5 Panache Pink
+C6577C Panama Rose
+F7D788 Pancake
+DFB992 Pancho
+BFDB89 Pancotto Pugliese
+544F3A Panda
+3C4748 Panda Black
+EAE2D4 Panda White
+9FB057 Pandan Cake
+616C44 Pandanus
+A1A4AE Pandemonium
+71689A Pandora
+E3D4CF Pandora Grey
+FEDBB7 Pandora’s Box
+9B5227 Panela
+4E4F6A Pango Black
+F4AA53 Pani Puri
+CDB9A7 Panko
+7895CC Pannikin
+327A88 Panorama
+35BDC8 Panorama Blue
+F75394 Pansy
+7F8FCA Pansy Garden
+5F4561 Pansy Petal
+BFA7B6 Pansy Posie
+BCA3B4 Pansy Posy
+78184A Pansy Purple
+ADAFBA Pantomime
+009B7D Paolo Veronese Green
+5A4A64 Paparazzi
+C6CBD1 Paparazzi Flash
+FE985C Papaya
+FCA07F Papaya Punch
+FFEAC5 Papaya Sorbet
+FFD1AF Papaya Whip
+D7AC7F Paper Brown
+F0E5C7 Paper Daisy
+D6C5A9 Paper Dog
+C5D0E6 Paper Elephant
+B1A99F Paper Goat
+CC4466 Paper Hearts
+F2EBE1 Paper Lamb
+F2E0C4 Paper Lantern
+EAD4A6 Paper Moon
+F1ECE0 Paper Plane
+B4A07A Paper Sack
+FDF1AF Paper Tiger
+F6EFDF Paper White
+249148 Paperboy’s Lawn
+EFEADC Papier Blanc
+8590AE Papilio Argeotus
+F9EBCC Pappardelle Noodle
+7C2D37 Paprika
+C24325 Paprika Kisses
+999911 Papyrus
+C0AC92 Papyrus Map
+F5EDD6 Papyrus Paper
+507069 Par Four
+BEB755 Parachute
+362852 Parachute Purple
+FFE2B5 Parachute Silk
+00589B Parachuting
+DEF1EA Paradise
+FF8C55 Paradise Bird
+5F7475 Paradise City
+83988C Paradise Found
+746565 Paradise Grape
+A3E493 Paradise Green
+5AA7A0 Paradise Island
+009494 Paradise Landscape
+398749 Paradise of Greenery
+006622 Paradise Palms
+E4445E Paradise Pink
+66C6D0 Paradise Sky
+8DDEE1 Paradisiacal Getaway
+488084 Paradiso
+A99A8A Parador Inn
+908D86 Parador Stone
+78AE48 Parakeet
+7EB6FF Parakeet Blue
+CBD3C6 Parakeet Pete
+5B6161 Paramount
+E4E2D5 Paramount White
+007D7C Parasailing
+914B13 Parasite Brown
+E9DFDE Parasol
+824A53 Parauri Brown
+FEFCAF Parchment
+F0E7D8 Parchment Paper
+F9EAE5 Parchment White
+C8A6A1 Parfait
+734F96 Parfait d’Amour
+91A7BC Paris
+B7DDED Paris Blue
+888873 Paris Creek
+FBEB50 Paris Daisy
+50C87C Paris Green
+A6B7C8 Paris Grey
+312760 Paris M
+C9C79A Paris Mint
+737274 Paris Paving
+DA6D91 Paris Pink
+BFCDC0 Paris White
+4F7CA4 Parisian Blue
+978478 Parisian Café
+D1C7B8 Parisian Cashmere
+6B9C42 Parisian Green
+323341 Parisian Night
+7D9B89 Parisian Patina
+787093 Parisian Violet
+465048 Park Avenue
+537F6C Park Bench
+88C9A6 Park Green Flat
+428F46 Park Picnic
+46483E Parkview
+477BBD Parkwater
+465F7E Parlour Blue
+A12D5D Parlour Red
+BAA1B2 Parlour Rose
+C8C197 Parlour Sage
+D4C6AF Parlour Taupe
+806E85 Parma Grey
+F89882 Parma Ham
+5F5680 Parma Mauve
+5E3958 Parma Plum Red
+55455A Parma Violet
+887CAB Parmentier
+FFFFDD Parmesan
+A9A237 Parrot Feather
+018DA1 Parrot Flight
+8DB051 Parrot Green
+D998A0 Parrot Pink
+EEBFD5 Parrot Tulip
+F8DC74 Parrot Waxcap
+028FC4 Parrotfish Blue
+305D35 Parsley
+5A9F4D Parsley Green
+3D7049 Parsley Sprig
+D6C69A Parsnip
+9D892E Parsnip Root
+FFEDF8 Partial Pink
+DEF3E6 Particle Cannon
+CB3215 Particle Ioniser Red
+D0D2C5 Particular Mint
+9DBBCD Partly Cloudy
+844C44 Partridge
+919098 Partridge Grey
+A9875B Partridge Knoll
+CAC1E2 Party Hat
+E6E4DE Party Ice
+EE99FF Party Pig
+EEDF91 Party Sponge Cake
+E3A9C4 Party Time
+A84A49 Pasadena Rose
+929178 Paseo Verde
+C3B7A4 Pasha Brown
+44413B Pasilla Chiles
+B9BD97 Paspalum Grass
+5D98B3 Pass Time Blue
+647B86 Passageway
+EED786 Passementerie
+CBCAC0 Passing Shadow
+6F5698 Passion Flower
+DD0D06 Passion for Revenge
+907895 Passion Fruit
+E8AA9D Passion Fruit Punch
+E57681 Passion Pink
+E398AF Passion Potion
+59355E Passion Razz
+725062 Passionate
+1F3465 Passionate Blue
+334159 Passionate Blueberry
+EDEFCB Passionate Pause
+DD00CC Passionate Pink
+753A58 Passionate Plum
+882299 Passionate Purple
+513E49 Passionfruit Mauve
+CBCCC9 Passive
+DBA29E Passive Pink
+795365 Passive Royal
+F7DFAF Pasta
+FAE17F Pasta Luego
+EEC474 Pasta Rasta
+A2BFFE Pastel Blue
+836953 Pastel Brown
+F0E4E0 Pastel China
+DFD8E1 Pastel Day
+F2C975 Pastel de Nata
+77DD77 Pastel Green
+CFCFC4 Pastel Grey
+BCCBB9 Pastel Grey Green
+D2F0E0 Pastel Jade
+D8A1C4 Pastel Lavender
+BDB0D0 Pastel Lilac
+B9D786 Pastel Lime
+F49AC2 Pastel Magenta
+A9C9AF Pastel Meadow
+CEF0CC Pastel Mint
+ADD0B3 Pastel Mint Green
+FFF5D9 Pastel Moon Creme
+FF964F Pastel Orange
+DBCCC3 Pastel Parchment
+BEE7A5 Pastel Pea
+F1CAAD Pastel Peach
+DEA5A4 Pastel Pink
+B39EB5 Pastel Purple
+FF6961 Pastel Red
+E4C5B0 Pastel Rose Tan
+D5C6B4 Pastel Sand
+DEECE1 Pastel Smirk
+EF4F4C Pastel Strawberry
+99C5C4 Pastel Turquoise
+CB99C9 Pastel Violet
+FDFD96 Pastel Yellow
+EDFAD9 Pastoral
+E87175 Pastrami
+F8DEB8 Pastry
+FAEDD5 Pastry Dough
+F8E1D0 Pastry Pink
+B77D58 Pastry Shell
+506351 Pasture Green
+3887BD Pat-A-Pep
+225511 Patch of Land
+8A7D6B Patches
+C4A89E Patchwork Pink
+7E696A Patchwork Plum
+C7C7C6 Paternoster
+C4EEE8 Path to the Sky
+DBD6D2 Pathway
+E6DDD6 Patience
+FFABA5 Patient Pink
+EDE2DE Patient White
+66D0C0 Patina
+B6C4BD Patina Creek
+B6C0BC Patina Grey
+83BAA8 Patina Hue
+695A67 Patina Violet
+3F5A50 Patio Green
+6B655B Patio Stone
+EDDBC8 Patisserie
+800070 Patriarch
+8CD9A1 Patrice
+72527F Patrician Purple
+D9B611 Patrinia Flowers
+F2F2B0 Patrinia Scabiosaefolia
+3C3C5F Patriot Blue
+D3E5EF Pattens Blue
+BCC6B1 Pattipan
+EDB80F Pattypan
+2A2551 Pāua
+245056 Pāua Shell
+80A4CD Paula Loves Paris
+629191 Pauley
+343445 Pauper
+828782 Paved Path
+E8D284 Paved With Gold
+554F53 Pavement
+C9C4BA Pavestone
+BEBF84 Pavilion
+C5B6A4 Pavilion Beige
+DF9C45 Pavilion Peach
+EDE4D4 Pavillion
+CBCCC4 Paving Stones
+BAAB87 Pavlova
+FBD49C Paw Paw
+827A6D Paw Print
+473430 Pawn Broker
+C8C6DA Pax
+70916C Paying Mantis
+536878 Payne’s Grey
+002D04 PCB Green
+A4BF20 Pea
+7C9865 Pea Aubergine
+929901 Pea Soup
+3F7074 Peabody
+A2B2BD Peace
+E0DAC8 Peace & Quiet
+C1875F Peace of Mind
+A8BFCC Peace River
+EECF9E Peace Yellow
+DDCCAC Peaceable Kingdom
+9AB6C0 Peaceful Blue
+878E83 Peaceful Glade
+D6E7E3 Peaceful Night
+94D8AC Peaceful Pastures
+FFDDCD Peaceful Peach
+579797 Peaceful Pond
+660088 Peaceful Purple
+F1FBF1 Peaceful Rain
+47A0D2 Peaceful River
+FFB07C Peach
+FB9F93 Peach Amber
+FFCCB6 Peach and Quiet
+EFC4BB Peach Ash
+FDCFA1 Peach Beach
+E7C3AB Peach Beauty
+CD9489 Peach Beige
+FEDCAD Peach Bellini
+D89A78 Peach Bloom
+DC7A83 Peach Blossom
+EECFBF Peach Blossom Red
+DCBEB5 Peach Blush
+FFECE5 Peach Breeze
+E5CCBD Peach Brick
+FDB2AB Peach Bud
+CC99BB Peach Buff
+F39998 Peach Burst
+FFAC3A Peach Butter
+C56A3D Peach Caramel
+FFD9AA Peach Cider
+FCE2D8 Peach Cloud
+FFA167 Peach Cobbler
+FFCBA7 Peach Crayon
+FFF0DB Peach Cream
+FFE19D Peach Crème Brûlée
+F6C4A6 Peach Damask
+EFCDB4 Peach Darling
+F4DEBF Peach Dip
+B3695F Peach Dunes
+F0D8CC Peach Dust
+F6725C Peach Echo
+FEBC96 Peach Encounter
+F4E2D4 Peach Everlasting
+FCE9D6 Peach Fade
+FFA883 Peach Fizz
+E198B4 Peach Flower
+F88435 Peach Fury
+FFC7B9 Peach Fuzz
+EBD7D3 Peach Glamour
+FFDCAC Peach Glow
+DFA479 Peach Ice Cream
+FFCFAB Peach Juice
+FBE2CD Peach Kiss
+E7C19F Peach Latte
+C67464 Peach Macaron
+FBBDAF Peach Melba
+F4A28C Peach Mimosa
+FFAE96 Peach Nectar
+EDB48F Peach Nirvana
+E3A385 Peach Nougat
+FFE2B4 Peach of Mind
+FFCC99 Peach Orange
+F6B895 Peach Parfait
+F3D5A1 Peach Patch
+FFB2A5 Peach Pearl
+D3B699 Peach Petals
+FF9A8A Peach Pink
+DDAAAA Peach Poppy
+E38372 Peach Posey
+E2BDB3 Peach Powder
+D29487 Peach Preserve
+FFDAB9 Peach Puff
+F59997 Peach Punch
+EED0B6 Peach Purée
+F4B087 Peach Quartz
+F9CDC4 Peach Red
+F6E3D5 Peach Rose
+F6D9C9 Peach Sachet
+FFDCD6 Peach Schnapps
+FFBCBC Peach Scone
+F3DFD4 Peach Shortcake
+FFE5BD Peach Smoothie
+ECBCB2 Peach Souffle
+EC9D75 Peach Squared
+F3E3D1 Peach Surprise
+F3B68E Peach Taffy
+FFB559 Peach Tea
+F2C5B2 Peach Temptation
+FFDC8D Peach Tickle
+EFA498 Peach Tile
+F2E3DC Peach Tone
+F9E8CE Peach Umbrella
+F7B28B Peach Velour
+D8B6B0 Peach Whip
+F9BAB5 Peach Whisper
+FADFAD Peach Yellow
+FD9B88 Peach’s Daydream
+FADFC7 Peachade
+FFA361 Peaches à la Crème
+D98586 Peaches of Immortality
+EEC9A6 Peaches’n’Cream
+DDB3B2 Peachskin
+F3DDCD Peachtree
+FFA67A Peachy
+FFD2B9 Peachy Bon-Bon
+FFC996 Peachy Breezes
+D4A88D Peachy Confection
+FDE0DC Peachy Ethereal
+ED8666 Peachy Feeling
+FFDEDA Peachy Keen
+E8956B Peachy Maroney
+F3E0D8 Peachy Milk
+FFCCAA Peachy Pico
+FF775E Peachy Pinky
+FF9B80 Peachy Salmon
+FFDCB7 Peachy Sand
+DD7755 Peachy Scene
+F0CFA0 Peachy Skin
+FFD9A8 Peachy Summer Skies
+E3A381 Peachy Tint
+F1BF92 Peachy-Kini
+2D3146 Peacoat
+016795 Peacock Blue
+12939A Peacock Feather
+006A50 Peacock Green
+2E4B44 Peacock House
+206D71 Peacock Plume
+006663 Peacock Pride
+513843 Peacock Purple
+6DA893 Peacock Silk
+01636D Peacock Tail
+719E8A Peahen
+768083 Peak Point
+FFDFC9 Peak Season
+7A4434 Peanut
+A6893A Peanut Brittle
+BE893F Peanut Butter
+F7B565 Peanut Butter Biscuit
+FFB75F Peanut Butter Chicken
+C8A38A Peanut Butter Crust
+CE4A2D Peanut Butter Jelly
+82B185 Peapod
+D1E231 Pear
+91AF88 Pear Cactus
+CCDD99 Pear Perfume
+F3EAC3 Pear Sorbet
+CBF85F Pear Spritz
+E3DE92 Pear Tint
+EAE0C8 Pearl
+88D8C0 Pearl Aqua
+D0C9C3 Pearl Ash
+7FC6CC Pearl Bay
+76727F Pearl Blackberry
+F4CEC5 Pearl Blush
+E6E6E3 Pearl Brite
+DED1C6 Pearl Bush
+DCE4E9 Pearl City
+F0EBE4 Pearl Drops
+EFE5D9 Pearl Dust
+377B70 Pearl Green
+EAE1C8 Pearl Lusta
+FCF7EB Pearl Necklace
+EEEFE1 Pearl Onion
+DDD6CB Pearl Oyster
+DED7DA Pearl Pebble
+FAFFED Pearl Powder
+DFD3D4 Pearl Rose
+F4F1EB Pearl Sugar
+E6E0E3 Pearl Violet
+F3F2ED Pearl White
+F1E3BC Pearl Yellow
+F2E9D5 Pearled Couscous
+F0DFCC Pearled Ivory
+DCD0CB Pearls & Lace
+F4E3DF Pearly
+E8E6DE Pearly Gates
+CEDBD5 Pearly Jade
+EE99CC Pearly Pink
+B768A2 Pearly Purple
+DBD3BD Pearly Putty
+E4E4DA Pearly Star
+EEE9D8 Pearly Swirly
+FEEFD3 Pearly White
+8C7F3C Peas Please
+DDC7A8 Peasant Bread
+C1EFC6 Peasful Mint
+8CAA95 Peaslake
+766D52 Peat
+5A3D29 Peat Brown
+4A352B Peat Moss
+6C5755 Peat Red Brown
+988C75 Peat Swamp Forest
+552211 Peaty Brown
+9D9880 Pebble
+DED8DC Pebble Beach
+F3E1CA Pebble Cream
+D5BC94 Pebble Path
+D3D7DC Pebble Soft Blue White
+E0D9DA Pebble Stone
+AFB2A7 Pebble Walk
+D8D0BC Pebblebrook
+DECAB9 Pebbled Courtyard
+A0968D Pebbled Path
+DBD5CA Pebbled Shore
+A67253 Pecan
+F7DBA6 Pecan Cream
+F4DECB Pecan Sandie
+E09F78 Pecan Veneer
+FDDCB7 Pêche
+E1A080 Pecos Spice
+C5AF91 Peculiarly Drab Tincture
+00BB22 Pedestrian Green
+F7F72D Pedestrian Lemon
+CC1122 Pedestrian Red
+31646E Pedigree
+8F8E8C Pedigrey
+D3CCC4 Pediment
+C5E1E1 Peek-a-Blue
+0173BB Peek-A-Boo Blue
+E6DEE6 Peekaboo
+87A96B Peeled Asparagus
+FFCF38 Peeps
+FF2266 Peevish Red
+E8E9E4 Pegasus
+EA9FB4 Pegeen Peony
+F5D2AC Pekin Chicken
+355D83 Pelagic
+FF3333 Pelati
+C1BCAC Pelican
+9EACB1 Pelican Bay
+D7C0C7 Pelican Bill
+E8C3C2 Pelican Feather
+FB9A30 Pelican Pecker
+E2A695 Pelican Pink
+C8A481 Pelican Tan
+2599B2 Pelorus
+DBB7BB Pencil Eraser
+5C6274 Pencil Lead
+FD9F01 Pencil Me In
+595D61 Pencil Point
+999D9E Pencil Sketch
+7B8267 Pendula Garden
+E3E3EB Penelope
+9D6984 Penelope Pink
+37799C Peninsula
+B9C8E0 Penna
+A97F5A Penny
+A2583A Pennywise
+C2C1CB Pensive
+EAB6AD Pensive Pink
+96CCD1 Pentagon
+DBB2BC Pentalon
+CABFB3 Penthouse View
+627E75 Penzance
+EB8F9D Peony
+D8C1BE Peony Blush
+9F86B7 Peony Mauve
+FADDD4 Peony Prize
+B75754 Pepper & Spice
+CC2244 Pepper Jelly
+777568 Pepper Mill
+8E7059 Pepper Spice
+7E9242 Pepper Sprout
+C79D9B Pepperberry
+725C5B Peppercorn
+4F4337 Peppercorn Rent
+807548 Peppered Moss
+957D6F Peppered Pecan
+767461 Peppergrass
+D7E7D0 Peppermint
+81BCA8 Peppermint Bar
+64BE9F Peppermint Fresh
+B8FFEB Peppermint Frosting
+D1E6D5 Peppermint Patty
+AAC7C1 Peppermint Pie
+90CBAA Peppermint Spray
+E8B9BE Peppermint Stick
+D35D7D Peppermint Swirl
+009933 Peppermint Toad
+96CED5 Peppermint Twist
+D8C553 Pepperoncini
+AA4400 Pepperoni
+5B5752 Peppery
+72D7B7 Peppy
+55CCBB Peppy Peacock
+FFFF44 Peppy Pineapple
+A3CE27 Pêra Rocha
+ACB9E8 Perano
+F0E8DD Percale
+C1ADA9 Perdu Pink
+BC9B08 Perennial
+87A56F Perennial Garden
+E6A7AC Perennial Phlox
+CFC2B3 Perfect Backdrop
+D6CDBB Perfect Crust
+313390 Perfect Dark
+49A0E7 Perfect Days
+B7AB9F Perfect Greige
+B2A492 Perfect Khaki
+9EB2C3 Perfect Landing
+3062A0 Perfect Ocean
+E9E8BB Perfect Pear
+A06A56 Perfect Penny
+6487B0 Perfect Periwinkle
+E5B3B2 Perfect Pink
+B72356 Perfect Pout
+4596CF Perfect Sky
+F2EDD7 Perfect Solution
+9598A1 Perfect Storm
+CBAC88 Perfect Tan
+B6ACA0 Perfect Taupe
+F0EEEE Perfect White
+D9D6E5 Perfection
+97D0E5 Perfectly Blue
+694878 Perfectly Purple
+CC22AA Perfectly Purple Place
+C2A9DB Perfume
+E2C9CE Perfume Cloud
+F3E9F7 Perfume Haze
+BFA58A Pergament
+E4E0DC Pergament Shreds
+E1E9DB Pergola Panorama
+C62D2C Peri Peri
+B6BDD3 Peri Wink
+904FEF Pericallis Hybrida
+E6E200 Peridot
+ACB6B2 Periglacial Blue
+524A46 Périgord Truffle
+EF8B38 Peril’s Flames
+52677B Periscope
+AE905E Peristyle Brass
+8E82FE Periwinkle
+8B9AB9 Periwinkle Blossom
+8F99FB Periwinkle Blue
+B4C4DE Periwinkle Bud
+B8CBE5 Periwinkle Dream
+8D9DB3 Periwinkle Dusk
+C3CDE6 Periwinkle Grey
+C5CBE1 Periwinkle Powder
+8CB7D7 Periwinkle Sky
+D3DDD6 Periwinkle Tint
+D6C7BE Perk Up
+733C8E Perkin Mauve
+408E7C Perky
+FBF4D3 Perky Tint
+F2CA83 Perky Yellow
+4F4D51 Perle Noir
+98EFF9 Permafrost
+E12C2C Permanent Geranium Lake
+005437 Permanent Green
+584D75 Perpetual Purple
+BDB3C3 Perplexed
+DDAA99 Perrigloss Tan
+8F8CE7 Perrywinkle
+ACB3C7 Perseverance
+C5988C Persian Bazaar
+99AC4B Persian Belt
+E3E1CC Persian Blinds
+1C39BB Persian Blue
+EFCADA Persian Delight
+D4EBDD Persian Fable
+E1C7A8 Persian Flatbread
+9B7939 Persian Gold
+00A693 Persian Green
+32127A Persian Indigo
+6A7DBC Persian Jewel
+990077 Persian Luxury Purple
+FFDCBF Persian Melon
+206874 Persian Mosaic
+D99058 Persian Orange
+AA9499 Persian Pastel
+F77FBE Persian Pink
+701C1C Persian Plum
+575B93 Persian Plush
+38343E Persian Prince
+CC3333 Persian Red
+FE28A2 Persian Rose
+8C8EB2 Persian Violet
+FFB49B Persicus
+E59B34 Persimmon
+F7BD8F Persimmon Fade
+934337 Persimmon Juice
+F47327 Persimmon Orange
+A74E4A Persimmon Red
+9F563A Persimmon Varnish
+CEBEDA Perspective
+C4AE96 Persuasion
+CD853F Peru
+CD7DB5 Peruvian Lily
+733D1F Peruvian Soil
+7B7284 Peruvian Violet
+0099EE Pervenche
+119922 Pestering Pesto
+9F8303 Pestilence
+C1B23E Pesto
+558800 Pesto Alla Genovese
+F49325 Pesto Calabrese
+B09D64 Pesto di Noce
+A7C437 Pesto di Pistacchio
+748A35 Pesto di Rucola
+9DC249 Pesto Genovese
+817553 Pesto Green
+898C66 Pesto Paste
+BB3333 Pesto Rosso
+AA9933 Pestulance
+F7D5DA Petal Bloom
+F4DFCD Petal Dust
+9F0630 Petal of a Dying Rose
+F4E5E0 Petal Pink
+DDAAEE Petal Plush
+F8E3EE Petal Poise
+F5A5B8 Petal Power
+53465D Petal Purple
+E2DCD3 Petal Smoke
+FCD1BF Petal Soft
+D9D9DF Petal Tip
+F3BBC0 Petals Unfolding
+19A700 Peter Pan
+7FBAD1 Petit Four
+E9CDD8 Petit Pink
+DA9790 Petite Orchid
+EACACB Petite Pink
+CFBBD8 Petite Purple
+4076B4 Petrel
+A0AEBC Petrel Blue Grey
+66CCCC Petrichor
+8B8680 Petrified
+9B846C Petrified Oak
+9C87C1 Petrified Purple
+2F5961 Petro Blue
+005F6A Petrol
+549B8C Petrol Green
+243640 Petrol Slumber
+21211D Petroleum
+FECDAC Petticoat
+228822 Pettifers
+88806A Pettingill Sage
+FFBAB0 Petula
+4D3466 Petunia
+4B3C4B Petunia Patty
+B8B0CF Petunia Trail
+91A092 Pewter
+8BA8B7 Pewter Blue
+9B9893 Pewter Cast
+5E6259 Pewter Green
+A7A19E Pewter Grey
+8B8283 Pewter Mug
+BAB4A6 Pewter Patter
+8A8886 Pewter Ring
+A39B90 Pewter Tankard
+BDC5C0 Pewter Tray
+CECECB Pewter Vase
+C5BBAE Peyote
+5984A8 Peyton
+D03B52 Pezzottaite
+6E797B Phantom
+D6E0D1 Phantom Green
+645D5E Phantom Hue
+4B4441 Phantom Mist
+2F3434 Phantom Ship
+636285 Pharaoh Purple
+007367 Pharaoh’s Gem
+EAD765 Pharaoh’s Gold
+83D1A9 Pharaoh’s Jade
+59BBC2 Pharaoh’s Seas
+826663 Pharlap
+087E34 Pharmaceutical Green
+005500 Pharmacy Green
+FF4D00 Phaser Beam
+C17C54 Pheasant
+795435 Pheasant Brown
+E0DCD7 Pheasant’s Egg
+F3C13A Phellodendron Amurense
+C4BDAD Phelps Putty
+FFCBA2 Phenomenal Peach
+EE55FF Phenomenal Pink
+3E729B Phenomenon
+8822BB Pheromone Purple
+E2D9DD Philanthropist Pink
+0038A7 Philippine Blue
+6E3A07 Philippine Bronze
+5D1916 Philippine Brown
+B17304 Philippine Gold
+EEBB00 Philippine Golden Yellow
+008543 Philippine Green
+FF7300 Philippine Orange
+FA1A8E Philippine Pink
+CE1127 Philippine Red
+81007F Philippine Violet
+FECB00 Philippine Yellow
+008F80 Philips Green
+116356 Philodendron
+757B7D Philosophical
+4D483D Philosophically Speaking
+DF00FF Phlox
+7F4F78 Phlox Flower Violet
+CE5E9A Phlox Pink
+FAA21A Phoenix Flames
+F8D99E Phoenix Fossil
+E2725B Phoenix Red
+D2813A Phoenix Rising
+99B1A2 Phoenix Tears
+F7EFDE Phoenix Villa
+00AA00 Phosphor Green
+11EEEE Phosphorescent Blue
+11FF00 Phosphorescent Green
+A5D0C6 Phosphorus
+AEAD96 Photo Grey
+88DDEE Photon Barrier
+88EEFF Photon Projector
+F8F8E8 Photon White
+8892BF PHP Purple
+000F89 Phthalo Blue
+123524 Phthalo Green
+0480BD Phuket Palette
+EF9548 Physalis
+EBE1D4 Physalis Aquarelle
+E1D8BB Physalis Peal
+314159 Pi
+986960 Pi²
+E6D0CA Pianissimo
+17171A Piano Black
+5C4C4A Piano Brown
+CFC4C7 Piano Grey Rose
+EEE5D4 Piano Keys
+9E8996 Piano Mauve
+765C52 Picador
+A04933 Picante
+F8EA97 Picasso
+634878 Picasso Lily
+625D5D Piccadilly Grey
+51588E Piccadilly Purple
+8BD2E2 Piccolo
+566955 Picholine
+958251 Picholine Olive
+B8A49B Pick of the Litter
+F1919A Pick Your Brain
+BFF128 Pick Your Poison
+F3F2EA Picket Fence
+C9F0D1 Pickford
+85A16A Pickle
+BBA528 Pickle Juice
+B3A74B Pickled
+99BB11 Pickled Avocado
+6E4826 Pickled Bean
+AA0044 Pickled Beets
+314459 Pickled Bluewood
+695E4B Pickled Capers
+94A135 Pickled Cucumber
+FFDD55 Pickled Ginger
+775500 Pickled Grape Leaves
+DDCC11 Pickled Lemon
+BBBB11 Pickled Limes
+887647 Pickled Okra
+DBB532 Pickled Peppers
+EEFF33 Pickled Pineapple
+DA467D Pickled Pink
+8E4785 Pickled Plum
+DDBBAA Pickled Pork
+8E7AA1 Pickled Purple
+EE1144 Pickled Radish
+FF6655 Pickled Salmon
+CFD2B5 Pickling Spice
+99C285 Picnic
+BCDBD4 Picnic Bay
+00CCEE Picnic Day Sky
+AB5236 Pico Earth
+7E2553 Pico Eggplant
+FFF1E8 Pico Ivory
+C2C3C7 Pico Metal
+FFA300 Pico Orange
+FFEC27 Pico Sun
+1D2B53 Pico Void
+FF77A8 Pico-8 Pink
+5BA0D0 Picton Blue
+C30B4E Pictorial Carmine
+00804C Picture Book Green
+FBF2D1 Picture Perfect
+F1D99F Pie Crust
+877A64 Pie Safe
+EDE7C8 Piece of Cake
+FFAF38 Pieces of Eight
+BEBDC2 Pied Wagtail Grey
+C2CEC5 Piedmont
+EAC185 Piedra de Sol
+88857D Pier
+647D8E Pier 17 Steel
+DD00EE Piercing Pink
+DD1122 Piercing Red
+43232C Piermont Stone Red
+F4D68C Pierogi
+A1C8DB Piezo Blue
+484848 Pig Iron
+FDD7E4 Pig Pink
+A9AFAA Pigeon
+C1B4A0 Pigeon Grey
+9D857F Pigeon Pink
+AFBDD9 Pigeon Post
+EF98AA Piggy
+FFCCBB Piggy Bank
+FFCBC4 Piggy Dreams
+F0DCE3 Piggyback
+FFC0C6 Piglet
+4D0082 Pigment Indigo
+F9E9D7 Pignoli
+E8DAD1 Pigskin Puffball
+EEE92D Pika Yellow
+EEDE73 Pikachu Chu
+6C7779 Pike Lake
+15B01A Pikkoro Green
+FFFF55 Pīlā Yellow
+006981 Pilot Blue
+F8F753 Pilsener
+CC2200 Piment Piquant
+DC5D47 Pimento
+6C5738 Pimento Grain Brown
+DF9E9D Pimlico
+C3585C Pimm’s
+FFD97A Pina
+F4DEB3 Pina Colada
+7198C0 Pinafore Blue
+F4C701 Pinard Yellow
+C17A62 Pinata
+D3D3D3 Pinball
+C88CA4 Pinch Me
+D2916B Pinch of Clove
+FFF8E3 Pinch of Pearl
+0F180A Pinch of Pepper
+DDDDCC Pinch of Pistachio
+B4ABAF Pinch Purple
+AC989C Pincushion
+BB4411 Pindjur Red
+2B5D34 Pine
+887468 Pine Bark
+645345 Pine Cone
+675850 Pine Cone Brown
+5C6456 Pine Cone Pass
+B7B8A5 Pine Crush
+415241 Pine Forest
+DEEAE0 Pine Frost
+797E65 Pine Garland
+BDC07E Pine Glade
+EBC79E Pine Grain
+0A481E Pine Green
+273F39 Pine Grove
+486358 Pine Haven
+204242 Pine Hollow
+ECDBD2 Pine Hutch
+839B5C Pine Leaves
+D5D8BC Pine Mist
+5C685E Pine Mountain
+334D41 Pine Needle
+EADAC2 Pine Nut
+776F56 Pine Peak
+6D9185 Pine Ridge
+4A6D42 Pine Scent
+066F6C Pine Scented Lagoon
+D5BFA5 Pine Strain
+9C9F75 Pine Trail
+2A2F23 Pine Tree
+E5E7D5 Pine Water
+B3C6B9 Pine Whisper
+786D72 Pineal Pink
+563C0D Pineapple
+B4655C Pineapple Blossom
+EDBB6E Pineapple Cake
+F2EAC3 Pineapple Cream
+EDDA8F Pineapple Crush
+F0E7A9 Pineapple Delight
+F9F0D6 Pineapple Fizz
+FFC72C Pineapple Gold
+EBEB57 Pineapple High
+F8E87B Pineapple Juice
+EEEE88 Pineapple Perfume
+9C8F60 Pineapple Sage
+FD645F Pineapple Salmon
+E7D791 Pineapple Slice
+E4E5CE Pineapple Soda
+F7F4DA Pineapple Sorbet
+EAD988 Pineapple Whip
+DBBC6C Pineapple Wine
+F0D6DD Pineberry
+2B7B66 Pinehurst
+57593F Pinetop
+5B7349 Pineweed
+006655 Piney Lake
+70574F Piney Wood
+23C48B Píng Gǔo Lǜ Green
+FFC0CB Pink
+E9B8A4 Pink Abalone
+F4E2E9 Pink Amour
+FFC3C6 Pink and Sleek
+D7B8AB Pink Apatite
+FFB2F0 Pink Apotheosis
+FE69B5 Pink as Hell
+A6427C Pink Ballad
+F9D1CF Pink Bangles
+F6C3A6 Pink Beach
+DCA7C2 Pink Beauty
+DD9CBD Pink Begonia
+E936A7 Pink Bite
+F2A9BA Pink Blessing
+E3ABCE Pink Bliss
+FBE9DD Pink Blossom
+F4ACB6 Pink Blush
+DD77EE Pink Bonnet
+EFE1E4 Pink Booties
+C5B5C3 Pink Bravado
+FDBAC4 Pink Bubble Tea
+ECC9CA Pink Cardoon
+ED7A9E Pink Carnation
+ECBAB3 Pink Cashmere
+FFB2D0 Pink Cattleya
+F4DED9 Pink Chablis
+F2A3BD Pink Chalk
+E8DFED Pink Champagne
+DBC8C3 Pink Chantilly
+DD66BB Pink Charge
+E4898A Pink Chi
+EFBECF Pink Chintz
+FFD5D1 Pink Clay
+D99294 Pink Clay Pot
+F5D1C8 Pink Cloud
+E9B7AC Pink Cocoa
+D1A5A6 Pink Cocoa Cupcake
+FF99DD Pink Condition
+F5D0D6 Pink Cupcake
+FED5E9 Pink Currant
+B94C66 Pink Dahlia
+D98580 Pink Damask
+C97376 Pink Dazzle
+FF8AD8 Pink Delight
+F5BFD1 Pink Destiny
+FED0FC Pink Diamond
+FFF4F2 Pink Diminishing
+B499A1 Pink Discord
+F7D1D1 Pink Dogwood
+FEA5A2 Pink Dream
+E9B8DE Pink Drink
+F8E7E4 Pink Duet
+E4B5B2 Pink Dust
+ECDFD5 Pink Dyed Blond
+B08272 Pink Earth
+FF99EE Pink Elephants
+F2E4E2 Pink Emulsion
+F3A09A Pink Eraser
+F56F88 Pink Explosion
+DD77FF Pink Fetish
+CC55FF Pink Fever
+FC845D Pink Fire
+F5A8B2 Pink Fit
+CD4E82 Pink Flambé
+B55A63 Pink Flame
+FF66FF Pink Flamingo
+D8B4B6 Pink Flare
+EB9A9D Pink Floyd
+FBD3D9 Pink Fluorite
+F5A9BE Pink Flutter
+E6D2DC Pink Frappé
+EDB0C7 Pink Frenzy
+F7D7E2 Pink Frosting
+D2738F Pink Garnet
+E6B5D7 Pink Gems
+F6909D Pink Geranium
+DFA3BA Pink Gin
+CFA798 Pink Ginger
+FF1DCD Pink Glamour
+FDDFDA Pink Glitter
+FFECE0 Pink Glow
+BD9E97 Pink Granite
+F3BAC9 Pink Grapefruit
+F2BDDF Pink Heath
+B36C86 Pink Hibiscus
+90305D Pink Horror
+F8C1BB Pink Hydrangea
+FE01B1 Pink Hysteria
+CF9FA9 Pink Ice
+EEA0A6 Pink Icing
+D8B8F8 Pink Illusion
+FF1476 Pink Ink
+CC44FF Pink Insanity
+D6B3CC Pink Ivory
+9E6B89 Pink Jazz
+FF55AA Pink Katydid
+FF22EE Pink Kitsch
+F6CCD7 Pink Lace
+F3D7B6 Pink Lady
+D9AFCA Pink Lavender
+FFEAEB Pink Lemonade
+F8D0E7 Pink Lily
+D2BFC4 Pink Linen
+FADBD7 Pink Lotus
+EAACC6 Pink Macaroon
+FC80A5 Pink Makeup
+C16C7B Pink Manhattan
+E5D0CA Pink Marble
+F4B6D1 Pink Marshmallow
+F4B6A8 Pink Mimosa
+F4EDE9 Pink Mirage
+E6BCCD Pink Mist
+ED9AAB Pink Moment
+A98981 Pink Moroccan
+D8AAB7 Pink Nectar
+D6C3B7 Pink Nudity
+6844FC Pink OCD
+EDC5DD Pink Odyssey
+FF9066 Pink Orange
+DA70D6 Pink Orchid
+FD82C3 Pink Orchid Mantis
+E1D6D8 Pink Organdy
+AA98A9 Pink Orthoclase
+FF33FF Pink Overflow
+EACED4 Pink Pail
+DF9F8F Pink Palazzo
+D1B6C3 Pink Pampas
+E1C5C9 Pink Pandora
+FF0090 Pink Panther
+D5877E Pink Papaya
+B26BA2 Pink Parade
+AD546E Pink Parakeet
+FADDD5 Pink Parfait
+FF55EE Pink Party
+D3236F Pink Peacock
+E7ACCF Pink Pearl
+E1BED9 Pink Peony
+EF586C Pink Pepper
+8E5565 Pink Peppercorn
+C034AF Pink Perennial
+FFDBE5 Pink Perfume
+FFAD97 Pink Persimmon
+F62681 Pink Piano
+EFC9B8 Pink Pieris
+EE66EE Pink Ping
+B45389 Pink Pizzazz
+FC80C3 Pink Plastic Fantastic
+FFDFE5 Pink Pleasure
+EAD2D2 Pink Plum
+A4819F Pink Plumeria
+E4ADD3 Pink Plunge
+FF007E Pink Poison
+CCBABE Pink Polar
+EAC7DC Pink Pony
+8E6E74 Pink Poppy
+EE9091 Pink Porky
+EADEE0 Pink Posey
+EFDBE2 Pink Posies
+CEAEBB Pink Potion
+D5B6CD Pink Power
+EE99AA Pink Prestige
+EF1DE7 Pink Pride
+F1E0E8 Pink Proposal
+D04A70 Pink Punch
+D983BD Pink Punk
+DB4BDA Pink Purple
+DC9F9F Pink Pussycat
+FFBBEE Pink Quartz
+AB485B Pink Quince
+F5054F Pink Red
+F8DAE1 Pink Ribbon
+FEAB9A Pink Rose Bud
+EEBCB8 Pink Sachet
+F6CDC6 Pink Salt
+DFB19B Pink Sand
+F6DBD3 Pink Sangria
+FFBBDD Pink Satin
+F2E0D4 Pink Scallop
+F6DACB Pink Sea Salt
+F0D4CA Pink Sentiment
+CD7584 Pink Shade
+A4877D Pink Shade Granite
+BB3377 Pink Shadow
+F780A1 Pink Sherbet
+FDE0DA Pink Shimmer
+D58D8A Pink Slip
+EACAD0 Pink Slipper
+DEB8BC Pink Softness
+FFE9EB Pink Sparkle
+E7C9CA Pink Spinel
+A328B3 Pink Spyro
+DDABAB Pink Stock
+EEAAFF Pink Sugar
+FFD9E6 Pink Supremecy
+BFB3B2 Pink Swan
+FCEAE6 Pink Swirl
+FF81C0 Pink Tease
+FFE6E4 Pink Theory
+D9C8BA Pink Tint
+FAE2D6 Pink Touch
+985672 Pink Tulip
+DEB59A Pink Tulle
+F9E4E9 Pink Tutu
+F5E6E6 Pink Vibernum
+E0C9C4 Pink Water
+FFAAEE Pink Wink
+DDBBBB Pink Wraith
+D13D82 Pink Yarrow
+F2D8CD Pink Zest
+CB5C5B Pinkadelic
+FF99FF Pinkalicious
+F1BDBA Pinkathon
+FE54A3 Pinkella
+E8C5AE Pinkham
+DF7BA4 Pinking. Fast and Slow
+E82A8E Pinkinity
+D46A7E Pinkish
+B17261 Pinkish Brown
+C8ACA9 Pinkish Grey
+FF724C Pinkish Orange
+D648D7 Pinkish Purple
+F10C45 Pinkish Red
+D99B82 Pinkish Tan
+FFF1FA Pinkish White
+EB84F5 Pinkling
+DD11FF Pinkman
+F9CED1 Pinktone
+F2DBD2 Pinkwash
+FC86AA Pinky
+C9AA98 Pinky Beige
+B96D8E Pinky Pickle
+F5D1CF Pinky Promise
+EEAAEE Pinky Swear
+BEDDD5 Pinnacle
+605258 Pinot Noir
+ECA2AD Pinque
+B89EA8 Pinterested
+D2DCDE Pinwheel Geyser
+625A42 Pinyon Pine
+480840 Pion Purple
+AA9076 Pioneer Village
+857165 Pipe
+999D99 Pipe Dream
+9D5432 Piper
+F5E6C4 Pipitschah
+FCDBD2 Pippin
+769358 Piquant Green
+EE00EE Piquant Pink
+71424A Pirat’s Wine
+363838 Pirate Black
+DDE7E2 Pirate Coast
+BA782A Pirate Gold
+B1905E Pirate Plunder
+818988 Pirate Silver
+DDCA69 Pirate Treasure
+005176 Pirate’s Haven
+B08F42 Pirate’s Hook
+716970 Pirate’s Trinket
+AB46EC Pisces Vivid Amethyst
+BEEB71 Pisco Sour
+9C7AA4 Pishposh
+F4D6A4 Pismo Dunes
+93C572 Pistachio
+C5D498 Pistachio Cream
+A5CF8C Pistachio Dream
+4F8F00 Pistachio Flour
+A9D39E Pistachio Green
+A0B7AD Pistachio Ice Cream
+C0FA8B Pistachio Mousse
+C6D4AC Pistachio Pudding
+CFC5AF Pistachio Shell
+C7BB73 Pistachio Shortbread
+D7D2B8 Pistachio Tang
+00BB55 Pistou Green
+414958 Pit Stop
+F5E7D2 Pita
+DEC8A6 Pita Bread
+EDEB9A Pitapat
+423937 Pitch
+483C41 Pitch Black
+2D3D4A Pitch Cobalt
+283330 Pitch Green
+5C4033 Pitch Mary Brown
+7C7766 Pitch Pine
+4A148C Pitch Violet
+003322 Pitch-Black Forests
+B5D1BE Pitcher
+D0A32E Pitmaston Pear Yellow
+9BC2BD Pitter Patter
+BB0022 Pixel Bleeding
+F7D384 Pixel Cream
+008751 Pixel Nature
+DBDCDB Pixel White
+009337 Pixelated Grass
+F6D5DC Pixie Dust
+BBCDA5 Pixie Green
+391285 Pixie Powder
+ACB1D4 Pixie Violet
+E9E6EB Pixie Wing
+B4A6C6 Pixieland
+E57F3D Pizazz
+F5C795 Pizazz Peach
+BF8D3C Pizza
+CD2217 Pizza Flame
+A06165 Pizza Pie
+C6C3C0 Place of Dust
+E7E7E7 Placebo
+EBF4FC Placebo Blue
+F8EBFC Placebo Fuchsia
+EBFCEC Placebo Green
+F6FCEB Placebo Lime
+FCEBF4 Placebo Magenta
+FCF5EB Placebo Orange
+FCEBFA Placebo Pink
+F0EBFC Placebo Purple
+FCEBEB Placebo Red
+EBFCFC Placebo Sky
+EBFCF5 Placebo Turquoise
+FCFBEB Placebo Yellow
+88A9D2 Placid Blue
+1CADBA Placid Sea
+DFB900 Plague Brown
+AB8D44 Plaguelands Beige
+AD5F28 Plaguelands Hazel
+EBF0D6 Plain and Simple
+905100 Plain Old Brown
+F5DE85 Plains
+8A5024 Plane Brown
+DADDC3 Planet Earth
+AF313A Planet Fever
+496A76 Planet Green
+883333 Planet of the Apes
+1C70AD Planetarium
+CCCFCB Planetary Silver
+00534C Plankton Green
+777A44 Plant Green
+97943B Plantain
+D6A550 Plantain Chips
+356554 Plantain Green
+3E594C Plantation
+9B8A44 Plantation Island
+6A5143 Plantation Shutters
+339900 Planter
+D59CFC Plasma Trail
+EAEAEA Plaster
+E1EAEC Plaster Cast
+EAD1A6 Plaster Mix
+F65D20 Plastic Carrot
+FFCC04 Plastic Cheese
+F5F0F1 Plastic Clouds
+EDDC70 Plastic Lime
+AA2266 Plastic Lips
+FFDDCC Plastic Marble
+55AA11 Plastic Pines
+22FF22 Plastic Veggie
+4A623B Plasticine
+8C8589 Plate Mail Metal
+D3E7E5 Plateau
+E5E4E2 Platinum
+F0E8D7 Platinum Blonde
+807F7E Platinum Granite
+6A6D6F Platinum Grey
+ECE1D3 Platinum Ogon Koi
+D1CCB0 Platinum Sage
+88CCFF Platonic Blue
+2A4845 Platoon Green
+39536C Plaudit
+FF8877 Play ’til Dawn
+638495 Play Me a Melody
+BAB6A9 Play on Grey
+CE5924 Play School
+B39BA9 Play Time
+DCC7B3 Playa Arenosa
+FCE3CA Playful Peach
+CBBDD7 Playful Petal
+C46C73 Playful Pink
+BA99A2 Playful Plum
+BFB9D5 Playful Purple
+8B8C6B Playing Hooky
+F4C0C3 Plaza Pink
+AEA393 Plaza Taupe
+A379AA Pleasant Dream
+4D5A4C Pleasant Hill
+CC3300 Pleasant Pomegranate
+8833AA Pleasant Purple
+00A0A2 Pleasant Stream
+F5CDD2 Pleasing Pink
+80385C Pleasure
+858BC2 Pleated Mauve
+B9C4D2 Plein Air
+D0ADD3 Plink
+56646B Plot Twist
+6C6459 Ploughed Earth
+8F8373 Plover Grey
+66386A Plum
+F2A0A1 Plum Blossom
+B48A76 Plum Blossom Dye
+4B6176 Plum Blue
+4E4247 Plum Brown
+9C7EB7 Plum Burst
+D1BFDC Plum Cake
+612246 Plum Caspia
+6A6A6F Plum Charcoal
+670728 Plum Cheese
+716063 Plum Crush
+8B6878 Plum Dandy
+AA4C8F Plum Dust
+B1A7B6 Plum Frost
+313048 Plum Fuzz
+695C39 Plum Green
+674555 Plum Harvest
+8B7574 Plum Haze
+885577 Plum Highness
+644348 Plum Intended
+463C4E Plum Island
+704783 Plum Jam
+DEA1DD Plum Juice
+AA3377 Plum Kingdom
+625B5C Plum Kitten
+8E7482 Plum Legacy
+994548 Plum Majesty
+C099A0 Plum Mouse
+4E414B Plum Orbit
+AA1166 Plum Paradise
+9B4B80 Plum Passion
+AA1155 Plum Perfect
+A489A3 Plum Perfume
+8E4585 Plum Pie
+D4BDDF Plum Point
+7E5E8D Plum Power
+7C70AA Plum Preserve
+644847 Plum Raisin
+64475E Plum Rich
+876C7A Plum Royale
+6A3939 Plum Sauce
+915D88 Plum Savour
+78738B Plum Shade
+7C707C Plum Shadow
+51304E Plum Skin
+928E8E Plum Smoke
+957E8E Plum Swirl
+DDC1D7 Plum Taffy
+B6A19B Plum Taupe
+6A5858 Plum Truffle
+734D58 Plum Wine
+DACEE8 Plum’s the Word
+00998C Plumage
+5C7287 Plumbeous
+735054 Plumberry
+7D665F Plumburn
+A5CFD5 Plume
+D9D5C5 Plume Grass
+C3B5D4 Plumeria
+675A75 Plummy
+604454 Plummy Rouge
+64A281 Plumosa
+9E8185 Plumville
+5072A9 Plunder
+035568 Plunge
+00FFCC Plunge Pool
+431C53 Plunged Into Darkness
+8CD4DF Plunging Waterfall
+78AC01 Plus Ultra
+3B3549 Plush
+5D4A61 Plush Purple
+B1928C Plush Suede
+B49C83 Plush Tan
+7E737D Plush Velvet
+EAB7A8 Plushy Pink
+34ACB1 Pluto
+35FA00 Plutonium
+66DDDD Pluviophile
+DDD3C2 Plymouth Beige
+B1B695 Plymouth Green
+B0B1AC Plymouth Grey
+CDB3AC Plymouth Notch
+F5D893 Poached Egg
+FF8552 Poached Rainbow Trout
+077F1B Poblano
+EE9977 Pochard Duck Head
+B5D5D7 Pocket Lint
+C2A781 Pocket Watch
+C3B8C3 Pocketful of Posies
+E1C7C6 Pocketful of Promise
+00A844 Poetic Green
+E4E8E1 Poetic Licence
+E2DED8 Poetic Light
+F8E1E4 Poetic Princess
+FFFED7 Poetic Yellow
+C2ACA5 Poetry in Motion
+886891 Poetry Mauve
+6F5C5F Poetry Plum
+9FAEC9 Poetry Reading
+ECE4D2 Pogo Sands
+651C26 Pohutukawa
+DB372A Poinciana
+CC3842 Poinsettia
+859587 Pointed Cabbage Green
+575D56 Pointed Fir
+646767 Pointed Rock
+A77693 Poise
+FFA99D Poised Peach
+8C7E78 Poised Taupe
+40FD14 Poison Green
+00AD43 Poison Ivy
+B300FF Poison Purple Paradise
+73403E Poisonberry
+66FF11 Poisoning Green
+7F01FE Poisoning Purple
+55FF11 Poisonous
+993333 Poisonous Apple
+D3DB39 Poisonous Cloud
+77FF66 Poisonous Dart
+D7D927 Poisonous Ice Cream
+8FD400 Poisonous Mints
+32CD32 Poisonous Pesticide
+CAE80A Poisonous Pesto
+88EE11 Poisonous Pistachio
+99DD33 Poisonous Potion
+2A0134 Poisonous Purple
+35654D Poker Green
+E5F2E7 Polar
+EAE9E0 Polar Bear
+FCFFFF Polar Bear in a Blizzard
+B3E0E7 Polar Blue
+CCD5DA Polar Drift
+C9E7E3 Polar Expedition
+D2D0C9 Polar Fox
+5097FC Polar Glow
+71A6D2 Polar Ice
+ADAFBD Polar Mist
+C2D6EC Polar Opposite
+6B7B7B Polar Pond
+ACCDE2 Polar Seas
+D0DCDE Polar Soft Blue
+D0D1CF Polar Star
+E6EFEC Polar White
+B4DFED Polar Wind
+A0AEAD Polaris
+6F8A8C Polaris Blue
+EFC47F Polenta
+374F6B Police Blue
+BD7D94 Polignac
+E9E8E7 Polish White
+DED8CE Polished
+862A2E Polished Apple
+77BCB6 Polished Aqua
+CD7F32 Polished Bronze
+985538 Polished Brown
+9E9793 Polished Concrete
+B66325 Polished Copper
+C7D4D7 Polished Cotton
+953640 Polished Garnet
+EEAA55 Polished Gold
+EDE0C8 Polished Ivory
+4F4041 Polished Leather
+DCD5C8 Polished Limestone
+432722 Polished Mahogany
+D0BC9D Polished Marble
+819AB1 Polished Metal
+F8EDD3 Polished Pearl
+9C9A99 Polished Pewter
+5DA493 Polished Pine
+FFF2EF Polished Pink
+BCC3C2 Polished Rock
+C5D1DA Polished Silver
+6F828A Polished Steel
+BEB49E Polished Stone
+E9DDD4 Polite White
+5A4458 Polka Dot Plum
+FDE2A0 Polka Dot Skirt
+EEEEAA Pollen
+F0C588 Pollen Grains
+FBD187 Pollen Powder
+B8A02A Pollen Storm
+E3D6BC Pollinate
+EEDD66 Pollination
+E2CF24 Polliwog
+FFCAA4 Polly
+8AA7CC Polo Blue
+D09258 Polo Pony
+F4E5DD Polo Tan
+E8B87F Polvo de Oro
+FEFFCC Polyanthus Narcissus
+EAEAE8 Polypropylene
+856F76 Pomace Red
+B53D45 Pomegranate
+95313A Pomegranate Seeds
+AB6F73 Pomegranate Tea
+E38FAC Pomelo Red
+FCE8E3 Pomelo Sugar
+C30232 Pomodoro
+F2D4DF Pomodoro e Mozzarella
+87608E Pomp and Power
+6A1F44 Pompadour
+C87763 Pompeian Pink
+A82A38 Pompeian Red
+6C757D Pompeii Ash
+004C71 Pompeii Blue
+D1462C Pompeii Red
+77A8AB Pompeius Blue
+FF6666 Pompelmo
+CA93C1 Pomtini
+F75C75 Ponceau
+B49073 Poncho
+00827F Pond Bath
+8BB6C6 Pond Blue
+D0D8D9 Pond Frost
+A18E6B Pond Green
+939990 Pond Leaves
+01796F Pond Moss
+486B67 Pond Newt
+B6C9B8 Pond’s Edge
+B88F88 Ponder
+29494E Ponderosa Pine
+D7EFDE Pondscape
+5F9228 Pont Moss
+0C608E Pontoon
+C6AA81 Pony
+726A60 Pony Express
+D2BC9B Pony Tail
+220000 Ponzu Brown
+EECEE6 Poodle Pink
+FFAEBB Poodle Skirt
+EA927A Poodle Skirt Peach
+824B2E Pookie Bear
+8FABBD Pool Bar
+67BCB3 Pool Blue
+7DAEE1 Pool Floor
+00AF9D Pool Green
+BEE9E3 Pool Party
+039578 Pool Table
+70928E Pool Tide
+89CFF0 Pool Tiles
+2188FF Pool Water
+8095A0 Poolhouse
+72ACAD Poolrooms
+BEE0E2 Poolside
+A13741 Pop of Poppy
+93D4C0 Pop Shop
+F771B3 Pop That Gum
+F7D07A Popcorn
+FCEBD1 Popcorn Ball
+F4EDE0 Popcorn Pause
+A29F46 Poplar
+137953 Poplar Forest
+ECE9E9 Poplar Kitten
+FED3E4 Poplar Pink
+DFE3D8 Poplar White
+C23C47 Poppy
+FBE9D8 Poppy Crepe
+EC5800 Poppy Flower
+F18C49 Poppy Glow
+88A496 Poppy Leaf
+F6A08C Poppy Petal
+736157 Poppy Pods
+6B3FA0 Poppy Pompadour
+ED2939 Poppy Power
+AE605B Poppy Prose
+DD3845 Poppy Red
+4A4E54 Poppy Seed
+FF5630 Poppy Surprise
+CCD7DF Poppy’s Whiskers
+BE4F62 Popstar
+D4CCC3 Popular Beige
+DDDCDB Porcelain
+D9D0C4 Porcelain Basin
+95C0CB Porcelain Blue
+F0DBD5 Porcelain Blush
+E9B7A8 Porcelain Crab
+EEFFBB Porcelain Earth
+A9998C Porcelain Figurines
+E1DAD9 Porcelain Goldfish
+118C7E Porcelain Green
+DFE2E4 Porcelain Jasper
+DBE7E1 Porcelain Mint
+EBE8E2 Porcelain Mould
+F5D8BA Porcelain Peach
+ECD9B9 Porcelain Pink
+EA6B6A Porcelain Rose
+808078 Porcelain Shale
+FFE7EB Porcelain Skin
+F7D8C4 Porcelain Tan
+95B0C6 Porcelain Vase
+FDDDA7 Porcelain Yellow
+FFBFAB Porcellana
+A4B3B9 Porch Ceiling
+566F8C Porch Song
+597175 Porch Swing
+D2CABE Porch Swing Beige
+AA8736 Porchetta Crust
+D9AE86 Porcini
+917A75 Porcupine Needles
+F8E0E7 Pork Belly
+D4CEBF Porous Stone
+2A0033 Porphyrophobia
+2792C3 Porpita Porpita
+DBDBDA Porpoise
+C8CBCD Porpoise Fin
+076A7E Porpoise Place
+6D3637 Port
+006A93 Port au Prince
+54383B Port Glow
+3B436C Port Gore
+54C3C1 Port Hope
+0E4D4E Port Malmesbury
+532D36 Port Royale
+6E0C0D Port Wine
+846342 Port Wine Barrel
+85677B Port Wine Stain
+9A8273 Portabella
+947A62 Portabello
+8B98D8 Portage
+F8F6DA Portal Entrance
+F0D555 Portica
+BBAB95 Portico
+FF5A36 Portland Orange
+767671 Portland Twilight
+A28C82 Portobello
+9D928A Portobello Mushroom
+F4F09B Portofino
+F0D3DF Portrait Pink
+C4957A Portrait Tone
+768482 Portsmouth
+A1ADAD Portsmouth Bay
+5B7074 Portsmouth Blue
+6B6B44 Portsmouth Olive
+A75546 Portsmouth Spice
+3C5E95 Portuguese Blue
+C48F85 Portuguese Dawn
+717910 Portuguese Green
+143C5D Poseidon
+66EEEE Poseidon Jr.
+D9D6C7 Poseidon’s Beard
+227478 Poseidon’s Castle
+D59A54 Poseidon’s Gold
+4400EE Poseidon’s Territory
+A5B4C6 Posey Blue
+EFB495 Posh Peach
+7D2621 Posh Red
+DFBBD9 Posies
+E1E2CF Positive Energy
+AD2C34 Positive Red
+76745D Positively Palm
+E7BFB6 Positively Pink
+7782A3 Positively Purple
+773355 Possessed Plum
+881166 Possessed Purple
+C2264D Possessed Red
+F3DACE Possibly Pink
+C8CDD8 Post Apocalyptic Cloud
+7A99AD Post Boy
+0074B4 Post It
+FFEE01 Post Yellow
+134682 Poster Blue
+006B56 Poster Green
+ECC100 Poster Yellow
+B39C8E Postmodern Mauve
+C7C4CD Posture & Pose
+466F97 Postwar Boom
+F3E1D3 Posy
+366254 Posy Green
+F3879C Posy Petal
+6E6386 Posy Purple
+161616 Pot Black
+F9F4E6 Pot of Cream
+F6CD23 Pot of Gold
+E07757 Potash
+FDDC57 Potato Chip
+532D45 Potent Purple
+D5CDE3 Potentially Purple
+8F3129 Potion № 9
+F5E7E2 Potpourri
+9ECCA7 Potted Plant
+938A2A Potter Green
+A64826 Potter’s Clay
+C2937B Potter’s Pink
+845C40 Potter’s Pot
+88564C Potter’s Rock
+54A6C2 Pottery Blue
+B9714A Pottery Clay
+B05D59 Pottery Red
+AA866E Pottery Urn
+CAAC91 Pottery Wheel
+A0A089 Potting Moss
+5B3E31 Potting Soil
+E68E96 Poudretteite Pink
+DECCE4 Pouf of Pink
+FDF1C3 Pound Cake
+818081 Pound Sterling
+FB9B82 Pouring Copper
+E4CCC3 Pout
+FF82CE Pout Pink
+F9A7A4 Pouty Pink
+E7D7EF Pouty Purple
+BCC9C2 Powder Ash
+B0E0E6 Powder Blue
+D8948B Powder Blush
+DFD7CA Powder Cake
+B7B7BC Powder Dust
+BFC2CE Powder Lilac
+9CB3B5 Powder Mill
+FDD6E5 Powder Pink
+FFEFF3 Powder Puff
+95396A Powder Red
+EEE0DD Powder Room
+F5B3BC Powder Rose
+F7F1DD Powder Sand
+B9C9D7 Powder Soft Blue
+CBC2D3 Powder Viola
+D9D3E5 Powder Viola White
+EBF1F5 Powder White
+F9F2E7 Powdered
+C9AB9A Powdered Allspice
+F8DCDB Powdered Blush
+AC9B9B Powdered Brick
+341C02 Powdered Cocoa
+A0450E Powdered Coffee
+E8D2B1 Powdered Gold
+C3C9E6 Powdered Granite
+C5C56A Powdered Green Tea
+A0B0A4 Powdered Gum
+FDE2D1 Powdered Peach
+E3C7C6 Powdered Petals
+C7D6D0 Powdered Pool
+B7B38D Powdered Sage
+F8F4E6 Powdered Snow
+E4E0EB Powdery Mist
+A2A4A6 Power Grey
+D4D1C7 Power Lunch
+332244 Power Outage
+EE5588 Power Peony
+66303C Power Tie
+BBB7AB Powered Rock
+4C3F5D Powerful Mauve
+372252 Powerful Violet
+C9B29C Practical Beige
+E1CBB6 Practical Tan
+679A7C Practice Green
+C2A593 Pragmatic
+0B9D6A Prairie
+935444 Prairie Clay
+516678 Prairie Denim
+937067 Prairie Dog
+FBD5BD Prairie Dune
+CEC5AD Prairie Dusk
+B9AB8F Prairie Dust
+996E5A Prairie Fire
+6E5F45 Prairie Foliage
+B1A38E Prairie Grass
+50A400 Prairie Green
+8E7D5D Prairie Grove
+D3C9AD Prairie House
+E2CC9C Prairie Land
+AE5F55 Prairie Poppy
+F2C8BE Prairie Rose
+B3A98C Prairie Sage
+883C32 Prairie Sand
+C6D7E0 Prairie Sky
+EEA372 Prairie Sun
+FFB199 Prairie Sunset
+D2D8B5 Prairie Willow
+E8E6D9 Prairie Winds
+B2B1AE Praise Giving
+221155 Praise of Shadow
+F3F4D9 Praise the Sun
+AD8B75 Praline
+C58380 Prancer
+002F0F Prasinophobia
+F6F7ED Praxeti White
+D59C6A Prayer Flag
+A5BE8F Praying Mantis
+B5C2CD Pre School
+8B7F7A Pre-Raphaelite
+F1DAB2 Precious
+008389 Precious Blue
+885522 Precious Copper
+F5F5E4 Precious Dewdrop
+186E50 Precious Emerald
+B7757C Precious Garnet
+613A57 Precious Jewels
+FFDE9C Precious Nectar
+6D9A79 Precious Oxley
+F1F0EF Precious Pearls
+BD4048 Precious Peony
+FF7744 Precious Persimmon
+F6B5B6 Precious Pink
+E16233 Precious Pumpkin
+328696 Precious Stone
+2C3944 Precision
+E8DEE3 Precocious Red
+E5DBCB Predictable
+6D6E7B Prediction
+5772B0 Prefect
+546762 Prehistoric
+EE2211 Prehistoric Meteor
+C3738D Prehistoric Pink
+9AA0A3 Prehistoric Stone
+5E5239 Prehistoric Wood
+D0A700 Prehnite Yellow
+DFEBEE Prelude
+E1DEDA Prelude to Pink
+E6B6BE Premium Pink
+D1668F Preppy Rose
+665864 Preservation Plum
+4A3C50 Preserve
+B0655A Preserved Petals
+3E4D59 Presidential
+EC9580 Presidio Peach
+BB9174 Presidio Plaza
+634875 Presley Purple
+606B77 Press Agent
+C2968B Pressed Blossoms
+D492BD Pressed Flower
+FEFE22 Pressed Laser Lemon
+EFABA6 Pressed Rose
+00CC11 Pressing My Luck
+B8A7A0 Prestige
+303742 Prestige Blue
+154647 Prestige Green
+4C213D Prestige Mauve
+5E6277 Presumption
+4444FF Pretentious Peacock
+E5A3C5 Prettiest Pink
+E9AF9B Pretty in Peach
+FABFE4 Pretty in Pink
+CC5588 Pretty in Plum
+6B295A Pretty in Prune
+C3A1B6 Pretty Lady
+849457 Pretty Maiden
+E3C6D6 Pretty Pale
+AC5D3E Pretty Parasol
+DFCDB2 Pretty Pastry
+AE5D6D Pretty Peony
+D6B7E2 Pretty Petunia
+EEAADD Pretty Pink Piggy
+FFCCC8 Pretty Please
+BCBDE4 Pretty Posie
+F5A994 Pretty Primrose
+7B6065 Pretty Puce
+C4BBD6 Pretty Purple
+E4B197 Pretty Rascal
+254770 Pretty Twilight Night
+E5A68D Priceless Coral
+46373F Priceless Purple
+A89942 Prickly Pear
+69916E Prickly Pear Cactus
+F42C93 Prickly Pink
+A264BA Prickly Purple
+E2CDD5 Prim
+CBA792 Primal
+0081B5 Primal Blue
+11875D Primal Green
+F4301C Primal Rage
+A92B4F Primal Red
+0804F9 Primary Blue
+6FA77A Primavera
+0064A1 Prime Blue
+92B979 Prime Merchandise
+FF8D86 Prime Pink
+656293 Prime Purple
+685E4E Primitive
+DED6AC Primitive Green
+663C55 Primitive Plum
+7CBC6C Primo
+D6859F Primrose
+F3949B Primrose Garden
+FFE262 Primrose Path
+E7C2CA Primrose Pink
+ECE4D0 Primrose White
+F6D155 Primrose Yellow
+CA9FA5 Primula
+4B384C Prince
+CC2277 Prince Charming
+A0ADAC Prince Grey
+9D7957 Prince Paris
+60606F Prince Royal
+7D4961 Princely
+6D5C7B Princely Violet
+F0A8B5 Princess
+0056A1 Princess Blue
+CCEEEE Princess Blue Feather
+F4C1C1 Princess Bride
+F6E9EA Princess Elle
+E5DBEB Princess Fairy Tale
+FAEAD5 Princess Ivory
+F878F8 Princess Peach
+FF85CF Princess Perfume
+DFB5B0 Princess Pink
+FF8F00 Princeton Orange
+756F54 Priory
+F1D3DA Priscilla
+AADCCD Prism
+F0A1BF Prism Pink
+53357D Prism Violet
+117777 Prismarine
+EAE8DD Prismatic Pearl
+005C77 Prismatic Springs
+FDAA48 Prison Jumpsuit
+F2E8DA Pristine
+00CCBB Pristine Oceanic
+D5E1E0 Pristine Petal
+007799 Pristine Seas
+807658 Private Affair
+4C4949 Private Black
+006E89 Private Eye
+4F531F Private Green
+889DB2 Private Jet
+845469 Private Tone
+F3EBD9 Private White
+D9B2C7 Private-Label Pink
+768775 Privet
+588A79 Privet Hedge
+7A8775 Privilege Green
+F3EAD7 Privileged
+597695 Privileged Elite
+CC9DC6 Prize Winning Orchid
+A2C0B9 Prized Celadon
+393540 Professor Plum
+40243D Profound Mauve
+C39297 Profound Pink
+DAA5AA Prom
+E7C3E7 Prom Corsage
+C4A99D Prom Night
+E9A9BB Prom Pink
+9B1DCD Prom Queen
+F8F6DF Promenade
+F4581E Prometheus Orange
+2B7DA6 Prominent Blue
+DA9EC5 Prominent Pink
+BB11EE Promiscuous Pink
+ACC0E2 Promise
+AFC7E8 Promise Keeping
+686278 Promised Amethyst
+5E7FB5 Prompt
+ADA8A5 Proper Grey
+59476B Proper Purple
+EDE5C7 Proper Temperature
+4B5667 Property
+6F58A6 Prophet Violet
+BE8B8F Prophetess
+624F59 Prophetic Purple
+818B9C Prophetic Sea
+E0B4A4 Prosciutto
+FAD6A5 Prosecco
+62584B Prospect
+915F66 Prosperity
+66543E Protégé Bronze
+FF8866 Protein High
+840804 Proton Red
+E0C778 Protoss
+00AAFF Protoss Pylon
+658DC6 Provence
+8A9C99 Provence Blue
+FFEDCB Provence Creme
+827191 Provence Violet
+5C7B8C Providence
+A8ACA2 Provincial
+5E7B91 Provincial Blue
+F6E3DA Provincial Pink
+4C5079 Provocative
+D4C6DB Prudence
+701C11 Prune
+211640 Prune Plum
+6C445B Prune Purple
+864788 Prunella
+220878 Prunelle
+DD4492 Prunus Avium
+3F585F Prussian
+003366 Prussian Blue
+0B085F Prussian Nights
+6F4B5C Prussian Plum
+DD00FF Psychedelic Purple
+625981 Psychic
+CE5DAE Pú Táo Zǐ Purple
+CC8899 Puce
+FF1177 Pucker Up
+A0A6A0 Puddle
+6A8389 Puddle Jumper
+6E3326 Pueblo
+E9786E Pueblo Rose
+E7C3A4 Pueblo Sand
+E5DFCD Pueblo White
+54927E Puerto Princesa
+59BAA3 Puerto Rico
+635940 Puff Dragon
+FFCBEE Puff of Pink
+FCCF8B Puff Pastry Yellow
+CCBFC9 Puffball
+E2DADF Puffball Vapour
+E95C20 Puffins Bill
+D2DEF2 Puffy Cloud
+D7EDEA Puffy Little Cloud
+E7E5DE Puffy Pillow
+7722CC Puissant Purple
+CBB5B2 Puka Shell
+6E8D98 Pulitzer Blue
+F1D6BC Pulled Taffy
+644117 Pullman Brown
+3B331C Pullman Green
+E18289 Pulp
+01678D Pulsating Blue
+96711C Puma
+BAC0B4 Pumice
+807375 Pumice Grey
+CAC2B9 Pumice Stone
+6C462D Pumpernickel
+F7504A Pumping Spice
+FF7518 Pumpkin
+D27D46 Pumpkin Bread
+CBA077 Pumpkin Butter
+EB7B07 Pumpkin Cat
+8D2D13 Pumpkin Choco
+E6C8A9 Pumpkin Cream
+B96846 Pumpkin Drizzle
+F7DAC0 Pumpkin Essence
+286848 Pumpkin Green
+183425 Pumpkin Green Black
+F6A379 Pumpkin Hue
+F2C3A7 Pumpkin Mousse
+FB7D07 Pumpkin Orange
+D59466 Pumpkin Patch
+E99E56 Pumpkin Pie
+EDC994 Pumpkin Pie Oh My!
+FFFDD8 Pumpkin Seed
+E17701 Pumpkin Soup
+B2691A Pumpkin Spice
+CE862F Pumpkin Squash
+DE9456 Pumpkin Toast
+FFA74F Pumpkin Vapour
+E99A10 Pumpkin Yellow
+DC4333 Punch
+ECD086 Punch of Yellow
+6888FC Punch Out Glove
+B68692 Punched Pink
+56414D Punchit Purple
+856B71 Punctuate
+534931 Punga
+8811FF Punk Rock Pink
+BB11AA Punk Rock Purple
+B2485B Punky Pink
+070303 Pupil
+79CCB3 Puppeteers
+BCAEA0 Puppy
+E2BABF Puppy Love
+EAD2BC Puppy Paws
+C687D6 Purception
+DFC6A5 Pure Almond
+6AB54B Pure Apple
+E9D0C4 Pure Beige
+595652 Pure Black
+0203E2 Pure Blue
+ABA093 Pure Cashmere
+36BFA8 Pure Cyan
+A79480 Pure Earth
+FAEAE1 Pure Frost
+FF2255 Pure Hedonist
+FDF5CA Pure Laughter
+036C91 Pure Light Blue
+6F5390 Pure Mauve
+112266 Pure Midnight
+B40039 Pure Passion
+F51360 Pure Pleasure
+751973 Pure Purple
+D22D1D Pure Red
+FFEE15 Pure Sunshine
+7ABEC2 Pure Turquoise
+F8F8F2 Pure White
+58503C Pure Woody
+615753 Pure Zeal
+67707D Purebred
+C74222 Pureed Pumpkin
+E66771 Purehearted
+C3DCE9 Purification
+A8B0AE Puritan Grey
+D7C9E3 Purity
+800080 Purple
+988EB4 Purple Agate
+9190BA Purple Amethyst
+8866FF Purple Anemone
+C20078 Purple Anxiety
+8F8395 Purple Ash
+9D9EB4 Purple Balance
+625B87 Purple Balloon
+5C4450 Purple Basil
+4C4A74 Purple Berry
+4A455D Purple Blanket
+544258 Purple Bloom
+661AEE Purple Blue
+673A3F Purple Brown
+3D34A5 Purple Cabbage
+A83A9A Purple Cactus Flower
+C4ADC9 Purple Chalk
+B67CA2 Purple Cheeks
+8800FF Purple Climax
+6E6970 Purple Comet
+5A4E8F Purple Corallite
+593C50 Purple Cort
+D7CBD7 Purple Cream
+E7E7EB Purple Crystal
+771166 Purple Curse
+835177 Purple Davenport
+63647E Purple Daze
+331144 Purple Door
+917F84 Purple Dove
+754260 Purple Drab
+C6BEDD Purple Dragon
+660066 Purple Dreamer
+7C6B76 Purple Dusk
+624646 Purple Earth
+6633BB Purple Emperor
+5A4D55 Purple Empire
+EADCE2 Purple Emulsion
+C2B1C8 Purple Essence
+943589 Purple Excellency
+594670 Purple Feather
+880099 Purple Feather Boa
+85598A Purple Fluorite
+ACB0CA Purple Freedom
+50599F Purple Frenzy
+747582 Purple Funk
+5C4D5C Purple Fury
+C4ABD4 Purple Gala
+8397D0 Purple Gentian
+C1ABD4 Purple Gladiola
+736993 Purple Grapes
+866F85 Purple Grey
+6A6283 Purple Gumball
+835F79 Purple Gumdrop
+807396 Purple Haze
+69359C Purple Heart
+CC2288 Purple Heart Kiwi
+BAB8D3 Purple Heather
+8773BB Purple Hebe
+AA66FF Purple Hedonist
+CCAAFF Purple Hepatica
+B6ADD8 Purple Hibiscus
+8E85A7 Purple Hills
+D96CAD Purple Hollyhock
+8855FF Purple Honeycreeper
+6E8FC0 Purple Hyacinth
+B8B8F8 Purple Illusion
+A675FE Purple Illusionist
+7C89AB Purple Impression
+9A2CA0 Purple Ink
+73626F Purple Kasbah
+512C31 Purple Kite
+CC77CC Purple Kush
+B88AAC Purple Lepidolite
+653475 Purple Magic
+9A8891 Purple Mauve
+DBD1E2 Purple Mist
+7A70A8 Purple Mountain Majesty
+9D81BA Purple Mountains’ Majesty
+815989 Purple Mystery
+4E5180 Purple Navy
+322C56 Purple Noir
+643E65 Purple Odyssey
+60569A Purple Opulence
+AD4D8C Purple Orchid
+79669D Purple Paradise
+645E77 Purple Passage
+784674 Purple Passion
+5C2E88 Purple Patch
+452E4A Purple Pennant
+5B4763 Purple People Eater
+903F75 Purple Peril
+9483A8 Purple Phantom
+C83CB9 Purple Pink
+BB00AA Purple Pirate
+FE4EDA Purple Pizzazz
+C7CEE8 Purple Pj’s
+81459E Purple Pleasures
+9C51B6 Purple Plum
+473854 Purple Plumeria
+DAB4CC Purple Poodle
+4C4976 Purple Pool
+AA00AA Purple Potion
+B9A0D2 Purple Premiere
+A274B5 Purple Pride
+5B4D54 Purple Prince
+7733AA Purple Pristine
+BB9ECA Purple Prophet
+543254 Purple Prose
+593569 Purple Protégé
+8822DD Purple Protest
+523E49 Purple Province
+696374 Purple Punch
+C9C6DF Purple Purity
+8C8798 Purple Ragwort
+7442C8 Purple Rain
+990147 Purple Red
+5C4971 Purple Reign
+8278AD Purple Rhapsody
+AF9FCA Purple Rose
+8B7880 Purple Rubiate
+75697E Purple Sage
+C2B2F0 Purple Sand
+754B8F Purple Sapphire
+522A6F Purple Seduction
+4E2E53 Purple Shade
+C8BAD4 Purple Shine
+776D90 Purple Silhouette
+62547E Purple Sky
+CC69E4 Purple Snail
+563948 Purple Sphinx
+746F9D Purple Spire
+5E3B6A Purple Splendour
+652DC1 Purple Spot
+AB9BBC Purple Springs
+845998 Purple Squid
+B16D90 Purple Starburst
+6E5755 Purple Statement
+A885B5 Purple Statice
+624154 Purple Stiletto
+605467 Purple Stone
+B183A8 Purple Stripe
+766478 Purple Suede
+853682 Purple Sultan
+9B95A9 Purple Surf
+835995 Purple Tanzanite
+50404D Purple Taupe
+F0B9BE Purple Thorn
+A22DA4 Purple Tone Ink
+746CC0 Purple Toolbox
+665261 Purple Trinket
+C364C5 Purple Urn Orchid
+665B80 Purple Valley
+9932CC Purple Vanity
+D3D5E0 Purple Veil
+581A57 Purple Velour
+483B56 Purple Velvet
+46354B Purple Verbena
+A29CC8 Purple Vision
+442244 Purple Void
+D4C0DF Purple Whisper
+D3C2CF Purple White
+97397F Purple Wine
+5A395B Purple Wineberry
+A846D7 Purple Yam
+DD1166 Purple Yearning
+A15589 Purple Zergling
+EEC3EE Purple’s Baby Sister
+B6C4DD Purpletini
+837F92 Purpletone
+602287 Purplex
+C8BDD2 Purpling Dawn
+98568D Purplish
+6140EF Purplish Blue
+6B4247 Purplish Brown
+7A687F Purplish Grey
+DF4EC8 Purplish Pink
+B0054B Purplish Red
+DFD3E3 Purplish White
+5E0DC2 Purplue
+776C76 Purposeful
+8D8485 Purpura
+9A4EAE Purpureus
+864480 Purpurite Red
+57385E Purpurite Violet
+898078 Purri Sticks
+879F6C Purslane
+F1D260 Pursuit of Happiness
+CEBADA Pussyfoot
+B2ADA4 Pussywillow
+A2A193 Pussywillow Grey
+C8DDEA Put on Ice
+8D4362 Putnam Plum
+89A572 Putrid Green
+F1E4C9 Putting Bench
+3A9234 Putting Green
+CDAE70 Putty
+BDA89C Putty Grey
+A99891 Putty Pearl
+9D8E7F Putty Yellow
+ADA2CE Puturple
+55FF55 Puyo Blob Green
+D6D0CF Pygmy Goat
+6299AA Pyjama Blue
+9FBADF Pylon
+9F7D4F Pyramid
+E5B572 Pyramid Gold
+F8C642 Pyrite
+AC9362 Pyrite Gold
+3A6364 Pyrite Green
+867452 Pyrite Slate Green
+C4BF33 Pyrite Yellow
+3776AB Python Blue
+FFD343 Python Yellow
+7B5804 Qahvei Brown
+CF3C71 Qermez Red
+89A0B0 Qiān Hūi Grey
+4455EE Qing Dynasty Dragon
+DD2266 Qing Dynasty Fire
+FFCC66 Qing Yellow
+FFE989 Quack Quack
+998811 Quagmire Green
+96838B Quail
+E3DDCE Quail Egg
+5C4E53 Quail Hollow
+ACA397 Quail Ridge
+AB9673 Quail Valley
+EACDC1 Quaint Peche
+686C62 Quaking Bog
+BBC6A4 Quaking Grass
+6E799B Quantum Blue
+B2DDC4 Quantum Effect
+7C948B Quantum Green
+130173 Quantum of Light
+E7F1E6 Quark White
+EBE6D5 Quarried Limestone
+8A9399 Quarry
+AF9A91 Quarry Quartz
+F2EDDD Quarter Pearl Lusta
+EBE2D2 Quarter Spanish White
+1272A3 Quarterdeck
+85695B Quartersawn Oak
+D9D9F3 Quartz
+6E7C45 Quartz Green
+FDEAE6 Quartz Light Pink
+A9AAAB Quartz Sand
+E8E8E5 Quartz Stone
+F3E8E1 Quartz White
+232E26 Quartzite
+C7D0DA Quarzo
+BED3CB Quaver
+FAB001 Queen Anne
+C0B6B4 Queen Anne Lilac
+F2EEDE Queen Anne’s Lace
+436B95 Queen Blue
+E8BC95 Queen Conch Shell
+77613D Queen Lioness
+BBDD55 Queen of Gardens
+98333A Queen of Hearts
+817699 Queen of Sheba
+295776 Queen of the Night
+3D4585 Queen of the Night Shift
+1C401F Queen of Trees
+D2EAEA Queen of Waves
+AD9E4B Queen Palm
+E8CCD7 Queen Pink
+6C7068 Queen Valley
+7B6FA0 Queen’s
+9D433F Queen’s Coat
+472557 Queen’s Domain
+8B5776 Queen’s Honour
+753A40 Queen’s Rose
+D3BCC5 Queen’s Tart
+CDB9C4 Queen’s Violet
+D3ACCE Queenly
+F9ECD0 Queenly Laugh
+652793 Queens of the Dead
+88ACE0 Queer Blue
+B36FF6 Queer Purple
+B4E0E7 Quench Blue
+E5B03D Quercitron
+BDC1C1 Quest
+ADA5A5 Quest Grey
+EF9A49 Question Mark Block
+006868 Quetzal Green
+B393C0 Quibble
+FED56F Quiche Lorraine
+BDDBE1 Quick-Freeze
+AC9884 Quicksand
+A6A6A6 Quicksilver
+160435 Quiet Abyss
+6597CC Quiet Bay
+017AA6 Quiet Cove
+D7D9D5 Quiet Dew
+B7D0C5 Quiet Drizzle
+9EBC97 Quiet Green
+B9BABD Quiet Grey
+5A789A Quiet Harbour
+DDD7CC Quiet Interlude
+B1E2CB Quiet Jade
+CED3C7 Quiet Mint
+96AEB0 Quiet Moment
+3E8FBC Quiet Night
+ACDEEB Quiet Nook
+E4E2DD Quiet on the Set
+DBA39A Quiet Pink
+94D8E2 Quiet Pond
+E7EFCF Quiet Rain
+B69C97 Quiet Refuge
+686970 Quiet Shade
+F5EBD6 Quiet Shore
+FAE6CA Quiet Splendour
+EECC9F Quiet Star
+2F596D Quiet Storm
+A9BAB1 Quiet Teal
+AAAD94 Quiet Thicket
+B8BCB8 Quiet Time
+EBD2A7 Quiet Veranda
+B9BEA3 Quiet Waters
+F1F3E8 Quiet Whisper
+ADBBB2 Quietude
+DCD2B8 Quill
+CBC9C0 Quill Grey
+2D3359 Quill Tip
+612741 Quills of Terico
+7F9DAF Quilotoa Blue
+70A38D Quilotoa Green
+FCD9C6 Quilt
+EAC365 Quilt Gold
+CE9FB4 Quilted Heart
+8E3A59 Quinacridone Magenta
+D4CB60 Quince
+F89330 Quince Jelly
+6A5445 Quincy
+B5B5AF Quincy Granite
+F9ECD1 Quinoa
+F5E326 Quinoline Yellow
+008CA9 Quintana
+C2DBC6 Quintessential
+C76356 Quite Coral
+97171E Quite Red
+9BE510 Quithayran Green
+886037 Quiver
+8E7F6A Quiver Tan
+948491 Quixotic
+4A4653 Quixotic Plum
+5F575C Rabbit
+885D62 Rabbit Paws
+6225B8 Rabbit-Ear Iris
+D2C1B5 Rabbit’s Foot
+735E56 Raccoon Tail
+CF4944 Race Car Stripe
+EEF3D0 Race the Sun
+CBBEB5 Race Track
+E8B9AE Rachel Pink
+014600 Racing Green
+C21727 Racing Red
+D6341E Rackham Red
+5D8AAA Rackley
+776A3C Racoon Eyes
+B6C8E4 Radar
+96F97B Radar Blip Green
+BB9157 Radiance
+ECE2CE Radiant Dawn
+5500FF Radiant Feather
+659C35 Radiant Foliage
+FFEED2 Radiant Glow
+10F144 Radiant Hulk
+A489A0 Radiant Lilac
+E0E6F0 Radiant Moon
+AD5E99 Radiant Orchid
+E31B5D Radiant Raspberry
+EED5D4 Radiant Rose
+D7B1B2 Radiant Rouge
+8F979D Radiant Silver
+F0CC50 Radiant Sun
+EEBE1B Radiant Sunrise
+FC9E21 Radiant Yellow
+FFA343 Radiation Carrot
+326A2B Radical Green
+FF355E Radical Red
+745166 Radicchio
+694D3A Radigan Conagher Brown
+89FE05 Radioactive
+F9006F Radioactive Eggplant
+2CFA1F Radioactive Green
+66DD00 Radioactive Lilypad
+A42E41 Radish
+EE3355 Radish Lips
+EC4872 Radishical
+E5E7E6 Radisson
+7FFF00 Radium
+FFD15C Radler
+F1C7A1 Radome Tan
+DCC6A0 Raffia
+CDA09A Raffia Cream
+B3A996 Raffia Greige
+CBD9D8 Raffia Light Grey
+CBB08C Raffia Ribbon
+EEEEE3 Raffia White
+CA9A5D Raffles Tan
+3C5F9B Raftsman
+FF1133 Rage
+F32507 Rage of Quel’Danas
+8D514C Ragin’ Cajun
+B54E45 Raging Bull
+DD5500 Raging Leaf
+AA3333 Raging Raisin
+8D969E Raging Sea
+004F63 Raging Thunderstorm
+5187A0 Raging Tide
+4A5E6C Ragtime Blues
+513933 Ragtop
+7BE892 Ragweed
+F6AD3A Raichu Orange
+0056A8 Raiden Blue
+E34029 Raiden’s Fury
+544540 Railroad Ties
+ABBEBF Rain
+8B795F Rain Barrel
+354D65 Rain Boots
+B6D5DE Rain Check
+919FA1 Rain Cloud
+685346 Rain Drum
+B5DCEA Rain or Shine
+677276 Rain Shadow
+BCA849 Rain Slicker
+C5D5E9 Rain Song
+F6BFBC Rainbow
+2863AD Rainbow Bright
+FF975C Rainbow Trout
+FF09FF Rainbow’s Inner Rim
+FF0001 Rainbow’s Outer Rim
+819392 Raindance
+9EC6C6 Raindrop
+B3C1B1 Rainee
+759180 Rainford
+009A70 Rainforest
+E6DAB1 Rainforest Dew
+CEC192 Rainforest Fern
+B2C346 Rainforest Glow
+446019 Rainforest Matcha
+002200 Rainforest Nights
+016D43 Rainforest Retreat
+7F795F Rainforest Zipline
+558484 Rainier Blue
+485769 Rainmaker
+9CA4A9 Rainmaster
+244653 Rainstorm
+C2CDC5 Rainwashed
+87D9D2 Rainwater
+889A95 Rainy Afternoon
+CFC8BD Rainy Day
+A5A5A5 Rainy Grey
+3F6C8F Rainy Lake
+4499AA Rainy Mood
+005566 Rainy Morning
+D1D8D6 Rainy Season
+9BAFBB Rainy Sidewalk
+99BBDD Rainy Week
+5D4A4E Raisin
+242124 Raisin Black
+78615C Raisin in the Sun
+FBAB60 Rajah
+E6D9E2 Rajah Rose
+957D48 Raked Leaves
+BF794E Rakuda Brown
+7EC083 Rally Green
+B7A9AC Ramadi Grey
+5A804F Rambling Green
+D98899 Rambling Rose
+A94737 Rambutan
+CDBDA2 Ramie
+4C73AF Ramjet
+8F9A88 Ramona
+603231 Rampant Rhubarb
+BCB7B1 Rampart
+195456 Ramsons
+F3E7CF Ranch Acres
+9E7454 Ranch Brown
+7B645A Ranch House
+968379 Ranch Mink
+C8B7A1 Ranch Tan
+DFD8B3 Rancho Verde
+B7B7B4 Rand Moon
+756E60 Randall
+68BD56 Range Land
+6A8472 Ranger Green
+707651 Ranger Station
+2E3222 Rangitoto
+2B2E25 Rangoon Green
+F7ECD8 Ranier White
+F5DDE6 Ranunculus White
+D28239 Rapakivi Granite
+C19A13 Rapeseed
+FFEC47 Rapeseed Blossom
+A69425 Rapeseed Oil
+A39281 Rapid Rock
+52C7C7 Rapids
+D8DFDA Rapier Silver
+45363A Rapt
+114444 Rapture
+A7D6DD Rapture Blue
+CF5A70 Rapture Rose
+F6F3E7 Rapture’s Light
+F6D77F Rapunzel
+D2D2D4 Rapunzel Silver
+0044FF Rare Blue
+E1DEE8 Rare Crystal
+AC8044 Rare Find
+A6A69B Rare Grey
+8DACA0 Rare Happening
+DBDCE2 Rare Orchid
+DD1133 Rare Red
+CC0022 Rare Rhubarb
+00748E Rare Turquoise
+E8E9CC Rare White Jade
+E8DBDF Rare White Raven
+55FFCC Rare Wind
+3B2736 Rare Wine
+594C42 Rare Wood
+E1E6E6 Rarified Air
+B00149 Raspberry
+875169 Raspberry Crush
+8E3643 Raspberry Fool
+915F6C Raspberry Glace
+FF77AA Raspberry Glaze
+D9CCC7 Raspberry Ice
+9F3753 Raspberry Ice Red
+CA3767 Raspberry Jam
+9B6287 Raspberry Jelly Red
+C9A196 Raspberry Kahlua
+044F3B Raspberry Leaf Green
+E1AAAF Raspberry Lemonade
+9A1A60 Raspberry Magenta
+EBD2D1 Raspberry Milk
+E06F8B Raspberry Mousse
+B96482 Raspberry Parfait
+A34F66 Raspberry Patch
+E25098 Raspberry Pink
+94435A Raspberry Pudding
+882D50 Raspberry Radiance
+F62217 Raspberry Rave
+CD827D Raspberry Ripple
+972B51 Raspberry Romantic
+B3436C Raspberry Rose
+FF3888 Raspberry Shortcake
+D0A1B4 Raspberry Smoothie
+D2386C Raspberry Sorbet
+8A5D55 Raspberry Truffle
+B3737F Raspberry Whip
+B63753 Raspberry Wine
+E30B5D Raspberry Yoghurt
+885F01 Rat Brown
+6F6138 Rationality
+A58E61 Rattan
+A79069 Rattan Basket
+8F876B Rattan Palm
+7F7667 Rattlesnake
+C35530 Raucous Orange
+54463F Rave Raisin
+A13B34 Rave Red
+00619D Rave Regatta
+0B0B0B Raven
+3D3D3D Raven Black
+6F747B Raven Grey
+3B3F66 Raven Night
+BB2255 Raven’s Banquet
+030205 Raven’s Coat
+4B4045 Raven’s Wing
+0A0555 Ravenclaw
+464543 Ravenwood
+D3CEC7 Ravine
+FADE79 Ravioli al Limone
+E79580 Ravishing Coral
+BB2200 Ravishing Rouge
+F2EED3 Raw Alabaster
+544173 Raw Amethyst
+C8BEB1 Raw Cashew Nut
+662200 Raw Chocolate
+7D403B Raw Cinnabar
+C46B51 Raw Copper
+E3D4BB Raw Cotton
+9E7172 Raw Edge
+8B6C7E Raw Garnet Viola
+CC8844 Raw Linen
+E4BC8C Raw Peanut
+9A6200 Raw Sienna
+E1D9C7 Raw Silk
+D8CAB2 Raw Sugar
+F95D2D Raw Sunset
+A75E09 Raw Umber
+865E49 Rawhide
+7A643F Rawhide Canoe
+FDF2C0 Ray of Light
+F4C454 Rayo de Sol
+7197CB Razee
+D1768C Razzberries
+E1D5D4 Razzberry Fizz
+BA417B Razzle Dazzle
+FF33CC Razzle Dazzle Rose
+E30B5C Razzmatazz
+E3256B Razzmatazz Lips
+8D4E85 Razzmic Berry
+F08101 Rè Dài Chéng Orange
+DD484E Re-Entry
+CD0317 Re-Entry Red
+7D5D5E Reading Tea Leaves
+7BA570 Ready Lawn
+563D2D Real Brown
+C1A17F Real Cork
+00577E Real Mccoy
+DD79A2 Real Raspberry
+A90308 Real Red
+CCB896 Real Simple
+45657D Real Teal
+008A4C Real Turquoise
+D3C8BD Realist Beige
+E9EADB Really Light Green
+E8ECDB Really Rain
+C2B1C5 Really Romantic
+016367 Really Teal
+796C70 Realm
+114411 Realm of the Underworld
+663399 Rebecca Purple
+453430 Rebel
+CD4035 Rebel Red
+9B7697 Rebel Rouser
+CC0404 Rebellion Red
+28A8CD Reboot
+BAD56B Rebounder
+4A4E5C Receding Night
+BAB6AB Reclaimed Wood
+B7D7BF Reclining Green
+1A525B Recollection Blue
+CDB6A0 Recycled
+B7C3B7 Recycled Glass
+FF0000 Red
+FF0F0F Red Alert
+E44E4D Red Arremer
+BB0011 Red Baron
+8E3738 Red Bay
+3D0C02 Red Bean
+7B3801 Red Beech
+DD3300 Red Bell Pepper
+701F28 Red Berry
+9D2B22 Red Birch
+D13B40 Red Bliss
+660000 Red Blood
+8A3C38 Red Blooded
+824E46 Red Bluff
+A52A2F Red Brown
+534A77 Red Cabbage
+833C3D Red Candle
+FF3322 Red Card
+BC2026 Red Carpet
+D87678 Red Cedar
+AD654C Red Cent
+ED7777 Red Chalk
+883543 Red Chicory
+95372D Red Chilli
+834C3E Red Chipotle
+C10C27 Red City of Morocco
+8F4B41 Red Clay
+77413D Red Clay Hill
+BB8580 Red Clover
+D43E38 Red Clown
+B33234 Red Contrast
+FF4040 Red Coral
+91433E Red Craft
+E45E32 Red Cray
+EE204D Red Crayon
+8B5E52 Red Curry
+85222B Red Dahlia
+CB6F4A Red Damask
+BB012D Red Dead Redemption
+BA2A1A Red Death
+860111 Red Devil
+FF4500 Red Dit
+AC0000 Red Door
+E8DEDB Red Dust
+A2816E Red Earth
+85464B Red Elegance
+E9DBDE Red Emulsion
+794D60 Red Endive
+D00000 Red Epiphyllum
+C54831 Red Fang
+FF2244 Red Flag
+D76968 Red Geranium
+B07473 Red Gerbera
+604046 Red Gooseberry
+AD1400 Red Gore
+B8866E Red Gravel
+B83312 Red Gravy
+99686A Red Grey
+AC3A3E Red Gumball
+8A453B Red Hawk
+DD1144 Red Herring
+845544 Red Hook
+DD0033 Red Hot
+DB1D27 Red Hot Chili Pepper
+773C31 Red Hot Jazz
+C93543 Red Icon
+BB1E1E Red Inferno
+AC3235 Red Ink
+783F54 Red Jade
+C01141 Red Jalapeño
+913228 Red Kite
+DD0011 Red Knuckles
+AB4D50 Red Leather
+881400 Red Leever
+FF0055 Red Light Neon
+D24B38 Red Lightning
+BFBAC0 Red Lilac Purple
+B4090D Red Lust
+663B43 Red Mahogany
+F95554 Red Mana
+6D3D2A Red Mane
+834C4B Red Maple Leaf
+AA2121 Red Menace
+C92B1E Red Mist
+FF8888 Red Mull
+880022 Red Mulled Wine
+994341 Red My Mind
+B63731 Red Obsession
+953334 Red Ochre
+FE2712 Red October
+773243 Red Octopus
+473442 Red Onion
+FF3F34 Red Orange
+FF5349 Red Orange Juice
+CD6D57 Red Orpiment
+5D1F1E Red Oxide
+C34B1B Red Panda
+BB0044 Red Paracentrotus
+82383C Red Pear
+DD0000 Red Pegasus
+A60000 Red Pentacle
+7A3F38 Red Pepper
+C62D42 Red Peppercorn
+F6B894 Red Perfume
+72423F Red Pines
+FA2A55 Red Pink
+7C2949 Red Plum
+995D50 Red Potato
+DD143D Red Potion
+D63D3B Red Power
+8E3928 Red Prairie
+BB1100 Red Prayer Flag
+D92849 Red Prickly Pear
+E40078 Red Purple
+EE3344 Red Radish
+EE3322 Red Rampage
+91403D Red Red Red
+814142 Red Red Wine
+800707 Red Reign
+FFE0DE Red Remains
+D70200 Red Republic
+A8453B Red Revival
+CA1B1B Red Rhapsody
+ED0A3F Red Ribbon
+B9271C Red Rider
+FE2713 Red Riding Hood
+B95543 Red River
+7D4138 Red Robin
+A65052 Red Rock
+A27253 Red Rock Falls
+B29E9D Red Rock Panorama
+7E5146 Red Rooster
+693F43 Red Rumour
+FD3A4A Red Salsa
+E5CAC0 Red Sandstorm
+CC3B22 Red Sauce Parlour
+EE0128 Red Savina Pepper
+C92D21 Red Seal
+B9090F Red Sentinel
+862808 Red Shade Wash
+FEE0DA Red Shimmer
+874C62 Red Shrivel
+C8756D Red Sparowes
+AA262A Red Square
+AD522E Red Stage
+FF2222 Red Stop
+CC1133 Red Tape
+B8383B Red Team Spirit
+AE4930 Red Terra
+6E3637 Red Theatre
+BE0119 Red Tolumnia Orchid
+8B2E08 Red Tone Ink
+C44D4F Red Trillium
+B41B40 Red Tuna Fruit
+783B38 Red Velvet
+5F383C Red Vine
+9E0168 Red Violet
+9F1A1D Red Vitality
+765952 Red Wattle Hog
+885A55 Red Willow
+722F37 Red Wine Vinegar
+DB5947 Red Wire
+EE1155 Red Wrath
+E0180C Red Wrath of Zeus
+DD1155 Red-Eye
+DD2233 Red-Handed
+A91F29 Red-Hot Mama
+CC0055 Red-Letter Day
+A27547 Red-Tailed-Hawk
+BB2211 Redalicious
+94332F Redbox
+AD5E65 Redbud
+88455E Redcurrant
+9C6E63 Reddened Earth
+9B4045 Reddest Red
+C44240 Reddish
+FFBB88 Reddish Banana
+433635 Reddish Black
+7F2B0A Reddish Brown
+997570 Reddish Grey
+F8481C Reddish Orange
+FE2C54 Reddish Pink
+910951 Reddish Purple
+FFF8D5 Reddish White
+6E1005 Reddy Brown
+AE8E7E Redend Point
+F5D6D8 Redneck
+EA8A7A Redolenc
+9D4E34 Redridge Brown
+A24D47 Redrock Canyon
+FF3A2D Redshift
+E46B71 Redstone
+D90B0B Redsurrection
+AF4544 Redtail
+E7E9D8 Reduced Green
+EFDEDF Reduced Red
+DAECE7 Reduced Turquoise
+F0EAD7 Reduced Yellow
+E55E58 Reductant
+98010D Redwing
+5B342E Redwood
+916F5E Redwood Forest
+FF2200 RedЯum
+B0AD96 Reed Bed
+A1A14A Reed Green
+CD5E3C Reed Mace
+DCC79E Reed Yellow
+A0BCA7 Reeds
+017371 Reef
+93BDCF Reef Blue
+00968F Reef Encounter
+0474AD Reef Escape
+A98D36 Reef Gold
+A5E1C4 Reef Green
+D1EF9F Reef Refractions
+274256 Reef Resort
+6F9FA9 Reef Waters
+F1EAE2 Refer to the Stars
+8C1B3C Refined Chianti
+384543 Refined Green
+F1F9EC Refined Mint
+AF6879 Refined Rose
+234251 Reflecting Pond
+DCDFDC Reflecting Pool
+DB899E Reflecting Rose
+D3D5D3 Reflection
+CADBDF Reflection Pool
+A1D4C8 Refresh
+CFE587 Refreshed
+617A74 Refreshing Green
+B7E6E6 Refreshing Pool
+D7FFFE Refreshing Primer
+EBDDA6 Refreshing Tea
+BADFCD Refrigerator Green
+607D84 Refuge
+DAC2B3 Regal
+6A76AF Regal Azure
+2E508A Regal Destiny
+655777 Regal Gown
+A282A9 Regal Orchid
+99484A Regal Red
+9D7374 Regal Rose
+749E8F Regal View
+A298A2 Regal Violet
+7DB5D3 Regale Blue
+522D80 Regalia
+664480 Regality
+5382BB Regatta
+2D5367 Regatta Bay
+E1BB87 Regency Cream
+A78881 Regency Rose
+798488 Regent Grey
+A0CDD9 Regent St Blue
+D2AA92 Regina Peach
+000200 Registration Black
+009999 Regula Barbara Blue
+F7250B Reign of Tomatoes
+76679E Reign Over Me
+CA6C4D Reikland
+DAC0BA Reindeer
+BDF8A3 Reindeer Moss
+C4C7A5 Rejuvenate
+A4A783 Rejuvenation
+B9D2D3 Relax
+A8D19E Relaxation Green
+698A97 Relaxed Blue
+C8BBA3 Relaxed Khaki
+627377 Relaxed Navy
+BBAAAA Relaxed Rhino
+899DAA Relaxing Blue
+E0EADB Relaxing Green
+AC7C2E Release the Hounds
+71713E Relentless Olive
+E8DED3 Reliable White
+88789B Relic
+906A3A Relic Bronze
+BF2133 Relief
+E9DBDF Relieved Red
+FF2288 Reliquial Rose
+B3CBAA Relish
+8A4C38 Remaining Embers
+EFE7D6 Remarkable Beige
+974F49 Rembrandt Ruby
+8A4536 Remember Me Red
+CA9E9C Remembrance
+A25D4C Remington Rust
+EBC8B8 Renaissance Fresco
+865560 Renaissance Rose
+820747 Renanthera Orchid
+9B4B20 Rendang
+ABBED0 Rendez-Blue
+8F968B Renegade
+9CB8B5 Renew Blue
+B55233 Renga Brick
+989F7A Renkon Beige
+B87F84 Rennie’s Rose
+B26E33 Reno Sand
+DABE9F Renoir Bisque
+C3B09D Renwick Beige
+504E47 Renwick Brown
+96724C Renwick Golden Oak
+8B7D7B Renwick Heather
+97896A Renwick Olive
+AF8871 Renwick Rose Beige
+CCC9C0 Repose Grey
+24DA91 Reptile Green
+5E582B Reptile Revenge
+009E82 Reptilian Green
+8F9961 Reptilian Leader
+DE0100 Republican
+4E3F44 Requiem
+B9B2A9 Requisite Grey
+9DA98C Reseda
+75946B Reseda Green
+8C7544 Reservation
+AC8A98 Reserve
+E2E1D6 Reserved Beige
+D2D8DE Reserved Blue
+E0E0D9 Reserved White
+01638B Reservoir
+85B0C4 Resolute Blue
+002387 Resolution Blue
+01A2C6 Resonant Blue
+F4D7C5 Resort Sunrise
+907D66 Resort Tan
+F4F1E4 Resort White
+CD8E89 Resounding Rose
+97B4C3 Respite
+B4A8B1 Resplendent
+3D8B37 Resplendent Growth
+9BBFC9 Rest Assured
+BBBBA4 Restful
+8C7E6F Restful Brown
+F1F2DD Restful Rain
+B1C7C9 Restful Retreat
+EEE8D7 Restful White
+BCC8BE Resting Place
+38515D Restless Sea
+939581 Restoration
+E9E1CA Restoration Ivory
+D2B084 Restrained Gold
+D9CDC3 Reticence
+B6C7E0 Retina Soft Blue
+D5EAE8 Retiring Blue
+7A8076 Retreat
+C39E81 Retributor Armour Metal
+9BDC96 Retro
+958D45 Retro Avocado
+2B62F4 Retro Blue
+19CC89 Retro Lime
+9FCDB1 Retro Mint
+EF7D16 Retro Nectarine
+E85112 Retro Orange
+E7C0AD Retro Peach
+B48286 Retro Pink
+FF0073 Retro Pink Pop
+CB9711 Retro Vibe
+5A758A Retro-Colonial Blue
+936630 Retrofit
+4C6B8A Revel Blue
+67B8CE Revelry Blue
+C59782 Revenant Brown
+8A7C75 Revere Greige
+A78FAF Revered
+F4E5E1 Reverie Pink
+080808 Reversed Grey
+5F81A4 Revival
+665043 Revival Mahogany
+7F4E47 Revival of the Red
+C09084 Revival Rose
+E8E097 Reviving Green
+37363F Revolver
+B46848 Reynard
+DC9E94 Rhapsodic
+9C83A8 Rhapsody
+002244 Rhapsody in Blue
+BABFDC Rhapsody Lilac
+74676C Rhapsody Rap
+FADCA7 Rheingold
+969565 Rhind Papyrus
+5F5E5F Rhine Castle
+E3EADB Rhine Falls
+AB3560 Rhine River Rose
+C87291 Rhine Wine
+8E6C94 Rhinestone
+3D4653 Rhino
+D4A278 Rhino Tusk
+727A7C Rhinoceros
+440011 Rhinoceros Beetle
+493435 Rhinox Hide
+9B5B55 Rhode Island Red
+89C0E6 Rhodes
+7D2F45 Rhododendron
+F3B3C5 Rhodonite
+4D4141 Rhodonite Brown
+330018 Rhodophobia
+7F222E Rhubarb
+D9A6C1 Rhubarb Gin
+BCA872 Rhubarb Leaf Green
+D78187 Rhubarb Pie
+8C474B Rhubarb Smoothie
+CB7841 Rhumba Orange
+383867 Rhynchites Nitens
+BECEB4 Rhys
+767194 Rhythm
+70767B Rhythm & Blues
+B8D5D7 Rhythmic Blue
+914D57 Rialto
+F1E7D5 Rice Bowl
+EFECDE Rice Cake
+E0CCB6 Rice Crackers
+B2854A Rice Curry
+E4D8AB Rice Fibre
+EFF5D1 Rice Flower
+DFD4B0 Rice Paddy
+FFFCDB Rice Paper
+FFF0E3 Rice Pudding
+F5E7C8 Rice Wine
+977540 Rich and Rare
+948165 Rich Biscuit
+004040 Rich Black
+021BF9 Rich Blue
+514142 Rich Bordeaux
+F1A7FE Rich Brilliant Lavender
+925850 Rich Brocade
+715E4F Rich Brown
+D70041 Rich Carmine
+6F4136 Rich Chocolate
+BF7D52 Rich Copper
+FAEAC3 Rich Cream
+0892D0 Rich Electric Blue
+F57F4F Rich Gardenia
+DE7A63 Rich Georgia Clay
+FFE8A0 Rich Glow
+AA8833 Rich Gold
+218845 Rich Green
+324943 Rich Grey Turquoise
+F9BC7D Rich Honey
+FFF0C4 Rich Ivory
+A76BCF Rich Lavender
+B666D2 Rich Lilac
+583D37 Rich Loam
+604944 Rich Mahogany
+B0306A Rich Maroon
+745342 Rich Mocha
+A7855A Rich Oak
+3E4740 Rich Olive
+6B7172 Rich Pewter
+B5C9D3 Rich Porcelain Blue
+720058 Rich Purple
+FF1144 Rich Red
+7C3651 Rich Red Violet
+B9A37F Rich Reward
+A87C3E Rich Sorrel
+B39C89 Rich Taupe
+645671 Rich Texture
+50578B Rich Violet
+7C5F4A Rich Walnut
+854C47 Richardson Brick
+A6A660 Rickrack
+817C74 Ricochet
+F3CF64 Ride off Into the Sunset
+B2C8DD Ridge Light
+A3AAB8 Ridge View
+EF985C Ridgeback
+9D8861 Ridgecrest
+7A5D46 Ridgeline
+734A35 Riding Boots
+A0A197 Riding Star
+BFB065 Riesling Grape
+414833 Rifle Green
+B2B3A7 Rigani
+A0A082 Rigby Ridge
+C0E1E4 Right as Rain
+534A32 Rikan Brown
+826B58 Rikyū Brown
+656255 Rikyūnezumi Brown
+B0927A Rikyūshira Brown
+C7B39E Rincon Cove
+B4D9D8 Ring Box Blue
+FBEDBE Ringlet
+D5D9DD Rinse
+FF7952 Rinsed-Out Red
+B7C61A Rio Grande
+92242E Rio Red
+926956 Rio Rust
+CAE1DA Rio Sky
+DFAB56 Rip Cord
+8FA4D2 Rip Van Periwinkle
+94312F Ripasso
+CF9D41 Ripe Banana
+5C5666 Ripe Berry
+FBB363 Ripe Cantaloupe
+C3556F Ripe Cherry
+8A3C3E Ripe Currant
+492D35 Ripe Eggplant
+6A5254 Ripe Fig
+747A2C Ripe Green
+A259CE Ripe Lavander
+F4D81C Ripe Lemon
+F5576C Ripe Malinka
+FFC324 Ripe Mango
+FEBAAD Ripe Melon
+62465B Ripe Mulberry
+44483D Ripe Olive
+BE6A3C Ripe Peach
+E1E36E Ripe Pear
+FFE07B Ripe Pineapple
+410056 Ripe Plum
+FFAF37 Ripe Pumpkin
+7E3947 Ripe Rhubarb
+E3C494 Ripe Wheat
+6F3942 Ripening Grape
+D3DCDC Ripple
+C4C5BC Rippled Rock
+C4BEA8 Rippling Stone
+89D9C8 Riptide
+FFE99E Rise and Shine
+978888 Rising Ash
+F7F6D5 Rising Star
+CBD6D8 Rising Tide
+6A7E88 Risk-Reward
+F8F5E9 Risotto
+00AA55 Rita Repulsa
+BA7176 Rita’s Rouge
+FFEBA9 Rite of Spring
+293286 Ritterlich Blue
+767081 Ritual
+533844 Ritual Experience
+D79C5F Ritzy
+38AFCD River Blue
+C7B5A9 River Clay
+545B45 River Forest
+248591 River Fountain
+6C6C5F River God
+D6E1D4 River Mist
+A08B71 River Mud
+AE9474 River Oak
+E4B55D River of Gold
+A39C92 River Pebble
+DEDBC4 River Reed
+AE8D6B River Road
+D8CDC4 River Rock
+EC9B9D River Rouge
+DFDCD5 River Shark
+161820 River Styx
+848B99 River Tour
+94A5B7 River Valley
+D9E0DE River Veil
+AE9E87 Riverbank
+86BEBE Riverbed
+486B65 Riverbend
+BEC5BA Riverdale
+84A27B Rivergrass
+AFD9D7 Rivers Edge
+4E6F95 Riverside
+6CB4C3 Riverside Blue
+757878 Riverstone
+5D7274 Riverway
+B7A9A2 Riveter Rose
+189FAC Riviera
+C0AE96 Riviera Beach
+65B4D8 Riviera Blue
+C9A88D Riviera Clay
+E6D9CA Riviera Dune
+009A9E Riviera Paradise
+D9C0A6 Riviera Retreat
+F7B1A6 Riviera Rose
+DFC6A0 Riviera Sand
+1B8188 Riviera Sea
+D5DAE1 Rivulet
+605655 Rix
+8B7B6E Road Less-Travelled
+C8C0B7 Roadrunner
+ADA493 Roadside
+E1E0D7 Roadster White
+F3DEA2 Roadster Yellow
+857373 Roaming Pony
+885156 Roan Rouge
+372B25 Roanoke
+8F837D Roanoke Taupe
+B39C9E Roaring Twenties
+704341 Roast Coffee
+785246 Roasted
+D2B49C Roasted Almond
+655A5C Roasted Black
+8F8176 Roasted Cashew
+EA993B Roasted Chestnut
+AB8C72 Roasted Coconut
+684134 Roasted Coffee
+AF967D Roasted Hazelnut
+574037 Roasted Kona
+604D42 Roasted Nuts
+93542B Roasted Pecan
+890A01 Roasted Pepper
+C9B27C Roasted Pistachio
+E1A175 Roasted Seeds
+625342 Roasted Sepia
+FEC36B Roasted Sesame
+EA7E5D Roasted Sienna
+E6A255 Roasted Squash
+692302 Roastery
+DDAD56 Rob Roy
+654F4F Robeson Rose
+6DEDFD Robin’s Egg
+ABC3CA Robin’s Pride
+6E6A3B Robinhood
+ADADAD Robo Master
+EEEE11 Robot Grendizer Gold
+94A2B1 Robotic Gods
+C4633E Robust Orange
+5A4D41 Rock
+93A2BA Rock Blue
+484C49 Rock Bottom
+DEE1DF Rock Candy
+C0AF92 Rock Cliffs
+688082 Rock Creek
+CECBCB Rock Crystal
+465448 Rock Garden
+F00B52 Rock Lobster
+A1968C Rock Slide
+BDC2BD Rock Solid
+9D442D Rock Spray
+C58BBA Rock Star Pink
+8B785C Rock’n Oak
+FC8AAA Rock’n’Rose
+6C7186 Rockabilly
+F4E4E0 Rockabye Baby
+FEFBE5 Rocket Fuel
+BEBEC3 Rocket Man
+8A7F80 Rocket Metallic
+FF3311 Rocket Science
+AABBAA Rockfall
+BC363C Rockin Red
+721F37 Rocking Chair
+90413D Rocking Chair Red
+31A2F2 Rockman Blue
+D3E0B1 Rockmelon Rind
+519EA1 Rockpool
+8E7D62 Rocks of Normandy
+6D7E42 Rockwall Vine
+443735 Rockweed
+C8E0BA Rockwood Jade
+B3AEA8 Rocky Bluffs
+BABBAD Rocky Cliff
+3E4D50 Rocky Creek
+567B8A Rocky Hill
+A9867D Rocky Mountain
+D4D4D2 Rocky Mountain Mist
+76443E Rocky Mountain Red
+B5BFBD Rocky Mountain Sky
+B27A47 Rocky Racoon
+918C86 Rocky Ridge
+5E706A Rocky River
+64453C Rocky Road
+B8BABA Rocky Shelter
+C33846 Rococco Red
+DFD6C1 Rococo Beige
+977447 Rococo Gold
+FDDC5C Rodan Gold
+7F5E46 Rodeo
+C7A384 Rodeo Dust
+A24B3A Rodeo Red
+A68E6D Rodeo Roundup
+A78B74 Rodeo Tan
+B2B26C Rodham
+A68370 Roebuck
+883311 Rogan Josh
+807A6C Rogue
+4B5764 Rogue Blue
+BA9E88 Rogue Cowboy
+F8A4C0 Rogue Pink
+4E7376 Rogue Waters
+734A45 Rohwurst
+B57466 Rojo Dust
+4B3029 Rojo Marrón
+8D4942 Rojo Oxide
+665343 Rokō Brown
+8C7042 Rokou Brown
+407A52 Rokushō Green
+BB5522 Roland-Garros
+8C8578 Roller Coaster
+0078BE Roller Coaster Chariot
+8CFFDB Roller Derby
+6D5698 Rollick
+A9BE9E Rolling Glen
+7C7E6A Rolling Hills
+A09482 Rolling Pebble
+A29367 Rolling Prairie
+5A6D77 Rolling Sea
+6D7876 Rolling Stone
+BFD1C9 Rolling Waves
+C0D2AD Romaine
+A38E00 Romaine Green
+D8625B Roman
+8C97A3 Roman Bath
+AB7F5B Roman Brick
+514100 Roman Bronze
+7D6757 Roman Coffee
+AC8760 Roman Coin
+F6F0E2 Roman Column
+EE1111 Roman Empire Red
+D19B2F Roman Gold
+DAD1CE Roman Mosaic
+DDD2BF Roman Plaster
+524765 Roman Purple
+C0B5A0 Roman Ruins
+838996 Roman Silver
+A49593 Roman Snail
+4D517F Roman Violet
+B0ADA0 Roman Wall
+DEEDEB Roman White
+F4F0E6 Romance
+7983A4 Romanesque
+D0AF7A Romanesque Gold
+3B0346 Romanic Scene
+B97DA8 Romanov Mauve
+FFC69E Romantic
+E0BEDF Romantic Ballad
+E7E0EE Romantic Cruise
+EED1CD Romantic Déjà Vu
+B23E4F Romantic Embers
+A497A1 Romantic Holiday
+007C75 Romantic Isle
+9076AE Romantic Moment
+FCD5CB Romantic Morn
+DDBBDD Romantic Morning
+96353A Romantic Night
+CAC0CE Romantic Poetry
+AA4488 Romantic Rose
+A2101B Romantic Thriller
+991166 Romantic Vampire
+DACFC5 Romantic White
+E3D2CE Romeo
+A4233C Romeo O Romeo
+F48101 Romesco
+983D48 Romp
+DFC1A8 Romulus
+EAB852 Ronchi
+A60044 Rondo of Blood
+A14743 Roof Terracotta
+043132 Roof Tile Green
+9EAD92 Rooftop Garden
+AE3C29 Rooibos Tea
+C08650 Rookwood Amber
+A58258 Rookwood Antique Gold
+738478 Rookwood Blue Green
+7F614A Rookwood Brown
+9A7E64 Rookwood Clay
+5F4D43 Rookwood Dark Brown
+565C4A Rookwood Dark Green
+4B2929 Rookwood Dark Red
+979F7F Rookwood Jade
+6E5241 Rookwood Medium Brown
+622F2D Rookwood Red
+506A67 Rookwood Sash Green
+303B39 Rookwood Shutter Green
+975840 Rookwood Terra Cotta
+96463F Rooster Comb
+81544A Root Beer
+CFA46B Root Beer Float
+290E05 Root Brew
+6B3226 Root Brown
+C83A40 Root Chakra
+5F4F3E Rooted
+4E3C32 Rootstock
+8E593C Rope
+AEC6CF Roquefort Blue
+FE86A4 Rosa
+EFD9E1 Rosa Bonito
+C77579 Rosa Chinensis
+F0E3DF Rosa Vieja
+A38887 Rosaline Pearl
+FAEADD Rosarian
+D9BEBB Rosario Ridge
+998871 Roscoe Village
+FF007F Rose
+F7746B Rosé
+B5ACAB Rose Ashes
+F1C6CA Rose Aspect
+E3CBC4 Rose Beige
+C6A499 Rose Bisque
+F9429E Rose Bonbon
+80565B Rose Branch
+996C6E Rose Brocade
+BC8E8F Rose Brown
+F0738A Rose Cheeks
+DAB09E Rose Cloud
+DCB6B5 Rose Coloured
+E5C4C0 Rose Coloured Glasses
+EFE0DE Rose Cream
+FF9EDE Rose Daphne
+B38380 Rose Dawn
+CB8E81 Rose de Mai
+E099AD Rose Delight
+EECFFE Rose Dragée
+E5A192 Rose Dusk
+CDB2A5 Rose Dust
+674846 Rose Ebony
+E9A1B8 Rose Elegance
+C59EA1 Rose Embroidery
+F29B89 Rose Essence
+F1E8EC Rose Fantasy
+E7BCB4 Rose Fog
+FFECE9 Rose Frost
+F96653 Rose Fusion
+DA9EC8 Rose Garden
+865A64 Rose Garland
+960145 Rose Garnet
+E585A5 Rose Glory
+FFDBEB Rose Glow
+B76E79 Rose Gold
+ECC5C0 Rose Haze
+FD0E35 Rose Hip
+DBB9B6 Rose Hip Tonic
+A6465B Rose Laffy Taffy
+E8AEA2 Rose Linen
+ECD7C6 Rose Lotion
+E33636 Rose Madder
+F4AAC7 Rose Mallow
+CEB9C4 Rose Marble
+A76464 Rose Marquee
+DD94A1 Rose Marquis
+AF9690 Rose Mauve
+C4989E Rose Meadow
+ECBFC9 Rose Melody
+F6D2D4 Rose Milk
+FFE9ED Rose Mochi
+AC512D Rose of Sharon
+DFD4CC Rose Pearl
+E6C1BB Rose Petal
+FF66CC Rose Pink
+7C383E Rose Pink Villa
+C9A59F Rose Potpourri
+D0A29E Rose Pottery
+F7CAC1 Rose Quartz
+C92351 Rose Red
+F4C0C6 Rose Reminder
+DD2255 Rose Rush
+CE858F Rose Sachet
+F9C2CD Rose Shadow
+E7AFA8 Rose Silk
+CEADA3 Rose Smoke
+E08395 Rose Soiree
+FBD3CD Rose Sorbet
+C290C5 Rose Souvenir
+D3B6BA Rose Stain
+FAE6E5 Rose Sugar
+FAE8E1 Rose Tan
+E1A890 Rose Tattoo
+905D5D Rose Taupe
+B48993 Rose Tea
+FFDDDD Rose Tonic
+DB5079 Rose Turkish Delight
+AB4E5F Rose Vale
+F2DBD6 Rose Vapour
+C44D97 Rose Violet
+FBEEE8 Rose White
+9D5C75 Rose Wine
+D9BCB7 Rose Yoghurt
+F7E5DB Roseate
+E7B6BC Roseate Hues
+E0ADC4 Roseate Spoonbill
+CB9AAD Rosebay
+F4A6A1 Roseberry
+E290B2 Rosebloom
+E0CDD1 Rosebud
+8A2D52 Rosebud Cherry
+EEBBDD Rosecco
+7B7FA9 Roseine Plum
+926566 Roseland
+F0DEE4 Roselle
+819B4F Rosemarried
+405E5C Rosemary
+699B72 Rosemary Green
+626A52 Rosemary Sprig
+DFE3DB Rosemary White
+BC8A90 Rosenkavalier
+AA3646 Roses Are Red
+E7AECD Roses in the Snow
+BA8F7F Rosetta
+CE8E8B Rosette
+D7A491 Rosettee
+CF929A Rosetti
+D8A2A5 Rosetti Pink
+B495B0 Roseville
+F6DBD8 Rosewater
+65000B Rosewood
+D39EA2 Rosewood Apricot
+72371C Rosewood Brown
+EBBEB5 Rosewood Dreams
+FAC8CE Rosey Afterglow
+FFBBCC Rosie
+EFE4E9 Rosie Posie
+BE7583 Rosily
+39382F Rosin
+B319AB Rosolanc Purple
+C4091E Rossini Red
+D40000 Rosso Corsa
+BE89A8 Rosy
+D8B3B9 Rosy Aura
+BC8F8F Rosy Brown
+DC506E Rosy Cheeks
+FEDECD Rosy Cloud
+CF8974 Rosy Copper
+CC77FF Rosy Fluffy Bedspread
+E7C0BC Rosy Glow
+F7D994 Rosy Highlight
+D7C7D0 Rosy Lavender
+C6B4B2 Rosy Linen
+FEC9ED Rosy Maple Moth
+F2C2E1 Rosy Nectar
+F5AB9E Rosy Outlook
+D38469 Rosy Pashmina
+F6688E Rosy Pink
+CF9384 Rosy Queen
+735551 Rosy Sandstone
+F7B978 Rosy Skin
+D95854 Rosy Sunset
+C8ABA7 Rosy Tan
+B69642 Roti
+F5E0BF Rotunda Gold
+D7D1C6 Rotunda White
+AB1239 Rouge
+814D54 Rouge Charm
+A94064 Rouge Like
+E24666 Rouge Red
+EE2233 Rouge Sarde
+BDBEBF Rough Asphalt
+7A8687 Rough Ride
+9EA2AA Rough Stone
+97635F Roulette
+EAD6AF Rousseau Gold
+175844 Rousseau Green
+994400 Roux
+BFB8AD Row House
+D2BB9D Row House Tan
+CB0162 Rowan
+EAA007 Rowdy Orange
+8E8E6E Rowntree
+7A5546 Roxy Brown
+0C1793 Royal
+550344 Royal Ash
+0038A8 Royal Azure
+C74767 Royal Banner
+2F3844 Royal Battle
+105E80 Royal Blood
+4169E1 Royal Blue
+082D4F Royal Blue Metallic
+1600FC Royal Blue Tang
+F26E54 Royal Blush
+275779 Royal Breeze
+523B35 Royal Brown
+16A5A3 Royal Cloak
+2E5686 Royal Consort
+3E3542 Royal Coronation
+4F325E Royal Crown
+282A4A Royal Curtsy
+403547 Royal Decree
+7B5867 Royal Fig
+A0365F Royal Flush
+EE6600 Royal Flycatcher Crest
+747792 Royal Fortune
+CA2C92 Royal Fuchsia
+653A3D Royal Garnet
+9791BC Royal Glimmer
+D4CA8E Royal Goblet
+E1BC8A Royal Gold
+D0A54E Royal Gold Pearl
+A152BD Royal Gramma Purple
+698396 Royal Grey
+B54B73 Royal Heath
+4411EE Royal Hunter Blue
+3F5948 Royal Hunter Green
+464B6A Royal Hyacinth
+4E4260 Royal Indigo
+687094 Royal Intrigue
+553E42 Royal Iris
+787866 Royal Ivy
+7851A9 Royal Lavender
+84549B Royal Lilac
+6E3D58 Royal Lines
+784D40 Royal Liqueur
+DA202A Royal Mail Red
+543938 Royal Maroon
+545E97 Royal Marquis
+A1A0B7 Royal Mile
+F7CFB4 Royal Milk Tea
+45505B Royal Navy
+0066CC Royal Navy Blue
+1C3B42 Royal Neptune
+2B3191 Royal Night
+533CC6 Royal Nightcore
+879473 Royal Oakleaf
+FF7722 Royal Oranje
+5F6D59 Royal Orchard
+418D84 Royal Palm
+27ACE0 Royal Peacock
+355E5A Royal Pine
+654161 Royal Plum
+A063A1 Royal Pretender
+AAA0BC Royal Proclamation
+4B006E Royal Purple
+881177 Royal Purpleness
+806F72 Royal Raisin
+60456D Royal Rajah
+8F7BB7 Royal Raul
+8E3C3F Royal Red Flush
+678BC9 Royal Regatta
+614A7B Royal Robe
+A54A4A Royal Rum
+4B3841 Royal Silk
+E0DDDD Royal Silver
+FEDE4F Royal Star
+494256 Royal Treatment
+513E4D Royal Velvet
+4433EE Royal Vessel
+3E4967 Royal Wave
+FBE3E3 Royal Wedding
+463699 Royal Wisteria
+FADA50 Royal Yellow
+5930A9 Royalty
+AE58AB Royalty Loyalty
+A76251 Roycroft Adobe
+324038 Roycroft Bottle Green
+7A6A51 Roycroft Brass
+575449 Roycroft Bronze Green
+7B3728 Roycroft Copper Red
+C2BDB1 Roycroft Mist Grey
+616564 Roycroft Pewter
+C08F80 Roycroft Rose
+A79473 Roycroft Suede
+E8D9BD Roycroft Vellum
+F2A8B8 Rozowy Pink
+C11C84 Rrosy-Fingered Dawn
+5F5547 Rub Elbows
+815D37 Rubber
+CE4676 Rubber Band
+FACF58 Rubber Ducky
+FF9999 Rubber Radish
+FFC5CB Rubber Rose
+C04042 Rubiate
+C5B9B4 Rubidium
+6C383C Rubine
+D10056 Rubine Red
+CA0147 Ruby
+975B60 Ruby Crystal
+E0115F Ruby Dust
+D0A2A0 Ruby Eye
+F20769 Ruby Fire
+73525C Ruby Grey
+813E45 Ruby Lips
+6F3B51 Ruby Nights
+C41A3B Ruby Passion
+AA5B67 Ruby Petals
+B0063D Ruby Queen
+9B111E Ruby Red
+A03D41 Ruby Ring
+A2566F Ruby Shade
+BD1C30 Ruby Shard
+9C2E33 Ruby Slippers
+BB1122 Ruby Star
+5C384E Ruby Violet
+85393D Ruby Wine
+DB1459 Rubylicious
+EDB508 Rucksack Tan
+FF0028 Ruddy
+BB6528 Ruddy Brown
+A5654E Ruddy Oak
+E18E96 Ruddy Pink
+894E45 Rudraksha Beads
+705749 Rue Bourbon
+F9F2DC Ruffled Clam
+ACC2D1 Ruffled Feathers
+9FA3C0 Ruffled Iris
+FBC0B4 Ruffled Parasol
+FBBBAE Ruffles
+A81C07 Rufous
+BB9D87 Rugby Tan
+998568 Rugged
+694336 Rugged Brown
+78736F Rugged Suede
+B8A292 Rugged Tan
+254E5D Rugged Teal
+484435 Ruggero Grey
+8C3F3E Ruggero Red
+0F1012 Ruined Smores
+CADECE Ruins of Civilization
+9B8B84 Ruins of Metal
+5E615B Ruins of Pompeii
+774E55 Rule Breaker
+716675 Rum
+450E15 Rum Chocolate
+E9CFAA Rum Custard
+AA423A Rum Punch
+683B3C Rum Raisin
+990044 Rum Riche
+AA7971 Rum Spice
+F1EDD4 Rum Swizzle
+C77B42 Rumba Orange
+902A40 Rumba Red
+5CA904 Ruminant’s Paradise
+744245 Rumours
+DA2811 Run Lola Run
+D3AA94 Rundlet Peach
+C4C4C7 Runefang Steel
+B6A89A Runelord Brass
+CAB2C1 Runic Mauve
+326193 Running Water
+99AF73 Rural Eyes
+8D844D Rural Green
+BB1144 Rural Red
+1E50A2 Ruri Blue
+1B294B Rurikon Blue
+536770 Rush Hour
+549EB9 Rushing Rapids
+8B3643 Rushing Red
+5F7797 Rushing River
+65C3D6 Rushing Stream
+B7B2A6 Rushmore Grey
+866C5E Ruskie
+546B75 Ruskin Blue
+4D4D41 Ruskin Bronze
+935242 Ruskin Red
+ACA17D Ruskin Room Green
+547587 Russ Grey
+E7D6B1 Russeau Gold
+80461B Russet
+823D38 Russet Brown
+E3D9A0 Russet Green
+965849 Russet Leather
+E47127 Russet Orange
+9F6859 Russet Red
+9AAEBB Russian Blue
+679267 Russian Green
+726647 Russian Olive
+4D4244 Russian Red
+D0C4AF Russian Toffee
+5F6D36 Russian Uniform
+32174D Russian Violet
+A83C09 Rust
+A46454 Rust Coloured
+BB3344 Rust Effect
+966684 Rust Magenta
+C45508 Rust Orange
+AA2704 Rust Red
+60372E Rusted Crimson
+8B5134 Rusted Earth
+AA4411 Rusted Lock
+884B3D Rusted Nail
+D39A72 Rustic Adobe
+935848 Rustic Brown
+705536 Rustic Cabin
+BA9A67 Rustic City
+F6EFE2 Rustic Cream
+93674C Rustic Earth
+9C8E74 Rustic Hacienda
+996E58 Rustic Oak
+DF745B Rustic Pottery
+8D794F Rustic Ranch
+3A181A Rustic Red
+CBB6A4 Rustic Rose
+9D2626 Rustic Rouge
+CDB9A2 Rustic Taupe
+6E5949 Rustic Tobacco
+B18A56 Rustic Wicker
+8A3A2C Rustica
+F5BFB2 Rustique
+AD6961 Rustling Leaves
+96512A Rusty
+C6494C Rusty Chainmail
+8D5F2C Rusty Coin
+AF6649 Rusty Gate
+A04039 Rusty Heart
+CC5522 Rusty Nail
+CD5909 Rusty Orange
+E3DCE0 Rusty Pebble
+AF2F0D Rusty Red
+EDB384 Rusty Sand
+A4493D Rusty Sword
+719DA8 Rusty Tap
+EAD5B6 Rutabaga
+8D734F Rutherford
+573894 Ruthless Empress
+D1AE7B Rye
+CDBEA1 Rye Bread
+807465 Rye Brown
+807365 Rye Dough Brown
+BBB286 Ryegrass
+DCCB18 Ryoku-Ou-Shoku Yellow
+F3F1E1 Ryu’s Kimono
+EC631A Ryza Dust
+A87F5F S’mores
+496A4E Sabal Palm
+6A7F7A Sabiasagi Blue
+455859 Sabionando Grey
+898A74 Sabiseiji Grey
+784841 Sable
+F6D8BE Sablé
+946A52 Sable Brown
+505650 Sable Calm
+C4A7A1 Sable Cloaked
+5D5E58 Sable Evening
+ECDFD6 Sablewood
+978D59 Sabo Garden
+D4B385 Sabre Tooth
+E69656 Sabre-Toothed Tiger
+A5D610 Sabz Green
+D4D8ED Sachet Cushion
+EE9941 Sacral Chakra
+5E0E0B Sacramental Red
+00563F Sacramento State Green
+97B9E0 Sacred Blue
+B2865D Sacred Ground
+7C8635 Sacred Sapling
+950C1B Sacred Scarlet
+C7CBCE Sacred Spring
+49B3A5 Sacred Turquoise
+A59C8D Sacred Vortex
+2A5774 Sacrifice
+850101 Sacrifice Altar
+229911 Sacro Bosco
+5D4E46 Saddle
+8B4513 Saddle Brown
+9F906E Saddle Soap
+AB927A Saddle Up
+8A534E Saddlebag
+B6A58B Safari
+8E7F6D Safari Beige
+976C60 Safari Brown
+B7AA96 Safari Chic
+6C6D2F Safari Green
+E2CCBA Safari Map
+B4875E Safari Sun
+8F7B51 Safari Trail
+B2A68F Safari Vest
+1E8EA1 Safe Harbour
+5588AA Safe Haven
+FF6600 Safety Orange
+EED202 Safety Yellow
+FDAE44 Safflower
+BB5548 Safflower Bark
+9A493F Safflower Kite
+B44C97 Safflower Purple
+D9333F Safflower Red
+E83929 Safflower Scarlet
+CCA6BF Safflower Wisteria
+8491C3 Safflowerish Sky
+F4C430 Saffron
+9C8AAB Saffron Blossom Mauve
+E8E9CF Saffron Bread
+584C77 Saffron Crocus
+C24359 Saffron Desires
+F08F00 Saffron Gold
+F9BF58 Saffron Mango
+D49F4E Saffron Robe
+FEB209 Saffron Soufflé
+D39952 Saffron Strands
+DA9E35 Saffron Sunset
+FFB301 Saffron Thread
+F2EAD6 Saffron Tint
+A7843E Saffron Valley
+D09B2C Saffron Yellow
+932A25 Saffronaut
+75A0B1 Saga Blue
+6A31CA Sagat Purple
+87AE73 Sage
+948B76 Sage Advice
+4E78A9 Sage Blossom Blue
+BAD3C7 Sage Bundle
+7FAB70 Sage Garden
+887766 Sage Green
+69796A Sage Green Grey
+73705E Sage Green Light
+9EA49D Sage Grey
+7B8B5D Sage Leaves
+DBEBDE Sage Salt
+B2E191 Sage Sensation
+5E6A61 Sage Shadow
+7D8277 Sage Slate
+E4E5D2 Sage Splash
+C3C6A4 Sage Splendour
+ACA28F Sage the Day
+DADED1 Sage Tint
+413C7B Sage Violet
+AFAD96 Sage Wisdom
+947252 Sagebrush
+567572 Sagebrush Green
+A2AA8C Sagey
+FA7F46 Sagittarius Amber Artefact
+D8CFC3 Sago
+94BE7F Sago Garden
+655F2D Saguaro
+B79826 Sahara
+A8989B Sahara Dust
+DFC08A Sahara Gravel
+F0E1DB Sahara Light Red
+F1E788 Sahara Sand
+E2AB60 Sahara Shade
+9B7448 Sahara Splendour
+C67363 Sahara Sun
+DFD4B7 Sahara Wind
+A5CEEC Sail
+55B4DE Sail Away
+588FA0 Sail Cover
+CABAA4 Sail Grey
+A3BBDC Sail Into the Horizon
+0E4D72 Sail Maker
+4575AD Sail On
+99C3F0 Sail to the Sea
+314A72 Sailboat
+ECE0C4 Sailcloth
+2E9CBB Sailfish
+869CBB Sailing
+AECBD9 Sailing on the Bay
+3A5161 Sailing Safari
+FFA857 Sailing Tangerine
+445780 Sailor
+0F445C Sailor Blue
+AEBBD0 Sailor Boy
+FFEE00 Sailor Moon
+F6F1A9 Sailor Moonlight
+496F8E Sailor’s Bay
+334B58 Sailor’s Coat
+B8A47A Sailor’s Knot
+D39733 Saimin Noodle Soup
+66B89C Sainsbury
+EEEE00 Saint Seiya Gold
+FF9BB7 Saira Red
+DFB1B6 Sakura
+CEA19F Sakura Mochi
+E8DFE4 Sakura Nezu
+7B6C7C Sakura Night
+8BA673 Salad
+7E8F69 Saladin
+637D74 Salal Leaves
+63775B Salamander
+E25E31 Salametti
+820000 Salami
+DA655E Salami Slice
+177B4D Salem
+45494D Salem Black
+66A9D3 Salem Blue
+B4AB99 Salem Clay
+CAD2D4 Salina Springs
+C5E8E7 Saline Water
+DDD8C6 Salisbury Stone
+FF796C Salmon
+FBC6B6 Salmon Beauty
+FEA871 Salmon Buff
+EE867D Salmon Carpaccio
+E9CFCF Salmon Cream
+FEDDC5 Salmon Creek
+F7D560 Salmon Eggs
+F1C9CC Salmon Flush
+FBB1A2 Salmon Fresco
+EBB9AF Salmon Glow
+E3B6AA Salmon Grey
+FCD1C3 Salmon Mousse
+F9906F Salmon Nigiri
+FF8C69 Salmon Orange
+D5847E Salmon Pate
+FDC5B5 Salmon Peach
+FF91A4 Salmon Pink
+E1958F Salmon Pink Red
+EE7777 Salmon Poké Bowl
+FF737E Salmon Rose
+EDAF9C Salmon Run
+E7968B Salmon Salt
+D9AA8F Salmon Sand
+FF7E79 Salmon Sashimi
+F1AC8D Salmon Slice
+D4BFBD Salmon Smoke
+FF9BAA Salmon Tartare
+EFCCBF Salmon Tint
+BBEDDB Salome
+FFD67B Salomie
+7D8697 Salon Bleu
+AB7878 Salon Rose
+B31928 Salsa
+BB4F5C Salsa Diane
+E35401 Salsa Habañero
+A03413 Salsa Mexicana
+AB250B Salsa Picante
+E97B3E Salsa Sizzle
+CEC754 Salsa Verde
+2BB179 Salsify Grass
+DED8C4 Salsify White
+EFEDE6 Salt
+7D9C9D Salt Blue
+D3934D Salt Caramel
+DEE0D7 Salt Cellar
+F0EDE0 Salt Crystal
+CFD4CE Salt Glaze
+757261 Salt Island Green
+74C6D3 Salt Lake
+D7FEFE Salt Mountain
+F9ECEA Salt Pebble
+D0C6AF Salt Scrub
+A7C5CE Salt Spray
+EEDDBB Salt Steppe
+DCD9DB Salt-N-Pepa
+F5E9D9 Saltbox
+648FA4 Saltbox Blue
+EBEADC Salted
+A69151 Salted Capers
+EBB367 Salted Caramel
+FDB251 Salted Caramel Popcorn
+816B56 Salted Pretzel
+EEF3E5 Saltpan
+C2D0DE Saltwater
+145C78 Saltwater Denim
+52896B Saltwater Depth
+D1AB99 Saltwater Taffy
+DDE2D7 Salty Breeze
+E2C681 Salty Cracker
+234058 Salty Dog
+CCE2F3 Salty Ice
+7C8B7F Salty Sea
+C1B993 Salty Seeds
+BACAD4 Salty Tears
+96B403 Salty Thyme
+CBDEE3 Salty Vapour
+2F323D Salute
+BAC9CF Salvaged Silk
+514E5C Salvation
+A8B59E Salvia
+96BFE6 Salvia Blue
+929752 Salvia Divinorum
+F2D7E6 Samantha’s Room
+AA262B Samba
+F0E0D4 Samba de Coco
+3B2E25 Sambuca
+17182B Sambucus
+FABC46 Samoan Sun
+B8BEBE Samovar Silver
+F7F3E6 Sampaguita Pearl
+4DB560 Samphire Green
+A69474 San Antonio Sage
+D9BB8E San Carlos Plaza
+2C6E31 San Felix
+C4C2BC San Francisco Fog
+936A6D San Francisco Mauve
+BB33AA San Francisco Pink
+2F6679 San Gabriel Blue
+445761 San Juan
+4E6C9D San Marino
+527585 San Miguel Blue
+D4C9A6 Sanctuary
+66B2E4 Sanctuary Spa
+3C2F4E Sanctum of Shadows
+E2CA76 Sand
+FFEEDA Sand Crystal
+E6DDD2 Sand Dagger
+E0C8B9 Sand Dance
+FAE8BC Sand Diamond
+DCCDBB Sand Dollar
+FAE3C9 Sand Dollar White
+E5E0D3 Sand Drift
+E3D2C0 Sand Dune
+E3E4D9 Sand Grain
+F4D1C2 Sand Island
+DDC6A8 Sand Motif
+B58853 Sand Mountain
+FFDFC2 Sand Muffin
+E7D4B6 Sand Pearl
+B09D7F Sand Pebble
+E6E5D3 Sand Puffs
+DDCC77 Sand Pyramid
+C1B7B0 Sand Ripples
+E7D0A6 Sand Sculpture
+5A86AD Sand Shark
+D0C6A1 Sand Trail
+BBA595 Sand Trap
+9D89BD Sand Verbena
+A3876A Sandal
+615543 Sandalwood
+F2D1B1 Sandalwood Beige
+005160 Sandalwood Grey Blue
+907F68 Sandalwood Tan
+F2ECDE Sandalwood White
+E9D5AD Sandbank
+CBBFAD Sandbar
+DECBAB Sandblast
+E5D7C4 Sandcastle
+C8AB96 Sanderling
+93917F Sandgrass Green
+EDDCBE Sandhill
+015E60 Sandhill Crane
+EFEBDE Sanding Sugar
+D7B1A5 Sandpaper
+EBDAC8 Sandpiper
+717474 Sandpiper Cove
+9E7C5E Sandpit
+EACDB0 Sandpoint
+AF937D Sandrift
+C4B19A Sandrock
+BCA38B Sands of Time
+D6C8B8 Sandshell
+C9AE74 Sandstone
+D2C9B7 Sandstone Cliff
+857266 Sandstone Grey
+88928C Sandstone Grey Green
+D9CCB6 Sandstone Palette
+886E70 Sandstone Red Grey
+ECD540 Sandstorm
+CBBE9C Sandwashed
+706859 Sandwashed Driftwood
+DEE8E3 Sandwashed Glassshard
+DECB81 Sandwisp
+FCE883 Sandworm
+F1DA7A Sandy
+E4DED5 Sandy Ash
+FAD7B3 Sandy Bay
+F9E2D0 Sandy Beach
+DDC6AB Sandy Beaches
+ACA088 Sandy Bluff
+F4A460 Sandy Brown
+DBD0BD Sandy Clay
+CEB587 Sandy Cove
+D7CFC1 Sandy Day
+B7AC97 Sandy Hair
+D2C098 Sandy Pail
+DF7B35 Sandy Peppers
+A18E77 Sandy Ridge
+C7C2B4 Sandy Sage
+847563 Sandy Shoes
+F2E9BB Sandy Shore
+FDD9B5 Sandy Tan
+967111 Sandy Taupe
+C7B8A4 Sandy Toes
+CABAA0 Sandy Trail
+771100 Sang de Boeuf
+F5B1AA Sango Pink
+F8674F Sango Red
+881100 Sangoire Red
+B14566 Sangria
+F01A4D Sanguinary
+6C110E Sanguine
+6C3736 Sanguine Brown
+E69332 Sanskrit
+AD2C15 Santa Belly Red
+B16D52 Santa Fe
+EDDDD3 Santa Fe Spirit
+CC9469 Santa Fe Sunrise
+A75A4C Santa Fe Sunset
+D5AD85 Santa Fe Tan
+E9E7DE Santa’s Beard
+714636 Santana Soul
+9FA0B1 Santas Grey
+E95F24 Santiago Orange
+D6D2CE Santo
+E3D0D5 Santolina Blooms
+41B0D0 Santorini
+416D83 Santorini Blue
+019A8D Santorini Seascape
+5C8B15 Sap Green
+BEBDAC Sapless Green
+A3C05A Sapling
+9E3D3F Sappanwood
+A24F46 Sappanwood Incense
+0F52BA Sapphire
+4F5F7E Sapphire Earbobs
+284B75 Sapphire Earrings
+99A8C9 Sapphire Fog
+0033CC Sapphire Glitter
+235C8E Sapphire Lace
+CDC7B4 Sapphire Light Yellow
+887084 Sapphire Pink
+5776AF Sapphire Shimmer Blue
+662288 Sapphire Siren
+135E84 Sapphire Sparkle
+2425B9 Sapphire Splendour
+41495D Sapphire Stone
+C9E5EE Sapphireberry
+5B82A6 Sapphired
+00AAC1 Sarah’s Garden
+555B2C Saratoga
+F4EEBA Sarawak White Pepper
+FFDDAA Sarcoline
+28A4CB Sardinia Beaches
+3D4A67 Sargasso Sea
+E47C64 Sari
+5B4C44 Sarsaparilla
+817265 Saruk Grey
+CFB4A8 Sashay Sand
+FF4681 Sasquatch Socks
+5A3940 Sassafras
+DBD8CA Sassafras Tea
+C18862 Sassy
+7A8C31 Sassy Grass
+BBA86A Sassy Green
+DFE289 Sassy Lime
+906B20 Sassy Olive
+FFB07F Sassy Peach
+F6CEFC Sassy Pink
+EE7C54 Sassy Salmon
+D5A272 Sassy Sassafras
+ACB5DC Sassy Violet
+F0C374 Sassy Yellow
+E63626 Satan
+9F8D89 Satellite
+4E5152 Satin Black
+FFE4C6 Satin Blush
+773344 Satin Chocolate
+FDF3D5 Satin Cream White
+1C1E21 Satin Deep Black
+B48FBD Satin Flower
+C7DFB8 Satin Green
+FAD7B0 Satin Latour
+33EE00 Satin Lime
+E6E4D4 Satin Linen
+FFF8EE Satin Purse
+FFD8DC Satin Ribbon
+CBA135 Satin Sheen Gold
+9CADC7 Satin Soft Blue
+6B4836 Satin Soil
+EFE0BC Satin Souffle
+E2CAC7 Satin Teddy
+F3EDD9 Satin Weave
+CFD5DB Satin White
+C4C2CD Satire
+B5BF50 Sativa
+644222 Satoimo Brown
+96466A Satsuma Imo Red
+AA6622 Sattle
+4B4CFC Saturated Sky
+FAE5BF Saturn
+B8B19F Saturn Grey
+DDDBCE Saturnia
+BCA17A Satyr Brown
+CA3F16 Sauce Piquante
+882C17 Saucisson
+C6B077 Saucy
+B6743B Saucy Gold
+9E958A Saudi Sand
+EEE0B9 Sauerkraut
+EDEBE1 Sauna Steam
+EBDFCD Sausage Roll
+F4E5C5 Sausalito
+5D6F85 Sausalito Port
+6A5D53 Sausalito Ridge
+AB9378 Sauteed Mushroom
+C5A253 Sauterne
+F4EAE4 Sauvignon
+B18276 Sauvignon Blanc
+5C9F59 Savage Garden
+874C44 Savanna
+D1BD92 Savannah
+BABC72 Savannah Grass
+47533F Savannah Moss
+A36159 Savannah Red
+FFB989 Savannah Sun
+AA2200 Saveloy
+C0B7CF Savile Row
+550011 Saving Light
+EED9B6 Savon de Provence
+F9DAA5 Savoury Beige
+D19C97 Savoury Salmon
+87B550 Savoy
+4B61D1 Savoy Blue
+7E4242 Savoy House
+F6E9CF Sawdust
+D1CFC0 Sawgrass
+C3B090 Sawgrass Basket
+D3CDA2 Sawgrass Cottage
+AA7766 Sawshark
+EC956C Sawtooth Aak
+ABC1A0 Saxon
+435965 Saxon Blue
+216B88 Saxony Blue
+CEAF81 Saxophone Gold
+C7111E Say It With Red Roses
+383739 Sayward Pine
+F5DEC4 Sazerac
+8B0000 Scab Red
+6B8E23 Scallion
+FBD8C9 Scallop Shell
+F2D1A0 Scalloped Oak
+FCE3CF Scalloped Potato
+F6D58B Scalloped Potatoes
+F3E9E0 Scalloped Shell
+E5D5BD Scallywag
+027275 Scaly Green
+6F63A0 Scampi
+6B8CA9 Scanda
+ADD9D1 Scandal
+DFBDD0 Scandalous Rose
+1A1110 Scandinavian Liquorice
+C2D3D6 Scandinavian Sky
+6B6A6C Scapa Flow
+2C3D37 Scarab
+414040 Scarabaeus Sacer
+7D8C55 Scarabœus Nobilis
+809391 Scarborough
+A55E2B Scarecrow Frown
+FF2400 Scarlet
+922E4A Scarlet Apple
+BB2D32 Scarlet Beebalm
+B21F1F Scarlet Blaze
+F8D6CB Scarlet Butter
+C70752 Scarlet Cattleya Orchid
+993366 Scarlet Flame
+CB0103 Scarlet Glow
+4A2D57 Scarlet Gum
+F4601B Scarlet Ibis
+A53B3D Scarlet Past
+D44531 Scarlet Rebels
+B63E36 Scarlet Red
+A4334A Scarlet Ribbons
+AA2335 Scarlet Sage
+7E2530 Scarlet Shade
+CC0C1B Scarlet Splendour
+DA5640 Scarlet Sun
+B43B3D Scarlet Tanager
+8CA468 Scarpetta
+647983 Scatman Blue
+7B8285 Scattered Showers
+81A79E Scenario
+AF6D62 Scene Stealer
+486275 Scenic Blue
+CEC5B4 Scenic Path
+95BFB2 Scenic View
+88BBFF Scenic Water
+907361 Scented Candle
+61524C Scented Clove
+CAAEB8 Scented Frill
+DBC5D2 Scented Soap
+EED5EE Scented Spring
+F3D9D6 Scented Valentine
+9DB4AA Sceptic
+353542 Sceptre Blue
+E2E2B5 Schabziger Green
+FF91AF Schauss Pink
+E84998 Schiaparelli Pink
+192961 Schiava Blue
+8B714C Schindler Brown
+87876F Schist
+DD8855 Schnipo
+586A7D Scholarship
+FFD800 School Bus
+31373F School Ink
+8D8478 Schooner
+006666 Sci-fi Petrol
+00604B Sci-Fi Takeout
+0076CC Science Blue
+97A53F Science Experiment
+764663 Scintillating Violet
+AE935D Sconce
+957340 Sconce Gold
+110055 Scoop of Dark Matter
+308EA0 Scooter
+351F19 Scorched
+4D0001 Scorched Brown
+44403D Scorched Earth
+423D27 Scorched Metal
+E75323 Scorpio Scarlet Seal
+6A6466 Scorpion
+99AAC8 Scorpion Grass Blue
+62D84E Scorpion Green
+97EA10 Scorpion Venom
+8EEF15 Scorpy Green
+544E03 Scorzonera Brown
+000077 Scotch Blue
+FE9F00 Scotch Bonnet
+649D85 Scotch Lassie
+EEE7C8 Scotch Mist
+99719E Scotch Thistle
+EBCCB9 Scotchtone
+87954F Scotland Isle
+9BAA9A Scotland Road
+5F653B Scots Pine
+66A3C3 Scott Base
+C2CDCA Scottish Heath
+7D9A7B Scottish Highlands
+3B7960 Scouring Rush
+E34B26 Scoville High
+900405 Scoville Highness
+AB0040 Screamer Pink
+66FF66 Screamin’ Green
+C16F45 Screaming Bell Metal
+CC00CC Screaming Magenta
+F0F2D2 Screaming Skull
+EAE4D8 Screech Owl
+9A908A Screed Grey
+9D7798 Screen Gem
+66EEAA Screen Glow
+999EB0 Screen Test
+9FABB6 Scribe
+60616B Script Ink
+DBDDDF Script White
+DBA539 Scrofulous Brown
+EFE0CB Scroll
+F3E5C0 Scroll of Wisdom
+E9DDC9 Scrolled Parchment
+3D4031 Scrub
+6392B7 Scuba
+00A2C5 Scuba Blue
+ACD7C8 Scud
+0044EE Scuff Blue
+C3BEB7 Sculpting Clay
+CCC3B4 Sculptor Clay
+D1DAD5 Sculptural Silver
+02737A Scurf Green
+FC824A Sè Lèi Orange
+3C9992 Sea
+E8DAD6 Sea Anemone
+8BB8C3 Sea Angel
+62777E Sea Beast
+29848D Sea Bed
+41545C Sea Blithe
+006994 Sea Blue
+C0E1DD Sea Breath
+A4BFCE Sea Breeze
+C9D9E7 Sea Breeze Green
+FFBF65 Sea Buckthorn
+519D76 Sea Cabbage
+45868B Sea Caller
+E4F3DF Sea Cap
+61BDDC Sea Capture
+005986 Sea Cave
+2C585C Sea Challenge
+A5C7DF Sea Cliff
+00586D Sea Creature
+608BA6 Sea Crystal
+4C959D Sea Current
+9ECDD5 Sea Dew
+4B7794 Sea Drifter
+C2D2E0 Sea Drive
+77675C Sea Elephant
+975476 Sea Fan Fuchsia
+1A9597 Sea Fantasy
+656D54 Sea Fern
+87E0CF Sea Foam
+CBDCE2 Sea Foam Mist
+DFDDD6 Sea Fog
+64B6E2 Sea Frolic
+D5DCDC Sea Frost
+568E88 Sea Garden
+AFC1BF Sea Glass
+A0E5D9 Sea Glass Teal
+216987 Sea Goddess
+2A2E44 Sea Going
+3300AA Sea Grape
+53FCA1 Sea Green
+6D716A Sea Grove
+CBD9D4 Sea Haze Grey
+A7A291 Sea Hazel
+245878 Sea Hunter
+D7F2ED Sea Ice
+A6D0C9 Sea Inspired
+30A299 Sea Kale
+354A55 Sea Kelp
+CFB1D8 Sea Lavender
+67A181 Sea Lettuce
+7F8793 Sea Lion
+8C6E60 Sea Lion Brown
+6E99D1 Sea Loch
+434A54 Sea Mariner
+92B6CF Sea Mark
+DBEEE0 Sea Mist
+658C7B Sea Monster
+2C5252 Sea Moss
+F47633 Sea Nettle
+5482C2 Sea Note
+8AAEA4 Sea Nymph
+2D535A Sea of Atlantis
+0693D5 Sea of Crete
+466590 Sea of Galilee
+0B334D Sea of Stars
+1D4DA0 Sea of Tears
+81D1DA Sea of Tranquillity
+00507A Sea Paint
+72897E Sea Palm
+457973 Sea Pea
+E0E9E4 Sea Pearl
+4C6969 Sea Pine
+DB817E Sea Pink
+3E7984 Sea Quest
+799781 Sea Radish
+45A3CB Sea Ridge
+A3D1E2 Sea Rover
+EEE1D7 Sea Salt
+5087BD Sea Salt Rivers
+FFF5F7 Sea Salt Sherbet
+67B3BE Sea Serenade
+4BC7CF Sea Serpent
+5511CC Sea Serpent’s Tears
+00789B Sea Sight
+469BA7 Sea Sparkle
+D2EBEA Sea Spray
+B7CCC7 Sea Sprite
+BAA243 Sea Squash
+4D939A Sea Star
+018F6B Sea Swell
+337F86 Sea Swimmer
+427A9A Sea Swirl
+78D1B1 Sea Treasure
+818A40 Sea Turtle
+367D83 Sea Urchin
+83D6D4 Sea Wave
+ACCAD5 Sea Wind
+0F9BC0 Sea Wonder
+85C2B2 Seaborn
+7AA5C9 Seaborne
+4B81AF Seabrook
+CD7B00 Seabuckthorn Yellow Brown
+3E8896 Seachange
+B6C9A6 Seacrest
+B8F8D8 Seafair Green
+204D68 Seafarer
+78D1B6 Seafoam Blue
+C0CDC2 Seafoam Dream
+99BB88 Seafoam Green
+C2ECD8 Seafoam Pearl
+A6BCBE Seafoam Slate
+B0EFCE Seafoam Splashes
+DAEFCE Seafoam Spray
+9DA49C Seafoam Storm
+A1BDBF Seafoam Whisper
+BCC6A2 Seagrass
+264E50 Seagrass Green
+E0DED8 Seagull
+C9BBB4 Seagull Beach
+D9D9D2 Seagull Grey
+C7BDA8 Seagull Wail
+475663 Seal Blue
+321414 Seal Brown
+8A9098 Seal Grey
+65869B Seal Pup
+6B8B8B Sealegs
+48423C Sealskin
+E9ECE6 Sealskin Shadow
+15646D Seamount
+69326E Seance
+3A3F41 Seaplane Grey
+006E8C Seaport
+AECAC8 Seaport Steam
+6C7F9A Searching Blue
+EFF0BF Searchlight
+9A5633 Seared Earth
+495157 Seared Grey
+6B3B23 Searing Gorge Brown
+77A2AD Seascape
+A6BAD1 Seascape Blue
+B5E4E4 Seascape Green
+FFF5EE Seashell
+104C77 Seashell Cove
+EDB9BD Seashell Froth
+D5D4CF Seashell Grey
+FFF6DE Seashell Peach
+F7C8C2 Seashell Pink
+B5DCEF Seashore Dreams
+66A4B0 Seaside
+BDC3B5 Seaside Fog
+F2E9D7 Seaside Sand
+E9D5C9 Seaside Villa
+BEA27B Season Finale
+E6B99F Seasonal Beige
+7F6640 Seasoned Acorn
+8DB600 Seasoned Green
+CEC2A1 Seasoned Salt
+7D8B8A Seastone
+777E90 Seattle Haze
+7D212A Seattle Red
+A9C095 Seawashed Glass
+18D17B Seaweed
+35AD6B Seaweed Green
+7D7B55 Seaweed Salad
+5D7759 Seaweed Tea
+4D473D Seaweed Wrap
+125459 Seaworld
+314D58 Seaworthy
+84AEBA Sebastian Inlet
+BD5701 Sebright Chicken
+CAC5B6 Secluded Beach
+C6876F Secluded Canyon
+7B9893 Secluded Garden
+6F6D56 Secluded Green
+495A52 Secluded Woods
+E89AAD Second Blush
+585642 Second Nature
+887CA4 Second Pour
+DFECE9 Second Wind
+50759E Secrecy
+C41661 Secret Affair
+E1D2D5 Secret Blush
+68909D Secret Cove
+D7DFD6 Secret Crush
+11AA66 Secret Garden
+B5B88D Secret Glade
+7C6055 Secret Journal
+72754F Secret Meadow
+777465 Secret Mission
+A2A59D Secret Moss
+4166F5 Secret of Mana
+372A05 Secret Passage
+6D695E Secret Passageway
+737054 Secret Path
+9FA89C Secret Retreat
+C6BB68 Secret Safari
+7A0E0E Secret Scarlet
+E3D7DC Secret Scent
+464E5A Secret Society
+FF1493 Secret Story
+5389A1 Secure Blue
+D6E1C2 Security
+D1CDBF Sedate Grey
+B1A591 Sedge
+9A8841 Sedge Grasses
+707A68 Sedge Green
+B0A67E Sedia
+B3A698 Sediment
+E7E0CF Sedona
+BF7C45 Sedona at Sunset
+886244 Sedona Brown
+C16A55 Sedona Canyon
+D6B8A7 Sedona Pink
+686D6C Sedona Sage
+665F70 Sedona Shadow
+8E462F Sedona Stone
+FBF2BF Seduction
+A2C748 Seductive Thorns
+734F39 Seed Brown
+D7CCC6 Seed Cathedral
+E6DAC4 Seed Pearl
+DAC43C Seed Pod
+D3C3D4 Seedless Grape
+C0CBA1 Seedling
+A99BA9 Seeress
+AFBBC1 Seersucker
+FFF1F1 Sefid White
+903037 Sehnsucht Red
+3A6960 Seiheki Green
+819C8B Seiji Green
+8B8074 Seine
+CCC4B0 Seine and Sensibility
+E5ABBE Sekichiku Pink
+683F36 Sekkasshoku Brown
+E6DFE7 Selago
+FFBA00 Selective Yellow
+777E7A Selenium
+8C7591 Self Powered
+C2B398 Self-Destruct
+D22B6D Self-Love
+4488EE Seljuk Blue
+D4AE5E Sell Gold
+90A2B7 Sell Out
+AB9649 Semi Opal
+6B5250 Semi Sweet
+6B4226 Semi Sweet Chocolate
+659B97 Semi-Precious
+FFE2B6 Semifreddo
+C7AB8B Semolina
+FFE8C7 Semolina Pudding
+4CA973 Sēn Lín Lǜ Forest
+4A515F Senate
+824B35 Sencha Brown
+9A927F Seneca Rock
+FDECC7 Senior Moment
+494A41 Sensai Brown
+3B3429 Sensaicha Brown
+374231 Sensaimidori Green
+BFA38D Sensational Sand
+EDB159 Sense of Wonder
+EAD7B4 Sensible Hue
+CC2266 Sensitive Scorpion
+CEC9CC Sensitive Tint
+A1B0BE Sensitivity
+DA3287 Sensual Climax
+CD68E2 Sensual Fumes
+FFD2B6 Sensual Peach
+B75E6B Sensuous
+837D7F Sensuous Grey
+E6D8D2 Sentimental
+E0D8C5 Sentimental Beige
+C4D3DC Sentimental Lady
+F8EEF4 Sentimental Pink
+D2E0D6 Sentinel
+8C92AC Sephiroth Grey
+704214 Sepia
+2B0202 Sepia Black
+4B3526 Sepia Brown
+CBB499 Sepia Filter
+D4BBB6 Sepia Rose
+9F5C42 Sepia Skin
+8C7562 Sepia Tint
+B8A88A Sepia Tone
+995915 Sepia Wash
+8C7340 Sepia Yellow
+A8BEDD September Aster
+D3C9B9 September Fog
+8D7548 September Gold
+EDE6B3 September Morn
+FFE9BB September Morning
+597570 September Sea
+D5D8C8 September Song
+FDD7A2 September Sun
+D4D158 Sequesta
+E1C28D Sequin
+84463B Sequoia
+795953 Sequoia Dusk
+C5BBAF Sequoia Fog
+935E4E Sequoia Grove
+506C6B Sequoia Lake
+763F3D Sequoia Redwood
+D88B4D Serape
+D7824B Seraphim Sepia
+616F65 Seraphinite
+3E644F Serbian Green
+CFD0C1 Serena
+FCE9D7 Serenade
+4A4354 Serendibite Black
+BDE1D8 Serendipity
+A6CDDF Serendipity Blue
+DCE3E4 Serene
+1199BB Serene Blue
+BDD9D0 Serene Breeze
+CFD8D1 Serene Journey
+F5D3B7 Serene Peach
+F6C6B9 Serene Pink
+7B9F4B Serene Sage
+D2C880 Serene Scene
+78A7C3 Serene Sea
+C5D2D9 Serene Setting
+C3E3EB Serene Sky
+819DAA Serene Stream
+C5C0AC Serene Thought
+CED7D5 Serenely
+AB9579 Serengeti
+E7DBC9 Serengeti Dust
+77CC88 Serengeti Green
+FCE7D0 Serengeti Sand
+76BAA8 Sereni Teal
+91A8D0 Serenity
+507BCE Serenity’s Reign
+DD3744 Serial Kisses
+7D848B Serious Cloud
+CEC9C7 Serious Grey
+F9E0CD Serious Moonlight
+DCCCB4 Seriously Sand
+817F6D Serpent
+BBCC00 Serpent Sceptre
+A2B37A Serpentine
+003300 Serpentine Shadow
+556600 Serrano Pepper
+9CA9AD Seryi Grey
+BAA38B Sesame
+C26A35 Sesame Crunch
+E1D9B8 Sesame Seed
+00A870 Sesame Street Green
+E00012 Setsugekka
+5CCBC7 Setting Sail
+7E7970 Settlement
+D3DAE1 Seven Days of Rain
+4A5C6A Seven Seas
+DCE2E0 Seven Sisters
+E3B8BD Seven Veils
+EEE7DE Severe Seal
+241005 Severely Burnt Toast
+955843 Seville Scarlet
+BB8A8E Shabby Chic
+EFDDD6 Shabby Chic Pink
+FF7E00 Shade of Amber
+AE7181 Shade of Mauve
+8601AF Shade of Violet
+4E5147 Shade-Grown
+786947 Shaded Fern
+664348 Shaded Fuchsia
+8E824A Shaded Glen
+859C9B Shaded Hammock
+EBAEAC Shaded Primrose
+005F6D Shaded Spruce
+F3EBA5 Shaded Sun
+8AB18A Shaded Willow
+BE2BDF Shades of Rhodonite
+9C0009 Shades of Ruby
+605F5F Shades On
+E96A97 Shadow Azalea Pink
+7A6F66 Shadow Cliff
+877D83 Shadow Dance
+788788 Shadow Effect
+686767 Shadow Gargoyle
+9AC0B6 Shadow Green
+B09691 Shadow Grey
+395648 Shadow Leaf
+CCDE95 Shadow Lime
+585858 Shadow Mountain
+2A4F61 Shadow of Night
+A3A2A1 Shadow of the Colossus
+356454 Shadow Pine
+221144 Shadow Planet
+2D1403 Shadow Play
+4E334E Shadow Purple
+5B5343 Shadow Ridge
+9C917F Shadow Taupe
+1A2421 Shadow Warrior
+5E534A Shadow Woods
+111155 Shadowdancer
+4B4B4B Shadowed Steel
+6B6D6A Shadows
+018466 Shadows of Time
+DBD6CB Shady
+42808A Shady Blue
+4C4B4C Shady Character
+007865 Shady Glade
+635D4C Shady Green
+849292 Shady Grey
+9F9B9D Shady Lady
+5555FF Shady Neon Blue
+73694B Shady Oak
+456B67 Shady Palm
+C4A1AF Shady Pink
+F0E9DF Shady White
+939689 Shady Willow
+645D41 Shagbark Olive
+B3AB98 Shaggy Barked
+C9B6A1 Shaggy Dog
+CBC99D Shagreen
+C3BEA1 Shaken or Stirred?
+748C96 Shaker Blue
+6C6556 Shaker Grey
+886A3F Shaker Peg
+609AB8 Shakespeare
+7F4340 Shakker Red
+AA3311 Shakshuka
+752100 Shaku-Do Copper
+4A3F41 Shale
+6B886B Shale Green
+899DA3 Shale Grey
+F8F6A8 Shalimar
+7B8D73 Shallot Bulb
+505C3A Shallot Leaf
+EEC378 Shallot Peel
+C5F5E8 Shallow End
+9AB8C2 Shallow Sea
+9DD6D4 Shallow Shoal
+B0DEC8 Shallow Shore
+BCC2C3 Shallow Skies
+8AF1FE Shallow Water
+8CAEAC Shallow Water Ground
+CC855A Shamanic Journey
+FFCFF1 Shampoo
+009E60 Shamrock
+358D52 Shamrock Field
+4EA77D Shamrock Green
+FA9A85 Shān Hú Hóng Coral
+FFE670 Shandy
+AAD9BB Shanghai Jade
+D79A91 Shanghai Peach
+C8DFC3 Shanghai Silk
+ECD4D2 Shangri La
+4C1050 Shani Purple
+A18B5D Shank
+9BE3D7 Sharbah Fizz
+FFA26B Sharegaki Persimmon
+CADCDE Shark
+EE6699 Shark Bait
+969795 Shark Fin
+A5B4BA Shark Loop
+E4E1D3 Shark Tooth
+35524A Sharknado
+808184 Sharkskin
+2B3D54 Sharp Blue
+007D58 Sharp Green
+C9CAD1 Sharp Grey
+C0AD28 Sharp Lime
+DBD6D8 Sharp Pebbles
+ECC043 Sharp Yellow
+EAE1D6 Sharp-Rip Drill
+355C74 Shasta Lake
+BB5577 Shattan Gold
+B5A088 Shattell
+DAEEE6 Shattered Ice
+EEE2E0 Shattered Porcelain
+D0DDE9 Shattered Sky
+F1F1E5 Shattered White
+5A4039 Shaved Chocolate
+A9B4BA Shaved Ice
+E1E5E5 Shaving Cream
+DD9955 Shawarma
+E39B96 She Loves Pink
+AB214B She Pouts
+F8F1EB Shea
+D2AE84 Sheaf
+E8E1CE Shearling
+5B5B6C Shearwater Black
+81876F Shebang
+D9B28B Sheepskin
+AD9E87 Sheepskin Gloves
+CBBFA6 Sheepskin Rug
+F3C99D Sheer Apricot
+E4D0C3 Sheer Blouse
+CFD8D5 Sheer Elegance
+B0C69A Sheer Green
+EFE2F2 Sheer Lavender
+CDD2CE Sheer Light
+B793C0 Sheer Lilac
+FFF7E7 Sheer Peach
+F6E5DB Sheer Pink
+FFE8E5 Sheer Rosebud
+E3D6CA Sheer Scarf
+FFFEDF Sheer Sunlight
+52616F Sheet Blue
+5E6063 Sheet Metal
+638F7B Sheffield
+6B7680 Sheffield Grey
+EFECEE Sheikh White
+E6EFEF Sheikh Zayed White
+DCC5BC Shell
+EEE7E6 Shell Brook
+56564B Shell Brown
+E88D68 Shell Coral
+F9E4D6 Shell Ginger
+EBDFC0 Shell Haven
+F88180 Shell Pink
+FDD7CA Shell Tint
+B6B6A8 Shell Walk
+F0EBE0 Shell White
+B8986C Shelter
+758F9A Sheltered Bay
+C03F20 Shēn Chéng Orange
+BE0620 Shēn Hóng Red
+5A8643 Shepherd’s Green
+C06F68 Shepherd’s Warning
+8F8666 Sheraton Sage
+F8C8BB Sherbet Fruit
+FED5A3 Sherbet Pop
+EBCFAA Sheriff
+735153 Sheringa Rose
+00494E Sherpa Blue
+F9E4DB Sherry Cream
+555A4C Sherwood Forest
+1B4636 Sherwood Green
+C99B5F Shetland
+DFD0C0 Shetland Lace
+D6A48D Shetland Pony
+BBCFD4 Shhh…
+E29F31 Shì Zǐ Chéng Persimmon
+9900AA Shiffurple
+D6C0AB Shifting Sand
+A5988A Shiitake
+2B2028 Shikon
+E6B2A6 Shilo
+88C7E9 Shimmer
+82DBCC Shimmering Blue
+D98695 Shimmering Blush
+64B3D3 Shimmering Brook
+F3DEBC Shimmering Champagne
+45E9FD Shimmering Expanse Cyan
+A4943A Shimmering Glade
+FF88CC Shimmering Love
+D2EFE6 Shimmering Pool
+2B526A Shimmering Sea
+DBD1E8 Shimmering Sky
+9A373F Shin Godzilla
+59B9C6 Shinbashi
+006C7F Shinbashi Azure
+00A990 Shindig
+A85E6E Shine Baby Shine
+773CA7 Shiner
+745937 Shingle Fawn
+908B8E Shining Armour
+FCDA89 Shining Bright
+FFD200 Shining Gold
+989EA7 Shining Knight
+C7C7C9 Shining Silver
+F0E185 Shinjuku Gold
+DACDCD Shinkansen White
+8F1D21 Shinshu
+A1A9A8 Shiny Armour
+AE9F65 Shiny Gold
+CEA190 Shiny Kettle
+DBDDDB Shiny Lustre
+CCD3D8 Shiny Nickel
+3A363B Shiny Rubber
+5FA778 Shiny Shamrock
+F7ECCA Shiny Silk
+ECAE58 Shiny Trumpet
+7988AB Ship Cove
+3E3A44 Ship Grey
+709797 Ship Shape
+62493B Ship Steering Wheel
+4F84AF Ship’s Harbour
+2D3A49 Ship’s Officer
+7AA3CC Shipmate
+968772 Shipwreck
+4F6F85 Shipyard
+C48E69 Shiracha Brown
+842833 Shiraz
+646B59 Shire
+68E52F Shire Green
+F19000 Shiritorier’s Orange
+EBF5F0 Shiroi White
+FEDDCB Shironeri Silk
+6598AF Shirt Blue
+3C3B3C Shisha Coal
+EFAB93 Shishi Pink
+BBF90F Shishito Pepper Green
+63A950 Shiso Green
+99DBFE Shiva Blue
+24DD7E Shivering Green
+BB88AA Shock Jockey
+E899BE Shocking
+FF0D04 Shocking Crimson
+FF6E1C Shocking Orange
+FE02A2 Shocking Pink
+FF006A Shocking Rose
+72C8B8 Shockwave
+2B2B2B Shoe Wax
+EAE4D9 Shoelace
+F6EBD3 Shoelace Beige
+DED5C7 Shōji
+E2041B Shojo’s Blood
+DC3023 Shōjōhi Red
+ECF0EB Shooting Star
+5A4743 Shopping Bag
+81D5C6 Shore
+6797A2 Shore Water
+EAD9CB Shoreland
+6C8791 Shoreline
+58C6AB Shoreline Green
+D2CBBC Shoreline Haze
+EDD1D3 Short and Sweet
+BBDFD5 Short Phase
+F5E6D3 Shortbread
+EACEB0 Shortbread Cookie
+EEDAAC Shortcake
+9E957C Shortgrass Prairie
+1D0D1D Shot in the Dark
+4A5C69 Shot Over
+716B63 Shot-Put
+37C4FA Shovel Knight
+DD835B Show Business
+A42E37 Show-Stopper
+93AEBC Showcase Blue
+9FADB7 Shower
+7737AA Shredder Lavender
+E29A86 Shrimp
+F5BE9D Shrimp Boat
+DBBFA3 Shrimp Boudin
+F4A461 Shrimp Cocktail
+FAAB77 Shrimp Shell
+F7C5A0 Shrimp Toast
+CC3388 Shrine of Pleasures
+5D84B1 Shrinking Violet
+003636 Shrub Green
+A9C08A Shrubbery
+B5D1DB Shrubby Lichen
+EB6101 Shu Red
+40826D Shǔi Cǎo Lǜ Green
+DCCCA3 Shui Jiao Dumpling
+2B64AD Shukra Blue
+333344 Shuriken
+666E7F Shutter Blue
+BB6622 Shutter Copper
+797F7D Shutter Grey
+BBA262 Shutterbug
+6C705E Shutters
+61666B Shuttle Grey
+E2DED6 Shy Beige
+D3D8DE Shy Blunt
+D6DDE6 Shy Candela
+DEA392 Shy Champagne Blush
+F0D6CA Shy Cupid
+D7DADD Shy Denim
+FFD7CF Shy Girl
+E5E8D9 Shy Green
+AA0055 Shy Guy Red
+E0E4DB Shy Mint
+AAAAFF Shy Moment
+DFD9DC Shy Pink
+DCBBBE Shy Smile
+DDAC9A Shy Time
+D6C7D6 Shy Violet
+DFB8BC Shy Young Salmon
+5AB9A4 Shylock
+F3F3D9 Shyness
+686B50 Siam
+896F40 Siam Gold
+9DAC79 Siamese Green
+EFE1D5 Siamese Kitten
+CF8D9A Sianna Rose
+EEE2D5 Siberian Fur
+4E6157 Siberian Green
+C1CCD6 Siberian Ice
+FF44FF Sicilia Bougainvillaea
+FCC792 Sicilian Villa
+C1C6AD Sicily Sea
+502D86 Sick Blue
+9DB92C Sick Green
+94B21C Sickly Green
+D0E429 Sickly Yellow
+E9D9A9 Sidecar
+BFC3AE Sidekick
+A17858 Sidesaddle
+E2C591 Sideshow
+DBE9ED Sidewalk Chalk Blue
+F7CCC4 Sidewalk Chalk Pink
+7B8F99 Sidewalk Grey
+A9561E Sienna
+CDA589 Sienna Buff
+DCC4AC Sienna Dust
+DE9F83 Sienna Ochre
+B1635E Sienna Red
+BC735A Sienna Sky
+F1D28C Sienna Yellow
+A35C46 Sierra
+A28A67 Sierra Foothills
+C2BCAE Sierra Madre
+ED9181 Sierra Pink
+924E3C Sierra Redwood
+AFA28F Sierra Sand
+F0C3A7 Siesta
+C9A480 Siesta Dreams
+EC7878 Siesta Rose
+F1E6E0 Siesta Sands
+E9D8C8 Siesta Tan
+CBDADB Siesta White
+ABB6AC Sigh of Relief
+76A4A6 Sightful
+CAAD76 Sigmarite
+E3EDE2 Sign of Spring
+FCE299 Sign of the Crown
+CC0002 Signal
+33FF00 Signal Green
+838684 Signal Grey
+B15384 Signal Pink
+ECECE6 Signal White
+455371 Signature Blue
+EAEDE5 Silence
+C2A06D Silence Is Golden
+E9F1EC Silent Breath
+C6EAEC Silent Breeze
+E5E7E8 Silent Delight
+9FA5A5 Silent Film
+FEF2C7 Silent Ivory
+526771 Silent Night
+231C4D Silent Orbit
+ABE3DE Silent Ripple
+BAD9D9 Silent River
+729988 Silent Sage
+A99582 Silent Sands
+3A4A63 Silent Sea
+DBD7CE Silent Smoke
+EEF7FA Silent Snowfall
+C3C7BD Silent Storm
+7C929A Silent Tide
+0F084B Silent Twilight
+E3E7E4 Silent White
+CCBBBB Silentropae Cloud
+B29E81 Silestone
+CBCDC4 Silhouette
+DBD4BF Silica
+EDE2E0 Silica Sand
+88B2A9 Silicate Green
+CDDAD3 Silicate Light Turquoise
+5A3D4A Siliceous Red
+EBE0CA Silicone Seduction
+DCDCCF Silicone Serena
+D57B65 Silithus Brown
+BBADA1 Silk
+CCBFC7 Silk Chiffon
+354E4B Silk Crepe Grey
+6E7196 Silk Crepe Mauve
+EEE9DC Silk Dessou
+F6E8DE Silk Elegance
+ECDDC9 Silk for the Gods
+FCEEDB Silk Gown
+02517A Silk Jewel
+70939E Silk Khimar
+9188B5 Silk Lilac
+FCEFE0 Silk Lining
+F3F0EA Silk Pillow
+C86E8B Silk Ribbon
+97976F Silk Road
+F6EECD Silk Sails
+009283 Silk Sari
+8B4248 Silk Satin
+EFDDDF Silk Sheets
+A5B2C7 Silk Sox
+F5EEC6 Silk Star
+CC9999 Silk Stone
+F0DFC9 Silk Teddy
+B77D5F Silken Chocolate
+FCE17C Silken Gold
+11A39E Silken Jade
+427584 Silken Peacock
+D0D0C9 Silken Pebble
+495D5A Silken Pine
+AA7D89 Silken Raspberry
+E81320 Silken Ruby
+D6BEA1 Silken Stockings
+FEF6D8 Silken Tofu
+DADCD4 Silken Web
+FDEFDB Silkie Chicken
+EEEECC Silkworm
+EAE0CD Silky Bamboo
+BDC2BB Silky Green
+D7ECD9 Silky Mint
+FFDDF4 Silky Pink
+FFF5E4 Silky Tofu
+EFEBE2 Silky White
+F2F3CD Silky Yoghurt
+F4B0BB Silly Puddy
+8A7D72 Silt
+A3B9AC Silt Green
+C0C0C0 Silver
+DDDBD0 Silver Ash
+B8B4B6 Silver Bells
+D2CFC4 Silver Birch
+FBF5F0 Silver Bird
+8A9A9A Silver Blue
+5B7085 Silver Blueberry
+BABAB5 Silver Bonnet
+B6B5B8 Silver Bullet
+ACAEA9 Silver Chalice
+ADB0B4 Silver Charm
+E2E4E9 Silver City
+A6AAA2 Silver Clouds
+D9DAD2 Silver Creek
+CDC5C2 Silver Cross
+C1C1D1 Silver Dagger
+BDB6AE Silver Dollar
+9AB2A9 Silver Drop
+B4C8D2 Silver Dusk
+E8E7E0 Silver Dust
+CFCFCF Silver Eagle
+899587 Silver Eucalyptus
+EDEBE7 Silver Feather
+E1DDBF Silver Fern
+7F7C81 Silver Filigree
+7196A2 Silver Fir Blue
+BDBCC4 Silver Fox
+C6CEC3 Silver Grass
+DFE4DC Silver Grass Traces
+D7D7C7 Silver Green
+A8A8A4 Silver Grey
+6D747B Silver Hill
+DEDDDD Silver Lake
+5686B4 Silver Lake Blue
+D8DCC8 Silver Laurel
+9DB7A5 Silver Leaf
+859382 Silver Linden Grey
+BBBFC3 Silver Lined
+B8B1A5 Silver Lining
+A8A798 Silver Lustre
+71776E Silver Maple Green
+C8C8C0 Silver Marlin
+DBCCD3 Silver Mauve
+D6D6D6 Silver Medal
+BEC2C1 Silver Mine
+9F8D7C Silver Mink
+B4B9B9 Silver Mistral
+D9D7C9 Silver Moon
+B6BCB2 Silver Moss
+E1C1B9 Silver Peony
+EBECF5 Silver Phoenix
+526E6B Silver Pine
+D9A8A8 Silver Pink
+C6C6C6 Silver Polish
+D29EA6 Silver Rose
+C9A0DF Silver Rust
+8E8572 Silver Sage
+DADEDD Silver Sand
+C7C6C0 Silver Sateen
+A19FA5 Silver Sconce
+A6AEAA Silver Screen
+B2AAAA Silver Service
+D8DADB Silver Setting
+D8DAD8 Silver Shadow
+87A1B1 Silver Skate
+EAECE9 Silver Sky
+8E9090 Silver Snippet
+D3D3D2 Silver Spoon
+B7BDC4 Silver Springs
+CADFDD Silver Spruce
+98A0B8 Silver Star
+8599A8 Silver Storm
+B8C7CE Silver Strand
+CACDCA Silver Strand Beach
+F2C1C0 Silver Strawberry
+7E7D88 Silver Surfer
+C4C9E2 Silver Sweetpea
+B8B2A2 Silver Taupe
+E7D5C5 Silver Thistle Beige
+CAC9C2 Silver Thistle Down
+B6B3A9 Silver Tinsel
+BFC3BF Silver Tipped Sage
+D9D9D3 Silver Tradition
+67BE90 Silver Tree
+BBC5C4 Silver Whiskers
+E7E8E3 Silver White
+637C5B Silver Willow Green
+CDC7C7 Silver-Tongued
+6A6472 Silverado
+A7A89B Silverado Ranch
+B7BBC6 Silverado Trail
+CBCBCB Silverback
+5A6A43 Silverbeet
+BEBBC9 Silverberry
+8D95AA Silverfish
+B0B8B2 Silvermist
+C2C0BA Silverplate
+D1D2CB Silverpointe
+B1B3B3 Silverstone
+BFD9CE Silverton
+B8B8BF Silverware
+E6E5DC Silvery Moon
+D5DBD5 Silvery Streak
+2F4E4E Similar to Slate
+4C3D30 Simmered Seaweed
+CB9281 Simmering Ridge
+A99F96 Simmering Smoke
+A8C1D4 Simpatico Blue
+BABAAD Simple Grey
+F9A3AA Simple Pink
+F1D8B2 Simple Pleasures
+84737A Simple Plum
+C8D9E5 Simple Serenity
+7A716E Simple Silhouette
+CDC7B7 Simple Stone
+DFD9D2 Simple White
+CED0DB Simplicity
+D6C7B9 Simplify Beige
+58CEB2 Simply Aqua
+ADBBC9 Simply Blue
+FBAD90 Simply Coral
+FFD2C1 Simply Delicious
+CEDDE7 Simply Elegant
+00AA81 Simply Green
+DAC4DC Simply Lavender
+FFC06C Simply Peachy
+8CB9D4 Simply Posh
+715BB1 Simply Purple
+A7A996 Simply Sage
+C2852E Simply Sienna
+B0C5E0 Simply Sparkling
+E6D2BF Simply Subtle Pink
+AD9F93 Simply Taupe
+A6A1D7 Simply Violet
+EBEDE7 Simply White
+82856D Simpson Surprise
+FFD90F Simpsons Yellow
+CFA236 Sin City
+FFD500 Sinag Gold
+4675B7 Sinatra
+A6D5D0 Sinbad
+645059 Sinful
+A020F0 Singapore Orchid
+8E9C98 Singing in the Rain
+2B4D68 Singing the Blues
+713E39 Single Origin
+12110E Sinister
+353331 Sinister Minister
+A89C94 Sinister Mood
+4C4DFF Siniy Blue
+49716D Sinkhole
+D8B778 Sinking Sand
+FEE5CB Sinner’s City
+BB1111 Sinoper Red
+CB410B Sinopia
+B6BD4A Sinsemilla
+DEDFC9 Sip of Mint
+EAE2DF Sip of Nut Milk
+20415D Sir Edmund
+69293B Siren
+68A43C Siren of Nature
+B21D1D Siren Scarlet
+F3DECE Siren Song
+68766E Sirocco
+884411 Sis Kebab
+C5BAA0 Sisal
+C8C76F Siskin Green
+7A942E Siskin Sprout
+863F76 Sister Loganberry Frost
+DCDEDC Site White
+3C2233 Sitter Red
+F4E2D9 Sitting Pretty
+3D322E Six Feet Under
+FD02FF Sixteen Million Pink
+0079A9 Sixties Blue
+1C1B1A Siyâh Black
+8E3537 Sizzling Bacon
+A36956 Sizzling Hot
+FF3855 Sizzling Red
+FFDB00 Sizzling Sunrise
+EB7E4D Sizzling Sunset
+FA005C Sizzling Watermelon
+5F9370 Skarsnik Green
+47413B Skavenblight Dinge
+EBDECC Skeleton
+F4EBBC Skeleton Bone
+773399 Skeletor’s Cape
+C9133E Ski Patrol
+E1E5E3 Ski Slope
+D2E3E5 Ski White
+4477DD Skies of Cyberspace
+41332F Skilandis
+FEFFE3 Skimmed Milk White
+5CBFCE Skink Blue
+C3D7E0 Skinny Dippin’
+5588FF Skinny Jeans
+748796 Skipper
+4C4D78 Skipper Blue
+D1D0C9 Skipping Rocks
+D0CBB6 Skipping Stone
+51B73B Skirret Green
+007474 Skobeloff
+B04E0F Skrag Brown
+E3DAC9 Skull
+F1C78E Skullcrusher Brass
+F9F5DA Skullfire
+76D6FF Sky
+88C1D8 Sky Babe
+9FB9E2 Sky Blue
+DCBFE1 Sky Blue Pink
+A2DCD3 Sky Blue View
+99C1D6 Sky Bus
+242933 Sky Captain
+A5CAD1 Sky Chase
+A0BDD9 Sky City
+ADDEE5 Sky Cloud
+4499FF Sky Dancer
+8EAABD Sky Eyes
+89C6DF Sky Fall
+D1DCD8 Sky Glass
+B6C3C1 Sky Grey
+A7C2EB Sky High
+CADADE Sky Light View
+546977 Sky Lodge
+CF71AF Sky Magenta
+0099FF Sky of Magritte
+82CDE5 Sky of Ocean
+A2BAD4 Sky Pilot
+4B7B87 Sky Space
+C9D3D3 Sky Splash
+B8DCED Sky Wanderer
+8ACFD6 Sky Watch
+BBCEE0 Sky’s the Limit
+66CCFF Skyan
+60BFD3 Skydive
+C6D6D7 Skydiving
+38A3CC Skydome
+6BCCC1 Skylar
+C1E4F0 Skylark
+B8D6D7 Skylight
+959EB7 Skyline
+B9C0C3 Skyline Steel
+1F7CC2 Skylla
+818DB3 Skysail Blue
+6CB3D8 Skyscape
+D3DBE2 Skyscraper
+DCD7CD Skyvory
+C1DEEA Skywalker
+8FFE08 Skywalker Green
+A6C4CA Skyward
+A6BBCF Skyway
+C9E0EA Skywriter
+DBD5E6 Slaanesh Grey
+C9CC4A Slap Happy
+516572 Slate
+4B3D33 Slate Black
+A0987C Slate Brown
+465355 Slate Court
+6E7F8D Slate Expectations
+658D6D Slate Green
+59656D Slate Grey
+625C63 Slate Mauve
+B4ADA9 Slate Pebble
+B3586C Slate Pink
+868988 Slate Rock
+BA6671 Slate Rose
+ACB4AC Slate Stone
+606E74 Slate Tile
+7A818D Slate Tint
+989192 Slate Violet
+40535D Slate Wall
+4C5055 Sled
+825D2A Sleek Otter
+FAF6E9 Sleek White
+4579AC Sleep
+BED1E1 Sleep Baby Sleep
+98BDDD Sleeping Easy
+786D5E Sleeping Giant
+D8D3CF Sleeping Inn
+BADBED Sleepless Blue
+B2B8B1 Sleepy
+BCCBCE Sleepy Blue
+9B9028 Sleepy Hamlet
+839C6D Sleepy Hollow
+DCC7D5 Sleepy Kisses
+A2A1A1 Sleepy Kitten
+B5A78D Sleepy Owlet
+8A8C94 Sleet
+DEC29F Slender Reed
+C0AA60 Slender Stem
+BD997A Slice of Brioche
+0022EE Slice of Heaven
+E1697C Slice of Watermelon
+CCCFBF Sliced Cucumber
+EDE5BC Slices of Happy
+73CCD8 Slick Blue
+615D4C Slick Green
+A66E49 Slick Mud
+97AEAF Sliding
+CFC9C5 Slight Mushroom
+CB904E Slightly Golden
+FCE6DB Slightly in Love
+F1DDD8 Slightly Peach
+E6CFCE Slightly Rose
+92D2ED Slightly Spritzig
+DCE4DD Slightly Zen
+A7C408 Slime
+00BB88 Slime Girl
+B8EBC5 Slime Lime
+AADD00 Slimer Green
+7DED17 Slimy Green
+BFC1CB Slipper Satin
+BEBA82 Slippery Moss
+F87E63 Slippery Salmon
+7B766C Slippery Shale
+EFEDD8 Slippery Soap
+8D6A4A Slippery Stone
+D5F3EC Slippery Tub
+C3D4E8 Slipstream
+D2B698 Slopes
+DBDCC4 Slow Dance
+DDE3DC Slow Down
+C6D5C9 Slow Green
+D5D4CE Slow Perch
+E1C2BE Slubbed Silk
+CA6B02 Sludge
+42342B Slugger
+2D517C Slumber
+CDC5B5 Slumber Sloth
+D6CEC4 Slush
+804741 Sly Fox
+F8E2D9 Sly Shrimp
+AC9A7E Smallmouth Bass
+003399 Smalt
+496267 Smalt Blue
+4A9976 Smaragdine
+8775A1 Smashed Grape
+E2D0B9 Smashed Potatoes
+FF6D3A Smashed Pumpkin
+FF5522 Smashing Pumpkins
+D9DDCB Smell of Garlic
+DCE0EA Smell of Lavender
+BEF7CF Smell the Mint
+BB7283 Smell the Roses
+D7CECD Smells of Fresh Bread
+F0CCD9 Smidgen of Love
+313138 Smiler’s Mist
+FFC962 Smiley Face
+C84186 Smitten
+3B646C Smock Blue
+BFC8C3 Smoke
+939789 Smoke & Ash
+D9E6E8 Smoke and Mirrors
+CC7788 Smoke Bush
+AD8177 Smoke Bush Rose
+ADB6B9 Smoke Cloud
+CCBBAA Smoke Dragon
+CEBAA8 Smoke Grey
+B1B8B2 Smoke Infusion
+9BACB3 Smoke on the Water
+446B61 Smoke Pine
+BB5F34 Smoke Tree
+84625A Smoked Almond
+5A4351 Smoked Amethyst
+3B2F2F Smoked Black Coffee
+583A39 Smoked Claret
+674244 Smoked Flamingo
+F2B381 Smoked Ham
+CEB5B3 Smoked Lavender
+A89C97 Smoked Mauve
+725F6C Smoked Mulberry
+573F16 Smoked Oak Brown
+D9D2CD Smoked Oyster
+793A30 Smoked Paprika
+6F6E70 Smoked Pearl
+444251 Smoked Purple
+FA8072 Smoked Salmon
+DDBBCC Smoked Silver
+AEA494 Smoked Tan
+D0C6BD Smoked Umber
+716354 Smokehouse
+5E5755 Smokescreen
+BEB2A5 Smokestack
+647B84 Smokey Blue
+88716D Smokey Claret
+E9DFD5 Smokey Cream
+747B92 Smokey Denim
+928996 Smokey Lilac
+CEBDB4 Smokey Pink
+A5B5AC Smokey Slate
+9A9DA2 Smokey Stone
+9F8C7C Smokey Tan
+A57B5B Smokey Topaz
+A7A5A3 Smokey Wings
+954A3D Smokin Hot
+A29587 Smoking Mirror
+43454C Smoking Night Blue
+992200 Smoking Red
+605D6B Smoky
+708D9E Smoky Azurite
+B9A796 Smoky Beige
+100C08 Smoky Black
+7196A6 Smoky Blue
+34282C Smoky Charcoal
+A49E93 Smoky Day
+4C726B Smoky Emerald
+817D68 Smoky Forest
+9B8FA6 Smoky Grape
+939087 Smoky Grey Green
+D7D9C6 Smoky Light
+998BA5 Smoky Mauve
+AFA8A9 Smoky Mountain
+71ADB2 Smoky Mountain Spring
+E1D9DC Smoky Orchid
+BB8D88 Smoky Pink
+5C6E7C Smoky Pitch
+51484F Smoky Quartz
+E2B6A7 Smoky Salmon
+A1A18F Smoky Slate
+7E8590 Smoky Studio
+AA9793 Smoky Sunrise
+9D9E9D Smoky Tone
+7E7668 Smoky Topaz
+857D72 Smoky Trout
+647D9E Smoky Violet
+AEADA3 Smoky White
+B2ACA9 Smoky Wings
+7E2056 Smooch
+D13D4B Smooch Rouge
+F4E4B3 Smooth as Corn Silk
+D3BB96 Smooth Beech
+5D4E4C Smooth Coffee
+CABAB1 Smooth Pebbles
+A2D5D3 Smooth Satin
+F6EAD2 Smooth Silk
+BCB6B3 Smooth Stone
+97B2B1 Smooth-Hound Shark
+988E01 Smoothie Green
+B6321E Smouldering
+AA6E4B Smouldering Copper
+CA3434 Smouldering Red
+EE4466 Smudged Lips
+E9EEEB Snail Trail Silver
+C8C1AA Snake Charmer
+E9CB4C Snake Eyes
+DB2217 Snake Fruit
+45698C Snake River
+BB4444 Snakebite
+BAA208 Snakebite Leather
+889717 Snakes in the Grass
+786E61 Snakeskin
+8A8650 Snap Pea Green
+2B3E52 Snap-Shot
+FED777 Snapdragon
+BCF5A6 Snappy Green
+EB8239 Snappy Happy
+CC0088 Snappy Violet
+9AE37D Snarky Mint
+840014 Sneaky Devil
+896A46 Sneaky Sesame
+F2B635 Sneezeweeds
+9D7938 Sneezy
+718854 Snip of Parsley
+DCCEBB Snip of Tannin
+92B57B Snipped Chive
+DD7733 Snobby Shore
+49556C Snoop
+034F84 Snorkel Blue
+004F7D Snorkel Sea
+222277 Snorlax
+ACBB0D Snot
+9DC100 Snot Green
+FFFAFA Snow
+DEF1E7 Snow Ballet
+DDE3E8 Snow Blanket
+E5E9EB Snow Cloud
+E4F0E8 Snow Crystal Green
+F7F5ED Snow Day
+E3E3DC Snow Drift
+B3C0D3 Snow Flurries
+EAF7C9 Snow Flurry
+F4F2E9 Snow Globe
+C3D9CB Snow Goose
+C9DCDC Snow in June
+CFDFDB Snow Leopard
+EBE2CC Snow on the Pines
+FCD0C7 Snow Pa
+6CCC7B Snow Pea
+E0DCDB Snow Peak
+EBC6C0 Snow Pink
+F4EAF0 Snow Plum
+D2D8DA Snow Quartz
+D7E4ED Snow Shadow
+EEEDEA Snow Storm
+DADCE0 Snow Tiger
+EEFFEE Snow White
+F8AFA9 Snow White Blush
+D9E9E5 Snowball Effect
+E8E9E9 Snowbank
+BED0DA Snowbell
+EEF1EC Snowbelt
+EFECED Snowberry
+74A9B9 Snowboard
+DDEBE3 Snowbound
+DCE5EB Snowcap
+D6E5F0 Snowdrift Glow
+EEFFCC Snowdrop
+E0EFE1 Snowdrop Explosion
+E8E5DE Snowed In
+E0DEDA Snowfall
+EEEDE0 Snowfall White
+EFF0F0 Snowflake
+C8C8C4 Snowglory
+FEFAFB Snowman
+C9E6E9 Snowmelt
+E7E3D6 Snowshoe Hare
+001188 Snowstorm Space Shuttle
+EDF2E0 Snowy Evergreen
+D6F0CD Snowy Mint
+F1EEEB Snowy Mount
+F0EFE3 Snowy Pine
+D3DBEC Snowy Shadow
+C5D8E9 Snowy Summit
+A5ADBD Snub
+E4D7E5 Snuff
+BEA998 Snug as a Bug
+FFF9E2 Snug Cottage
+FCDB80 Snug Yellow
+A58F73 Snuggle Pie
+E1B89B So Baja
+D4D8E3 So Blue-Berry
+EC7A93 So Charming
+CECDC5 So Chic!
+DFC89D So Close
+CDC0C9 So Dainty
+D8D4D7 So Fresh so Clean
+B17494 So Long Shadow
+84525A So Merlot
+F1E0CB So Much Fawn
+DAD5D6 So Shy
+00FF11 So Sour
+8B847C So Sublime
+FFDEF2 So This Is Love
+006F47 So-Sari
+F7D163 Soaked in Sun
+CEC8EF Soap
+B2DCEF Soap Bubble
+A0B28E Soap Green
+E5BFCA Soap Pink
+ECE5DA Soapstone
+DDF0F0 Soar
+9BADBE Soaring Eagle
+B9E5E8 Soaring Sky
+D1B49F Soba
+22BB00 Soccer Turf
+CF8C76 Sociable
+FAF2DC Social Butterfly
+921A1C Socialist
+907676 Socialite
+E49780 Sockeye
+C3C67E Soda Pop
+2C447B Sodalite Blue
+9B533F Sōdenkaracha Brown
+FFFCEE Sodium Silver
+93806A Sofisticata
+EAE0D6 Soft & Warm
+CFBEA5 Soft Amber
+CFB7C9 Soft Amethyst
+E0B392 Soft Apricot
+897670 Soft Bark
+B9B5AF Soft Beige
+6488EA Soft Blue
+888CBA Soft Blue Lavender
+DAE7E9 Soft Blue White
+E3BCBC Soft Blush
+FFB737 Soft Boiled
+F6F0EB Soft Breeze
+99656C Soft Bromeliad
+A18666 Soft Bronze
+F4E1B6 Soft Butter
+FFEDBE Soft Buttercup
+F7EACF Soft Candlelight
+EFB6D8 Soft Cashmere
+BFCFC8 Soft Celadon
+C4CD87 Soft Celery
+DBB67A Soft Chamois
+838298 Soft Charcoal
+E4BC5B Soft Cheddar
+D0E3ED Soft Cloud
+987B71 Soft Cocoa
+FFEEE0 Soft Coral
+F5EFD6 Soft Cream
+B9C6CA Soft Denim
+E0CFB9 Soft Doeskin
+C2BBB2 Soft Dove
+B59778 Soft Fawn
+EFE4DC Soft Feather
+C7D368 Soft Fern
+817714 Soft Fig
+E2EFDD Soft Focus
+C0D5CA Soft Fresco
+BDCCB3 Soft Froth
+D496BD Soft Fuchsia
+7E7574 Soft Fur
+FBEEDE Soft Gossamer
+C1DFC4 Soft Grass
+6FC276 Soft Green
+D7C3B5 Soft Greige
+C8D8D1 Soft Haze
+BEA8B7 Soft Heather
+E7CFCA Soft Ice Rose
+B28EA8 Soft Impact
+A28B7E Soft Impala
+E6E3EB Soft Iris
+FBF1DF Soft Ivory
+D1D2BE Soft Kind
+F5EDE5 Soft Lace
+F6E5F6 Soft Lavender
+D9A077 Soft Leather
+E2D4DF Soft Lilac
+BEDDBA Soft Lumen
+DD99BB Soft Matte
+BAB2B1 Soft Metal
+E6F9F1 Soft Mint
+EFECD7 Soft Moonlight
+CCE1C7 Soft Moss
+F7EADF Soft Muslin
+59604F Soft Olive
+EEC0AB Soft Orange
+FFDCD2 Soft Orange Bloom
+555054 Soft Panther
+EEDFDE Soft Peach
+FFF3F0 Soft Peach Mist
+EFE7DB Soft Pearl
+CDC1B2 Soft Pelican
+EBF8EF Soft Petals
+FFF5E7 Soft Pillow
+FDB0C0 Soft Pink
+FDEBE5 Soft Pink Mist
+949EA2 Soft Pumice
+DC8E31 Soft Pumpkin
+A66FB5 Soft Purple
+C0BBA5 Soft Putty
+927C75 Soft Rabbit Brown
+412533 Soft Red
+FDD47E Soft Saffron
+BCBCAE Soft Sage
+EAAAA2 Soft Salmon
+EEC5CE Soft Satin
+837E87 Soft Savvy
+D6D4CA Soft Secret
+E8D5C6 Soft Shoe
+A2BBC1 Soft Shore
+D09F93 Soft Sienna
+E1DFE2 Soft Silk
+F7F9E9 Soft Silver
+E4B185 Soft Skills
+B5B5CB Soft Sky
+404854 Soft Steel
+C6B8A5 Soft Stones
+F5D180 Soft Straw
+D8CBAD Soft Suede
+A1D7EF Soft Summer Rain
+F2E3D8 Soft Sunrise
+C3B3B2 Soft Tone
+9D6016 Soft Tone Ink
+639B95 Soft Touch
+74CED2 Soft Turquoise
+DDDEBE Soft Vellum
+E9E6E2 Soft Violet
+D9BD9C Soft Wheat
+ECE8DD Soft Wool
+E3CDB6 Soft-Spoken
+BBBCA7 Softened Green
+DACAB2 Softer Tan
+C9B7CE Softly Softly
+F3CA40 Softsun
+7F8486 Software
+E0815E Sohi Orange
+E35C38 Sohi Red
+AB6953 Soho Red
+845C00 Soil of Avagddu
+416F8B Sojourn Blue
+FBEAB8 Solar
+CC6622 Solar Ash
+F7DA74 Solar Energy
+E67C41 Solar Flare
+DC9F46 Solar Fusion
+FAF1BD Solar Glow
+FAF0C9 Solar Light
+F0CA4A Solar Plexus Chakra
+F4B435 Solar Power
+D2AB51 Solar Relic
+FFC16C Solar Storm
+FCE9B9 Solar Wind
+F5D68F Solaria
+E1BA36 Solarium
+FBCF4F Solarized
+545A2C Soldier Green
+F7DDA1 Solé
+E9CB2E Soleil
+D3D8D8 Solemn Silence
+635C59 Solid Empire
+B7D24B Solid Gold
+EEEAE2 Solid Opal
+C78B95 Solid Pink
+A1A58C Solid Snake
+C6DECF Solitaire
+80796D Solitary Slate
+C4C7C4 Solitary State
+539B6A Solitary Tree
+E9ECF1 Solitude
+CBD2D0 Solo
+BABDB8 Solstice
+CDD2BB Solstice Breeze
+77ABAB Solution
+6C5751 Somali Brown
+CBB489 Sombre
+005C2B Sombre Green
+555470 Sombre Grey
+161E34 Sombre Night
+AF546B Sombre Roses
+B39C8C Sombrero
+CBA391 Sombrero Tan
+EFE4CC Someday
+B0D6E6 Something Blue
+CC99DD Somewhere in a Fairytale
+5D3736 Sommelier
+778899 Somnambulist
+ABC8D8 Sonata
+8A9EAE Sonata Blue
+55AA44 Sonata in Green Minor
+FCE7B5 Song of Summer
+4A73A8 Song of the Sea
+AF987F Song Thrush
+F2E5E0 Song Thrush Egg
+A3D1EB Songbird
+F3C8C2 Sonia Rose
+17569B Sonic Blue
+C5D061 Sonic Lime
+83599B Sonic Plum
+757575 Sonic Silver
+A0D1EC Sonic Sky
+C0C7C4 Sonnet Grey
+DDCB91 Sonoma Chardonnay
+90A58A Sonoma Sage
+BFD1CA Sonoma Sky
+E0B493 Sonora Apricot
+BEA77D Sonora Hills
+E8D2E3 Sonora Rose
+C89672 Sonora Shade
+CFB8A1 Sonoran Desert
+DDD5C6 Sonoran Sands
+FAF0CB Sonorous Bells
+7BB369 Soon to Be Hay
+550000 Soooo Bloody
+555E5F Soot
+5D5E5C Soot Veil
+9CC9D4 Soothing Blue
+B3BEC4 Soothing Breeze
+F2E7DE Soothing Pink
+B4AE95 Soothing Sage
+307DD3 Soothing Sapphire
+BCE6DE Soothing Sea
+BCCBC4 Soothing Spring
+E1EFE2 Soothing Vapour
+E1E2E4 Soothing White
+8092BC Soothsayer
+141414 Sooty
+474D52 Sooty Lashes
+4D4B3A Sooty Willow Bamboo
+956C87 Sophisticated Lilac
+5D5153 Sophisticated Plum
+537175 Sophisticated Teal
+BFB5A6 Sophistication
+7D7170 Sophomore
+A0D8EF Sora Blue
+4D8FAC Sora Sky
+A1A6D6 Sorbet Ice Mauve
+DAC100 Sorbet Yellow
+DD6B38 Sorbus
+3398CE Sorcerer
+9B6D51 Sorrel Brown
+A49688 Sorrel Felt
+887E64 Sorrel Leaf
+9D7F61 Sorrell Brown
+F1D058 Sorreno Lemon
+FC0156 Sorx Red
+47788A Sotek Green
+EDD1A8 Soufflé
+5C1C39 Soul Anchor
+7EADC7 Soul Blue
+7E989D Soul Quenching
+377290 Soul Search
+624C4C Soul Searching
+FFAA55 Soul Side
+B2B5C8 Soul Sister
+58475E Soul Train
+374357 Soulful
+757C91 Soulful Blue
+B8B5AA Soulful Grey
+3B4457 Soulful Music
+1B150D Soulless
+85777B Soulmate
+FFC8E9 Soulmate Pink
+0047AB Soulstone Blue
+333B33 Sound of Silence
+A0C6D7 Sound Waves
+DFE5D7 Sounds of Nature
+E5EDB5 Sour
+A0AC4F Sour Apple
+AAEE22 Sour Apple Candy
+33BB00 Sour Apple Rings
+8B844E Sour Bubba
+66B348 Sour Candy
+E24736 Sour Cherry
+ADC979 Sour Face
+C1E613 Sour Green
+C8FFB0 Sour Green Cherry
+FFEEA5 Sour Lemon
+ACC326 Sour Lime
+F4D9C5 Sour Patch Peach
+FEE5C8 Sour Tarts
+FFFFBF Sour Veil
+EEFF04 Sour Yellow
+CDEAE5 Source Blue
+84B6A2 Source Green
+C9B59A Sourdough
+E8A05A South Haven
+76614B South Kingston
+698694 South Pacific
+EAD2BB South Peach
+EADFD2 South Peak
+A6847B South Rim Trail
+FFDC9E South Shore Sun
+B98258 Southern Barrens Mud
+F7DDDB Southern Beauty
+A6D6C3 Southern Belle
+365787 Southern Blue
+E4DFD1 Southern Breeze
+34657D Southern Evening
+BCA66A Southern Moss
+E5B792 Southern Peach
+ACB4AB Southern Pine
+D0D34D Southern Platyfish
+9D766F Southern Road
+DE9F85 Southwest Stone
+CC6758 Southwestern Clay
+EDE0CE Southwestern Sand
+4B4356 Sovereign
+CE243F Sovereign Red
+304E63 Sovereignty
+FFD900 Soviet Gold
+CD0000 Soviet Red
+D5D2C7 Soy Milk
+1A0600 Soy Sauce
+FAE3BC Soya
+6F634B Soya Bean
+CAB68B Soybean
+578363 Soylent Green
+CEECE7 Spa
+D3DEDF Spa Blue
+1993BE Spa Dream
+529182 Spa Green
+D4E4E6 Spa Retreat
+D7C9A5 Spa Sangria
+3B4271 Space Angel
+440099 Space Battle Blue
+1D2951 Space Cadet
+150F5B Space Colonisation
+667788 Space Convoy
+002299 Space Dust
+001199 Space Exploration
+114499 Space Explorer
+110022 Space Grey
+139D08 Space Invader
+324471 Space Missions
+5511DD Space Opera
+4B433B Space Shuttle
+6C6D7A Space Station
+DAE6EF Space Wolves Grey
+5C6B6B Spacebox
+5F6882 Spaceman
+222255 Spacescape
+877D75 Spacious Grey
+9A8557 Spacious Plain
+D5EAF2 Spacious Skies
+AEB5C7 Spacious Sky
+424142 Spade Black
+FEF69E Spaghetti
+DDDDAA Spaghetti Carbonara
+EECC88 Spaghetti Monster
+FBAED2 Spaghetti Strap Pink
+8D7F75 Spalding Grey
+36B14E Spandex Green
+E5DBE5 Spangle
+807532 Spanish Bistre
+0070B8 Spanish Blue
+D10047 Spanish Carmine
+7F5F52 Spanish Chestnut
+FCE5C0 Spanish Cream
+E51A4C Spanish Crimson
+817863 Spanish Galleon
+B09A4F Spanish Gold
+7B8976 Spanish Green
+989898 Spanish Grey
+FCE8CA Spanish Lace
+8E6A3F Spanish Leather
+684B40 Spanish Mustang
+A1A867 Spanish Olive
+E86100 Spanish Orange
+C57556 Spanish Peanut
+F7BFBE Spanish Pink
+5C3357 Spanish Plum
+66033C Spanish Purple
+61504E Spanish Raisin
+E60026 Spanish Red
+111133 Spanish Roast
+AC6768 Spanish Rose Shadow
+CAB08E Spanish Sand
+00FFFE Spanish Sky Blue
+93765C Spanish Style
+702425 Spanish Tile
+DBB39E Spanish Villa
+4C2882 Spanish Violet
+007F5C Spanish Viridian
+DED1B7 Spanish White
+F6B511 Spanish Yellow
+E4E4DD Spare White
+F5D2B5 Sparkle Glow
+FFEE99 Sparkler
+77B244 Sparkling Apple
+C15187 Sparkling Blueberry Lemonade
+DCEEE3 Sparkling Brook
+EFCF98 Sparkling Champagne
+FFFDEB Sparkling Cider
+F9736E Sparkling Cosmo
+2DA4B6 Sparkling Cove
+1F6C53 Sparkling Emerald
+D2D5DA Sparkling Frost
+82387E Sparkling Grape
+66EE00 Sparkling Green
+AFC5BC Sparkling Lake
+EECCFF Sparkling Lavender
+C3C3C7 Sparkling Metal
+A4DDD3 Sparkling Mint
+F5CEE6 Sparkling Pink
+CC11FF Sparkling Purple
+EE3333 Sparkling Red
+D6EDF1 Sparkling River
+C7CBBC Sparkling Sage
+CBD0CD Sparkling Silver
+F5FEFD Sparkling Snow
+D9E3E0 Sparkling Spring
+FF7711 Sparks in the Dark
+22EEFF Sparky Blue
+69595C Sparrow
+523E47 Sparrow Grey Red
+FF6622 Sparrow’s Fire
+76A4A7 Spartacus
+7A8898 Spartan Blue
+9E1316 Spartan Crimson
+AFA994 Spartan Stone
+C1EDD3 Spatial Spirit
+DEDDDB Spatial White
+FFEE88 Spätzle Yellow
+FFD9A6 Speak to Me
+826A6C Speakeasy
+A8415B Speaking of the Devil
+885500 Spear Shaft
+5FB6BF Spearfish
+64BFA4 Spearmint
+5CBE86 Spearmint Burst
+8DC2A8 Spearmint Frosting
+9CB8A6 Spearmint Haze
+BFD3CB Spearmint Ice
+CBECE6 Spearmint Leaf
+DBE8DF Spearmint Scent
+E8F0E2 Spearmint Stick
+B1EAE8 Spearmint Water
+BCE3C9 Spearmints
+A5B2B7 Special Delivery
+7B787D Special Grey
+868B53 Special Ops
+EBC09B Special Peach
+DCD867 Species
+D38798 Speckled Easter Egg
+EBD6BD Speckled Eggs
+BB02FE Spectacular Purple
+EDD924 Spectacular Saffron
+F72305 Spectacular Scarlet
+375D4F Spectra
+00A096 Spectra Green
+F6AA09 Spectra Yellow
+DFDCD8 Spectral
+008664 Spectral Green
+44448D Spectrum Blue
+F20000 Spectrum Red
+90BFD4 Speedboat
+B4547E Speedwell
+5E4F50 Spell
+4A373E Spell Caster
+E7DFCE Spellbound
+A38C6B Spelt Grain Brown
+35465E Spelunking
+A5AD44 Sphagnales Moss
+75693D Sphagnum Moss
+F2E8CC Sphere
+A99593 Sphinx
+6C4F3F Spice
+86613F Spice Bazaar
+B87243 Spice Cake
+F0DED3 Spice Cookie
+F3E9CF Spice Delight
+C9D6B4 Spice Garden
+E1C2C1 Spice Girl
+EBD0A4 Spice Is Nice
+F4EEDC Spice Ivory
+B84823 Spice Market
+86493F Spice of Life
+FFB088 Spice Pink
+C26E4B Spice Route
+604941 Spiceberry
+BB715B Spiced
+7F403A Spiced Apple
+E9D2BB Spiced Beige
+85443F Spiced Berry
+BB9683 Spiced Brandy
+FFD978 Spiced Butternut
+A4624C Spiced Carrot
+D3B080 Spiced Cashews
+915B41 Spiced Cider
+805B48 Spiced Cinnamon
+D55459 Spiced Coral
+A38061 Spiced Honey
+53433E Spiced Hot Chocolate
+886C57 Spiced Latte
+B99563 Spiced Mustard
+FFBB72 Spiced Nectarine
+BC693E Spiced Nut
+927D6C Spiced Nutmeg
+EDC7B6 Spiced Orange
+764F80 Spiced Plum
+905D5F Spiced Potpourri
+D88D56 Spiced Pumpkin
+BB1166 Spiced Purple
+8B4C3D Spiced Red
+AD8B6A Spiced Rum
+AB6162 Spiced Tea
+B14B38 Spiced Up
+E67A37 Spiced up Orange
+CDBA99 Spiced Vinegar
+664942 Spiced Wine
+FF1111 Spicy
+CC3366 Spicy Berry
+9B5B4F Spicy Cayenne
+A85624 Spicy Cinnamon
+994B35 Spicy Hue
+EEBBAA Spicy Hummus
+8B5F4D Spicy Mix
+74640D Spicy Mustard
+DA482D Spicy Orange
+F38F39 Spicy Paella
+FF1CAE Spicy Pink
+B9396E Spicy Purple
+97413E Spicy Red
+F6AC00 Spicy Sweetcorn
+C75433 Spicy Tomato
+E2E8DF Spider Cotton
+656271 Spike
+FDDDB7 Spiked Apricot
+600000 Spikey Red
+9B351B Spill the Beans
+E4E1DE Spilled Cappuccino
+F4F4D1 Spilt Milk
+46A35A Spinach
+AAAA55 Spinach Banana Smoothie
+B1CDAC Spinach Dip
+909B4C Spinach Green
+83825B Spinach Souffle
+6E750E Spinach Soup
+E4E8DA Spinach White
+B3C4D8 Spindle
+73FCD6 Spindrift
+464D4A Spinel Black
+49424A Spinel Grey
+59181C Spinel Red
+272A3B Spinel Stone Black
+38283D Spinel Violet
+A3E2DD Spinnaker
+018CB6 Spinnaker Blue
+5B6A7C Spinning Blue
+F3DDBC Spinning Silk
+F6EDDA Spinning Wheel
+B2BBC6 Spirit
+323B6C Spirit Blue
+514B80 Spirit Dance
+6A8B98 Spirit Mountain
+5F534E Spirit Rock
+D45341 Spirit Warrior
+E3EEBF Spirit Whisper
+FDE7E3 Spirited Away
+BDDEC7 Spirited Green
+FFDC83 Spirited Yellow
+FD411E Spiritstone Red
+0FC0FC Spiro Disco Ball
+34694D Spirulina
+6F757D Spitsbergen Blue
+F1D79E Splash
+F984E5 Splash of Grenadine
+D8B98C Splash of Honey
+5984B0 Splash Palace
+D4E8D8 Splashdown
+44DDFF Splashing Wave
+019196 Splashy
+A9586C Splatter
+D01A2C Splatter Movie
+CCEE00 Spleen Green
+7598B5 Splendid Blue
+806E7C Splendiferous
+F3DFCC Splendour
+5870A4 Splendour and Pride
+FFB14E Splendour Gold
+A3713F Splinter
+3194CE Splish Splash
+96983F Split Pea
+C8B165 Split Pea Soup
+8E6C51 Split Rail
+E8FF2A Spoiled Egg
+B6BFE5 Spoiled Rotten
+A0956F Sponge
+FFFE40 Sponge Cake
+C2A048 Spontaneous Sprig
+D1D2BF Spooky
+D4D1D9 Spooky Ghost
+685E4F Spooky Graveyard
+FF6B00 Spooky Tangerine
+F5EAE3 Spooled White
+E7E9E3 Spoonful of Sugar
+7F8162 Spores
+00A27D Sport Green
+EFD678 Sport Yellow
+434C47 Sporting Green
+399BB4 Sports Blue
+E08119 Sports Fan
+4D8064 Sports Field Green
+6A8AA4 Sporty Blue
+FAEACD Spotlight
+BFBFBD Spotted Dove
+B1D3E3 Spotted Snake Eel
+7ECDDD Spray
+AEA692 Spray Green
+BDD0C3 Spray of Mint
+007711 Spreadsheet Green
+D6C1C5 Sprig Muslin
+8BE0BA Sprig of Mint
+F2F6DB Sprig of Sage
+00F900 Spring
+B3BB6B Spring Ahead
+E9EDBD Spring Blossom
+69CD7F Spring Bouquet
+D7B9CB Spring Boutique
+A98C37 Spring Branch
+E8EBD9 Spring Breeze
+A7FC00 Spring Bud
+C9E0C8 Spring Burst
+FFF6C2 Spring Buttercup
+B7629B Spring Crocus
+DBD7B7 Spring Day
+D9EEE1 Spring Dew
+E5E3BF Spring Fever
+B3CDAC Spring Fields
+ECF1EC Spring Fog
+67926F Spring Forest
+11BB22 Spring Forth
+BABD29 Spring Forward
+87FF2A Spring Frost
+558961 Spring Garden
+D3E0B8 Spring Glow
+D5CB7F Spring Grass
+00FF7C Spring Green
+C5C6B3 Spring Grey
+BFD392 Spring Has Sprung
+FFFDDD Spring Heat
+C4CBB2 Spring Hill
+CDD9BB Spring Joy
+4A754A Spring Juniper
+E3EFB2 Spring Kiss
+CBDD94 Spring Lawn
+A8C3AA Spring Leaves
+FCF4C8 Spring Lily
+9FC65E Spring Lime
+E8A59D Spring Linen
+640125 Spring Lobster
+6C2C2F Spring Lobster Brown
+7A4171 Spring Lobster Dye
+C0B05D Spring Marsh
+D3E0DE Spring Mist
+E5F0D5 Spring Morn
+A99757 Spring Moss
+596C3C Spring Onion
+F6E6E2 Spring Petal
+DFBCC9 Spring Pink
+A3BD9C Spring Rain
+A1BFAB Spring Reflection
+C4A661 Spring Roll
+A06567 Spring Rosewood
+CCEECC Spring Savour
+E2EDC1 Spring Shoot
+ABDCEE Spring Shower
+B8F8B8 Spring Slumber Green
+FACCBF Spring Song
+9BA294 Spring Spirits
+A2C09B Spring Sprig
+86BA4A Spring Sprout
+A9C6CB Spring Storm
+98BEB2 Spring Stream
+F1F1C6 Spring Sun
+D9DCDD Spring Thaw
+D8DCB3 Spring Thyme
+99CDE6 Spring Tide
+CED7C5 Spring Valley
+82A320 Spring Vegetables
+ACB193 Spring Walk
+7AB5AE Spring Water Turquoise
+E0EED4 Spring Wheat
+ECFCEC Spring White
+CDA4DE Spring Wisteria
+E9E1D9 Spring Wood
+F2E47D Spring Yellow
+284C3C Springbok Green
+C8CB8E Springtide Green
+9AA955 Springtide Melodies
+E9E5B3 Springtime
+DB88AC Springtime Bloom
+FFFFEF Springtime Dew
+EBEEF3 Springtime Rain
+7EA15A Springview Green
+EBDDEA Sprinkle
+CFECEE Sprinkled With Dew
+E7A2AE Sprinkled With Pink
+B9DCC3 Sprite Twist
+76C5E7 Spritzig
+B8CA9D Sprout
+C8D5CF Sprout Green
+F3D48B Sprouted
+0A5F38 Spruce
+91A49D Spruce Shade
+838A7A Spruce Shadow
+9FC09C Spruce Stone
+B35E97 Spruce Tree Flower
+6E6A51 Spruce Woods
+B77D42 Spruce Yellow
+9A7F28 Spruced Up
+BCCFA4 Spumoni Green
+F3ECDC Spun Cotton
+EDAA6E Spun Gold
+F4E4CF Spun Jute
+DBD1DE Spun Moonbeams
+A2A1AC Spun Pearl
+FAE2ED Spun Sugar
+E3DED4 Spun Wool
+5E0092 SQL Injection Purple
+828383 Squant
+F2AB15 Squash
+E7B17C Squash Bisque
+F8B438 Squash Blossom
+6CC4DA Squeaky
+11EE00 Squeeze Toy Alien
+6E2233 Squid Hat
+F5B4BD Squid Pink
+041330 Squid’s Ink
+AA4F44 Squig Orange
+8F7D6B Squirrel
+665E48 Squirrel’s Nest
+95BCC5 Squirt
+F56961 Sriracha
+ADDAE3 Srsly Blue
+D0DDCC St. Augustine
+577C88 St. Bart’s
+EEDDDD St. Nicholas Beard
+2B8C4E St. Patrick
+23297A St. Patrick’s Blue
+DEE8F3 St. Petersburg
+39527D St. Tropaz
+325482 St. Tropez
+C1D0B2 Stability
+F6E0BE Stable Hay
+858885 Stack
+D1B992 Stacked Limestone
+918676 Stacked Stone
+D5F534 Stadium Grass
+9AF764 Stadium Lawn
+603B41 Stag Beetle
+9E6928 Stage Gold
+B081AA Stage Mauve
+D8D9CA Stage Whisper
+7F5A44 Stagecoach
+556682 Stained Glass
+B4BDC7 Stainless Steel
+67716E Stairway to Heaven
+D4C4A7 Stalactite Brown
+7CB26E Stalk
+B0A8AD Stamina
+638636 Stamnankáthi Green
+2EA18C Stamp Pad Green
+A0A09A Stamped Concrete
+725D4B Stampede
+7F8596 Stand Out
+FF0066 Standby LED
+BFB9BD Standing Ovation
+9D6F4B Standing Still
+005599 Standing Waters
+85979A Standish Blue
+658F7C Stanford Green
+BCAB9C Stanford Stone
+A40000 Stanger Red
+9BC2B4 Stanley
+FFE500 Star
+C51F26 Star and Crescent Red
+5C5042 Star Anise
+A77B4D Star Anise Scent
+E8DDAE Star Bright
+5796A1 Star City
+007BB8 Star Command Blue
+F9F3DD Star Dust
+BEAA4A Star Fruit Yellow Green
+75DBC1 Star Grass
+D8DCE6 Star Jasmine
+E4D8D8 Star Magic
+EEEFE2 Star Magnolia
+DAE2E9 Star Map
+B3C6CE Star Mist
+F5EEDC Star of Bethlehem
+0000F7 Star of David
+EBE3C7 Star of Gold
+057BC1 Star of Life
+EBBBBE Star of the Morning
+9500FF Star Platinum Purple
+3C6A9D Star Sapphire
+F8F6E3 Star Shine
+3A5779 Star Spangled
+EFEFE8 Star White
+F7EBAC Star-Studded
+016C4F Starboard
+F5ECC9 Starbright
+6CB037 Starbur
+DCE7E5 Starburst
+AC9A6C Starch
+A6B2B5 Stardew
+DDD3AE Stardust
+DACFD4 Stardust Ballroom
+B8BFDC Stardust Evening
+E5BCA5 Starfish
+0096FF Starfleet Blue
+4E9AB0 Starflower Blue
+F0E8D5 Starfox
+E4D183 Starfruit
+B7C4D3 Stargate
+7777FF Stargate Shimmer
+3F5865 Stargazer
+414549 Stargazing
+FAEEDE Starglider
+D2C6B6 Stark White
+3E4855 Starless Night
+EDC2DB Starlet Pink
+BCC0CC Starlight
+B5CED4 Starlight Blue
+E8DFD8 Starling’s Egg
+384351 Starlit Eve
+3B476B Starlit Night
+286492 Starry Night
+4F5E7E Starry Sky Blue
+758BA4 Starset
+E3DD39 Starship
+CCE7E8 Starship Tonic
+229966 Starship Trooper
+4664A5 Starstruck
+E56131 Startling Orange
+C5BDC4 Stately Frills
+B0B0AA Stately Greystone
+577A6C Stately Stems
+FAF9EA Stately White
+D5D3C3 Static
+9EA4A5 Statuary
+376D64 Statue of Liberty
+D0BCB1 Statued
+E0DFD9 Statuesque
+DC8A30 Status Bronze
+9FAC5C Stay in Lime
+314662 Stay the Night
+4A5777 Steadfast
+8A6B4D Steady Brown
+4B4844 Stealth Jet
+DDDDDD Steam
+CCD0DA Steam Bath
+EBE1A9 Steam Chestnut
+B2B2AD Steam Engine
+E8E9E5 Steam White
+D2CCB4 Steamboat Geyser
+E0D4BD Steamed Chai
+D3B17D Steamed Chestnut
+EAD8BE Steamed Milk
+EE8888 Steamed Salmon
+C39C55 Steampunk Gold
+B8C0C8 Steampunk Grey
+6F3B34 Steampunk Leather
+EAE9B4 Steamy Dumpling
+B1CFC7 Steamy Spring
+797979 Steel
+767275 Steel Armour
+4682B4 Steel Blue
+7D94C6 Steel Blue Eyes
+436175 Steel Blue Grey
+43464B Steel Grey
+7A744D Steel Legion Drab
+5599B6 Steel Light Blue
+DDD5CE Steel Me
+C6CEDA Steel Mist
+71A6A1 Steel Pan Mallet
+CC33CC Steel Pink
+5F8A8B Steel Teal
+929894 Steel Toe
+767574 Steel Wool
+81919D Steele Blue
+D43728 Steelhead Redd
+90979B Steely Grey
+827E7C Steeple Grey
+074863 Stegadon Scale Green
+415862 Steiglitz Fog
+F5D056 Stella
+46647E Stellar
+9FB5CE Stellar Blue
+002222 Stellar Explorer
+FFF4DD Stellar Light
+AB9D9C Stellar Mist
+FF5C8D Stellar Strawberry
+9A9959 Stem
+ABDF8F Stem Green
+B4CEDA Stencil Blue
+7D7640 Steppe Green
+B2A18C Stepping Stones
+FFF5CF Stereotypical Duck
+D1D4D1 Sterling
+A2B9C2 Sterling Blue
+E9EBDE Sterling Shadow
+9EAFC2 Sterling Silver
+9E7A58 Stetson
+C5B5A4 Steveareno Beige
+BAA482 Sticks & Stones
+131212 Sticky Black Tarmac
+CC8149 Sticky Toffee
+8D8F8E Stieglitz Silver
+FADB5E Stil de Grain Yellow
+323235 Stiletto
+B6453E Stiletto Love
+ADAF9C Still
+C154C0 Still Fuchsia
+ABA9A0 Still Grey
+A1A39F Still Life in Grey
+CBC4B2 Still Moment
+FFF8E1 Still Morning
+4A5D5F Still Waters Run Deep
+D6EBE7 Stillness
+70A4B0 Stillwater
+C2D0DF Stillwater Lake
+A29A6A Stilted Stalks
+495D39 Stinging Nettle
+AEFD6C Stinging Wasabi
+B0ABA3 Stingray Grey
+2A545C Stinkhorn
+AE5A2C Stirland Battlemire
+492B00 Stirland Mud
+F6B064 Stirring Orange
+900910 Stizza
+806852 Stock Horse
+104F4A Stockade Green
+E9E5D8 Stocking White
+647B72 Stockleaf
+77454C Stoic
+E0E0FF Stoic White
+EFDCD3 Stolen Kiss
+0088B0 Stomy Shower
+ADA587 Stone
+A29F9B Stone Age
+7A3F2B Stone Age Queen
+52706C Stone Bridge
+B79983 Stone Brown
+888C90 Stone Cairn
+555555 Stone Cold
+7D867C Stone Craft
+8F9183 Stone Creek
+5F7D6C Stone Cypress Green
+929C9C Stone Fence
+C5C0B0 Stone Fortress
+F2A28C Stone Fruit
+C2CBD2 Stone Golem
+658E67 Stone Green
+9F9484 Stone Grey
+D39831 Stone Ground
+CABA97 Stone Guardians
+E8E0D8 Stone Harbour
+93888C Stone Haze
+636869 Stone Hearth
+B3A491 Stone Lion
+A29482 Stone Manor
+959897 Stone Mason
+B6B7AD Stone Mill
+7A807A Stone Monument
+E4EFE5 Stone Path
+EFE5D4 Stone Pillar
+665C46 Stone Pine
+ECE4DC Stone Quarry
+8BA8AE Stone Silver
+A09484 Stone Terrace
+4D404F Stone Violet
+B5B09E Stone Walkway
+605C58 Stone’s Throw
+DDCEA7 Stonebread
+CBA97E Stonebriar
+A08F6F Stonecrop
+99917E Stonegate
+A79D8D Stonehenge Greige
+BAB1A3 Stonelake
+8D7A4D Stonetalon Mountains
+807661 Stonewall
+C1C1C1 Stonewall Grey
+A5978D Stoneware
+74819A Stonewash
+DDD7C5 Stonewashed
+DCCCC0 Stonewashed Brown
+F4EEE4 Stonewashed Pink
+CCB49A Stonish Beige
+948F82 Stony Creek
+615547 Stony Field
+D3D3C8 Stony Path
+C33A36 Stop
+DD1111 Stoplight
+E5E1DD Storksbill
+F2F2E2 Storksbill White
+000B44 Storm
+507B9C Storm Blue
+938988 Storm Break
+808283 Storm Cloud
+807A7E Storm Front
+113333 Storm Green
+717486 Storm Grey
+3D3D63 Storm Is Coming
+F9E69C Storm Lightning
+7F95A5 Storm Petrel
+A28A88 Storm Red
+4D5A6B Storm Rising
+999495 Storm Rolling In
+696863 Storm Warning
+E7B57F Stormeye
+80A7C1 Stormfang
+BBC6C9 Stormhost Silver
+8D9390 Storms Mountain
+5C5954 Stormvermin Fur
+B0BCC3 Stormy
+9AAFAF Stormy Bay
+ADB5A3 Stormy Day
+7D7B7C Stormy Grey
+777799 Stormy Horizon
+71738C Stormy Mauve
+372354 Stormy Night
+70818E Stormy Oceans
+C36666 Stormy Passion
+E3B5AD Stormy Pink
+946658 Stormy Plum
+507B9A Stormy Ridge
+6E8082 Stormy Sea
+90A1AA Stormy Skies
+0F9B8E Stormy Strait Green
+6B8BA4 Stormy Strait Grey
+C8A2C8 Stormy Sunrise
+84A9B0 Stormy Waters
+63707B Stormy Weather
+C05F1C Storybook Sundown
+0F0B0A Stout
+7B8393 Stowaway
+52A550 Straightforward Green
+628026 Straken Green
+DBB060 Stranglethorn Ochre
+528A9A Stratford Blue
+8C8670 Stratford Sage
+000741 Stratos
+3799C8 Stratos Blue
+9EC1CC Stratosphere
+ACB8B2 Stratton Blue
+8193AA Stratus
+996E74 Stravinsky
+77515A Stravinsky Pink
+E4D96F Straw
+D9C69A Straw Basket
+FCF679 Straw Gold
+DBC8A2 Straw Harvest
+F0D5A8 Straw Hat
+BDB268 Straw Hut
+F0D696 Straw Yellow
+F1E3C7 Straw-Bale
+FB2943 Strawberry
+EF4F41 Strawberry Avalanche
+FFDADC Strawberry Blonde
+FFEBFA Strawberry Bonbon
+F8B3FF Strawberry Buttercream
+FFDBE9 Strawberry Cheesecake
+F4BFC6 Strawberry Confection
+990011 Strawberry Cough
+F0ADB3 Strawberry Cream
+A23D50 Strawberry Daiquiri
+FF88AA Strawberry Dreams
+FFF0EA Strawberry Dust
+FA8383 Strawberry Field
+FFA2AA Strawberry Frappé
+C677A8 Strawberry Freeze
+FFDBF7 Strawberry Frost
+FF6FFC Strawberry Frosting
+DAB7BE Strawberry Glaze
+E78B90 Strawberry Ice
+86423E Strawberry Jam
+C08591 Strawberry Jubilee
+D2ADB5 Strawberry Latte
+E0C1A7 Strawberry Malt
+E2958D Strawberry Memory
+FFD9E7 Strawberry Milk
+D47186 Strawberry Milkshake
+E42D65 Strawberry Mix
+CF5570 Strawberry Moon
+A5647E Strawberry Mousse
+F46C80 Strawberry Pink
+EE2255 Strawberry Pop
+B96364 Strawberry Rhubarb
+F7CDCE Strawberry Ripple
+EEC6BF Strawberry Risotto
+E29991 Strawberry Rose
+FA8E99 Strawberry Shortcake
+EE0055 Strawberry Smash
+E79EA6 Strawberry Smoothie
+F7879A Strawberry Soap
+FA4224 Strawberry Spinach Red
+B9758D Strawberry Surprise
+F9D7CD Strawberry Whip
+CB6A6B Strawberry Wine
+E9B3B4 Strawberry Yoghurt
+DDBDBA Strawflower
+495E7B Stream
+556061 Stream Bed
+5E7E7D Stream Burble
+B9BAC0 Streamlined Grey
+D8E2DF Streetwise
+2D2E33 Stretch Limo
+9DBBD0 Stretch of Water
+DFD8C8 Stretched Canvas
+D7AA60 Streusel Cake
+5A4659 Strike a Pose
+D7B55F Strike It Rich
+946A81 Strikemaster
+00667B Striking
+CE7843 Striking Orange
+944E87 Striking Purple
+C03543 Striking Red
+AA9F96 String
+F1E8D8 String Ball
+FBF1DD String Cheese
+7F7860 String Deep
+EBE3D8 String of Pearls
+406356 Stromboli
+0C06F7 Strong Blue
+960056 Strong Cerise
+782E2C Strong Envy
+5E5F7E Strong Iris
+6F372D Strong Mocha
+A88905 Strong Mustard
+646756 Strong Olive
+FF0789 Strong Pink
+2B6460 Strong Sage
+8A3E34 Strong Strawberry
+454129 Strong Tone Wash
+22578A Strong Will
+A3A59B Strong Winds
+A86F48 Stroopwafel
+F0E1E8 Struck by Lightning
+0E9BD1 Structural Blue
+A58D7F Stucco
+F1B19D Stucco Wall
+E2D3B9 Stucco White
+005577 Studer Blue
+724AA1 Studio
+C1B2A1 Studio Beige
+6D817B Studio Blue Green
+D9CCB8 Studio Clay
+EBDBAA Studio Cream
+C6B9B8 Studio Mauve
+A59789 Studio Taupe
+E8DCD5 Studio White
+ADAC7C Stuffed Olive
+BF9B84 Stuffing
+5E5F4D Stump Green
+DA9A5D Stunning Gold
+185887 Stunning Sapphire
+676064 Stunning Shade
+BC9479 Sturdy Bronze
+9B856F Sturdy Brown
+57544D Sturgis Grey
+CEC1A5 Stylish
+BC3439 Stylish Red
+9FA0A0 Su-Nezumi Grey
+D1D8DD Suave Grey
+57A1CE Sub-Zero
+00576F Subaqueous
+CCB8B3 Subdue Red
+C6B1AD Subdued Hue
+CC896C Subdued Sienna
+ECEDE0 Sublime
+7A7778 Submarine
+5566AA Submarine Base
+4D585C Submarine Grey
+4A7D82 Submerged
+00576E Submersible
+012253 Subnautical
+D8CCC6 Subpoena
+4F4E4A Subterrain Kingdom
+452C1F Subterranean
+1F3B4D Subterranean River
+DEDADB Subtle
+D9E4E5 Subtle Blue
+F1DBC5 Subtle Blush
+B5D2D8 Subtle Breeze
+EBD7A7 Subtle Glow
+B5CBBB Subtle Green
+554B4F Subtle Night Sky
+FAE0C4 Subtle Peach
+D8D8D0 Subtle Shadow
+D0BD94 Subtle Suede
+E4D89A Subtle Sunshine
+DBDBD9 Subtle Touch
+7A9693 Subtle Turquoise
+B29E9E Subtle Violet
+87857C Subway
+513B6E Succinct Violet
+990022 Succubus
+BCCBB2 Succulent Garden
+5E9B86 Succulent Green
+8BA477 Succulent Greenhouse
+658E64 Succulent Leaves
+DCDD65 Succulent Lime
+007744 Succulents
+FBDDAF Such a Peach
+C6C1C5 Such Melodrama
+BC752D Sudan Brown
+6376A9 Sudden Sapphire
+1A5897 Suddenly Sapphire
+A6B4C5 Suds
+BA8864 Suede
+D9C7B9 Suede Beige
+857F7A Suede Grey
+585D6D Suede Indigo
+896757 Suede Leather
+D79043 Suede Vest
+D3DBE7 Sueded Grey
+235E80 Suez Canal
+ECD0A1 Suffragette Yellow
+935529 Sugar Almond
+834253 Sugar Beet
+E3D4CD Sugar Berry
+FFCCFF Sugar Chic
+FFEDF1 Sugar Coated
+BB6611 Sugar Coated Almond
+F2E2A4 Sugar Cookie
+E8CFB1 Sugar Cookie Crust
+F56C73 Sugar Coral
+C96FA8 Sugar Creek
+F8F4FF Sugar Crystal
+F9EDE3 Sugar Dust
+FFF0E1 Sugar Glaze
+CC9955 Sugar Glazed Cashew
+9437FF Sugar Grape
+EFC9EC Sugar High
+DDAA66 Sugar Honey Cashew
+CDB141 Sugar Leaves
+FFF9F5 Sugar Milk
+C0E2C5 Sugar Mint
+C7A77B Sugar Pie
+73776E Sugar Pine
+914E75 Sugar Plum
+AED6D4 Sugar Pool
+E58281 Sugar Poppy
+EBE5D7 Sugar Quill
+D85DA1 Sugar Rush
+CFB599 Sugar Rush Peach Pepper
+EED5B6 Sugar Shack
+EFE8DC Sugar Soap
+ECC4DC Sugar Sweet
+EAE3D6 Sugar Swizzle
+D68F9F Sugar Tooth
+A2999A Sugar Tree
+8B2E16 Sugar-Candied Peanuts
+EDD1C7 Sugarcane
+F7C2BF Sugarcane Dahlia
+B49D7B Sugared Almond
+FDDCC6 Sugared Peach
+EBD5B7 Sugared Pears
+554400 Sugarloaf Brown
+FFDDFF Sugarpills
+D1ABB5 Sugarplum Dance
+FDC5E3 Sugarwinkle
+A2999F Sugilite
+A32E1D Sugo Della Nonna
+2B3036 Suit Blue
+645A4B Suitable Brown
+A58B34 Sullen Gold
+F7C5D1 Sullivan’s Heart
+BAA600 Sulphine Yellow
+CAB012 Sulphur
+E5CC69 Sulphur Pit
+D5D717 Sulphur Spring
+F2F3CF Sulphur Water
+CCC050 Sulphur Yellow
+EEED56 Sulphuric
+F6AC17 Sultan Gold
+E89BC7 Sultan of Pink
+E3C9BE Sultan Sand
+134558 Sultan’s Silk
+674668 Sultana
+567D84 Sultry Bay
+948D84 Sultry Castle
+506770 Sultry Sea
+73696F Sultry Smoke
+716563 Sultry Spell
+C6EA80 Sulu
+E08A1E Sumac Dyed
+F6E8CC Sumatra
+735D4B Sumatra Blend
+4F666A Sumatra Chicken
+595857 Sumi Ink
+7058A3 Sumire Violet
+3FAFCF Summer Air
+DBC2B9 Summer Beige
+BBD5EF Summer Birthday
+FCF1CF Summer Bliss
+D1BEB4 Summer Bloom
+1880A1 Summer Blue
+F6DFD6 Summer Blush
+D3E5DB Summer Breeze
+F8822A Summer Citrus
+BBFFEE Summer Cloud
+E5CFDE Summer Clover
+ECB6B5 Summer Cocktails
+57595D Summer Concrete
+FAD1E0 Summer Cosmos
+F2D6DA Summer Crush
+FFE078 Summer Daffodil
+EAAA62 Summer Day
+83ADA3 Summer Dragonfly
+E2C278 Summer Field
+C45940 Summer Fig
+228B22 Summer Forest Green
+7AAC80 Summer Garden
+EEAA44 Summer Glow
+8FB69C Summer Green
+E8E4DE Summer Grey
+FFE69A Summer Harvest
+C1A58D Summer Hill
+C8EFE2 Summer House
+FFEFC2 Summer Hue
+CDA168 Summer in the City
+EEEBD6 Summer Jasmine
+0077A7 Summer Lake
+F8D374 Summer Lily
+EAD5AE Summer Melon
+DF856E Summer Memory
+CBEAEE Summer Mist
+FDEDCF Summer Moon
+FBEEC1 Summer Morning
+B8AF65 Summer Moss
+36576A Summer Night
+74CDD8 Summer of ’82
+FFB653 Summer Orange
+F5F0D1 Summer Pear
+E1E8DB Summer Rain
+F7EFBA Summer Resort
+ECE4CE Summer Sandcastle
+66A9B1 Summer Sea
+D1D9D7 Summer Shade
+E5EBE3 Summer Shower
+B7E0B9 Summer Sigh
+38B0DE Summer Sky
+94D3D1 Summer Soft Blue
+DED1A3 Summer Solstice
+816E63 Summer Sparrow
+80CFE5 Summer Splash
+B0C5DF Summer Storm
+FFDC00 Summer Sun
+D88167 Summer Sunset
+F7E8C7 Summer Sunshine
+008572 Summer Turquoise
+4B9CAB Summer Turquoise Blue
+AFA685 Summer Valley
+215399 Summer Waters
+BB8E55 Summer Weasel
+F4E9D6 Summer White
+DC9367 Summer’s End
+A97069 Summer’s Eve
+F9E699 Summer’s Heat
+376698 Summerday Blue
+84AAB8 Summerhouse Blue
+C47A3D Summerset
+F2D178 Summertime
+8CBC9E Summertown
+997651 Summerville Brown
+D4B28B Summerwood
+8BB6B8 Summit
+E5B99B Sumptuous Peach
+604C81 Sumptuous Purple
+B1B48C Sumptuous Sage
+EF8E38 Sun
+CD6E53 Sun Baked
+A36658 Sun Baked Earth
+E3EFE1 Sun Bleached Mint
+E3AB7B Sun Bleached Ochre
+FADADD Sun Bleached Pink
+FFFED9 Sun City
+FF8C00 Sun Crete
+C4AA4D Sun Dance
+F0DCA0 Sun Deck
+FFE7A3 Sun Drenched
+EAAF11 Sun Drops
+F6E0A4 Sun Dust
+D0D418 Sun Flooded Woods
+F1F4D1 Sun Glare
+FAF3D9 Sun Glint
+DFBA5A Sun God
+EACDB7 Sun Kiss
+F37724 Sun Orange
+CCC2C6 Sun Painter
+E7C26F Sun Salutation
+FFDE73 Sun Shower
+E9AD17 Sun Song
+FBD795 Sun Splashed
+FFF2A0 Sun Surprise
+FAD675 Sun Touched
+698538 Sun Valley
+B88B46 Sun Valley Vista
+ECC033 Sun Wukong’s Crown
+FFDF22 Sun Yellow
+FFEEC2 Sun-Kissed
+F2BDA8 Sun-Kissed Apricot
+DEAB9B Sun-Kissed Beach
+B75E41 Sun-Kissed Brick
+EA6777 Sun-Kissed Coral
+FED8BF Sun-Kissed Peach
+FFEDBC Sun-Kissed Sands
+FFE9BA Sun-Kissed Yellow
+F6F2E5 Sun’s Glory
+A94E37 Sun’s Rage
+DCD3B2 Suna White
+AB9A6E Sunbaked Adobe
+D1AB74 Sunbaked Straw
+F5DD98 Sunbathed
+FAD28F Sunbathed Beach
+7E4730 Sunbathing Beauty
+F5EDB2 Sunbeam
+F0D39D Sunbeam Yellow
+FEFF0F Sunblast Yellow
+E5E0D7 Sunbleached
+F9D964 Sunbound
+B37256 Sunburn
+FF404C Sunburnt Cyclops
+D79584 Sunburnt Toes
+F5B57B Sunburst
+FFFF99 Sunburst Yellow
+F6C778 Sunday Afternoon
+FCC9C7 Sunday Best
+DCC9AE Sunday Drive
+D7BAD1 Sunday Gloves
+3D4035 Sunday Niqab
+C5D2D5 Sunday Sky
+FAE198 Sundaze
+E1CDAE Sundew
+C0805D Sundial
+F5C99E Sundown
+EBCF89 Sundress
+EABD5B Sundried
+7D252C Sundried Tomato
+6E5F57 Sunezumi Brown
+FFC512 Sunflower
+FFE26A Sunflower Dandelion
+EA9D4F Sunflower Field
+FFCD01 Sunflower Island
+FFB700 Sunflower Mango
+FFE3A9 Sunflower Seed
+FDBD27 Sunflower Valley
+FFDA03 Sunflower Yellow
+C76155 Sunglo
+FFCC33 Sunglow
+FFCF48 Sunglow Gecko
+51574F Sunken Battleship
+273E3E Sunken Cascades
+B29700 Sunken Gold
+1C3D44 Sunken Harbour
+23505A Sunken Mystery
+C8DDDA Sunken Pool
+10252A Sunken Ship
+CCCF86 Sunken Treasure
+EBCD95 Sunlight
+FFDB78 Sunlit
+9787BB Sunlit Allium
+98D4A0 Sunlit Glade
+7D7103 Sunlit Kelp Green
+D8D8A9 Sunlit Leaf
+D4C350 Sunlit Meadow
+BBCFB9 Sunlit Sea
+DA8433 Sunlounge
+E8D7B1 Sunning Deck
+F2F27A Sunny
+EADFAA Sunny Burrata
+DBA637 Sunny Disposition
+FFC946 Sunny Festival
+EDE1CC Sunny Gazebo
+E8D99C Sunny Glory
+C5CD40 Sunny Green
+F8F0D8 Sunny Honey
+D0875A Sunny Horizon
+E1EE82 Sunny Lime
+F5F5CC Sunny Mimosa
+F7C84A Sunny Mood
+F6D365 Sunny Morning
+D9D7D9 Sunny Pavement
+FFDC41 Sunny Side Up
+FFC900 Sunny Summer
+E3E9CF Sunny Summit
+FEDF94 Sunny Veranda
+FFF917 Sunny Yellow
+F8D016 Sunnyside
+FFD18C Sunporch
+E3AB57 Sunray
+CFC5B6 Sunray Venus
+F4BF77 Sunrise
+FEF0C5 Sunrise Glow
+CAA061 Sunrise Heat
+A69799 Sunrise Over Tahiti
+FFDB67 Sunrose Yellow
+C0514A Sunset
+D0A584 Sunset Beige
+E95E2A Sunset Blaze
+FF9607 Sunset Boulevard
+BE916D Sunset Cloud
+DCB397 Sunset Cove
+FFBE94 Sunset Cruise
+D1A69B Sunset Curtains
+EABBA2 Sunset Drive
+FFB52D Sunset Glow
+F6C362 Sunset Gold
+BA87AA Sunset Horizon
+F0C484 Sunset in Italy
+A5A796 Sunset Meadow
+FD5E53 Sunset Orange
+FEAC89 Sunset Over the Alps
+FC7D64 Sunset Papaya
+F8A77F Sunset Peach
+FAD6E5 Sunset Pink
+724770 Sunset Purple
+7F5158 Sunset Red
+D70040 Sunset Riders
+594265 Sunset Serenade
+FFBC00 Sunset Strip
+FA873D Sunset Yellow
+FA9D49 Sunshade
+F9D376 Sunshine
+F5C20B Sunshine Mellow
+FCB02F Sunshine Surprise
+886688 Sunshone Plum
+FBCA69 Sunspark
+DDC283 Sunspill
+FEE2B2 Sunstitch
+C7887F Sunstone
+D8A27A Sunswept Sand
+D9B19F Suntan
+BE8C74 Suntan Glow
+E3C1B3 Sunwashed Brick
+7E2639 Suō
+FFFE71 Super Banana
+221100 Super Black
+AA8822 Super Gold
+CA535B Super Hero
+BA5E0F Super Leaf Brown
+E2B238 Super Lemon
+CE6BA6 Super Pink
+14BAB4 Super Rare Jade
+CB1028 Super Rose Red
+FFDD00 Super Saiyan
+FFAA88 Super Sepia
+EEEEEE Super Silver
+785F8E Super Violet
+FFFF69 Supercalifragilisticexpialidocious
+3A5E73 Superior Blue
+786957 Superior Bronze
+FF1122 Superman Red
+00928C Supermint
+313641 Supernatural
+EF760E Supernatural Saffron
+D1D5E6 Supernova
+D9ECE9 Supernova Residues
+FFCC11 Superstar
+5B6E74 Superstition
+AC91B5 Superstitious
+E8EAEA Superwhite
+78A300 Support Green
+CFDDC7 Supreme Green
+86949F Supreme Grey
+D4D8DB Supreme Pontiff
+AFBED4 Supremely Cool
+FC53FC Surati Pink
+B8D4BB Surf
+C3D6BD Surf Crest
+427573 Surf Green
+0193C2 Surf Rider
+B4C8C2 Surf Spray
+20377F Surf the Web
+87CECA Surf Wash
+374755 Surf’n’dive
+C4D3E5 Surf’s Surprise
+C6E4EB Surf’s Up
+70B8BA Surfer
+DB6484 Surfer Girl
+007B77 Surfie Green
+73C0D2 Surfin’
+9ACAD3 Surfside
+009F6B Surgeon
+59A4C1 Surgical
+C9936F Surprise
+EFB57A Surprise Amber
+DCC89D Surrey Cream
+70191F Surya Red
+7C9F2F Sushi
+FFF7DF Sushi Rice
+58BAC2 Sussie
+887F7A Susu Green
+6F514C Susu-Take Bamboo
+859D95 Sutherland
+888387 Suva Grey
+C2963F Suzani Gold
+9EA1A3 Suzu Grey
+AA4F37 Suzume Brown
+8C4736 Suzumecha Brown
+B8A3BB Svelte
+B2AC96 Svelte Sage
+B1B8B5 Swag Bag Silver
+19B6B5 Swagger
+154962 Swallow Blue
+ECE9DD Swallow-Tailed Moth
+FFE690 Swallowtail
+7F755F Swamp
+B79D69 Swamp Fox
+748500 Swamp Green
+094C49 Swamp Mausoleum
+005511 Swamp Monster
+252F2F Swamp Mosquito
+698339 Swamp Moss
+857947 Swamp Mud
+36310D Swamp of Sorrows
+93977F Swamp Sessions
+6D753B Swamp Shrub
+162825 Swamp Thing
+226633 Swampland
+BBAB6D Swampwater
+E5E1BD Swan Dance
+E5E4DD Swan Dive
+C5E5E2 Swan Lake
+A6C1BF Swan Sea
+F5F2E6 Swan Wing
+B5B1B5 Swanky Grey
+5F7963 Swanndri
+DAE6DD Swans Down
+1D4E8F Sweat Bee
+CCCCC5 Sweater Weather
+007CC0 Swedish Blue
+7B8867 Swedish Clover
+184D43 Swedish Green
+FCE081 Swedish Yellow
+C4BF0B Sweet & Sour
+F29EAB Sweet 60
+CC9977 Sweet Almond
+E7C2DE Sweet Alyssum
+E1C9D1 Sweet and Sassy
+F5C8BB Sweet Angel
+E8D08E Sweet Angelica
+9C946E Sweet Annie
+FCC0A6 Sweet Apricot
+A7E8D3 Sweet Aqua
+E5EAE3 Sweet Ariel
+FFE9AC Sweet as Honey
+C24F40 Sweet Baby Rose
+C6947C Sweet Beige
+EEDADD Sweet Bianca
+AEBED2 Sweet Blue
+E6BFC1 Sweet Blush
+C8DAE3 Sweet Breeze
+A83731 Sweet Brown
+FFFCD7 Sweet Butter
+FCEEDD Sweet Buttermilk
+D59875 Sweet Cardamom
+9C9480 Sweet Carolina
+F6AFBB Sweet Caroline
+CC764F Sweet Carrot
+DDAA77 Sweet Cashew
+FFE186 Sweet Chamomile
+9F4F4D Sweet Cherry
+84172C Sweet Cherry Red
+F5160B Sweet Chilli
+DD84A3 Sweet Chrysanthemum
+BFC0AA Sweet Clover
+F9E176 Sweet Corn
+F0EAE7 Sweet Cream
+5F4C54 Sweet Currant
+E8A773 Sweet Curry
+AA33EE Sweet Desire
+DBCBAB Sweet Dough
+ECCEE5 Sweet Dreams
+AB9368 Sweet Earth
+CBD1E1 Sweet Emily
+8844FF Sweet Escape
+674196 Sweet Flag
+8A9B76 Sweet Florence
+E2E2EA Sweet Flower
+FFF8E4 Sweet Frosting
+5FD1BA Sweet Garden
+EFE4DA Sweet Gardenia
+8B715A Sweet Georgia Brown
+4D3D52 Sweet Grape
+B2B68A Sweet Grass
+D9DDE7 Sweet Harbour
+E0E8EC Sweet Illusion
+F9F4D4 Sweet Jasmine
+B8BFD2 Sweet Juliet
+8E8DB9 Sweet Lavender
+F7BF43 Sweet Lemon
+FFF45A Sweet Lemon Seed
+E8B5CE Sweet Lilac
+CCBBDD Sweet Lucid Dreams
+9B4040 Sweet Lychee
+FFDEE2 Sweet Mallow
+D35E3A Sweet Mandarin
+DDAF6C Sweet Maple
+EBAF95 Sweet Marmalade
+ECD5AA Sweet Marzipan
+E87973 Sweet Melon
+FDC8CD Sweet Memories
+C2E4BC Sweet Menthol
+A7C74F Sweet Midori
+B4CCBE Sweet Mint
+BBEE99 Sweet Mint Pesto
+D5E3D0 Sweet Mint Tea
+4B423F Sweet Molasses
+B57312 Sweet Mulled Cider
+ECC5DF Sweet Murmur
+D1B871 Sweet Mustard
+FABDAF Sweet Nectar
+FAE6E1 Sweet Nothing
+EBCCB3 Sweet Orange
+EDC8B1 Sweet Pastel
+9BA15C Sweet Pea
+A89E81 Sweet Pea in a Pod
+E2BCB3 Sweet Peach
+D49AB9 Sweet Perfume
+CBBAD0 Sweet Petal
+FE6346 Sweet Pimento
+EE918D Sweet Pink
+D5CAAA Sweet Porridge
+D87C3B Sweet Potato
+917798 Sweet Potato Peel
+93DAD3 Sweet Rhapsody
+FFC4DD Sweet Romance
+EAE1DD Sweet Roses
+FFD8F0 Sweet Sachet
+F1DBC2 Sweet Sand
+C7B7D0 Sweet Scent
+FFC5D5 Sweet Serenade
+F0B9A9 Sweet Sheba
+EEBDB6 Sweet Sherry
+FFC9D3 Sweet Sixteen
+D0DEDD Sweet Slumber
+F8B8F8 Sweet Slumber Pink
+A8946B Sweet Sparrow
+7B453E Sweet Spiceberry
+D1E8C2 Sweet Spring
+D8AA86 Sweet Sue
+C9D0B8 Sweet Surrender
+ECBCD4 Sweet Taffy
+EAAEA9 Sweet Tart
+C18244 Sweet Tea
+5F6255 Sweet Tooth
+F0DCD7 Sweet Truffle
+EEEBE6 Sweet Vanilla
+B6FF1A Sweet Venom
+8C667A Sweet Violet
+FC5669 Sweet Watermelon
+8892C1 Sweet William
+F1CA90 Sweet!
+A7BDBA Sweetest Damask
+F3C3D8 Sweetheart
+E1BBDB Sweetie Pie
+FFE5EF Sweetly
+F8DBC4 Sweetness
+C39F87 Sweetwood
+E7CEE3 Sweety Pie
+82AADC Swift
+E1BC73 Swiftly Green
+6BB8B5 Swim
+0A91BF Swimmer
+2DC5BB Swimmers Pool
+C2E5E5 Swimming
+A8CFC0 Swimming Pool Green
+947569 Swing Brown
+C2C0A9 Swing Sage
+706842 Swinging Vine
+D7CEC5 Swirl
+CECAC1 Swirling Smoke
+E6E9E9 Swirling Water
+E4DACC Swiss Almond
+6E5F53 Swiss Brown
+DD5E6D Swiss Chard
+FFF4B9 Swiss Cheese
+8C6150 Swiss Chocolate
+D5C3AD Swiss Coffee
+ECEAD9 Swiss Cream
+86608E Swiss Lilac
+C6C3B4 Swiss Livery
+5946B2 Swiss Plum
+E8D5DD Swiss Rose
+67667C Swollen Sky
+D6D2DE Sword Steel
+8BCBAB Sybarite Green
+908D39 Sycamore
+6A8779 Sycamore Grove
+959E8F Sycamore Stand
+9C8A79 Sycamore Tan
+3F544F Sycamore Tree
+CBB394 Sycorax Bronze
+97BBC8 Sydney Harbour
+ADAAB1 Sylph
+F7FB4E Sylph of Light
+524EFB Sylph of Moonlight
+979381 Sylvan
+E7EACB Sylvan Green
+AC8262 Sylvaneth Bark
+B29EAD Symbolic
+8FA0A7 Symmetry
+C0A887 Symphony Gold
+89A0A6 Symphony of Blue
+331133 Synallactida
+C7D4CE Synchronicity
+F8C300 Syndicalist
+918151 Syndicate Camouflage
+48C2B0 Synergy
+9FFEB0 Synthetic Mint
+FF7538 Synthetic Pumpkin
+1EF876 Synthetic Spearmint
+792E35 Syrah
+A16717 Syrah Soil
+DFCAE4 Syrian Violet
+B18867 Syrup
+3A2EFE System Shock Blue
+8020FF Szöllősi Grape
+6FC1AF T-Bird Turquoise
+8E908D T-Rex Fossil
+C7C4A5 Ta Prohm
+A02712 Tabasco
+709572 Tabbouleh
+526525 Tabbouleh Green
+9A948D Tabby Cat Grey
+F1E9DC Table Linen
+E5C279 Table Pear Yellow
+005553 Tabriz Teal
+F6AE78 Tacao
+D2B960 Tacha
+F3C7B3 Taco
+D3E7C7 Tactile
+7AD7AD Tadorna Teal
+7D7771 Tadpole
+AF797E Taffeta Darling
+81825F Taffeta Sheen
+F3E0EB Taffeta Tint
+C39B6A Taffy
+FEA6C8 Taffy Pink
+AAD0BA Taffy Twist
+F9F2D4 Tagliatelle
+D9BEAA Tagsale Linen
+DDBB77 Tahini
+9B856B Tahini Brown
+DC722A Tahiti Gold
+B8E9E4 Tahitian Breeze
+263644 Tahitian Pearl
+F5DCB4 Tahitian Sand
+C9E9E7 Tahitian Sky
+00677E Tahitian Tide
+00686D Tahitian Treat
+94B8C1 Tahoe Blue
+D7E1E5 Tahoe Snow
+D8CC9B Tahuna Sands
+768078 Taiga
+DD4411 Tail Lights
+DFC2AA Tailor’s Buff
+BD9D7E Tailored Tan
+F5E8CF Tailwind
+B54A4A Tainan Brick
+EAD795 Tainted Gold
+BB5520 Taisha Brown
+9F5233 Taisha Red
+3377A2 Taiwan Blue Magpie
+C7AA71 Taiwan Gold
+734A33 Taj
+EDE9DF Taj Mahal
+3D4D78 Takaka
+BACBC5 Take a Hike
+B3C9D3 Take Five
+D8D4DD Take the Plunge
+E6CCB7 Take-Out
+A0928B Talavera
+E7B25D Talâyi Gold
+707E84 Taliesin Blue
+648149 Talipot Palm
+159F9B Talismanic Teal
+853534 Tall Poppy
+0E81B9 Tall Ships
+5C9BCC Tall Waves
+947E74 Tallarn Leather
+A79B5E Tallarn Sand
+A39977 Tallow
+FCD575 Tamago Egg
+FFA631 Tamago Orange
+3B3F40 Tamahagane
+F0E4C6 Tamale
+F8E7B7 Tamale Maize
+DEAA9B Tamanegi Peel
+F2DD55 Tamarack Yellow
+11DDEE Tamarama
+752B2F Tamarillo
+341515 Tamarind
+75503B Tamarind Fruit
+8E604B Tamarind Tart
+7C7D57 Tambo Tank
+BDC8AF Tamboon
+F0EDD6 Tambourine
+658498 Tambua Bay
+C1E6DF Tame Teal
+C5C5AC Tame Thyme
+9C2626 Tamed Beast
+CFBCCF Tamed Beauty
+D1B26F Tan
+A38D6D Tan 686A
+AB7E4C Tan Brown
+A9BE70 Tan Green
+323939 Tàn Hēi Soot
+FA9D5A Tan Hide
+C2AA87 Tan Oak
+C19E78 Tan Plan
+CDB59C Tan Suede
+F0BD9E Tan Temptation
+A3755D Tan Wagon
+F1D7CE Tan Whirl
+B5905A Tan Your Hide
+B8B5A1 Tana
+A43834 Tanager
+8DD8E7 Tanager Turquoise
+D0B25C Tanami Desert
+E9B581 Tanaris Beige
+896656 Tanbark
+766451 Tanbark Trail
+4A766E Tandayapa Cloud Forest
+BB5C4D Tandoori
+D25762 Tandoori Red
+9F4440 Tandoori Spice
+97725F Tangara
+1E2F3C Tangaroa
+F94D00 Tangelo
+F2E9DE Tangelo Cream
+EAD3A2 Tangent
+50507F Tangent Periwinkle
+FF9300 Tangerine
+D86130 Tangerine Bliss
+FFA089 Tangerine Cream
+FF8449 Tangerine Dream
+E57F5B Tangerine Flake
+DE8417 Tangerine Haze
+FFCC95 Tangerine Silk
+F28500 Tangerine Skin
+FF9E4B Tangerine Tango
+F8AD1B Tangerine Twist
+FECD01 Tangerine Yellow
+A97164 Tangier
+7C7C65 Tangle
+B19466 Tangled Twine
+CAC19A Tangled Vines
+B2B2B2 Tangled Web
+A58F85 Tanglewood
+E7CEB8 Tanglewood Park
+D46F31 Tango
+E47F7A Tango Pink
+B10E2A Tango Red
+E3C382 Tangy
+9A9147 Tangy Dill
+BB9B52 Tangy Green
+E7CAC3 Tangy Taffy
+5C6141 Tank
+848481 Tank Grey
+9AA0A2 Tank Head
+EFC93D Tank Yellow
+7D7463 Tankard Grey
+F2C108 Tanned Leather
+8F6E4B Tanned Wood
+5C493E Tannery Brown
+A68B6D Tannin
+AE6C37 Tanooki Suit Brown
+C7C844 Tansy
+95945C Tansy Green
+669CCB Tantalise
+87DCCE Tantalising Teal
+857158 Tantanmen Brown
+FCD215 Tanzanian Gold
+1478A7 Tanzanite
+114A6B Tanzanite Blue
+7983D7 Tanzine
+BFA77F Taos Taupe
+2B8C8A Taos Turquoise
+2F3032 Tap Shoe
+7C7C72 Tapa
+906528 Tapenade
+F7F2DD Tapering Light
+B37084 Tapestry
+B8AC9E Tapestry Beige
+B4966B Tapestry Gold
+C06960 Tapestry Red
+4D7F86 Tapestry Teal
+DAC9B9 Tapioca
+DEF1DD Tara
+767A49 Tara’s Drapes
+253C48 Tarawera
+105673 Tardis
+003B6F Tardis Blue
+A1CDBF Tareyton
+5A5348 Tarmac
+477F4A Tarmac Green
+7F6C24 Tarnished Brass
+797B80 Tarnished Silver
+B9A47E Tarnished Treasure
+D5B176 Tarnished Trumpet
+C1B55C Tarpon Green
+A4AE77 Tarragon
+B4AC84 Tarragon Tease
+825E61 Tarsier
+B6D27E Tart Apple
+F6EEC9 Tart Gelato
+FB4D46 Tart Orange
+B1282A Tartan Red
+BF5B3C Tartare
+FDDCD9 Tartlet
+F7D917 Tartrazine
+919585 Tarzan Green
+BAC0B3 Tasman
+E6C562 Tasman Honey Yellow
+658A8A Tasmanian Sea
+C6884A Tassel
+F9C0CE Tassel Flower
+9F9291 Tassel Taupe
+C8A3B8 Taste of Berry
+F2AE73 Taste of Summer
+9B6D54 Tasty Toffee
+DECCAF Tatami
+AF9D83 Tatami Mat
+BA8C64 Tatami Tan
+976E9A Tatarian Aster
+988F63 Tate Olive
+A2806F Tattered Teddy
+80736A Tattletail
+376D03 Tatzelwurm Green
+F7D60D Tau Light Ochre
+A3813F Tau Sept Ochre
+B9A281 Taupe
+483C30 Taupe Brown
+8B8589 Taupe Grey
+E1D9D0 Taupe Mist
+705A56 Taupe Night
+DAD2C6 Taupe of the Morning
+C3A79A Taupe Tapestry
+E0D9CF Taupe Tease
+ADA090 Taupe Tone
+C7C1BB Taupe White
+BAAEA8 Taupedo
+77BE52 Taurus Forest Fern
+B7A594 Tavern
+957046 Tavern Creek
+9E938F Tavern Taupe
+D19776 Tawny Amber
+AA7B65 Tawny Birch
+AB856F Tawny Brown
+EEE4D1 Tawny Daylily
+A7947C Tawny Ember
+B39997 Tawny Mushroom
+C4962C Tawny Olive
+D37F6F Tawny Orange
+978B71 Tawny Owl
+643A48 Tawny Port
+CCB299 Tawny Tan
+496569 Tax Break
+5C3937 Taxite
+5F5879 Taylor
+2B4B40 Te Papa Green
+BFB5A2 Tea
+726259 Tea Bag
+F5EBE1 Tea Biscuit
+B5A9AC Tea Blossom Pink
+605547 Tea Chest
+F4E1C0 Tea Cookie
+8F8667 Tea Leaf
+A59564 Tea Leaf Brown
+888E7E Tea Leaf Mouse
+F8E4C2 Tea Light
+FFD7D0 Tea Party
+DCB5B0 Tea Room
+F883C2 Tea Rose
+CAC6B5 Tea Stain
+C5A5C7 Tea Towel
+DC3855 Teaberry
+B44940 Teaberry Blossom
+AB8953 Teak
+8D7E6D Teakwood
+008080 Teal
+71999B Teal & Tonic
+57A1A0 Teal Bayou
+006767 Teal Beak
+01889F Teal Blue
+0F4D5C Teal Dark Blue
+006D57 Teal Dark Green
+99E6B3 Teal Deer
+24604F Teal Drama
+3DA3AE Teal Essence
+405B5D Teal Forest
+1A6C76 Teal Fury
+3E9EAC Teal Glacier
+25A36F Teal Green
+D1EFE9 Teal Ice
+0DACA7 Teal Me No Lies
+C8EDE2 Teal Melody
+50B7CF Teal Moiré
+406976 Teal Mosaic
+006D73 Teal Motif
+032425 Teal Spill
+627F7B Teal Stencil
+D9F2E3 Teal Treat
+94B9B4 Teal Tree
+4E939D Teal Trinket
+00A093 Teal Trip
+02708C Teal Tune
+007765 Teal Waters
+8B9EA1 Teal Wave
+2B7B6C Teal We Meet Again
+01697A Teal With It
+24BCA8 Tealish
+0CDC73 Tealish Green
+416986 Team Spirit
+E2E2E1 Teapot
+B5D8DF Tear
+D1EAEA Teardrop
+F0F1DA Tears of Joy
+DED2E8 Teary Eyed
+CEAEFA Teasel Dipsacus
+F1E1D7 Teasing Peach
+BE9B79 Teatime
+C8A89E Teatime Mauve
+4C7A9D Tech Wave
+9FA1A1 Techile
+587C8D Technical Blue
+006B8B Techno Blue
+69AC58 Techno Green
+DD95B4 Techno Pink
+BFB9AA Techno Taupe
+60BD8E Techno Turquoise
+FF80F9 Technolust
+A3BAE3 Teclis Blue
+AC8067 Teddy
+9D8164 Teddy Bear
+CEB79D Teddy Bears & Cream
+BCAC9F Teddy’s Taupe
+C00C20 Tedious Red
+68855A Tee Off
+A67498 Teen Queen
+326395 Teeny Bikini
+F2DBD7 Teewurst
+C1B65F Tegreen
+AD66D2 Teldrassil Purple
+AA22CC Telemagenta
+F0F3F1 Tell Me a Secret
+2D2541 Telopea
+47626A Tempe Star
+2B8725 Temperamental Green
+BFB1AA Temperate Taupe
+987E70 Tempered Allspice
+772211 Tempered Chocolate
+A1AEB1 Tempered Grey
+E3DBB7 Tempered Sage
+79839B Tempest
+303A40 Tempest in a Teapot
+F2E688 Templar’s Gold
+A6C9E3 Template
+339A8D Temple Guard Blue
+EE7755 Temple of Orange
+A9855D Temple Tile
+33ABB2 Tempo
+018C94 Tempo Teal
+987465 Temptation
+FF7733 Temptatious Tangerine
+DD8CB5 Tempting Pink
+CCAA99 Tempting Taupe
+3C2126 Temptress
+98F6B0 Tenacious Tentacles
+F7E8D7 Tender
+C5CFB6 Tender Greens
+E0D4E0 Tender Limerence
+F8D5B8 Tender Peach
+DDC6BD Tender Shell
+ACCB35 Tender Shoot
+E8E287 Tender Sprout
+C4B198 Tender Taupe
+D5C6D6 Tender Touch
+82D9C5 Tender Turquoise
+A17E64 Tender Twig
+B7CFE2 Tender Twilight
+D4C3DA Tender Violet
+BADBDF Tender Waves
+E8EBAF Tender Yellow
+C8DBCE Tenderness
+869C65 Tendril
+CD5700 Tenné
+DFFF4F Tennis Ball
+7CB5C6 Tennis Blue
+C8450C Tennis Court
+A35732 Tense Terracotta
+A89F86 Tent Green
+FFBACD Tentacle Pink
+9ECFD9 Tenzing
+F4D0A4 Tequila
+EB6238 Teri-Gaki Persimmon
+2B322D Terminal Black
+DCDFE5 Terminator Chrome
+BDB192 Terminatus Stone
+DDBB66 Termite Beige
+D5CDBD Tern Grey
+5A382D Terra Brun
+E2B5A6 Terra Cotta Blush
+D08F73 Terra Cotta Clay
+D38D71 Terra Cotta Pot
+C94D42 Terra Cotta Red
+9C675F Terra Cotta Sun
+B06F60 Terra Cotta Urn
+844C47 Terra Cove
+D59982 Terra Earth
+CC7661 Terra Orange
+BB6569 Terra Rosa
+9F6D66 Terra Rose
+E8B57B Terra Sol
+B6706B Terra Tone
+73544D Terrace Brown
+A1D8E0 Terrace Pool
+B2AB9C Terrace Taupe
+275B60 Terrace Teal
+CAD0BF Terrace View
+CB6843 Terracotta
+C47C5E Terracotta Chip
+976A66 Terracotta Red Brown
+D6BA9B Terracotta Sand
+708157 Terrain
+A1965E Terran Khaki
+807F4A Terrapin
+5F6D5C Terrarium
+A28873 Terrazzo Brown
+BE8973 Terrazzo Tan
+276757 Terrestrial
+1D4769 Terror From the Deep
+DDAAFF Testosterose
+D90166 Tête-à-Tête
+8D99A1 Teton Blue
+DFEAE8 Teton Breeze
+1E20C7 Tetraammine
+8E6F73 Tetrarose
+2B3733 Tetsu Black
+005243 Tetsu Green
+455765 Tetsu Iron
+281A14 Tetsu-Guro Black
+17184B Tetsu-Kon Blue
+2B3736 Tetsuonando Black
+E2DDD1 Texan Angel
+ECE67E Texas
+8B6947 Texas Boots
+A54E37 Texas Heatwave
+C9926E Texas Hills
+E08D3C Texas Longhorn
+A0522D Texas Ranger Brown
+F1D2C9 Texas Rose
+B9A77C Texas Sage
+FC9625 Texas Sunset
+794840 Texas Sweet Tea
+5500EE Tezcatlipōca Blue
+7A7F3F Thai Basil
+CE0001 Thai Chilli
+BD6B1C Thai Curry
+FE1C06 Thai Hot
+E0A878 Thai Ice Tea
+E77200 Thai Mango
+BB4455 Thai Spice
+624435 Thai Teak
+2E8689 Thai Teal
+E7C630 Thai Temple
+53B1BA Thalassa
+44AADD Thalassophile
+58F898 Thallium Flame
+181818 Thamar Black
+62676A Thames Dusk
+949586 Thames Fog
+B56E4A Thanksgiving
+B0B08E That’s Atomic
+8E3350 That’s My Jam
+DCD290 That’s My Lime
+B1948F Thatch
+867057 Thatch Brown
+544E31 Thatch Green
+D6C7A6 Thatched Cottage
+EFE0C6 Thatched Roof
+E1EEEC Thawed Out
+DD0088 The Art of Seduction
+BBFFFF The Big Freeze
+214DAA The Blues Brothers
+FFC8C2 The Bluff
+D0A492 The Boulevard
+837663 The Cottage
+102030 The Count’s Black
+22C1D5 The Crowd Roars!
+A75455 The Ego Has Landed
+2A2A2A The End
+EED508 The End Is Beer
+585673 The Fang
+436174 The Fang Grey
+F0E22C The Fifth Sun
+FFF08C The First Daffodil
+E9D2AF The Golden State
+AAA651 The Goods
+BB00FF The Grape War of 97’
+B0BF1A The Killing Joke
+558844 The Legend of Green
+70F15E The Matrix
+FF8400 The New Black
+818580 The North Wind Blows
+4466EE The Rainbow Fish
+DB7093 The Sickener
+F6F4EF The Speed of Light
+110066 The Vast of Night
+CDBB63 The Weight of Gold
+DADDED The White Death
+118844 The Wild Apothecary
+21467A Theatre Blue
+EEF4DB Theatre District Lights
+274242 Theatre Dress
+A76924 Theatre Gold
+E2D4D4 Theatre Powder Rose
+D3003F Them Apples
+E2B13C Themeda Japonica
+EE7711 Therapeutic Toucan
+002288 There Is Light
+AD9569 There’s No Place Like Home
+3F5052 Thermal
+9CCEBE Thermal Aqua
+589489 Thermal Spring
+EB3318 Thermic Orange
+8FADBD Thermocline
+D2BB95 Thermos
+FBE4B3 They Call It Mellow
+5566DD Thick Blue
+DCD3CE Thick Fog
+88CC22 Thick Green
+CC55DD Thick Pink
+8833DD Thick Purple
+B30D0D Thick Red
+F1D512 Thick Yellow
+E02006 Thicker Than Water
+69865B Thicket
+93840F Thicket Green
+A05D8B Thimble Red
+E34B50 Thimbleberry
+AFA97D Thimbleberry Leaf
+C6FCFF Thin Air
+D4DCDA Thin Cloud
+CAE0DF Thin Heights
+834841 Think Brick
+4D8871 Think Leaf
+E5A5C1 Think Pink
+243BCD Third Eye Chakra
+726E9B Thirsty Thursday
+D8BFD8 Thistle
+9499BB Thistle Down
+CCCAA8 Thistle Green
+C0B6A8 Thistle Grey
+834D7C Thistle Mauve
+BFD8BF Thistleberry Green
+8AB3BF Thistleblossom Soft Blue
+44CCFF Thor’s Thunder
+B5A197 Thorn Crown
+9C2D5D Thorne Wines
+4C4A41 Thorny Branch
+7F716A Thorny Brush
+5B3D34 Thoroughfare
+D8CDC8 Thought
+317589 Thousand Herb
+FFD9BB Thousand Needles Sand
+E9E8E1 Thousand Shells
+02D8E9 Thousand Sons Blue
+316745 Thousand Years Green
+4F6446 Thraka Green Wash
+CEC2AA Threaded Loom
+C30305 Threatening Red
+73C4D7 Thredbo
+FDDBB6 Three Ring Circus
+BDC4BB Three Wishes
+93CCE7 Thresher Shark
+AC9A8A Threshold Taupe
+8C283B Thrill Ride
+8CC34B Thrilling Lime
+281F3F Throat
+6ACED4 Throat Chakra
+ADA274 Throw Rug
+936B4F Thrush
+A4B6A7 Thrush Egg
+11610F Thuja Green
+DF6FA1 Thulian Pink
+DDC2BA Thulite Rose
+BDADA4 Thumper
+E88A76 Thundelarra
+4D4D4B Thunder
+F9F5DB Thunder & Lightning
+CBD9D7 Thunder Bay
+AAC4D4 Thunder Chi
+57534C Thunder Grey
+CE1B1F Thunder Mountain Longhorn Pepper
+1A4876 Thunder Night
+923830 Thunderbird
+FDEFAD Thunderbolt
+8A99A3 Thundercat
+698589 Thundercloud
+F6F3A7 Thunderdome
+417074 Thunderhawk Blue
+597388 Thundering Clouds
+6D6C62 Thunderous
+D2D1CE Thundersnow
+9098A1 Thunderstorm
+5F5755 Thunderstruck
+7F7B60 Thurman
+98514A Thy Flesh Consumed
+50574C Thyme
+6F8770 Thyme and Place
+629A31 Thyme and Salt
+737B6C Thyme Green
+97422D Tia Maria
+9BB2AA Tiamo
+5DB3FF Tiān Lán Sky
+566B38 Tiāntāi Mountain Green
+B9C3BE Tiara
+EAE0E8 Tiara Jewel
+DAA6CF Tiara Pink
+184343 Tiber
+6A6264 Tibetan Cloak
+F6F3E1 Tibetan Jasmine
+AE5848 Tibetan Orange
+88FFDD Tibetan Plateau
+8B3145 Tibetan Red
+9C8A52 Tibetan Silk
+DBEAED Tibetan Sky
+74B7C1 Tibetan Stone
+814D50 Tibetan Temple
+0084A6 Tibetan Turquoise
+FEDF00 Tibetan Yellow
+268BCC Ticino Blue
+FC89AC Tickle Me Pink
+B6BAA4 Tickled Crow
+EFA7BF Tickled Pink
+F0F590 Tidal
+78B3CC Tidal Basin
+BFB9A3 Tidal Foam
+CDCA98 Tidal Green
+E5E9E1 Tidal Mist
+005E59 Tidal Pool
+43A7AA Tidal Teal
+8B866B Tidal Thicket
+355978 Tidal Wave
+BEB4AB Tide
+0A6F69 Tide Pools
+809899 Tidepool Wonder
+002400 Tides of Darkness
+C2E3DD Tidewater
+343450 Tiě Hēi Metal
+C2DDD3 Tierra Del Fuego Sea Green
+B58141 Tiffany Amber
+7BF2DA Tiffany Blue
+FDE4B4 Tiffany Light
+D2A694 Tiffany Rose
+BE9C67 Tiger
+CDA035 Tiger Cat
+E1DACA Tiger Claw
+DEAE46 Tiger Cub
+DD9922 Tiger King
+E1583F Tiger Lily
+F8F2DD Tiger Moth
+DD6611 Tiger Moth Orange
+FF8855 Tiger of Mysore
+BF6F39 Tiger Stripe
+FEE9C4 Tiger Tail
+FFDE7E Tiger Yellow
+9A7C63 Tiger’s Eye
+AA5500 Tijolo
+8A6E45 Tiki Hut
+8FBC8F Tiki Monster
+B9A37E Tiki Straw
+BB9E3F Tiki Torch
+0094A5 Tile Blue
+7A958E Tile Green
+C76B4A Tile Red
+00CCCC Tilla Kari Mosque
+60397F Tillandsia Purple
+80624E Tilled Earth
+6B4D35 Tilled Soil
+87815F Tilleul de Noémie
+EE5522 Tilted Pinball
+991122 Tilted Red
+A0855C Timber Beam
+605652 Timber Brown
+C0B09C Timber Dust
+324336 Timber Green
+908D85 Timber Town
+A1755C Timber Trail
+73573F Timberline
+B4ACA3 Timberwolf
+A59888 Time Capsule
+7F6D37 Time Honoured
+FADEB8 Time Out
+B3C4D5 Time Travel
+9397A3 Time Warp
+B1D8DB Timeless
+B6273E Timeless Beauty
+976D59 Timeless Copper
+ECE9E8 Timeless Day
+AFB2C4 Timeless Lilac
+9A4149 Timeless Ruby
+AFE4E2 Timeless Seafoam
+908379 Timeless Taupe
+20C073 Times Square Screens
+DADFB0 Timid Absinthe
+E5E0DD Timid Beige
+D9E0EE Timid Blue
+DCDDE5 Timid Cloud
+E1E2D6 Timid Green
+E4E0DA Timid Lime
+DFDFEA Timid Purple
+66A9B0 Timid Sea
+E4E0DD Timid Sheep
+DED3DD Timid Violet
+D9D6CF Timid White
+ADB274 Timothy Grass
+919191 Tin
+48452B Tin Bitz
+ACB0B0 Tin Foil
+928A98 Tin Lizzie
+A4A298 Tin Man
+A3898A Tin Pink
+BEBEBE Tin Soldier
+E6541B Tingle
+FBEDB8 Tinker Light
+FCF0C3 Tinkerbell Trail
+4B492D Tinny Tin
+B88A3E Tinsel
+C3D1D9 Tinsel Beam
+DCE0DC Tinsmith
+CE9480 Tint of Earth
+DAE9DC Tint of Green
+FFCBC9 Tint of Rose
+41BFB5 Tint of Turquoise
+CFF6F4 Tinted Ice
+C4B7D8 Tinted Iris
+9DA9D0 Tinted Lilac
+E3E7C4 Tinted Mint
+E1C8D1 Tinted Rosewood
+0088AB Tiny Bubbles
+E0BFA5 Tiny Calf
+C08B6D Tiny Fawn
+D4CFCC Tiny Ghost Town
+B8D3E4 Tiny Mr Frosty
+FFD6C7 Tiny Pink
+B98FAF Tiny Ribbons
+8A8D69 Tiny Seedling
+BBE4EA Tip of the Iceberg
+D8C2CD Tip Toes
+744B3E Tiramisu
+D3BDA4 Tiramisu Cream
+75DE2F Tirisfal Lime
+9E915C Tirol
+DDD6E1 Titan White
+AD8F0F Titanite Yellow
+888586 Titanium
+5B798E Titanium Blue
+545B62 Titanium Grey
+BCB9C0 Titanium Man
+E4E4E4 Titanium White
+EEE600 Titanium Yellow
+646048 Titanoboa
+BD5620 Titian Red
+B8B2BE Titmouse Grey
+F9F3DF Tizzy
+316F82 Tlāloc Blue
+25212A To Hell and Black
+748D70 Toad
+3D6C54 Toad King
+B8282F Toadstool
+D7E7DA Toadstool Dot
+988088 Toadstool Soup
+016C75 Toadstool Teal
+9F715F Toast
+D2AD84 Toast and Butter
+B59274 Toasted
+DACFBA Toasted Almond
+986B4D Toasted Bagel
+E7DDCB Toasted Barley
+DAB7A8 Toasted Beige
+E2D0B8 Toasted Cashew
+A7775B Toasted Chestnut
+E9C2A1 Toasted Coconut
+A24A3B Toasted Cranberry
+C5A986 Toasted Grain
+ED8A53 Toasted Husk
+EFE0D4 Toasted Marshmallow
+FFF9EB Toasted Marshmallow Fluff
+C08768 Toasted Nut
+A47365 Toasted Nutmeg
+EFDECC Toasted Oatmeal
+A34631 Toasted Paprika
+765143 Toasted Pecan
+DCC6A6 Toasted Pine Nut
+AF9A73 Toasted Sesame
+AA3344 Toasted Truffle
+746A5A Toasted Walnut
+C9AF96 Toasted Wheat
+957258 Toasty
+D1CCC0 Toasty Grey
+684F3C Tobacco
+6D5843 Tobacco Brown
+8C724F Tobacco Leaf
+44362D Tobago
+D39898 Tobermory
+077A7D Tobernite
+AD785C Tobey Rattan
+4C221B Tobi Brown
+E45C10 Tobiko Orange
+F8DCBF Toes in the Sand
+755139 Toffee
+947255 Toffee Bar
+D98B51 Toffee Cream
+995E39 Toffee Crunch
+968678 Toffee Fingers
+A5654A Toffee Glaze
+B17426 Toffee Sauce
+C8A883 Toffee Tan
+C08950 Toffee Tart
+E6BAA9 Tofino
+03719C Tofino Belue
+E6E5D6 Tofu
+94BEE1 Toile Blue
+8B534E Toile Red
+B88884 Toki Brown
+007B43 Tokiwa Green
+ECF3D8 Tokyo Underground
+6C5846 Tol Barad Green
+4E4851 Tol Barad Grey
+3E2631 Toledo
+DECBB1 Toledo Cuoio
+4F6348 Tom Thumb
+E9D988 Tomatillo
+CAD3C1 Tomatillo Peel
+BBB085 Tomatillo Salsa
+EF4026 Tomato
+E10D18 Tomato Baby
+D15915 Tomato Bisque
+D6201A Tomato Burst
+F6561C Tomato Concassé
+BF753B Tomato Cream
+E84A2E Tomato Curry
+FF4444 Tomato Frog
+C9344C Tomato Puree
+DD4422 Tomato Queen
+EC2D01 Tomato Red
+B21807 Tomato Sauce
+E44458 Tomato Sceptre
+A2423D Tomato Slices
+AA251B Tomato Sunrise
+0099CC Tomb Blue
+CEC5B6 Tombstone Grey
+323232 Tomcat
+FAA945 Tōmorokoshi Corn
+EEC362 Tōmorokoshi Yellow
+FFC5A3 Tomorrow’s Coral
+D14155 Tōnatiuh Red
+D1908E Tongue
+DEDDAA Tonic
+975437 Tonicha
+6B524C Tonka Bean
+EDAC36 Tonkatsu
+B1A290 Tony Taupe
+E79E88 Tonys Pink
+9596A4 Too Big to Whale
+3D6695 Too Blue
+0088FF Too Blue to Be True
+0011BB Too Dark Tonight
+FFB61E Tōō Gold
+BF6153 Too Hot to Handle
+D6BA66 Tookie Bird
+637985 Tool Blue
+7F7711 Tool Green
+BF843B Toothpick
+F9DBE2 Tootie Fruity
+FAD873 Top Banana
+C1A393 Top Hat Tan
+82889C Top Shelf
+D04838 Top Tomato
+CF7E40 Topaz
+C5DDD0 Topaz Green
+92653F Topaz Mountain
+EB975E Topaz Yellow
+8E9655 Topiary
+6F7C00 Topiary Garden
+667700 Topiary Green
+618A4D Topiary Sculpture
+BBC9B2 Topiary Tint
+AA5C71 Topinambur Root
+DAE2E0 Topsail
+E7E2DA Toque White
+FD0D35 Torch Red
+FFC985 Torchlight
+353D75 Torea Bay
+CD123F Toreador
+DB3E00 Torii Red
+D1D3CF Tornado
+5E5B60 Tornado Cloud
+4D7179 Tornado Season
+ABA698 Tornado Watch
+60635F Tornado Wind
+FFDECD Toronja
+4E241E Torrefacto Roast
+55784F Torrey Pine
+00938B Torrid Turquoise
+5E8E91 Tort
+EFDBA7 Tortilla
+7C4937 Tortoise Shell
+9C5F22 Tortoiseshell Specs
+84816F Tortuga
+374E88 Tory Blue
+D6685F Tory Red
+744042 Tosca
+9F846B Toscana
+E3C19C Tostada
+A67E4B Tosty Crust
+303543 Total Eclipse
+F6EAD8 Total Recall
+3F4041 Totally Black
+909853 Totally Broccoli
+CCA683 Totally Tan
+01868C Totally Teal
+DD9977 Totally Toffee
+991B07 Totem Pole
+F09650 Toucan
+FBC90D Toucan Gentleman
+C2D7E9 Touch of Blue
+F6DED5 Touch of Blush
+8E6F6E Touch of Class
+C5E5DD Touch of Frost
+DD8844 Touch of Glamour
+DBE9D5 Touch of Green
+D1CFCA Touch of Grey
+E1E5D7 Touch of Lime
+F8FFF8 Touch of Mint
+D5C7BA Touch of Sand
+C8D4CC Touch of Spring
+FAF7E9 Touch of Sun
+EED9D1 Touch of Tan
+F7E4D0 Touch of Topaz
+A1D4CF Touch of Turquoise
+ECDFD8 Touchable Pink
+C3E4E8 Touched by the Sea
+F4E1D7 Touching White
+C7AC7D Toupe
+83A1A7 Tourmaline
+BDA3A5 Tourmaline Mauve
+4F9E96 Tourmaline Turquoise
+99D3DF Tourmaline Water Blue
+54836B Tournament Field
+7BA0A0 Tower Bridge
+9CACA5 Tower Grey
+D5B59B Tower Tan
+897565 Towering Cliffs
+C3AA8C Townhall Tan
+C19859 Townhouse Tan
+BBB09B Townhouse Taupe
+CCFF11 Toxic Boyfriend
+CCEEBB Toxic Essence
+98FB98 Toxic Frog
+61DE2A Toxic Green
+E1F8E7 Toxic Latte
+FF6037 Toxic Orange
+43E85F Toxic Slime
+00BB33 Toxic Sludge
+C1FDC9 Toxic Steam
+00889F Toy Blue
+117700 Toy Camouflage
+776EA2 Toy Mauve
+005280 Toy Submarine Blue
+6D6F4F Toy Tank Green
+DBB9A0 Tracery
+D66352 Track and Field
+849E88 Track Green
+00BFFE Tractor Beam
+1C6A51 Tractor Green
+FD0F35 Tractor Red
+6A7978 Trade Secret
+B7C5C6 Trade Winds
+BB8D3B Trading Post
+776255 Traditional
+1F648D Traditional Blue
+C7C7C1 Traditional Grey
+6F4F3E Traditional Leather
+BE013C Traditional Rose
+0504AA Traditional Royal Blue
+D6D2C0 Traditional Tan
+55FF22 Traffic Green
+8C9900 Traffic Light Green
+FF1C1C Traffic Red
+F1F0EA Traffic White
+FEDC39 Traffic Yellow
+927383 Tragic Juliet
+D0C4AC Trail Dust
+6B6662 Trail Print
+C0B28E Trailblazer
+776C61 Trailhead
+CFD5A7 Trailing Vine
+8F97A5 Trance
+DDEDE9 Tranquil
+7C9AA0 Tranquil Aqua
+74B8DE Tranquil Bay
+D3B2C3 Tranquil Dusk
+ECE7F2 Tranquil Eve
+A4AF9E Tranquil Green
+FCE2D7 Tranquil Peach
+768294 Tranquil Pond
+88DDFF Tranquil Pool
+DBD2CF Tranquil Retreat
+D2D2DF Tranquil Sea
+629091 Tranquil Seashore
+B0A596 Tranquil Taupe
+8AC7BB Tranquil Teal
+6C9DA9 Tranquili Teal
+8E9B96 Tranquillity
+307D67 Trans Tasman
+C3AC98 Transcend
+F8F4D8 Transcendence
+A5ACB7 Transformer
+EA1833 Transfusion
+FFE9E1 Translucent Silk
+FFEDEF Translucent Unicorn
+E5EFD7 Translucent Vision
+E4E3E9 Translucent White
+F4ECC2 Transparent Beige
+DDDDFF Transparent Blue
+DDFFDD Transparent Green
+B4A6BF Transparent Mauve
+FFAA66 Transparent Orange
+FFDDEE Transparent Pink
+CBDCCB Transparent White
+FFEEAA Transparent Yellow
+004F54 Transporter Green
+0E1D32 Trapped Darkness
+005239 Trapper Green
+F4E8B6 Trapunto
+E2DDC7 Travertine
+B5AB8F Travertine Path
+DDF5E7 Treacherous Blizzard
+885D2D Treacle
+DE9832 Treacle Fudge
+9B7856 Treasure Casket
+998866 Treasure Chamber
+726854 Treasure Chest
+47493B Treasure Island
+609D91 Treasure Isle
+D0BB9D Treasure Map
+658FAA Treasure Map Waters
+3F363D Treasure Seeker
+9C7947 Treasured
+BB2277 Treasured Love
+52C1B3 Treasured Teal
+006633 Treasured Wilderness
+BA8B36 Treasures
+DBD186 Treasury
+715E58 Tree Bark
+665B4E Tree Bark Brown
+304B4A Tree Bark Green
+8A7362 Tree Branch
+7FB489 Tree Fern
+9FB32E Tree Frog
+7CA14E Tree Frog Green
+2A7E19 Tree Green
+3B2820 Tree House
+79774A Tree Hugger
+C3DB8D Tree Line
+DCDBCA Tree Moss
+595D45 Tree of Life
+A4345D Tree Peony
+E2813B Tree Poppy
+BDC7BC Tree Pose
+22CC00 Tree Python
+CC7711 Tree Sap
+476A30 Tree Shade
+726144 Tree Swing
+D1B7A7 Treeless
+609F6E Treelet
+91B6AC Treetop
+2F4A15 Treetop Cathedral
+47562F Trefoil
+D1AE9A Trek Tan
+4E606D Trekking Blue
+3D5C54 Trekking Green
+EAEFE5 Trellis
+7F753C Trellis Climber
+5D7F74 Trellis Vine
+9AA097 Trellised Ivy
+AF9770 Trench
+7E8424 Trendy Green
+805D80 Trendy Pink
+A82F2E Très Bien
+DCC7AD Tres Naturale
+C2DFE2 Trevi Fountain
+F2D1C4 Tri-Tip
+EF3939 Trial by Fire
+94A089 Triamble
+67422D Triassic
+807943 Tribal
+514843 Tribal Drum
+A78876 Tribal Pottery
+A4918D Tribeca
+33373B Tribecca Corner
+74B8DA Tribute
+EAB38A Trick or Treat
+2F2F30 Tricorn Black
+DCD3E3 Tricot Lilac White
+B09994 Tricycle Taupe
+494F62 Tried & True Blue
+F0F00F Triforce
+A89896 Trillium
+756D44 Trim
+C54F33 Trinidad
+D0343D Trinidad Moruga Scorpion
+B9B79B Trinity Islands
+D69835 Trinket
+A7885F Trinket Gold
+C96272 Triple Berry
+E5E3E5 Tripoli White
+CC00EE Trippy Velvet
+8EB9C4 Trisha’s Eyes
+0C0C1F Tristesse
+F4F0E3 Trite White
+705676 Trixter
+775020 Trojan Horse Brown
+014E2E Troll Green
+F4A34C Troll Slayer Orange
+AE5F51 Trolley Dash
+818181 Trolley Grey
+708386 Trooper
+73B7C2 Tropez Blue
+4889AC Tropic
+BCC23C Tropic Canary
+016F92 Tropic Sea
+6CC1BB Tropic Tide
+6AB5A4 Tropic Turquoise
+A8E8CB Tropical
+9DB7AF Tropical Bay
+D7967E Tropical Blooms
+AEC9EB Tropical Blue
+EBEDEE Tropical Breeze
+8CA8A0 Tropical Cascade
+B9CABD Tropical Cyclone
+D9EAE5 Tropical Dream
+33FF22 Tropical Elements
+4DBBAF Tropical Escape
+CBCAB6 Tropical Fog
+3E6252 Tropical Foliage
+024A43 Tropical Forest
+228B21 Tropical Forest Green
+99DDCC Tropical Freeze
+FDD3A7 Tropical Fruit
+55DD00 Tropical Funk
+17806D Tropical Green
+C2343C Tropical Heat
+9C6071 Tropical Hibiscus
+17A99E Tropical Hideaway
+8FCDC7 Tropical Holiday
+009D7D Tropical Kelp
+1E98AE Tropical Lagoon
+9CD572 Tropical Light
+CAE8E8 Tropical Mist
+D2C478 Tropical Moss
+2A2E4C Tropical Night Blue
+98523D Tropical Nut
+579AA5 Tropical Oasis
+A0828A Tropical Orchid
+F7A082 Tropical Paradise
+FFC4B2 Tropical Peach
+BFDEEF Tropical Pool
+447777 Tropical Rain
+00755E Tropical Rainforest
+03A598 Tropical Sea
+DDC073 Tropical Siesta
+155D66 Tropical Skies
+C5556D Tropical Smoothie
+70CBCE Tropical Splash
+FBB719 Tropical Sun
+E0DEB8 Tropical Tale
+CBB391 Tropical Tan
+008794 Tropical Teal
+5ECAAE Tropical Tide
+50A074 Tropical Tone
+89D1B5 Tropical Trail
+20AEA7 Tropical Tree
+04CDFF Tropical Turquoise
+837946 Tropical Twist
+CDA5DF Tropical Violet
+BEE7E2 Tropical Waterfall
+007C7E Tropical Waters
+BA8F68 Tropical Wood
+603B2A Tropical Wood Brown
+447700 Tropicana
+009B8E Tropics
+726D40 Trough Shell
+918754 Trough Shell Brown
+00666D Trouser Blue
+4C5356 Trout
+F75300 Trout Caviar
+CB7077 Trout Pout
+DCC49B True Blonde
+010FCC True Blue
+8B5643 True Copper
+A22042 True Crimson
+089404 True Green
+B8AE98 True Khaki
+7E89C8 True Lavender
+E27E8A True Love
+465784 True Navy
+65318E True Purple
+C81A3A True Red
+4D456A True Romance
+24A6C2 True Sky Blue
+A8A095 True Taupewood
+0A8391 True Teal
+CDD3A3 True to You
+8E72C7 True V
+967A67 True Walnut
+B46C42 Truepenny
+99BBFF Truesky Gloxym
+C2A78E Truffle
+A35139 Truffle Trouble
+777250 Truly Olive
+AC9E97 Truly Taupe
+FAA76C Trump Tan
+D1B669 Trumpet
+E49977 Trumpet Flower
+E9B413 Trumpet Gold
+5A7D7A Trumpet Teal
+907BAA Trumpeter
+9B5FC0 Trunks Hair
+6600CC Trusted Purple
+527498 Trustee
+B59F8F Trusty Tan
+344989 Truth
+34B334 Try Your Luck
+8B7F7B Tsar
+D1B4C6 Tsarina
+869BAF Tsunami
+CFD4D3 Tsunami Sky
+9BA88D Tsurubami Green
+574D35 Tǔ Hēi Black
+454642 Tuatara
+0E8787 Tubbataha Teal
+FFFAEC Tuberose
+00858B Tucson Teal
+5F572B Tucumán Green
+C1CECF Tudor Ice
+B68960 Tudor Tan
+A59788 Tuffet
+CBC2AD Tuft
+F9D3BE Tuft Bush
+B96C46 Tufted Leather
+417DC1 Tufts Blue
+CCDDEE Tuğçe Silver
+B89CBC Tuileries Tint
+573B2A Tuk Tuk
+FF878D Tulip
+FBF4DA Tulip Petals
+531938 Tulip Poplar Purple
+B8516A Tulip Red
+C3C4D6 Tulip Soft Blue
+E3AC3D Tulip Tree
+F1E5D1 Tulip White
+966993 Tulipan Violet
+86586A Tulipwood
+F1BA91 Tulle
+8D9098 Tulle Grey
+D9E7E5 Tulle Soft Blue
+FBEDE5 Tulle White
+DEAA88 Tumbleweed
+CDBB9C Tumblin’ Tumbleweed
+CEBF9C Tumbling Tumbleweed
+46494E Tuna
+CF6275 Tuna Sashimi
+585452 Tundora
+D6D9D7 Tundra
+E1E1DB Tundra Frost
+B5AC9F Tungsten
+00CC00 Tunic Green
+FFDDB5 Tunisian Stone
+C0A04D Tupelo Honey
+9C9152 Tupelo Tree
+F9BB59 Turbinado Sugar
+555C63 Turbulence
+536A79 Turbulent Sea
+415B36 Turf
+2A8948 Turf Green
+009922 Turf Master
+738050 Turf War
+006169 Turkish Aqua
+BB937B Turkish Bath
+007FAE Turkish Blue
+0E9CA5 Turkish Boy
+483F39 Turkish Coffee
+F7F3BD Turkish Ginger
+2B888D Turkish Jade
+A56E75 Turkish Rose
+194F90 Turkish Sea
+2F7A92 Turkish Stone
+72CAC1 Turkish Teal
+007E9F Turkish Tile
+D9D9D1 Turkish Tower
+77DDE7 Turkish Turquoise
+F3D8BE Turkscap
+AE9041 Turmeric
+C18116 Turmeric Brown
+CA7A40 Turmeric Red
+FEAE0D Turmeric Root
+D88E2D Turmeric Tea
+8D7448 Turned Leaf
+93BCBB Turner’s Light
+E6C26F Turner’s Yellow
+CED9C3 Turning Leaf
+EDE1A8 Turning Oakleaf
+B9AAA1 Turning Tables
+EFC6A1 Turnip Boy
+BB9ECD Turnip Crown
+E5717B Turnip the Pink
+D3CFBF Turnstone
+448899 Turquesa
+01A192 Turquish
+06C2AC Turquoise
+00FFEF Turquoise Blue
+6FE7DB Turquoise Chalk
+0E7C61 Turquoise Cyan
+6DAFA7 Turquoise Fantasies
+04F489 Turquoise Green
+B4CECF Turquoise Grey
+30D5C8 Turquoise Panic
+89F5E3 Turquoise Pearl
+6CDAE7 Turquoise Sea
+00C5CD Turquoise Surf
+13BBAF Turquoise Topaz
+457B74 Turquoise Tortoise
+A8E3CC Turquoise Tower
+73D4C2 Turquoise Twist
+CFE9DC Turquoise White
+523F31 Turtle
+84897F Turtle Bay
+CED8C1 Turtle Chalk
+65926D Turtle Creek
+75B84F Turtle Green
+73B7A5 Turtle Lake
+939717 Turtle Moss
+897C64 Turtle Shell
+363E1D Turtle Skin
+B6B5A0 Turtle Trail
+35B76D Turtle Warrior
+D6CEBB Turtledove
+FBD5A6 Tuscan
+E7D2AD Tuscan Bread
+6F4C37 Tuscan Brown
+AA5E5A Tuscan Clay
+658362 Tuscan Herbs
+746E38 Tuscan Hills
+DC938C Tuscan Image
+A08D71 Tuscan Mosaic
+5D583E Tuscan Olive
+7C4848 Tuscan Red
+9C6350 Tuscan Rooftops
+723D3B Tuscan Russet
+A67B5B Tuscan Soil
+FFD84D Tuscan Sun
+BB7C3F Tuscan Sunset
+FCC492 Tuscan Wall
+008893 Tuscana Blue
+B98C7B Tuscany
+7E875F Tuscany Hillside
+0082AD Tusche Blue
+9996B3 Tusi Grey
+E3E5B1 Tusk
+883636 Tuskgor Fur
+EDC5D7 Tussie-Mussie
+BF914B Tussock
+BC587B Tutti Frutti
+F8E4E3 Tutu
+E95295 Tutuji Pink
+3F3C43 Tuxedo
+937B56 Tweed
+CCB586 Tweed Jacket
+8F7B5B Tweedy
+FFEF00 Tweety
+FFBE4C Twenty Carat
+CA999E Twice Shy
+77623A Twig Basket
+4E518B Twilight
+C8BFB5 Twilight Beige
+CFB4C2 Twilight Bloom
+0A437A Twilight Blue
+B59A9C Twilight Blush
+3F5363 Twilight Chimes
+606079 Twilight Dusk
+1C3378 Twilight Express
+54574F Twilight Forest
+D1D6D6 Twilight Grey
+7E664B Twilight Jungle
+8A496B Twilight Lavender
+DAC0CD Twilight Light
+977D7F Twilight Mauve
+51A5A4 Twilight Meadow
+BDC9E4 Twilight Mist
+BFBCD2 Twilight Pearl
+65648B Twilight Purple
+71898D Twilight Stroll
+A79994 Twilight Taupe
+7B85C6 Twilight Twinkle
+E5E6D7 Twilight Twist
+191916 Twilight Zone
+A3957C Twill
+BEDBED Twin Blue
+A4C7C8 Twin Cities
+684344 Twinberry
+C19156 Twine
+74A69B Twining Vine
+ADC6D3 Twinkle
+D0D7DF Twinkle Blue
+FCE79A Twinkle Little Star
+636CA8 Twinkle Night
+FBD8CC Twinkle Pink
+E2D39B Twinkle Toes
+FCF0C5 Twinkle Twinkle
+E9DBE4 Twinkled Pink
+FFFAC1 Twinkling Lights
+CF4796 Twinkly Pinkily
+76C4D1 Twisted Blue
+9A845E Twisted Tail
+7F6C6E Twisted Time
+655F50 Twisted Vine
+854A2E Two Cents
+BED3E1 Two Harbours
+A5CA4F Two Peas in a Pod
+4C5053 Typewriter Ink
+463D2B Typhus Corrosion
+CDC586 Tyrant Skull
+4E4D59 Tyrian
+66023C Tyrian Purple
+9448B0 Tyrian Shimmer
+B3CDBF Tyrol
+00A499 Tyrolite Blue-Green
+736458 Tyson Taupe
+DDEECC Tzatziki Green
+0033AA UA Blue
+D9004C UA Red
+8878C3 Ube
+7B5838 Über Umber
+536895 UCLA Blue
+FFB300 UCLA Gold
+989FA3 UFO
+88AA11 UFO Defense Green
+3CD070 UFO Green
+645530 Uguisu Brown
+928C36 Uguisu Green
+FABF14 Ukon Saffron
+FCC680 Uldum Beige
+C7E0D9 Ulthuan Grey
+A9A8A9 Ultimate Grey
+FF4200 Ultimate Orange
+FF55FF Ultimate Pink
+7EBA4D Ultra Green
+4433FF Ultra Indigo
+A3EFB8 Ultra Mint
+D1F358 Ultra Moss
+F06FFF Ultra Pink
+F8F8F3 Ultra Pure White
+FC6C85 Ultra Red
+7366BD Ultra Violet
+AA22AA Ultra Violet Lentz
+F6F6F0 Ultra White
+770088 Ultraberry
+1805DB Ultramarine
+657ABB Ultramarine Blue
+007A64 Ultramarine Green
+2E328F Ultramarine Highlight
+090045 Ultramarine Shadow
+1D2A58 Ultramarine Violet
+654EA3 Ultrapurple Merge
+BB44CC Ultraviolet Berl
+BB44BB Ultraviolet Cryner
+BB44AA Ultraviolet Nusp
+BB44DD Ultraviolet Onsible
+921D0F Uluru Red
+704336 Uluru Sunset
+90EE90 Ulva Lactuca Green
+B26400 Umber
+613936 Umber Brown
+765138 Umber Rust
+4E4D2F Umber Shade Wash
+ECE7DD Umber Style
+211E1F Umbra
+87706B Umbra Sand
+520200 Umbral Umber
+A2AF70 Umbrella Green
+B54753 Umbria Red
+8F4155 Umemurasaki Purple
+97645A Umenezumi Plum
+FA9258 Umezome Pink
+75A14F Unakite
+FBFAF5 Unbleached
+F5D8BB Unbleached Calico
+FFDDCA Unbleached Silk
+FBE7E6 Unburdened Pink
+A9B0B1 Uncertain Grey
+19565E Uncharted
+C7AB90 Uncommon Coir
+476E42 Under the Radar
+395D68 Under the Sea
+EFD100 Under the Sun
+BE9E48 Underbrush
+428C49 Underclover
+A38479 Undercooked Bacon
+7FC3E1 Undercool
+665A51 Underground
+524B4C Underground Civilization
+87968B Underground Gardens
+120A65 Underground Stream
+B2AC88 Underhive Ash
+CC4422 Underpass Shrine
+90B1AE Undersea
+D4C9BB Understated
+C3C4AC Understory
+779999 Undertow
+CFEEE8 Underwater
+0022BB Underwater Falling
+06D078 Underwater Fern
+E78EA5 Underwater Flare
+4488AA Underwater Moonlight
+243062 Underwater Realm
+657F7A Underwater World
+1E231C Underworld
+89C1BA Undine
+69667C Unexplained
+E7D8DE Unfading Dusk
+986962 Unfired Clay
+DDCCB1 Unforgettable
+AE8245 Unforgettably Gold
+D6C8C0 Unfussy Beige
+D6A766 Ungor Beige
+FF2F92 Unicorn Dust
+E8E8E8 Unicorn Silver
+A7B7CA Uniform
+6E5D3E Uniform Brown
+4C4623 Uniform Green
+5F7B7E Uniform Green Grey
+A8A8A8 Uniform Grey
+8C7EB9 Unimaginable
+B5D1C7 Uninhibited
+9C9680 Union Springs
+C7C5BA Union Station
+CBC9C9 Unique Grey
+5B92E5 United Nations Blue
+264D8E Unity
+006B38 Universal Green
+B8A992 Universal Khaki
+9C8168 Universal Umber
+B78727 University of California Gold
+F77F00 University of Tennessee Orange
+C154C1 Unloaded Texture Purple
+D2CAB7 Unmarked Trail
+B12D35 Unmatched Beauty
+FEFE66 Unmellow Yellow
+4B4840 Unplugged
+7B746B Unpredictable Hue
+5C6E70 Unreal Teal
+F0FF57 Unripe Banana
+F78FA7 Unripe Strawberry
+B1BEA8 Unroasted Coffee
+DE5730 Untamed Orange
+DD0022 Untamed Red
+A3A7A0 Unusual Grey
+F2F8ED Unwind
+014431 UP Forest Green
+E0B54A Up in Flames
+6E706D Up in Smoke
+C2D5D8 Up in the Air
+7B1113 UP Maroon
+6F9587 Up North
+F1D9A5 Upbeat
+EB9724 Uplifting Yellow
+A3758B Upper Crust
+8D6051 Upper East Side
+EE1100 Uproar Red
+A8ADC2 Upscale
+AE2029 Upsdell Red
+B52923 Upset Tomato
+CAC7B8 Upstate
+FFA8A6 Upstream Salmon
+A791A8 Uptown Girl
+F1E4D7 Uptown Taupe
+BDC9D2 Upward
+BCB58C Urahayanagi Green
+93B778 Uran Mica
+ACE5EE Uranus
+7C4A2C Urban Auburn
+DDD4C5 Urban Bird
+AEA28C Urban Charm
+424C4A Urban Chic
+89776E Urban Exploration
+7C7466 Urban Garden
+005042 Urban Green
+CACACC Urban Grey
+A4947E Urban Jungle
+67585F Urban Legend
+D3DBD9 Urban Mist
+374F54 Urban Oasis
+9DACB7 Urban Pigeon
+B0B1A9 Urban Putty
+BDCBCA Urban Raincoat
+978B6E Urban Safari
+DBD8DA Urban Snowfall
+BDBEBA Urban Sunrise
+C9BDB6 Urban Taupe
+8899AA Urban Vibes
+696447 Urbane
+54504A Urbane Bronze
+4D5659 Urbanite
+FFD72E Uri Yellow
+FFECC2 Urnebes Beige
+E1AD21 Urobilin
+00308F US Air Force Blue
+716140 US Field Drab
+990010 USC Cardinal
+FFCC00 USC Gold
+231712 Used Oil
+CFCABD Useful Beige
+BBBB7F Ushabti Bone
+373D31 USMC Green
+E597B2 Usu Koubai Blossom
+A87CA0 Usu Pink
+8C9C76 Usuao Blue
+F2666C Usubeni Red
+FCA474 Usugaki Persimmon
+FEA464 Usukō
+8DB255 Usumoegi Green
+A58F7B Utaupeia
+FAFAD2 Utepils
+32B6C7 Utopia Beckons
+B5A597 Utterly Beige
+A8C6DE Utterly Blue
+F5C8D8 Utterly Pink
+0098C8 UV Light
+EFD5CF Va Va Bloom
+E3B34C Va Va Voom
+D1D991 Vacation Island
+FDE882 Vacherin Cheese
+AA8877 Vagabond
+D1C5C4 Vaguely Mauve
+DBE1EF Vaguely Violet
+D4574E Valencia
+837048 Valencia Moss
+A53A4E Valentine
+BA789E Valentine Heart
+BA0728 Valentine Lava
+9B233B Valentine Red
+A63864 Valentine’s Day
+B63364 Valentine’s Kiss
+B64476 Valentino
+382C38 Valentino Nero
+9F7A93 Valerian
+FDE6E7 Valerie
+2A2B41 Valhalla
+F2EDE7 Valhallan Blizzard
+BC3C2C Valiant Poppy
+3E4371 Valiant Violet
+80502B Valise
+EECC22 Valkyrie
+35709D Vallarta Blue
+848D85 Valley Floor
+FFDD9D Valley Flower
+848A83 Valley Hills
+C9D5CB Valley Mist
+FF8A4A Valley of Fire
+2D7E96 Valley of Glaciers
+D1E1E4 Valley of Tears
+B0C376 Valley View
+8A763D Valley Vineyards
+79C9D1 Valonia
+A3BCDB Valour
+C40233 Vampire Bite
+CC2255 Vampire Fangs
+9B0F11 Vampire Fiction
+610507 Vampire Hunter
+DD0077 Vampire Love Story
+DD4132 Vampire Red
+CC1100 Vampire State Building
+9B2848 Vampirella
+CC0066 Vampiric Bloodlust
+5C0C0C Vampiric Council
+BFB6AA Vampiric Shadow
+523936 Van Cleef
+FAF7EB Van de Cane
+664228 Van Dyke Brown
+ABDDF1 Van Gogh Blue
+65CE95 Van Gogh Green
+759465 Van Gogh Olives
+00A3E0 Vanadyl Blue
+D8CBB3 Vanderbilt Beach
+ABDEE4 Vandermint
+7B5349 Vandyck Brown
+F3E5AB Vanilla
+362C1D Vanilla Bean Brown
+FCEDE4 Vanilla Blush
+FCF0CA Vanilla Cake
+F8E3AB Vanilla Cream
+F3E0BE Vanilla Custard
+F5E8D5 Vanilla Delight
+D1BEA8 Vanilla Doe
+FFFFEB Vanilla Drop
+E9DFCF Vanilla Flower
+FFD2AB Vanilla Française
+FDE9C5 Vanilla Frost
+FDF2D1 Vanilla Ice
+FFE6B3 Vanilla Ice Cream
+C9DAE2 Vanilla Ice Smoke
+DAC2AA Vanilla Iced Coffee
+E6E0CC Vanilla Love
+F1ECE2 Vanilla Milkshake
+EBDBC8 Vanilla Mocha
+F3E7D3 Vanilla Paste
+FAF3DD Vanilla Powder
+F7E26B Vanilla Pudding
+CBC8C2 Vanilla Quake
+CCB69B Vanilla Seed
+FFFBF0 Vanilla Shake
+DED5CC Vanilla Steam
+FFE6E7 Vanilla Strawberry
+F1E8DC Vanilla Sugar
+F1E9DD Vanilla Tan
+F3EAD2 Vanilla Wafer
+F6EEE5 Vanilla White
+F2E3CA Vanillin
+331155 Vanishing
+CFDFEF Vanishing Blue
+990088 Vanishing Night
+DDEEDD Vanishing Point
+5692B2 Vanity
+E6CCDD Vanity Pink
+000100 Vantablack
+E8E8D7 Vape Smoke
+CBF4F8 Vaporised
+D8D6CE Vaporous Grey
+FF66EE Vaporwave
+22DDFF Vaporwave Blue
+99EEBB Vaporwave Pool
+F0FFFF Vapour
+BEBDBD Vapour Blue
+F5EEDF Vapour Trail
+855F43 Vaquero Boots
+FDEFD3 Varden
+747D5A Variegated Frond
+E6DCCC Varnished Ivory
+C9BDB8 Vast
+C2B197 Vast Desert
+D2C595 Vast Escape
+A9C9D7 Vast Sky
+EFCC5B Vault-Tec Yellow
+AA55FF Vega Violet
+22BB88 Vegan
+006C47 Vegan Green
+22BB55 Vegan Mastermind
+AA9911 Vegan Villain
+C5B358 Vegas Gold
+316738 Vegas Green
+26538D Vegeta Blue
+8B8C40 Vegetable Garden
+22AA00 Vegetarian
+78945A Vegetarian Veteran
+CCCC99 Vegetarian Vulture
+5CCD97 Vegetation
+4C433D Vehicle Body Grey
+784F50 Veil of Cinder
+DAD8C9 Veil of Dusk
+80B690 Veiled Chameleon
+B2B0BD Veiled Delight
+F9DFD7 Veiled Pink
+F7CDC8 Veiled Rose
+CFD5D7 Veiled Spotlight
+F6EDB6 Veiled Treasure
+5B5962 Veiled Vinyl
+B19BB0 Veiled Violet
+D4EAFF Veiling Waterfalls
+A17D61 Velddrif
+EFE4D9 Vellum Parchment
+BAA7BF Velour
+8E5164 Velour Scar
+D7D8C3 Veltliner White
+D6CEB9 Velum Smoke
+750851 Velvet
+D0C5B1 Velvet Beige
+5C466B Velvet Beret
+241F20 Velvet Black
+E3D5D8 Velvet Blush
+9D253D Velvet Cake
+623941 Velvet Cape
+656D63 Velvet Clover
+441144 Velvet Cosmos
+9291BC Velvet Crest
+AA0066 Velvet Cupcake
+7E85A3 Velvet Curtain
+BDB0BC Velvet Dawn
+C5ADB4 Velvet Ears
+33505E Velvet Evening
+ACAAB3 Velvet Grey
+D39ED2 Velvet Horizon
+96C193 Velvet Leaf
+BB1155 Velvet Magic
+E58D3F Velvet Marigold
+692B57 Velvet Mauve
+6C769B Velvet Morning
+6B1B2A Velvet Outbreak
+573A56 Velvet Plum
+939DCC Velvet Robe
+36526A Velvet Rope
+7E374C Velvet Rose
+E3DFEC Velvet Scarf
+C5D3DD Velvet Sky
+846C76 Velvet Slipper
+523544 Velvet Touch
+6B605A Velvet Umber
+AB0102 Velvet Volcano
+540D6E Velvet Vortex
+9A435D Velvet Wine
+936064 Velveteen Crush
+A2877D Velvety Chestnut
+794143 Velvety Merlot
+ABC88C Venerable Verde
+F7F5F3 Venerable White
+928083 Venetian
+9CB08A Venetian Glass
+B39142 Venetian Gold
+F7EDDA Venetian Lace
+E7CEB6 Venetian Mask
+7755FF Venetian Nights
+D2EAD5 Venetian Pearl
+BB8E84 Venetian Pink
+E0A28D Venetian Plaster
+C80815 Venetian Red
+EFC6E1 Venetian Rose
+949486 Venetian Wall
+F6E3A1 Venetian Yellow
+2C5778 Venice Blue
+76AFB2 Venice Escape
+6BFFB3 Venice Green
+E6C591 Venice Square
+A9A52A Venom
+01FF01 Venom Dart
+607038 Venom Wyrm
+66FF22 Venomous Green
+C6EC7A Venomous Sting
+3F3033 Venous Blood Red
+CDE6E8 Ventilated
+7381B3 Venture Violet
+EED053 Venus
+FED8B1 Venus Deathtrap
+8F7974 Venus Deva
+9EA6CF Venus Flower
+94B44C Venus Flytrap
+5F606E Venus Mist
+F0E5E5 Venus Pink
+DF73FF Venus Slipper Orchid
+85A4A2 Venus Teal
+7A6DC0 Venus Violet
+71384C Venusian
+61A9A5 Veranda
+66B6B0 Veranda Blue
+9EB1AF Veranda Charm
+AF9968 Veranda Gold
+8E977E Veranda Green
+CCB994 Veranda Hills
+9DA4BE Veranda Iris
+E4B773 Veranda Yellow
+F1DFDF Verbena
+847E35 Verdant
+5AD33E Verdant Fields
+28615D Verdant Forest
+167D60 Verdant Green
+84A97C Verdant Haven
+4E5A4A Verdant Hush
+817C4A Verdant Leaf
+62C46C Verdant Oasis
+90A197 Verdant Retreat
+7F9E5B Verdant Serenade
+0E7C36 Verdant Vale
+75794A Verdant Views
+7FB383 Verde
+355E3B Verde Garrafa
+877459 Verde Marrón
+EDF5E7 Verde Pastel
+A7AD8D Verde Tortuga
+758000 Verde Tropa
+81A595 Verdigreen
+43B3AE Verdigris
+62BE77 Verdigris Coloured
+62603E Verdigris Foncé
+61AC86 Verdigris Green
+558367 Verdigris Roundhead
+00BBAA Verditer
+55AABB Verditer Blue
+48531A Verdun Green
+937496 Veri Berri
+232324 Verified Black
+00844B Veritably Verdant
+2B7CAF Vermeer Blue
+DABE82 Vermicelles
+D1B791 Vermicelli
+F4320C Vermilion
+F24433 Vermilion Bird
+E34244 Vermilion Cinnabar
+474230 Vermilion Green
+F9603B Vermilion Orange
+B5493A Vermilion Red
+D1062B Vermilion Scarlet
+973A36 Vermilion Seabass
+D46036 Vermilion Waxcap
+8F7303 Vermin Brown
+55CC11 Verminal
+A16954 Verminlord Hide
+F8F5E8 Vermont Cream
+48535A Vermont Slate
+E9D3BA Verona Beach
+ECBFA8 Veronese Peach
+A020FF Veronica
+7E3075 Veronica Purple
+ACDFAD Vers de Terre
+C4B0AD Versailles Rose
+C1B6AB Versatile Taupe
+18880D Verse Green
+4A615C Vert Pierre
+990055 Vertigo Cherry
+FCEDD8 Verve
+944F80 Verve Violet
+BB3381 Very Berry
+34363E Very Black
+33365B Very Blue
+664411 Very Coffee
+927288 Very Grape
+3A4859 Very Navy
+F3D19F Vespa Yellow
+0011CC Vesper
+99A0B2 Vesper Violet
+CDC8BF Vessel
+8A8B8F Vessel Grey
+937899 Vestige
+879860 Vesuvian Green
+A28A9F Vesuvian Violet
+A85533 Vesuvius
+2E58E8 Veteran’s Day Blue
+807D6F Vetiver
+C1BBB1 Viaduct
+D9D140 Viameter
+FFD44D Vibrant
+D1902E Vibrant Amber
+EBE541 Vibrant Arsenic
+0339F8 Vibrant Blue
+0ADD08 Vibrant Green
+FFBD31 Vibrant Honey
+00FFE5 Vibrant Mint
+FF6216 Vibrant Orange
+804B81 Vibrant Orchid
+AD03DE Vibrant Purple
+C24C6A Vibrant Red
+88D6DC Vibrant Soft Blue
+BB0088 Vibrant Velvet
+4B373A Vibrant Vine
+9400D4 Vibrant Violet
+6C6068 Vibrant Vision
+EAEDEB Vibrant White
+FFDA29 Vibrant Yellow
+C7FFFF VIC 20 Blue
+FFFFB2 VIC 20 Creme
+94E089 VIC 20 Green
+EA9FF6 VIC 20 Pink
+87D6DD VIC 20 Sky
+664E62 Vicarious Violet
+EE00DD Vice City
+8F509D Vicious Violet
+564985 Victoria
+0853A7 Victoria Blue
+006A4D Victoria Green
+007755 Victoria Peak
+6A3C3A Victoria Red
+988F97 Victorian
+D4C5CA Victorian Cottage
+C38B36 Victorian Crown
+558E4C Victorian Garden
+A2783B Victorian Gold
+00B191 Victorian Greenhouse
+6D657E Victorian Iris
+EFE1CD Victorian Lace
+B68B88 Victorian Mauve
+104A65 Victorian Peacock
+F1E3D8 Victorian Pearl
+828388 Victorian Pewter
+8E6278 Victorian Plum
+966B6F Victorian Rose
+D28085 Victorian Rouge
+6C7773 Victorian Tapestry
+AE6AA1 Victorian Valentine
+B079A7 Victorian Violet
+D6B2AD Victoriana
+3A405A Victory Blue
+92ABD8 Victory Lake
+549019 Vida Loca
+A1DDD4 Vidalia
+D2A88F Vienna Beige
+F7EFEF Vienna Dawn
+E9D9D4 Vienna Lace
+330022 Vienna Roast
+FED1BD Vienna Sausage
+8C8185 Viennese
+4278AF Viennese Blue
+EEC172 Vietnamese Lantern
+81796F Vigilant
+645681 Vigorous Violet
+8B9D30 Vigorous Wasabi
+4DB1C8 Viking
+757266 Viking Castle
+CABAE0 Viking Diva
+8FCDB0 Vile Green
+789695 Villa Blue
+CCC4B4 Villa Grey
+817362 Villa Oliva
+EFEAE1 Villa White
+AB9769 Village Crier
+7E867C Village Green
+825F40 Village Lane
+7B6F61 Village Square
+728F66 Villandry
+B47463 Vin Cuit
+955264 Vin Rouge
+F59994 Vinaceous
+F48B8B Vinaceous Cinnamon
+C74300 Vinaceous Tawny
+EFDAAE Vinaigrette
+ACB3AE Vinalhaven
+5778A7 Vinca
+45584C Vinca & Vine
+483743 Vincotto
+AE7579 Vindaloo
+338544 Vine
+4D5F4F Vine Leaf
+819E84 Vineyard
+EE4455 Vineyard Autumn
+5F7355 Vineyard Green
+777146 Vineyard View
+684047 Vineyard Wine
+B31A38 Vinho do Porto
+4B7378 Vining Ivy
+4C1C24 Vino Tinto
+847592 Vintage
+DFE1CC Vintage Beige
+C0B0D0 Vintage Bloom
+87B8B5 Vintage Blue
+78726E Vintage Boots
+966B34 Vintage Caramel
+C7B0A7 Vintage Charm
+A3B22E Vintage Chartreuse
+9D5F46 Vintage Copper
+D68C76 Vintage Coral
+D8CEB9 Vintage Ephemera
+4F4D48 Vintage Frame
+CBD8B9 Vintage Glass
+B79E78 Vintage Gold
+6F636D Vintage Grape
+505D74 Vintage Indigo
+958B80 Vintage Khaki
+F1E7D2 Vintage Lace
+B07B40 Vintage Lincoln
+E3DCCA Vintage Linen
+BAAFAC Vintage Mauve
+763D4B Vintage Merlot
+FFB05F Vintage Orange
+FDCFB0 Vintage Peach
+675D62 Vintage Plum
+F2EDEC Vintage Porcelain
+A66C47 Vintage Pottery
+9E3641 Vintage Red
+9097B4 Vintage Ribbon
+CDBFB9 Vintage Taupe
+669699 Vintage Teal
+485169 Vintage Velvet
+94B2A6 Vintage Vessel
+888F4F Vintage Vibe
+E59DAC Vintage Victorian
+634F62 Vintage Violet
+F4EFE4 Vintage White
+65344E Vintage Wine
+72491E Vintage Wood
+68546A Vintner
+966EBD Viola
+2F2A41 Viola Black
+8C6897 Viola Grey
+C6C8D0 Viola Ice Grey
+B9A5BD Viola Sororia
+BF8FC4 Violaceous
+881188 Violaceous Greti
+7F00FF Violent Violet
+9A0EEA Violet
+838BA4 Violet Aura
+BAB3CB Violet Beauty
+49434A Violet Black
+510AC9 Violet Blue
+B9B1C8 Violet Bouquet
+DCDCE5 Violet Breeze
+531745 Violet Carmine
+8F7DA5 Violet Chalk
+EFECEF Violet Clues
+D8D3E6 Violet Crush
+A89B9C Violet Dawn
+B59C9C Violet Dusk
+DFDEE5 Violet Echo
+A387AC Violet Eclipse
+991199 Violet Eggplant
+E6E5E6 Violet Essence
+65677A Violet Evening
+DEE2EC Violet Extract
+BA97A9 Violet Fantasy
+A66DA1 Violet Femmes
+B8A4C8 Violet Fields
+926EAE Violet Frog
+C4C0E9 Violet Gems
+4422EE Violet Glow
+675B72 Violet Haze
+CDB7FA Violet Heaven
+330099 Violet Hickey
+E5E2E7 Violet Hush
+C0A9AD Violet Ice
+482D67 Violet Indigo
+9400D3 Violet Ink
+4D4456 Violet Intense
+F0A0D1 Violet Kiss
+64338B Violet Magician
+644982 Violet Majesty
+DACCDE Violet Mist
+ACA8CD Violet Mix
+CA7988 Violet Orchid
+927B97 Violet Persuasion
+FB5FFC Violet Pink
+8601BF Violet Poison
+60394D Violet Posy
+3A2F52 Violet Purple
+8B4963 Violet Quartz
+A50055 Violet Red
+BCC6DF Violet Scent Soft Blue
+4D4860 Violet Shadow
+5C619D Violet Storm
+C7C5DC Violet Sweet Pea
+9E91C3 Violet Tulip
+BA86B5 Violet Tulle
+DAAFD1 Violet Vamp
+E5DAE1 Violet Vapour
+B19CD9 Violet Velvet
+898CA3 Violet Verbena
+898098 Violet Vibes
+D8E0EA Violet Vignette
+B7BDD1 Violet Vision
+B09F9E Violet Vista
+883377 Violet Vixen
+E9E1E8 Violet Vogue
+1A161D Violet Void
+A669DB Violet Voltage
+D2D6E6 Violet Water
+833E82 Violet Webcap
+DAD6DF Violet Whimsey
+B48BB8 Violet Whimsy
+E2E3E9 Violet White
+C8D4E4 Violet Wisp
+ACA7CB Violeta Silvestre
+5A226F Violethargic
+7487C6 Violets Are Blue
+AC6B98 Violetta
+882055 Violettuce
+674403 Violin Brown
+008F3C Viper Green
+E2DCAB Virgin Olive Oil
+ECBDB0 Virgin Peach
+B7C3D7 Virginia Blue
+538F4E Virgo Green Goddess
+99CC00 Viric Green
+1E9167 Viridian
+BCD7D4 Viridian Green
+C8E0AB Viridine Green
+00846D Viridis
+FE0215 Virtual Boy
+8AA56E Virtual Forest
+C1EE13 Virtual Golf
+CF184B Virtual Pink
+8A7A6A Virtual Taupe
+66537F Virtual Violet
+5D5558 Virtuoso
+9F7BA9 Virtuous
+B7B0BF Virtuous Violet
+F9E496 Vis Vis
+D2CCE5 Vision
+DFD3CB Vision of Light
+9B94C2 Vision Quest
+83477D Visiona Red
+F6E0A9 Visionary
+CBACAB Vista
+97D5B3 Vista Blue
+E3DFD9 Vista White
+5C2C45 Vistoris Lake
+138859 Vital Green
+EDE0C5 Vital Yellow
+8F9B5B Vitality
+2AAA45 Vitalize
+FF9900 Vitamin C
+E3AC72 Viva Gold
+B39953 Viva Las Vegas
+A0488C Viva Magenta
+A7295F Vivacious
+DC89A8 Vivacious Pink
+804665 Vivacious Violet
+995468 Vive L’amour
+97BEE2 Vive le Bleu
+AED1E8 Vive le Vent
+CC9900 Vivid Amber
+922724 Vivid Auburn
+152EFF Vivid Blue
+9F1D35 Vivid Burgundy
+DA1D81 Vivid Cerise
+00AAEE Vivid Cerulean
+CC0033 Vivid Crimson
+B13AAD Vivid Fuchsia
+2FEF10 Vivid Green
+A6D608 Vivid Lime Green
+00CC33 Vivid Malachite
+B80CE3 Vivid Mulberry
+FF5F00 Vivid Orange
+FFA102 Vivid Orange Peel
+CC00FF Vivid Orchid
+9900FA Vivid Purple
+FF006C Vivid Raspberry
+F70D1A Vivid Red
+DF6124 Vivid Red Tangelo
+00CCFF Vivid Sky Blue
+87C95F Vivid Spring
+F07427 Vivid Tangelo
+FF9980 Vivid Tangerine
+E56024 Vivid Vermilion
+A4407E Vivid Viola
+9F00FF Vivid Violet
+5E4B62 Vivid Vision
+FFE302 Vivid Yellow
+573D37 Vixen
+7B9E98 Vizcaya
+47644B Vizcaya Palm
+BFC0EE Vodka
+050D25 Void
+41373A Void Wellness Coach
+AF8BA8 Voila!
+A55749 Volcanic
+6F7678 Volcanic Ash
+E15835 Volcanic Blast
+72453A Volcanic Brick
+615C60 Volcanic Glass
+605244 Volcanic Island
+6B6965 Volcanic Rock
+404048 Volcanic Sand
+45433B Volcanic Stone Green
+BE462F Volcanic Unrest
+4E2728 Volcano
+2D135F Voldemort
+CEFF00 Volt
+3B4956 Voltage
+673033 Voluptuous
+7711DD Voluptuous Violet
+445A5E Volute
+443240 Voodoo
+824D8F Voodoo Violet
+FEEEED Voracious White
+83769C Voxatron Purple
+719CA4 Voyage
+4D5062 Voyager
+9A937F Voysey Grey
+36383C Vulcan
+5F3E42 Vulcan Burgundy
+E6390D Vulcan Fire
+897F79 Vulcan Mud
+424443 Vulcanised
+C8C8B5 Wabi-Sabi
+EEAACC Waddles Pink
+D4BBB1 Wafer
+E2C779 Waffle Cone
+CDBDBA Wafting Grey
+6D4D27 Wagon Train
+C2B79E Wagon Wheel
+272D4E Wahoo
+5B6E91 Waikawa Grey
+218BA0 Waikiki
+004411 Wailing Woods
+4CA2D9 Waimea Blue
+9C9D85 Wainscot Green
+4C4E31 Waiouru
+654BC9 Waiporoporo Purple
+9D9D9D Waiting
+00656E Wakame Green
+6B9362 Wakatake Green
+F6D559 Wake Me Up
+295468 Wakefield
+789BB6 Walden Pond
+88BB11 Walk in the Park
+3BB08F Walk in the Woods
+496568 Walk Me Home
+3D87BB Walker Lake
+FAF5FA Walkie Chalkie
+849B63 Walking Dead
+FCFC9D Walking on Sunshine
+A2785D Walking Stick
+A3999C Walkway
+ABAE86 Wall Green
+656D73 Wall Street
+11CC44 Walled Garden
+9B5953 Walleye
+A0848A Wallflower
+E4E3E6 Wallflower White
+C6BDBF Wallis
+E9EDF1 Walls of Santorini
+773F1A Walnut
+4C0400 Walnut Brown
+F5D8B2 Walnut Cream
+5C5644 Walnut Grove
+5D5242 Walnut Hull
+FFF0CF Walnut Milkies
+EECB88 Walnut Oil
+AA8344 Walnut Shell
+774E37 Walnut Wood
+999B9B Walrus
+C8D9DD Wan Blue
+E4E2DC Wan White
+5E5648 Wanderer
+73A4C6 Wandering River
+876D5E Wandering Road
+A6A897 Wandering Willow
+426267 Wanderlust
+643530 War God
+DC571D War Paint Red
+B50038 Warlock Red
+BA0033 Warlord
+654740 Warm Air of Debonair
+CDB49F Warm Alpaca
+CBB68F Warm and Toasty
+FFB865 Warm Apricot
+CFC9C7 Warm Ashes
+9C9395 Warm Asphalt
+3B1F23 Warm Balaclavas Are Forever
+E3CDAC Warm Biscuits
+004242 Warm Black
+4B57DB Warm Blue
+F9E6D3 Warm Bread
+A1BEC1 Warm Breezes
+964E02 Warm Brown
+604840 Warm Brownie
+D8BFA2 Warm Buff
+E6D5BA Warm Buttercream
+D0B082 Warm Butterscotch
+BF6A52 Warm Cider
+F9D09C Warm Cocoon
+A88168 Warm Cognac
+B38A82 Warm Comfort
+B97254 Warm Copper
+C36C2D Warm Cream Spirit
+E4CEB5 Warm Croissant
+927558 Warm Earth
+93817E Warm Embrace
+7E8272 Warm Eucalyptus
+DED3CA Warm Fog
+F6E2CE Warm Fuzzies
+F1CF8A Warm Glow
+A49E97 Warm Granite
+978A84 Warm Grey
+ACA49A Warm Grey Flannel
+736967 Warm Haze
+F6B3A7 Warm Heart
+BE9677 Warm Hearth
+C89F59 Warm Leather
+FFF9D8 Warm Light
+6D4741 Warm Mahogany
+F6F1E1 Warm Milk
+E1BE8B Warm Muffin
+C1B19D Warm Neutral
+8F6A50 Warm Nutmeg
+D9CEC0 Warm Oatmeal
+D8CFBA Warm Oats
+C7B63C Warm Olive
+4C4845 Warm Onyx
+483838 Warm Operator’s Overalls
+B4ADA6 Warm Pewter
+FB5581 Warm Pink
+513938 Warm Port
+5C4E44 Warm Pumpernickel
+952E8F Warm Purple
+D2C8B9 Warm Putty
+C5AE91 Warm Sand
+B2B1AF Warm Shale
+DDC9B1 Warm Shell
+987744 Warm Spice
+4286BC Warm Spring
+A79A8A Warm Stone
+FAF6DB Warm Sun
+F1CA95 Warm Sunshine
+AB917D Warm Taupe
+C1775E Warm Terra Cotta
+F3F5DC Warm Turbulence
+9E6654 Warm Up
+A66E68 Warm Wassail
+A89A8C Warm Waterlogged Lab Coat
+7EBBC2 Warm Waters
+EA9073 Warm Welcome
+8D894A Warm Wetlands
+EFEBD8 Warm White
+D4EDE3 Warm Winter
+D0B55A Warm Woollen
+5C3839 Warmed Wine
+D44B3B Warming Heart
+E4B9A2 Warming Peach
+9F552D Warmth
+803020 Warmth of Teamwork
+E5D5C9 Warp & Weft
+EAF2F1 Warp Drive
+6B6A74 Warpfiend Grey
+515131 Warplock Bronze
+927D7B Warplock Bronze Metal
+168340 Warpstone Glow
+B8966E Warrant
+6B654E Warren Tavern
+7D685B Warrior
+A32D48 Warrior Queen
+AFD77F Wasabi
+A9AD74 Wasabi Green
+333300 Wasabi Nori
+849137 Wasabi Nuts
+B4C79C Wasabi Peanut
+BDB38F Wasabi Powder
+D2CCA0 Wasabi Zing
+FAFBFD Wash Me
+1F262A Washed Black
+94D1DF Washed Blue
+F3F0DA Washed Canvas
+819DBE Washed Denim
+E1E3D7 Washed Dollar
+CCD1C8 Washed Green
+FAE8C8 Washed in Light
+CAC2AF Washed Khaki
+C5C0A3 Washed Olive
+DEDFCC Washed Sage
+FFB3A7 Washed-Out Crimson
+C3D8E4 Washing Powder Soft Blue
+C2DCE3 Washing Powder White
+DCB89D Wassail
+9C8855 Wasteland
+89C3EB Wasurenagusa Blue
+8FBABC Watchet
+D4F1F9 Water
+5AB5CB Water Baby
+CFDFDD Water Baptism
+0E87CC Water Blue
+4999A1 Water Carrier
+EDE4CF Water Chestnut
+355873 Water Chi
+75A7AD Water Cooler
+E1E5DC Water Droplet
+75B790 Water Fern
+7AC6D9 Water Flow
+77B6D5 Water Fountain
+76AFB6 Water Glitter
+81B89A Water Green
+A0A3D2 Water Hyacinth
+E2E3EB Water Iris
+B6ECDE Water Leaf
+DDE3D5 Water Lily
+C7D8E3 Water Mist
+6FB0BE Water Music
+81D0DF Water Nymph
+4F5156 Water Ouzel
+54AF9C Water Park
+B56C60 Water Persimmon
+0083C8 Water Raceway
+B0AB80 Water Reed
+949381 Water Scrub
+65A5D5 Water Spirit
+44BBCC Water Sports
+E5EECC Water Sprout
+D8EBEA Water Squirt
+A9BDB8 Water Surface
+958F88 Water Tower
+ACC7E5 Water Wash
+A28566 Water Wheel
+80D5CC Water Wings
+80D4D0 Water Wonder
+084D58 Watercolour Blue
+D6C9DE Watercolour Grape
+96B47E Watercolour Green
+B9D9E7 Watercolour Sky
+DBE5DB Watercolour White
+5CCBD6 Watercourse
+6E9377 Watercress
+C7C7A1 Watercress Pesto
+748C69 Watercress Spice
+3AB0A2 Waterfall
+E4EEEA Waterfall Mist
+D4E4E5 Waterfront
+2F3F53 Waterhen Back
+436BAD Waterline Blue
+7B7C94 Waterloo
+DEE9DF Watermark
+FD4659 Watermelon
+FD5B78 Watermelon Candy
+BF6C6E Watermelon Crush
+C0686E Watermelon Gelato
+F05C85 Watermelon Juice
+DFCFCA Watermelon Milk
+FBE0E8 Watermelon Mousse
+C77690 Watermelon Pink
+E08880 Watermelon Punch
+BF4147 Watermelon Red
+E42B73 Watermelon Sugar
+EB4652 Watermelonade
+D3CCCD Watermill Wood
+DCECE7 Waterscape
+B0CEC2 Watershed
+D2F3EB Waterslide
+A4F4F9 Waterspout
+637FBB Watertown
+7EB7BF Waterway
+00718A Waterworld
+AEBDBB Watery
+88BFE7 Watery Sea
+74AEBA Watson Lake
+D6CA3D Wattle
+F2CDBB Watusi
+A5CED5 Wave
+DCE9EA Wave Crest
+9AAAB6 Wave Goodbye
+6C919F Wave Jumper
+A0764A Wave of Grain
+A7C9C0 Wave Runner
+CBE4E7 Wave Splash
+AFD9D3 Wave Top
+7DC4CD Wavelet
+C7AA7C Waves of Grain
+AEA266 Wavy Glass
+006597 Wavy Navy
+DDBB33 Wax
+00A4A6 Wax Crayon Blue
+EEB39E Wax Flower
+D8DB8B Wax Green
+F1E6CC Wax Poetic
+E2D5BD Wax Sculpture
+D3B667 Wax Way
+EAE8A0 Wax Yellow
+B38241 Waxen Moon
+C0C2C0 Waxwing
+F8B500 Waxy Corn
+1188CC Way Beyond the Blue
+00C000 Waystone Green
+D9DCD1 Wayward Willow
+DEDFE2 Wayward Wind
+99CC04 Waywatcher Green
+5E5A59 Waza Bear
+B21B00 Wazdakka Red
+FDD7D8 We Peep
+E1F2DF Weak Green
+EADEE4 Weak Mauve
+E0F0E5 Weak Mint
+FAEDE3 Weak Orange
+ECDEE5 Weak Pink
+B47B27 Weapon Bronze
+9F947D Weather Board
+593A27 Weathered Bamboo
+D2E2F2 Weathered Blue
+59504C Weathered Brown
+EAD0A9 Weathered Coral
+988A72 Weathered Fossil
+D5C6C2 Weathered Hide
+90614A Weathered Leather
+E4F5E1 Weathered Mint
+BABBB3 Weathered Moss
+7B9093 Weathered Pebble
+EADFE8 Weathered Pink
+867C61 Weathered Plank
+F9F4D9 Weathered Plastic
+B5745C Weathered Saddle
+DFC0A6 Weathered Sandstone
+937F68 Weathered Shingle
+C4C5C6 Weathered Stone
+E6E3D9 Weathered White
+97774D Weathered Wicker
+B19C86 Weathered Wood
+BDAE95 Weatherhead
+2C201A Weathervane
+BFB18A Weaver’s Spool
+9D7F62 Weaver’s Tool
+8F684B Webcap Brown
+EDEADC Wedded Bliss
+EDE6E9 Wedding
+EEE2C9 Wedding Cake
+E7E8E1 Wedding Cake White
+FEFEE7 Wedding Dress
+BCB6CB Wedding Flowers
+FFFEE5 Wedding in White
+B5C1AC Wedding Mint
+F6DFD8 Wedding Pink
+E1ECA5 Wedge of Lime
+4C6B88 Wedgewood
+9FE4AA Weekend Gardener
+E9C2AD Weekend Retreat
+5D8727 Weeping Fig
+B3B17B Weeping Willow
+D7DDEC Weeping Wisteria
+5A06EF Wèi Lán Azure
+9C8D7D Weimaraner
+3AE57F Weird Green
+B3833B Weissbier
+E4E1D6 Weisswurst White
+C09C6A Welcome Home
+D4C6A7 Welcome Walkway
+F3E3CA Welcome White
+EEAA00 Welcoming Wasp
+F1E3CA Welcoming White
+6F6F6D Welded Iron
+7C98AB Weldon Blue
+00888B Well Blue
+7E633F Well Read
+63ADB9 Well Water
+564537 Well-Bred Brown
+54606A Wellerman
+4F6364 Wellington
+B9B5A4 Wells Grey
+26AD8D Wells of Wonder
+22BB66 Welsh Onion
+645452 Wenge
+3E2A2C Wenge Black
+345362 Wentworth
+7E6152 Werewolf Fur
+5C512F West Coast
+E5823A West Side
+586D77 West Winds
+D4CFC5 Westar
+A49D70 Westcar Papyrus
+797978 Westchester Grey
+E0D5CC Westchester White
+5D3B31 Western Brown
+8B6A65 Western Clay
+BA816E Western Pink
+8D5E41 Western Pursuit
+9B6959 Western Red
+8D876D Western Reserve
+B28B80 Western Ridge
+BEAA99 Western Sandstone
+DAA36F Western Sunrise
+CDBB8D Western Wear
+FCD450 Westfall Yellow
+2A4442 Westhaven
+F3EEE3 Westhighland White
+9C7C5B Westminster
+A3623B Wet Adobe
+5A6457 Wet Aloeswood
+B2BEB5 Wet Ash
+989CAB Wet Asphalt
+89877F Wet Cement
+222023 Wet Charcoal
+A49690 Wet Clay
+353838 Wet Concrete
+D1584C Wet Coral
+A36C64 Wet Desert Clay
+B9A023 Wet Leaf
+9E9F97 Wet Pavement
+E0816F Wet Pottery Clay
+897870 Wet River Rock
+AE8F60 Wet Sand
+786D5F Wet Sandstone
+8A96A0 Wet Seal
+50493C Wet Suit
+907E6C Wet Taupe
+929090 Wet Weather
+706B71 Wetbar
+7D949E Wethers Field
+859488 Wethersfield Moss
+C1A98F Wetland Clay
+A49F80 Wetland Stone
+71736A Wetlands
+372418 Wetlands Swamp
+7C8181 Whale
+E5E7E4 Whale Bone
+59676B Whale Grey
+607C8E Whale Shark
+86878C Whale Tail
+A5A495 Whale Watching
+C7D3D5 Whale’s Mouth
+115A82 Whale’s Tale
+2E7176 Whaling Waters
+65737E Wharf View
+BBBCAE Wharf Wind
+441122 What We Do in the Shadows
+FFF4E8 What’s Left
+FBDD7E Wheat
+BF923B Wheat Beer
+DFBB7E Wheat Bread
+DDD6CA Wheat Flour White
+C7C088 Wheat Grass
+976B53 Wheat Penny
+E3D1C8 Wheat Seed
+DFD4C4 Wheat Sheaf
+D8B998 Wheat Toast
+A49A79 Wheat Tortilla
+AD935B Wheatacre
+C8865E Wheatberry
+FBEBBB Wheaten White
+DFD7BD Wheatfield
+9E8451 Wheatmeal
+FFCD00 Wheel of Dharma
+B8BEBF Wheels Up!
+584165 When Blue Met Red
+564375 When Red Met Blue
+585C79 When Worlds Collide
+C19851 Where Buffalo Roam
+C7CCCE Where There Is Smoke
+DD262B Whero Red
+D8D6C5 Whetstone
+9F6F55 Whetstone Brown
+DEE9CF Whiff of Green
+00EBFF Whimsical Blue
+ECE4E2 Whimsical White
+ED9987 Whimsy
+B0DCED Whimsy Blue
+A09176 Whipcord
+C74547 Whiplash
+FFD299 Whipped Apricot
+F0EDD2 Whipped Citron
+EDECE7 Whipped Coconut Cream
+F2F0E7 Whipped Cream
+C7DDD6 Whipped Mint
+FACCAD Whipped Peach
+9CCA84 Whipped Pistachio
+D8CBE0 Whipped Plum
+C9565A Whipped Strawberry
+A1A8D5 Whipped Violet
+F2EEE0 Whipped White
+CEC1B5 Whippet
+FAF5E7 Whipping Cream
+9BA868 Whirled Peas
+E6CDCA Whirligig
+DFD4C0 Whirligig Geyser
+A5D8CD Whirlpool
+A7D0C5 Whirlpool Green
+E2D5D3 Whirlwind
+F6F1E2 Whiskers
+D29062 Whiskey
+49463F Whiskey and Wine
+85705F Whiskey Barrel
+D4915D Whiskey Sour
+C2877B Whisky
+96745B Whisky Barrel
+772233 Whisky Cola
+EEAA33 Whisky Sour
+EFE6E6 Whisper
+E5E8F2 Whisper Blue
+CBEDE5 Whisper of Grass
+D4AFDA Whisper of Plum
+CDA2AC Whisper of Rose
+CBCECF Whisper of Smoke
+EADBCA Whisper of White
+D4C5B4 Whisper Pink
+C9C3B5 Whisper Ridge
+C7C0C5 Whisper Soft
+DFDED9 Whisper Softly
+FFE5B9 Whisper Yellow
+3F4855 Whispered Secret
+C8DCDC Whispering Blue
+D7E5D8 Whispering Frost
+AC9D64 Whispering Grasslands
+536151 Whispering Oaks
+FEDCC3 Whispering Peach
+C8CAB5 Whispering Pine
+ECECDA Whispering Rain
+D8D8D4 Whispering Smoke
+E3E6DB Whispering Waterfall
+919C81 Whispering Willow
+B7C3BF Whispering Winds
+D6E9E6 Whispery Breeze
+C49E8F Whistler Rose
+FFFFFF White
+D7A98C White Acorn
+EFEBE7 White Alyssum
+FEFEFE White as Heaven
+ECEABE White Asparagus
+E4DFD0 White Basics
+E8EFEC White Bass
+F5EFE5 White Beach
+E8D0B2 White Bean Hummus
+EBDFDD White Beet
+E3E7E1 White Blaze
+F4ECDB White Blossom
+CDD6DB White Blue
+FBECD8 White Blush
+BFD0CB White Box
+E3E0E8 White Bud
+DFDFDA White Bullet
+B0B49B White Cabbage
+FAECE1 White Canvas
+DBD5D1 White Castle
+F5DEC2 White Cedar
+F6F4F1 White Chalk
+E7DBDD White Cherry
+F0E3C7 White Chocolate
+F4E8E8 White Christmas
+D6D0CC White City
+E8E1D3 White Clay
+E8E3C9 White Cliffs
+F2F2ED White Cloud
+E6E0D4 White Coffee
+F4F2F4 White Convolvulus
+F0D498 White Corn
+F9F8EF White Crest
+F9EBC5 White Currant
+FDFAF1 White Desert
+EFEAE6 White Dogwood
+F5EEDE White Down
+CECABA White Duck
+EDEDED White Edgar
+DEDEE5 White Elephant
+F2E9D3 White Fence
+FBF4E8 White Fever
+C8C2C0 White Flag
+F5EDE0 White Flour
+DEE6EC White Frost
+F1EFE7 White Fur
+C9C2BD White Gauze
+F1F1E1 White Geranium
+DDEEEE White Glaze
+FFEEEE White Gloss
+F0EFED White Glove
+C8D1C4 White Granite
+BBCC99 White Grape
+FCF0DE White Grapefruit
+D6E9CA White Green
+E2E6D7 White Hamburg Grapes
+FDF9EF White Heat
+E7E1D7 White Heron
+EAD8BB White Hot Chocolate
+F3E5D1 White Hyacinth
+F9F6DD White Hydrangea
+DFE2E7 White Iris
+D0D6A8 White Jade
+F7F4DF White Jasmine
+DFDFDB White Kitten
+E2E7E7 White Lake
+E1E2EB White Lavender
+DEDEDC White Lie
+E7E5E8 White Lilac
+FAF0DB White Lily
+EEE7DD White Linen
+E2DCD2 White Luxe
+F7F0E5 White Luxury
+F2E6DF White Meadow
+ECF3E1 White Mecca
+D1D1CF White Metal
+EFEEE9 White Mink
+E0E7DA White Mint
+F5F4E6 White Mirage
+E7DCCC White Mocha
+EBEAE2 White Moderne
+D8D6C0 White Moss
+F6EDDB White Mountain
+B9A193 White Mouse
+F8F6D8 White Nectar
+CE9F6F White Oak
+E7E2DD White Opal
+F5F3F5 White Owl
+F9E6DA White Peach
+EDE1D1 White Pearl
+AE9E86 White Pepper
+F0EFEB White Picket Fence
+DAD6CC White Pointer
+F8FBF8 White Porcelain
+C3BDAB White Primer
+F6E8DF White Pudding
+F8EEE7 White Rabbit
+E2E8CF White Radish
+E5C28B White Raisin
+D4CFB4 White Rock
+F0E0DC White Russian
+D2D4C3 White Sage
+EBEBE7 White Sail
+F5EBD8 White Sand
+E4EEEB White Sapphire
+D9DED6 White Sash
+8C9FA1 White Scar
+D7E5EA White Sea
+E4DBCE White Sesame
+D1D3E0 White Shadow
+F1F0EC White Shoulders
+EBE6D8 White Silence
+F5F5F5 White Smoke
+F4F5FA White Solid
+9FBDAD White Spruce
+FDE3B5 White Strawberry
+F1FAEA White Sulphur
+F7F1E2 White Swan
+C5B8A8 White Tiger
+EFDBCD White Truffle
+83CCD2 White Ultramarine
+C5DCB3 White Vienna
+EFE6D1 White Warm Wool
+EDEEEF White Whale
+ECF4DD White Willow
+DEDBCE White Wisp
+DED8D2 White Woodruff
+F2EFDE White Wool
+F8EEE3 White Zin
+DEDBDE White-Collar
+F3E8EA White-Red
+DEE3DE Whitecap Foam
+DBD0BC Whitecap Grey
+FFFDFD Whitecap Snow
+050D02 Whiten’t
+DEE0D2 Whitened Sage
+FBFBFB Whiteout
+F8F9F5 Whitest White
+F4EEE5 Whitetail
+FEFFFC Whitewash
+CAC9C0 Whitewash Oak
+FAF2E3 Whitewashed Fence
+AEC9DC Whiting Cottage
+B2A188 Whitney Oaks
+8B7181 Who-Dun-It
+D4AE7E Whole Grain
+03C03C Whole Nine Yards
+A48B73 Whole Wheat
+AAA662 Wholemeal Cookie
+BEC1CF Whomp Grey
+9BCA47 Wicked Green
+37115C Wicked Purple
+5B984F Wicked Witch
+847567 Wicker Basket
+FCE4AF Wickerware
+C19E80 Wickerwork
+4F6C8F Wickford Bay
+416FAF Wide Sky
+F9D9D7 Wide-Eyed
+99AAFF Widowmaker
+874E3C Wiener Dog
+EE9900 Wiener Schnitzel
+FEF9D7 Wild Apple
+A53783 Wild Aster
+63775A Wild Axolotl
+EAC37E Wild Bamboo
+6B8372 Wild Beet Leaf
+7E3A3C Wild Berry
+795745 Wild Bill Brown
+7A89B8 Wild Blue Yonder
+553322 Wild Boar
+5A4747 Wild Boysenberry
+47241A Wild Brown
+1CD3A2 Wild Caribbean Green
+916D5D Wild Cattail
+BC5D58 Wild Chestnut
+665134 Wild Chocolate
+93A3C1 Wild Clary
+6E3C42 Wild Cranberry
+7C3239 Wild Currant
+F4D967 Wild Daffodil
+8B8C89 Wild Dove
+545989 Wild Elderberry
+38914A Wild Forest
+986A79 Wild Geranium
+825059 Wild Ginger
+80805D Wild Ginseng
+5E496C Wild Grapes
+998643 Wild Grass
+95856D Wild Hawk
+9D7B74 Wild Hemp
+CEC7AA Wild Hillside
+EECC00 Wild Honey
+8D6747 Wild Horses
+2F2F4A Wild Iris
+6F7142 Wild Jungle
+A47FA3 Wild Lavender
+A5C1C0 Wild Life
+BEB8CD Wild Lilac
+C4CD4F Wild Lime
+684944 Wild Manzanita
+FFE2C7 Wild Maple
+A96388 Wild Mulberry
+84704B Wild Mushroom
+695649 Wild Mustang
+CAA867 Wild Mustard Seed
+ECDBC3 Wild Oats
+9C8042 Wild Olive
+D979A2 Wild Orchid
+B4B6DA Wild Orchid Blue
+6373B4 Wild Pansy
+B97A77 Wild Party
+9EA5C3 Wild Phlox
+767C6B Wild Pigeon
+83455D Wild Plum
+B85B57 Wild Poppy
+D6C0AA Wild Porcini
+EBDD99 Wild Primrose
+614746 Wild Raisin
+D5BFB4 Wild Rice
+DC143C Wild Rider Red
+447382 Wild River
+CB7D96 Wild Rose
+B5A38C Wild Rye
+7E877D Wild Sage
+E7E4DE Wild Sand
+8A6F45 Wild Seaweed
+7C5644 Wild Stallion
+FF3399 Wild Strawberry
+654243 Wild Thing
+9E9FB6 Wild Thistle
+7E9C6F Wild Thyme
+463F3C Wild Truffle
+63209B Wild Violet
+FC6D84 Wild Watermelon
+7E5C52 Wild West
+E0E1D1 Wild Wheat
+91857C Wild Wilderness
+BECA60 Wild Willow
+686B93 Wild Wisteria
+F5EEC0 Wildcat Grey
+8F886C Wilderness
+C2BAA8 Wilderness Grey
+FF8833 Wildfire
+927D9B Wildflower
+FFB3B1 Wildflower Bouquet
+C69C5D Wildflower Honey
+CCCFE2 Wildflower Prairie
+5D9865 Wildness Mint
+CDB99B Wildwood
+AA83A4 Wilhelminian Pink
+D7D8DD Will o’ the Wisp
+DDC765 Williams Pear Yellow
+8C7A48 Willow
+59754D Willow Bough
+DFE6CF Willow Brook
+93B881 Willow Dyed
+C3CABF Willow Green
+817B69 Willow Grey
+69755C Willow Grove
+84C299 Willow Hedge
+A1A46D Willow Leaf
+5B6356 Willow Sooty Bamboo
+E7E6E0 Willow Springs
+9E8F66 Willow Tree
+C8D5BB Willow Tree Mouse
+D5DCA9 Willow Wind
+58504D Willow Wood
+F0D29D Willow-Flower Yellow
+929D81 Willowbrook Manor
+914681 Willowherb
+F3F2E8 Willowside
+FD5800 Willpower Orange
+886144 Wilmington
+BD9872 Wilmington Tan
+AB4C3D Wilted Brown
+EEDAC9 Wilted Leaf
+626D5B Wimbledon
+DDE3E7 Wind Blown
+B1C9DF Wind Blue
+686C7B Wind Cave
+DFE0E2 Wind Chime
+D5E2EE Wind Force
+D0D8CF Wind Fresh White
+C8DEEA Wind of Change
+E8BABD Wind Rose
+BFD6D9 Wind Speed
+6875B7 Wind Star
+C7DFE6 Wind Tunnel
+C5D1D8 Wind Weaver
+D5D8D7 Windchill
+84A7CE Windfall
+BC9CA2 Windflower
+5B584C Windgate Hill
+F5E6C9 Windham Cream
+C6BBA2 Winding Path
+62A5DF Windjammer
+F5ECE7 Windmill
+A79B83 Windmill Park
+F0F1EC Windmill Wings
+BCAFBB Window Box
+989EA1 Window Grey
+E4ECDF Window Pane
+7C8899 Window Screen
+018281 Windows 95 Desktop
+3778BF Windows Blue
+CEBCAE Windrift Beige
+5E6C62 Windrock
+DBD3C6 Windrush
+E0E1DA Winds Breath
+462C77 Windsor
+A75502 Windsor Brown
+C4B49C Windsor Greige
+626066 Windsor Grey
+A697A7 Windsor Haze
+545C4A Windsor Moss
+C9AFD0 Windsor Purple
+CABBA1 Windsor Tan
+CCB490 Windsor Toffee
+9FC9E4 Windsor Way
+5F2E3D Windsor Wine
+6D98C4 Windstorm
+91AAB8 Windsurf
+718BAE Windsurf Blue
+D7E2DE Windsurfer
+3A7099 Windsurfing
+D1F1F5 Windswept
+E3E4E5 Windswept Beach
+DBA480 Windswept Canyon
+9EB8BB Windswept Clouds
+B7926B Windswept Leaves
+C2E5E0 Windwood Spring
+BDD1D2 Windy
+AABAC6 Windy Blue
+88A3C2 Windy City
+8CB0CB Windy Day
+B0A676 Windy Meadow
+3D604A Windy Pine
+667F8B Windy Seas
+E8EBE7 Windy Sky
+80013F Wine
+A33540 Wine & Roses
+772C30 Wine and Unwind
+AA5522 Wine Barrel
+D3D6C4 Wine Bottle
+254636 Wine Bottle Green
+5F3E3E Wine Brown
+913338 Wine Cask
+70403D Wine Cellar
+866D4C Wine Cork
+602234 Wine Country
+96837D Wine Crush
+673145 Wine Dregs
+E5D8E1 Wine Frost
+643B46 Wine Goblet
+941751 Wine Grape
+67334C Wine Gummy Red
+355E4B Wine Leaf
+864C58 Wine Not
+7B0323 Wine Red
+69444F Wine Stain
+8F7191 Wine Stroll
+492A34 Wine Tasting
+653B66 Wine Tour
+D7C485 Wine Yellow
+663366 Wineberry
+433748 Wineshade
+0065AC Wing Commander
+5A6868 Wing Man
+EBE4E2 Winged Victory
+EFE8D7 Wings of an Angel
+9EBBDA Wings of Pegasus
+BAD5D4 Wingsuit Wind
+7792AF Wink
+365771 Winner’s Circle
+F0DCCB Winners Shower
+894144 Winning Red
+636653 Winning Ticket
+E0CFC2 Winsome Beige
+E7E9E4 Winsome Grey
+A7D8E1 Winsome Hue
+CCACC1 Winsome Orchid
+C28BA1 Winsome Rose
+B0A6C2 Winter Amethyst
+314747 Winter Balsam
+B8C8D3 Winter Blizzard
+582D48 Winter Bloom
+BDB5B3 Winter Calm
+8ECED8 Winter Chill
+83C7DF Winter Chime
+45494C Winter Coat
+BAAAA7 Winter Cocoa
+6E7A7C Winter Could Grey
+DEDAD8 Winter Dawn
+E3E7E9 Winter Day
+9B8767 Winter Delta
+F5F1EA Winter Doldrums
+B8B8CB Winter Dusk
+FFFFE0 Winter Duvet
+B4E5EC Winter Escape
+476476 Winter Evening
+BCAF9E Winter Feather
+9CA4A5 Winter Flannel
+D6EEDD Winter Fresh
+E4DECD Winter Frost
+C4D2D0 Winter Garden
+EAEBE0 Winter Glaze
+48907B Winter Green
+5E737D Winter Harbor
+E1E6EB Winter Haven
+CEC9C1 Winter Haze
+D0C383 Winter Hazel
+798772 Winter Hedge
+DBDFE9 Winter Ice
+D8D2C7 Winter in New York
+6E878B Winter in Paris
+5C97CF Winter Lake
+B7FFFA Winter Meadow
+E7FBEC Winter Mist
+D1C295 Winter Mood
+D9D9D6 Winter Morn
+FDEBD8 Winter Morning
+A7B3B5 Winter Morning Mist
+676449 Winter Moss
+A99F97 Winter Nap
+63594B Winter Oak
+F2FAED Winter Oasis
+E7E3E7 Winter Orchid
+41638A Winter Palace
+95928D Winter Park
+8E9549 Winter Pea Green
+EBD9D0 Winter Peach
+B0B487 Winter Pear
+C7A55F Winter Pear Beige
+AE3C3D Winter Poinsettia
+AAA99D Winter Rye
+AA9D80 Winter Sage
+DAC7BA Winter Savanna
+BECEDB Winter Scene
+303E55 Winter Sea
+4F6B79 Winter Shadow
+E3EFDD Winter Shamrock
+A9C0CB Winter Sky
+49545C Winter Solstice
+ACB99F Winter Squash
+4B7079 Winter Storm
+E8DADD Winter Sunrise
+CA6636 Winter Sunset
+7FB9AE Winter Surf
+4090A2 Winter Time
+877C6D Winter Twig
+80A9B8 Winter Twilight
+E0E7E0 Winter Veil
+D8D5CC Winter Walk
+21424D Winter Waves
+3E474C Winter Way
+F1E4DC Winter Wedding
+DCBE97 Winter Wheat
+F5ECD2 Winter White
+C1D8AC Winter Willow Green
+A0E6FF Winter Wizard
+B3BFC8 Winter Wonderland
+DEECED Winter’s Breath
+C7CCD8 Winter’s Fury
+B4474D Winterberry Frost
+20F986 Wintergreen
+56887D Wintergreen Dream
+C6E5CA Wintergreen Mint
+4F9E81 Wintergreen Shadow
+94D2BF Wintermint
+BDD4DE Winterscape
+B5AFFF Winterspring Lilac
+786DAA Wintertime Mauve
+8BA494 Wintessa
+FDE6D6 Winthrop Peach
+A7AFAC Wintry Sky
+8B7180 Wiped Out
+3E8094 Wipeout
+676662 Wire Wool
+E2E3D8 Wisdom
+CDBBA5 Wise Owl
+B6BCDF Wish
+447F8A Wish Upon a Star
+53786A Wishard
+D8DDE6 Wishful Blue
+C8E2CC Wishful Green
+FCDADF Wishful Thinking
+F4F1E8 Wishful White
+604F5A Wishing Star
+9A834B Wishing Troll
+D0D1C1 Wishing Well
+EBDEDB Wishy-Washy Beige
+C6E0E1 Wishy-Washy Blue
+D1C2C2 Wishy-Washy Brown
+DFEAE1 Wishy-Washy Green
+DEEDE4 Wishy-Washy Lichen
+F5DFE7 Wishy-Washy Lilies
+EEF5DB Wishy-Washy Lime
+EDDDE4 Wishy-Washy Mauve
+DDE2D9 Wishy-Washy Mint
+F0DEE7 Wishy-Washy Pink
+E1DADD Wishy-Washy Red
+E9E9D5 Wishy-Washy Yellow
+F2A599 Wisley Pink
+A9BADD Wisp
+C2DCB4 Wisp Green
+D9C6B2 Wisp of Cocoa
+E5E7E9 Wisp of Smoke
+F9E8E2 Wisp Pink
+C6AEAA Wispy Mauve
+BCC7A4 Wispy Mint
+F3EBEA Wispy Pink
+D8DCE1 Wispy Skies
+FFC196 Wispy White
+A87DC2 Wisteria
+84A2D4 Wisteria Blue
+BBBCDE Wisteria Fragrance
+A6A8C5 Wisteria Light Soft Blue
+E6C8FF Wisteria Powder
+875F9A Wisteria Purple
+CED9DC Wisteria Snow
+B2ADBF Wisteria Trellis
+E4CADC Wisteria Whisper
+F7C114 Wisteria Yellow
+B2A7CC Wisteria-Wise
+A29ECD Wistful
+EADDD7 Wistful Beige
+E33928 Wistful Longing
+966F77 Wistful Mauve
+AA9966 Wistman’s Wood
+888738 Witch Brew
+FBF073 Witch Hazel
+8E8976 Witch Hazel Leaf
+692746 Witch Soup
+113300 Witch Wart
+7C4A33 Witch Wood
+4C3D29 Witch’s Cottage
+474C50 Witchcraft
+35343F Witches Cauldron
+4F4552 Witching
+D1D1BB With a Twist
+BCA380 With the Grain
+C5B692 Withered Moss
+A26766 Withered Rose
+90C0C9 Witness
+B1D99D Witty Green
+4D5B88 Wizard
+0073CF Wizard Blue
+525E68 Wizard Grey
+6D4660 Wizard Time
+DFF1FD Wizard White
+A090B8 Wizard’s Brew
+5D6098 Wizard’s Potion
+584B4E Wizard’s Spell
+007C76 Wizards Orb
+597FB9 Woad Blue
+6C9898 Woad Indigo
+584769 Woad Purple
+C19A6B Wobbegong Brown
+788389 Wolf
+A8FF04 Wolf Lichen
+78776F Wolf Pack
+3D343F Wolf’s Bane
+5C5451 Wolf’s Fur
+B5B6B7 Wolfram
+91989D Wolverine
+EF8E9F Wonder Lust
+A085A6 Wonder Violet
+635D63 Wonder Wine
+A97898 Wonder Wish
+ABCB7B Wonder Woods
+718A70 Wonderland
+B8CDDD Wondrous Blue
+A3B1F2 Wondrous Wisteria
+4A2559 Wonka Purple
+D0A46D Wonton Dumpling
+645A56 Wood Acres
+D7CAB0 Wood Ash
+FBEEAC Wood Avens
+302621 Wood Bark
+464646 Wood Charcoal
+90835E Wood Chi
+7A7229 Wood Garlic
+A78C59 Wood Green
+A08475 Wood Lake
+EBA0A7 Wood Nymph
+AABBCC Wood Pigeon
+796A4E Wood Stain Brown
+A47D43 Wood Thrush
+78426F Wood Violet
+584043 Wood-Black Red
+61633F Wood’s Creek
+8A8A36 Woodbine
+847451 Woodbridge
+B3987D Woodbridge Trail
+463629 Woodburn
+8E746C Woodchuck
+8F847A Woodcraft
+B59B7E Wooded Acre
+765A3F Wooden Cabin
+745C51 Wooden Nutmeg
+A89983 Wooden Peg
+A58563 Wooden Swing
+DFB07E Wooden Sword
+815A48 Wooden Wagon
+996633 Woodgrain
+9E7B6C Woodhaven
+96856A Woodkraft
+626746 Woodland
+5F4737 Woodland Brown
+004400 Woodland Grass
+5C645C Woodland Moss
+475C5D Woodland Night
+69804B Woodland Nymph
+A4A393 Woodland Sage
+127A49 Woodland Soul
+B09B89 Woodland Stone
+8B8D63 Woodland Walk
+D8D5D2 Woodland Wildflower
+0D6323 Woodland Wonder
+405B50 Woodlawn Green
+4B5D31 Woodman
+AC8989 Woodrose
+8B9916 Woodruff Green
+45402B Woodrush
+2B3230 Woodsmoke
+9B8A5F Woodstock
+E9CAB6 Woodstock Rose
+3D271D Woodsy Brown
+755F4A Woodward Park
+6E2D2B Woody Brown
+40446C Wooed
+5F655A Woohringa
+AD9A90 Wool Coat
+D9CFBA Wool Skein
+005152 Wool Turquoise
+917747 Wool Tweed
+5E5587 Wool Violet
+DBBDAA Wool-Milk Pig
+B59F55 Woollen Mittens
+DCC9AD Woollen Sox
+B0A582 Woollen Vest
+E7D5C9 Woolly Beige
+F1EBE4 Woolly Lamb
+BB9C7C Woolly Mammoth
+BDE7CF Woolly Mint
+907E63 Woolly Thyme
+A5A192 Wooster Smoke
+572B26 Worcestershire Sauce
+F2BE96 Word of Mouth
+004D67 Work Blue
+CDA366 Workbench
+BFE6D2 Workout Green
+02667B Workshop Blue
+005477 World Peace
+03667B World’s Away
+CEC6BF Worldly Grey
+98978D Worlds Away
+9FAE9E Wormwood Green
+4282C6 Worn Denim
+D4DED4 Worn Jade Tiles
+A69C81 Worn Khaki
+6F6C0A Worn Olive
+C9C0BB Worn Silver
+E8DBD3 Worn Wood
+634333 Worn Wooden
+AB9379 Worsted Tan
+E0D1A0 Woven
+8E7B58 Woven Basket
+CABBB4 Woven Cashmere
+DCB639 Woven Gold
+C9AB96 Woven Jute
+CEAD8E Woven Navajo
+F1DFC0 Woven Raffia
+DDDCBF Woven Reed
+C1AC8B Woven Straw
+B99974 Woven Wicker
+ECEAD0 Wrack White
+5F6D6E Wrapped in Twilight
+76856A Wreath
+4A4139 Wren
+71635E Wright Brown
+E9D6BD Writer’s Parchment
+F1E6CF Writing Paper
+474749 Wrought Iron
+F8D106 Wu-Tang Gold
+CE7639 Wulfenite
+86A96F Wyvern Green
+E6474A X Marks the Spot
+FEF2DC Xâkestari White
+738678 Xanadu
+FFEE55 Xanthe Yellow
+F4E216 Xanthic
+4A3E00 Xanthophobia
+F1B42F Xanthous
+6AB4E0 Xavier Blue
+30A9FF Xed
+847E54 Xena
+B7C0D7 Xenon Blue
+7D0061 Xereus Purple
+E60626 Xiān Hóng Red
+ECE6D1 Xiàng Yá Bái Ivory
+BCB7B0 Xiao Long Bao Dumpling
+FCE166 Xìng Huáng Yellow
+CC1166 Xīpe Totēc Red
+990020 Xmas Candy
+F08497 Xoxo
+679BB3 Yacht Blue
+566062 Yacht Club
+485783 Yacht Club Blue
+7C9DAE Yacht Harbour
+FABBA9 Yahoo
+ECAB3F Yakitori
+0F4D92 Yale Blue
+C98431 Yam
+FFA400 Yamabuki Gold
+CB7E1F Yamabukicha Gold
+9C8A4D Yanagicha
+8C9E5E Yanagizome Green
+F1A141 Yáng Chéng Orange
+EDE8DD Yang Mist
+9E826A Yardbird
+DCCFB6 Yarmouth Oyster
+D8AD39 Yarrow
+547497 Yawl
+7C6C57 Ye Olde Rustic Colour
+AD896A Yearling
+061088 Yearning
+CA135E Yearning Desire
+FAE1AC Yeast
+FFFE00 Yell for Yellow
+FFFF00 Yellow
+B68D4C Yellow Acorn
+F5F5D9 Yellow Avarice
+F9EED0 Yellow Beam
+E3C08D Yellow Beige
+FFDD33 Yellow Bell Pepper
+F1CD7B Yellow Bird
+F4EABA Yellow Bliss
+FDF4BB Yellow Blitz
+FAF3CF Yellow Bombinate
+F9F6E8 Yellow Bonnet
+EAC853 Yellow Brick Road
+AE8B0C Yellow Brown
+EEDD11 Yellow Buzzing
+FFEAAC Yellow Canary
+FFF44F Yellow Cattleya
+F5F9AD Yellow Chalk
+EDB856 Yellow Coneflower
+FFDE88 Yellow Corn
+EED36C Yellow Cream
+F7C66B Yellow Currant
+F6F1D7 Yellow Diamond
+F8E47E Yellow Dragon
+D8E63C Yellow Duranta
+F0F0D9 Yellow Emulsion
+D2CC81 Yellow Endive
+FCE1B6 Yellow Essence
+FFB102 Yellow Exhilaration
+FFCA00 Yellow Flash
+FFE1A0 Yellow Geranium
+BE8400 Yellow Gold
+C8FD3D Yellow Green
+C5E384 Yellow Green Shade
+F7B930 Yellow Groove
+EDE68A Yellow Iris
+FFCC3A Yellow Jacket
+EEE8AA Yellow Jasmine
+DAA436 Yellow Jasper
+FFD379 Yellow Jubilee
+DAB46F Yellow Lab
+F6D099 Yellow Lotus
+CCAA4D Yellow Lupine
+DCC449 Yellow Magic Orchestra
+C0A85A Yellow Maize
+FDFCBF Yellow Mana
+D28034 Yellow Mandarin
+F6D255 Yellow Mask
+F0D31E Yellow Mellow
+73633E Yellow Metal
+95804A Yellow Nile
+C39143 Yellow Ochre
+EAAD04 Yellow of Izamal
+FCB001 Yellow Orange
+EADCC6 Yellow Page
+E9DF8A Yellow Pear
+EEEF06 Yellow Pepper
+F0E74B Yellow Petal
+E4E4CB Yellow Phosphenes
+FCB867 Yellow Polka Dot
+FCFD74 Yellow Powder
+E6E382 Yellow Press
+FFF000 Yellow Rose
+FFF47C Yellow Salmonberry
+FDEE73 Yellow Sand
+F49F35 Yellow Sea
+D19932 Yellow Shout
+FADA5E Yellow Stagshorn
+FFFF14 Yellow Submarine
+E19447 Yellow Sumac
+F9B500 Yellow Summer
+FFF601 Yellow Sunshine
+F7EDB7 Yellow Taffy
+FFF29D Yellow Tail
+FFD300 Yellow Tang
+F9D988 Yellow Trumpet
+F6D06E Yellow Tulip
+FFFDD0 Yellow Urn Orchid
+EAB565 Yellow Varnish
+FFBA6F Yellow Warbler
+C69035 Yellow Warning
+EDE5B7 Yellow Wax Pepper
+FEF6BE Yellow Yarn
+FFEE33 Yellow-Bellied
+C8CD37 Yellow-Green Grosbeak
+EEBB77 Yellow-Rumped Warbler
+F6F1C4 Yellowed Bone
+FAEE66 Yellowish
+9B7A01 Yellowish Brown
+B0DD16 Yellowish Green
+EDEEDA Yellowish Grey
+FFAB0F Yellowish Orange
+FCFC81 Yellowish Tan
+E9F1D0 Yellowish White
+F3D80E Yellowl
+CEB736 Yellowstone
+E4D6BA Yellowstone Park
+C8C48F Yerba Mate
+C7D7E0 Yeti Footprint
+ABBC01 Yew
+656952 Yew Hedge
+E0E1E2 Yín Bái Silver
+848999 Yin Hūi Silver
+3B3C3C Yin Mist
+B1C4CB Yín Sè Silver
+05FFA6 Yíng Guāng Sè Green
+FF69AF Yíng Guāng Sè Pink
+632DE9 Yíng Guāng Sè Purple
+265EF7 YInMn Blue
+F9F59F Yippie Ya Yellow
+FFFF84 Yippie Yellow
+E3E4D2 Yoga Daze
+FFECC3 Yoghurt
+F5E9CE Yoghurt Brûlée
+8A8C66 Yogi
+A291BA Yolanda
+D5A585 Yolande
+EEC701 Yolk
+AA987F York Beige
+F3D9C7 York Bisque
+D7837F York Pink
+D3BFE5 York Plum
+67706D York River Green
+735C53 Yorkshire Brown
+BAC3CC Yorkshire Cloud
+55AA00 Yoshi
+EE7776 You’re Blushing
+FCD8B5 Young Apricot
+D5A1A9 Young at Heart
+68BE8D Young Bamboo
+86AF38 Young Bud
+938C83 Young Colt
+F6A09D Young Crab
+C3B4B3 Young Fawn
+71BC78 Young Fern
+AAC0AD Young Gecko
+C3D825 Young Grass
+AACF53 Young Green Onion
+97D499 Young Greens
+B0C86F Young Leaf
+CA3435 Young Mahogany
+232323 Young Night
+F2E1D2 Young Peach
+ACC729 Young Plum
+B28EBC Young Prince
+BC64A4 Young Purple
+AB4E52 Young Redwood
+FFB6B4 Young Salmon
+FFA474 Young Tangerine
+C9AFA9 Young Turk
+DCDF9D Young Wheat
+B9B58E Young Willow
+220044 Your Darkness
+61496E Your Majesty
+FFC5BB Your Pink
+787E93 Your Shadow
+FBD9CD Yours Truly
+E2C9C8 Youth
+EE8073 Youthful Coral
+A7B3B7 Yreka!
+FFDB58 Yriel Yellow
+C0E2E1 Yù Shí Bái White
+E9AF78 Yucatan
+F2EFE0 Yucatan White Habañero
+75978F Yucca
+A1D7C9 Yucca Cream
+F2EAD5 Yucca White
+2138AB Yuè Guāng Lán Blue
+5959AB Yuè Guāng Lán Moonlight
+826A21 Yukon Gold
+66B032 Yule Tree
+C58A78 Yum Raw Spam
+C7B882 Yuma
+FFD678 Yuma Gold
+CFC5AE Yuma Sand
+1F911F Yushan Green
+FDD200 Yuzu Jam
+FFD766 Yuzu Marmalade
+112200 Yuzu Soy
+D4DE49 Yuzukoshō
+00008B Yves Klein Blue
+0014A8 Zaffre
+EC6D71 Zahri Pink
+6B5A5A Zambezi
+FF990E Zambia
+DDA026 Zamesi Desert
+B2C6B1 Zanah
+D38977 Zanci
+A39A61 Zandri Dust
+823C3D Zangief’s Chest
+E47486 Zany Pink
+7E6765 Zanzibar
+8E7163 Zanzibar Spice
+C1264C Zǎo Hóng Maroon
+F1F3F3 Zappy Zebra
+FDE634 Zard Yellow
+60A448 Zatar Leaf
+CEC6BB Zebra Finch
+9DA286 Zebra Grass
+0090AD Zeftron
+016612 Zelyony Green
+CFD9DE Zen
+99A4BA Zen Blue
+C6BFA7 Zen Essence
+D1DAC0 Zen Garden
+445533 Zen Garden Olive
+BAB8AD Zen Pebble
+5B5D5C Zen Retreat
+497A9F Zenith
+A6C8C7 Zenith Heights
+C39EA3 Zephyr
+7AB091 Zephyr Green
+DDD9C4 Zero Degrees
+332233 Zero Gravity
+C6723B Zest
+92A360 Zesty Apple
+3B3C38 Zeus
+3C343D Zeus Palace
+660077 Zeus Purple
+6C94CD Zeus Temple
+EEFF00 Zeus’s Bolt
+FEF200 Zheleznogorsk Yellow
+F8F8F9 Zhēn Zhū Bái Pearl
+E4C500 Zhohltyi Yellow
+CB464A Zhū Hóng Vermillion
+9F0FEF Zǐ Lúo Lán Sè Violet
+C94CBE Zǐ Sè Purple
+082903 Zia Olive
+81A6AA Ziggurat
+16B8F3 Zima Blue
+6A5287 Zimidar
+92898A Zinc
+A3907E Zinc Blend
+84948B Zinc Blue
+5B5C5A Zinc Dust
+655B55 Zinc Grey
+8C8373 Zinc Lustre
+5A2538 Zinfandel
+5A3844 Zinfandel Red
+FBC17B Zing
+DAC01A Zingiber
+FFA111 Zinnia
+FFD781 Zinnia Gold
+EBC2AF Zinnwaldite
+2C1608 Zinnwaldite Brown
+BCC5AA Zion
+838567 Zipline Green
+DEE3E3 Zircon
+00849D Zircon Blue
+807473 Zircon Grey
+D0E4E5 Zircon Ice
+2C7C79 Zirconia Teal
+F4F3CD Zitronenzucker
+8B9196 Zodiac
+EE8844 Zodiac Constellation
+DADEAD Zombie
+54C571 Zombie Green
+39A78E Zomp
+CA6641 Zōng Hóng Red
+B8BF71 Zoodles
+A29589 Zorba
+17462E Zucchini
+97A98B Zucchini Cream
+E8A64E Zucchini Flower
+AFA170 Zucchini Garden
+C8D07F Zucchini Noodles
+CDD5D5 Zumthor
+6BC026 Zunda Green
+008996 Zuni
+248BCC Zürich Blue
+E6E1D9 Zürich White
+2B61A0 Zydeco Blue
+`;
@@ -0,0 +1,958 @@
+/**
+ * XKCD Color Survey Names
+ * The 949 most common names from the XKCD color survey (Randall Munroe, 2010),
+ * released under CC0 (https://xkcd.com/color/rgb/).
+ * One entry per line: RRGGBB followed by the name.
+ */
+
+const XKCD_COLOR_NAMES = `
+ACC2D9 cloudy blue
+56AE57 dark pastel green
+B2996E dust
+A8FF04 electric lime
+69D84F fresh green
+894585 light eggplant
+70B23F nasty green
+D4FFFF really light blue
+65AB7C tea
+952E8F warm purple
+FCFC81 yellowish tan
+A5A391 cement
+388004 dark grass green
+4C9085 dusty teal
+5E9B8A grey teal
+EFB435 macaroni and cheese
+D99B82 pinkish tan
+0A5F38 spruce
+0C06F7 strong blue
+61DE2A toxic green
+3778BF windows blue
+2242C7 blue blue
+533CC6 blue with a hint of purple
+9BB53C booger
+05FFA6 bright sea green
+1F6357 dark green blue
+017374 deep turquoise
+0CB577 green teal
+FF0789 strong pink
+AFA88B bland
+08787F deep aqua
+DD85D7 lavender pink
+A6C875 light moss green
+A7FFB5 light seafoam green
+C2B709 olive yellow
+E78EA5 pig pink
+966EBD deep lilac
+CCAD60 desert
+AC86A8 dusty lavender
+947E94 purpley grey
+983FB2 purply
+FF63E9 candy pink
+B2FBA5 light pastel green
+63B365 boring green
+8EE53F kiwi green
+B7E1A1 light grey green
+FF6F52 orange pink
+BDF8A3 tea green
+D3B683 very light brown
+FFFCC4 egg shell
+430541 eggplant purple
+FFB2D0 powder pink
+997570 reddish grey
+AD900D baby shit brown
+C48EFD liliac
+507B9C stormy blue
+7D7103 ugly brown
+FFFD78 custard
+DA467D darkish pink
+410200 deep brown
+C9D179 greenish beige
+FFFA86 manilla
+5684AE off blue
+6B7C85 battleship grey
+6F6C0A browny green
+7E4071 bruise
+009337 kelley green
+D0E429 sickly yellow
+FFF917 sunny yellow
+1D5DEC azul
+054907 darkgreen
+B5CE08 green/yellow
+8FB67B lichen
+C8FFB0 light light green
+FDDE6C pale gold
+FFDF22 sun yellow
+A9BE70 tan green
+6832E3 burple
+FDB147 butterscotch
+C7AC7D toupe
+FFF39A dark cream
+850E04 indian red
+EFC0FE light lavendar
+40FD14 poison green
+B6C406 baby puke green
+9DFF00 bright yellow green
+3C4142 charcoal grey
+F2AB15 squash
+AC4F06 cinnamon
+C4FE82 light pea green
+2CFA1F radioactive green
+9A6200 raw sienna
+CA9BF7 baby purple
+875F42 cocoa
+3A2EFE light royal blue
+FD8D49 orangeish
+8B3103 rust brown
+CBA560 sand brown
+698339 swamp
+0CDC73 tealish green
+B75203 burnt siena
+7F8F4E camo
+26538D dusk blue
+63A950 fern
+C87F89 old rose
+B1FC99 pale light green
+FF9A8A peachy pink
+F6688E rosy pink
+76FDA8 light bluish green
+53FE5C light bright green
+4EFD54 light neon green
+A0FEBF light seafoam
+7BF2DA tiffany blue
+BCF5A6 washed out green
+CA6B02 browny orange
+107AB0 nice blue
+2138AB sapphire
+719F91 greyish teal
+FDB915 orangey yellow
+FEFCAF parchment
+FCF679 straw
+1D0200 very dark brown
+CB6843 terracota
+31668A ugly blue
+247AFD clear blue
+FFFFB6 creme
+90FDA9 foam green
+86A17D grey/green
+FDDC5C light gold
+78D1B6 seafoam blue
+13BBAF topaz
+FB5FFC violet pink
+20F986 wintergreen
+FFE36E yellow tan
+9D0759 dark fuchsia
+3A18B1 indigo blue
+C2FF89 light yellowish green
+D767AD pale magenta
+720058 rich purple
+FFDA03 sunflower yellow
+01C08D green/blue
+AC7434 leather
+014600 racing green
+9900FA vivid purple
+02066F dark royal blue
+8E7618 hazel
+D1768F muted pink
+96B403 booger green
+FDFF63 canary
+95A3A6 cool grey
+7F684E dark taupe
+751973 darkish purple
+089404 true green
+FF6163 coral pink
+598556 dark sage
+214761 dark slate blue
+3C73A8 flat blue
+BA9E88 mushroom
+021BF9 rich blue
+734A65 dirty purple
+23C48B greenblue
+8FAE22 icky green
+E6F2A2 light khaki
+4B57DB warm blue
+D90166 dark hot pink
+015482 deep sea blue
+9D0216 carmine
+728F02 dark yellow green
+FFE5AD pale peach
+4E0550 plum purple
+F9BC08 golden rod
+FF073A neon red
+C77986 old pink
+D6FFFE very pale blue
+FE4B03 blood orange
+FD5956 grapefruit
+FCE166 sand yellow
+B2713D clay brown
+1F3B4D dark blue grey
+699D4C flat green
+56FCA2 light green blue
+FB5581 warm pink
+3E82FC dodger blue
+A0BF16 gross green
+D6FFFA ice
+4F738E metallic blue
+FFB19A pale salmon
+5C8B15 sap green
+54AC68 algae
+89A0B0 bluey grey
+7EA07A greeny grey
+1BFC06 highlighter green
+CAFFFB light light blue
+B6FFBB light mint
+A75E09 raw umber
+152EFF vivid blue
+8D5EB7 deep lavender
+5F9E8F dull teal
+63F7B4 light greenish blue
+606602 mud green
+FC86AA pinky
+8C0034 red wine
+758000 shit green
+AB7E4C tan brown
+030764 darkblue
+FE86A4 rosa
+D5174E lipstick
+FED0FC pale mauve
+680018 claret
+FEDF08 dandelion
+FE420F orangered
+6F7C00 poop green
+CA0147 ruby
+1B2431 dark
+00FBB0 greenish turquoise
+DB5856 pastel red
+DDD618 piss yellow
+41FDFE bright cyan
+CF524E dark coral
+21C36F algae green
+A90308 darkish red
+6E1005 reddy brown
+FE828C blush pink
+4B6113 camouflage green
+4DA409 lawn green
+BEAE8A putty
+0339F8 vibrant blue
+A88F59 dark sand
+5D21D0 purple/blue
+FEB209 saffron
+4E518B twilight
+964E02 warm brown
+85A3B2 bluegrey
+FF69AF bubble gum pink
+C3FBF4 duck egg blue
+2AFEB7 greenish cyan
+005F6A petrol
+0C1793 royal
+FFFF81 butter
+F0833A dusty orange
+F1F33F off yellow
+B1D27B pale olive green
+FC824A orangish
+71AA34 leaf
+B7C9E2 light blue grey
+4B0101 dried blood
+A552E6 lightish purple
+AF2F0D rusty red
+8B88F8 lavender blue
+9AF764 light grass green
+A6FBB2 light mint green
+FFC512 sunflower
+750851 velvet
+C14A09 brick orange
+FE2F4A lightish red
+0203E2 pure blue
+0A437A twilight blue
+A50055 violet red
+AE8B0C yellowy brown
+FD798F carnation
+BFAC05 muddy yellow
+3EAF76 dark seafoam green
+C74767 deep rose
+B9484E dusty red
+647D8E grey/blue
+BFFE28 lemon lime
+D725DE purple/pink
+B29705 brown yellow
+673A3F purple brown
+A87DC2 wisteria
+FAFE4B banana yellow
+C0022F lipstick red
+0E87CC water blue
+8D8468 brown grey
+AD03DE vibrant purple
+8CFF9E baby green
+94AC02 barf green
+C4FFF7 eggshell blue
+FDEE73 sandy yellow
+33B864 cool green
+FFF9D0 pale
+758DA3 blue/grey
+F504C9 hot magenta
+77A1B5 greyblue
+8756E4 purpley
+889717 baby shit green
+C27E79 brownish pink
+017371 dark aquamarine
+9F8303 diarrhea
+F7D560 light mustard
+BDF6FE pale sky blue
+75B84F turtle green
+9CBB04 bright olive
+29465B dark grey blue
+696006 greeny brown
+ADF802 lemon green
+C1C6FC light periwinkle
+35AD6B seaweed green
+FFFD37 sunshine yellow
+A442A0 ugly purple
+F36196 medium pink
+947706 puke brown
+FFF4F2 very light pink
+1E9167 viridian
+B5C306 bile
+FEFF7F faded yellow
+CFFDBC very pale green
+0ADD08 vibrant green
+87FD05 bright lime
+1EF876 spearmint
+7BFDC7 light aquamarine
+BCECAC light sage
+BBF90F yellowgreen
+AB9004 baby poo
+1FB57A dark seafoam
+00555A deep teal
+A484AC heather
+C45508 rust orange
+3F829D dirty blue
+548D44 fern green
+C95EFB bright lilac
+3AE57F weird green
+016795 peacock blue
+87A922 avocado green
+F0944D faded orange
+5D1451 grape purple
+25FF29 hot green
+D0FE1D lime yellow
+FFA62B mango
+01B44C shamrock
+FF6CB5 bubblegum
+6B4247 purplish brown
+C7C10C vomit yellow
+B7FFFA pale cyan
+AEFF6E key lime
+EC2D01 tomato red
+76FF7B lightgreen
+730039 merlot
+040348 night blue
+DF4EC8 purpleish pink
+6ECB3C apple
+8F9805 baby poop green
+5EDC1F green apple
+D94FF5 heliotrope
+C8FD3D yellow/green
+070D0D almost black
+4984B8 cool blue
+51B73B leafy green
+AC7E04 mustard brown
+4E5481 dusk
+876E4B dull brown
+58BC08 frog green
+2FEF10 vivid green
+2DFE54 bright light green
+0AFF02 fluro green
+9CEF43 kiwi
+18D17B seaweed
+35530A navy green
+1805DB ultramarine blue
+6258C4 iris
+FF964F pastel orange
+FFAB0F yellowish orange
+8F8CE7 perrywinkle
+24BCA8 tealish
+3F012C dark plum
+CBF85F pear
+FF724C pinkish orange
+280137 midnight purple
+B36FF6 light urple
+48C072 dark mint
+BCCB7A greenish tan
+A8415B light burgundy
+06B1C4 turquoise blue
+CD7584 ugly pink
+F1DA7A sandy
+FF0490 electric pink
+805B87 muted purple
+50A747 mid green
+A8A495 greyish
+CFFF04 neon yellow
+FFFF7E banana
+FF7FA7 carnation pink
+EF4026 tomato
+3C9992 sea
+886806 muddy brown
+04F489 turquoise green
+FEF69E buff
+CFAF7B fawn
+3B719F muted blue
+FDC1C5 pale rose
+20C073 dark mint green
+9B5FC0 amethyst
+0F9B8E blue/green
+742802 chestnut
+9DB92C sick green
+A4BF20 pea
+CD5909 rusty orange
+ADA587 stone
+BE013C rose red
+B8FFEB pale aqua
+DC4D01 deep orange
+A2653E earth
+638B27 mossy green
+419C03 grassy green
+B1FF65 pale lime green
+9DBCD4 light grey blue
+FDFDFE pale grey
+77AB56 asparagus
+464196 blueberry
+990147 purple red
+BEFD73 pale lime
+32BF84 greenish teal
+AF6F09 caramel
+A0025C deep magenta
+FFD8B1 light peach
+7F4E1E milk chocolate
+BF9B0C ocher
+6BA353 off green
+F075E6 purply pink
+7BC8F6 lightblue
+475F94 dusky blue
+F5BF03 golden
+FFFEB6 light beige
+FFFD74 butter yellow
+895B7B dusky purple
+436BAD french blue
+D0C101 ugly yellow
+C6F808 greeny yellow
+F43605 orangish red
+02C14D shamrock green
+B25F03 orangish brown
+2A7E19 tree green
+490648 deep violet
+536267 gunmetal
+5A06EF blue/purple
+CF0234 cherry
+C4A661 sandy brown
+978A84 warm grey
+1F0954 dark indigo
+03012D midnight
+2BB179 bluey green
+C3909B grey pink
+A66FB5 soft purple
+770001 blood
+922B05 brown red
+7D7F7C medium grey
+990F4B berry
+8F7303 poo
+C83CB9 purpley pink
+FEA993 light salmon
+ACBB0D snot
+C071FE easter purple
+CCFD7F light yellow green
+00022E dark navy blue
+828344 drab
+FFC5CB light rose
+AB1239 rouge
+B0054B purplish red
+99CC04 slime green
+937C00 baby poop
+019529 irish green
+EF1DE7 pink/purple
+000435 dark navy
+42B395 greeny blue
+9D5783 light plum
+C8ACA9 pinkish grey
+C87606 dirty orange
+AA2704 rust red
+E4CBFF pale lilac
+FA4224 orangey red
+0804F9 primary blue
+5CB200 kermit green
+76424E brownish purple
+6C7A0E murky green
+FBDD7E wheat
+2A0134 very dark purple
+044A05 bottle green
+FD4659 watermelon
+0D75F8 deep sky blue
+FE0002 fire engine red
+CB9D06 yellow ochre
+FB7D07 pumpkin orange
+B9CC81 pale olive
+EDC8FF light lilac
+61E160 lightish green
+8AB8FE carolina blue
+920A4E mulberry
+FE02A2 shocking pink
+9A3001 auburn
+65FE08 bright lime green
+BEFDB7 celadon
+B17261 pinkish brown
+885F01 poo brown
+02CCFE bright sky blue
+C1FD95 celery
+836539 dirt brown
+FB2943 strawberry
+84B701 dark lime
+B66325 copper
+7F5112 medium brown
+5FA052 muted green
+6DEDFD robin's egg
+0BF9EA bright aqua
+C760FF bright lavender
+FFFFCB ivory
+F6CEFC very light purple
+155084 light navy
+F5054F pink red
+645403 olive brown
+7A5901 poop brown
+A8B504 mustard green
+3D9973 ocean green
+000133 very dark blue
+76A973 dusty green
+2E5A88 light navy blue
+0BF77D minty green
+BD6C48 adobe
+AC1DB8 barney
+2BAF6A jade green
+26F7FD bright light blue
+AEFD6C light lime
+9B8F55 dark khaki
+FFAD01 orange yellow
+C69C04 ocre
+F4D054 maize
+DE9DAC faded pink
+05480D british racing green
+C9AE74 sandstone
+60460F mud brown
+98F6B0 light sea green
+8AF1FE robin egg blue
+2EE8BB aqua marine
+11875D dark sea green
+FDB0C0 soft pink
+B16002 orangey brown
+F7022A cherry red
+D5AB09 burnt yellow
+86775F brownish grey
+C69F59 camel
+7A687F purplish grey
+042E60 marine
+C88D94 greyish pink
+A5FBD5 pale turquoise
+FFFE71 pastel yellow
+6241C7 bluey purple
+FFFE40 canary yellow
+D3494E faded red
+985E2B sepia
+A6814C coffee
+FF08E8 bright magenta
+9D7651 mocha
+FEFFCA ecru
+98568D purpleish
+9E003A cranberry
+287C37 darkish green
+B96902 brown orange
+BA6873 dusky rose
+FF7855 melon
+94B21C sickly green
+C5C9C7 silver
+661AEE purply blue
+6140EF purpleish blue
+9BE5AA hospital green
+7B5804 shit brown
+276AB3 mid blue
+FEB308 amber
+8CFD7E easter green
+6488EA soft blue
+056EEE cerulean blue
+B27A01 golden brown
+0FFEF9 bright turquoise
+FA2A55 red pink
+820747 red purple
+7A6A4F greyish brown
+F4320C vermillion
+A13905 russet
+6F828A steel grey
+A55AF4 lighter purple
+AD0AFD bright violet
+004577 prussian blue
+658D6D slate green
+CA7B80 dirty pink
+005249 dark blue green
+2B5D34 pine
+BFF128 yellowy green
+B59410 dark gold
+2976BB bluish
+014182 darkish blue
+BB3F3F dull red
+FC2647 pinky red
+A87900 bronze
+82CBB2 pale teal
+667C3E military green
+FE46A5 barbie pink
+FE83CC bubblegum pink
+94A617 pea soup green
+A88905 dark mustard
+7F5F00 shit
+9E43A2 medium purple
+062E03 very dark green
+8A6E45 dirt
+CC7A8B dusky pink
+9E0168 red violet
+FDFF38 lemon yellow
+C0FA8B pistachio
+EEDC5B dull yellow
+7EBD01 dark lime green
+3B5B92 denim blue
+01889F teal blue
+3D7AFD lightish blue
+5F34E7 purpley blue
+6D5ACF light indigo
+748500 swamp green
+706C11 brown green
+3C0008 dark maroon
+CB00F5 hot purple
+002D04 dark forest green
+658CBB faded blue
+749551 drab green
+B9FF66 light lime green
+9DC100 snot green
+FAEE66 yellowish
+7EFBB3 light blue green
+7B002C bordeaux
+C292A1 light mauve
+017B92 ocean
+FCC006 marigold
+657432 muddy green
+D8863B dull orange
+738595 steel
+AA23FF electric purple
+08FF08 fluorescent green
+9B7A01 yellowish brown
+F29E8E blush
+6FC276 soft green
+FF5B00 bright orange
+FDFF52 lemon
+866F85 purple grey
+8FFE09 acid green
+EECFFE pale lavender
+510AC9 violet blue
+4F9153 light forest green
+9F2305 burnt red
+728639 khaki green
+DE0C62 cerise
+916E99 faded purple
+FFB16D apricot
+3C4D03 dark olive green
+7F7053 grey brown
+77926F green grey
+010FCC true blue
+CEAEFA pale violet
+8F99FB periwinkle blue
+C6FCFF light sky blue
+5539CC blurple
+544E03 green brown
+017A79 bluegreen
+01F9C6 bright teal
+C9B003 brownish yellow
+929901 pea soup
+0B5509 forest
+A00498 barney purple
+2000B1 ultramarine
+94568C purplish
+C2BE0E puke yellow
+748B97 bluish grey
+665FD1 dark periwinkle
+9C6DA5 dark lilac
+C44240 reddish
+A24857 light maroon
+825F87 dusty purple
+C9643B terra cotta
+90B134 avocado
+01386A marine blue
+25A36F teal green
+59656D slate grey
+75FD63 lighter green
+21FC0D electric green
+5A86AD dusty blue
+FEC615 golden yellow
+FFFD01 bright yellow
+DFC5FE light lavender
+B26400 umber
+7F5E00 poop
+DE7E5D dark peach
+048243 jungle green
+FFFFD4 eggshell
+3B638C denim
+B79400 yellow brown
+84597E dull purple
+411900 chocolate brown
+7B0323 wine red
+04D9FF neon blue
+667E2C dirty green
+FBEEAC light tan
+D7FFFE ice blue
+4E7496 cadet blue
+874C62 dark mauve
+D5FFFF very light blue
+826D8C grey purple
+FFBACD pastel pink
+D1FFBD very light green
+448EE4 dark sky blue
+05472A evergreen
+D5869D dull pink
+3D0734 aubergine
+4A0100 mahogany
+F8481C reddish orange
+02590F deep green
+89A203 vomit green
+E03FD8 purple pink
+D58A94 dusty pink
+7BB274 faded green
+526525 camo green
+C94CBE pinky purple
+DB4BDA pink purple
+9E3623 brownish red
+B5485D dark rose
+735C12 mud
+9C6D57 brownish
+028F1E emerald green
+B1916E pale brown
+49759C dull blue
+A0450E burnt umber
+39AD48 medium green
+B66A50 clay
+8CFFDB light aqua
+A4BE5C light olive green
+CB7723 brownish orange
+05696B dark aqua
+CE5DAE purplish pink
+C85A53 dark salmon
+96AE8D greenish grey
+1FA774 jade
+7A9703 ugly green
+AC9362 dark beige
+01A049 emerald
+D9544D pale red
+FA5FF7 light magenta
+82CAFC sky
+ACFFFC light cyan
+FCB001 yellow orange
+910951 reddish purple
+FE2C54 reddish pink
+C875C4 orchid
+CDC50A dirty yellow
+FD411E orange red
+9A0200 deep red
+BE6400 orange brown
+030AA7 cobalt blue
+FE019A neon pink
+F7879A rose pink
+887191 greyish purple
+B00149 raspberry
+12E193 aqua green
+FE7B7C salmon pink
+FF9408 tangerine
+6A6E09 brownish green
+8B2E16 red brown
+696112 greenish brown
+E17701 pumpkin
+0A481E pine green
+343837 charcoal
+FFB7CE baby pink
+6A79F7 cornflower
+5D06E9 blue violet
+3D1C02 chocolate
+82A67D greyish green
+BE0119 scarlet
+C9FF27 green yellow
+373E02 dark olive
+A9561E sienna
+CAA0FF pastel purple
+CA6641 terracotta
+02D8E9 aqua blue
+88B378 sage green
+980002 blood red
+CB0162 deep pink
+5CAC2D grass
+769958 moss
+A2BFFE pastel blue
+10A674 bluish green
+06B48B green blue
+AF884A dark tan
+0B8B87 greenish blue
+FFA756 pale orange
+A2A415 vomit
+154406 forrest green
+856798 dark lavender
+34013F dark violet
+632DE9 purple blue
+0A888A dark cyan
+6F7632 olive drab
+D46A7E pinkish
+1E488F cobalt
+BC13FE neon purple
+7EF4CC light turquoise
+76CD26 apple green
+74A662 dull green
+80013F wine
+B1D1FC powder blue
+FFFFE4 off white
+0652FF electric blue
+045C5A dark turquoise
+5729CE blue purple
+069AF3 azure
+FF000D bright red
+F10C45 pinkish red
+5170D7 cornflower blue
+ACBF69 light olive
+6C3461 grape
+5E819D greyish blue
+601EF9 purplish blue
+B0DD16 yellowish green
+CDFD02 greenish yellow
+2C6FBB medium blue
+C0737A dusty rose
+D6B4FC light violet
+020035 midnight blue
+703BE7 bluish purple
+FD3C06 red orange
+960056 dark magenta
+40A368 greenish
+03719C ocean blue
+FC5A50 coral
+FFFFC2 cream
+7F2B0A reddish brown
+B04E0F burnt sienna
+A03623 brick
+87AE73 sage
+789B73 grey green
+FFFFFF white
+98EFF9 robin's egg blue
+658B38 moss green
+5A7D9A steel blue
+380835 eggplant
+FFFE7A light yellow
+5CA904 leaf green
+D8DCD6 light grey
+A5A502 puke
+D648D7 pinkish purple
+047495 sea blue
+B790D4 pale purple
+5B7C99 slate blue
+607C8E blue grey
+0B4008 hunter green
+ED0DD9 fuchsia
+8C000F crimson
+FFFF84 pale yellow
+BF9005 ochre
+D2BD0A mustard yellow
+FF474C light red
+0485D1 cerulean
+FFCFDC pale pink
+040273 deep blue
+A83C09 rust
+90E4C1 light teal
+516572 slate
+FAC205 goldenrod
+D5B60A dark yellow
+363737 dark grey
+4B5D16 army green
+6B8BA4 grey blue
+80F9AD seafoam
+A57E52 puce
+A9F971 spring green
+C65102 dark orange
+E2CA76 sand
+B0FF9D pastel green
+9FFEB0 mint
+FDAA48 light orange
+FE01B1 bright pink
+C1F80A chartreuse
+36013F deep purple
+341C02 dark brown
+B9A281 taupe
+8EAB12 pea green
+9AAE07 puke green
+02AB2E kelly green
+7AF9AB seafoam green
+137E6D blue green
+AAA662 khaki
+610023 burgundy
+014D4E dark teal
+8F1402 brick red
+4B006E royal purple
+580F41 plum
+8FFF9F mint green
+DBB40C gold
+A2CFFE baby blue
+C0FB2D yellow green
+BE03FD bright purple
+840000 dark red
+D0FEFE pale blue
+3F9B0B grass green
+01153E navy
+04D8B2 aquamarine
+C04E01 burnt orange
+0CFF0C neon green
+0165FC bright blue
+CF6275 rose
+FFD1DF light pink
+CEB301 mustard
+380282 indigo
+AAFF32 lime
+53FCA1 sea green
+8E82FE periwinkle
+CB416B dark pink
+677A04 olive green
+FFB07C peach
+C7FDB5 pale green
+AD8150 light brown
+FF028D hot pink
+000000 black
+CEA2FD lilac
+001146 navy blue
+0504AA royal blue
+E6DAA6 beige
+FF796C salmon
+6E750E olive
+650021 maroon
+01FF07 bright green
+35063E dark purple
+AE7181 mauve
+06470C forest green
+13EAC9 aqua
+00FFFF cyan
+D1B26F tan
+00035B dark blue
+C79FEF lavender
+06C2AC turquoise
+033500 dark green
+9A0EEA violet
+BF77F6 light purple
+89FE05 lime green
+929591 grey
+75BBFD sky blue
+FFFF14 yellow
+C20078 magenta
+96F97B light green
+F97306 orange
+029386 teal
+95D0FC light blue
+E50000 red
+653700 brown
+FF81C0 pink
+0343DF blue
+15B01A green
+7E1E9C purple
+`;
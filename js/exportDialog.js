@@ -0,0 +1,156 @@
+/**
+ * Export Dialog
+ * Format picker with a live preview of the exported palette
+ */
+
+// Current dialog state
+let exportEntries = [];
+let exportRoleEntries = [];
+let exportResult = null;
+let exportPreviewUrl = null;
+let exportRenderId = 0;
+
+// DOM Elements
+const exportDialog = document.getElementById('exportDialog');
+const closeExportDialogBtn = document.getElementById('closeExportDialog');
+const exportFormatSelect = document.getElementById('exportFormat');
+const exportTitleInput = document.getElementById('exportTitle');
+const exportRolesField = document.getElementById('exportRolesField');
+const exportRolesInput = document.getElementById('exportRoles');
+const exportSummary = document.getElementById('exportSummary');
+const exportPreview = document.getElementById('exportPreview');
+const copyExportBtn = document.getElementById('copyExport');
+const downloadExportBtn = document.getElementById('downloadExport');
+
+/**
+ * Setup export dialog controls
+ */
+function setupExportDialog() {
+    Object.entries(PALETTE_EXPORT_FORMATS).forEach(([key, format]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = format.label;
+        exportFormatSelect.appendChild(option);
+    });
+    exportFormatSelect.value = DEFAULT_EXPORT_FORMAT;
+    
+    exportFormatSelect.addEventListener('change', renderExportPreview);
+    exportTitleInput.addEventListener('input', debounce(renderExportPreview, 250));
+    exportRolesInput.addEventListener('change', renderExportPreview);
+    
+    closeExportDialogBtn.addEventListener('click', closeExportDialog);
+    exportDialog.addEventListener('click', (e) => {
+        if (e.target === exportDialog) closeExportDialog();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !exportDialog.hidden) closeExportDialog();
+    });
+    
+    copyExportBtn.addEventListener('click', async () => {
+        if (!exportResult || exportResult.text === null) return;
+        
+        const success = await copyToClipboard(exportResult.text);
+        showToast(success ? 'Export copied to clipboard' : 'Failed to copy to clipboard', success ? 2000 : 3000);
+    });
+    
+    downloadExportBtn.addEventListener('click', () => {
+        if (!exportResult) return;
+        
+        downloadBlob(exportResult.blob, exportResult.filename);
+        showToast(`Exported ${exportResult.filename}`);
+    });
+}
+
+/**
+ * Open the dialog for a palette
+ * @param {Array} colors - Palette colors
+ * @param {object} roles - HEX value (or null) per key of COLOR_ROLES, for formats that export roles
+ */
+function openExportDialog(colors, roles = null) {
+    exportEntries = createPaletteEntries(colors, color =>
+        findColorName(color.rgb, colorNameSource, colorExtractor.distanceMetric)
+    );
+    exportRoleEntries = roles ? createRoleEntries(roles, exportEntries) : [];
+    
+    exportDialog.hidden = false;
+    exportFormatSelect.focus();
+    renderExportPreview();
+}
+
+/**
+ * Close the dialog and release the preview image
+ */
+function closeExportDialog() {
+    exportDialog.hidden = true;
+    exportResult = null;
+    
+    if (exportPreviewUrl) {
+        URL.revokeObjectURL(exportPreviewUrl);
+        exportPreviewUrl = null;
+    }
+}
+
+/**
+ * Build the selected format and show its preview
+ */
+async function renderExportPreview() {
+    const renderId = ++exportRenderId;
+    const format = exportFormatSelect.value;
+    const definition = PALETTE_EXPORT_FORMATS[format];
+    const title = exportTitleInput.value.trim() || 'ColorTrace palette';
+    
+    exportRolesField.hidden = exportRoleEntries.length === 0 || !definition.roles;
+    const roles = exportRolesInput.checked ? exportRoleEntries : [];
+    
+    let result;
+    try {
+        result = await buildPaletteExport(exportEntries, format, title, roles);
+    } catch (error) {
+        console.error('Export error:', error);
+        if (renderId !== exportRenderId) return;
+        
+        // The previous format's file must not be copied or downloaded in place of this one
+        exportResult = null;
+        copyExportBtn.disabled = true;
+        downloadExportBtn.disabled = true;
+        exportSummary.textContent = '';
+        exportPreview.innerHTML = `<p class="export-error">${escapeHtml(error.message)}</p>`;
+        return;
+    }
+    
+    // A newer render started while this one was building
+    if (renderId !== exportRenderId) return;
+    
+    exportResult = result;
+    copyExportBtn.disabled = result.text === null;
+    downloadExportBtn.disabled = false;
+    
+    if (exportPreviewUrl) {
+        URL.revokeObjectURL(exportPreviewUrl);
+        exportPreviewUrl = null;
+    }
+    
+    const omitted = exportEntries.length - result.count;
+    exportSummary.textContent = `${result.filename} · ${result.count} color${result.count !== 1 ? 's' : ''} · ${formatFileSize(result.blob.size)}` +
+        (omitted > 0 ? ` · ${omitted} omitted (limit ${definition.limit})` : '');
+    
+    if (result.text !== null) {
+        exportPreview.innerHTML = `<pre class="export-code"><code>${escapeHtml(result.text)}</code></pre>`;
+    } else if (format === 'png') {
+        exportPreviewUrl = URL.createObjectURL(result.blob);
+        exportPreview.innerHTML = `<img class="export-image" src="${exportPreviewUrl}" alt="Palette swatch strip">`;
+    } else {
+        // Binary formats: list what the file contains
+        exportPreview.innerHTML = `
+            <ul class="export-swatches">
+                ${exportEntries.slice(0, result.count).map(entry => `
+                    <li>
+                        <span class="suggestion-swatch" style="background-color: ${entry.hex};"></span>
+                        <span>${escapeHtml(entry.name)}</span>
+                        <code>${entry.hex}</code>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+}
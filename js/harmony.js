@@ -0,0 +1,66 @@
+/**
+ * Color Harmony Module
+ * Harmonious color sets built from a seed color. Hues are rotated in OKLCH,
+ * so every generated color keeps the seed's perceived lightness and chroma
+ * (chroma is only lowered where sRGB cannot show it).
+ */
+
+// Hue offsets from the seed in degrees; the seed itself is not repeated
+const HARMONY_TYPES = {
+    complementary: { label: 'Complementary', hues: [180] },
+    'split-complementary': { label: 'Split-complementary', hues: [150, 210] },
+    analogous: { label: 'Analogous', hues: [-60, -30, 30, 60] },
+    triadic: { label: 'Triadic', hues: [120, 240] },
+    tetradic: { label: 'Tetradic', hues: [90, 180, 270] },
+    monochromatic: { label: 'Monochromatic', hues: null }
+};
+
+// Monochromatic sets: evenly spaced OKLCH lightness levels, the one nearest the seed dropped
+const MONOCHROMATIC_LEVELS = 5;
+const MONOCHROMATIC_LIGHTNESS = [0.25, 0.92];
+
+// Below this OKLCH chroma a color is gray and has no hue to rotate
+const HARMONY_MIN_CHROMA = 0.02;
+
+/**
+ * Whether a hue-based harmony can be built from a color
+ * @param {object} rgb - Seed color {r, g, b}
+ * @returns {boolean} False for grays, which only have monochromatic sets
+ */
+function hasHarmonyHue(rgb) {
+    return rgbToOklch(rgb).c >= HARMONY_MIN_CHROMA;
+}
+
+/**
+ * Generate the colors of a harmony
+ * @param {object} rgb - Seed color {r, g, b}
+ * @param {string} type - Key of HARMONY_TYPES
+ * @returns {Array} [{hex, rgb}] without the seed, in hue or lightness order
+ */
+function generateHarmony(rgb, type) {
+    const definition = HARMONY_TYPES[type];
+    if (!definition) {
+        throw new Error(`Unknown harmony: ${type}`);
+    }
+    
+    const seed = rgbToOklch(rgb);
+    let variants;
+    if (definition.hues) {
+        if (seed.c < HARMONY_MIN_CHROMA) {
+            throw new Error(`${definition.label} harmonies need a color with a hue; grays only have monochromatic sets`);
+        }
+        variants = definition.hues.map(offset => ({ ...seed, h: (seed.h + offset + 360) % 360 }));
+    } else {
+        const [min, max] = MONOCHROMATIC_LIGHTNESS;
+        const levels = Array.from({ length: MONOCHROMATIC_LEVELS }, (_, i) => min + (max - min) * i / (MONOCHROMATIC_LEVELS - 1));
+        const nearest = levels.reduce((best, l, i) => Math.abs(l - seed.l) < Math.abs(levels[best] - seed.l) ? i : best, 0);
+        variants = levels.filter((_, i) => i !== nearest).map(l => ({ ...seed, l }));
+    }
+    
+    // Gamut mapping can land two variants (or a variant and the seed) on the same color
+    const seen = new Set([rgbToHex(rgb.r, rgb.g, rgb.b)]);
+    return variants.map(oklch => {
+        const color = oklchToRgb(oklch);
+        return { hex: rgbToHex(color.r, color.g, color.b), rgb: color };
+    }).filter(color => !seen.has(color.hex) && seen.add(color.hex));
+}
@@ -0,0 +1,93 @@
+/**
+ * Harmony Picker
+ * Adds harmony sets seeded from a color card to the current palette; each
+ * set is kept together as a group tagged with its harmony type and seed
+ */
+
+/**
+ * Harmony menu for a color card, with a preview of each set
+ * @param {object} color - Seed color
+ * @returns {string} HTML for the card
+ */
+function createHarmonyPicker(color) {
+    const hasHue = hasHarmonyHue(color.rgb);
+    const options = Object.entries(HARMONY_TYPES).map(([type, definition]) => {
+        const available = hasHue || !definition.hues;
+        const swatches = available ? [color, ...generateHarmony(color.rgb, type)].map(c => `
+                    <span class="region-swatch" style="background-color: ${c.hex};" title="${c.hex}"></span>`).join('') : '';
+        
+        return `
+                <button class="harmony-option" data-harmony="${type}"${available ? '' : ' disabled title="Grays have no hue to build this harmony from"'}>
+                    <span>${definition.label}</span>
+                    <span class="region-swatches">${swatches}</span>
+                </button>`;
+    }).join('');
+    
+    return `
+            <details class="harmony-picker">
+                <summary class="harmony-btn">Harmonies</summary>
+                <div class="harmony-options">${options}
+                </div>
+            </details>`;
+}
+
+/**
+ * Whether two colors belong to the same harmony group
+ * @param {object} a - Color object
+ * @param {object} b - Color object
+ * @returns {boolean} True if both were generated from the same seed and type
+ */
+function isSameHarmonyGroup(a, b) {
+    return Boolean(a.harmony && b.harmony && a.harmony.type === b.harmony.type && a.harmony.seed === b.harmony.seed);
+}
+
+/**
+ * Add a harmony set generated from a color to the palette
+ * @param {object} seed - Seed color
+ * @param {string} type - Key of HARMONY_TYPES
+ */
+function addHarmonyGroup(seed, type) {
+    const harmony = { type, seed: seed.hex };
+    if (currentColors.some(color => isSameHarmonyGroup(color, { harmony }))) {
+        showToast(`The ${HARMONY_TYPES[type].label.toLowerCase()} harmony of ${seed.hex} is already in the palette`, 2000);
+        return;
+    }
+    
+    let colors;
+    try {
+        colors = generateHarmony(seed.rgb, type).map(({ hex, rgb }) => ({ hex, rgb, harmony }));
+    } catch (error) {
+        showToast(error.message, 3000);
+        return;
+    }
+    
+    displayColors([...currentColors, ...colors]);
+    showToast(`Added ${colors.length} ${HARMONY_TYPES[type].label.toLowerCase()} color${colors.length !== 1 ? 's' : ''} of ${seed.hex}`);
+}
+
+/**
+ * Remove a harmony group from the palette
+ * @param {object} harmony - {type, seed} of the group
+ */
+function removeHarmonyGroup(harmony) {
+    displayColors(currentColors.filter(color => !isSameHarmonyGroup(color, { harmony })));
+}
+
+/**
+ * Heading shown in the color grid before the colors of a harmony group
+ * @param {object} harmony - {type, seed} of the group
+ * @returns {HTMLElement} Header element spanning the grid
+ */
+function createHarmonyGroupHeader(harmony) {
+    // Groups can come from a saved library, so the seed is escaped like any text
+    const seed = escapeHtml(harmony.seed);
+    const header = document.createElement('div');
+    header.className = 'harmony-group-header';
+    header.innerHTML = `
+        <span class="region-swatch" style="background-color: ${seed};"></span>
+        <span>${escapeHtml((HARMONY_TYPES[harmony.type] || { label: harmony.type }).label)} harmony of <code>${seed}</code></span>
+        <button class="btn btn-secondary btn-sm">Remove</button>
+    `;
+    header.querySelector('button').addEventListener('click', () => removeHarmonyGroup(harmony));
+    return header;
+}
@@ -0,0 +1,382 @@
+/**
+ * Palette Library Dialog
+ * Saves the current palette with its source, a thumbnail and the extraction
+ * settings, and lets saved palettes be searched, renamed, duplicated,
+ * deleted, reopened and backed up
+ */
+
+// Longest side of source thumbnails, in pixels
+const LIBRARY_THUMBNAIL_SIZE = 96;
+
+// Swatches shown per saved palette
+const LIBRARY_SWATCH_LIMIT = 16;
+
+const paletteLibrary = new PaletteLibrary();
+
+// Origin of the current palette {type, name, file, thumbnail, settings}, the loaded entries
+// and the entry whose name is being edited
+let librarySource = null;
+let libraryEntries = [];
+let renamingEntryId = null;
+
+// DOM Elements
+const libraryDialog = document.getElementById('libraryDialog');
+const openLibraryBtn = document.getElementById('openLibrary');
+const saveToLibraryBtn = document.getElementById('saveToLibrary');
+const closeLibraryDialogBtn = document.getElementById('closeLibraryDialog');
+const librarySaveForm = document.getElementById('librarySaveForm');
+const libraryNameInput = document.getElementById('libraryName');
+const libraryTagsInput = document.getElementById('libraryTags');
+const librarySearchInput = document.getElementById('librarySearch');
+const librarySummary = document.getElementById('librarySummary');
+const libraryList = document.getElementById('libraryList');
+const importLibraryBtn = document.getElementById('importLibrary');
+const exportLibraryBtn = document.getElementById('exportLibrary');
+const libraryBackupInput = document.getElementById('libraryBackupInput');
+
+/**
+ * Setup the library dialog controls
+ */
+function setupLibraryPanel() {
+    openLibraryBtn.addEventListener('click', () => openLibraryDialog(false));
+    saveToLibraryBtn.addEventListener('click', () => openLibraryDialog(true));
+    
+    closeLibraryDialogBtn.addEventListener('click', closeLibraryDialog);
+    libraryDialog.addEventListener('click', (e) => {
+        if (e.target === libraryDialog) closeLibraryDialog();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !libraryDialog.hidden && renamingEntryId === null) closeLibraryDialog();
+    });
+    
+    librarySaveForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveCurrentPalette();
+    });
+    librarySearchInput.addEventListener('input', debounce(renderLibrary, 150));
+    
+    libraryList.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (button) handleLibraryAction(button.dataset.action, Number(button.closest('[data-entry-id]').dataset.entryId));
+    });
+    libraryList.addEventListener('keydown', (e) => {
+        if (!e.target.classList.contains('library-rename')) return;
+        
+        const id = Number(e.target.closest('[data-entry-id]').dataset.entryId);
+        if (e.key === 'Enter') {
+            handleLibraryAction('save-name', id);
+        } else if (e.key === 'Escape') {
+            // Escape leaves the name unchanged without closing the dialog
+            e.stopPropagation();
+            handleLibraryAction('cancel-rename', id);
+        }
+    });
+    
+    exportLibraryBtn.addEventListener('click', exportLibraryBackup);
+    importLibraryBtn.addEventListener('click', () => libraryBackupInput.click());
+    libraryBackupInput.addEventListener('change', () => {
+        const file = libraryBackupInput.files[0];
+        libraryBackupInput.value = '';
+        if (file) importLibraryBackup(file);
+    });
+}
+
+/**
+ * Record where the palette about to be shown comes from, for saving it
+ * @param {object|null} source - {type, name}, plus file: an image to make the
+ *                               thumbnail from, or the thumbnail and settings of a reopened entry
+ */
+function setLibrarySource(source) {
+    librarySource = source;
+}
+
+/**
+ * Open the library, with the save form when there is a palette to save
+ * @param {boolean} saving - Focus the save form instead of the search
+ */
+function openLibraryDialog(saving) {
+    const canSave = currentColors.length > 0;
+    librarySaveForm.hidden = !canSave;
+    if (canSave) {
+        // File names are suggested without their extension
+        const name = librarySource ? librarySource.name : '';
+        libraryNameInput.value = librarySource && librarySource.type === 'file' ? name.replace(/\.[^./]+$/, '') : name;
+        libraryTagsInput.value = '';
+    }
+    
+    renamingEntryId = null;
+    libraryDialog.hidden = false;
+    (saving && canSave ? libraryNameInput : librarySearchInput).focus();
+    loadLibrary();
+}
+
+/**
+ * Close the library dialog
+ */
+function closeLibraryDialog() {
+    libraryDialog.hidden = true;
+    renamingEntryId = null;
+}
+
+/**
+ * Read the saved palettes and show them
+ */
+async function loadLibrary() {
+    try {
+        libraryEntries = await paletteLibrary.list();
+    } catch (error) {
+        console.error('Error reading the palette library:', error);
+        libraryEntries = [];
+        renderLibrary();
+        librarySummary.textContent = error.message;
+        return;
+    }
+    renderLibrary();
+}
+
+/**
+ * The settings the current palette was extracted with
+ * @returns {object} {analysisOptions, distanceMetric, similarityThreshold}
+ */
+function getExtractionSettings() {
+    return {
+        analysisOptions: { ...colorExtractor.analysisOptions },
+        distanceMetric: colorExtractor.distanceMetric,
+        similarityThreshold: colorExtractor.similarityThreshold
+    };
+}
+
+/**
+ * Summarize saved extraction settings
+ * @param {object|null} settings - Settings from getExtractionSettings
+ * @returns {string} E.g. "Wu's quantizer, 16 colors · CIEDE2000 ΔE 8"
+ */
+function describeExtractionSettings(settings) {
+    if (!settings) return '';
+    
+    const parts = [];
+    const options = settings.analysisOptions;
+    if (options) {
+        parts.push(`${QUANTIZATION_ALGORITHMS[options.algorithm] || options.algorithm}, ${options.paletteSize} colors`);
+    }
+    const metric = COLOR_DISTANCE_METRICS[settings.distanceMetric];
+    if (metric) {
+        parts.push(`${metric.label} ΔE ${settings.similarityThreshold}`);
+    }
+    return parts.join(' · ');
+}
+
+/**
+ * Draw a small copy of an image file
+ * @param {File} file - Image file
+ * @returns {Promise<string|null>} PNG data URL, or null if the image cannot be drawn
+ */
+async function createLibraryThumbnail(file) {
+    const url = URL.createObjectURL(file);
+    try {
+        const image = await new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Failed to load image'));
+            img.src = url;
+        });
+        
+        // SVGs without a width and height report no size
+        const size = getImageSourceSize(image);
+        const width = size.width || LIBRARY_THUMBNAIL_SIZE;
+        const height = size.height || LIBRARY_THUMBNAIL_SIZE;
+        const scale = Math.min(1, LIBRARY_THUMBNAIL_SIZE / Math.max(width, height));
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width * scale));
+        canvas.height = Math.max(1, Math.round(height * scale));
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL('image/png');
+    } catch (error) {
+        // A palette is still worth saving without its thumbnail
+        console.warn('Could not create a thumbnail:', error);
+        return null;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Save the current palette with the name and tags typed in the form
+ */
+async function saveCurrentPalette() {
+    const source = librarySource || { type: 'picker', name: 'Color picker' };
+    
+    try {
+        const entry = await paletteLibrary.add({
+            name: libraryNameInput.value,
+            tags: libraryTagsInput.value,
+            // Code locations point into the pasted source, which is not saved
+            colors: currentColors.map(({ locations, ...color }) => color),
+            source,
+            thumbnail: source.file ? await createLibraryThumbnail(source.file) : source.thumbnail,
+            settings: source.settings || getExtractionSettings()
+        });
+        
+        librarySaveForm.hidden = true;
+        librarySearchInput.value = '';
+        showToast(`Saved "${entry.name}" to the library`);
+        await loadLibrary();
+    } catch (error) {
+        console.error('Error saving palette:', error);
+        showToast('Error saving palette: ' + error.message, 4000);
+    }
+}
+
+/**
+ * Run an action of a saved palette's row
+ * @param {string} action - open, rename, save-name, cancel-rename, duplicate or delete
+ * @param {number} id - Entry id
+ */
+async function handleLibraryAction(action, id) {
+    const entry = libraryEntries.find(e => e.id === id);
+    if (!entry) return;
+    
+    try {
+        if (action === 'open') {
+            openLibraryEntry(entry);
+        } else if (action === 'rename') {
+            renamingEntryId = id;
+            renderLibrary();
+            const input = libraryList.querySelector('.library-rename');
+            input.focus();
+            input.select();
+        } else if (action === 'save-name') {
+            const name = libraryList.querySelector('.library-rename').value;
+            renamingEntryId = null;
+            await paletteLibrary.update(id, { name });
+            await loadLibrary();
+        } else if (action === 'cancel-rename') {
+            renamingEntryId = null;
+            renderLibrary();
+        } else if (action === 'duplicate') {
+            const copy = await paletteLibrary.duplicate(id);
+            showToast(`Saved "${copy.name}"`, 2000);
+            await loadLibrary();
+        } else if (action === 'delete') {
+            if (!confirm(`Delete "${entry.name}" from the library?`)) return;
+            
+            await paletteLibrary.remove(id);
+            showToast(`Deleted "${entry.name}"`, 2000);
+            await loadLibrary();
+        }
+    } catch (error) {
+        console.error('Palette library error:', error);
+        showToast('Palette library error: ' + error.message, 4000);
+    }
+}
+
+/**
+ * Show a saved palette as the current results
+ * @param {object} entry - Library entry
+ */
+function openLibraryEntry(entry) {
+    // The file the palette came from is not kept, so nothing can be located on it
+    clearFile();
+    
+    displayColors(entry.colors);
+    setLibrarySource({
+        type: entry.source ? entry.source.type : 'library',
+        name: entry.source ? entry.source.name : entry.name,
+        thumbnail: entry.thumbnail,
+        settings: entry.settings
+    });
+    
+    closeLibraryDialog();
+    showToast(`Opened "${entry.name}"`, 2000);
+}
+
+/**
+ * Show the saved palettes matching the search
+ */
+function renderLibrary() {
+    const query = librarySearchInput.value;
+    const entries = libraryEntries.filter(entry => matchesLibrarySearch(entry, query));
+    const total = libraryEntries.length;
+    
+    librarySummary.textContent = total === 0
+        ? 'No saved palettes yet'
+        : query.trim()
+            ? `${entries.length} of ${total} palette${total !== 1 ? 's' : ''} match`
+            : `${total} saved palette${total !== 1 ? 's' : ''}`;
+    exportLibraryBtn.disabled = total === 0;
+    
+    libraryList.innerHTML = entries.map(entry => {
+        const renaming = entry.id === renamingEntryId;
+        const date = new Date(entry.updatedAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+        const meta = [
+            `${entry.colors.length} color${entry.colors.length !== 1 ? 's' : ''}`,
+            ...(entry.source ? [entry.source.name] : []),
+            date
+        ].join(' · ');
+        const settings = describeExtractionSettings(entry.settings);
+        const swatches = entry.colors.slice(0, LIBRARY_SWATCH_LIMIT).map(color => `
+                    <span class="region-swatch" style="background-color: ${color.hex};" title="${color.hex}"></span>`).join('');
+        
+        return `
+        <li class="library-item" data-entry-id="${entry.id}">
+            ${entry.thumbnail
+                ? `<img class="library-thumbnail" src="${escapeHtml(entry.thumbnail)}" alt="">`
+                : `<span class="library-thumbnail" style="background-color: ${entry.colors[0].hex};"></span>`}
+            <div class="library-details">
+                ${renaming
+                    ? `<input type="text" class="setting-input library-rename" value="${escapeHtml(entry.name)}" aria-label="Palette name">`
+                    : `<span class="library-name">${escapeHtml(entry.name)}</span>`}
+                <span class="library-meta">${escapeHtml(meta)}</span>
+                ${settings ? `<span class="library-meta">${escapeHtml(settings)}</span>` : ''}
+                ${entry.tags.length ? `<span class="library-tags">${entry.tags.map(tag => `<span class="source-tag">${escapeHtml(tag)}</span>`).join('')}</span>` : ''}
+                <span class="region-swatches">${swatches}</span>
+            </div>
+            <div class="library-actions">
+                ${renaming ? `
+                <button class="btn btn-primary btn-sm" data-action="save-name">Save</button>
+                <button class="btn btn-secondary btn-sm" data-action="cancel-rename">Cancel</button>` : `
+                <button class="btn btn-primary btn-sm" data-action="open">Open</button>
+                <button class="btn btn-secondary btn-sm" data-action="rename">Rename</button>
+                <button class="btn btn-secondary btn-sm" data-action="duplicate">Duplicate</button>
+                <button class="btn btn-secondary btn-sm" data-action="delete">Delete</button>`}
+            </div>
+        </li>`;
+    }).join('');
+}
+
+/**
+ * Download every saved palette as a backup file
+ */
+async function exportLibraryBackup() {
+    try {
+        const { blob, filename, count } = await paletteLibrary.exportBackup();
+        downloadBlob(blob, filename);
+        showToast(`Backed up ${count} palette${count !== 1 ? 's' : ''} to ${filename}`);
+    } catch (error) {
+        console.error('Error exporting the library:', error);
+        showToast('Error exporting the library: ' + error.message, 4000);
+    }
+}
+
+/**
+ * Add the palettes of a backup file to the library
+ * @param {File} file - Backup from exportLibraryBackup
+ */
+async function importLibraryBackup(file) {
+    try {
+        const entries = parseLibraryBackup(await file.text());
+        if (entries.length === 0) {
+            showToast('The backup has no palettes', 3000);
+            return;
+        }
+        
+        const count = await paletteLibrary.importEntries(entries);
+        librarySearchInput.value = '';
+        await loadLibrary();
+        showToast(`Imported ${count} palette${count !== 1 ? 's' : ''} from ${file.name}`);
+    } catch (error) {
+        console.error('Error importing the library:', error);
+        showToast('Error importing the library: ' + error.message, 4000);
+    }
+}
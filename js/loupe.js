@@ -0,0 +1,258 @@
+/**
+ * Loupe
+ * Magnified pixel grid over the image preview; clicking adds the sampled
+ * color. Works in every browser, unlike the EyeDropper API.
+ */
+
+const LOUPE_SETTINGS_KEY = 'loupeSettings';
+
+// Sample area sizes (pixels per side) that are averaged into one color
+const LOUPE_SAMPLE_SIZES = [1, 3, 5];
+
+const DEFAULT_LOUPE_SETTINGS = {
+    sampleSize: 1
+};
+
+// Pixels per side shown in the loupe, and screen pixels per image pixel
+const LOUPE_GRID_SIZE = 11;
+const LOUPE_CELL_SIZE = 12;
+
+// Gap between the pointer and the loupe
+const LOUPE_OFFSET = 16;
+
+const LOUPE_HINT = 'Hover to magnify and click to add the color. Arrow keys move one pixel, Enter adds.';
+
+// Current loupe state; the point is in natural image pixels
+let loupeSettings = { ...DEFAULT_LOUPE_SETTINGS };
+let loupeActive = false;
+let loupePoint = null;
+let loupeSource = null;
+
+// DOM Elements
+const stageLoupe = document.getElementById('stageLoupe');
+const loupeCanvas = document.getElementById('loupeCanvas');
+const loupeSwatch = document.getElementById('loupeSwatch');
+const loupeValue = document.getElementById('loupeValue');
+const loupeSampleSizeSelect = document.getElementById('loupeSampleSize');
+const loupeOptions = document.getElementById('loupeOptions');
+
+/**
+ * Setup loupe controls and restore the saved sample size
+ */
+function setupLoupe() {
+    loupeSettings = loadSettings(LOUPE_SETTINGS_KEY, DEFAULT_LOUPE_SETTINGS);
+    if (!LOUPE_SAMPLE_SIZES.includes(Number(loupeSettings.sampleSize))) {
+        loupeSettings.sampleSize = DEFAULT_LOUPE_SETTINGS.sampleSize;
+    }
+    
+    fillSelect(loupeSampleSizeSelect, LOUPE_SAMPLE_SIZES.map(size =>
+        [size, size === 1 ? 'Single pixel' : `${size}×${size} average`]
+    ));
+    loupeSampleSizeSelect.value = loupeSettings.sampleSize;
+    loupeSampleSizeSelect.addEventListener('change', () => {
+        loupeSettings.sampleSize = Number(loupeSampleSizeSelect.value);
+        saveSettings(LOUPE_SETTINGS_KEY, loupeSettings);
+        renderLoupe();
+    });
+    
+    loupeCanvas.width = LOUPE_GRID_SIZE * LOUPE_CELL_SIZE;
+    loupeCanvas.height = LOUPE_GRID_SIZE * LOUPE_CELL_SIZE;
+    
+    // A new image needs a new pixel copy
+    stageImage.addEventListener('load', () => {
+        loupeSource = null;
+        loupePoint = null;
+        renderLoupe();
+    });
+    
+    stageOverlay.addEventListener('pointerleave', () => {
+        if (document.activeElement !== stageOverlay) stageLoupe.hidden = true;
+    });
+    stageOverlay.addEventListener('blur', () => {
+        stageLoupe.hidden = true;
+    });
+    stageOverlay.addEventListener('keydown', handleLoupeKeydown);
+}
+
+/**
+ * Turn the loupe on or off (it replaces the region tools while active)
+ * @param {boolean} active - Whether the loupe tool is selected
+ */
+function setLoupeActive(active) {
+    loupeActive = active;
+    loupeOptions.hidden = !active;
+    if (!active) stageLoupe.hidden = true;
+}
+
+/**
+ * Canvas holding the image at natural size, for reading pixels
+ * @returns {CanvasRenderingContext2D|null} Context, or null before the image loads
+ */
+function getLoupeSource() {
+    if (!loupeSource && stageImage.naturalWidth) {
+        const canvas = document.createElement('canvas');
+        canvas.width = stageImage.naturalWidth;
+        canvas.height = stageImage.naturalHeight;
+        
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        if (!ctx) return null;
+        ctx.drawImage(stageImage, 0, 0);
+        loupeSource = ctx;
+    }
+    return loupeSource;
+}
+
+/**
+ * Move the loupe to a point on the image
+ * @param {object} point - {x, y} in image pixels
+ */
+function moveLoupe(point) {
+    loupePoint = {
+        x: Math.min(stageImage.naturalWidth - 1, Math.floor(point.x)),
+        y: Math.min(stageImage.naturalHeight - 1, Math.floor(point.y))
+    };
+    renderLoupe();
+}
+
+/**
+ * Average the colors in the sample area around a point, weighted by opacity
+ * @param {object} point - {x, y} in image pixels
+ * @returns {string|null} HEX color, or null if the area is unreadable or fully transparent
+ */
+function sampleLoupeColor(point) {
+    const ctx = getLoupeSource();
+    if (!ctx) return null;
+    
+    const radius = Math.floor(loupeSettings.sampleSize / 2);
+    const left = Math.max(0, point.x - radius);
+    const top = Math.max(0, point.y - radius);
+    const right = Math.min(stageImage.naturalWidth, point.x + radius + 1);
+    const bottom = Math.min(stageImage.naturalHeight, point.y + radius + 1);
+    const pixels = ctx.getImageData(left, top, right - left, bottom - top).data;
+    
+    const sum = { r: 0, g: 0, b: 0, a: 0 };
+    for (let i = 0; i < pixels.length; i += 4) {
+        const alpha = pixels[i + 3];
+        sum.r += pixels[i] * alpha;
+        sum.g += pixels[i + 1] * alpha;
+        sum.b += pixels[i + 2] * alpha;
+        sum.a += alpha;
+    }
+    if (sum.a === 0) return null;
+    
+    return rgbToHex(Math.round(sum.r / sum.a), Math.round(sum.g / sum.a), Math.round(sum.b / sum.a));
+}
+
+/**
+ * Add the color under the loupe to the results
+ */
+function addLoupeColor() {
+    if (!loupePoint) return;
+    
+    const hex = sampleLoupeColor(loupePoint);
+    if (!hex) return;
+    
+    addSingleColor(hex);
+    showToast(`Color picked: ${hex}`);
+}
+
+/**
+ * Nudge the loupe with the arrow keys and add the color with Enter
+ * @param {KeyboardEvent} e - Key event on the overlay
+ */
+function handleLoupeKeydown(e) {
+    if (!loupeActive || !stageImage.naturalWidth) return;
+    
+    const steps = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+    if (steps[e.key]) {
+        e.preventDefault();
+        
+        // Keyboard users start from the middle of the image
+        const point = loupePoint || {
+            x: Math.floor(stageImage.naturalWidth / 2),
+            y: Math.floor(stageImage.naturalHeight / 2)
+        };
+        moveLoupe({
+            x: Math.max(0, point.x + steps[e.key][0]),
+            y: Math.max(0, point.y + steps[e.key][1])
+        });
+    } else if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        addLoupeColor();
+    }
+}
+
+/**
+ * Draw the magnified grid around the loupe point and show its color
+ */
+function renderLoupe() {
+    const ctx = loupeActive && loupePoint ? getLoupeSource() : null;
+    if (!ctx) {
+        stageLoupe.hidden = true;
+        return;
+    }
+    
+    const half = Math.floor(LOUPE_GRID_SIZE / 2);
+    const left = loupePoint.x - half;
+    const top = loupePoint.y - half;
+    const pixels = ctx.getImageData(left, top, LOUPE_GRID_SIZE, LOUPE_GRID_SIZE).data;
+    
+    const loupeCtx = loupeCanvas.getContext('2d');
+    loupeCtx.clearRect(0, 0, loupeCanvas.width, loupeCanvas.height);
+    
+    // Pixels outside the image come back transparent and stay empty
+    for (let row = 0; row < LOUPE_GRID_SIZE; row++) {
+        for (let col = 0; col < LOUPE_GRID_SIZE; col++) {
+            const i = (row * LOUPE_GRID_SIZE + col) * 4;
+            if (pixels[i + 3] === 0) continue;
+            
+            loupeCtx.fillStyle = `rgba(${pixels[i]}, ${pixels[i + 1]}, ${pixels[i + 2]}, ${pixels[i + 3] / 255})`;
+            loupeCtx.fillRect(col * LOUPE_CELL_SIZE, row * LOUPE_CELL_SIZE, LOUPE_CELL_SIZE, LOUPE_CELL_SIZE);
+        }
+    }
+    
+    loupeCtx.strokeStyle = 'rgba(0, 0, 0, 0.15)';
+    loupeCtx.lineWidth = 1;
+    loupeCtx.beginPath();
+    for (let i = 1; i < LOUPE_GRID_SIZE; i++) {
+        loupeCtx.moveTo(i * LOUPE_CELL_SIZE + 0.5, 0);
+        loupeCtx.lineTo(i * LOUPE_CELL_SIZE + 0.5, loupeCanvas.height);
+        loupeCtx.moveTo(0, i * LOUPE_CELL_SIZE + 0.5);
+        loupeCtx.lineTo(loupeCanvas.width, i * LOUPE_CELL_SIZE + 0.5);
+    }
+    loupeCtx.stroke();
+    
+    // Outline the averaged area in both dark and light so it shows on any color
+    const size = loupeSettings.sampleSize * LOUPE_CELL_SIZE;
+    const offset = (half - Math.floor(loupeSettings.sampleSize / 2)) * LOUPE_CELL_SIZE;
+    loupeCtx.lineWidth = 2;
+    loupeCtx.strokeStyle = '#000000';
+    loupeCtx.strokeRect(offset + 1, offset + 1, size - 2, size - 2);
+    loupeCtx.strokeStyle = '#FFFFFF';
+    loupeCtx.strokeRect(offset - 1, offset - 1, size + 2, size + 2);
+    
+    const hex = sampleLoupeColor(loupePoint);
+    loupeSwatch.style.backgroundColor = hex || 'transparent';
+    loupeValue.textContent = `${hex || 'Transparent'} · ${loupePoint.x}, ${loupePoint.y}`;
+    
+    positionLoupe();
+    stageLoupe.hidden = false;
+}
+
+/**
+ * Place the loupe beside the point, flipping sides near the stage edges
+ */
+function positionLoupe() {
+    const scale = getStageScale();
+    const x = stageOverlay.offsetLeft + (loupePoint.x + 0.5) * scale;
+    const y = stageOverlay.offsetTop + (loupePoint.y + 0.5) * scale;
+    const stage = stageOverlay.parentElement;
+    
+    const width = stageLoupe.offsetWidth || loupeCanvas.width;
+    const height = stageLoupe.offsetHeight || loupeCanvas.height;
+    const left = x + LOUPE_OFFSET + width > stage.clientWidth ? x - LOUPE_OFFSET - width : x + LOUPE_OFFSET;
+    const top = y + LOUPE_OFFSET + height > stage.clientHeight ? y - LOUPE_OFFSET - height : y + LOUPE_OFFSET;
+    
+    stageLoupe.style.left = `${Math.max(0, left)}px`;
+    stageLoupe.style.top = `${Math.max(0, top)}px`;
+}
@@ -0,0 +1,450 @@
+/**
+ * Office Open XML Parser Module
+ * Reads theme, text, shape and cell colors plus embedded images
+ * from DOCX, PPTX and XLSX documents
+ */
+
+// Human-readable labels for color sources
+const DOCUMENT_COLOR_SOURCES = {
+    'theme-accent': 'Theme accent',
+    'theme-base': 'Theme text/background',
+    'theme-link': 'Theme hyperlink',
+    'text-run': 'Text run',
+    'shape-fill': 'Shape fill',
+    'shape-line': 'Shape outline',
+    'cell-fill': 'Cell fill',
+    'shading': 'Paragraph shading',
+    'image': 'Image'
+};
+
+// Aliases used by schemeClr and Word's themeColor attribute
+const THEME_COLOR_ALIASES = {
+    bg1: 'lt1', tx1: 'dk1', bg2: 'lt2', tx2: 'dk2',
+    dark1: 'dk1', light1: 'lt1', dark2: 'dk2', light2: 'lt2',
+    text1: 'dk1', background1: 'lt1', text2: 'dk2', background2: 'lt2',
+    hyperlink: 'hlink', followedHyperlink: 'folHlink'
+};
+
+// SpreadsheetML theme indices (dark/light pairs are swapped relative to the scheme order)
+const SPREADSHEET_THEME_ORDER = ['lt1', 'dk1', 'lt2', 'dk2', 'accent1', 'accent2', 'accent3',
+    'accent4', 'accent5', 'accent6', 'hlink', 'folHlink'];
+
+// Default SpreadsheetML indexed color palette (indices 0-63)
+const SPREADSHEET_INDEXED_COLORS = [
+    '000000', 'FFFFFF', 'FF0000', '00FF00', '0000FF', 'FFFF00', 'FF00FF', '00FFFF',
+    '000000', 'FFFFFF', 'FF0000', '00FF00', '0000FF', 'FFFF00', 'FF00FF', '00FFFF',
+    '800000', '008000', '000080', '808000', '800080', '008080', 'C0C0C0', '808080',
+    '9999FF', '993366', 'FFFFCC', 'CCFFFF', '660066', 'FF8080', '0066CC', 'CCCCFF',
+    '000080', 'FF00FF', 'FFFF00', '00FFFF', '800080', '800000', '008080', '0000FF',
+    '00CCFF', 'CCFFFF', 'CCFFCC', 'FFFF99', '99CCFF', 'FF99CC', 'CC99FF', 'FFCC99',
+    '3366FF', '33CCCC', '99CC00', 'FFCC00', 'FF9900', 'FF6600', '666699', '969696',
+    '003366', '339966', '003300', '333300', '993300', '993366', '333399', '333333'
+];
+
+// Word highlight colors (w:highlight)
+const WORD_HIGHLIGHT_COLORS = {
+    black: '000000', blue: '0000FF', cyan: '00FFFF', green: '00FF00', magenta: 'FF00FF',
+    red: 'FF0000', yellow: 'FFFF00', white: 'FFFFFF', darkBlue: '000080', darkCyan: '008080',
+    darkGreen: '008000', darkMagenta: '800080', darkRed: '800000', darkYellow: '808000',
+    darkGray: '808080', lightGray: 'C0C0C0'
+};
+
+const DRAWING_COLOR_ELEMENTS = ['srgbClr', 'schemeClr', 'sysClr', 'scrgbClr', 'hslClr'];
+
+const OFFICE_IMAGE_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    bmp: 'image/bmp',
+    webp: 'image/webp'
+};
+
+class OOXMLParser {
+    /**
+     * @param {ZipReader} zip - Opened document archive
+     */
+    constructor(zip) {
+        this.zip = zip;
+        this.colorMap = new Map();
+        this.scheme = {};
+    }
+
+    /**
+     * Detect the document kind from its package parts
+     * @returns {string} 'word', 'ppt' or 'xl'
+     */
+    getDocumentType() {
+        if (this.zip.has('word/document.xml')) return 'word';
+        if (this.zip.has('ppt/presentation.xml')) return 'ppt';
+        if (this.zip.has('xl/workbook.xml')) return 'xl';
+        throw new Error('File is not a Word, PowerPoint or Excel document');
+    }
+
+    /**
+     * Extract colors and embedded images from the document
+     * @returns {Promise<object>} { colors: Array, images: Array }
+     */
+    async extractColors() {
+        const type = this.getDocumentType();
+        const names = this.zip.getNames();
+        
+        const themePath = `${type}/theme/theme1.xml`;
+        if (this.zip.has(themePath)) {
+            this.readTheme(await this.readXML(themePath));
+        }
+        
+        const partPatterns = {
+            word: /^word\/(document|styles|header\d*|footer\d*|footnotes|endnotes)\.xml$|^word\/charts\/chart\d+\.xml$/,
+            ppt: /^ppt\/(slides|slideLayouts|slideMasters|charts)\/[^/]+\.xml$/,
+            xl: /^xl\/(drawings|charts)\/[^/]+\.xml$/
+        };
+        
+        for (const name of names.filter(n => partPatterns[type].test(n))) {
+            const doc = await this.readXML(name);
+            this.readDrawingColors(doc);
+            if (type === 'word') this.readWordColors(doc);
+        }
+        
+        if (type === 'xl' && this.zip.has('xl/styles.xml')) {
+            this.readSpreadsheetStyles(await this.readXML('xl/styles.xml'));
+        }
+        
+        const images = [];
+        for (const name of names.filter(n => n.startsWith(`${type}/media/`))) {
+            const extension = name.split('.').pop().toLowerCase();
+            if (OFFICE_IMAGE_TYPES[extension]) {
+                images.push({ type: OFFICE_IMAGE_TYPES[extension], data: await this.zip.read(name), name });
+            }
+        }
+        
+        return {
+            colors: Array.from(this.colorMap.values()),
+            images
+        };
+    }
+
+    /**
+     * Read and parse an XML part
+     * @param {string} name - Part path
+     * @returns {Promise<Document>} Parsed XML document
+     */
+    async readXML(name) {
+        const text = await this.zip.readText(name);
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error(`Malformed XML in ${name}`);
+        }
+        return doc;
+    }
+
+    /**
+     * Record a color occurrence with its source
+     * @param {object|null} rgb - RGB color
+     * @param {string} source - Source key from DOCUMENT_COLOR_SOURCES
+     */
+    recordColor(rgb, source) {
+        if (!rgb) return;
+        
+        const hex = rgbToHex(rgb.r, rgb.g, rgb.b);
+        const existing = this.colorMap.get(hex);
+        if (existing) {
+            existing.count++;
+            if (!existing.sources.includes(source)) existing.sources.push(source);
+        } else {
+            this.colorMap.set(hex, { hex, rgb, count: 1, sources: [source] });
+        }
+    }
+
+    /**
+     * Read the theme color scheme (dk1/lt1/dk2/lt2, accent1-6, hyperlinks)
+     * @param {Document} doc - Theme XML
+     */
+    readTheme(doc) {
+        const scheme = doc.getElementsByTagNameNS('*', 'clrScheme')[0];
+        if (!scheme) return;
+        
+        Array.from(scheme.children).forEach(slot => {
+            const colorElement = slot.firstElementChild;
+            const rgb = colorElement ? this.resolveDrawingColor(colorElement) : null;
+            if (!rgb) return;
+            
+            this.scheme[slot.localName] = rgb;
+            
+            const source = slot.localName.startsWith('accent') ? 'theme-accent'
+                : slot.localName.toLowerCase().includes('hlink') ? 'theme-link'
+                : 'theme-base';
+            this.recordColor(rgb, source);
+        });
+    }
+
+    /**
+     * Look up a theme color by scheme name or alias
+     * @param {string} name - e.g. 'accent1', 'tx1', 'text1'
+     * @returns {object|null} RGB color
+     */
+    getSchemeColor(name) {
+        return this.scheme[THEME_COLOR_ALIASES[name] || name] || null;
+    }
+
+    /**
+     * Resolve a DrawingML color element including its modifiers
+     * @param {Element} element - srgbClr, schemeClr, sysClr, scrgbClr or hslClr
+     * @returns {object|null} RGB color
+     */
+    resolveDrawingColor(element) {
+        let rgb = null;
+        
+        switch (element.localName) {
+            case 'srgbClr':
+                rgb = this.parseHex(element.getAttribute('val'));
+                break;
+            case 'sysClr':
+                rgb = this.parseHex(element.getAttribute('lastClr'));
+                break;
+            case 'schemeClr': {
+                const scheme = this.getSchemeColor(element.getAttribute('val'));
+                rgb = scheme ? { ...scheme } : null;
+                break;
+            }
+            case 'scrgbClr': {
+                // Percentages in linear light, 0-100000
+                const toChannel = (attr) => {
+                    const linear = Math.max(0, Math.min(1, parseInt(element.getAttribute(attr), 10) / 100000));
+                    return Math.round(linearToSrgb(linear) * 255);
+                };
+                rgb = { r: toChannel('r'), g: toChannel('g'), b: toChannel('b') };
+                break;
+            }
+            case 'hslClr': {
+                // Hue is in 60000ths of a degree, saturation/luminance in 1000ths of a percent
+                rgb = hslToRgb({
+                    h: parseInt(element.getAttribute('hue'), 10) / 60000,
+                    s: parseInt(element.getAttribute('sat'), 10) / 1000,
+                    l: parseInt(element.getAttribute('lum'), 10) / 1000
+                });
+                break;
+            }
+        }
+        
+        if (!rgb) return null;
+        
+        // Apply luminance/saturation/tint/shade modifiers in document order
+        Array.from(element.children).forEach(modifier => {
+            const value = parseInt(modifier.getAttribute('val'), 10) / 100000;
+            if (isNaN(value)) return;
+            
+            const hsl = rgbToHsl(rgb);
+            switch (modifier.localName) {
+                case 'lumMod':
+                    rgb = hslToRgb({ ...hsl, l: hsl.l * value });
+                    break;
+                case 'lumOff':
+                    rgb = hslToRgb({ ...hsl, l: hsl.l + value * 100 });
+                    break;
+                case 'satMod':
+                    rgb = hslToRgb({ ...hsl, s: hsl.s * value });
+                    break;
+                case 'tint':
+                    rgb = applyOfficeTint(rgb, value);
+                    break;
+                case 'shade':
+                    rgb = applyOfficeShade(rgb, value);
+                    break;
+            }
+        });
+        
+        return rgb;
+    }
+
+    /**
+     * Parse a 6-digit (RGB) or 8-digit (ARGB) hex value
+     * @param {string|null} value - Hex string without '#'
+     * @returns {object|null} RGB color
+     */
+    parseHex(value) {
+        if (!value) return null;
+        if (/^[0-9A-Fa-f]{8}$/.test(value)) value = value.substring(2);
+        return /^[0-9A-Fa-f]{6}$/.test(value) ? hexToRgb(value) : null;
+    }
+
+    /**
+     * Classify a DrawingML color by the element it sits in
+     * @param {Element} element - Color element
+     * @returns {string} Source key
+     */
+    getDrawingSource(element) {
+        for (let node = element.parentElement; node; node = node.parentElement) {
+            switch (node.localName) {
+                case 'rPr':
+                case 'defRPr':
+                case 'endParaRPr':
+                    return 'text-run';
+                case 'ln':
+                case 'lnL':
+                case 'lnR':
+                case 'lnT':
+                case 'lnB':
+                    return 'shape-line';
+                case 'tcPr':
+                    return 'cell-fill';
+                case 'spPr':
+                case 'bgPr':
+                case 'bg':
+                    return 'shape-fill';
+            }
+        }
+        return 'shape-fill';
+    }
+
+    /**
+     * Collect DrawingML colors (slides, drawings, charts, Word shapes)
+     * @param {Document} doc - XML part
+     */
+    readDrawingColors(doc) {
+        DRAWING_COLOR_ELEMENTS.forEach(tag => {
+            Array.from(doc.getElementsByTagNameNS('*', tag)).forEach(element => {
+                // Skip duplicate fallback markup and theme formatting placeholders
+                if (element.closest('Fallback, fmtScheme, clrScheme')) return;
+                if (element.localName === 'schemeClr' && element.getAttribute('val') === 'phClr') return;
+                
+                this.recordColor(this.resolveDrawingColor(element), this.getDrawingSource(element));
+            });
+        });
+    }
+
+    /**
+     * Collect WordprocessingML run colors, shading and highlights
+     * @param {Document} doc - XML part
+     */
+    readWordColors(doc) {
+        Array.from(doc.getElementsByTagNameNS('*', 'color')).forEach(element => {
+            const rgb = this.resolveWordColor(element, 'val', 'themeColor');
+            this.recordColor(rgb, 'text-run');
+        });
+        
+        Array.from(doc.getElementsByTagNameNS('*', 'shd')).forEach(element => {
+            const rgb = this.resolveWordColor(element, 'fill', 'themeFill');
+            this.recordColor(rgb, element.closest('tcPr') ? 'cell-fill' : 'shading');
+        });
+        
+        Array.from(doc.getElementsByTagNameNS('*', 'highlight')).forEach(element => {
+            const value = WORD_HIGHLIGHT_COLORS[this.getWordAttribute(element, 'val')];
+            if (value) this.recordColor(hexToRgb(value), 'text-run');
+        });
+    }
+
+    /**
+     * Read a w: attribute regardless of prefix
+     * @param {Element} element - Word element
+     * @param {string} name - Attribute local name
+     * @returns {string|null} Attribute value
+     */
+    getWordAttribute(element, name) {
+        const attribute = Array.from(element.attributes).find(attr => attr.localName === name);
+        return attribute ? attribute.value : null;
+    }
+
+    /**
+     * Resolve a Word color attribute, preferring theme references
+     * @param {Element} element - w:color or w:shd element
+     * @param {string} valueAttr - Attribute with the literal hex
+     * @param {string} themeAttr - Attribute with the theme color name
+     * @returns {object|null} RGB color
+     */
+    resolveWordColor(element, valueAttr, themeAttr) {
+        const themeName = this.getWordAttribute(element, themeAttr);
+        let rgb = themeName ? this.getSchemeColor(themeName) : null;
+        
+        if (rgb) {
+            const prefix = themeAttr === 'themeFill' ? 'themeFill' : 'theme';
+            const shade = this.getWordAttribute(element, `${prefix}Shade`);
+            const tint = this.getWordAttribute(element, `${prefix}Tint`);
+            if (shade) rgb = applyOfficeShade(rgb, parseInt(shade, 16) / 255);
+            if (tint) rgb = applyOfficeTint(rgb, parseInt(tint, 16) / 255);
+            return rgb;
+        }
+        
+        const value = this.getWordAttribute(element, valueAttr);
+        return value && value !== 'auto' ? this.parseHex(value) : null;
+    }
+
+    /**
+     * Collect cell fills and font colors from SpreadsheetML styles
+     * @param {Document} doc - xl/styles.xml
+     */
+    readSpreadsheetStyles(doc) {
+        Array.from(doc.getElementsByTagNameNS('*', 'fill')).forEach(fill => {
+            const pattern = fill.getElementsByTagNameNS('*', 'patternFill')[0];
+            if (pattern && pattern.getAttribute('patternType') === 'solid') {
+                const fgColor = pattern.getElementsByTagNameNS('*', 'fgColor')[0];
+                if (fgColor) this.recordColor(this.resolveSpreadsheetColor(fgColor), 'cell-fill');
+            }
+            
+            // Gradient fills list their stops
+            Array.from(fill.getElementsByTagNameNS('*', 'stop')).forEach(stop => {
+                const color = stop.getElementsByTagNameNS('*', 'color')[0];
+                if (color) this.recordColor(this.resolveSpreadsheetColor(color), 'cell-fill');
+            });
+        });
+        
+        Array.from(doc.getElementsByTagNameNS('*', 'font')).forEach(font => {
+            const color = font.getElementsByTagNameNS('*', 'color')[0];
+            if (color) this.recordColor(this.resolveSpreadsheetColor(color), 'text-run');
+        });
+    }
+
+    /**
+     * Resolve a SpreadsheetML color (rgb, theme + tint, or indexed)
+     * @param {Element} element - color/fgColor element
+     * @returns {object|null} RGB color
+     */
+    resolveSpreadsheetColor(element) {
+        let rgb = null;
+        
+        if (element.hasAttribute('rgb')) {
+            rgb = this.parseHex(element.getAttribute('rgb'));
+        } else if (element.hasAttribute('theme')) {
+            const scheme = this.getSchemeColor(SPREADSHEET_THEME_ORDER[parseInt(element.getAttribute('theme'), 10)]);
+            rgb = scheme ? { ...scheme } : null;
+        } else if (element.hasAttribute('indexed')) {
+            const value = SPREADSHEET_INDEXED_COLORS[parseInt(element.getAttribute('indexed'), 10)];
+            rgb = value ? hexToRgb(value) : null;
+        }
+        
+        // Excel tint moves HSL lightness towards white (positive) or black (negative)
+        const tint = parseFloat(element.getAttribute('tint'));
+        if (rgb && tint) {
+            const hsl = rgbToHsl(rgb);
+            const l = tint < 0 ? hsl.l * (1 + tint) : hsl.l * (1 - tint) + tint * 100;
+            rgb = hslToRgb({ ...hsl, l });
+        }
+        
+        return rgb;
+    }
+}
+
+/**
+ * Lighten a color towards white (DrawingML tint / Word themeTint)
+ * @param {object} rgb - RGB color
+ * @param {number} amount - Fraction of the original color kept (0-1)
+ * @returns {object} RGB color
+ */
+function applyOfficeTint(rgb, amount) {
+    const tint = (c) => Math.round(c + (255 - c) * (1 - amount));
+    return { r: tint(rgb.r), g: tint(rgb.g), b: tint(rgb.b) };
+}
+
+/**
+ * Darken a color towards black (DrawingML shade / Word themeShade)
+ * @param {object} rgb - RGB color
+ * @param {number} amount - Fraction of the original color kept (0-1)
+ * @returns {object} RGB color
+ */
+function applyOfficeShade(rgb, amount) {
+    return {
+        r: Math.round(rgb.r * amount),
+        g: Math.round(rgb.g * amount),
+        b: Math.round(rgb.b * amount)
+    };
+}
@@ -0,0 +1,376 @@
+/**
+ * Palette Export Module
+ * Serializes a palette to code, design-token and design-tool formats
+ */
+
+// Procreate palettes hold at most 30 swatches
+const PROCREATE_SWATCH_LIMIT = 30;
+
+// PNG swatch strip layout
+const SWATCH_STRIP = {
+    width: 160,
+    height: 120,
+    labelHeight: 48,
+    perRow: 10
+};
+
+// Formats marked roles: true also write the semantic roles (from createRoleEntries),
+// referring to the palette variables where the format allows it
+const PALETTE_EXPORT_FORMATS = {
+    css: {
+        label: 'CSS custom properties',
+        extension: 'css',
+        mimeType: 'text/css',
+        roles: true,
+        build: (entries, title, roles = []) => `:root {\n${[
+            ...entries.map(entry => `    --${entry.variable}: ${entry.hex};`),
+            ...(roles.length ? ['', '    /* Roles */'] : []),
+            ...roles.map(role => `    --${role.variable}: var(--${role.entry.variable});`)
+        ].join('\n')}\n}\n`
+    },
+    scss: {
+        label: 'SCSS variables',
+        extension: 'scss',
+        mimeType: 'text/x-scss',
+        roles: true,
+        build: (entries, title, roles = []) => [
+            ...entries.map(entry => `$${entry.variable}: ${entry.hex};`),
+            ...(roles.length ? ['', '// Roles'] : []),
+            ...roles.map(role => `$${role.variable}: $${role.entry.variable};`)
+        ].join('\n') + '\n'
+    },
+    less: {
+        label: 'Less variables',
+        extension: 'less',
+        mimeType: 'text/x-less',
+        roles: true,
+        build: (entries, title, roles = []) => [
+            ...entries.map(entry => `@${entry.variable}: ${entry.hex};`),
+            ...(roles.length ? ['', '// Roles'] : []),
+            ...roles.map(role => `@${role.variable}: @${role.entry.variable};`)
+        ].join('\n') + '\n'
+    },
+    tailwind: {
+        label: 'Tailwind config (theme.colors)',
+        extension: 'js',
+        filename: 'tailwind.config.js',
+        mimeType: 'text/javascript',
+        roles: true,
+        build: (entries, title, roles = []) => [
+            '/** @type {import(\'tailwindcss\').Config} */',
+            'module.exports = {',
+            '    theme: {',
+            '        colors: {',
+            [...entries, ...roles.map(role => ({ variable: role.variable, hex: role.entry.hex }))]
+                .map(entry => `            '${entry.variable}': '${entry.hex}',`).join('\n'),
+            '        }',
+            '    }',
+            '};',
+            ''
+        ].join('\n')
+    },
+    dtcg: {
+        label: 'Design Tokens (W3C DTCG)',
+        extension: 'tokens.json',
+        mimeType: 'application/json',
+        roles: true,
+        build: (entries, title, roles = []) => {
+            const tokens = {};
+            entries.forEach(entry => {
+                tokens[entry.variable] = {
+                    $type: 'color',
+                    $value: {
+                        colorSpace: 'srgb',
+                        components: [entry.rgb.r, entry.rgb.g, entry.rgb.b].map(c => Number((c / 255).toFixed(4))),
+                        hex: entry.hex.toLowerCase()
+                    },
+                    $description: entry.name
+                };
+            });
+            
+            // Role tokens are aliases of the palette tokens
+            const roleTokens = {};
+            roles.forEach(role => {
+                roleTokens[role.variable] = {
+                    $type: 'color',
+                    $value: `{color.${role.entry.variable}}`,
+                    $description: role.name
+                };
+            });
+            return JSON.stringify(roles.length ? { color: tokens, role: roleTokens } : { color: tokens }, null, 2) + '\n';
+        }
+    },
+    json: {
+        label: 'ColorTrace JSON',
+        extension: 'json',
+        mimeType: 'application/json',
+        roles: true,
+        build: (entries, title, roles = []) => JSON.stringify({
+            exportDate: new Date().toISOString(),
+            totalColors: entries.length,
+            ...(roles.length && { roles: Object.fromEntries(roles.map(role => [role.role, role.entry.hex])) }),
+            colors: entries.map(entry => ({
+                hex: entry.hex,
+                rgb: entry.rgb,
+                rgbString: `rgb(${entry.rgb.r}, ${entry.rgb.g}, ${entry.rgb.b})`,
+                ...(entry.color.cmyk && { cmyk: entry.color.cmyk }),
+                ...(entry.color.sources && { sources: entry.color.sources }),
+                ...(entry.color.harmony && { harmony: entry.color.harmony }),
+                usage: entry.color.percentage ? `${entry.color.percentage}%` : 'N/A',
+                name: entry.name,
+                ...(entry.match && {
+                    nameHex: entry.match.hex,
+                    nameSource: entry.match.source,
+                    nameDistance: Number(entry.match.distance.toFixed(2))
+                })
+            }))
+        }, null, 2)
+    },
+    ase: {
+        label: 'Adobe Swatch Exchange (.ase)',
+        extension: 'ase',
+        mimeType: 'application/octet-stream',
+        binary: true,
+        build: (entries) => buildAsePalette(entries)
+    },
+    gpl: {
+        label: 'GIMP / Inkscape palette (.gpl)',
+        extension: 'gpl',
+        mimeType: 'text/plain',
+        build: (entries, title) => [
+            'GIMP Palette',
+            `Name: ${title}`,
+            'Columns: 8',
+            '#',
+            ...entries.map(entry => {
+                const channels = [entry.rgb.r, entry.rgb.g, entry.rgb.b].map(c => String(c).padStart(3, ' ')).join(' ');
+                return `${channels}\t${entry.name}`;
+            }),
+            ''
+        ].join('\n')
+    },
+    procreate: {
+        label: 'Procreate swatches (.swatches)',
+        extension: 'swatches',
+        mimeType: 'application/zip',
+        binary: true,
+        limit: PROCREATE_SWATCH_LIMIT,
+        build: (entries, title) => buildProcreatePalette(entries, title)
+    },
+    sketch: {
+        label: 'Sketch palette (.sketchpalette)',
+        extension: 'sketchpalette',
+        mimeType: 'application/json',
+        build: (entries) => JSON.stringify({
+            compatibleVersion: '2.0',
+            pluginVersion: '2.22',
+            colors: entries.map(entry => ({
+                name: entry.name,
+                red: Number((entry.rgb.r / 255).toFixed(4)),
+                green: Number((entry.rgb.g / 255).toFixed(4)),
+                blue: Number((entry.rgb.b / 255).toFixed(4)),
+                alpha: 1
+            })),
+            gradients: [],
+            images: []
+        }, null, 2)
+    },
+    png: {
+        label: 'PNG swatch strip',
+        extension: 'png',
+        mimeType: 'image/png',
+        binary: true,
+        build: (entries) => buildSwatchStrip(entries)
+    }
+};
+
+const DEFAULT_EXPORT_FORMAT = 'css';
+
+/**
+ * Turn a color name into a variable-safe identifier
+ * (sanitizeFilename rules, with hyphens as separators)
+ * @param {string} name - Color name
+ * @returns {string} Lowercase identifier such as 'dodger-blue'
+ */
+function toVariableName(name) {
+    const slug = String(name)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9_\-]/gi, '-')
+        .toLowerCase()
+        .replace(/-+/g, '-')
+        .replace(/^-|-$/g, '');
+    
+    if (!slug) return 'color';
+    return /^[0-9_]/.test(slug) ? `color-${slug}` : slug;
+}
+
+/**
+ * Prepare palette colors for export with unique variable names
+ * @param {Array} colors - Palette colors {hex, rgb, ...}
+ * @param {Function} nameOf - Returns the name match {name, ...} for a color, or null;
+ *                            used when the color has no name of its own
+ * @returns {Array} Entries {name, variable, hex, rgb, color, match}
+ */
+function createPaletteEntries(colors, nameOf) {
+    const used = new Set();
+    
+    return colors.map(color => {
+        const match = nameOf(color);
+        // Names from an imported palette win over the nearest named color
+        const name = color.name || (match ? match.name : color.hex);
+        const base = toVariableName(name);
+        
+        // Repeated names get numeric suffixes: blue, blue-2, blue-3
+        let variable = base;
+        for (let n = 2; used.has(variable); n++) {
+            variable = `${base}-${n}`;
+        }
+        used.add(variable);
+        
+        return { name, variable, hex: color.hex, rgb: color.rgb, color, match };
+    });
+}
+
+/**
+ * Build an export file
+ * @param {Array} entries - Palette entries from createPaletteEntries
+ * @param {string} format - Key of PALETTE_EXPORT_FORMATS
+ * @param {string} title - Palette title
+ * @param {Array} roles - Role entries from createRoleEntries; ignored by formats without roles
+ * @returns {Promise<object>} {blob, filename, text, count}; text is null for binary formats
+ */
+async function buildPaletteExport(entries, format, title = 'ColorTrace palette', roles = []) {
+    const definition = PALETTE_EXPORT_FORMATS[format];
+    if (!definition) {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+    
+    const limited = definition.limit ? entries.slice(0, definition.limit) : entries;
+    const content = await definition.build(limited, title, definition.roles ? roles : []);
+    const blob = content instanceof Blob ? content : new Blob([content], { type: definition.mimeType });
+    const filename = definition.filename || `${sanitizeFilename(title)}.${definition.extension}`;
+    
+    return {
+        blob,
+        filename,
+        text: typeof content === 'string' ? content : null,
+        count: limited.length
+    };
+}
+
+/**
+ * Encode a palette as Adobe Swatch Exchange (big-endian, RGB float swatches)
+ * @param {Array} entries - Palette entries
+ * @returns {Uint8Array} ASE file bytes
+ */
+function buildAsePalette(entries) {
+    const blocks = entries.map(entry => {
+        // Names are null-terminated UTF-16BE; the length field counts code units
+        const name = `${entry.name}\0`;
+        const length = 2 + name.length * 2 + 4 + 12 + 2;
+        const view = new DataView(new ArrayBuffer(6 + length));
+        
+        view.setUint16(0, 0x0001); // color entry
+        view.setUint32(2, length);
+        view.setUint16(6, name.length);
+        for (let i = 0; i < name.length; i++) {
+            view.setUint16(8 + i * 2, name.charCodeAt(i));
+        }
+        
+        let offset = 8 + name.length * 2;
+        'RGB '.split('').forEach((char, i) => view.setUint8(offset + i, char.charCodeAt(0)));
+        offset += 4;
+        [entry.rgb.r, entry.rgb.g, entry.rgb.b].forEach((c, i) => view.setFloat32(offset + i * 4, c / 255));
+        view.setUint16(offset + 12, 2); // normal (process) color
+        
+        return new Uint8Array(view.buffer);
+    });
+    
+    const header = new DataView(new ArrayBuffer(12));
+    'ASEF'.split('').forEach((char, i) => header.setUint8(i, char.charCodeAt(0)));
+    header.setUint16(4, 1);
+    header.setUint16(6, 0);
+    header.setUint32(8, blocks.length);
+    
+    return concatBytes([new Uint8Array(header.buffer), ...blocks]);
+}
+
+/**
+ * Encode a palette as a Procreate .swatches archive
+ * @param {Array} entries - Palette entries (at most 30)
+ * @param {string} title - Palette name
+ * @returns {Uint8Array} ZIP bytes containing Swatches.json
+ */
+function buildProcreatePalette(entries, title) {
+    const swatches = entries.map(entry => {
+        const hsv = rgbToHsv(entry.rgb);
+        return {
+            hue: hsv.h / 360,
+            saturation: hsv.s / 100,
+            brightness: hsv.v / 100,
+            alpha: 1,
+            colorSpace: 0
+        };
+    });
+    
+    const zip = new ZipWriter();
+    zip.addFile('Swatches.json', JSON.stringify([{ name: title, swatches }]));
+    return zip.toBytes();
+}
+
+/**
+ * Render the palette as a PNG image of labeled swatches
+ * @param {Array} entries - Palette entries
+ * @returns {Promise<Blob>} PNG image
+ */
+function buildSwatchStrip(entries) {
+    const { width, height, labelHeight, perRow } = SWATCH_STRIP;
+    const columns = Math.min(perRow, Math.max(1, entries.length));
+    const rows = Math.max(1, Math.ceil(entries.length / perRow));
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = columns * width;
+    canvas.height = rows * (height + labelHeight);
+    const ctx = canvas.getContext('2d');
+    
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.textBaseline = 'top';
+    
+    entries.forEach((entry, index) => {
+        const x = (index % perRow) * width;
+        const y = Math.floor(index / perRow) * (height + labelHeight);
+        
+        ctx.fillStyle = entry.hex;
+        ctx.fillRect(x, y, width, height);
+        
+        ctx.fillStyle = '#111827';
+        ctx.font = '600 13px sans-serif';
+        ctx.fillText(fitCanvasText(ctx, entry.name, width - 16), x + 8, y + height + 8);
+        ctx.fillStyle = '#6B7280';
+        ctx.font = '12px monospace';
+        ctx.fillText(entry.hex, x + 8, y + height + 26);
+    });
+    
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to render PNG')), 'image/png');
+    });
+}
+
+/**
+ * Shorten text with an ellipsis to fit a width on a canvas
+ * @param {CanvasRenderingContext2D} ctx - Context with the font already set
+ * @param {string} text - Text
+ * @param {number} maxWidth - Available width in pixels
+ * @returns {string} Text that fits
+ */
+function fitCanvasText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+    
+    let fitted = text;
+    while (fitted.length > 1 && ctx.measureText(`${fitted}…`).width > maxWidth) {
+        fitted = fitted.slice(0, -1);
+    }
+    return `${fitted}…`;
+}
@@ -0,0 +1,642 @@
+/**
+ * Palette Import Module
+ * Reads palettes saved by design tools, stylesheets, Tailwind configs,
+ * design-token files and ColorTrace's own exports
+ */
+
+const PALETTE_IMPORT_FORMATS = {
+    ase: {
+        label: 'Adobe Swatch Exchange',
+        extensions: ['ase'],
+        binary: true,
+        parse: (buffer) => parseAsePalette(buffer)
+    },
+    aco: {
+        label: 'Photoshop color swatches',
+        extensions: ['aco'],
+        binary: true,
+        parse: (buffer) => parseAcoPalette(buffer)
+    },
+    gpl: {
+        label: 'GIMP palette',
+        extensions: ['gpl'],
+        parse: (text) => parseGplPalette(text)
+    },
+    procreate: {
+        label: 'Procreate swatches',
+        extensions: ['swatches'],
+        binary: true,
+        parse: (buffer) => parseProcreatePalette(buffer)
+    },
+    stylesheet: {
+        label: 'stylesheet variables',
+        extensions: ['css', 'scss', 'sass', 'less'],
+        parse: (text) => parseStylesheetVariables(text)
+    },
+    tailwind: {
+        label: 'Tailwind config',
+        // Other scripts are not palettes, so only files named tailwind.config.* are read
+        baseName: 'tailwind.config',
+        extensions: ['js', 'cjs', 'mjs', 'ts'],
+        parse: (text) => parseTailwindConfig(text)
+    },
+    json: {
+        label: 'JSON palette',
+        extensions: ['json', 'sketchpalette'],
+        parse: (text) => parseJsonPalette(text)
+    }
+};
+
+// Channels stored per Adobe Swatch Exchange color model
+const ASE_CHANNELS = { RGB: 3, CMYK: 4, LAB: 3, Gray: 1 };
+
+// Alias chains longer than this are treated as cycles
+const MAX_ALIAS_DEPTH = 16;
+
+/**
+ * Find the import format for a file name
+ * @param {string} fileName - File name
+ * @returns {string|null} Key of PALETTE_IMPORT_FORMATS, or null for non-palette files
+ */
+function getPaletteImportFormat(fileName) {
+    const name = fileName.toLowerCase();
+    const match = Object.entries(PALETTE_IMPORT_FORMATS).find(([, format]) =>
+        format.extensions.some(extension => format.baseName
+            ? name === `${format.baseName}.${extension}`
+            : name.endsWith(`.${extension}`))
+    );
+    return match ? match[0] : null;
+}
+
+/**
+ * Read a palette file into color objects
+ * @param {File} file - Palette file
+ * @returns {Promise<Array>} Color objects {hex, rgb, count, name, ...} in file order
+ */
+async function importPalette(file) {
+    const format = getPaletteImportFormat(file.name);
+    if (!format) {
+        throw new Error('Unsupported palette format');
+    }
+    
+    const definition = PALETTE_IMPORT_FORMATS[format];
+    const content = definition.binary ? await file.arrayBuffer() : await file.text();
+    const swatches = await definition.parse(content);
+    
+    // Drop repeated entries, but keep the same color under different names
+    const seen = new Set();
+    const colors = [];
+    swatches.forEach(swatch => {
+        const hex = rgbToHex(swatch.rgb.r, swatch.rgb.g, swatch.rgb.b);
+        // Fields from JSON files may have any type; only the expected ones are kept
+        const name = typeof swatch.name === 'string' ? swatch.name : '';
+        const key = `${hex}:${name}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        
+        const color = { hex, rgb: swatch.rgb, count: 1 };
+        if (name) color.name = name;
+        const cmyk = readCmyk(swatch.cmyk);
+        if (cmyk) color.cmyk = cmyk;
+        if (isStringList(swatch.sources) && swatch.sources.length > 0) color.sources = swatch.sources;
+        if (swatch.percentage) color.percentage = swatch.percentage;
+        colors.push(color);
+    });
+    
+    if (colors.length === 0) {
+        throw new Error(`No colors found in this ${definition.label} file`);
+    }
+    return colors;
+}
+
+/**
+ * Parse a color value written in a palette or stylesheet
+ * (hex, rgb(), hsl() or a CSS named color)
+ * @param {string} value - Color text
+ * @returns {object|null} RGB color {r, g, b}, or null if not a plain color
+ */
+function parsePaletteColor(value) {
+    const text = String(value).trim().toLowerCase();
+    
+    const hexMatch = text.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+    if (hexMatch) {
+        // Alpha digits are ignored
+        const digits = hexMatch[1].length <= 4
+            ? hexMatch[1].split('').map(digit => digit + digit).join('')
+            : hexMatch[1];
+        return hexToRgb(digits.slice(0, 6));
+    }
+    
+    const functionMatch = text.match(/^(rgba?|hsla?)\(([^()]*)\)$/);
+    if (functionMatch) {
+        // Comma and space-separated syntaxes; anything after the third value is alpha
+        const parts = functionMatch[2].split(/[\s,/]+/).filter(Boolean).slice(0, 3);
+        if (parts.length < 3 || parts.some(part => isNaN(parseFloat(part)))) return null;
+        
+        if (functionMatch[1].startsWith('rgb')) {
+            const [r, g, b] = parts.map(part => {
+                const channel = part.endsWith('%') ? parseFloat(part) * 2.55 : parseFloat(part);
+                return Math.round(Math.max(0, Math.min(255, channel)));
+            });
+            return { r, g, b };
+        }
+        
+        const hue = parts[0].endsWith('turn') ? parseFloat(parts[0]) * 360 : parseFloat(parts[0]);
+        return hslToRgb({ h: hue, s: parseFloat(parts[1]), l: parseFloat(parts[2]) });
+    }
+    
+    const named = getColorNameIndex('css').entries.find(entry => entry.name === text);
+    return named ? { ...named.rgb } : null;
+}
+
+/**
+ * Read ASCII characters from a DataView
+ * @param {DataView} view - Data view
+ * @param {number} offset - Byte offset
+ * @param {number} length - Number of characters
+ * @returns {string} Text
+ */
+function readAscii(view, offset, length) {
+    let text = '';
+    for (let i = 0; i < length; i++) {
+        text += String.fromCharCode(view.getUint8(offset + i));
+    }
+    return text;
+}
+
+/**
+ * Read a UTF-16BE string from a DataView, stopping at a null terminator
+ * @param {DataView} view - Data view
+ * @param {number} offset - Byte offset
+ * @param {number} length - Length in code units
+ * @returns {string} Text
+ */
+function readUtf16(view, offset, length) {
+    let text = '';
+    for (let i = 0; i < length; i++) {
+        const code = view.getUint16(offset + i * 2);
+        if (code === 0) break;
+        text += String.fromCharCode(code);
+    }
+    return text;
+}
+
+/**
+ * Parse an Adobe Swatch Exchange file
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Array} Swatches {name, rgb, cmyk?, sources?}
+ */
+function parseAsePalette(buffer) {
+    const view = new DataView(buffer);
+    if (buffer.byteLength < 12 || readAscii(view, 0, 4) !== 'ASEF') {
+        throw new Error('Not an Adobe Swatch Exchange file');
+    }
+    
+    const blockCount = view.getUint32(8);
+    const swatches = [];
+    const groups = [];
+    let offset = 12;
+    
+    for (let i = 0; i < blockCount && offset + 6 <= buffer.byteLength; i++) {
+        const type = view.getUint16(offset);
+        const length = view.getUint32(offset + 2);
+        const body = offset + 6;
+        offset = body + length;
+        
+        if (type === 0xC002) {
+            groups.pop();
+            continue;
+        }
+        if (length < 2) continue;
+        
+        const nameLength = view.getUint16(body);
+        const name = readUtf16(view, body + 2, nameLength);
+        if (type === 0xC001) {
+            groups.push(name);
+            continue;
+        }
+        if (type !== 0x0001) continue;
+        
+        const modelOffset = body + 2 + nameLength * 2;
+        const model = readAscii(view, modelOffset, 4).trim();
+        const values = [];
+        for (let v = 0; v < (ASE_CHANNELS[model] || 0); v++) {
+            values.push(view.getFloat32(modelOffset + 4 + v * 4));
+        }
+        
+        const swatch = { name, sources: groups.length > 0 ? [groups[groups.length - 1]] : [] };
+        switch (model) {
+            case 'RGB': {
+                const [r, g, b] = values.map(value => Math.round(Math.max(0, Math.min(1, value)) * 255));
+                swatch.rgb = { r, g, b };
+                break;
+            }
+            case 'CMYK': {
+                const [c, m, y, k] = values.map(value => Math.max(0, Math.min(1, value)) * 100);
+                swatch.rgb = cmykToRgb({ c, m, y, k });
+                swatch.cmyk = { c: Math.round(c), m: Math.round(m), y: Math.round(y), k: Math.round(k) };
+                break;
+            }
+            case 'LAB':
+                // Lightness is stored as 0-1, a and b as-is
+                swatch.rgb = labToRgb({ l: values[0] * 100, a: values[1], b: values[2] });
+                break;
+            case 'Gray': {
+                const gray = Math.round(Math.max(0, Math.min(1, values[0])) * 255);
+                swatch.rgb = { r: gray, g: gray, b: gray };
+                break;
+            }
+            default:
+                continue;
+        }
+        swatches.push(swatch);
+    }
+    
+    return swatches;
+}
+
+/**
+ * Parse a Photoshop .aco file. Version 2 sections (with names) follow the
+ * version 1 section and take precedence.
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Array} Swatches {name, rgb, cmyk?}
+ */
+function parseAcoPalette(buffer) {
+    const view = new DataView(buffer);
+    let swatches = null;
+    let offset = 0;
+    
+    while (offset + 4 <= buffer.byteLength) {
+        const version = view.getUint16(offset);
+        const count = view.getUint16(offset + 2);
+        if (version !== 1 && version !== 2) break;
+        offset += 4;
+        
+        const section = [];
+        for (let i = 0; i < count && offset + 10 <= buffer.byteLength; i++) {
+            const space = view.getUint16(offset);
+            const w = view.getUint16(offset + 2);
+            const x = view.getUint16(offset + 4);
+            const y = view.getUint16(offset + 6);
+            const z = view.getUint16(offset + 8);
+            offset += 10;
+            
+            let name = '';
+            if (version === 2) {
+                const length = view.getUint32(offset);
+                name = readUtf16(view, offset + 4, length);
+                offset += 4 + length * 2;
+            }
+            
+            const swatch = { name };
+            switch (space) {
+                case 0: // RGB, 0-65535 per channel
+                    swatch.rgb = { r: Math.round(w / 257), g: Math.round(x / 257), b: Math.round(y / 257) };
+                    break;
+                case 1: // HSB, 0-65535 per component
+                    swatch.rgb = hsvToRgb({ h: w / 65535 * 360, s: x / 655.35, v: y / 655.35 });
+                    break;
+                case 2: { // CMYK, 0 is full ink
+                    const [c, m, yellow, k] = [w, x, y, z].map(value => 100 - value / 655.35);
+                    swatch.rgb = cmykToRgb({ c, m, y: yellow, k });
+                    swatch.cmyk = { c: Math.round(c), m: Math.round(m), y: Math.round(yellow), k: Math.round(k) };
+                    break;
+                }
+                case 7: // Lab, L 0-10000, signed a and b in hundredths
+                    swatch.rgb = labToRgb({
+                        l: w / 100,
+                        a: (x > 32767 ? x - 65536 : x) / 100,
+                        b: (y > 32767 ? y - 65536 : y) / 100
+                    });
+                    break;
+                case 8: { // Grayscale, 0-10000 of black ink
+                    const gray = Math.round((1 - Math.min(10000, w) / 10000) * 255);
+                    swatch.rgb = { r: gray, g: gray, b: gray };
+                    break;
+                }
+                default:
+                    // Pantone, Focoltone and other library references carry no color values
+                    continue;
+            }
+            section.push(swatch);
+        }
+        swatches = section;
+    }
+    
+    if (swatches === null) {
+        throw new Error('Not a Photoshop color swatches file');
+    }
+    return swatches;
+}
+
+/**
+ * Parse a GIMP/Inkscape .gpl palette
+ * @param {string} text - File contents
+ * @returns {Array} Swatches {name, rgb}
+ */
+function parseGplPalette(text) {
+    const lines = text.split(/\r?\n/);
+    if (!lines[0].trim().startsWith('GIMP Palette')) {
+        throw new Error('Not a GIMP palette');
+    }
+    
+    const swatches = [];
+    lines.slice(1).forEach(line => {
+        const match = line.match(/^\s*(\d{1,3})\s+(\d{1,3})\s+(\d{1,3})(?:\s+(.*))?$/);
+        if (!match) return;
+        
+        const [r, g, b] = match.slice(1, 4).map(value => Math.min(255, parseInt(value, 10)));
+        const name = (match[4] || '').trim();
+        swatches.push({ name: name === 'Untitled' ? '' : name, rgb: { r, g, b } });
+    });
+    return swatches;
+}
+
+/**
+ * Parse a Procreate .swatches archive
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Promise<Array>} Swatches {rgb, sources}
+ */
+async function parseProcreatePalette(buffer) {
+    const zip = new ZipReader(buffer);
+    const entry = zip.getNames().find(name => name.endsWith('Swatches.json'));
+    if (!entry) {
+        throw new Error('Not a Procreate swatches file');
+    }
+    
+    const data = JSON.parse(await zip.readText(entry));
+    const palette = Array.isArray(data) ? data[0] : data;
+    
+    // Empty slots are stored as null
+    return (palette.swatches || []).filter(Boolean).map(swatch => ({
+        rgb: hsvToRgb({ h: swatch.hue * 360, s: swatch.saturation * 100, v: swatch.brightness * 100 }),
+        sources: palette.name ? [palette.name] : []
+    }));
+}
+
+/**
+ * Remove block and line comments (// comments are skipped after ':' so URLs survive)
+ * @param {string} text - Source text
+ * @returns {string} Text without comments
+ */
+function stripComments(text) {
+    return text
+        .replace(/\/\*[\s\S]*?\*\//g, '')
+        .replace(/(^|[^:])\/\/.*$/gm, '$1');
+}
+
+/**
+ * Parse color variables from CSS custom properties, SCSS/Sass ($) or Less (@)
+ * @param {string} text - Stylesheet
+ * @returns {Array} Swatches {name, rgb}
+ */
+function parseStylesheetVariables(text) {
+    const declaration = /(--[\w-]+|\$[\w-]+|@[\w-]+)\s*:\s*([^;{}\r\n]+)/g;
+    const values = new Map();
+    const order = [];
+    
+    for (const match of stripComments(text).matchAll(declaration)) {
+        const value = match[2].replace(/!(default|important|global)/g, '').trim();
+        if (!values.has(match[1])) order.push(match[1]);
+        values.set(match[1], value);
+    }
+    
+    // Variables may refer to others: var(--x, fallback), $x or @x
+    const resolve = (value, depth = 0) => {
+        if (depth > MAX_ALIAS_DEPTH) return null;
+        
+        const cssVariable = value.match(/^var\(\s*(--[\w-]+)\s*(?:,\s*(.+))?\)$/);
+        if (cssVariable) {
+            if (values.has(cssVariable[1])) return resolve(values.get(cssVariable[1]), depth + 1);
+            return cssVariable[2] ? resolve(cssVariable[2].trim(), depth + 1) : null;
+        }
+        if (/^[$@][\w-]+$/.test(value)) {
+            return values.has(value) ? resolve(values.get(value), depth + 1) : null;
+        }
+        return parsePaletteColor(value);
+    };
+    
+    const swatches = [];
+    order.forEach(variable => {
+        const rgb = resolve(values.get(variable));
+        if (rgb) swatches.push({ name: variable.replace(/^(--|\$|@)/, ''), rgb });
+    });
+    return swatches;
+}
+
+/**
+ * Parse the colors of a Tailwind config (theme.colors and theme.extend.colors)
+ * without evaluating it. Nested shades become names like 'blue-500'.
+ * @param {string} text - tailwind.config.js contents
+ * @returns {Array} Swatches {name, rgb}
+ */
+function parseTailwindConfig(text) {
+    const source = stripComments(text);
+    const swatches = [];
+    
+    const collect = (node, path) => {
+        node.forEach((value, key) => {
+            // DEFAULT is the shade used by the bare name, as in `bg-primary`
+            const name = key === 'DEFAULT' ? path : (path ? `${path}-${key}` : key);
+            if (value instanceof Map) {
+                collect(value, name);
+                return;
+            }
+            const rgb = parsePaletteColor(value);
+            if (rgb && name) swatches.push({ name, rgb });
+        });
+    };
+    
+    const themeMatch = source.match(/\btheme\s*:\s*\{/);
+    if (themeMatch) {
+        const theme = readObjectLiteral(source, themeMatch.index + themeMatch[0].length - 1).value;
+        const extend = theme.get('extend');
+        [theme.get('colors'), extend instanceof Map ? extend.get('colors') : null].forEach(colors => {
+            if (colors instanceof Map) collect(colors, '');
+        });
+        return swatches;
+    }
+    
+    // Configs that build the theme elsewhere: take every colors object
+    for (const match of source.matchAll(/\bcolors\s*:\s*\{/g)) {
+        collect(readObjectLiteral(source, match.index + match[0].length - 1).value, '');
+    }
+    return swatches;
+}
+
+/**
+ * Read a JavaScript object literal holding only string values and nested objects.
+ * Other values (references, function calls, spreads) are skipped. Maps keep the
+ * source order, which plain objects lose for numeric keys such as shades.
+ * @param {string} source - Source text
+ * @param {number} start - Index of the opening brace
+ * @returns {object} {value: Map, end} with end just past the closing brace
+ */
+function readObjectLiteral(source, start) {
+    const value = new Map();
+    const key = /\s*(?:'([^']*)'|"([^"]*)"|([\w$-]+))\s*:\s*/y;
+    const string = /'([^']*)'|"([^"]*)"|`([^`$]*)`/y;
+    let i = start + 1;
+    
+    while (i < source.length) {
+        while (i < source.length && /[\s,]/.test(source[i])) i++;
+        if (i >= source.length || source[i] === '}') return { value, end: i + 1 };
+        
+        key.lastIndex = i;
+        const keyMatch = key.exec(source);
+        if (!keyMatch) {
+            i = skipValue(source, i);
+            continue;
+        }
+        i = key.lastIndex;
+        const name = keyMatch[1] ?? keyMatch[2] ?? keyMatch[3];
+        
+        if (source[i] === '{') {
+            const nested = readObjectLiteral(source, i);
+            value.set(name, nested.value);
+            i = nested.end;
+            continue;
+        }
+        
+        string.lastIndex = i;
+        const stringMatch = string.exec(source);
+        if (stringMatch && /^\s*[,}]/.test(source.slice(string.lastIndex, string.lastIndex + 80))) {
+            value.set(name, stringMatch[1] ?? stringMatch[2] ?? stringMatch[3]);
+            i = string.lastIndex;
+        } else {
+            i = skipValue(source, i);
+        }
+    }
+    return { value, end: i };
+}
+
+/**
+ * Skip an expression up to the next comma or closing brace at the same depth
+ * @param {string} source - Source text
+ * @param {number} start - Index where the expression starts
+ * @returns {number} Index of the terminating comma or brace
+ */
+function skipValue(source, start) {
+    let depth = 0;
+    for (let i = start; i < source.length; i++) {
+        const char = source[i];
+        if (char === '\'' || char === '"' || char === '`') {
+            const close = source.indexOf(char, i + 1);
+            if (close === -1) return source.length;
+            i = close;
+        } else if ('([{'.includes(char)) {
+            depth++;
+        } else if (')]}'.includes(char)) {
+            if (depth === 0) return i;
+            depth--;
+        } else if (char === ',' && depth === 0) {
+            return i;
+        }
+    }
+    return source.length;
+}
+
+/**
+ * Parse a JSON palette: ColorTrace exports, Sketch palettes or W3C design tokens
+ * @param {string} text - File contents
+ * @returns {Array} Swatches {name, rgb, ...}
+ */
+function parseJsonPalette(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Invalid JSON: ' + error.message);
+    }
+    
+    const list = data && Array.isArray(data.colors) ? data.colors : null;
+    
+    // ColorTrace export
+    if (list && list.some(color => color && typeof color.hex === 'string')) {
+        return list.filter(color => color && isValidHex(color.hex)).map(color => {
+            const usage = parseFloat(color.usage);
+            return {
+                name: typeof color.name === 'string' ? color.name : undefined,
+                rgb: hexToRgb(color.hex),
+                cmyk: readCmyk(color.cmyk),
+                sources: isStringList(color.sources) ? color.sources : undefined,
+                percentage: Number.isFinite(usage) ? usage.toFixed(2) : undefined
+            };
+        });
+    }
+    
+    // Sketch palette (channels 0-1; some older files store CSS strings)
+    if (list) {
+        return list.map(color => {
+            if (typeof color === 'string') return { rgb: parsePaletteColor(color) };
+            if (!color || typeof color.red !== 'number') return { rgb: null };
+            
+            const [r, g, b] = [color.red, color.green, color.blue].map(value => Math.round(Math.max(0, Math.min(1, value)) * 255));
+            return { name: typeof color.name === 'string' ? color.name : undefined, rgb: { r, g, b } };
+        }).filter(swatch => swatch.rgb);
+    }
+    
+    return parseDesignTokens(data);
+}
+
+/**
+ * Collect color tokens from a W3C Design Tokens (DTCG) document, resolving {aliases}
+ * @param {object} data - Parsed token file
+ * @returns {Array} Swatches {name, rgb}
+ */
+function parseDesignTokens(data) {
+    const tokens = new Map();
+    
+    const walk = (node, path, inheritedType) => {
+        if (!node || typeof node !== 'object') return;
+        
+        const type = node.$type || inheritedType;
+        if ('$value' in node) {
+            if (!type || type === 'color') tokens.set(path.join('.'), node.$value);
+            return;
+        }
+        Object.entries(node).forEach(([key, child]) => {
+            if (!key.startsWith('$')) walk(child, [...path, key], type);
+        });
+    };
+    walk(data, [], null);
+    
+    const resolve = (value, depth = 0) => {
+        if (depth > MAX_ALIAS_DEPTH) return null;
+        
+        if (typeof value === 'string') {
+            const alias = value.match(/^\{(.+)\}$/);
+            if (alias) return tokens.has(alias[1]) ? resolve(tokens.get(alias[1]), depth + 1) : null;
+            return parsePaletteColor(value);
+        }
+        if (value && typeof value === 'object') {
+            const components = Array.isArray(value.components) ? value.components : null;
+            if (components && components.every(c => typeof c === 'number')) {
+                if (value.colorSpace === 'srgb') {
+                    const [r, g, b] = components.map(c => Math.round(Math.max(0, Math.min(1, c)) * 255));
+                    return { r, g, b };
+                }
+                if (value.colorSpace === 'srgb-linear') return linearToRgb(components);
+            }
+            // Other color spaces carry an sRGB hex fallback
+            if (typeof value.hex === 'string') return parsePaletteColor(value.hex);
+        }
+        return null;
+    };
+    
+    const swatches = [];
+    tokens.forEach((value, path) => {
+        const rgb = resolve(value);
+        if (!rgb) return;
+        
+        // A top-level "color" group is only a namespace
+        const segments = path.split('.');
+        const name = (segments.length > 1 && /^colou?rs?$/i.test(segments[0]) ? segments.slice(1) : segments).join('-');
+        swatches.push({ name, rgb });
+    });
+    
+    if (swatches.length === 0 && tokens.size === 0) {
+        throw new Error('No ColorTrace, Sketch or design-token colors in this JSON file');
+    }
+    return swatches;
+}
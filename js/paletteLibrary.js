@@ -0,0 +1,336 @@
+/**
+ * Palette Library Module
+ * Saved palettes kept in the browser's IndexedDB, with search and a
+ * backup file format for the whole library
+ */
+
+const PALETTE_LIBRARY_DATABASE = 'colortrace';
+const PALETTE_LIBRARY_VERSION = 1;
+const PALETTE_LIBRARY_STORE = 'palettes';
+
+// Identifies library backups among other JSON files
+const PALETTE_LIBRARY_BACKUP_FORMAT = 'colortrace-library';
+const PALETTE_LIBRARY_BACKUP_VERSION = 1;
+const PALETTE_LIBRARY_BACKUP_FILENAME = 'colortrace-library.json';
+
+const DEFAULT_LIBRARY_ENTRY_NAME = 'Untitled palette';
+
+const LIBRARY_HEX_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Validate and normalize a library entry
+ * @param {object} fields - {name, tags, colors, source, thumbnail, settings, createdAt, updatedAt}
+ * @returns {object} Entry without an id
+ */
+function createLibraryEntry(fields) {
+    const colors = Array.isArray(fields.colors) ? fields.colors.filter(color => color && LIBRARY_HEX_PATTERN.test(color.hex)) : [];
+    if (colors.length === 0) {
+        throw new Error('A saved palette needs at least one color');
+    }
+    
+    const now = Date.now();
+    const createdAt = Number(fields.createdAt) || now;
+    return {
+        name: String(fields.name || '').trim() || DEFAULT_LIBRARY_ENTRY_NAME,
+        tags: parseLibraryTags(fields.tags),
+        colors: colors.map(createLibraryColor),
+        source: fields.source && fields.source.name ? { type: String(fields.source.type || 'file'), name: String(fields.source.name) } : null,
+        // Only inline images are kept, so a library never loads anything from the network
+        thumbnail: typeof fields.thumbnail === 'string' && fields.thumbnail.startsWith('data:image/') ? fields.thumbnail : null,
+        settings: fields.settings && typeof fields.settings === 'object' ? fields.settings : null,
+        createdAt,
+        updatedAt: Number(fields.updatedAt) || createdAt
+    };
+}
+
+/**
+ * Keep only the color fields the app knows, with the types it expects;
+ * backups are shared as files, so nothing else in them is trusted
+ * @param {object} color - Color with a valid HEX value
+ * @returns {object} Library color
+ */
+function createLibraryColor(color) {
+    const result = { hex: color.hex.toUpperCase(), rgb: hexToRgb(color.hex) };
+    
+    if (typeof color.name === 'string' && color.name) result.name = color.name;
+    const percentage = toLibraryPercentage(color.percentage);
+    if (percentage !== null) result.percentage = percentage;
+    const cmyk = readCmyk(color.cmyk);
+    if (cmyk) result.cmyk = cmyk;
+    if (Number.isFinite(color.count)) result.count = color.count;
+    if (color.harmony && typeof color.harmony.type === 'string' && LIBRARY_HEX_PATTERN.test(color.harmony.seed)) {
+        result.harmony = { type: color.harmony.type, seed: color.harmony.seed };
+    }
+    if (isStringList(color.sources)) result.sources = [...color.sources];
+    if (isStringList(color.variables)) result.variables = [...color.variables];
+    
+    // Usage details from stylesheets, SVG files and batches are kept only when every item is well formed
+    if (Array.isArray(color.usages) && color.usages.every(usage => usage &&
+        ['selector', 'property', 'value', 'stylesheet'].every(key => typeof usage[key] === 'string') &&
+        (usage.variables === undefined || isStringList(usage.variables)))) {
+        result.usages = color.usages.map(({ selector, property, value, stylesheet, variables }) =>
+            ({ selector, property, value, stylesheet, variables: variables ? [...variables] : [] }));
+    }
+    if (Array.isArray(color.elements) && color.elements.every(entry => entry &&
+        typeof entry.element === 'string' && typeof entry.property === 'string' && toLibraryPercentage(entry.percentage) !== null)) {
+        result.elements = color.elements.map(({ element, property, percentage: share }) =>
+            ({ element, property, percentage: toLibraryPercentage(share) }));
+    }
+    if (Array.isArray(color.files) && color.files.every(file => file && typeof file.name === 'string' &&
+        toLibraryPercentage(file.percentage) !== null && Array.isArray(file.colors) && file.colors.every(hex => LIBRARY_HEX_PATTERN.test(hex)))) {
+        result.files = color.files.map(file => ({ name: file.name, percentage: toLibraryPercentage(file.percentage), colors: [...file.colors] }));
+    }
+    if (Array.isArray(color.gradients) && color.gradients.every(gradient => gradient &&
+        typeof gradient.id === 'string' && (gradient.type === 'linear' || gradient.type === 'radial') &&
+        Array.isArray(gradient.stops) && gradient.stops.length > 0 && gradient.stops.every(stop => stop &&
+            LIBRARY_HEX_PATTERN.test(stop.hex) && Number.isFinite(stop.offset) && Number.isFinite(stop.opacity)))) {
+        result.gradients = color.gradients.map(({ id, type, stops }) => ({
+            id,
+            type,
+            stops: stops.map(({ hex, offset, opacity }) => ({ offset, hex: hex.toUpperCase(), rgb: hexToRgb(hex), opacity }))
+        }));
+    }
+    return result;
+}
+
+/**
+ * Read a usage share as the extractors store it
+ * @param {*} value - Percentage as a number or numeric string
+ * @returns {string|null} Finite percentage with two decimals, or null
+ */
+function toLibraryPercentage(value) {
+    if (typeof value !== 'number' && (typeof value !== 'string' || !value.trim())) return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number.toFixed(2) : null;
+}
+
+/**
+ * Split tags typed as a comma-separated list
+ * @param {string|Array} tags - "brand, web" or an array of tags
+ * @returns {Array} Unique, trimmed, non-empty tags in their first order
+ */
+function parseLibraryTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return Array.from(new Set(list.map(tag => String(tag).trim()).filter(Boolean)));
+}
+
+/**
+ * Whether an entry matches a search; every word must appear in the name,
+ * a tag, the source name or a color's HEX value or name
+ * @param {object} entry - Library entry
+ * @param {string} query - Search text
+ * @returns {boolean} True if the entry matches
+ */
+function matchesLibrarySearch(entry, query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return true;
+    
+    const text = [
+        entry.name,
+        ...entry.tags,
+        entry.source ? entry.source.name : '',
+        ...entry.colors.map(color => `${color.hex} ${color.name || ''}`)
+    ].join('\n').toLowerCase();
+    return terms.every(term => text.includes(term));
+}
+
+/**
+ * Build a backup of library entries
+ * @param {Array} entries - Library entries
+ * @returns {object} {format, version, exportDate, palettes}
+ */
+function createLibraryBackup(entries) {
+    return {
+        format: PALETTE_LIBRARY_BACKUP_FORMAT,
+        version: PALETTE_LIBRARY_BACKUP_VERSION,
+        exportDate: new Date().toISOString(),
+        // Ids belong to this browser's database; imports get new ones
+        palettes: entries.map(({ id, ...entry }) => entry)
+    };
+}
+
+/**
+ * Read the entries of a library backup file
+ * @param {string} text - Backup JSON
+ * @returns {Array} Normalized entries without ids
+ */
+function parseLibraryBackup(text) {
+    let backup;
+    try {
+        backup = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The backup is not valid JSON');
+    }
+    
+    if (!backup || backup.format !== PALETTE_LIBRARY_BACKUP_FORMAT || !Array.isArray(backup.palettes)) {
+        throw new Error('Not a ColorTrace library backup');
+    }
+    if (backup.version > PALETTE_LIBRARY_BACKUP_VERSION) {
+        throw new Error(`Library backup version ${backup.version} is newer than this version of ColorTrace`);
+    }
+    
+    // Palettes without valid colors are skipped rather than failing the whole import
+    return backup.palettes.flatMap(palette => {
+        try {
+            return [createLibraryEntry(palette)];
+        } catch (error) {
+            return [];
+        }
+    });
+}
+
+/**
+ * Wait for an IndexedDB request
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+function waitForRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+class PaletteLibrary {
+    /**
+     * @param {string} databaseName - IndexedDB database name
+     */
+    constructor(databaseName = PALETTE_LIBRARY_DATABASE) {
+        this.databaseName = databaseName;
+        this.database = null;
+    }
+
+    /**
+     * Open the database, creating the palette store on first use
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    async open() {
+        if (this.database) return this.database;
+        if (typeof indexedDB === 'undefined') {
+            throw new Error('This browser cannot store palettes (IndexedDB is unavailable)');
+        }
+        
+        const request = indexedDB.open(this.databaseName, PALETTE_LIBRARY_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(PALETTE_LIBRARY_STORE, { keyPath: 'id', autoIncrement: true });
+        };
+        this.database = await waitForRequest(request);
+        
+        // Let a newer version opened in another tab upgrade the database
+        this.database.onversionchange = () => {
+            this.database.close();
+            this.database = null;
+        };
+        return this.database;
+    }
+
+    /**
+     * Run operations on the palette store in one transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Called with the store; returns a request or a value
+     * @returns {Promise<*>} The request's result (or the value) once the transaction completes
+     */
+    async transact(mode, operation) {
+        const database = await this.open();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(PALETTE_LIBRARY_STORE, mode);
+            const result = operation(transaction.objectStore(PALETTE_LIBRARY_STORE));
+            
+            transaction.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Library update was aborted'));
+        });
+    }
+
+    /**
+     * All saved palettes, most recently changed first
+     * @returns {Promise<Array>} Library entries
+     */
+    async list() {
+        const entries = await this.transact('readonly', store => store.getAll());
+        return entries.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * A saved palette
+     * @param {number} id - Entry id
+     * @returns {Promise<object>} Library entry
+     */
+    async get(id) {
+        const entry = await this.transact('readonly', store => store.get(id));
+        if (!entry) {
+            throw new Error('Palette not found in the library');
+        }
+        return entry;
+    }
+
+    /**
+     * Save a new palette
+     * @param {object} fields - Entry fields (see createLibraryEntry)
+     * @returns {Promise<object>} Saved entry with its id
+     */
+    async add(fields) {
+        const entry = createLibraryEntry(fields);
+        const id = await this.transact('readwrite', store => store.add(entry));
+        return { ...entry, id };
+    }
+
+    /**
+     * Change a saved palette's fields
+     * @param {number} id - Entry id
+     * @param {object} changes - Fields to replace, e.g. {name}
+     * @returns {Promise<object>} Updated entry
+     */
+    async update(id, changes) {
+        const entry = await this.get(id);
+        const updated = { ...createLibraryEntry({ ...entry, ...changes, updatedAt: Date.now() }), id };
+        await this.transact('readwrite', store => store.put(updated));
+        return updated;
+    }
+
+    /**
+     * Save a copy of a palette
+     * @param {number} id - Entry id
+     * @returns {Promise<object>} The copy
+     */
+    async duplicate(id) {
+        const entry = await this.get(id);
+        return this.add({ ...entry, name: `${entry.name} copy`, createdAt: null, updatedAt: null });
+    }
+
+    /**
+     * Delete a saved palette
+     * @param {number} id - Entry id
+     */
+    async remove(id) {
+        await this.transact('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Add entries read from a backup, all or none
+     * @param {Array} entries - Entries from parseLibraryBackup
+     * @returns {Promise<number>} Number of palettes added
+     */
+    async importEntries(entries) {
+        await this.transact('readwrite', store => {
+            entries.forEach(entry => store.add(entry));
+        });
+        return entries.length;
+    }
+
+    /**
+     * Build a backup file of the whole library
+     * @returns {Promise<object>} {blob, filename, count}
+     */
+    async exportBackup() {
+        const entries = await this.list();
+        const backup = createLibraryBackup(entries);
+        
+        return {
+            blob: new Blob([JSON.stringify(backup, null, 2) + '\n'], { type: 'application/json' }),
+            filename: PALETTE_LIBRARY_BACKUP_FILENAME,
+            count: entries.length
+        };
+    }
+}
@@ -0,0 +1,1290 @@
+/**
+ * PDF Parser Module
+ * Minimal PDF reader used to pull colors out of PDF files without external
+ * libraries: object and object-stream parsing, the common stream filters,
+ * content stream color operators and image XObjects.
+ */
+
+const PDF_WHITESPACE = new Set([0x00, 0x09, 0x0A, 0x0C, 0x0D, 0x20]);
+const PDF_DELIMITERS = new Set([0x28, 0x29, 0x3C, 0x3E, 0x5B, 0x5D, 0x7B, 0x7D, 0x2F, 0x25]);
+
+// Maximum size of the longest image side handed to the image analysis
+const PDF_IMAGE_MAX_SIZE = 400;
+
+// Limits that keep malformed or huge documents from hanging the page
+const PDF_MAX_IMAGES = 30;
+const PDF_MAX_FORM_DEPTH = 8;
+
+/**
+ * Indirect object reference (e.g. "12 0 R")
+ */
+class PDFRef {
+    constructor(num, gen) {
+        this.num = num;
+        this.gen = gen;
+    }
+}
+
+/**
+ * PDF name object (e.g. "/DeviceRGB")
+ */
+class PDFName {
+    constructor(name) {
+        this.name = name;
+    }
+}
+
+/**
+ * Content stream operator or bare keyword
+ */
+class PDFOperator {
+    constructor(op) {
+        this.op = op;
+    }
+}
+
+/**
+ * Stream object: dictionary plus the location of its raw bytes
+ */
+class PDFStream {
+    constructor(dict, bytes) {
+        this.dict = dict;
+        this.bytes = bytes;
+    }
+}
+
+/**
+ * Check whether a value is a PDF name, optionally with a given value
+ * @param {*} value - Value to check
+ * @param {string} name - Expected name (optional)
+ * @returns {boolean} True if the value is a matching name
+ */
+function isPDFName(value, name) {
+    return value instanceof PDFName && (name === undefined || value.name === name);
+}
+
+/**
+ * Tokenizer and object parser for PDF syntax
+ */
+class PDFLexer {
+    constructor(bytes, position = 0) {
+        this.bytes = bytes;
+        this.pos = position;
+    }
+
+    /**
+     * Skip whitespace and comments
+     */
+    skipWhitespace() {
+        const bytes = this.bytes;
+        while (this.pos < bytes.length) {
+            const c = bytes[this.pos];
+            if (PDF_WHITESPACE.has(c)) {
+                this.pos++;
+            } else if (c === 0x25) {
+                // Comment runs until end of line
+                while (this.pos < bytes.length && bytes[this.pos] !== 0x0A && bytes[this.pos] !== 0x0D) {
+                    this.pos++;
+                }
+            } else {
+                break;
+            }
+        }
+    }
+
+    /**
+     * Read the next raw token
+     * @returns {object|null} Token {type, value} or null at end of data
+     */
+    readToken() {
+        this.skipWhitespace();
+        const bytes = this.bytes;
+        if (this.pos >= bytes.length) return null;
+        
+        const c = bytes[this.pos];
+        
+        if (c === 0x2F) {
+            return { type: 'name', value: this.readName() };
+        }
+        if (c === 0x28) {
+            return { type: 'string', value: this.readLiteralString() };
+        }
+        if (c === 0x3C) {
+            if (bytes[this.pos + 1] === 0x3C) {
+                this.pos += 2;
+                return { type: 'dictStart' };
+            }
+            return { type: 'string', value: this.readHexString() };
+        }
+        if (c === 0x3E && bytes[this.pos + 1] === 0x3E) {
+            this.pos += 2;
+            return { type: 'dictEnd' };
+        }
+        if (c === 0x5B) {
+            this.pos++;
+            return { type: 'arrayStart' };
+        }
+        if (c === 0x5D) {
+            this.pos++;
+            return { type: 'arrayEnd' };
+        }
+        if (PDF_DELIMITERS.has(c)) {
+            // Stray delimiter (e.g. '{' in PostScript functions); treat as keyword
+            this.pos++;
+            return { type: 'keyword', value: String.fromCharCode(c) };
+        }
+        
+        // Number or keyword: run of regular characters
+        const start = this.pos;
+        while (this.pos < bytes.length && !PDF_WHITESPACE.has(bytes[this.pos]) && !PDF_DELIMITERS.has(bytes[this.pos])) {
+            this.pos++;
+        }
+        const text = String.fromCharCode(...bytes.subarray(start, this.pos));
+        
+        if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(text)) {
+            return { type: 'number', value: parseFloat(text) };
+        }
+        return { type: 'keyword', value: text };
+    }
+
+    /**
+     * Read a name token, decoding #xx escapes
+     * @returns {string} Name without the leading slash
+     */
+    readName() {
+        const bytes = this.bytes;
+        this.pos++;
+        let name = '';
+        while (this.pos < bytes.length && !PDF_WHITESPACE.has(bytes[this.pos]) && !PDF_DELIMITERS.has(bytes[this.pos])) {
+            const c = bytes[this.pos];
+            if (c === 0x23 && this.pos + 2 < bytes.length) {
+                const code = parseInt(String.fromCharCode(bytes[this.pos + 1], bytes[this.pos + 2]), 16);
+                if (!isNaN(code)) {
+                    name += String.fromCharCode(code);
+                    this.pos += 3;
+                    continue;
+                }
+            }
+            name += String.fromCharCode(c);
+            this.pos++;
+        }
+        return name;
+    }
+
+    /**
+     * Read a literal string "( ... )" with escapes and nested parentheses
+     * @returns {Uint8Array} String bytes
+     */
+    readLiteralString() {
+        const bytes = this.bytes;
+        const out = [];
+        let depth = 1;
+        this.pos++;
+        
+        while (this.pos < bytes.length) {
+            const c = bytes[this.pos++];
+            if (c === 0x28) {
+                depth++;
+            } else if (c === 0x29) {
+                depth--;
+                if (depth === 0) break;
+            } else if (c === 0x5C) {
+                const next = bytes[this.pos++];
+                const escapes = { 0x6E: 0x0A, 0x72: 0x0D, 0x74: 0x09, 0x62: 0x08, 0x66: 0x0C };
+                if (next in escapes) {
+                    out.push(escapes[next]);
+                } else if (next >= 0x30 && next <= 0x37) {
+                    // Octal escape of up to three digits
+                    let code = next - 0x30;
+                    for (let i = 0; i < 2 && bytes[this.pos] >= 0x30 && bytes[this.pos] <= 0x37; i++) {
+                        code = code * 8 + (bytes[this.pos++] - 0x30);
+                    }
+                    out.push(code & 0xFF);
+                } else if (next === 0x0D) {
+                    // Line continuation
+                    if (bytes[this.pos] === 0x0A) this.pos++;
+                } else if (next !== 0x0A) {
+                    out.push(next);
+                }
+                continue;
+            }
+            out.push(c);
+        }
+        
+        return new Uint8Array(out);
+    }
+
+    /**
+     * Read a hex string "< ... >"
+     * @returns {Uint8Array} String bytes
+     */
+    readHexString() {
+        const bytes = this.bytes;
+        let hex = '';
+        this.pos++;
+        while (this.pos < bytes.length && bytes[this.pos] !== 0x3E) {
+            const c = bytes[this.pos++];
+            if (!PDF_WHITESPACE.has(c)) hex += String.fromCharCode(c);
+        }
+        this.pos++;
+        if (hex.length % 2) hex += '0';
+        
+        const out = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < out.length; i++) {
+            out[i] = parseInt(hex.substr(i * 2, 2), 16) || 0;
+        }
+        return out;
+    }
+
+    /**
+     * Parse the next complete object
+     * @param {boolean} allowRefs - Recognise "n g R" references
+     * @returns {*} Parsed value, PDFOperator for keywords, or undefined at end
+     */
+    readObject(allowRefs = true) {
+        const token = this.readToken();
+        if (!token) return undefined;
+        
+        switch (token.type) {
+            case 'number': {
+                if (allowRefs && Number.isInteger(token.value)) {
+                    const save = this.pos;
+                    const gen = this.readToken();
+                    if (gen && gen.type === 'number' && Number.isInteger(gen.value)) {
+                        const r = this.readToken();
+                        if (r && r.type === 'keyword' && r.value === 'R') {
+                            return new PDFRef(token.value, gen.value);
+                        }
+                    }
+                    this.pos = save;
+                }
+                return token.value;
+            }
+            case 'name':
+                return new PDFName(token.value);
+            case 'string':
+                return token.value;
+            case 'arrayStart': {
+                const array = [];
+                while (this.pos < this.bytes.length) {
+                    this.skipWhitespace();
+                    if (this.bytes[this.pos] === 0x5D) {
+                        this.pos++;
+                        break;
+                    }
+                    const item = this.readObject(allowRefs);
+                    if (item === undefined) break;
+                    array.push(item);
+                }
+                return array;
+            }
+            case 'dictStart': {
+                const dict = new Map();
+                while (this.pos < this.bytes.length) {
+                    const key = this.readToken();
+                    if (!key || key.type === 'dictEnd') break;
+                    if (key.type !== 'name') continue;
+                    dict.set(key.value, this.readObject(allowRefs));
+                }
+                return dict;
+            }
+            case 'keyword':
+                if (token.value === 'true') return true;
+                if (token.value === 'false') return false;
+                if (token.value === 'null') return null;
+                return new PDFOperator(token.value);
+            default:
+                // Unbalanced closing token; report it as an operator so callers can skip it
+                return new PDFOperator(token.type);
+        }
+    }
+
+    /**
+     * Skip inline image data following an "ID" operator
+     */
+    skipInlineImageData() {
+        const bytes = this.bytes;
+        // Single whitespace byte separates ID from the data
+        this.pos++;
+        while (this.pos < bytes.length - 1) {
+            if (bytes[this.pos] === 0x45 && bytes[this.pos + 1] === 0x49 &&
+                PDF_WHITESPACE.has(bytes[this.pos - 1]) &&
+                (this.pos + 2 >= bytes.length || PDF_WHITESPACE.has(bytes[this.pos + 2]))) {
+                this.pos += 2;
+                return;
+            }
+            this.pos++;
+        }
+        this.pos = bytes.length;
+    }
+}
+
+/**
+ * PDF document reader focused on color extraction
+ */
+class PDFParser {
+    constructor(buffer) {
+        this.bytes = new Uint8Array(buffer);
+        this.objects = new Map();
+        this.streamCache = new Map();
+        this.colorMap = new Map();
+        // Image XObject -> resources of the page or form that draws it, for named color spaces
+        this.imageResources = new Map();
+    }
+
+    /**
+     * Parse the document and collect vector colors and embedded images
+     * @returns {Promise<object>} { colors: Array, images: Array }
+     */
+    async extractColors() {
+        const header = String.fromCharCode(...this.bytes.subarray(0, 1024));
+        if (!header.includes('%PDF-')) {
+            throw new Error('File is not a valid PDF document');
+        }
+        
+        this.scanObjects();
+        await this.loadObjectStreams();
+        
+        if (this.isEncrypted()) {
+            throw new Error('Encrypted PDF files are not supported');
+        }
+        
+        const pages = this.getPages();
+        if (pages.length === 0) {
+            throw new Error('No pages found in PDF document');
+        }
+        
+        for (const page of pages) {
+            const resources = this.getInherited(page, 'Resources');
+            const contents = this.resolve(page.get('Contents'));
+            const streams = Array.isArray(contents) ? contents : [contents];
+            
+            // Page content may be split across several streams that share operands
+            const parts = [];
+            for (const item of streams) {
+                const stream = this.resolve(item);
+                if (!(stream instanceof PDFStream)) continue;
+                try {
+                    const { data, encoding } = await this.decodeStream(stream);
+                    if (!encoding) parts.push(data, new Uint8Array([0x0A]));
+                } catch (error) {
+                    console.warn('Skipping unreadable PDF content stream:', error);
+                }
+            }
+            
+            if (parts.length > 0) {
+                await this.interpretContent(concatBytes(parts), resources, 0, new Set());
+            }
+        }
+        
+        const images = await this.extractImages();
+        
+        return {
+            colors: Array.from(this.colorMap.values()),
+            images
+        };
+    }
+
+    /**
+     * Find every "n g obj" definition in the file
+     */
+    scanObjects() {
+        const text = new TextDecoder('latin1').decode(this.bytes);
+        const pattern = /(\d+)\s+(\d+)\s+obj\b/g;
+        let match;
+        
+        while ((match = pattern.exec(text)) !== null) {
+            const num = parseInt(match[1], 10);
+            const lexer = new PDFLexer(this.bytes, pattern.lastIndex);
+            
+            let value;
+            try {
+                value = lexer.readObject();
+            } catch (error) {
+                continue;
+            }
+            
+            lexer.skipWhitespace();
+            if (value instanceof Map && text.startsWith('stream', lexer.pos)) {
+                let start = lexer.pos + 6;
+                if (this.bytes[start] === 0x0D) start++;
+                if (this.bytes[start] === 0x0A) start++;
+                
+                const end = this.findStreamEnd(text, value, start);
+                value = new PDFStream(value, this.bytes.subarray(start, end));
+                pattern.lastIndex = end;
+            } else {
+                pattern.lastIndex = Math.max(pattern.lastIndex, lexer.pos);
+            }
+            
+            // Later definitions win (incremental updates)
+            this.objects.set(num, value);
+        }
+    }
+
+    /**
+     * Determine where a stream's data ends
+     * @param {string} text - Whole file as latin1 text
+     * @param {Map} dict - Stream dictionary
+     * @param {number} start - Offset of the first data byte
+     * @returns {number} Offset just after the last data byte
+     */
+    findStreamEnd(text, dict, start) {
+        const length = dict.get('Length');
+        if (typeof length === 'number') {
+            const after = text.substr(start + length, 12).trimStart();
+            if (after.startsWith('endstream')) {
+                return start + length;
+            }
+        }
+        
+        // Length missing, indirect or wrong: fall back to the endstream keyword
+        let end = text.indexOf('endstream', start);
+        if (end === -1) return this.bytes.length;
+        if (text[end - 1] === '\n') end--;
+        if (text[end - 1] === '\r') end--;
+        return end;
+    }
+
+    /**
+     * Load objects stored inside compressed object streams (PDF 1.5+)
+     */
+    async loadObjectStreams() {
+        const objectStreams = Array.from(this.objects.values())
+            .filter(obj => obj instanceof PDFStream && isPDFName(obj.dict.get('Type'), 'ObjStm'));
+        
+        for (const stream of objectStreams) {
+            try {
+                const { data } = await this.decodeStream(stream);
+                const count = this.resolve(stream.dict.get('N')) || 0;
+                const first = this.resolve(stream.dict.get('First')) || 0;
+                const lexer = new PDFLexer(data);
+                
+                const entries = [];
+                for (let i = 0; i < count; i++) {
+                    const num = lexer.readObject(false);
+                    const offset = lexer.readObject(false);
+                    if (typeof num !== 'number' || typeof offset !== 'number') break;
+                    entries.push([num, offset]);
+                }
+                
+                entries.forEach(([num, offset]) => {
+                    if (this.objects.has(num)) return;
+                    const objectLexer = new PDFLexer(data, first + offset);
+                    this.objects.set(num, objectLexer.readObject());
+                });
+            } catch (error) {
+                console.warn('Skipping unreadable PDF object stream:', error);
+            }
+        }
+    }
+
+    /**
+     * Check for a standard security handler
+     * @returns {boolean} True if the document is encrypted
+     */
+    isEncrypted() {
+        const text = new TextDecoder('latin1').decode(this.bytes.subarray(Math.max(0, this.bytes.length - 4096)));
+        if (/trailer[\s\S]*\/Encrypt\b/.test(text)) return true;
+        
+        return Array.from(this.objects.values()).some(obj =>
+            obj instanceof PDFStream && isPDFName(obj.dict.get('Type'), 'XRef') && obj.dict.has('Encrypt')
+        );
+    }
+
+    /**
+     * Resolve indirect references
+     * @param {*} value - Value or PDFRef
+     * @returns {*} Referenced value
+     */
+    resolve(value) {
+        let depth = 0;
+        while (value instanceof PDFRef && depth++ < 32) {
+            value = this.objects.get(value.num);
+        }
+        return value instanceof PDFRef ? undefined : value;
+    }
+
+    /**
+     * Get the dictionary of an object (streams expose theirs)
+     * @param {*} value - Value or PDFRef
+     * @returns {Map|null} Dictionary or null
+     */
+    resolveDict(value) {
+        const resolved = this.resolve(value);
+        if (resolved instanceof PDFStream) return resolved.dict;
+        return resolved instanceof Map ? resolved : null;
+    }
+
+    /**
+     * Collect all page dictionaries
+     * @returns {Map[]} Page dictionaries
+     */
+    getPages() {
+        return Array.from(this.objects.values())
+            .filter(obj => obj instanceof Map && isPDFName(obj.get('Type'), 'Page'));
+    }
+
+    /**
+     * Look up a page attribute, following the /Parent chain for inherited values
+     * @param {Map} node - Page dictionary
+     * @param {string} key - Attribute name
+     * @returns {*} Attribute value
+     */
+    getInherited(node, key) {
+        let depth = 0;
+        while (node && depth++ < 32) {
+            if (node.has(key)) return this.resolve(node.get(key));
+            node = this.resolveDict(node.get('Parent'));
+        }
+        return undefined;
+    }
+
+    /**
+     * Decode a stream through its filter chain
+     * @param {PDFStream} stream - Stream object
+     * @returns {Promise<object>} { data, encoding } where encoding names an image codec left in place
+     */
+    async decodeStream(stream) {
+        if (this.streamCache.has(stream)) {
+            return this.streamCache.get(stream);
+        }
+        
+        const filter = this.resolve(stream.dict.get('Filter'));
+        const params = this.resolve(stream.dict.get('DecodeParms') || stream.dict.get('DP'));
+        const filters = Array.isArray(filter) ? filter : (filter ? [filter] : []);
+        const paramList = Array.isArray(params) ? params : [params];
+        
+        let data = stream.bytes;
+        let encoding = null;
+        
+        for (let i = 0; i < filters.length; i++) {
+            const name = this.resolve(filters[i]);
+            const parms = this.resolveDict(paramList[i]);
+            
+            switch (name && name.name) {
+                case 'FlateDecode':
+                case 'Fl':
+                    data = this.applyPredictor(await inflateBytes(data, 'deflate'), parms);
+                    break;
+                case 'LZWDecode':
+                case 'LZW':
+                    data = this.applyPredictor(decodeLZW(data, parms ? this.resolve(parms.get('EarlyChange')) : 1), parms);
+                    break;
+                case 'ASCIIHexDecode':
+                case 'AHx':
+                    data = decodeASCIIHex(data);
+                    break;
+                case 'ASCII85Decode':
+                case 'A85':
+                    data = decodeASCII85(data);
+                    break;
+                case 'RunLengthDecode':
+                case 'RL':
+                    data = decodeRunLength(data);
+                    break;
+                case 'DCTDecode':
+                case 'DCT':
+                case 'JPXDecode':
+                case 'JBIG2Decode':
+                case 'CCITTFaxDecode':
+                case 'CCF':
+                    encoding = name.name === 'DCT' ? 'DCTDecode' : name.name;
+                    break;
+                default:
+                    throw new Error(`Unsupported PDF filter: ${name ? name.name : 'unknown'}`);
+            }
+            
+            if (encoding) break;
+        }
+        
+        const result = { data, encoding };
+        this.streamCache.set(stream, result);
+        return result;
+    }
+
+    /**
+     * Undo PNG/TIFF predictors applied before compression
+     * @param {Uint8Array} data - Decompressed bytes
+     * @param {Map|null} parms - Decode parameters
+     * @returns {Uint8Array} Unfiltered bytes
+     */
+    applyPredictor(data, parms) {
+        const predictor = parms ? this.resolve(parms.get('Predictor')) || 1 : 1;
+        if (predictor < 2) return data;
+        
+        const colors = this.resolve(parms.get('Colors')) || 1;
+        const bpc = this.resolve(parms.get('BitsPerComponent')) || 8;
+        const columns = this.resolve(parms.get('Columns')) || 1;
+        const bpp = Math.max(1, Math.ceil(colors * bpc / 8));
+        const rowLength = Math.ceil(colors * bpc * columns / 8);
+        
+        if (predictor === 2) {
+            // TIFF predictor 2 (only the common 8-bit case)
+            if (bpc !== 8) return data;
+            const out = new Uint8Array(data);
+            for (let row = 0; row < out.length; row += rowLength) {
+                for (let i = bpp; i < rowLength && row + i < out.length; i++) {
+                    out[row + i] = (out[row + i] + out[row + i - bpp]) & 0xFF;
+                }
+            }
+            return out;
+        }
+        
+        // PNG predictors: each row is prefixed with its filter type
+        const rows = Math.floor(data.length / (rowLength + 1));
+        const out = new Uint8Array(rows * rowLength);
+        let prev = new Uint8Array(rowLength);
+        
+        for (let row = 0; row < rows; row++) {
+            const filterType = data[row * (rowLength + 1)];
+            const input = data.subarray(row * (rowLength + 1) + 1, (row + 1) * (rowLength + 1));
+            const current = out.subarray(row * rowLength, (row + 1) * rowLength);
+            
+            for (let i = 0; i < rowLength; i++) {
+                const left = i >= bpp ? current[i - bpp] : 0;
+                const up = prev[i];
+                const upLeft = i >= bpp ? prev[i - bpp] : 0;
+                let value = input[i];
+                
+                switch (filterType) {
+                    case 1: value += left; break;
+                    case 2: value += up; break;
+                    case 3: value += (left + up) >> 1; break;
+                    case 4: {
+                        const p = left + up - upLeft;
+                        const pa = Math.abs(p - left);
+                        const pb = Math.abs(p - up);
+                        const pc = Math.abs(p - upLeft);
+                        value += (pa <= pb && pa <= pc) ? left : (pb <= pc ? up : upLeft);
+                        break;
+                    }
+                }
+                current[i] = value & 0xFF;
+            }
+            prev = current;
+        }
+        
+        return out;
+    }
+
+    /**
+     * Resolve a color space operand or definition
+     * @param {*} value - Name, array or reference
+     * @param {Map} resources - Resource dictionary for named color spaces
+     * @returns {Promise<object|null>} Color space descriptor
+     */
+    async resolveColorSpace(value, resources) {
+        value = this.resolve(value);
+        
+        if (value instanceof PDFName) {
+            switch (value.name) {
+                case 'DeviceGray':
+                case 'G':
+                case 'CalGray':
+                    return { family: 'DeviceGray', components: 1 };
+                case 'DeviceRGB':
+                case 'RGB':
+                case 'CalRGB':
+                    return { family: 'DeviceRGB', components: 3 };
+                case 'DeviceCMYK':
+                case 'CMYK':
+                    return { family: 'DeviceCMYK', components: 4 };
+                case 'Pattern':
+                    return { family: 'Pattern', components: 0 };
+            }
+            
+            // Named resource
+            const spaces = resources ? this.resolveDict(resources.get('ColorSpace')) : null;
+            if (spaces && spaces.has(value.name)) {
+                return this.resolveColorSpace(spaces.get(value.name), null);
+            }
+            return null;
+        }
+        
+        if (!Array.isArray(value) || value.length === 0) return null;
+        
+        const family = this.resolve(value[0]);
+        switch (family && family.name) {
+            case 'ICCBased': {
+                const profile = this.resolve(value[1]);
+                const n = profile instanceof PDFStream ? this.resolve(profile.dict.get('N')) : 3;
+                if (n === 1) return { family: 'DeviceGray', components: 1 };
+                if (n === 4) return { family: 'DeviceCMYK', components: 4 };
+                return { family: 'DeviceRGB', components: 3 };
+            }
+            case 'CalGray':
+                return { family: 'DeviceGray', components: 1 };
+            case 'CalRGB':
+                return { family: 'DeviceRGB', components: 3 };
+            case 'Indexed':
+            case 'I': {
+                const base = await this.resolveColorSpace(value[1], resources);
+                const hival = this.resolve(value[2]);
+                let lookup = this.resolve(value[3]);
+                if (lookup instanceof PDFStream) {
+                    lookup = (await this.decodeStream(lookup)).data;
+                }
+                if (!base || !(lookup instanceof Uint8Array)) return null;
+                return { family: 'Indexed', components: 1, base, hival, lookup };
+            }
+            case 'Separation':
+            case 'DeviceN': {
+                const isSeparation = family.name === 'Separation';
+                const names = this.resolve(value[1]);
+                const alternate = await this.resolveColorSpace(value[2], resources);
+                const tint = this.resolveDict(value[3]);
+                if (!alternate || !tint) return null;
+                
+                // Registration and "None" colorants do not represent printed colors
+                if (isPDFName(names, 'None') || isPDFName(names, 'All')) return null;
+                
+                return {
+                    family: 'Separation',
+                    components: isSeparation ? 1 : (Array.isArray(names) ? names.length : 1),
+                    alternate,
+                    tint
+                };
+            }
+            case 'Pattern':
+                return { family: 'Pattern', components: 0 };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Evaluate a tint transform function (exponential functions only)
+     * @param {Map} fn - Function dictionary
+     * @param {number[]} inputs - Tint values
+     * @returns {number[]|null} Output components or null if unsupported
+     */
+    evaluateFunction(fn, inputs) {
+        const type = this.resolve(fn.get('FunctionType'));
+        if (type !== 2) return null;
+        
+        const c0 = this.resolve(fn.get('C0')) || [0];
+        const c1 = this.resolve(fn.get('C1')) || [1];
+        const n = this.resolve(fn.get('N')) || 1;
+        const x = Math.pow(Math.max(0, Math.min(1, inputs[0] || 0)), n);
+        
+        return c0.map((value, i) => value + x * (c1[i] - value));
+    }
+
+    /**
+     * Convert components in a color space to a color entry
+     * @param {object} space - Color space descriptor
+     * @param {number[]} comps - Component values
+     * @returns {object|null} { rgb, cmyk } or null if not representable
+     */
+    toColor(space, comps) {
+        if (!space || comps.some(c => typeof c !== 'number' || isNaN(c))) return null;
+        const clamp = (v) => Math.max(0, Math.min(1, v));
+        
+        switch (space.family) {
+            case 'DeviceGray': {
+                const v = Math.round(clamp(comps[0]) * 255);
+                return { rgb: { r: v, g: v, b: v } };
+            }
+            case 'DeviceRGB':
+                if (comps.length < 3) return null;
+                return {
+                    rgb: {
+                        r: Math.round(clamp(comps[0]) * 255),
+                        g: Math.round(clamp(comps[1]) * 255),
+                        b: Math.round(clamp(comps[2]) * 255)
+                    }
+                };
+            case 'DeviceCMYK': {
+                if (comps.length < 4) return null;
+                const [c, m, y, k] = comps.map(clamp);
+                return {
+                    rgb: cmykToRgb({ c: c * 100, m: m * 100, y: y * 100, k: k * 100 }),
+                    cmyk: {
+                        c: Math.round(c * 100),
+                        m: Math.round(m * 100),
+                        y: Math.round(y * 100),
+                        k: Math.round(k * 100)
+                    }
+                };
+            }
+            case 'Indexed': {
+                const n = space.base.components;
+                const index = Math.max(0, Math.min(space.hival, Math.round(comps[0])));
+                const entry = Array.from(space.lookup.subarray(index * n, index * n + n)).map(v => v / 255);
+                return entry.length === n ? this.toColor(space.base, entry) : null;
+            }
+            case 'Separation': {
+                const out = this.evaluateFunction(space.tint, comps);
+                return out ? this.toColor(space.alternate, out) : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Guess a device color space from the number of operands
+     * @param {number} count - Operand count
+     * @returns {object|null} Color space descriptor
+     */
+    inferColorSpace(count) {
+        if (count === 1) return { family: 'DeviceGray', components: 1 };
+        if (count === 3) return { family: 'DeviceRGB', components: 3 };
+        if (count === 4) return { family: 'DeviceCMYK', components: 4 };
+        return null;
+    }
+
+    /**
+     * Record a painted color
+     * @param {object|null} color - Color entry { rgb, cmyk }
+     */
+    recordColor(color) {
+        if (!color) return;
+        
+        const hex = rgbToHex(color.rgb.r, color.rgb.g, color.rgb.b);
+        const existing = this.colorMap.get(hex);
+        if (existing) {
+            existing.count++;
+        } else {
+            const entry = { hex, rgb: color.rgb, count: 1 };
+            if (color.cmyk) entry.cmyk = color.cmyk;
+            this.colorMap.set(hex, entry);
+        }
+    }
+
+    /**
+     * Run a content stream and record the colors used by painting operators
+     * @param {Uint8Array} data - Decoded content stream
+     * @param {Map} resources - Resource dictionary
+     * @param {number} depth - Form XObject nesting depth
+     * @param {Set} visited - Form XObjects already on the stack
+     */
+    async interpretContent(data, resources, depth, visited) {
+        const black = { rgb: { r: 0, g: 0, b: 0 } };
+        const gray = { family: 'DeviceGray', components: 1 };
+        let state = { fill: black, stroke: black, fillSpace: gray, strokeSpace: gray, textMode: 0 };
+        const stack = [];
+        
+        const lexer = new PDFLexer(data);
+        let operands = [];
+        
+        while (lexer.pos < data.length) {
+            let obj;
+            try {
+                obj = lexer.readObject(false);
+            } catch (error) {
+                break;
+            }
+            if (obj === undefined) break;
+            
+            if (!(obj instanceof PDFOperator)) {
+                operands.push(obj);
+                continue;
+            }
+            
+            const numbers = operands.filter(o => typeof o === 'number');
+            
+            switch (obj.op) {
+                case 'q':
+                    stack.push({ ...state });
+                    break;
+                case 'Q':
+                    if (stack.length) state = stack.pop();
+                    break;
+                case 'g':
+                    state.fillSpace = gray;
+                    state.fill = this.toColor(gray, numbers);
+                    break;
+                case 'G':
+                    state.strokeSpace = gray;
+                    state.stroke = this.toColor(gray, numbers);
+                    break;
+                case 'rg':
+                case 'RG': {
+                    const space = { family: 'DeviceRGB', components: 3 };
+                    const color = this.toColor(space, numbers);
+                    if (obj.op === 'rg') {
+                        state.fillSpace = space;
+                        state.fill = color;
+                    } else {
+                        state.strokeSpace = space;
+                        state.stroke = color;
+                    }
+                    break;
+                }
+                case 'k':
+                case 'K': {
+                    const space = { family: 'DeviceCMYK', components: 4 };
+                    const color = this.toColor(space, numbers);
+                    if (obj.op === 'k') {
+                        state.fillSpace = space;
+                        state.fill = color;
+                    } else {
+                        state.strokeSpace = space;
+                        state.stroke = color;
+                    }
+                    break;
+                }
+                case 'cs':
+                case 'CS': {
+                    const space = await this.resolveColorSpace(operands[0], resources);
+                    // Selecting a color space resets the color to its initial value
+                    const initial = space && space.family === 'DeviceCMYK' ? [0, 0, 0, 1]
+                        : space && space.family === 'Separation' ? new Array(space.components).fill(1)
+                        : new Array(space ? space.components : 1).fill(0);
+                    const color = space ? this.toColor(space, initial) : null;
+                    if (obj.op === 'cs') {
+                        state.fillSpace = space;
+                        state.fill = color;
+                    } else {
+                        state.strokeSpace = space;
+                        state.stroke = color;
+                    }
+                    break;
+                }
+                case 'sc':
+                case 'scn':
+                case 'SC':
+                case 'SCN': {
+                    const isFill = obj.op === 'sc' || obj.op === 'scn';
+                    let space = isFill ? state.fillSpace : state.strokeSpace;
+                    if (space && space.family === 'Pattern') {
+                        // Pattern fills are not resolved to a single color
+                        space = null;
+                    } else if (!space || space.components !== numbers.length) {
+                        space = space && space.family !== 'Separation' ? this.inferColorSpace(numbers.length) : space;
+                    }
+                    const color = space ? this.toColor(space, numbers) : null;
+                    if (isFill) state.fill = color;
+                    else state.stroke = color;
+                    break;
+                }
+                case 'f':
+                case 'F':
+                case 'f*':
+                    this.recordColor(state.fill);
+                    break;
+                case 'S':
+                case 's':
+                    this.recordColor(state.stroke);
+                    break;
+                case 'B':
+                case 'B*':
+                case 'b':
+                case 'b*':
+                    this.recordColor(state.fill);
+                    this.recordColor(state.stroke);
+                    break;
+                case 'Tr':
+                    state.textMode = numbers[0] || 0;
+                    break;
+                case 'Tj':
+                case 'TJ':
+                case '\'':
+                case '"': {
+                    // Text rendering modes: 0 fill, 1 stroke, 2 both, 3 invisible (+4 adds clipping)
+                    const mode = state.textMode % 4;
+                    if (mode === 0 || mode === 2) this.recordColor(state.fill);
+                    if (mode === 1 || mode === 2) this.recordColor(state.stroke);
+                    break;
+                }
+                case 'Do':
+                    await this.runXObject(operands[0], resources, depth, visited);
+                    break;
+                case 'BI':
+                    // Inline image: skip the dictionary and binary data
+                    while (lexer.pos < data.length) {
+                        const item = lexer.readObject(false);
+                        if (item === undefined || (item instanceof PDFOperator && item.op === 'ID')) break;
+                    }
+                    lexer.skipInlineImageData();
+                    break;
+            }
+            
+            operands = [];
+        }
+    }
+
+    /**
+     * Interpret a Form XObject invoked with "Do"; for an image, remember the
+     * resources it is drawn with
+     * @param {PDFName} name - XObject resource name
+     * @param {Map} resources - Current resources
+     * @param {number} depth - Current nesting depth
+     * @param {Set} visited - Forms already on the stack
+     */
+    async runXObject(name, resources, depth, visited) {
+        if (!isPDFName(name) || !resources || depth >= PDF_MAX_FORM_DEPTH) return;
+        
+        const xobjects = this.resolveDict(resources.get('XObject'));
+        const xobject = xobjects ? this.resolve(xobjects.get(name.name)) : null;
+        if (!(xobject instanceof PDFStream)) return;
+        if (isPDFName(xobject.dict.get('Subtype'), 'Image')) {
+            if (!this.imageResources.has(xobject)) this.imageResources.set(xobject, resources);
+            return;
+        }
+        if (!isPDFName(xobject.dict.get('Subtype'), 'Form')) return;
+        if (visited.has(xobject)) return;
+        
+        try {
+            const { data, encoding } = await this.decodeStream(xobject);
+            if (encoding) return;
+            
+            const formResources = this.resolveDict(xobject.dict.get('Resources')) || resources;
+            visited.add(xobject);
+            await this.interpretContent(data, formResources, depth + 1, visited);
+            visited.delete(xobject);
+        } catch (error) {
+            console.warn('Skipping unreadable PDF form XObject:', error);
+        }
+    }
+
+    /**
+     * Collect embedded raster images
+     * @returns {Promise<Array>} Images as { type: 'image/jpeg', data } or { type: 'raw', width, height, pixels }
+     */
+    async extractImages() {
+        // Soft masks are grayscale alpha channels, not visible images
+        const maskNumbers = new Set();
+        this.objects.forEach(obj => {
+            const dict = obj instanceof PDFStream ? obj.dict : null;
+            if (!dict) return;
+            ['SMask', 'Mask'].forEach(key => {
+                const ref = dict.get(key);
+                if (ref instanceof PDFRef) maskNumbers.add(ref.num);
+            });
+        });
+        
+        const images = [];
+        
+        for (const [num, obj] of this.objects) {
+            if (images.length >= PDF_MAX_IMAGES) break;
+            if (!(obj instanceof PDFStream) || maskNumbers.has(num)) continue;
+            
+            const dict = obj.dict;
+            if (!isPDFName(dict.get('Subtype'), 'Image') || this.resolve(dict.get('ImageMask')) === true) continue;
+            
+            const width = this.resolve(dict.get('Width')) || 0;
+            const height = this.resolve(dict.get('Height')) || 0;
+            if (width < 4 || height < 4) continue;
+            
+            try {
+                const { data, encoding } = await this.decodeStream(obj);
+                if (encoding === 'DCTDecode') {
+                    images.push({ type: 'image/jpeg', data });
+                } else if (!encoding) {
+                    // Images that are never drawn can only use color spaces defined inline
+                    const raster = await this.decodeRawImage(dict, data, this.imageResources.get(obj) || null);
+                    if (raster) images.push(raster);
+                }
+            } catch (error) {
+                console.warn('Skipping unreadable PDF image:', error);
+            }
+        }
+        
+        return images;
+    }
+
+    /**
+     * Convert decoded image samples to downscaled RGBA pixels
+     * @param {Map} dict - Image dictionary
+     * @param {Uint8Array} data - Decoded sample data
+     * @param {Map|null} resources - Resources of the page or form that draws the image
+     * @returns {Promise<object|null>} { type: 'raw', width, height, pixels }
+     */
+    async decodeRawImage(dict, data, resources) {
+        const width = this.resolve(dict.get('Width'));
+        const height = this.resolve(dict.get('Height'));
+        const bpc = this.resolve(dict.get('BitsPerComponent')) || 8;
+        const space = await this.resolveColorSpace(dict.get('ColorSpace'), resources);
+        
+        if (!space || space.components === 0 || ![1, 2, 4, 8].includes(bpc)) return null;
+        
+        const n = space.components;
+        const rowBytes = Math.ceil(width * n * bpc / 8);
+        if (data.length < rowBytes * height) return null;
+        
+        // Downscale while decoding so huge images stay cheap
+        const step = Math.max(1, Math.ceil(Math.max(width, height) / PDF_IMAGE_MAX_SIZE));
+        const outWidth = Math.ceil(width / step);
+        const outHeight = Math.ceil(height / step);
+        const pixels = new Uint8ClampedArray(outWidth * outHeight * 4);
+        
+        const maxValue = (1 << bpc) - 1;
+        // Indexed images store palette indices, not fractions
+        const scale = space.family === 'Indexed' ? 1 : maxValue;
+        const comps = new Array(n);
+        
+        for (let y = 0, out = 0; y < height; y += step) {
+            const rowStart = y * rowBytes;
+            for (let x = 0; x < width; x += step, out += 4) {
+                for (let c = 0; c < n; c++) {
+                    const sampleIndex = x * n + c;
+                    let value;
+                    if (bpc === 8) {
+                        value = data[rowStart + sampleIndex];
+                    } else {
+                        const bit = sampleIndex * bpc;
+                        const byte = data[rowStart + (bit >> 3)];
+                        value = (byte >> (8 - bpc - (bit & 7))) & maxValue;
+                    }
+                    comps[c] = value / scale;
+                }
+                
+                const color = this.toColor(space, comps);
+                if (!color) continue;
+                pixels[out] = color.rgb.r;
+                pixels[out + 1] = color.rgb.g;
+                pixels[out + 2] = color.rgb.b;
+                pixels[out + 3] = 255;
+            }
+        }
+        
+        return { type: 'raw', width: outWidth, height: outHeight, pixels };
+    }
+}
+
+/**
+ * Decode LZW-compressed data
+ * @param {Uint8Array} data - Compressed bytes
+ * @param {number} earlyChange - EarlyChange parameter (default 1)
+ * @returns {Uint8Array} Decompressed bytes
+ */
+function decodeLZW(data, earlyChange = 1) {
+    const out = [];
+    let table = [];
+    let codeLength = 9;
+    let previous = null;
+    let bitBuffer = 0;
+    let bitCount = 0;
+    
+    const resetTable = () => {
+        table = [];
+        for (let i = 0; i < 256; i++) table.push([i]);
+        table.push(null, null);
+        codeLength = 9;
+        previous = null;
+    };
+    resetTable();
+    
+    for (let i = 0; i < data.length; i++) {
+        bitBuffer = (bitBuffer << 8) | data[i];
+        bitCount += 8;
+        
+        while (bitCount >= codeLength) {
+            const code = (bitBuffer >> (bitCount - codeLength)) & ((1 << codeLength) - 1);
+            bitCount -= codeLength;
+            bitBuffer &= (1 << bitCount) - 1;
+            
+            if (code === 256) {
+                resetTable();
+                continue;
+            }
+            if (code === 257) {
+                return new Uint8Array(out);
+            }
+            
+            let entry;
+            if (code < table.length && table[code]) {
+                entry = table[code];
+                if (previous) table.push(previous.concat(entry[0]));
+            } else if (previous) {
+                entry = previous.concat(previous[0]);
+                table.push(entry);
+            } else {
+                continue;
+            }
+            
+            out.push(...entry);
+            previous = entry;
+            
+            if (table.length + earlyChange >= (1 << codeLength) && codeLength < 12) {
+                codeLength++;
+            }
+        }
+    }
+    
+    return new Uint8Array(out);
+}
+
+/**
+ * Decode ASCIIHex-encoded data
+ * @param {Uint8Array} data - Encoded bytes
+ * @returns {Uint8Array} Decoded bytes
+ */
+function decodeASCIIHex(data) {
+    let hex = '';
+    for (let i = 0; i < data.length; i++) {
+        const c = data[i];
+        if (c === 0x3E) break;
+        if (!PDF_WHITESPACE.has(c)) hex += String.fromCharCode(c);
+    }
+    if (hex.length % 2) hex += '0';
+    
+    const out = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < out.length; i++) {
+        out[i] = parseInt(hex.substr(i * 2, 2), 16) || 0;
+    }
+    return out;
+}
+
+/**
+ * Decode ASCII85-encoded data
+ * @param {Uint8Array} data - Encoded bytes
+ * @returns {Uint8Array} Decoded bytes
+ */
+function decodeASCII85(data) {
+    const out = [];
+    const group = [];
+    
+    const flush = (count) => {
+        while (group.length < 5) group.push(84);
+        let value = 0;
+        group.forEach(digit => { value = value * 85 + digit; });
+        const bytes = [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+        out.push(...bytes.slice(0, count));
+        group.length = 0;
+    };
+    
+    for (let i = 0; i < data.length; i++) {
+        const c = data[i];
+        if (c === 0x7E) break;
+        if (PDF_WHITESPACE.has(c)) continue;
+        if (c === 0x7A && group.length === 0) {
+            out.push(0, 0, 0, 0);
+            continue;
+        }
+        if (c < 0x21 || c > 0x75) continue;
+        group.push(c - 0x21);
+        if (group.length === 5) flush(4);
+    }
+    
+    if (group.length > 1) flush(group.length - 1);
+    
+    return new Uint8Array(out);
+}
+
+/**
+ * Decode RunLength-encoded data
+ * @param {Uint8Array} data - Encoded bytes
+ * @returns {Uint8Array} Decoded bytes
+ */
+function decodeRunLength(data) {
+    const out = [];
+    let i = 0;
+    
+    while (i < data.length) {
+        const length = data[i++];
+        if (length === 128) break;
+        if (length < 128) {
+            out.push(...data.subarray(i, i + length + 1));
+            i += length + 1;
+        } else {
+            const value = data[i++];
+            for (let j = 0; j < 257 - length; j++) out.push(value);
+        }
+    }
+    
+    return new Uint8Array(out);
+}
@@ -0,0 +1,353 @@
+/**
+ * Pixel Analysis Module
+ * Pixel sampling and palette reduction, shared by the analysis worker
+ * and the main-thread fallback in ColorExtractor
+ */
+
+const ANALYSIS_SAMPLING_MODES = {
+    stride: 'Every nth pixel',
+    stratified: 'Stratified (one random pixel per block)',
+    random: 'Random'
+};
+
+const ANALYSIS_ALPHA_MODES = {
+    skip: 'Skip transparent pixels',
+    composite: 'Blend onto white',
+    ignore: 'Ignore transparency'
+};
+
+// Longest side of the downscaled image; 0 analyzes at full size
+const ANALYSIS_RESOLUTIONS = [200, 400, 800, 1600, 0];
+
+const DEFAULT_ANALYSIS_OPTIONS = {
+    maxSize: 400,
+    sampling: 'stride',
+    sampleRate: 5,
+    alphaMode: 'skip',
+    alphaThreshold: 128,
+    keepDark: false,
+    keepLight: false,
+    maxColors: 50,
+    algorithm: DEFAULT_QUANTIZATION_ALGORITHM,
+    paletteSize: DEFAULT_PALETTE_SIZE
+};
+
+// Luminance below/above which pixels count as near-black/near-white
+const NEAR_BLACK_LUMINANCE = 0.05;
+const NEAR_WHITE_LUMINANCE = 0.95;
+
+// Pixels per progress report
+const ANALYSIS_CHUNK_SIZE = 20000;
+
+// Fixed seed so random sampling gives the same palette every run
+const ANALYSIS_RANDOM_SEED = 0x5EED;
+
+// Share of the progress bar spent sampling; quantization and pixel assignment take the rest
+const SAMPLING_PROGRESS_SHARE = 0.9;
+
+// Assignment value for pixels that were filtered out or lie outside the region
+const UNASSIGNED_PIXEL = 0xFFFF;
+
+/**
+ * Fill in defaults and bring analysis options into their valid ranges
+ * (stored settings may come from an older version)
+ * @param {object} options - Partial analysis options; other keys are kept
+ * @returns {object} Complete analysis options
+ */
+function normalizeAnalysisOptions(options = {}) {
+    const merged = { ...DEFAULT_ANALYSIS_OPTIONS, ...options };
+    const clampInteger = (value, min, max, fallback) => {
+        const number = Math.round(Number(value));
+        return Number.isFinite(number) ? Math.max(min, Math.min(max, number)) : fallback;
+    };
+    const pick = (value, allowed, fallback) => allowed.includes(value) ? value : fallback;
+    
+    return {
+        ...merged,
+        maxSize: pick(Number(merged.maxSize), ANALYSIS_RESOLUTIONS, DEFAULT_ANALYSIS_OPTIONS.maxSize),
+        sampling: pick(merged.sampling, Object.keys(ANALYSIS_SAMPLING_MODES), DEFAULT_ANALYSIS_OPTIONS.sampling),
+        sampleRate: clampInteger(merged.sampleRate, 1, 20, DEFAULT_ANALYSIS_OPTIONS.sampleRate),
+        alphaMode: pick(merged.alphaMode, Object.keys(ANALYSIS_ALPHA_MODES), DEFAULT_ANALYSIS_OPTIONS.alphaMode),
+        alphaThreshold: clampInteger(merged.alphaThreshold, 1, 255, DEFAULT_ANALYSIS_OPTIONS.alphaThreshold),
+        keepDark: Boolean(merged.keepDark),
+        keepLight: Boolean(merged.keepLight),
+        maxColors: clampInteger(merged.maxColors, 1, 256, DEFAULT_ANALYSIS_OPTIONS.maxColors),
+        algorithm: pick(merged.algorithm, Object.keys(QUANTIZATION_ALGORITHMS), DEFAULT_ANALYSIS_OPTIONS.algorithm),
+        paletteSize: clampInteger(merged.paletteSize, 2, 256, DEFAULT_ANALYSIS_OPTIONS.paletteSize)
+    };
+}
+
+/**
+ * Scale image dimensions down to the analysis size, keeping the aspect ratio
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} maxSize - Longest side, or 0 to keep the full size
+ * @returns {object} {width, height} in whole pixels
+ */
+function getAnalysisSize(width, height, maxSize = DEFAULT_ANALYSIS_OPTIONS.maxSize) {
+    if (maxSize > 0 && width > height && width > maxSize) {
+        height = (height / width) * maxSize;
+        width = maxSize;
+    } else if (maxSize > 0 && height > maxSize) {
+        width = (width / height) * maxSize;
+        height = maxSize;
+    }
+    
+    return { width: Math.max(1, Math.floor(width)), height: Math.max(1, Math.floor(height)) };
+}
+
+/**
+ * Bounding box of a region, clipped to the image
+ * @param {Array} points - Region outline {x, y} in image pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {object} {x, y, width, height} in whole pixels
+ */
+function getRegionBounds(points, width, height) {
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    const left = Math.max(0, Math.min(width - 1, Math.floor(Math.min(...xs))));
+    const top = Math.max(0, Math.min(height - 1, Math.floor(Math.min(...ys))));
+    const right = Math.min(width, Math.ceil(Math.max(...xs)));
+    const bottom = Math.min(height, Math.ceil(Math.max(...ys)));
+    
+    return { x: left, y: top, width: Math.max(1, right - left), height: Math.max(1, bottom - top) };
+}
+
+/**
+ * Rasterize a region outline onto the downscaled analysis grid.
+ * Pixels whose centers fall inside the polygon (even-odd rule) are set.
+ * @param {Array} points - Region outline {x, y} in image pixels
+ * @param {object} bounds - Part of the image that was drawn (getRegionBounds)
+ * @param {number} width - Analysis width
+ * @param {number} height - Analysis height
+ * @returns {Uint8Array} One byte per analysis pixel, 1 inside the region
+ */
+function createRegionMask(points, bounds, width, height) {
+    const scaleX = width / bounds.width;
+    const scaleY = height / bounds.height;
+    const polygon = points.map(point => ({
+        x: (point.x - bounds.x) * scaleX,
+        y: (point.y - bounds.y) * scaleY
+    }));
+    
+    const mask = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const center = y + 0.5;
+        const crossings = [];
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > center) !== (b.y > center)) {
+                crossings.push(a.x + ((center - a.y) / (b.y - a.y)) * (b.x - a.x));
+            }
+        }
+        crossings.sort((a, b) => a - b);
+        
+        for (let k = 0; k + 1 < crossings.length; k += 2) {
+            const from = Math.max(0, Math.ceil(crossings[k] - 0.5));
+            const to = Math.min(width, Math.ceil(crossings[k + 1] - 0.5));
+            if (to > from) mask.fill(1, y * width + from, y * width + to);
+        }
+    }
+    return mask;
+}
+
+/**
+ * Add a color to an exact-color histogram or increment its count
+ * @param {Map} histogram - Map of HEX to {rgb, count}
+ * @param {number} r - Red value
+ * @param {number} g - Green value
+ * @param {number} b - Blue value
+ * @param {number} weight - Amount to add (default 1)
+ */
+function addToHistogram(histogram, r, g, b, weight = 1) {
+    const hex = rgbToHex(r, g, b);
+    const entry = histogram.get(hex);
+    
+    if (entry) {
+        entry.count += weight;
+    } else {
+        histogram.set(hex, { rgb: { r, g, b }, count: weight });
+    }
+}
+
+/**
+ * Sample pixel data into a histogram, one chunk at a time.
+ * One pixel is taken from every block of sampleRate pixels: the first
+ * (stride), a random one (stratified) or a random pixel anywhere in the
+ * chunk (random).
+ * @param {Uint8ClampedArray} pixels - RGBA pixel data
+ * @param {Map} histogram - Histogram to add to
+ * @param {object} options - Normalized analysis options
+ * @param {Uint8Array|null} mask - Only pixels set in the mask are sampled
+ * @yields {number} Fraction of the pixels processed
+ */
+function* samplePixels(pixels, histogram, options, mask = null) {
+    const total = pixels.length / 4;
+    const rate = options.sampleRate;
+    const chunkSize = Math.ceil(ANALYSIS_CHUNK_SIZE / rate) * rate;
+    const random = seededRandom(ANALYSIS_RANDOM_SEED);
+    
+    for (let start = 0; start < total; start += chunkSize) {
+        const end = Math.min(total, start + chunkSize);
+        
+        for (let block = start; block < end; block += rate) {
+            let p = block;
+            if (options.sampling === 'stratified') {
+                p = block + Math.floor(random() * rate);
+            } else if (options.sampling === 'random') {
+                p = start + Math.floor(random() * (end - start));
+            }
+            if (p >= end || (mask && !mask[p])) continue;
+            
+            samplePixel(pixels, p * 4, histogram, options);
+        }
+        
+        yield end / total;
+    }
+}
+
+/**
+ * Add one pixel to the histogram, applying the alpha and luminance filters
+ * @param {Uint8ClampedArray} pixels - RGBA pixel data
+ * @param {number} i - Index of the pixel's red byte
+ * @param {Map} histogram - Histogram to add to
+ * @param {object} options - Normalized analysis options
+ */
+function samplePixel(pixels, i, histogram, options) {
+    const rgb = readPixel(pixels, i, options);
+    if (rgb) addToHistogram(histogram, rgb.r, rgb.g, rgb.b);
+}
+
+/**
+ * Read one pixel, applying the alpha and luminance filters
+ * @param {Uint8ClampedArray} pixels - RGBA pixel data
+ * @param {number} i - Index of the pixel's red byte
+ * @param {object} options - Normalized analysis options
+ * @returns {object|null} {r, g, b}, or null if the pixel is filtered out
+ */
+function readPixel(pixels, i, options) {
+    let r = pixels[i];
+    let g = pixels[i + 1];
+    let b = pixels[i + 2];
+    const a = pixels[i + 3];
+    
+    if (options.alphaMode === 'skip') {
+        if (a < options.alphaThreshold) return null;
+    } else if (options.alphaMode === 'composite' && a < 255) {
+        const opacity = a / 255;
+        r = Math.round(r * opacity + 255 * (1 - opacity));
+        g = Math.round(g * opacity + 255 * (1 - opacity));
+        b = Math.round(b * opacity + 255 * (1 - opacity));
+    }
+    
+    const luminance = getLuminance(r, g, b);
+    if (!options.keepDark && luminance < NEAR_BLACK_LUMINANCE) return null;
+    if (!options.keepLight && luminance > NEAR_WHITE_LUMINANCE) return null;
+    
+    return { r, g, b };
+}
+
+/**
+ * Assign every pixel to its nearest palette color, one chunk at a time.
+ * Unlike sampling this visits all pixels, so the result covers the whole image.
+ * @param {Uint8ClampedArray} pixels - RGBA pixel data
+ * @param {Array} colors - Palette colors {rgb}
+ * @param {object} options - Normalized analysis options plus distanceMetric
+ * @param {Uint16Array} assignment - Filled with a palette index (or UNASSIGNED_PIXEL) per pixel
+ * @param {Uint8Array|null} mask - Pixels not set in the mask stay unassigned
+ * @param {Uint32Array|null} pixelColors - Filled with the color each assigned pixel was
+ *                                         matched with, as 0xRRGGBB
+ * @yields {number} Fraction of the pixels processed
+ */
+function* assignPixels(pixels, colors, options, assignment, mask = null, pixelColors = null) {
+    const total = pixels.length / 4;
+    const nearest = new Map();
+    
+    for (let start = 0; start < total; start += ANALYSIS_CHUNK_SIZE) {
+        const end = Math.min(total, start + ANALYSIS_CHUNK_SIZE);
+        
+        for (let p = start; p < end; p++) {
+            const rgb = mask && !mask[p] ? null : readPixel(pixels, p * 4, options);
+            if (!rgb) {
+                assignment[p] = UNASSIGNED_PIXEL;
+                continue;
+            }
+            
+            // Images repeat colors heavily, so each exact color is matched once
+            const key = (rgb.r << 16) | (rgb.g << 8) | rgb.b;
+            let index = nearest.get(key);
+            if (index === undefined) {
+                index = findNearestColorIndex(rgb, colors, options.distanceMetric);
+                nearest.set(key, index);
+            }
+            assignment[p] = index;
+            if (pixelColors) pixelColors[p] = key;
+        }
+        
+        yield end / total;
+    }
+}
+
+/**
+ * Index of the palette color closest to a color
+ * @param {object} rgb - RGB color
+ * @param {Array} colors - Palette colors {rgb}
+ * @param {string} metric - Distance metric key
+ * @returns {number} Palette index
+ */
+function findNearestColorIndex(rgb, colors, metric) {
+    let best = 0;
+    let bestDistance = Infinity;
+    colors.forEach((color, i) => {
+        const distance = colorDistance(rgb, color.rgb, metric);
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = i;
+        }
+    });
+    return best;
+}
+
+/**
+ * Point assignment indices at a reordered palette. Colors left out of the
+ * new palette (beyond the color limit) pass their pixels to the nearest kept color.
+ * @param {Uint16Array} assignment - Indices into `from`; updated in place
+ * @param {Array} from - Palette the indices refer to
+ * @param {Array} to - Palette to refer to instead, holding the same color objects
+ * @param {string} metric - Distance metric key
+ */
+function remapAssignment(assignment, from, to, metric) {
+    const map = from.map(color => {
+        const index = to.indexOf(color);
+        return index >= 0 ? index : findNearestColorIndex(color.rgb, to, metric);
+    });
+    
+    for (let p = 0; p < assignment.length; p++) {
+        if (assignment[p] !== UNASSIGNED_PIXEL) assignment[p] = map[assignment[p]];
+    }
+}
+
+/**
+ * Reduce a histogram to palette colors.
+ * With a paletteSize the histogram is quantized first; clusters within
+ * similarityThreshold (using distanceMetric) are then merged into their weighted mean.
+ * @param {Map} histogram - Map of HEX to {rgb, count}
+ * @param {object} options - { algorithm, paletteSize, similarityThreshold, distanceMetric }
+ * @returns {Array} Unsorted color objects {hex, rgb, count}
+ */
+function reduceHistogram(histogram, options = {}) {
+    const entries = Array.from(histogram.values()).map(({ rgb, count }) => ({ ...rgb, count }));
+    
+    let clusters = options.paletteSize
+        ? new ColorQuantizer(options).quantize(entries)
+        : entries.map(({ r, g, b, count }) => ({ rgb: { r, g, b }, count }));
+    clusters = mergeSimilarClusters(clusters, options.similarityThreshold, options.distanceMetric);
+    
+    return clusters.map(({ rgb, count }) => ({
+        hex: rgbToHex(rgb.r, rgb.g, rgb.b),
+        rgb,
+        count
+    }));
+}
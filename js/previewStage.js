@@ -0,0 +1,397 @@
+/**
+ * Image Preview Stage
+ * Shows the uploaded image and lets the user outline regions (rectangle,
+ * lasso or polygon) to extract a separate palette from each one, or pick
+ * single colors with the loupe
+ */
+
+const REGION_TOOLS = {
+    rect: { label: 'Rectangle', hint: 'Drag on the image to draw a rectangle.' },
+    lasso: { label: 'Lasso', hint: 'Drag on the image to draw a freehand outline.' },
+    polygon: { label: 'Polygon', hint: 'Click to add points. Click the first point, double-click or press Enter to close; Escape cancels.' }
+};
+
+// Outline colors, assigned to regions in turn
+const REGION_COLORS = ['#3B82F6', '#EF4444', '#10B981', '#F59E0B', '#8B5CF6', '#EC4899'];
+
+// Screen pixels between lasso points, and how close a click must be to close a polygon
+const LASSO_MIN_STEP = 3;
+const POLYGON_CLOSE_DISTANCE = 8;
+
+// Palette swatches drawn on each region after extraction
+const REGION_OVERLAY_SWATCHES = 6;
+
+// Current stage state; region points are in natural image pixels
+let previewImageUrl = null;
+let previewRegions = [];
+let activeRegionTool = 'rect';
+let regionDraft = null;
+let nextRegionId = 1;
+
+// DOM Elements
+const previewStageContainer = document.getElementById('previewStageContainer');
+const stageImage = document.getElementById('stageImage');
+const stageOverlay = document.getElementById('stageOverlay');
+const stageHint = document.getElementById('stageHint');
+const stageToolButtons = document.querySelectorAll('.stage-tool-btn');
+const extractRegionsBtn = document.getElementById('extractRegions');
+const clearRegionsBtn = document.getElementById('clearRegions');
+const regionList = document.getElementById('regionList');
+
+/**
+ * Setup region drawing on the preview stage
+ */
+function setupPreviewStage() {
+    stageToolButtons.forEach(button => {
+        button.addEventListener('click', () => selectRegionTool(button.dataset.tool));
+    });
+    selectRegionTool(activeRegionTool);
+    
+    stageOverlay.addEventListener('pointerdown', handleStagePointerDown);
+    stageOverlay.addEventListener('pointermove', handleStagePointerMove);
+    stageOverlay.addEventListener('pointerup', handleStagePointerUp);
+    stageOverlay.addEventListener('dblclick', () => {
+        if (regionDraft && regionDraft.type === 'polygon') finishRegionDraft();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (!regionDraft) return;
+        if (e.key === 'Escape') {
+            regionDraft = null;
+            redrawStageOverlay();
+        } else if (e.key === 'Enter' && regionDraft.type === 'polygon') {
+            finishRegionDraft();
+        }
+    });
+    
+    stageImage.addEventListener('load', redrawStageOverlay);
+    window.addEventListener('resize', debounce(redrawStageOverlay, 100));
+    
+    extractRegionsBtn.addEventListener('click', extractRegions);
+    clearRegionsBtn.addEventListener('click', () => {
+        previewRegions = [];
+        regionDraft = null;
+        renderRegions();
+    });
+    
+    regionList.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        
+        const region = previewRegions.find(r => r.id === Number(button.dataset.regionId));
+        if (!region) return;
+        
+        if (button.dataset.action === 'show') {
+            displayColors(region.colors);
+        } else if (button.dataset.action === 'remove') {
+            previewRegions = previewRegions.filter(r => r !== region);
+            renderRegions();
+        }
+    });
+}
+
+/**
+ * Show an uploaded image on the stage, discarding earlier regions
+ * @param {File} file - Image file
+ */
+function showPreviewStage(file) {
+    resetPreviewStage();
+    
+    previewImageUrl = URL.createObjectURL(file);
+    stageImage.src = previewImageUrl;
+    stageImage.alt = file.name;
+    previewStageContainer.hidden = false;
+}
+
+/**
+ * Hide the stage and release the image
+ */
+function resetPreviewStage() {
+    previewStageContainer.hidden = true;
+    previewRegions = [];
+    regionDraft = null;
+    nextRegionId = 1;
+    
+    if (previewImageUrl) {
+        URL.revokeObjectURL(previewImageUrl);
+        previewImageUrl = null;
+    }
+    stageImage.removeAttribute('src');
+    clearStageAssignments();
+    renderRegions();
+}
+
+/**
+ * Switch the drawing tool
+ * @param {string} tool - Key of REGION_TOOLS, or 'loupe'
+ */
+function selectRegionTool(tool) {
+    activeRegionTool = tool;
+    regionDraft = null;
+    
+    stageToolButtons.forEach(button => {
+        button.classList.toggle('active', button.dataset.tool === tool);
+    });
+    stageHint.textContent = tool === 'loupe' ? LOUPE_HINT : REGION_TOOLS[tool].hint;
+    setLoupeActive(tool === 'loupe');
+    redrawStageOverlay();
+}
+
+/**
+ * Ratio of displayed to natural image size
+ * @returns {number} Screen pixels per image pixel
+ */
+function getStageScale() {
+    return stageImage.naturalWidth ? stageImage.clientWidth / stageImage.naturalWidth : 1;
+}
+
+/**
+ * Convert a pointer position to image pixels, clamped to the image
+ * @param {PointerEvent|MouseEvent} e - Pointer event on the overlay
+ * @returns {object} {x, y} in natural image pixels
+ */
+function getStagePoint(e) {
+    const rect = stageOverlay.getBoundingClientRect();
+    const scale = getStageScale();
+    const clamp = (value, max) => Math.max(0, Math.min(max, value));
+    
+    return {
+        x: clamp((e.clientX - rect.left) / scale, stageImage.naturalWidth),
+        y: clamp((e.clientY - rect.top) / scale, stageImage.naturalHeight)
+    };
+}
+
+/**
+ * Start a rectangle or lasso, or add a polygon point
+ * @param {PointerEvent} e - Pointer event
+ */
+function handleStagePointerDown(e) {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    
+    const point = getStagePoint(e);
+    
+    if (activeRegionTool === 'loupe') {
+        // Keep focus on the overlay so the arrow keys nudge the loupe
+        stageOverlay.focus();
+        moveLoupe(point);
+        addLoupeColor();
+        return;
+    }
+    
+    if (activeRegionTool === 'polygon') {
+        if (!regionDraft) {
+            regionDraft = { type: 'polygon', points: [point], cursor: point };
+        } else {
+            const first = regionDraft.points[0];
+            const distance = Math.hypot(point.x - first.x, point.y - first.y) * getStageScale();
+            if (regionDraft.points.length >= 3 && distance <= POLYGON_CLOSE_DISTANCE) {
+                finishRegionDraft();
+                return;
+            }
+            regionDraft.points.push(point);
+        }
+    } else {
+        stageOverlay.setPointerCapture(e.pointerId);
+        regionDraft = { type: activeRegionTool, points: [point], origin: point };
+    }
+    redrawStageOverlay();
+}
+
+/**
+ * Extend the region being drawn, or follow the pointer with the loupe
+ * @param {PointerEvent} e - Pointer event
+ */
+function handleStagePointerMove(e) {
+    if (activeRegionTool === 'loupe') {
+        moveLoupe(getStagePoint(e));
+        return;
+    }
+    if (!regionDraft) return;
+    
+    const point = getStagePoint(e);
+    
+    if (regionDraft.type === 'rect') {
+        const { origin } = regionDraft;
+        regionDraft.points = [origin, { x: point.x, y: origin.y }, point, { x: origin.x, y: point.y }];
+    } else if (regionDraft.type === 'lasso') {
+        const last = regionDraft.points[regionDraft.points.length - 1];
+        if (Math.hypot(point.x - last.x, point.y - last.y) * getStageScale() < LASSO_MIN_STEP) return;
+        regionDraft.points.push(point);
+    } else {
+        regionDraft.cursor = point;
+    }
+    redrawStageOverlay();
+}
+
+/**
+ * Finish a rectangle or lasso when the pointer is released
+ */
+function handleStagePointerUp() {
+    if (regionDraft && regionDraft.type !== 'polygon') finishRegionDraft();
+}
+
+/**
+ * Add the draft as a region if it encloses any area
+ */
+function finishRegionDraft() {
+    const draft = regionDraft;
+    regionDraft = null;
+    
+    // Double-clicking adds the same point twice
+    const points = draft.points.filter((point, i) =>
+        i === 0 || point.x !== draft.points[i - 1].x || point.y !== draft.points[i - 1].y
+    );
+    // Shoelace formula; a stroke that doubles back on itself encloses nothing
+    const area = Math.abs(points.reduce((sum, point, i) => {
+        const next = points[(i + 1) % points.length];
+        return sum + point.x * next.y - next.x * point.y;
+    }, 0)) / 2;
+    const minSize = LASSO_MIN_STEP / getStageScale();
+    
+    if (points.length >= 3 && area >= minSize * minSize) {
+        previewRegions.push({
+            id: nextRegionId,
+            type: draft.type,
+            points,
+            color: REGION_COLORS[(nextRegionId - 1) % REGION_COLORS.length],
+            colors: null
+        });
+        nextRegionId++;
+    }
+    renderRegions();
+}
+
+/**
+ * Redraw the overlay and the region list
+ */
+function renderRegions() {
+    redrawStageOverlay();
+    renderRegionList();
+}
+
+/**
+ * Draw region outlines, labels and extracted palettes over the image
+ */
+function redrawStageOverlay() {
+    const width = stageImage.clientWidth;
+    const height = stageImage.clientHeight;
+    const dpr = window.devicePixelRatio || 1;
+    
+    stageOverlay.width = Math.round(width * dpr);
+    stageOverlay.height = Math.round(height * dpr);
+    stageOverlay.style.width = `${width}px`;
+    stageOverlay.style.height = `${height}px`;
+    
+    const ctx = stageOverlay.getContext('2d');
+    if (!ctx) return;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    
+    const scale = getStageScale();
+    const tracePath = (points) => {
+        ctx.beginPath();
+        points.forEach((point, i) => {
+            ctx[i === 0 ? 'moveTo' : 'lineTo'](point.x * scale, point.y * scale);
+        });
+    };
+    
+    previewRegions.forEach(region => {
+        tracePath(region.points);
+        ctx.closePath();
+        ctx.fillStyle = `${region.color}33`;
+        ctx.fill();
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = region.color;
+        ctx.stroke();
+        
+        const bounds = getRegionBounds(region.points, stageImage.naturalWidth, stageImage.naturalHeight);
+        const left = bounds.x * scale;
+        const top = bounds.y * scale;
+        
+        ctx.fillStyle = region.color;
+        ctx.fillRect(left, top, 20, 20);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = '600 12px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(String(region.id), left + 10, top + 10);
+        
+        // Extracted palette as a strip next to the label
+        (region.colors || []).slice(0, REGION_OVERLAY_SWATCHES).forEach((color, i) => {
+            ctx.fillStyle = color.hex;
+            ctx.fillRect(left + 20 + i * 14, top, 14, 20);
+        });
+    });
+    
+    if (regionDraft) {
+        const points = regionDraft.cursor ? [...regionDraft.points, regionDraft.cursor] : regionDraft.points;
+        tracePath(points);
+        if (regionDraft.type !== 'polygon') ctx.closePath();
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        ctx.strokeStyle = REGION_COLORS[(nextRegionId - 1) % REGION_COLORS.length];
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+}
+
+/**
+ * List the regions with their palettes
+ */
+function renderRegionList() {
+    extractRegionsBtn.disabled = previewRegions.length === 0;
+    clearRegionsBtn.disabled = previewRegions.length === 0;
+    
+    regionList.innerHTML = previewRegions.map(region => `
+        <li class="region-item">
+            <span class="region-marker" style="background-color: ${region.color};"></span>
+            <span class="region-label">Region ${region.id} · ${REGION_TOOLS[region.type].label}</span>
+            <span class="region-swatches">
+                ${region.colors ? region.colors.map(color => `
+                    <span class="region-swatch" style="background-color: ${color.hex};" title="${color.hex} · ${color.percentage}%"></span>
+                `).join('') : '<span class="region-pending">Not extracted yet</span>'}
+            </span>
+            <button class="btn btn-secondary btn-sm" data-action="show" data-region-id="${region.id}"${region.colors ? '' : ' disabled'}>Show</button>
+            <button class="region-remove" data-action="remove" data-region-id="${region.id}" aria-label="Remove region ${region.id}">&times;</button>
+        </li>
+    `).join('');
+}
+
+/**
+ * Extract a palette from each region and show them together,
+ * each color tagged with the regions it came from
+ */
+async function extractRegions() {
+    if (previewRegions.length === 0) return;
+    
+    const regions = previewRegions.slice();
+    showLoading(() => colorExtractor.cancel());
+    
+    try {
+        const palettes = await colorExtractor.extractFromRegions(stageImage, regions.map(region => region.points));
+        
+        // Each region is downscaled on its own, so its counts are scaled back to image pixels before merging
+        const merged = new Map();
+        regions.forEach((region, i) => {
+            const { bounds, width, height } = colorExtractor.assignments[i];
+            const scale = (bounds.width * bounds.height) / (width * height);
+            region.colors = palettes[i];
+            palettes[i].forEach(color => colorExtractor.mergeColor(merged, { ...color, count: color.count * scale, sources: [`Region ${region.id}`] }));
+        });
+        
+        const colors = colorExtractor.finalizeColors(Array.from(merged.values()), colorExtractor.analysisOptions.maxColors);
+        setStageAssignments(colorExtractor.assignments);
+        displayColors(colors);
+        showToast(`Extracted ${colors.length} color${colors.length !== 1 ? 's' : ''} from ${regions.length} region${regions.length !== 1 ? 's' : ''}`);
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            showToast('Extraction cancelled', 2000);
+            return;
+        }
+        console.error('Region extraction error:', error);
+        showToast('Error extracting regions: ' + error.message, 4000);
+    } finally {
+        hideLoading();
+        renderRegions();
+    }
+}
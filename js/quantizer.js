@@ -0,0 +1,555 @@
+/**
+ * Color Quantizer Module
+ * Palette reduction algorithms behind one interface:
+ * median cut, octree, k-means (k-means++ seeding) and Wu's quantizer
+ */
+
+const QUANTIZATION_ALGORITHMS = {
+    'wu': "Wu's quantizer",
+    'median-cut': 'Median cut',
+    'octree': 'Octree',
+    'kmeans': 'K-means'
+};
+
+const DEFAULT_QUANTIZATION_ALGORITHM = 'wu';
+const DEFAULT_PALETTE_SIZE = 16;
+
+// Wu's histogram uses 5 bits per channel plus one padding slot
+const WU_SIDE = 33;
+
+class ColorQuantizer {
+    /**
+     * @param {object} options - { algorithm, paletteSize }
+     */
+    constructor(options = {}) {
+        this.algorithm = options.algorithm || DEFAULT_QUANTIZATION_ALGORITHM;
+        this.paletteSize = Math.max(1, options.paletteSize || DEFAULT_PALETTE_SIZE);
+        
+        if (!QUANTIZATION_ALGORITHMS[this.algorithm]) {
+            throw new Error(`Unknown quantization algorithm: ${this.algorithm}`);
+        }
+    }
+
+    /**
+     * Reduce a weighted color histogram to a palette
+     * @param {Array} histogram - Unique colors as {r, g, b, count}
+     * @returns {Array} Clusters as {rgb, count}, sorted by count
+     */
+    quantize(histogram) {
+        if (histogram.length === 0) return [];
+        
+        let clusters;
+        if (histogram.length <= this.paletteSize) {
+            // Nothing to reduce
+            clusters = histogram.map(({ r, g, b, count }) => ({ r, g, b, count }));
+        } else {
+            switch (this.algorithm) {
+                case 'median-cut':
+                    clusters = this.medianCut(histogram);
+                    break;
+                case 'octree':
+                    clusters = this.octree(histogram);
+                    break;
+                case 'kmeans':
+                    clusters = this.kMeans(histogram);
+                    break;
+                default:
+                    clusters = this.wu(histogram);
+            }
+        }
+        
+        return clusters
+            .filter(cluster => cluster.count > 0)
+            .map(({ r, g, b, count }) => ({
+                rgb: { r: Math.round(r), g: Math.round(g), b: Math.round(b) },
+                count
+            }))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * Median cut: split the box with the widest weighted spread at its weighted median
+     * @param {Array} histogram - Unique colors with counts
+     * @returns {Array} Centroids {r, g, b, count}
+     */
+    medianCut(histogram) {
+        const makeBox = (entries) => {
+            const box = { entries, count: 0, range: 0, channel: 'r' };
+            ['r', 'g', 'b'].forEach(channel => {
+                let min = 255;
+                let max = 0;
+                entries.forEach(entry => {
+                    if (entry[channel] < min) min = entry[channel];
+                    if (entry[channel] > max) max = entry[channel];
+                });
+                if (max - min > box.range) {
+                    box.range = max - min;
+                    box.channel = channel;
+                }
+            });
+            box.count = entries.reduce((sum, entry) => sum + entry.count, 0);
+            return box;
+        };
+        
+        const boxes = [makeBox(histogram.slice())];
+        
+        while (boxes.length < this.paletteSize) {
+            // Pick the box where a split removes the most error
+            let index = -1;
+            let best = 0;
+            boxes.forEach((box, i) => {
+                const score = box.range * box.count;
+                if (box.entries.length > 1 && score > best) {
+                    best = score;
+                    index = i;
+                }
+            });
+            if (index === -1) break;
+            
+            const box = boxes[index];
+            const channel = box.channel;
+            box.entries.sort((a, b) => a[channel] - b[channel]);
+            
+            // Weighted median, keeping at least one entry on each side
+            let running = 0;
+            let cut = 1;
+            for (let i = 0; i < box.entries.length - 1; i++) {
+                running += box.entries[i].count;
+                cut = i + 1;
+                if (running >= box.count / 2) break;
+            }
+            
+            boxes.splice(index, 1, makeBox(box.entries.slice(0, cut)), makeBox(box.entries.slice(cut)));
+        }
+        
+        return boxes.map(box => weightedMean(box.entries));
+    }
+
+    /**
+     * Octree: build an 8-level color tree and fold the least populated branches
+     * @param {Array} histogram - Unique colors with counts
+     * @returns {Array} Centroids {r, g, b, count}
+     */
+    octree(histogram) {
+        const createNode = (level) => ({ level, children: [], childCount: 0, r: 0, g: 0, b: 0, count: 0, leaf: level === 8 });
+        const root = createNode(0);
+        const reducible = Array.from({ length: 8 }, () => []);
+        let leafCount = 0;
+        
+        histogram.forEach(({ r, g, b, count }) => {
+            let node = root;
+            while (!node.leaf) {
+                const shift = 7 - node.level;
+                const index = (((r >> shift) & 1) << 2) | (((g >> shift) & 1) << 1) | ((b >> shift) & 1);
+                if (!node.children[index]) {
+                    const child = createNode(node.level + 1);
+                    node.children[index] = child;
+                    node.childCount++;
+                    if (child.leaf) leafCount++;
+                    else reducible[child.level].push(child);
+                }
+                node = node.children[index];
+            }
+            node.r += r * count;
+            node.g += g * count;
+            node.b += b * count;
+            node.count += count;
+        });
+        
+        // Subtree population, used to fold the least significant branches first
+        const population = (node) => node.leaf ? node.count : node.children.reduce((sum, c) => sum + (c ? population(c) : 0), 0);
+        
+        for (let level = 7; level > 0 && leafCount > this.paletteSize; level--) {
+            const nodes = reducible[level]
+                .map(node => ({ node, weight: population(node) }))
+                .sort((a, b) => a.weight - b.weight);
+            
+            for (const { node } of nodes) {
+                if (leafCount <= this.paletteSize) break;
+                this.foldOctreeNode(node);
+                leafCount -= node.childCount - 1;
+                node.children = [];
+                node.leaf = true;
+            }
+        }
+        
+        const leaves = [];
+        const collect = (node) => {
+            if (node.leaf) {
+                if (node.count > 0) {
+                    leaves.push({ r: node.r / node.count, g: node.g / node.count, b: node.b / node.count, count: node.count });
+                }
+                return;
+            }
+            node.children.forEach(child => child && collect(child));
+        };
+        collect(root);
+        
+        // Folding stops at level 1, which can leave up to 8 leaves; merge the rest
+        return leaves.length > this.paletteSize ? this.mergeClosest(leaves) : leaves;
+    }
+
+    /**
+     * Accumulate all descendant sums into an octree node
+     * @param {object} node - Octree node
+     */
+    foldOctreeNode(node) {
+        node.children.forEach(child => {
+            if (!child) return;
+            if (!child.leaf) this.foldOctreeNode(child);
+            node.r += child.r;
+            node.g += child.g;
+            node.b += child.b;
+            node.count += child.count;
+        });
+    }
+
+    /**
+     * Merge the closest pair of clusters until the palette size is reached
+     * @param {Array} clusters - Centroids {r, g, b, count}
+     * @returns {Array} Reduced centroids
+     */
+    mergeClosest(clusters) {
+        clusters = clusters.slice();
+        while (clusters.length > this.paletteSize) {
+            let bestI = 0;
+            let bestJ = 1;
+            let bestCost = Infinity;
+            for (let i = 0; i < clusters.length; i++) {
+                for (let j = i + 1; j < clusters.length; j++) {
+                    // Ward's criterion: increase in squared error caused by the merge
+                    const a = clusters[i];
+                    const b = clusters[j];
+                    const cost = squaredDistance(a, b) * a.count * b.count / (a.count + b.count);
+                    if (cost < bestCost) {
+                        bestCost = cost;
+                        bestI = i;
+                        bestJ = j;
+                    }
+                }
+            }
+            const merged = weightedMean([clusters[bestI], clusters[bestJ]]);
+            clusters.splice(bestJ, 1);
+            clusters[bestI] = merged;
+        }
+        return clusters;
+    }
+
+    /**
+     * K-means with k-means++ seeding on the weighted histogram
+     * @param {Array} histogram - Unique colors with counts
+     * @returns {Array} Centroids {r, g, b, count}
+     */
+    kMeans(histogram) {
+        const k = this.paletteSize;
+        const random = seededRandom(histogram.length);
+        
+        // k-means++: each new center is drawn with probability proportional to count * D^2
+        const centers = [];
+        const totalWeight = histogram.reduce((sum, entry) => sum + entry.count, 0);
+        let target = random() * totalWeight;
+        const first = histogram.find(entry => (target -= entry.count) <= 0) || histogram[0];
+        centers.push({ r: first.r, g: first.g, b: first.b });
+        
+        const nearest = new Float64Array(histogram.length).fill(Infinity);
+        while (centers.length < k) {
+            const last = centers[centers.length - 1];
+            let sum = 0;
+            histogram.forEach((entry, i) => {
+                nearest[i] = Math.min(nearest[i], squaredDistance(entry, last));
+                sum += nearest[i] * entry.count;
+            });
+            if (sum === 0) break;
+            
+            target = random() * sum;
+            let chosen = histogram.length - 1;
+            for (let i = 0; i < histogram.length; i++) {
+                target -= nearest[i] * histogram[i].count;
+                if (target <= 0) {
+                    chosen = i;
+                    break;
+                }
+            }
+            centers.push({ r: histogram[chosen].r, g: histogram[chosen].g, b: histogram[chosen].b });
+        }
+        
+        // Lloyd iterations
+        const assignment = new Int32Array(histogram.length);
+        let clusters = [];
+        for (let iteration = 0; iteration < 24; iteration++) {
+            histogram.forEach((entry, i) => {
+                let best = 0;
+                let bestDistance = Infinity;
+                centers.forEach((center, c) => {
+                    const d = squaredDistance(entry, center);
+                    if (d < bestDistance) {
+                        bestDistance = d;
+                        best = c;
+                    }
+                });
+                assignment[i] = best;
+            });
+            
+            clusters = centers.map(() => []);
+            histogram.forEach((entry, i) => clusters[assignment[i]].push(entry));
+            
+            let movement = 0;
+            clusters.forEach((members, c) => {
+                if (members.length === 0) return;
+                const mean = weightedMean(members);
+                movement = Math.max(movement, squaredDistance(mean, centers[c]));
+                centers[c] = { r: mean.r, g: mean.g, b: mean.b };
+            });
+            
+            if (movement < 0.25) break;
+        }
+        
+        return clusters.filter(members => members.length > 0).map(members => weightedMean(members));
+    }
+
+    /**
+     * Wu's quantizer: greedy variance-minimizing box cuts over a 32x32x32 moment table
+     * @param {Array} histogram - Unique colors with counts
+     * @returns {Array} Centroids {r, g, b, count}
+     */
+    wu(histogram) {
+        const size = WU_SIDE * WU_SIDE * WU_SIDE;
+        const wt = new Float64Array(size);
+        const mr = new Float64Array(size);
+        const mg = new Float64Array(size);
+        const mb = new Float64Array(size);
+        const m2 = new Float64Array(size);
+        const index = (r, g, b) => (r * WU_SIDE + g) * WU_SIDE + b;
+        
+        histogram.forEach(({ r, g, b, count }) => {
+            const i = index((r >> 3) + 1, (g >> 3) + 1, (b >> 3) + 1);
+            wt[i] += count;
+            mr[i] += r * count;
+            mg[i] += g * count;
+            mb[i] += b * count;
+            m2[i] += (r * r + g * g + b * b) * count;
+        });
+        
+        // Turn the histogram into cumulative moments
+        for (let r = 1; r < WU_SIDE; r++) {
+            const area = new Float64Array(WU_SIDE * 5);
+            for (let g = 1; g < WU_SIDE; g++) {
+                let line = [0, 0, 0, 0, 0];
+                for (let b = 1; b < WU_SIDE; b++) {
+                    const i = index(r, g, b);
+                    line = [line[0] + wt[i], line[1] + mr[i], line[2] + mg[i], line[3] + mb[i], line[4] + m2[i]];
+                    const prev = index(r - 1, g, b);
+                    for (let m = 0; m < 5; m++) area[b * 5 + m] += line[m];
+                    wt[i] = wt[prev] + area[b * 5];
+                    mr[i] = mr[prev] + area[b * 5 + 1];
+                    mg[i] = mg[prev] + area[b * 5 + 2];
+                    mb[i] = mb[prev] + area[b * 5 + 3];
+                    m2[i] = m2[prev] + area[b * 5 + 4];
+                }
+            }
+        }
+        
+        const moments = { wt, mr, mg, mb, m2 };
+        const volume = (box, m) => m[index(box.r1, box.g1, box.b1)] - m[index(box.r1, box.g1, box.b0)]
+            - m[index(box.r1, box.g0, box.b1)] + m[index(box.r1, box.g0, box.b0)]
+            - m[index(box.r0, box.g1, box.b1)] + m[index(box.r0, box.g1, box.b0)]
+            + m[index(box.r0, box.g0, box.b1)] - m[index(box.r0, box.g0, box.b0)];
+        
+        const variance = (box) => {
+            const w = volume(box, wt);
+            if (w === 0) return 0;
+            const dr = volume(box, mr);
+            const dg = volume(box, mg);
+            const db = volume(box, mb);
+            return volume(box, m2) - (dr * dr + dg * dg + db * db) / w;
+        };
+        
+        const boxes = [{ r0: 0, r1: WU_SIDE - 1, g0: 0, g1: WU_SIDE - 1, b0: 0, b1: WU_SIDE - 1 }];
+        const scores = [0];
+        let next = 0;
+        
+        for (let i = 1; i < this.paletteSize; i++) {
+            const split = this.wuCut(boxes[next], moments, volume, index);
+            if (split) {
+                boxes[next] = split[0];
+                boxes[i] = split[1];
+                scores[next] = wuBoxSize(split[0]) > 1 ? variance(split[0]) : 0;
+                scores[i] = wuBoxSize(split[1]) > 1 ? variance(split[1]) : 0;
+            } else {
+                // Box cannot be split any further
+                scores[next] = 0;
+                i--;
+            }
+            
+            next = 0;
+            let best = scores[0];
+            for (let j = 1; j <= i; j++) {
+                if (scores[j] > best) {
+                    best = scores[j];
+                    next = j;
+                }
+            }
+            if (best <= 0) break;
+        }
+        
+        return boxes.map(box => {
+            const w = volume(box, wt);
+            return w > 0
+                ? { r: volume(box, mr) / w, g: volume(box, mg) / w, b: volume(box, mb) / w, count: w }
+                : { r: 0, g: 0, b: 0, count: 0 };
+        });
+    }
+
+    /**
+     * Find the best cut for a Wu box along any axis
+     * @param {object} box - Box bounds (lower bounds exclusive)
+     * @param {object} moments - Cumulative moment tables
+     * @param {Function} volume - Box moment sum helper
+     * @param {Function} index - Table index helper
+     * @returns {Array|null} Two new boxes or null if no cut improves the box
+     */
+    wuCut(box, moments, volume, index) {
+        const whole = {
+            r: volume(box, moments.mr),
+            g: volume(box, moments.mg),
+            b: volume(box, moments.mb),
+            w: volume(box, moments.wt)
+        };
+        
+        // Moment sum of the slab below position `pos` along `axis`
+        const slab = (axis, pos, m) => {
+            const b = { ...box, [`${axis}1`]: pos };
+            return volume(b, m);
+        };
+        
+        let best = { score: 0, axis: null, pos: -1 };
+        ['r', 'g', 'b'].forEach(axis => {
+            for (let pos = box[`${axis}0`] + 1; pos < box[`${axis}1`]; pos++) {
+                const half = {
+                    r: slab(axis, pos, moments.mr),
+                    g: slab(axis, pos, moments.mg),
+                    b: slab(axis, pos, moments.mb),
+                    w: slab(axis, pos, moments.wt)
+                };
+                const other = { r: whole.r - half.r, g: whole.g - half.g, b: whole.b - half.b, w: whole.w - half.w };
+                if (half.w === 0 || other.w === 0) continue;
+                
+                const score = (half.r * half.r + half.g * half.g + half.b * half.b) / half.w
+                    + (other.r * other.r + other.g * other.g + other.b * other.b) / other.w;
+                if (score > best.score) {
+                    best = { score, axis, pos };
+                }
+            }
+        });
+        
+        if (!best.axis) return null;
+        
+        const first = { ...box, [`${best.axis}1`]: best.pos };
+        const second = { ...box, [`${best.axis}0`]: best.pos };
+        return [first, second];
+    }
+}
+
+/**
+ * Merge clusters whose centroids fall within a similarity threshold.
+ * Larger clusters absorb smaller ones and centroids move to the weighted mean.
+ * @param {Array} clusters - Clusters as {rgb, count}
+ * @param {number} threshold - Tolerance in ΔE units
+ * @param {string} metric - Distance metric (see COLOR_DISTANCE_METRICS)
+ * @returns {Array} Merged clusters, sorted by count
+ */
+function mergeSimilarClusters(clusters, threshold, metric = DEFAULT_DISTANCE_METRIC) {
+    const merged = [];
+    
+    clusters
+        .slice()
+        .sort((a, b) => b.count - a.count)
+        .forEach(cluster => {
+            let target = null;
+            let targetDistance = Infinity;
+            merged.forEach(candidate => {
+                const d = colorDistance(cluster.rgb, candidate.rgb, metric);
+                if (d < threshold && d < targetDistance) {
+                    targetDistance = d;
+                    target = candidate;
+                }
+            });
+            
+            if (!target) {
+                merged.push({ rgb: { ...cluster.rgb }, count: cluster.count, sum: { ...cluster.rgb, count: cluster.count } });
+                return;
+            }
+            
+            const total = target.count + cluster.count;
+            ['r', 'g', 'b'].forEach(channel => {
+                target.sum[channel] = (target.sum[channel] * target.count + cluster.rgb[channel] * cluster.count) / total;
+            });
+            target.count = total;
+            target.rgb = {
+                r: Math.round(target.sum.r),
+                g: Math.round(target.sum.g),
+                b: Math.round(target.sum.b)
+            };
+        });
+    
+    return merged
+        .map(({ rgb, count }) => ({ rgb, count }))
+        .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Weighted mean of colors
+ * @param {Array} entries - Colors {r, g, b, count}
+ * @returns {object} Centroid {r, g, b, count}
+ */
+function weightedMean(entries) {
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    let count = 0;
+    entries.forEach(entry => {
+        r += entry.r * entry.count;
+        g += entry.g * entry.count;
+        b += entry.b * entry.count;
+        count += entry.count;
+    });
+    return count > 0 ? { r: r / count, g: g / count, b: b / count, count } : { r: 0, g: 0, b: 0, count: 0 };
+}
+
+/**
+ * Squared Euclidean distance in RGB
+ * @param {object} a - Color {r, g, b}
+ * @param {object} b - Color {r, g, b}
+ * @returns {number} Squared distance
+ */
+function squaredDistance(a, b) {
+    const dr = a.r - b.r;
+    const dg = a.g - b.g;
+    const db = a.b - b.b;
+    return dr * dr + dg * dg + db * db;
+}
+
+/**
+ * Number of histogram cells covered by a Wu box
+ * @param {object} box - Box bounds
+ * @returns {number} Cell count
+ */
+function wuBoxSize(box) {
+    return (box.r1 - box.r0) * (box.g1 - box.g0) * (box.b1 - box.b0);
+}
+
+/**
+ * Small deterministic PRNG (mulberry32) so k-means results are reproducible
+ * @param {number} seed - Seed value
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,96 @@
+/**
+ * Role Panel
+ * Shows the suggested semantic role of palette colors and lets users
+ * change them; the roles are passed on to the palette export
+ */
+
+// Suggestions for the current palette and the user's changes, HEX value (or null) per role
+let suggestedRoles = {};
+let roleOverrides = {};
+
+// DOM Elements
+const rolePanel = document.getElementById('rolePanel');
+const roleList = document.getElementById('roleList');
+const resetRolesBtn = document.getElementById('resetRoles');
+
+/**
+ * Setup role overrides
+ */
+function setupRolePanel() {
+    roleList.addEventListener('change', (e) => {
+        const role = e.target.dataset.role;
+        if (!role) return;
+        
+        const hex = e.target.value || null;
+        if (hex === suggestedRoles[role]) {
+            delete roleOverrides[role];
+        } else {
+            roleOverrides[role] = hex;
+        }
+        renderRoles();
+    });
+    
+    resetRolesBtn.addEventListener('click', () => {
+        roleOverrides = {};
+        renderRoles();
+    });
+}
+
+/**
+ * Suggest roles for a new palette; changes to colors still in the palette are kept
+ * @param {Array} colors - Palette colors
+ */
+function updateRolePanel(colors) {
+    if (colors.length === 0) {
+        rolePanel.style.display = 'none';
+        return;
+    }
+    rolePanel.style.display = 'block';
+    
+    suggestedRoles = assignColorRoles(colors);
+    Object.entries(roleOverrides).forEach(([role, hex]) => {
+        if (hex && !colors.some(color => color.hex === hex)) delete roleOverrides[role];
+    });
+    renderRoles();
+}
+
+/**
+ * Roles of the current palette with the user's changes applied
+ * @returns {object} HEX value (or null) per key of COLOR_ROLES
+ */
+function getColorRoles() {
+    return { ...suggestedRoles, ...roleOverrides };
+}
+
+/**
+ * Render a row with a color choice for every role
+ */
+function renderRoles() {
+    const roles = getColorRoles();
+    const background = roles.background ? currentColors.find(color => color.hex === roles.background) : null;
+    resetRolesBtn.disabled = Object.keys(roleOverrides).length === 0;
+    
+    roleList.innerHTML = Object.entries(COLOR_ROLES).map(([role, definition]) => {
+        const hex = roles[role];
+        const color = hex ? currentColors.find(c => c.hex === hex) : null;
+        const options = currentColors.map(c =>
+            `<option value="${c.hex}"${c.hex === hex ? ' selected' : ''}>${c.hex}${c.name ? ` ${escapeHtml(c.name)}` : ''}</option>`
+        ).join('');
+        
+        // Colors shown on the background report their contrast with it
+        const notes = [role in roleOverrides ? 'Changed' : 'Suggested'];
+        if (color && background && role !== 'background') {
+            notes.push(`${formatContrastRatio(getContrastRatio(color.rgb, background.rgb))} on background`);
+        }
+        
+        return `
+            <div class="role-row">
+                <span class="region-swatch${color ? '' : ' empty'}"${color ? ` style="background-color: ${color.hex};"` : ''}></span>
+                <label for="role-${role}">${definition.label}</label>
+                <select id="role-${role}" class="setting-select" data-role="${role}">
+                    <option value=""${hex ? '' : ' selected'}>None</option>${options}
+                </select>
+                <span class="role-note">${notes.join(' · ')}</span>
+            </div>`;
+    }).join('');
+}
@@ -0,0 +1,194 @@
+/**
+ * Scale Panel
+ * Builds 50-950 tint and shade ramps from palette colors, with the contrast
+ * of every step against white and black, and exports them as a palette
+ */
+
+const SCALE_SETTINGS_KEY = 'scaleSettings';
+
+// Ramps {id, name, hex, rgb} and the options they are generated with
+let colorScales = [];
+let scaleOptions = { ...DEFAULT_SCALE_OPTIONS };
+let nextScaleId = 1;
+
+// DOM Elements
+const scalePanel = document.getElementById('scalePanel');
+const scaleColorSelect = document.getElementById('scaleColor');
+const addScaleBtn = document.getElementById('addScale');
+const scaleSpaceSelect = document.getElementById('scaleSpace');
+const scaleHueShiftInput = document.getElementById('scaleHueShift');
+const scaleHueShiftValue = document.getElementById('scaleHueShiftValue');
+const scaleChromaEasingInput = document.getElementById('scaleChromaEasing');
+const scaleChromaEasingValue = document.getElementById('scaleChromaEasingValue');
+const scaleList = document.getElementById('scaleList');
+const exportScalesBtn = document.getElementById('exportScales');
+
+/**
+ * Setup scale controls and restore the saved options
+ */
+function setupScalePanel() {
+    fillSelect(scaleSpaceSelect, Object.entries(SCALE_SPACES).map(([key, space]) => [key, space.label]));
+    
+    scaleOptions = loadSettings(SCALE_SETTINGS_KEY, DEFAULT_SCALE_OPTIONS);
+    if (!SCALE_SPACES[scaleOptions.space]) scaleOptions.space = DEFAULT_SCALE_OPTIONS.space;
+    scaleSpaceSelect.value = scaleOptions.space;
+    scaleHueShiftInput.value = scaleOptions.hueShift;
+    scaleChromaEasingInput.value = Math.round(scaleOptions.chromaEasing * 100);
+    updateScaleOptionLabels();
+    
+    // Ramps follow the sliders while dragging; options are saved on change
+    [scaleHueShiftInput, scaleChromaEasingInput].forEach(input => {
+        input.addEventListener('input', () => {
+            readScaleOptions();
+            renderColorScales();
+        });
+    });
+    [scaleSpaceSelect, scaleHueShiftInput, scaleChromaEasingInput].forEach(input => {
+        input.addEventListener('change', () => {
+            readScaleOptions();
+            saveSettings(SCALE_SETTINGS_KEY, scaleOptions);
+            renderColorScales();
+        });
+    });
+    
+    addScaleBtn.addEventListener('click', () => {
+        const color = currentColors.find(c => c.hex === scaleColorSelect.value);
+        if (color) addColorScale(color);
+    });
+    exportScalesBtn.addEventListener('click', () => openExportDialog(getScaleExportColors()));
+    
+    scaleList.addEventListener('click', async (e) => {
+        const removeBtn = e.target.closest('[data-action="remove-scale"]');
+        if (removeBtn) {
+            colorScales = colorScales.filter(scale => scale.id !== Number(removeBtn.dataset.scaleId));
+            renderColorScales();
+            return;
+        }
+        
+        // Clicking a step copies its HEX value
+        const step = e.target.closest('.scale-swatch');
+        if (step) {
+            const success = await copyToClipboard(step.dataset.hex);
+            showToast(success ? `Copied: ${step.dataset.hex}` : 'Failed to copy to clipboard', success ? 2000 : 3000);
+        }
+    });
+}
+
+/**
+ * Read the option controls into scaleOptions
+ */
+function readScaleOptions() {
+    scaleOptions = {
+        space: scaleSpaceSelect.value,
+        hueShift: Number(scaleHueShiftInput.value),
+        chromaEasing: Number(scaleChromaEasingInput.value) / 100
+    };
+    updateScaleOptionLabels();
+}
+
+/**
+ * Show the slider values next to their labels
+ */
+function updateScaleOptionLabels() {
+    scaleHueShiftValue.textContent = scaleHueShiftInput.value;
+    scaleChromaEasingValue.textContent = scaleChromaEasingInput.value;
+}
+
+/**
+ * Refresh the color choices for a new palette; ramps already built are kept
+ * @param {Array} colors - Palette colors
+ */
+function updateScalePanel(colors) {
+    if (colors.length === 0) {
+        scalePanel.style.display = 'none';
+        return;
+    }
+    scalePanel.style.display = 'block';
+    
+    const previous = scaleColorSelect.value;
+    scaleColorSelect.innerHTML = colors.map(color =>
+        `<option value="${color.hex}">${color.hex}${color.name ? ` ${escapeHtml(color.name)}` : ''}</option>`
+    ).join('');
+    if (colors.some(color => color.hex === previous)) scaleColorSelect.value = previous;
+    
+    renderColorScales();
+}
+
+/**
+ * Add a ramp for a palette color
+ * @param {object} color - Seed color
+ */
+function addColorScale(color) {
+    if (colorScales.some(scale => scale.hex === color.hex)) {
+        showToast(`${color.hex} already has a scale`, 2000);
+        return;
+    }
+    
+    // Ramps are named after the palette name or the nearest named color
+    const match = findColorName(color.rgb, colorNameSource, colorExtractor.distanceMetric);
+    colorScales.push({
+        id: nextScaleId++,
+        name: color.name || (match ? match.name : color.hex),
+        hex: color.hex,
+        rgb: color.rgb
+    });
+    renderColorScales();
+}
+
+/**
+ * Contrast of a step against white or black, marked by whether it passes AA for normal text
+ * @param {string} label - 'W' or 'B'
+ * @param {number} ratio - Contrast ratio
+ * @returns {string} HTML
+ */
+function createScaleContrast(label, ratio) {
+    const passes = ratio >= WCAG_CRITERIA.normal.aa;
+    return `<span class="scale-contrast ${passes ? 'pass' : 'fail'}" title="${passes ? 'Passes' : 'Fails'} AA for normal text">${label} ${formatContrastRatio(ratio)}</span>`;
+}
+
+/**
+ * Render every ramp with the current options
+ */
+function renderColorScales() {
+    exportScalesBtn.disabled = colorScales.length === 0;
+    
+    scaleList.innerHTML = colorScales.map(scale => {
+        const steps = generateColorScale(scale.rgb, scaleOptions).map(step => {
+            // Step labels use whichever of white and black reads better on the swatch
+            const textColor = step.contrast.white >= step.contrast.black ? '#FFFFFF' : '#000000';
+            return `
+                <li class="scale-step${step.seed ? ' seed' : ''}">
+                    <button class="scale-swatch" data-hex="${step.hex}" style="background-color: ${step.hex}; color: ${textColor};" title="Copy ${step.hex}${step.seed ? ' (palette color)' : ''}">${step.step}</button>
+                    <code>${step.hex}</code>
+                    ${createScaleContrast('W', step.contrast.white)}
+                    ${createScaleContrast('B', step.contrast.black)}
+                </li>`;
+        }).join('');
+        
+        return `
+        <div class="color-scale">
+            <div class="color-scale-header">
+                <span class="region-swatch" style="background-color: ${scale.hex};"></span>
+                <strong>${escapeHtml(scale.name)}</strong>
+                <code>${scale.hex}</code>
+                <button class="btn btn-secondary btn-sm" data-action="remove-scale" data-scale-id="${scale.id}">Remove</button>
+            </div>
+            <ol class="scale-steps">${steps}
+            </ol>
+        </div>`;
+    }).join('');
+}
+
+/**
+ * Every step of every ramp as palette colors named like "Crimson 500"
+ * @returns {Array} Color objects for openExportDialog
+ */
+function getScaleExportColors() {
+    return colorScales.flatMap(scale =>
+        generateColorScale(scale.rgb, scaleOptions).map(step => ({
+            hex: step.hex,
+            rgb: step.rgb,
+            name: `${scale.name} ${step.step}`
+        }))
+    );
+}
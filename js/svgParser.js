@@ -0,0 +1,826 @@
+/**
+ * SVG Parser Module
+ * Resolves the colors an SVG paints the way a browser renders it: <style>
+ * rules, presentation attributes, inheritance, currentColor, opacity,
+ * gradients and filter colors, weighted by the area each element covers
+ * (its full fill and stroke, without occlusion, clip paths or masks)
+ */
+
+// Styling properties read from attributes, <style> rules and style attributes
+const SVG_STYLE_PROPERTIES = [
+    'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-opacity', 'stroke-width', 'color', 'opacity',
+    'visibility', 'display', 'font-size', 'filter',
+    'stop-color', 'stop-opacity', 'flood-color', 'flood-opacity', 'lighting-color'
+];
+
+// Properties children take from their parent unless they set them
+const SVG_INHERITED_PROPERTIES = new Set([
+    'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-opacity', 'stroke-width', 'color', 'visibility', 'font-size'
+]);
+
+// Values of elements that set nothing; the default fill is black
+const SVG_INITIAL_STYLE = {
+    'fill': 'black',
+    'fill-opacity': '1',
+    'fill-rule': 'nonzero',
+    'stroke': 'none',
+    'stroke-opacity': '1',
+    'stroke-width': '1',
+    'color': 'black',
+    'opacity': '1',
+    'visibility': 'visible',
+    'display': 'inline',
+    'font-size': '16',
+    'filter': 'none',
+    'stop-color': 'black',
+    'stop-opacity': '1',
+    'flood-color': 'black',
+    'flood-opacity': '1',
+    'lighting-color': 'white'
+};
+
+// Elements that paint a fill and a stroke
+const SVG_SHAPE_ELEMENTS = new Set(['rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'path']);
+const SVG_TEXT_ELEMENTS = new Set(['text', 'tspan', 'textPath']);
+
+// Elements whose content is only painted where something references it
+const SVG_NON_RENDERED_ELEMENTS = new Set([
+    'defs', 'symbol', 'clipPath', 'mask', 'pattern', 'marker', 'linearGradient', 'radialGradient',
+    'filter', 'style', 'script', 'title', 'desc', 'metadata', 'foreignObject'
+]);
+
+// Filter primitives that paint a color: [color property, opacity property]
+const SVG_FILTER_COLOR_PROPERTIES = {
+    feFlood: ['flood-color', 'flood-opacity'],
+    feDropShadow: ['flood-color', 'flood-opacity'],
+    feDiffuseLighting: ['lighting-color', null],
+    feSpecularLighting: ['lighting-color', null]
+};
+
+// Viewport used for percentages when the SVG sets no size (the browser default)
+const SVG_DEFAULT_VIEWPORT = { width: 300, height: 150 };
+
+// Straight segments per curve or arc when measuring paths
+const SVG_CURVE_SEGMENTS = 16;
+
+// Average glyph box of a text character, relative to the font size
+const SVG_GLYPH_WIDTH = 0.55;
+
+// Parameters per path command
+const SVG_PATH_PARAMETERS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+class SVGParser {
+    /**
+     * @param {string} svgText - SVG markup
+     * @param {Function} parseColor - Color text -> {r, g, b} or null
+     */
+    constructor(svgText, parseColor = parseCssColor) {
+        this.svgText = svgText;
+        this.parseColor = parseColor;
+        this.rules = [];
+        this.ids = new Map();
+        this.viewport = { ...SVG_DEFAULT_VIEWPORT, diagonal: 0 };
+        // id -> gradient {id, type, stops} or null, filled as fills reference them
+        this.gradients = new Map();
+        // Styles of referenced elements (gradient stops, filter primitives), computed from their ancestors
+        this.resourceStyles = new Map();
+        // <use> targets being painted, to stop reference cycles
+        this.activeReferences = new Set();
+        this.paints = [];
+    }
+
+    /**
+     * Resolve every painted color of the SVG
+     * @returns {object} {paints: [{hex, rgb, area, property, element, gradient}],
+     *                   gradients: [{id, type, stops: [{offset, hex, rgb, opacity}]}]}
+     *                   with areas in square user units, opacity included
+     */
+    extractColors() {
+        const doc = new DOMParser().parseFromString(this.svgText, 'image/svg+xml');
+        const root = doc.documentElement;
+        if (doc.getElementsByTagName('parsererror').length > 0 || !root || root.localName !== 'svg') {
+            throw new Error('Malformed SVG markup');
+        }
+        
+        this.rules = this.readStyleRules(doc);
+        Array.from(doc.querySelectorAll('[id]')).forEach(element => {
+            if (!this.ids.has(element.id)) this.ids.set(element.id, element);
+        });
+        this.viewport = getSvgViewport(root);
+        
+        this.paintElement(root, null, 1, 1);
+        
+        return {
+            paints: this.paints,
+            gradients: Array.from(this.gradients.values()).filter(Boolean)
+        };
+    }
+
+    /**
+     * Read the declarations of the <style> elements that can style SVG paint
+     * @param {Document} doc - Parsed SVG
+     * @returns {Array} Rules {selector, specificity, order, property, value}, one per selector of a list
+     */
+    readStyleRules(doc) {
+        const css = Array.from(doc.getElementsByTagName('style'), style => style.textContent).join('\n');
+        const rules = [];
+        
+        parseCssDeclarations(css).forEach((declaration, order) => {
+            // Rules in @media and similar blocks depend on conditions that cannot be checked here
+            if (!SVG_STYLE_PROPERTIES.includes(declaration.property) || declaration.selector.startsWith('@')) return;
+            
+            splitCssList(declaration.selector, ',').forEach(selector => {
+                rules.push({
+                    selector,
+                    specificity: getSelectorSpecificity(selector),
+                    order,
+                    property: declaration.property,
+                    value: declaration.value
+                });
+            });
+        });
+        return rules;
+    }
+
+    /**
+     * Compute the styling properties of an element: presentation attributes,
+     * then <style> rules by specificity, then the style attribute
+     * @param {Element} element - SVG element
+     * @param {object|null} parentStyle - Computed style of the parent, null for the root
+     * @returns {object} Property -> value
+     */
+    computeStyle(element, parentStyle) {
+        const declared = [];
+        SVG_STYLE_PROPERTIES.forEach(property => {
+            if (element.hasAttribute(property)) {
+                declared.push({ property, value: element.getAttribute(property), specificity: -1, order: 0 });
+            }
+        });
+        this.rules.forEach(rule => {
+            if (matchesSelector(element, rule.selector)) declared.push(rule);
+        });
+        const inline = element.getAttribute('style');
+        if (inline) {
+            parseCssDeclarations(`* { ${inline} }`).forEach((declaration, order) => {
+                declared.push({ ...declaration, specificity: Infinity, order });
+            });
+        }
+        declared.sort((a, b) => a.specificity === b.specificity ? a.order - b.order : a.specificity - b.specificity);
+        
+        const style = {};
+        SVG_STYLE_PROPERTIES.forEach(property => {
+            style[property] = parentStyle && SVG_INHERITED_PROPERTIES.has(property)
+                ? parentStyle[property]
+                : SVG_INITIAL_STYLE[property];
+        });
+        declared.forEach(({ property, value }) => {
+            if (!(property in style)) return;
+            
+            const keyword = value.trim().toLowerCase();
+            if (keyword === 'inherit') {
+                style[property] = parentStyle ? parentStyle[property] : SVG_INITIAL_STYLE[property];
+            } else if (keyword === 'initial') {
+                style[property] = SVG_INITIAL_STYLE[property];
+            } else {
+                style[property] = value.trim();
+            }
+        });
+        
+        // currentColor in the color property itself means the inherited color
+        if (style.color.toLowerCase() === 'currentcolor') {
+            style.color = parentStyle ? parentStyle.color : SVG_INITIAL_STYLE.color;
+        }
+        return style;
+    }
+
+    /**
+     * Style of an element painted through a reference (gradient stops, filter
+     * primitives), which inherits from its own ancestors
+     * @param {Element} element - SVG element
+     * @returns {object} Computed style
+     */
+    getResourceStyle(element) {
+        if (!this.resourceStyles.has(element)) {
+            const parent = element.parentElement;
+            this.resourceStyles.set(element, this.computeStyle(element, parent ? this.getResourceStyle(parent) : null));
+        }
+        return this.resourceStyles.get(element);
+    }
+
+    /**
+     * Record the paint of an element and its descendants
+     * @param {Element} element - SVG element
+     * @param {object|null} parentStyle - Computed style of the parent (or of the <use> that references it)
+     * @param {number} opacity - Combined group opacity of the ancestors
+     * @param {number} scale - Area scale of the ancestors' transforms
+     * @returns {number} Painted area of the element, used to weigh its filter colors
+     */
+    paintElement(element, parentStyle, opacity, scale) {
+        const name = element.localName;
+        if (SVG_NON_RENDERED_ELEMENTS.has(name)) return 0;
+        
+        const style = this.computeStyle(element, parentStyle);
+        if (style.display.toLowerCase() === 'none') return 0;
+        
+        const groupOpacity = opacity * readSvgOpacity(style.opacity);
+        const areaScale = scale * getSvgTransformScale(element.getAttribute('transform'));
+        let painted = 0;
+        
+        if (SVG_SHAPE_ELEMENTS.has(name) || SVG_TEXT_ELEMENTS.has(name)) {
+            const { area, length } = SVG_TEXT_ELEMENTS.has(name)
+                ? measureSvgText(element, readSvgLength(style['font-size'], 16))
+                : measureSvgShape(element, this.viewport, style['fill-rule'].trim().toLowerCase());
+            const strokeArea = length * readSvgLength(style['stroke-width'], this.viewport.diagonal);
+            
+            if (style.visibility.toLowerCase() === 'visible') {
+                painted += this.addPaint(element, 'fill', style,
+                    area * areaScale * groupOpacity * readSvgOpacity(style['fill-opacity']));
+                painted += this.addPaint(element, 'stroke', style,
+                    strokeArea * areaScale * groupOpacity * readSvgOpacity(style['stroke-opacity']));
+            }
+        }
+        
+        if (name === 'use') {
+            const target = this.ids.get(getSvgReference(element));
+            if (target && !this.activeReferences.has(target)) {
+                this.activeReferences.add(target);
+                if (target.localName === 'symbol') {
+                    // A symbol is painted only through <use>, as a group
+                    const symbolStyle = this.computeStyle(target, style);
+                    Array.from(target.children).forEach(child => {
+                        painted += this.paintElement(child, symbolStyle, groupOpacity, areaScale);
+                    });
+                } else {
+                    painted += this.paintElement(target, style, groupOpacity, areaScale);
+                }
+                this.activeReferences.delete(target);
+            }
+        } else if (!SVG_SHAPE_ELEMENTS.has(name)) {
+            Array.from(element.children).forEach(child => {
+                painted += this.paintElement(child, style, groupOpacity, areaScale);
+            });
+        }
+        
+        this.addFilterPaints(element, style, painted);
+        return painted;
+    }
+
+    /**
+     * Record the fill or stroke of an element: one color, or each stop of a gradient
+     * @param {Element} element - Painted element
+     * @param {string} property - 'fill' or 'stroke'
+     * @param {object} style - Computed style of the element
+     * @param {number} area - Area the paint covers, opacity included
+     * @returns {number} Area recorded, 0 if nothing is painted
+     */
+    addPaint(element, property, style, area) {
+        if (!(area > 0)) return 0;
+        
+        const colors = this.resolvePaint(style[property], style);
+        colors.forEach(({ rgb, share, gradient }) => {
+            this.paints.push({
+                hex: rgbToHex(rgb.r, rgb.g, rgb.b),
+                rgb,
+                area: area * share,
+                property,
+                element: getElementSelector(element),
+                gradient: gradient ? gradient.id : null
+            });
+        });
+        return colors.length ? area : 0;
+    }
+
+    /**
+     * Resolve a fill or stroke value to the colors it paints
+     * @param {string} value - Paint: none, a color, currentColor or url(#id) with an optional fallback
+     * @param {object} style - Computed style of the painted element, for currentColor
+     * @returns {Array} {rgb, share, gradient} with the share of the area each color covers
+     */
+    resolvePaint(value, style) {
+        const text = value.trim();
+        const reference = text.match(/^url\(\s*["']?#([^"')]+)["']?\s*\)\s*(.*)$/i);
+        if (reference) {
+            const gradient = this.readGradient(reference[1]);
+            if (gradient) {
+                // Each stop paints an equal part of the shape, less its transparency
+                return gradient.stops.map(stop => ({
+                    rgb: stop.rgb,
+                    share: stop.opacity / gradient.stops.length,
+                    gradient
+                }));
+            }
+            // Patterns and missing references use the fallback color, if any
+            return reference[2] ? this.resolvePaint(reference[2], style) : [];
+        }
+        
+        const rgb = this.resolveColor(text, style);
+        return rgb ? [{ rgb, share: 1, gradient: null }] : [];
+    }
+
+    /**
+     * Parse a color value, resolving currentColor against the element's color
+     * @param {string} value - Color text
+     * @param {object} style - Computed style of the element
+     * @returns {object|null} RGB color, or null for none, transparent and invalid values
+     */
+    resolveColor(value, style) {
+        const text = value.trim().toLowerCase();
+        if (text === 'none' || text === 'transparent') return null;
+        return this.parseColor(text === 'currentcolor' ? style.color : value.trim());
+    }
+
+    /**
+     * Read a linear or radial gradient and its stops, following href
+     * references for gradients that reuse another's stops
+     * @param {string} id - Gradient element id
+     * @returns {object|null} {id, type, stops: [{offset, hex, rgb, opacity}]}, or null if
+     *                        the id is not a gradient with stops
+     */
+    readGradient(id) {
+        if (this.gradients.has(id)) return this.gradients.get(id);
+        
+        const element = this.ids.get(id);
+        let gradient = null;
+        if (element && (element.localName === 'linearGradient' || element.localName === 'radialGradient')) {
+            let stopsElement = element;
+            const visited = new Set();
+            while (stopsElement && !visited.has(stopsElement) && !stopsElement.getElementsByTagName('stop').length) {
+                visited.add(stopsElement);
+                stopsElement = this.ids.get(getSvgReference(stopsElement));
+            }
+            
+            // Offsets never go back: a stop before the previous one sits on it
+            let lastOffset = 0;
+            const stops = stopsElement ? Array.from(stopsElement.getElementsByTagName('stop')).map(stop => {
+                const style = this.getResourceStyle(stop);
+                const rgb = this.resolveColor(style['stop-color'], style);
+                const offset = Math.max(lastOffset, readSvgOpacity(stop.getAttribute('offset') || '0'));
+                lastOffset = offset;
+                return rgb && {
+                    offset,
+                    hex: rgbToHex(rgb.r, rgb.g, rgb.b),
+                    rgb,
+                    opacity: readSvgOpacity(style['stop-opacity'])
+                };
+            }).filter(Boolean) : [];
+            
+            if (stops.length) {
+                gradient = { id, type: element.localName === 'linearGradient' ? 'linear' : 'radial', stops };
+            }
+        }
+        
+        this.gradients.set(id, gradient);
+        return gradient;
+    }
+
+    /**
+     * Record the flood and lighting colors of the filter an element uses
+     * @param {Element} element - Filtered element
+     * @param {object} style - Computed style of the element
+     * @param {number} area - Painted area of the element and its descendants
+     */
+    addFilterPaints(element, style, area) {
+        const reference = style.filter.match(/^url\(\s*["']?#([^"')]+)["']?\s*\)/i);
+        const filter = reference && this.ids.get(reference[1]);
+        if (!filter || filter.localName !== 'filter' || !(area > 0)) return;
+        
+        Array.from(filter.getElementsByTagName('*')).forEach(primitive => {
+            const properties = SVG_FILTER_COLOR_PROPERTIES[primitive.localName];
+            if (!properties) return;
+            
+            const primitiveStyle = this.getResourceStyle(primitive);
+            const rgb = this.resolveColor(primitiveStyle[properties[0]], primitiveStyle);
+            const opacity = properties[1] ? readSvgOpacity(primitiveStyle[properties[1]]) : 1;
+            if (!rgb || !(opacity > 0)) return;
+            
+            this.paints.push({
+                hex: rgbToHex(rgb.r, rgb.g, rgb.b),
+                rgb,
+                area: area * opacity,
+                property: properties[0],
+                element: getElementSelector(element),
+                gradient: null
+            });
+        });
+    }
+}
+
+/**
+ * Target id of an href or xlink:href attribute
+ * @param {Element} element - <use> or gradient element
+ * @returns {string} Referenced id, or '' if there is none
+ */
+function getSvgReference(element) {
+    const href = element.getAttribute('href') || element.getAttribute('xlink:href') || '';
+    return href.startsWith('#') ? href.slice(1) : '';
+}
+
+/**
+ * Whether an element matches a selector, treating invalid selectors as no match
+ * @param {Element} element - Element
+ * @param {string} selector - Single CSS selector
+ * @returns {boolean} True if it matches
+ */
+function matchesSelector(element, selector) {
+    try {
+        return element.matches(selector);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Specificity of a single selector as one comparable number
+ * (ids, then classes, attributes and pseudo-classes, then types)
+ * @param {string} selector - Single CSS selector
+ * @returns {number} Specificity
+ */
+function getSelectorSpecificity(selector) {
+    const text = selector.replace(/"[^"]*"|'[^']*'/g, '').replace(/\([^)]*\)/g, '');
+    const ids = (text.match(/#[\w-]+/g) || []).length;
+    const classes = (text.match(/\.[\w-]+|\[[^\]]*\]|(?<!:):[\w-]+/g) || []).length;
+    const types = (text.replace(/#[\w-]+|\.[\w-]+|\[[^\]]*\]|:+[\w-]+/g, ' ').match(/[a-z][\w-]*/gi) || []).length +
+        (text.match(/::[\w-]+/g) || []).length;
+    return ids * 10000 + classes * 100 + types;
+}
+
+/**
+ * Size of the root viewport, for percentage lengths
+ * @param {Element} root - <svg> element
+ * @returns {object} {width, height, diagonal} in user units
+ */
+function getSvgViewport(root) {
+    const viewBox = (root.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+    const size = viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0
+        ? { width: viewBox[2], height: viewBox[3] }
+        : {
+            width: readSvgLength(root.getAttribute('width'), SVG_DEFAULT_VIEWPORT.width) || SVG_DEFAULT_VIEWPORT.width,
+            height: readSvgLength(root.getAttribute('height'), SVG_DEFAULT_VIEWPORT.height) || SVG_DEFAULT_VIEWPORT.height
+        };
+    
+    // Lengths that are neither horizontal nor vertical (radii, stroke widths) use the normalized diagonal
+    return { ...size, diagonal: Math.sqrt((size.width * size.width + size.height * size.height) / 2) };
+}
+
+/**
+ * Read a length attribute; percentages are relative to the given reference
+ * @param {string|null} value - Length such as '12', '12px' or '50%'
+ * @param {number} reference - Value of 100%
+ * @returns {number} Length in user units, 0 if missing or invalid
+ */
+function readSvgLength(value, reference) {
+    const number = parseFloat(value);
+    if (!Number.isFinite(number)) return 0;
+    return /%\s*$/.test(value) ? number / 100 * reference : number;
+}
+
+/**
+ * Read an opacity or stop offset: a number or a percentage, clamped to 0-1
+ * @param {string} value - Opacity text
+ * @returns {number} Opacity 0-1 (1 if invalid)
+ */
+function readSvgOpacity(value) {
+    const number = parseFloat(value);
+    if (!Number.isFinite(number)) return 1;
+    return Math.max(0, Math.min(1, /%\s*$/.test(value) ? number / 100 : number));
+}
+
+/**
+ * Factor by which a transform attribute scales areas (the determinant of its matrix)
+ * @param {string|null} transform - Transform list
+ * @returns {number} Area scale, 1 for no transform
+ */
+function getSvgTransformScale(transform) {
+    let scale = 1;
+    const pattern = /(matrix|scale)\s*\(([^)]*)\)/gi;
+    let match;
+    while (transform && (match = pattern.exec(transform))) {
+        const values = match[2].trim().split(/[\s,]+/).map(Number);
+        scale *= match[1].toLowerCase() === 'matrix'
+            ? values[0] * values[3] - values[1] * values[2]
+            : values[0] * (values.length > 1 ? values[1] : values[0]);
+    }
+    // Translations, rotations and skews keep the area
+    return Number.isFinite(scale) ? Math.abs(scale) : 1;
+}
+
+/**
+ * Fill area and outline length of a basic shape or path
+ * @param {Element} element - rect, circle, ellipse, line, polyline, polygon or path
+ * @param {object} viewport - {width, height, diagonal} for percentages
+ * @param {string} fillRule - 'nonzero' or 'evenodd', for paths with several subpaths
+ * @returns {object} {area, length} in user units
+ */
+function measureSvgShape(element, viewport, fillRule = 'nonzero') {
+    const length = (name, reference) => readSvgLength(element.getAttribute(name), reference);
+    
+    switch (element.localName) {
+        case 'rect': {
+            const width = length('width', viewport.width);
+            const height = length('height', viewport.height);
+            return { area: width * height, length: 2 * (width + height) };
+        }
+        case 'circle': {
+            const r = length('r', viewport.diagonal);
+            return { area: Math.PI * r * r, length: 2 * Math.PI * r };
+        }
+        case 'ellipse': {
+            // A missing radius takes the other one
+            const rx = length('rx', viewport.width) || length('ry', viewport.height);
+            const ry = length('ry', viewport.height) || rx;
+            // Ramanujan's approximation of the perimeter
+            return {
+                area: Math.PI * rx * ry,
+                length: Math.PI * (3 * (rx + ry) - Math.sqrt((3 * rx + ry) * (rx + 3 * ry)))
+            };
+        }
+        case 'line':
+            return measureSvgPolyline([
+                [length('x1', viewport.width), length('y1', viewport.height)],
+                [length('x2', viewport.width), length('y2', viewport.height)]
+            ], false);
+        case 'polyline':
+        case 'polygon': {
+            const values = (element.getAttribute('points') || '').trim().split(/[\s,]+/).map(Number);
+            const points = [];
+            for (let i = 0; i + 1 < values.length; i += 2) points.push([values[i], values[i + 1]]);
+            return measureSvgPolyline(points, element.localName === 'polygon');
+        }
+        case 'path': {
+            const subpaths = flattenSvgPath(element.getAttribute('d') || '');
+            return {
+                area: measureSvgPathArea(subpaths, fillRule),
+                length: subpaths.reduce((sum, subpath) => sum + measureSvgPolyline(subpath.points, subpath.closed).length, 0)
+            };
+        }
+        default:
+            return { area: 0, length: 0 };
+    }
+}
+
+/**
+ * Area and outline length of a point list; the fill always closes the shape
+ * @param {Array} points - [x, y] pairs
+ * @param {boolean} closed - Whether the outline returns to the first point
+ * @param {boolean} signed - Keep the sign, which gives the direction the outline winds
+ * @returns {object} {area, length}
+ */
+function measureSvgPolyline(points, closed, signed = false) {
+    let area = 0;
+    let length = 0;
+    for (let i = 0; i < points.length; i++) {
+        const [x1, y1] = points[i];
+        const [x2, y2] = points[(i + 1) % points.length];
+        area += x1 * y2 - x2 * y1;
+        if (i + 1 < points.length || closed) length += Math.hypot(x2 - x1, y2 - y1);
+    }
+    return { area: signed ? area / 2 : Math.abs(area / 2), length };
+}
+
+/**
+ * Filled area of a path's subpaths under its fill rule. Subpaths are taken
+ * to be either nested or apart: separate shapes add up whatever their
+ * winding, and a subpath inside others is a hole only where the rule
+ * leaves it unfilled
+ * @param {Array} subpaths - Subpaths {points, closed} from flattenSvgPath
+ * @param {string} fillRule - 'nonzero' or 'evenodd'
+ * @returns {number} Area in user units
+ */
+function measureSvgPathArea(subpaths, fillRule) {
+    const shapes = subpaths.filter(subpath => subpath.points.length >= 3).map(subpath => {
+        const { area } = measureSvgPolyline(subpath.points, true, true);
+        return { points: subpath.points, area: Math.abs(area), winding: Math.sign(area) };
+    });
+    const isFilled = winding => fillRule === 'evenodd' ? Math.abs(winding) % 2 === 1 : winding !== 0;
+    
+    const total = shapes.reduce((sum, shape) => {
+        // Winding number just outside the subpath, from the larger subpaths around it
+        const outside = shapes.reduce((winding, other) =>
+            other !== shape && other.area > shape.area && isPointInSvgPolygon(shape.points[0], other.points) ? winding + other.winding : winding, 0);
+        return sum + (Number(isFilled(outside + shape.winding)) - Number(isFilled(outside))) * shape.area;
+    }, 0);
+    return Math.max(0, total);
+}
+
+/**
+ * Whether a point lies inside a closed point list (even-odd ray casting)
+ * @param {number[]} point - [x, y]
+ * @param {Array} polygon - [x, y] pairs
+ * @returns {boolean} True if the point is inside
+ */
+function isPointInSvgPolygon([x, y], polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [xi, yi] = polygon[i];
+        const [xj, yj] = polygon[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+}
+
+/**
+ * Estimated glyph area and outline length of a text element's own characters
+ * (those of nested tspans are measured with the tspan)
+ * @param {Element} element - text, tspan or textPath
+ * @param {number} fontSize - Font size in user units
+ * @returns {object} {area, length}
+ */
+function measureSvgText(element, fontSize) {
+    const characters = Array.from(element.childNodes)
+        .filter(node => node.nodeType === Node.TEXT_NODE)
+        .map(node => node.textContent.replace(/\s+/g, ''))
+        .join('').length;
+    const width = characters * fontSize * SVG_GLYPH_WIDTH;
+    return { area: width * fontSize, length: 2 * (width + characters * fontSize) };
+}
+
+/**
+ * Turn path data into point lists, with curves and arcs split into straight segments
+ * @param {string} data - Path data (the d attribute)
+ * @returns {Array} Subpaths {points: [[x, y]], closed}; parsing stops at the first error, as in browsers
+ */
+function flattenSvgPath(data) {
+    const subpaths = [];
+    const commandPattern = /[\s,]*([mlhvcsqtaz])/iy;
+    const numberPattern = /[\s,]*([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)/iy;
+    const flagPattern = /[\s,]*([01])/y;
+    let position = 0;
+    
+    const read = (pattern) => {
+        pattern.lastIndex = position;
+        const match = pattern.exec(data);
+        if (!match) return null;
+        position = pattern.lastIndex;
+        return match[1];
+    };
+    
+    let command = null;
+    let subpath = null;
+    let x = 0;
+    let y = 0;
+    let control = null;
+    
+    const lineTo = (nx, ny) => {
+        if (!subpath) {
+            subpath = { points: [[x, y]], closed: false };
+            subpaths.push(subpath);
+        }
+        subpath.points.push([nx, ny]);
+        x = nx;
+        y = ny;
+    };
+    const curveTo = (pointAt) => {
+        for (let step = 1; step <= SVG_CURVE_SEGMENTS; step++) {
+            lineTo(...pointAt(step / SVG_CURVE_SEGMENTS));
+        }
+    };
+    
+    while (position < data.length) {
+        const letter = read(commandPattern);
+        if (letter) {
+            command = letter;
+        } else if (!command || command.toUpperCase() === 'Z') {
+            break;
+        }
+        
+        const type = command.toUpperCase();
+        const relative = command !== type;
+        const values = [];
+        for (let i = 0; i < SVG_PATH_PARAMETERS[type]; i++) {
+            // Arc flags may be written without separators, e.g. "a1 1 0 01 5 5"
+            const value = read(type === 'A' && (i === 3 || i === 4) ? flagPattern : numberPattern);
+            if (value === null) return subpaths;
+            values.push(Number(value));
+        }
+        const dx = relative ? x : 0;
+        const dy = relative ? y : 0;
+        const previousControl = control;
+        control = null;
+        
+        switch (type) {
+            case 'M':
+                x = values[0] + dx;
+                y = values[1] + dy;
+                subpath = { points: [[x, y]], closed: false };
+                subpaths.push(subpath);
+                // Further coordinate pairs are line commands
+                command = relative ? 'l' : 'L';
+                break;
+            case 'L':
+                lineTo(values[0] + dx, values[1] + dy);
+                break;
+            case 'H':
+                lineTo(values[0] + dx, y);
+                break;
+            case 'V':
+                lineTo(x, values[0] + dy);
+                break;
+            case 'C':
+            case 'S': {
+                const [x0, y0] = [x, y];
+                const [x1, y1] = type === 'C'
+                    ? [values[0] + dx, values[1] + dy]
+                    : previousControl && previousControl.cubic ? [2 * x0 - previousControl.x, 2 * y0 - previousControl.y] : [x0, y0];
+                const rest = type === 'C' ? values.slice(2) : values;
+                const [x2, y2, x3, y3] = [rest[0] + dx, rest[1] + dy, rest[2] + dx, rest[3] + dy];
+                curveTo(t => {
+                    const u = 1 - t;
+                    return [
+                        u * u * u * x0 + 3 * u * u * t * x1 + 3 * u * t * t * x2 + t * t * t * x3,
+                        u * u * u * y0 + 3 * u * u * t * y1 + 3 * u * t * t * y2 + t * t * t * y3
+                    ];
+                });
+                control = { x: x2, y: y2, cubic: true };
+                break;
+            }
+            case 'Q':
+            case 'T': {
+                const [x0, y0] = [x, y];
+                const [x1, y1] = type === 'Q'
+                    ? [values[0] + dx, values[1] + dy]
+                    : previousControl && !previousControl.cubic ? [2 * x0 - previousControl.x, 2 * y0 - previousControl.y] : [x0, y0];
+                const rest = type === 'Q' ? values.slice(2) : values;
+                const [x2, y2] = [rest[0] + dx, rest[1] + dy];
+                curveTo(t => {
+                    const u = 1 - t;
+                    return [u * u * x0 + 2 * u * t * x1 + t * t * x2, u * u * y0 + 2 * u * t * y1 + t * t * y2];
+                });
+                control = { x: x1, y: y1, cubic: false };
+                break;
+            }
+            case 'A': {
+                const points = sampleSvgArc(x, y, values[0], values[1], values[2], values[3], values[4], values[5] + dx, values[6] + dy);
+                points.forEach(point => lineTo(...point));
+                break;
+            }
+            case 'Z':
+                if (subpath) {
+                    subpath.closed = true;
+                    [x, y] = subpath.points[0];
+                }
+                subpath = null;
+                break;
+        }
+    }
+    return subpaths;
+}
+
+/**
+ * Points along an elliptical arc, converted from endpoint to center form
+ * (SVG 1.1 appendix F.6.5)
+ * @param {number} x1 - Start x
+ * @param {number} y1 - Start y
+ * @param {number} rx - X radius
+ * @param {number} ry - Y radius
+ * @param {number} rotation - X axis rotation in degrees
+ * @param {number} largeArc - Large arc flag, 0 or 1
+ * @param {number} sweep - Sweep flag, 0 or 1
+ * @param {number} x2 - End x
+ * @param {number} y2 - End y
+ * @returns {Array} [x, y] points after the start, ending at the end point
+ */
+function sampleSvgArc(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (rx === 0 || ry === 0 || (x1 === x2 && y1 === y2)) return [[x2, y2]];
+    
+    const phi = rotation * Math.PI / 180;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    const dx = (x1 - x2) / 2;
+    const dy = (y1 - y2) / 2;
+    const x1p = cos * dx + sin * dy;
+    const y1p = -sin * dx + cos * dy;
+    
+    // Radii too small to reach the end point are scaled up
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+    
+    const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    const coefficient = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+    const cxp = coefficient * rx * y1p / ry;
+    const cyp = -coefficient * ry * x1p / rx;
+    const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+    const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+    
+    const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const start = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+    let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+    if (!sweep && delta > 0) delta -= 2 * Math.PI;
+    if (sweep && delta < 0) delta += 2 * Math.PI;
+    
+    const points = [];
+    for (let step = 1; step <= SVG_CURVE_SEGMENTS; step++) {
+        const theta = start + delta * step / SVG_CURVE_SEGMENTS;
+        points.push([
+            cx + rx * Math.cos(theta) * cos - ry * Math.sin(theta) * sin,
+            cy + rx * Math.cos(theta) * sin + ry * Math.sin(theta) * cos
+        ]);
+    }
+    points[points.length - 1] = [x2, y2];
+    return points;
+}
@@ -3,6 +3,9 @@
  * Contains helper functions for color manipulation and conversion
  */
 
+// Namespace for values kept in localStorage
+const SETTINGS_STORAGE_PREFIX = 'colortrace.';
+
 /**
  * Convert RGB to HEX color format
  * @param {number} r - Red value (0-255)
@@ -58,16 +61,12 @@ function getLuminance(r, g, b) {
  * Check if two colors are similar within a threshold
  * @param {object} color1 - First color {r, g, b}
  * @param {object} color2 - Second color {r, g, b}
- * @param {number} threshold - Similarity threshold (0-441.67)
+ * @param {number} threshold - Perceptual tolerance in ΔE units (1 ≈ just noticeable)
+ * @param {string} metric - Distance metric (see COLOR_DISTANCE_METRICS)
  * @returns {boolean} True if colors are similar
  */
-function areColorsSimilar(color1, color2, threshold = 30) {
-    const distance = Math.sqrt(
-        Math.pow(color1.r - color2.r, 2) +
-        Math.pow(color1.g - color2.g, 2) +
-        Math.pow(color1.b - color2.b, 2)
-    );
-    return distance < threshold;
+function areColorsSimilar(color1, color2, threshold = DEFAULT_SIMILARITY_THRESHOLD, metric = DEFAULT_DISTANCE_METRIC) {
+    return colorDistance(color1, color2, metric) < threshold;
 }
 
 /**
@@ -98,9 +97,24 @@ function showToast(message, duration = 3000) {
 
 /**
  * Show loading overlay
+ * @param {Function|null} onCancel - Shows a Cancel button that calls this
  */
-function showLoading() {
+function showLoading(onCancel = null) {
     document.getElementById('loadingOverlay').classList.add('show');
+    setLoadingProgress(null);
+    
+    const cancelButton = document.getElementById('cancelLoading');
+    cancelButton.hidden = !onCancel;
+    cancelButton.onclick = onCancel;
+}
+
+/**
+ * Show progress in the loading overlay
+ * @param {number|null} progress - Fraction done (0-1), or null to hide
+ */
+function setLoadingProgress(progress) {
+    document.getElementById('loadingProgress').textContent =
+        progress === null ? '' : `${Math.round(progress * 100)}%`;
 }
 
 /**
@@ -110,6 +124,20 @@ function hideLoading() {
     document.getElementById('loadingOverlay').classList.remove('show');
 }
 
+/**
+ * Add options to a select
+ * @param {HTMLSelectElement} select - Select element
+ * @param {Array} options - [value, label] pairs
+ */
+function fillSelect(select, options) {
+    options.forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+}
+
 /**
  * Debounce function to limit function calls
  * @param {Function} func - Function to debounce
@@ -170,30 +198,14 @@ async function copyToClipboard(text) {
 }
 
 /**
- * Get color name approximation (basic implementation)
+ * Get the name of the closest named color
  * @param {string} hex - HEX color code
- * @returns {string} Approximate color name
+ * @param {string} source - Name dataset (see COLOR_NAME_SOURCES) or 'all'
+ * @returns {string} Color name
  */
-function getColorName(hex) {
-    const rgb = hexToRgb(hex);
-    const { r, g, b } = rgb;
-    
-    // Basic color naming logic
-    if (r > 200 && g < 100 && b < 100) return 'Red';
-    if (r < 100 && g > 200 && b < 100) return 'Green';
-    if (r < 100 && g < 100 && b > 200) return 'Blue';
-    if (r > 200 && g > 200 && b < 100) return 'Yellow';
-    if (r > 200 && g < 100 && b > 200) return 'Magenta';
-    if (r < 100 && g > 200 && b > 200) return 'Cyan';
-    if (r > 200 && g > 200 && b > 200) return 'White';
-    if (r < 55 && g < 55 && b < 55) return 'Black';
-    if (Math.abs(r - g) < 30 && Math.abs(g - b) < 30) return 'Gray';
-    if (r > 150 && g > 100 && b < 100) return 'Orange';
-    if (r > 100 && g < 100 && b > 150) return 'Purple';
-    if (r > 150 && g > 150 && b > 100) return 'Beige';
-    if (r < 100 && g > 100 && b > 100) return 'Teal';
-    
-    return 'Mixed';
+function getColorName(hex, source = DEFAULT_COLOR_NAME_SOURCE) {
+    const match = findColorName(hexToRgb(hex), source);
+    return match ? match.name : hex;
 }
 
 /**
@@ -253,3 +265,127 @@ function isValidUrl(url) {
 function sanitizeFilename(filename) {
     return filename.replace(/[^a-z0-9_\-\.]/gi, '_').toLowerCase();
 }
+
+/**
+ * Save a blob as a file download
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Escape text for insertion into HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Whether a value is an array of strings
+ * @param {*} value - Value to check
+ * @returns {boolean} True for an array of strings
+ */
+function isStringList(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * Read CMYK values from an imported file
+ * @param {*} value - Expected {c, m, y, k} in 0-100
+ * @returns {object|null} {c, m, y, k}, or null unless all four are finite numbers
+ */
+function readCmyk(value) {
+    if (!value || !['c', 'm', 'y', 'k'].every(key => Number.isFinite(value[key]))) return null;
+    const { c, m, y, k } = value;
+    return { c, m, y, k };
+}
+
+/**
+ * Read settings saved in localStorage
+ * @param {string} key - Settings name
+ * @param {object} defaults - Values for anything not saved
+ * @returns {object} Saved settings merged over the defaults
+ */
+function loadSettings(key, defaults) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(`${SETTINGS_STORAGE_PREFIX}${key}`));
+        return saved && typeof saved === 'object' ? { ...defaults, ...saved } : { ...defaults };
+    } catch (error) {
+        // Storage can be disabled, full or hold invalid JSON
+        return { ...defaults };
+    }
+}
+
+/**
+ * Save settings to localStorage
+ * @param {string} key - Settings name
+ * @param {object} settings - Values to save
+ */
+function saveSettings(key, settings) {
+    try {
+        localStorage.setItem(`${SETTINGS_STORAGE_PREFIX}${key}`, JSON.stringify(settings));
+    } catch (error) {
+        console.warn('Could not save settings:', error);
+    }
+}
+
+/**
+ * Concatenate byte chunks into a single array
+ * @param {Uint8Array[]} chunks - Byte chunks
+ * @returns {Uint8Array} Combined bytes
+ */
+function concatBytes(chunks) {
+    const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const result = new Uint8Array(total);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        result.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return result;
+}
+
+/**
+ * Decompress deflate data using the browser's DecompressionStream
+ * @param {Uint8Array} data - Compressed bytes
+ * @param {string} format - 'deflate' (zlib wrapper) or 'deflate-raw'
+ * @returns {Promise<Uint8Array>} Decompressed bytes
+ */
+async function inflateBytes(data, format = 'deflate') {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot decompress files (DecompressionStream missing)');
+    }
+    
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream(format));
+    const reader = stream.getReader();
+    const chunks = [];
+    
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+        }
+    } catch (error) {
+        // Truncated or padded streams are common in real files; keep what was decoded
+        if (chunks.length === 0) throw error;
+    }
+    
+    return concatBytes(chunks);
+}
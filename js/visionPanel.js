@@ -0,0 +1,171 @@
+/**
+ * Vision Panel
+ * Shows the color grid and the image preview as seen with a color vision
+ * deficiency, and reports palette pairs each deficiency makes hard to tell apart
+ */
+
+const VISION_SETTINGS_KEY = 'visionSettings';
+const NORMAL_VISION = 'normal';
+
+// The simulated deficiency is not saved, so the app always opens with true colors
+let visionType = NORMAL_VISION;
+let visionSettings = { severity: DEFAULT_ANOMALY_SEVERITY };
+
+// DOM Elements
+const visionModeSelect = document.getElementById('visionMode');
+const visionSeverityField = document.getElementById('visionSeverityField');
+const visionSeverityInput = document.getElementById('visionSeverity');
+const visionSeverityValue = document.getElementById('visionSeverityValue');
+const stageVision = document.getElementById('stageVision');
+const visionPanel = document.getElementById('visionPanel');
+const visionReport = document.getElementById('visionReport');
+
+/**
+ * Setup the simulation controls and restore the saved severity
+ */
+function setupVisionPanel() {
+    fillSelect(visionModeSelect, [
+        [NORMAL_VISION, 'Normal vision'],
+        ...Object.entries(COLOR_VISION_TYPES).map(([key, type]) => [key, `${type.label} (${type.description})`])
+    ]);
+    
+    visionSettings = loadSettings(VISION_SETTINGS_KEY, visionSettings);
+    visionSeverityInput.value = Math.round(visionSettings.severity * 100);
+    updateVisionControls();
+    
+    visionModeSelect.addEventListener('change', () => {
+        visionType = visionModeSelect.value;
+        updateVisionControls();
+        applyVisionToColorGrid();
+        renderVisionPreview();
+    });
+    
+    // The grid follows the slider while dragging; the preview and report are redrawn on release
+    visionSeverityInput.addEventListener('input', () => {
+        visionSettings.severity = Number(visionSeverityInput.value) / 100;
+        updateVisionControls();
+        applyVisionToColorGrid();
+    });
+    visionSeverityInput.addEventListener('change', () => {
+        saveSettings(VISION_SETTINGS_KEY, visionSettings);
+        renderVisionPreview();
+        renderVisionReport();
+    });
+    
+    // Confusions are judged with the matching tolerance
+    matchToleranceInput.addEventListener('change', renderVisionReport);
+}
+
+/**
+ * Show the severity slider for anomalous trichromacies only
+ */
+function updateVisionControls() {
+    const type = COLOR_VISION_TYPES[visionType];
+    visionSeverityField.hidden = !type || !type.anomalous;
+    visionSeverityValue.textContent = visionSeverityInput.value;
+}
+
+/**
+ * Simulate the active deficiency on a color
+ * @param {object} rgb - RGB color {r, g, b}
+ * @returns {string} HEX color as seen with the active deficiency
+ */
+function getVisionHex(rgb) {
+    const { r, g, b } = visionType === NORMAL_VISION ? rgb : simulateColorVision(rgb, visionType, visionSettings.severity);
+    return rgbToHex(r, g, b);
+}
+
+/**
+ * Recolor the card swatches with the active deficiency; card values keep the true colors
+ */
+function applyVisionToColorGrid() {
+    const label = COLOR_VISION_TYPES[visionType] ? COLOR_VISION_TYPES[visionType].label : null;
+    colorGrid.querySelectorAll('.color-preview[data-hex]').forEach(preview => {
+        const hex = getVisionHex(hexToRgb(preview.dataset.hex));
+        preview.style.backgroundColor = hex;
+        preview.title = label ? `${preview.dataset.hex} as seen with ${label.toLowerCase()}: ${hex}` : '';
+    });
+}
+
+/**
+ * Refresh the grid swatches and the report for a new palette
+ * @param {Array} colors - Palette colors
+ */
+function updateVisionPanel(colors) {
+    applyVisionToColorGrid();
+    
+    if (colors.length < 2) {
+        visionPanel.style.display = 'none';
+        return;
+    }
+    visionPanel.style.display = 'block';
+    renderVisionReport();
+}
+
+/**
+ * Draw the preview image (with any location or posterize view on top) as
+ * seen with the active deficiency
+ */
+function renderVisionPreview() {
+    const width = stageImage.clientWidth;
+    const height = stageImage.clientHeight;
+    stageVision.hidden = visionType === NORMAL_VISION || !stageImage.getAttribute('src');
+    if (stageVision.hidden || !width) return;
+    
+    stageVision.width = width;
+    stageVision.height = height;
+    const ctx = stageVision.getContext('2d');
+    if (!ctx) return;
+    
+    ctx.drawImage(stageImage, 0, 0, width, height);
+    if (!stageView.hidden) ctx.drawImage(stageView, 0, 0);
+    
+    const image = ctx.getImageData(0, 0, width, height);
+    simulateImageColorVision(image, visionType, visionSettings.severity);
+    ctx.putImageData(image, 0, 0);
+}
+
+/**
+ * Small swatch pair for the report
+ * @param {object} a - First RGB color
+ * @param {object} b - Second RGB color
+ * @returns {string} HTML
+ */
+function createVisionSwatches(a, b) {
+    return [a, b].map(rgb => {
+        const hex = rgbToHex(rgb.r, rgb.g, rgb.b);
+        return `<span class="region-swatch" style="background-color: ${hex};" title="${hex}"></span>`;
+    }).join('');
+}
+
+/**
+ * List, for every deficiency, the palette pairs it makes indistinguishable
+ */
+function renderVisionReport() {
+    if (currentColors.length < 2) return;
+    
+    const { similarityThreshold, distanceMetric } = colorExtractor;
+    
+    visionReport.innerHTML = Object.entries(COLOR_VISION_TYPES).map(([key, type]) => {
+        const pairs = findColorVisionConfusions(currentColors, key, visionSettings.severity, similarityThreshold, distanceMetric);
+        const severity = type.anomalous ? ` at ${Math.round(visionSettings.severity * 100)}%` : '';
+        const rows = pairs.map(pair => `
+                <li class="vision-pair">
+                    <span class="region-swatches">${createVisionSwatches(pair.first.rgb, pair.second.rgb)}</span>
+                    <code>${pair.first.hex}</code> / <code>${pair.second.hex}</code>
+                    <span class="vision-arrow" aria-hidden="true">→</span>
+                    <span class="region-swatches">${createVisionSwatches(...pair.simulated)}</span>
+                    <span class="vision-distance">ΔE ${pair.originalDistance.toFixed(1)} → ${pair.distance.toFixed(1)}</span>
+                </li>`).join('');
+        
+        return `
+        <details class="vision-deficiency">
+            <summary>
+                <strong>${type.label}</strong>${severity}
+                <span class="vision-count ${pairs.length ? 'fail' : 'pass'}">${pairs.length ? `${pairs.length} pair${pairs.length !== 1 ? 's' : ''} indistinguishable` : 'All pairs distinguishable'}</span>
+            </summary>
+            ${pairs.length ? `<ul class="vision-pairs">${rows}
+            </ul>` : ''}
+        </details>`;
+    }).join('');
+}
@@ -0,0 +1,225 @@
+/**
+ * ZIP Archive Module
+ * Reads ZIP containers (Office Open XML documents and similar)
+ * using the browser's built-in DecompressionStream, and writes
+ * uncompressed archives (Procreate swatches and similar)
+ */
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+
+// CRC-32 (IEEE 802.3) lookup table
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Compute the CRC-32 checksum of a byte array
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned checksum
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+class ZipReader {
+    /**
+     * @param {ArrayBuffer} buffer - ZIP file contents
+     */
+    constructor(buffer) {
+        this.bytes = new Uint8Array(buffer);
+        this.view = new DataView(buffer);
+        this.entries = new Map();
+        this.readDirectory();
+    }
+
+    /**
+     * Parse the central directory
+     */
+    readDirectory() {
+        const view = this.view;
+        
+        // End of central directory record sits in the last 64KB (+22 byte record)
+        let eocd = -1;
+        for (let i = this.bytes.length - 22; i >= Math.max(0, this.bytes.length - 65557); i--) {
+            if (view.getUint32(i, true) === ZIP_END_OF_DIRECTORY) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd === -1) {
+            throw new Error('File is not a valid ZIP archive');
+        }
+        
+        const count = view.getUint16(eocd + 10, true);
+        let offset = view.getUint32(eocd + 16, true);
+        if (offset === 0xFFFFFFFF || count === 0xFFFF) {
+            throw new Error('ZIP64 archives are not supported');
+        }
+        
+        const decoder = new TextDecoder();
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(offset, true) !== ZIP_CENTRAL_HEADER) break;
+            
+            const flags = view.getUint16(offset + 8, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const name = decoder.decode(this.bytes.subarray(offset + 46, offset + 46 + nameLength));
+            
+            this.entries.set(name, {
+                name,
+                encrypted: (flags & 1) === 1,
+                method: view.getUint16(offset + 10, true),
+                compressedSize: view.getUint32(offset + 20, true),
+                size: view.getUint32(offset + 24, true),
+                headerOffset: view.getUint32(offset + 42, true)
+            });
+            
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+    }
+
+    /**
+     * Get all entry names
+     * @returns {string[]} Entry paths
+     */
+    getNames() {
+        return Array.from(this.entries.keys());
+    }
+
+    /**
+     * Check whether an entry exists
+     * @param {string} name - Entry path
+     * @returns {boolean} True if present
+     */
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    /**
+     * Read and decompress an entry
+     * @param {string} name - Entry path
+     * @returns {Promise<Uint8Array>} Entry contents
+     */
+    async read(name) {
+        const entry = this.entries.get(name);
+        if (!entry) {
+            throw new Error(`Missing archive entry: ${name}`);
+        }
+        if (entry.encrypted) {
+            throw new Error('Password-protected archives are not supported');
+        }
+        
+        const offset = entry.headerOffset;
+        if (this.view.getUint32(offset, true) !== ZIP_LOCAL_HEADER) {
+            throw new Error(`Corrupt archive entry: ${name}`);
+        }
+        
+        // Local header lengths can differ from the central directory copy
+        const start = offset + 30 + this.view.getUint16(offset + 26, true) + this.view.getUint16(offset + 28, true);
+        const data = this.bytes.subarray(start, start + entry.compressedSize);
+        
+        if (entry.method === 0) return data;
+        if (entry.method === 8) return inflateBytes(data, 'deflate-raw');
+        
+        throw new Error(`Unsupported compression method ${entry.method} for ${name}`);
+    }
+
+    /**
+     * Read an entry as UTF-8 text
+     * @param {string} name - Entry path
+     * @returns {Promise<string>} Entry text
+     */
+    async readText(name) {
+        return new TextDecoder().decode(await this.read(name));
+    }
+}
+
+class ZipWriter {
+    constructor() {
+        this.files = [];
+    }
+
+    /**
+     * Add a file to the archive (stored without compression)
+     * @param {string} name - Entry path
+     * @param {string|Uint8Array} data - File contents; strings are written as UTF-8
+     */
+    addFile(name, data) {
+        const encoder = new TextEncoder();
+        const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+        this.files.push({ name: encoder.encode(name), bytes, crc: crc32(bytes) });
+    }
+
+    /**
+     * Build the archive
+     * @returns {Uint8Array} ZIP file bytes
+     */
+    toBytes() {
+        const chunks = [];
+        const central = [];
+        let offset = 0;
+        
+        // DOS date/time of the export
+        const now = new Date();
+        const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+        
+        this.files.forEach(file => {
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, ZIP_LOCAL_HEADER, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(8, 0, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, file.crc, true);
+            local.setUint32(18, file.bytes.length, true);
+            local.setUint32(22, file.bytes.length, true);
+            local.setUint16(26, file.name.length, true);
+            local.setUint16(28, 0, true);
+            chunks.push(new Uint8Array(local.buffer), file.name, file.bytes);
+            
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, ZIP_CENTRAL_HEADER, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, time, true);
+            entry.setUint16(14, date, true);
+            entry.setUint32(16, file.crc, true);
+            entry.setUint32(20, file.bytes.length, true);
+            entry.setUint32(24, file.bytes.length, true);
+            entry.setUint16(28, file.name.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(new Uint8Array(entry.buffer), file.name);
+            
+            offset += 30 + file.name.length + file.bytes.length;
+        });
+        
+        const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, ZIP_END_OF_DIRECTORY, true);
+        end.setUint16(8, this.files.length, true);
+        end.setUint16(10, this.files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+        
+        return concatBytes([...chunks, ...central, new Uint8Array(end.buffer)]);
+    }
+}
@@ -0,0 +1,493 @@
+/**
+ * ColorTrace Page Proxy
+ * Small local server that fetches a web page and its stylesheets for the
+ * URL Extractor, which cannot read other sites from the browser (CORS).
+ *
+ * Usage: node server/proxy.js [port] [--host <address>] [--origin <origin>]... [--allow-private]
+ *   port            default 8787, or $PORT
+ *   --host          address to listen on; default 127.0.0.1, so only this machine can connect
+ *   --origin        another origin the app is served from; pages served from
+ *                   localhost, 127.0.0.1 or [::1] are always allowed
+ *   --allow-private also fetch loopback, private and link-local addresses
+ *
+ * GET /fetch?url=<page URL> responds with JSON:
+ *   { url, finalUrl, title, stylesheets: [{ type, url, text }], errors: [{ url, message }] }
+ * Stylesheets are listed in document order: linked sheets ('link') with their
+ * @imports ('import') before them, <style> blocks ('style') and the page's
+ * style attributes as one sheet of rules ('attribute').
+ *
+ * Browsers may only call the proxy from the allowed origins. Pages opened
+ * from file:// send the origin 'null', which sandboxed frames on any website
+ * send too, so it is only accepted when passed with --origin. Hosts that
+ * resolve to loopback, private or link-local addresses are refused unless
+ * allowPrivateHosts is set; the check runs in the connection's own DNS
+ * lookup, for every redirect, so a name cannot resolve to a public address
+ * for the check and a private one for the request.
+ */
+
+'use strict';
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { parseArgs } = require('util');
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_HOST = '127.0.0.1';
+
+// Host names of origins that are always allowed: the app served from this machine
+const LOOPBACK_HOSTNAMES = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+// Limits per request, so one page cannot tie up the proxy
+const MAX_RESOURCE_BYTES = 2 * 1024 * 1024;
+const MAX_STYLESHEETS = 50;
+const MAX_IMPORT_DEPTH = 4;
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_REDIRECTS = 5;
+
+// Addresses that are not on the public internet
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Error with the HTTP status the proxy should respond with
+ */
+class ProxyError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'ProxyError';
+        this.status = status;
+    }
+}
+
+/**
+ * Create the proxy server (call listen() to start it)
+ * @param {object} options - { timeout, maxBytes } overrides for the fetch limits,
+ *                           allowedOrigins besides the loopback ones and
+ *                           allowPrivateHosts (default false)
+ * @returns {http.Server} Server
+ */
+function createProxyServer(options = {}) {
+    const allowedOrigins = new Set(options.allowedOrigins || []);
+    
+    return http.createServer(async (req, res) => {
+        // Requests without an Origin come from tools such as curl rather than from a web page
+        const origin = req.headers.origin;
+        res.setHeader('Vary', 'Origin');
+        if (origin !== undefined && !allowedOrigins.has(origin) && !isLoopbackOrigin(origin)) {
+            sendJson(res, 403, { error: `Origin not allowed: ${origin}` });
+            return;
+        }
+        if (origin !== undefined) {
+            res.setHeader('Access-Control-Allow-Origin', origin);
+            res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+        }
+        
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+        
+        const requestUrl = new URL(req.url, 'http://localhost');
+        if (req.method !== 'GET' || requestUrl.pathname !== '/fetch') {
+            sendJson(res, 404, { error: 'Not found. Use GET /fetch?url=<page URL>' });
+            return;
+        }
+        
+        try {
+            const target = parseTargetUrl(requestUrl.searchParams.get('url'));
+            sendJson(res, 200, await fetchPage(target, options));
+        } catch (error) {
+            sendJson(res, error.status || 502, { error: error.message });
+        }
+    });
+}
+
+/**
+ * Whether an origin is a page served over http(s) from this machine
+ * @param {string} origin - Origin header
+ * @returns {boolean} True for localhost, 127.0.0.1 and [::1] origins
+ */
+function isLoopbackOrigin(origin) {
+    try {
+        const url = new URL(origin);
+        return (url.protocol === 'http:' || url.protocol === 'https:') && LOOPBACK_HOSTNAMES.has(url.hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {object} body - Response body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Validate the page URL from the query string
+ * @param {string|null} value - URL parameter
+ * @returns {URL} Parsed URL
+ */
+function parseTargetUrl(value) {
+    if (!value) throw new ProxyError('Missing url parameter', 400);
+    
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        throw new ProxyError(`Invalid URL: ${value}`, 400);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new ProxyError(`Unsupported protocol: ${url.protocol} (only http and https are fetched)`, 400);
+    }
+    return url;
+}
+
+/**
+ * Fetch a page and every stylesheet it uses
+ * @param {URL} url - Page URL
+ * @param {object} options - { timeout, maxBytes }
+ * @returns {Promise<object>} Page report (see the header comment)
+ */
+async function fetchPage(url, options = {}) {
+    const page = await fetchText(url.href, options);
+    const html = page.text;
+    const baseUrl = findBaseUrl(html, page.url);
+    
+    const stylesheets = [];
+    const errors = [];
+    const seen = new Set();
+    
+    // Linked sheets are fetched with their @imports, which apply first
+    const addSheet = async (sheetUrl, type, depth) => {
+        if (seen.has(sheetUrl) || stylesheets.length >= MAX_STYLESHEETS) return;
+        seen.add(sheetUrl);
+        
+        let text;
+        try {
+            text = (await fetchText(sheetUrl, options)).text;
+        } catch (error) {
+            errors.push({ url: sheetUrl, message: error.message });
+            return;
+        }
+        if (depth < MAX_IMPORT_DEPTH) {
+            for (const imported of findImports(text, sheetUrl)) {
+                await addSheet(imported, 'import', depth + 1);
+            }
+        }
+        stylesheets.push({ type, url: sheetUrl, text });
+    };
+    
+    for (const source of findStyleSources(html, baseUrl)) {
+        if (source.type === 'link') {
+            await addSheet(source.url, 'link', 0);
+        } else {
+            for (const imported of findImports(source.text, baseUrl)) {
+                await addSheet(imported, 'import', 1);
+            }
+            stylesheets.push({ type: 'style', url: page.url, text: source.text });
+        }
+    }
+    
+    const attributeRules = findStyleAttributes(html);
+    if (attributeRules) {
+        stylesheets.push({ type: 'attribute', url: page.url, text: attributeRules });
+    }
+    
+    const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    return {
+        url: url.href,
+        finalUrl: page.url,
+        title: title ? decodeEntities(title[1].trim()) : '',
+        stylesheets,
+        errors
+    };
+}
+
+/**
+ * Whether a resolved address is loopback, private or link-local
+ * @param {object} entry - {address, family} as returned by dns.lookup
+ * @returns {boolean} True if the address is not on the public internet
+ */
+function isPrivateAddress({ address, family }) {
+    return PRIVATE_ADDRESSES.check(address, family === 6 || family === 'IPv6' ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * DNS lookup for outgoing connections that fails for private addresses, so
+ * the socket connects to exactly the address that was checked
+ * @param {string} hostname - Host name
+ * @param {object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+function lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            callback(error);
+            return;
+        }
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        const blocked = addresses.find(isPrivateAddress);
+        if (blocked) {
+            callback(new ProxyError(`Refusing to fetch from ${hostname}: it is a local or private address (${blocked.address})`, 403));
+            return;
+        }
+        callback(null, address, family);
+    });
+}
+
+/**
+ * Refuse URLs that are not http(s) or name a private address literally
+ * (connections to IP addresses skip the DNS lookup)
+ * @param {URL} url - URL about to be fetched
+ * @param {object} options - { allowPrivateHosts }
+ */
+function checkTargetUrl(url, options = {}) {
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new ProxyError(`Unsupported protocol: ${url.protocol} (only http and https are fetched)`, 400);
+    }
+    
+    // IPv6 hosts keep their brackets in URLs
+    const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1');
+    const family = net.isIP(hostname);
+    if (!options.allowPrivateHosts && family && isPrivateAddress({ address: hostname, family })) {
+        throw new ProxyError(`Refusing to fetch ${url.href}: ${hostname} is a local or private address`, 403);
+    }
+}
+
+/**
+ * Send a GET request and wait for the response headers
+ * @param {URL} url - Resource URL
+ * @param {object} options - { allowPrivateHosts }
+ * @param {AbortSignal} signal - Aborts the request
+ * @returns {Promise<http.IncomingMessage>} Response with an unread body
+ */
+function requestResource(url, options, signal) {
+    const client = url.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+        const request = client.get(url, {
+            signal,
+            // No pooled sockets: a connection is only reused after its own lookup was checked
+            agent: false,
+            headers: { 'User-Agent': 'ColorTrace page proxy' },
+            ...(!options.allowPrivateHosts && { lookup: lookupPublicAddress })
+        }, resolve);
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Read a response body, stopping as soon as it passes the size limit
+ * @param {http.IncomingMessage} response - Response
+ * @param {number} maxBytes - Size limit
+ * @param {string} url - Resource URL, for the error message
+ * @returns {Promise<Buffer>} Body
+ */
+async function readBody(response, maxBytes, url) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response) {
+        size += chunk.length;
+        if (size > maxBytes) {
+            response.destroy();
+            throw new ProxyError(`${url} is larger than ${maxBytes} bytes`, 502);
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Fetch a resource as text, with a timeout and a size limit; every redirect
+ * target is checked like the first URL
+ * @param {string} url - Resource URL
+ * @param {object} options - { timeout, maxBytes, allowPrivateHosts }
+ * @returns {Promise<object>} {url, text}, with the URL after redirects
+ */
+async function fetchText(url, options = {}) {
+    const maxBytes = options.maxBytes || MAX_RESOURCE_BYTES;
+    const signal = AbortSignal.timeout(options.timeout || FETCH_TIMEOUT_MS);
+    
+    try {
+        for (let redirects = 0; ; redirects++) {
+            const target = new URL(url);
+            checkTargetUrl(target, options);
+            const response = await requestResource(target, options, signal);
+            const { statusCode, headers } = response;
+            
+            if (statusCode >= 300 && statusCode < 400 && headers.location) {
+                response.destroy();
+                if (redirects >= MAX_REDIRECTS) {
+                    throw new ProxyError(`Could not fetch ${url}: too many redirects`, 502);
+                }
+                url = new URL(headers.location, url).href;
+                continue;
+            }
+            if (statusCode < 200 || statusCode >= 300) {
+                response.destroy();
+                throw new ProxyError(`Could not fetch ${url}: HTTP ${statusCode}`, 502);
+            }
+            if (Number(headers['content-length']) > maxBytes) {
+                response.destroy();
+                throw new ProxyError(`${url} is larger than ${maxBytes} bytes`, 502);
+            }
+            
+            return { url, text: new TextDecoder().decode(await readBody(response, maxBytes, url)) };
+        }
+    } catch (error) {
+        if (error instanceof ProxyError) throw error;
+        const reason = signal.aborted ? 'timed out' : error.code || error.message;
+        throw new ProxyError(`Could not fetch ${url}: ${reason}`, 502);
+    }
+}
+
+/**
+ * Base URL for relative links, honoring <base href>
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - Page URL
+ * @returns {string} Base URL
+ */
+function findBaseUrl(html, pageUrl) {
+    const base = html.match(/<base\b[^>]*>/i);
+    const href = base ? getAttribute(base[0], 'href') : null;
+    return href ? new URL(href, pageUrl).href : pageUrl;
+}
+
+/**
+ * Stylesheet links and <style> blocks in document order
+ * @param {string} html - Page HTML
+ * @param {string} baseUrl - Base URL for relative links
+ * @returns {Array} {type: 'link', url} or {type: 'style', text}
+ */
+function findStyleSources(html, baseUrl) {
+    const sources = [];
+    const pattern = /<!--[\s\S]*?-->|<link\b[^>]*>|<style\b[^>]*>([\s\S]*?)<\/style>/gi;
+    
+    for (const match of html.matchAll(pattern)) {
+        const tag = match[0];
+        if (tag.startsWith('<!--')) continue;
+        
+        if (/^<style/i.test(tag)) {
+            sources.push({ type: 'style', text: match[1] });
+            continue;
+        }
+        
+        const rel = (getAttribute(tag, 'rel') || '').toLowerCase().split(/\s+/);
+        const href = getAttribute(tag, 'href');
+        if (rel.includes('stylesheet') && !rel.includes('alternate') && href) {
+            try {
+                sources.push({ type: 'link', url: new URL(href, baseUrl).href });
+            } catch (error) {
+                // Unparseable href; nothing to fetch
+            }
+        }
+    }
+    return sources;
+}
+
+/**
+ * URLs of a stylesheet's @import rules
+ * @param {string} css - Stylesheet text
+ * @param {string} baseUrl - URL the stylesheet was loaded from
+ * @returns {string[]} Absolute URLs
+ */
+function findImports(css, baseUrl) {
+    const urls = [];
+    const pattern = /@import\s+(?:url\(\s*)?(["']?)([^"')\s;]+)\1\s*\)?[^;]*;/gi;
+    
+    for (const match of css.replace(/\/\*[\s\S]*?\*\//g, '').matchAll(pattern)) {
+        try {
+            urls.push(new URL(match[2], baseUrl).href);
+        } catch (error) {
+            // Skip imports that are not URLs
+        }
+    }
+    return urls;
+}
+
+/**
+ * Turn style attributes into CSS rules, with a selector built from each
+ * element's tag, id and classes
+ * @param {string} html - Page HTML
+ * @returns {string} Rules, or '' if the page has none
+ */
+function findStyleAttributes(html) {
+    const rules = [];
+    const cleaned = html.replace(/<!--[\s\S]*?-->|<(script|style)\b[^>]*>[\s\S]*?<\/\1>/gi, '');
+    
+    for (const match of cleaned.matchAll(/<([a-z][\w-]*)\b([^>]*\sstyle\s*=[^>]*)>/gi)) {
+        const style = getAttribute(match[0], 'style');
+        if (!style || !style.trim()) continue;
+        
+        const id = getAttribute(match[0], 'id');
+        const classes = (getAttribute(match[0], 'class') || '').trim().split(/\s+/).filter(Boolean);
+        const selector = match[1].toLowerCase() +
+            (id ? `#${id}` : '') +
+            classes.map(name => `.${name}`).join('');
+        rules.push(`${selector} { ${style} }`);
+    }
+    return rules.join('\n');
+}
+
+/**
+ * Read an attribute value from a start tag
+ * @param {string} tag - Start tag
+ * @param {string} name - Attribute name
+ * @returns {string|null} Decoded value, or null if missing
+ */
+function getAttribute(tag, name) {
+    const pattern = new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i');
+    const match = tag.match(pattern);
+    if (!match) return null;
+    return decodeEntities(match[1] ?? match[2] ?? match[3]);
+}
+
+/**
+ * Decode the HTML entities that commonly appear in attribute values
+ * @param {string} text - Encoded text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+    return text
+        .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+module.exports = { createProxyServer, fetchPage, ProxyError, DEFAULT_PORT, DEFAULT_HOST };
+
+if (require.main === module) {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            host: { type: 'string', default: DEFAULT_HOST },
+            origin: { type: 'string', multiple: true, default: [] },
+            'allow-private': { type: 'boolean', default: false }
+        }
+    });
+    const port = Number(positionals[0] || process.env.PORT) || DEFAULT_PORT;
+    
+    createProxyServer({
+        allowedOrigins: values.origin,
+        allowPrivateHosts: values['allow-private']
+    }).listen(port, values.host, () => {
+        console.log(`ColorTrace page proxy listening on http://${values.host}:${port}/fetch`);
+    });
+}
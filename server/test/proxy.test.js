@@ -0,0 +1,278 @@
+/**
+ * Page proxy tests, run against a local fixture site: node --test server/test/
+ * The browser-side stylesheet parser (js/cssColors.js) is checked on the proxy's output.
+ */
+
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const vm = require('vm');
+
+const { createProxyServer } = require('../proxy');
+
+// Fixture site: path -> [status, content type, body] or a redirect target
+const FIXTURES = {
+    '/index.html': [200, 'text/html', `<!doctype html>
+<html>
+<head>
+    <title>Fixture &amp; Co</title>
+    <link rel="stylesheet" href="css/main.css">
+    <!-- <link rel="stylesheet" href="css/commented.css"> -->
+    <link rel="alternate stylesheet" href="css/alternate.css">
+    <link rel="icon" href="favicon.ico">
+    <link rel="stylesheet" href="/missing.css">
+    <style>
+        .hero { background: linear-gradient(90deg, #ff0000 0%, rgb(0 0 255 / 50%) 100%); }
+    </style>
+</head>
+<body>
+    <div id="card" class="card shadow" style="box-shadow: 0 1px 2px #00ff00, inset 0 0 0 1px rebeccapurple">Card</div>
+    <p style="font-family: Tan, serif">Text</p>
+</body>
+</html>`],
+    '/css/main.css': [200, 'text/css', `@import url("theme.css");
+/* .ignored { color: #abcdef } */
+:root { --brand: #123456; --red: var(--brand); }
+.btn { color: var(--brand); border: 1px solid tomato; background: url(#gradient) no-repeat; }
+@media (max-width: 600px) {
+    .btn { color: #123456 !important; }
+}`],
+    '/css/theme.css': [200, 'text/css', 'body { background-color: hsl(0, 0%, 98%); }'],
+    '/css/alternate.css': [200, 'text/css', 'body { color: #999999; }'],
+    '/css/commented.css': [200, 'text/css', 'body { color: #888888; }'],
+    '/moved': '/index.html'
+};
+
+// Bytes the chunked fixture sends without a Content-Length
+const STREAMED_BYTES = 64 * 1024;
+
+// Origin of the app in the tests; the fixture site runs on 127.0.0.1, so private hosts are allowed
+const APP_ORIGIN = 'http://app.test';
+
+let fixtureServer;
+let proxyServer;
+let fixtureUrl;
+let proxyUrl;
+
+/**
+ * Start a server on a free port
+ * @param {http.Server} server - Server
+ * @returns {Promise<string>} Base URL
+ */
+function listen(server) {
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+    });
+}
+
+/**
+ * Ask the proxy for a page
+ * @param {string} target - Page URL, or null to leave the parameter out
+ * @param {object} headers - Request headers
+ * @param {string} server - Proxy base URL
+ * @returns {Promise<object>} {status, headers, body}
+ */
+async function requestPage(target, headers = {}, server = proxyUrl) {
+    const url = target === null ? `${server}/fetch` : `${server}/fetch?url=${encodeURIComponent(target)}`;
+    const response = await fetch(url, { headers });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+/**
+ * Load the browser scripts needed by collectCssColors into a sandbox
+ * @returns {Function} collectCssColors
+ */
+function loadCssParser() {
+    const context = vm.createContext({ console });
+    ['utils.js', 'colorSpace.js', 'data/cssColorNames.js', 'colorNames.js', 'paletteImport.js', 'cssColors.js'].forEach(file => {
+        const source = fs.readFileSync(path.join(__dirname, '..', '..', 'js', file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+    const collectCssColors = vm.runInContext('collectCssColors', context);
+    
+    // Results are copied out of the sandbox so deepEqual sees ordinary arrays
+    return stylesheets => JSON.parse(JSON.stringify(collectCssColors(stylesheets)));
+}
+
+before(async () => {
+    fixtureServer = http.createServer((req, res) => {
+        const pathname = new URL(req.url, 'http://localhost').pathname;
+        const fixture = FIXTURES[pathname];
+        if (pathname === '/streamed.css') {
+            res.writeHead(200, { 'Content-Type': 'text/css' });
+            for (let sent = 0; sent < STREAMED_BYTES; sent += 1024) res.write(`/* ${'x'.repeat(1018)} */`);
+            res.end();
+        } else if (typeof fixture === 'string') {
+            res.writeHead(302, { Location: fixture });
+            res.end();
+        } else if (fixture) {
+            res.writeHead(fixture[0], { 'Content-Type': fixture[1] });
+            res.end(fixture[2]);
+        } else {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+        }
+    });
+    proxyServer = createProxyServer({ timeout: 2000, allowedOrigins: [APP_ORIGIN], allowPrivateHosts: true });
+    
+    fixtureUrl = await listen(fixtureServer);
+    proxyUrl = await listen(proxyServer);
+});
+
+after(() => {
+    fixtureServer.close();
+    proxyServer.close();
+});
+
+test('fetches the page stylesheets in document order', async () => {
+    const { status, body } = await requestPage(`${fixtureUrl}/index.html`);
+    
+    assert.equal(status, 200);
+    assert.equal(body.title, 'Fixture & Co');
+    assert.deepEqual(body.stylesheets.map(sheet => [sheet.type, sheet.url.replace(fixtureUrl, '')]), [
+        ['import', '/css/theme.css'],
+        ['link', '/css/main.css'],
+        ['style', '/index.html'],
+        ['attribute', '/index.html']
+    ]);
+    assert.match(body.stylesheets[2].text, /linear-gradient/);
+});
+
+test('turns style attributes into rules', async () => {
+    const { body } = await requestPage(`${fixtureUrl}/index.html`);
+    const attributes = body.stylesheets.find(sheet => sheet.type === 'attribute');
+    
+    assert.equal(attributes.text, [
+        'div#card.card.shadow { box-shadow: 0 1px 2px #00ff00, inset 0 0 0 1px rebeccapurple }',
+        'p { font-family: Tan, serif }'
+    ].join('\n'));
+});
+
+test('reports stylesheets that fail to load', async () => {
+    const { body } = await requestPage(`${fixtureUrl}/index.html`);
+    
+    assert.equal(body.errors.length, 1);
+    assert.equal(body.errors[0].url, `${fixtureUrl}/missing.css`);
+    assert.match(body.errors[0].message, /HTTP 404/);
+});
+
+test('follows redirects', async () => {
+    const { status, body } = await requestPage(`${fixtureUrl}/moved`);
+    
+    assert.equal(status, 200);
+    assert.equal(body.url, `${fixtureUrl}/moved`);
+    assert.equal(body.finalUrl, `${fixtureUrl}/index.html`);
+    assert.equal(body.stylesheets[1].url, `${fixtureUrl}/css/main.css`);
+});
+
+test('rejects missing and non-http URLs', async () => {
+    assert.equal((await requestPage(null)).status, 400);
+    assert.equal((await requestPage('not a url')).status, 400);
+    
+    const { status, body } = await requestPage('file:///etc/passwd');
+    assert.equal(status, 400);
+    assert.match(body.error, /Unsupported protocol/);
+});
+
+test('responds 502 when the page cannot be fetched', async () => {
+    const { status, body } = await requestPage(`${fixtureUrl}/nothing-here.html`);
+    
+    assert.equal(status, 502);
+    assert.match(body.error, /HTTP 404/);
+});
+
+test('allows cross-origin requests from the app', async () => {
+    const { headers } = await requestPage(`${fixtureUrl}/index.html`, { Origin: APP_ORIGIN });
+    assert.equal(headers.get('access-control-allow-origin'), APP_ORIGIN);
+    
+    // The app served from this machine is always allowed
+    const preflight = await fetch(`${proxyUrl}/fetch`, { method: 'OPTIONS', headers: { Origin: 'http://localhost:8000' } });
+    assert.equal(preflight.status, 204);
+    assert.equal(preflight.headers.get('access-control-allow-origin'), 'http://localhost:8000');
+});
+
+test('rejects requests from other origins', async () => {
+    const { status, headers, body } = await requestPage(`${fixtureUrl}/index.html`, { Origin: 'https://evil.test' });
+    assert.equal(status, 403);
+    assert.equal(headers.get('access-control-allow-origin'), null);
+    assert.match(body.error, /Origin not allowed/);
+    
+    const preflight = await fetch(`${proxyUrl}/fetch`, { method: 'OPTIONS', headers: { Origin: 'https://evil.test' } });
+    assert.equal(preflight.status, 403);
+    
+    // Sandboxed frames on any website send 'null', so it needs to be allowed explicitly
+    assert.equal((await requestPage(`${fixtureUrl}/index.html`, { Origin: 'null' })).status, 403);
+});
+
+test('stops reading responses without a length at the size limit', async () => {
+    const smallServer = createProxyServer({ timeout: 2000, maxBytes: 8 * 1024, allowPrivateHosts: true });
+    const smallUrl = await listen(smallServer);
+    
+    try {
+        const { status, body } = await requestPage(`${fixtureUrl}/streamed.css`, {}, smallUrl);
+        assert.equal(status, 502);
+        assert.match(body.error, /larger than 8192 bytes/);
+    } finally {
+        smallServer.close();
+    }
+});
+
+test('refuses loopback and private targets unless allowed', async () => {
+    const strictServer = createProxyServer({ timeout: 2000 });
+    const strictUrl = await listen(strictServer);
+    const { lookup } = dns;
+    
+    try {
+        const { status, body } = await requestPage(`${fixtureUrl}/index.html`, {}, strictUrl);
+        assert.equal(status, 403);
+        assert.match(body.error, /local or private address/);
+        
+        for (const target of ['http://localhost/', 'http://[::1]/', 'http://169.254.169.254/', 'http://10.1.2.3/', 'http://[::ffff:192.168.0.1]/']) {
+            assert.equal((await requestPage(target, {}, strictUrl)).status, 403, target);
+        }
+        
+        // The address is checked in the connection's own lookup, so a name that resolves to loopback when connecting is refused
+        dns.lookup = (hostname, options, callback) => lookup(hostname === 'rebind.test' ? '127.0.0.1' : hostname, options, callback);
+        const rebound = await requestPage(fixtureUrl.replace('127.0.0.1', 'rebind.test') + '/index.html', {}, strictUrl);
+        assert.equal(rebound.status, 403);
+        assert.match(rebound.body.error, /rebind\.test: it is a local or private address/);
+    } finally {
+        dns.lookup = lookup;
+        strictServer.close();
+    }
+});
+
+test('collects colors by selector and property from the fetched stylesheets', async () => {
+    const collectCssColors = loadCssParser();
+    const { body } = await requestPage(`${fixtureUrl}/index.html`);
+    const colors = collectCssColors(body.stylesheets);
+    const byHex = Object.fromEntries(colors.map(color => [color.hex, color]));
+    
+    assert.deepEqual(colors.map(color => color.hex).sort(), [
+        '#0000FF', '#00FF00', '#123456', '#663399', '#FAFAFA', '#FF0000', '#FF6347'
+    ]);
+    
+    // Custom properties, var() references, @media rules and !important values all count
+    assert.equal(byHex['#123456'].count, 4);
+    assert.deepEqual(byHex['#123456'].usages.map(usage => [usage.selector, usage.property, usage.variables]), [
+        [':root', '--brand', []],
+        [':root', '--red', ['--brand']],
+        ['.btn', 'color', ['--brand']],
+        ['@media (max-width: 600px) .btn', 'color', []]
+    ]);
+    assert.deepEqual(byHex['#123456'].sources, ['--brand', '--red', 'color']);
+    assert.deepEqual(byHex['#123456'].variables, ['--brand', '--red']);
+    
+    // Gradient stops and shadow layers are reported separately
+    assert.equal(byHex['#0000FF'].usages[0].selector, '.hero');
+    assert.equal(byHex['#0000FF'].usages[0].stylesheet, '<style> block 1');
+    assert.equal(byHex['#663399'].usages[0].selector, 'div#card.card.shadow');
+    assert.equal(byHex['#663399'].usages[0].property, 'box-shadow');
+    assert.equal(byHex['#FF6347'].usages[0].property, 'border');
+    assert.equal(byHex['#FAFAFA'].usages[0].stylesheet, `${fixtureUrl}/css/theme.css`);
+});